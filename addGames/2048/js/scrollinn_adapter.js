@@ -0,0 +1,33 @@
+/*
+ * Adaptador de 2048 para el feed de Scrollinn (ver public/embedded/scrollinn-embed.js).
+ *
+ * - Los movimientos se ignoran hasta "start" y mientras el slide está en pausa
+ * - Cada actuate() envía la puntuación; con la partida perdida → gameover
+ * - Se ocultan los botones de reinicio y los textos: el reinicio es del feed
+ */
+/* global GameManager */
+(function () {
+  var embed = window.ScrollinnEmbed;
+  if (!embed) return;
+
+  var originalMove = GameManager.prototype.move;
+  GameManager.prototype.move = function (direction) {
+    if (embed.isPaused()) return;
+    originalMove.call(this, direction);
+  };
+
+  var originalActuate = GameManager.prototype.actuate;
+  GameManager.prototype.actuate = function () {
+    originalActuate.call(this);
+    embed.score(this.score);
+    if (this.over) embed.gameOver(this.score);
+  };
+
+  var style = document.createElement("style");
+  style.textContent =
+    "html, body { background: #faf8ef; overscroll-behavior: none; }" +
+    ".above-game, .game-explanation, hr, .container > p, .retry-button { display: none !important; }";
+  document.head.appendChild(style);
+
+  embed.ready();
+})();
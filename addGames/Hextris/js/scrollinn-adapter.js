@@ -0,0 +1,48 @@
+/*
+ * Adaptador de Hextris para el feed de Scrollinn (ver public/embedded/scrollinn-embed.js).
+ *
+ * - "start"  → mismo camino que el botón de inicio (startBtnHandler)
+ * - "pause"  → congela el bucle (gameState -1) sin el overlay de pausa
+ * - "resume" → solo reanuda si la pausa la puso el feed, no el jugador
+ * - gameOverDisplay() → gameover con la puntuación final
+ */
+/* global $, gameState:writable, prevGameState:writable, score, startBtnHandler, gameOverDisplay:writable */
+(function () {
+  var embed = window.ScrollinnEmbed;
+  if (!embed) return;
+
+  var pausedByFeed = false;
+
+  var originalGameOverDisplay = gameOverDisplay;
+  gameOverDisplay = function () {
+    originalGameOverDisplay.apply(this, arguments);
+    embed.gameOver(score);
+  };
+
+  embed.on("start", function () {
+    if (gameState === 0) startBtnHandler();
+  });
+
+  embed.on("pause", function () {
+    if (gameState !== 1) return;
+    prevGameState = gameState;
+    gameState = -1;
+    pausedByFeed = true;
+  });
+
+  embed.on("resume", function () {
+    if (!pausedByFeed || gameState !== -1) return;
+    pausedByFeed = false;
+    // Sin salto de dt: animLoop ya renueva lastTime en cada frame de pausa
+    gameState = prevGameState;
+  });
+
+  // Puntuación en vivo (la actualizan varios módulos del juego)
+  setInterval(function () {
+    if (gameState === 1) embed.score(score);
+  }, 500);
+
+  $(function () {
+    embed.ready();
+  });
+})();
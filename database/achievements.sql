@@ -0,0 +1,142 @@
+/**
+ * LOGROS: avatares que se desbloquean jugando (avatars.unlock_type / requirement)
+ *
+ * Cada avatar de logro indica QUÉ se mide (unlock_type) y CUÁNTO hace falta
+ * (requirement):
+ *  - level            → nivel del jugador (mismo cálculo que leveling.js)
+ *  - total_plays      → partidas guardadas en `scores`
+ *  - top1             → juegos en los que es Top 1 de `highscores`
+ *                       (respetando is_lower_better; en empate, el primero)
+ *  - challenge_streak → mejor racha de días seguidos con algún reto
+ *                       diario reclamado
+ *
+ * evaluate_achievements() se llama tras cada puntuación guardada y cada
+ * reto reclamado: concede en user_avatars (acquired_via = unlock_type) los
+ * que ya se cumplen y devuelve el progreso de todos para la colección.
+ * Es idempotente: repetirla no duplica nada.
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: bd.sql, trigger_update_highscores.sql, localized_content.sql
+ */
+
+-- ═══ PASO 1: Índices ═══
+
+CREATE INDEX IF NOT EXISTS idx_scores_user ON public.scores (user_id);
+CREATE INDEX IF NOT EXISTS idx_avatars_unlock_type ON public.avatars (unlock_type);
+
+-- ═══ PASO 2: Progreso de un jugador en un tipo de logro (interno) ═══
+
+CREATE OR REPLACE FUNCTION public.achievement_progress(p_user_id UUID, p_unlock_type TEXT)
+RETURNS INT
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_value INT := 0;
+BEGIN
+  IF p_unlock_type = 'level' THEN
+    -- Nivel desde XP = floor((1 + sqrt(1 + 8*xp/1000)) / 2)
+    SELECT floor((1 + sqrt(1 + 8 * GREATEST(COALESCE(xp, 0), 0) / 1000.0)) / 2)::int
+      INTO v_value
+      FROM public.users WHERE id = p_user_id;
+
+  ELSIF p_unlock_type = 'total_plays' THEN
+    SELECT COUNT(*)::int INTO v_value FROM public.scores WHERE user_id = p_user_id;
+
+  ELSIF p_unlock_type = 'top1' THEN
+    SELECT COUNT(*)::int INTO v_value
+      FROM public.highscores h
+      JOIN public.games g ON g.id = h.game_id
+     WHERE h.user_id = p_user_id
+       AND NOT EXISTS (
+         SELECT 1 FROM public.highscores o
+          WHERE o.game_id = h.game_id
+            AND o.user_id <> h.user_id
+            AND (CASE WHEN g.is_lower_better THEN o.score < h.score ELSE o.score > h.score END
+                 OR (o.score = h.score AND o.achieved_at < h.achieved_at))
+       );
+
+  ELSIF p_unlock_type = 'challenge_streak' THEN
+    -- Días con algún reto reclamado; cada racha comparte (día - nº de fila)
+    WITH days AS (
+      SELECT DISTINCT dc.active_date AS d
+        FROM public.user_challenge_progress ucp
+        JOIN public.daily_challenges dc ON dc.id = ucp.challenge_id
+       WHERE ucp.user_id = p_user_id AND ucp.is_claimed = true
+    ), runs AS (
+      SELECT d - (ROW_NUMBER() OVER (ORDER BY d))::int AS run FROM days
+    )
+    SELECT COALESCE(MAX(len), 0)::int INTO v_value
+      FROM (SELECT COUNT(*) AS len FROM runs GROUP BY run) r;
+  END IF;
+
+  RETURN COALESCE(v_value, 0);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.achievement_progress(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- ═══ PASO 3: RPC evaluate_achievements ═══
+-- Concede los logros cumplidos y devuelve:
+--   { unlocked: [avatar...], achievements: [avatar + progress + owned...] }
+
+CREATE OR REPLACE FUNCTION public.evaluate_achievements()
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id  UUID := auth.uid();
+  v_progress JSONB;
+  v_unlocked JSON;
+  v_list     JSON;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  SELECT jsonb_object_agg(t.type, public.achievement_progress(v_user_id, t.type))
+    INTO v_progress
+    FROM unnest(ARRAY['level', 'total_plays', 'top1', 'challenge_streak']) AS t(type);
+
+  -- Conceder los que ya se cumplen
+  WITH granted AS (
+    INSERT INTO public.user_avatars (user_id, avatar_id, acquired_via)
+    SELECT v_user_id, a.id, a.unlock_type
+      FROM public.avatars a
+     WHERE a.requirement IS NOT NULL
+       AND (v_progress ->> a.unlock_type)::int >= a.requirement
+    ON CONFLICT (user_id, avatar_id) DO NOTHING
+    RETURNING avatar_id
+  )
+  SELECT COALESCE(json_agg(json_build_object(
+           'id', a.id, 'name_es', a.name_es, 'name_en', a.name_en,
+           'translations', a.translations,
+           'tier', a.tier, 'image_url', a.image_url, 'unlock_type', a.unlock_type
+         )), '[]'::json)
+    INTO v_unlocked
+    FROM granted g
+    JOIN public.avatars a ON a.id = g.avatar_id;
+
+  -- Progreso de todos los logros (ya incluye lo recién concedido)
+  SELECT COALESCE(json_agg(json_build_object(
+           'id', a.id, 'name_es', a.name_es, 'name_en', a.name_en,
+           'description_es', a.description_es, 'description_en', a.description_en,
+           'translations', a.translations,
+           'tier', a.tier, 'image_url', a.image_url,
+           'unlock_type', a.unlock_type, 'requirement', a.requirement,
+           'progress', LEAST((v_progress ->> a.unlock_type)::int, a.requirement),
+           'owned', EXISTS (SELECT 1 FROM public.user_avatars ua
+                             WHERE ua.user_id = v_user_id AND ua.avatar_id = a.id)
+         ) ORDER BY a.unlock_type, a.requirement), '[]'::json)
+    INTO v_list
+    FROM public.avatars a
+   WHERE a.requirement IS NOT NULL
+     AND v_progress ? a.unlock_type;
+
+  RETURN json_build_object('unlocked', v_unlocked, 'achievements', v_list);
+END;
+$$;
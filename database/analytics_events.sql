@@ -0,0 +1,42 @@
+/**
+ * ANALÍTICA DE JUEGO: eventos del Feed para embudos por juego
+ *
+ * El Feed emite slide_viewed, game_started, game_over, replayed y skipped
+ * (src/hooks/useFeedAnalytics.js); analyticsService los manda en lotes a
+ * POST /api/analytics/events (server/analytics.js) y se guardan aquí.
+ * El dashboard interno (/analytics) lee los embudos agregados
+ * por GET /api/analytics/funnels.
+ *
+ * Solo escribe y lee el servidor: el cliente de Supabase no tiene acceso.
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: bd.sql
+ */
+
+-- ═══ PASO 1: Tabla ═══
+
+CREATE TABLE IF NOT EXISTS public.analytics_events (
+    id UUID PRIMARY KEY,                      -- generado en el dispositivo (idempotente)
+    session_id UUID NOT NULL,                 -- una por pestaña
+    user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    game_id TEXT NOT NULL,
+    event_type TEXT NOT NULL CHECK (event_type IN (
+      'slide_viewed', 'game_started', 'game_over', 'replayed', 'skipped'
+    )),
+    props JSONB NOT NULL DEFAULT '{}'::jsonb,  -- stage, score, duration_ms, time_to_input_ms…
+    client_ts TIMESTAMPTZ NOT NULL,           -- hora del dispositivo (acotada a ±24 h)
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ═══ PASO 2: Índices (embudos por ventana de días) ═══
+
+CREATE INDEX IF NOT EXISTS idx_analytics_events_created
+  ON public.analytics_events (created_at);
+CREATE INDEX IF NOT EXISTS idx_analytics_events_game_created
+  ON public.analytics_events (game_id, created_at);
+
+-- ═══ PASO 3: Sin acceso desde el cliente ═══
+
+ALTER TABLE public.analytics_events ENABLE ROW LEVEL SECURITY;
+
+REVOKE ALL ON public.analytics_events FROM anon, authenticated;
@@ -0,0 +1,81 @@
+/**
+ * ANALÍTICA EN MODO SUPABASE: RPC de ingesta de eventos
+ *
+ * Sin servidor Express no existe POST /api/analytics/events, así que el
+ * cliente (src/backend/supabaseBackend.js → analytics.sendEvents) manda los
+ * lotes a este RPC. Valida igual que server/analytics.js:
+ *  - id y session_id UUID, tipo de evento conocido, game_id [a-z0-9-]{1,64}
+ *  - props objeto JSON de 1 KB como mucho
+ *  - client_ts fuera de ±24 h → hora del servidor
+ *  - como mucho 50 eventos por llamada; ids repetidos se ignoran
+ * Los eventos inválidos se descartan sin tumbar el resto.
+ *
+ * El usuario sale de la sesión (auth.uid()), no del lote.
+ * La tabla sigue cerrada al cliente: solo se escribe por aquí.
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: analytics_events.sql
+ */
+
+-- ═══ PASO 1: RPC track_analytics_events ═══
+
+CREATE OR REPLACE FUNCTION public.track_analytics_events(p_events JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uuid_re  CONSTANT TEXT := '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$';
+  v_total    INT;
+  v_user_id  UUID;
+  v_valid    INT;
+  v_accepted INT;
+BEGIN
+  IF jsonb_typeof(p_events) IS DISTINCT FROM 'array' THEN
+    RETURN jsonb_build_object('accepted', 0, 'rejected', 0);
+  END IF;
+  v_total := jsonb_array_length(p_events);
+
+  SELECT id INTO v_user_id FROM public.users WHERE id = auth.uid();
+
+  WITH batch AS (
+    SELECT e
+      FROM jsonb_array_elements(p_events) WITH ORDINALITY AS t(e, n)
+     WHERE n <= 50
+  ), valid AS (
+    SELECT (e->>'id')::UUID         AS id,
+           (e->>'session_id')::UUID AS session_id,
+           e->>'game_id'            AS game_id,
+           e->>'type'               AS event_type,
+           COALESCE(e->'props', '{}'::jsonb) AS props,
+           e->>'client_ts'          AS client_ts
+      FROM batch
+     WHERE jsonb_typeof(e) = 'object'
+       AND COALESCE(e->>'id', '') ~ v_uuid_re
+       AND COALESCE(e->>'session_id', '') ~ v_uuid_re
+       AND e->>'type' IN ('slide_viewed', 'game_started', 'game_over', 'replayed', 'skipped')
+       AND COALESCE(e->>'game_id', '') ~ '^[a-z0-9-]{1,64}$'
+       AND jsonb_typeof(COALESCE(e->'props', '{}'::jsonb)) = 'object'
+       AND length(COALESCE(e->'props', '{}'::jsonb)::TEXT) <= 1024
+  ), inserted AS (
+    INSERT INTO public.analytics_events (id, session_id, user_id, game_id, event_type, props, client_ts)
+    SELECT v.id, v.session_id, v_user_id, v.game_id, v.event_type, v.props,
+           -- CASE anidado: el cast solo se evalúa si el formato es ISO 8601
+           CASE WHEN v.client_ts ~ '^\d{4}-\d{2}-\d{2}T[0-9:.]+(Z|[+-]\d{2}:?\d{2})$' THEN
+             CASE WHEN abs(extract(epoch FROM v.client_ts::TIMESTAMPTZ - NOW())) <= 86400
+                  THEN v.client_ts::TIMESTAMPTZ
+                  ELSE NOW()
+             END
+           ELSE NOW()
+           END
+      FROM valid v
+    ON CONFLICT (id) DO NOTHING
+    RETURNING 1
+  )
+  SELECT (SELECT COUNT(*) FROM valid)::INT, (SELECT COUNT(*) FROM inserted)::INT
+    INTO v_valid, v_accepted;
+
+  RETURN jsonb_build_object('accepted', v_accepted, 'rejected', v_total - v_valid);
+END;
+$$;
@@ -0,0 +1,257 @@
+/**
+ * LEDGER DE MONEDA: XP y monedas sin read-modify-write
+ *
+ * Antes, submitScore / claimReward / claimDailyXPBonus / purchaseAvatar leían
+ * users.xp / users.coins y escribían el valor calculado en el cliente: con dos
+ * pestañas o taps rápidos se perdían o duplicaban monedas.
+ *
+ * Ahora:
+ *  - Cada movimiento es una fila inmutable en `currency_transactions`
+ *    (reason: game_xp, challenge_reward, full_clear_bonus, avatar_purchase).
+ *  - users.xp / users.coins siguen existiendo como saldo cacheado, pero SOLO
+ *    los modifica apply_currency_tx(), en la misma transacción que el apunte
+ *    (UPDATE ... SET coins = coins + x → atómico, sin carreras).
+ *  - El cliente ya no puede escribir xp/coins: todo pasa por RPCs.
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: bd.sql, score_validation.sql (submit_score usa apply_currency_tx)
+ */
+
+-- ═══ PASO 1: Tabla del ledger ═══
+
+CREATE TABLE IF NOT EXISTS public.currency_transactions (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    currency VARCHAR(5) NOT NULL CHECK (currency IN ('xp', 'coins')),
+    amount INT4 NOT NULL,                -- positivo = ingreso, negativo = gasto
+    balance_after INT4 NOT NULL,
+    reason VARCHAR(30) NOT NULL CHECK (reason IN (
+      'opening_balance', 'game_xp', 'challenge_reward', 'full_clear_bonus', 'avatar_purchase'
+    )),
+    ref_id TEXT,                         -- sesión de partida, reto, fecha o avatar
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_currency_tx_user
+  ON public.currency_transactions (user_id, created_at DESC);
+
+-- Un mismo reto / bonus / avatar no puede cobrarse dos veces
+CREATE UNIQUE INDEX IF NOT EXISTS uq_currency_tx_once
+  ON public.currency_transactions (user_id, reason, ref_id)
+  WHERE reason IN ('challenge_reward', 'full_clear_bonus', 'avatar_purchase');
+
+ALTER TABLE public.currency_transactions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users read own transactions" ON public.currency_transactions;
+CREATE POLICY "Users read own transactions" ON public.currency_transactions
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Saldo de apertura: los saldos actuales pasan a ser el primer apunte
+INSERT INTO public.currency_transactions (user_id, currency, amount, balance_after, reason)
+SELECT u.id, c.currency, c.amount, c.amount, 'opening_balance'
+  FROM public.users u
+ CROSS JOIN LATERAL (VALUES ('xp', COALESCE(u.xp, 0)), ('coins', COALESCE(u.coins, 0))) AS c(currency, amount)
+ WHERE c.amount <> 0
+   AND NOT EXISTS (
+     SELECT 1 FROM public.currency_transactions t
+      WHERE t.user_id = u.id AND t.reason = 'opening_balance'
+   );
+
+-- ═══ PASO 2: El cliente ya no puede tocar xp / coins ni comprar a mano ═══
+
+REVOKE UPDATE ON public.users FROM anon, authenticated;
+GRANT UPDATE (username, equipped_avatar_id) ON public.users TO authenticated;
+
+REVOKE INSERT, UPDATE, DELETE ON public.user_avatars FROM anon, authenticated;
+
+-- ═══ PASO 3: Apunte atómico (interno, no expuesto al cliente) ═══
+
+CREATE OR REPLACE FUNCTION public.apply_currency_tx(
+  p_user_id UUID,
+  p_currency TEXT,
+  p_amount INT,
+  p_reason TEXT,
+  p_ref_id TEXT DEFAULT NULL
+)
+RETURNS INT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_balance INT;
+BEGIN
+  -- El UPDATE bloquea la fila del usuario → los apuntes concurrentes se serializan
+  IF p_currency = 'xp' THEN
+    UPDATE public.users SET xp = COALESCE(xp, 0) + p_amount
+     WHERE id = p_user_id
+     RETURNING xp INTO v_balance;
+  ELSE
+    UPDATE public.users SET coins = COALESCE(coins, 0) + p_amount
+     WHERE id = p_user_id AND COALESCE(coins, 0) + p_amount >= 0
+     RETURNING coins INTO v_balance;
+  END IF;
+
+  IF v_balance IS NULL THEN
+    RAISE EXCEPTION 'insufficient_funds';
+  END IF;
+
+  INSERT INTO public.currency_transactions (user_id, currency, amount, balance_after, reason, ref_id)
+  VALUES (p_user_id, p_currency, p_amount, v_balance, p_reason, p_ref_id);
+
+  RETURN v_balance;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.apply_currency_tx(UUID, TEXT, INT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- ═══ PASO 4: RPC claim_challenge_reward ═══
+-- Marca el reto como reclamado y abona sus monedas (el importe sale de la BD,
+-- no del cliente). Si con él quedan reclamados todos los retos de ese día,
+-- abona también el bonus de Full Clear (+500 XP, una vez por día).
+
+CREATE OR REPLACE FUNCTION public.claim_challenge_reward(p_challenge_id UUID)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id   UUID := auth.uid();
+  v_challenge public.daily_challenges;
+  v_coins     INT;
+  v_old_xp    INT;
+  v_new_xp    INT;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  SELECT * INTO v_challenge FROM public.daily_challenges WHERE id = p_challenge_id;
+
+  UPDATE public.user_challenge_progress
+     SET is_claimed = true, updated_at = NOW()
+   WHERE user_id = v_user_id
+     AND challenge_id = p_challenge_id
+     AND is_claimed = false
+     AND current_progress >= v_challenge.target_plays;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'not_claimable';
+  END IF;
+
+  v_coins := public.apply_currency_tx(
+    v_user_id, 'coins', v_challenge.reward_coins, 'challenge_reward', p_challenge_id::text
+  );
+
+  -- ¿Full Clear? Todos los retos del día reclamados y bonus aún no cobrado
+  IF NOT EXISTS (
+       SELECT 1
+         FROM public.daily_challenges dc
+         LEFT JOIN public.user_challenge_progress ucp
+           ON ucp.challenge_id = dc.id AND ucp.user_id = v_user_id
+        WHERE dc.active_date = v_challenge.active_date
+          AND COALESCE(ucp.is_claimed, false) = false
+     )
+     AND NOT EXISTS (
+       SELECT 1 FROM public.currency_transactions
+        WHERE user_id = v_user_id
+          AND reason = 'full_clear_bonus'
+          AND ref_id = v_challenge.active_date::text
+     )
+  THEN
+    v_new_xp := public.apply_currency_tx(
+      v_user_id, 'xp', 500, 'full_clear_bonus', v_challenge.active_date::text
+    );
+    v_old_xp := v_new_xp - 500;
+  END IF;
+
+  RETURN json_build_object(
+    'new_coins',  v_coins,
+    'full_clear', v_new_xp IS NOT NULL,
+    'old_xp',     v_old_xp,
+    'new_xp',     v_new_xp
+  );
+END;
+$$;
+
+-- ═══ PASO 5: RPC claim_full_clear_bonus ═══
+-- Bonus de XP diario por completar todos los retos de hoy (Europe/Madrid).
+-- Idempotente: si ya se cobró, devuelve el XP actual sin sumar.
+
+CREATE OR REPLACE FUNCTION public.claim_full_clear_bonus()
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_today   DATE := (NOW() AT TIME ZONE 'Europe/Madrid')::date;
+  v_new_xp  INT;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  IF EXISTS (
+       SELECT 1
+         FROM public.daily_challenges dc
+         LEFT JOIN public.user_challenge_progress ucp
+           ON ucp.challenge_id = dc.id AND ucp.user_id = v_user_id
+        WHERE dc.active_date = v_today
+          AND COALESCE(ucp.is_claimed, false) = false
+     ) OR NOT EXISTS (SELECT 1 FROM public.daily_challenges WHERE active_date = v_today)
+  THEN
+    RAISE EXCEPTION 'not_claimable';
+  END IF;
+
+  BEGIN
+    v_new_xp := public.apply_currency_tx(v_user_id, 'xp', 500, 'full_clear_bonus', v_today::text);
+  EXCEPTION WHEN unique_violation THEN
+    SELECT xp INTO v_new_xp FROM public.users WHERE id = v_user_id;
+  END;
+
+  RETURN json_build_object('new_xp', v_new_xp);
+END;
+$$;
+
+-- ═══ PASO 6: RPC purchase_avatar ═══
+
+CREATE OR REPLACE FUNCTION public.purchase_avatar(p_avatar_id TEXT)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_price   INT;
+  v_coins   INT;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  SELECT price INTO v_price
+    FROM public.shop_items
+   WHERE avatar_id = p_avatar_id AND is_active = true
+   LIMIT 1;
+
+  IF v_price IS NULL THEN
+    RAISE EXCEPTION 'not_in_shop';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM public.user_avatars WHERE user_id = v_user_id AND avatar_id = p_avatar_id) THEN
+    RAISE EXCEPTION 'already_owned';
+  END IF;
+
+  -- Falla con insufficient_funds si no llega → la transacción entera se deshace
+  v_coins := public.apply_currency_tx(v_user_id, 'coins', -v_price, 'avatar_purchase', p_avatar_id);
+
+  INSERT INTO public.user_avatars (user_id, avatar_id, acquired_via, amount_paid)
+  VALUES (v_user_id, p_avatar_id, 'shop', v_price);
+
+  RETURN json_build_object('new_coins', v_coins);
+END;
+$$;
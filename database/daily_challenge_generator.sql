@@ -0,0 +1,42 @@
+/**
+ * RETOS DIARIOS GENERADOS: columnas para el generador de plantillas
+ *
+ * El generador (server/challengeGenerator.js, job del servidor o CLI
+ * `npm run challenges` en server/) crea cada día tres retos desde
+ * plantillas:
+ *  - play_games   → "Juega N partidas" (cualquier juego)
+ *  - reach_score  → "Consigue X en el juego Y" (percentil de highscores)
+ *  - lower_better → "Juega N partidas a juegos de menos es mejor"
+ *
+ * target_lower_better restringe qué juegos cuentan para el reto:
+ *   NULL = cualquiera · true = solo "menos es mejor" · false = solo normales.
+ * template / difficulty son informativos (equilibrado y depuración); los
+ * retos insertados a mano pueden dejarlos a NULL.
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: bd.sql
+ */
+
+-- ═══ PASO 1: Columnas ═══
+
+ALTER TABLE public.daily_challenges
+  ADD COLUMN IF NOT EXISTS target_lower_better BOOLEAN,
+  ADD COLUMN IF NOT EXISTS template VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS difficulty VARCHAR(10);
+
+-- ═══ PASO 2: Restricciones ═══
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'daily_challenges_difficulty_check') THEN
+    ALTER TABLE public.daily_challenges
+      ADD CONSTRAINT daily_challenges_difficulty_check
+      CHECK (difficulty IS NULL OR difficulty IN ('easy', 'medium', 'hard'));
+  END IF;
+END;
+$$;
+
+-- ═══ PASO 3: Índice para "juegos objetivo de los últimos días" ═══
+
+CREATE INDEX IF NOT EXISTS idx_daily_challenges_date_game
+  ON public.daily_challenges(active_date, target_game_id);
@@ -0,0 +1,213 @@
+/**
+ * DUELOS: retos asíncronos 1 contra 1 mediante enlace
+ *
+ * Flujo:
+ *  1. Tras una partida, el retador llama a create_duel(p_game_id): el objetivo
+ *     es SU última puntuación guardada en ese juego (de `scores`, ya validada
+ *     por submit_score) → no se puede retar con una marca inventada.
+ *     El enlace compartido es https://scrollinn.gg/?duel=<id>.
+ *  2. Quien abre el enlace llama a accept_duel(p_duel_id): ocupa el hueco de
+ *     rival (solo uno) y queda apuntada la hora de aceptación.
+ *  3. Tras su primera partida aceptada en ese juego, settle_duel(p_duel_id)
+ *     toma esa puntuación (la primera desde accepted_at) y decide el resultado
+ *     respetando is_lower_better. Un intento por duelo.
+ *
+ * Los duelos abiertos caducan a los 7 días.
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: bd.sql, score_validation.sql
+ */
+
+-- ═══ PASO 1: Tabla ═══
+
+CREATE TABLE IF NOT EXISTS public.duels (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    game_id VARCHAR(50) NOT NULL REFERENCES public.games(id) ON DELETE CASCADE,
+    challenger_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    challenger_score INT4 NOT NULL,
+    opponent_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    opponent_score INT4,
+    status VARCHAR(10) NOT NULL DEFAULT 'open'
+      CHECK (status IN ('open', 'accepted', 'finished', 'expired')),
+    winner VARCHAR(10) CHECK (winner IN ('challenger', 'opponent', 'tie')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    accepted_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '7 days',
+    CHECK (opponent_id IS NULL OR opponent_id <> challenger_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_duels_challenger ON public.duels (challenger_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_duels_opponent ON public.duels (opponent_id, created_at DESC);
+
+ALTER TABLE public.duels ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Participants read duels" ON public.duels;
+CREATE POLICY "Participants read duels" ON public.duels
+  FOR SELECT USING (auth.uid() IN (challenger_id, opponent_id));
+
+REVOKE INSERT, UPDATE, DELETE ON public.duels FROM anon, authenticated;
+
+-- ═══ PASO 2: RPC create_duel ═══
+
+CREATE OR REPLACE FUNCTION public.create_duel(p_game_id TEXT)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_me    UUID := auth.uid();
+  v_score INT;
+  v_id    UUID;
+BEGIN
+  IF v_me IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  -- Última partida guardada del retador en ese juego (máx. 1 hora de antigüedad)
+  SELECT score INTO v_score
+    FROM public.scores
+   WHERE user_id = v_me
+     AND game_id = p_game_id
+     AND achieved_at > NOW() - INTERVAL '1 hour'
+   ORDER BY achieved_at DESC
+   LIMIT 1;
+
+  IF v_score IS NULL THEN
+    RAISE EXCEPTION 'no_recent_score';
+  END IF;
+
+  INSERT INTO public.duels (game_id, challenger_id, challenger_score)
+  VALUES (p_game_id, v_me, v_score)
+  RETURNING id INTO v_id;
+
+  RETURN v_id;
+END;
+$$;
+
+-- ═══ PASO 3: RPC get_duel (info pública para quien abre el enlace) ═══
+
+CREATE OR REPLACE FUNCTION public.get_duel(p_duel_id UUID)
+RETURNS JSON
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT json_build_object(
+           'id',                 d.id,
+           'game_id',            d.game_id,
+           'challenger_id',      d.challenger_id,
+           'challenger_score',   d.challenger_score,
+           'challenger_name',    c.username,
+           'challenger_avatar',  c.equipped_avatar_id,
+           'opponent_id',        d.opponent_id,
+           'opponent_score',     d.opponent_score,
+           'status',             CASE WHEN d.status IN ('open', 'accepted') AND d.expires_at < NOW()
+                                      THEN 'expired' ELSE d.status END,
+           'winner',             d.winner,
+           'expires_at',         d.expires_at
+         )
+    FROM public.duels d
+    JOIN public.users c ON c.id = d.challenger_id
+   WHERE d.id = p_duel_id;
+$$;
+
+-- ═══ PASO 4: RPC accept_duel ═══
+-- Devuelve el estado del duelo para quien lo acepta:
+-- 'accepted' (hueco ocupado por ti), 'own' (es tu reto), 'taken', 'finished', 'expired'.
+
+CREATE OR REPLACE FUNCTION public.accept_duel(p_duel_id UUID)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_me   UUID := auth.uid();
+  v_duel public.duels;
+BEGIN
+  IF v_me IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  SELECT * INTO v_duel FROM public.duels WHERE id = p_duel_id FOR UPDATE;
+
+  IF v_duel.id IS NULL THEN
+    RAISE EXCEPTION 'duel_not_found';
+  END IF;
+  IF v_duel.challenger_id = v_me THEN
+    RETURN 'own';
+  END IF;
+  IF v_duel.status = 'finished' THEN
+    RETURN 'finished';
+  END IF;
+  IF v_duel.expires_at < NOW() THEN
+    UPDATE public.duels SET status = 'expired' WHERE id = p_duel_id AND status <> 'finished';
+    RETURN 'expired';
+  END IF;
+  IF v_duel.opponent_id IS NOT NULL THEN
+    RETURN CASE WHEN v_duel.opponent_id = v_me THEN 'accepted' ELSE 'taken' END;
+  END IF;
+
+  UPDATE public.duels
+     SET opponent_id = v_me, status = 'accepted', accepted_at = NOW()
+   WHERE id = p_duel_id;
+
+  RETURN 'accepted';
+END;
+$$;
+
+-- ═══ PASO 5: RPC settle_duel ═══
+-- Usa la primera partida guardada del rival desde que aceptó.
+-- Devuelve get_duel(...) actualizado, o NULL si aún no ha jugado.
+
+CREATE OR REPLACE FUNCTION public.settle_duel(p_duel_id UUID)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_me    UUID := auth.uid();
+  v_duel  public.duels;
+  v_lower BOOLEAN;
+  v_score INT;
+BEGIN
+  SELECT * INTO v_duel FROM public.duels WHERE id = p_duel_id FOR UPDATE;
+
+  IF v_duel.id IS NULL OR v_duel.opponent_id IS DISTINCT FROM v_me THEN
+    RAISE EXCEPTION 'not_participant';
+  END IF;
+
+  IF v_duel.status = 'accepted' THEN
+    SELECT score INTO v_score
+      FROM public.scores
+     WHERE user_id = v_me
+       AND game_id = v_duel.game_id
+       AND achieved_at >= v_duel.accepted_at
+     ORDER BY achieved_at ASC
+     LIMIT 1;
+
+    IF v_score IS NULL THEN
+      RETURN NULL;
+    END IF;
+
+    SELECT is_lower_better INTO v_lower FROM public.games WHERE id = v_duel.game_id;
+
+    UPDATE public.duels
+       SET opponent_score = v_score,
+           status = 'finished',
+           finished_at = NOW(),
+           winner = CASE
+             WHEN v_score = v_duel.challenger_score THEN 'tie'
+             WHEN (v_score < v_duel.challenger_score) = COALESCE(v_lower, false) THEN 'opponent'
+             ELSE 'challenger'
+           END
+     WHERE id = p_duel_id;
+  END IF;
+
+  RETURN public.get_duel(p_duel_id);
+END;
+$$;
@@ -0,0 +1,295 @@
+/**
+ * AMIGOS: solicitudes de amistad + rankings solo de amigos
+ *
+ * Modelo:
+ *  - `friendships`: una fila por pareja (requester → addressee) con estado
+ *    'pending' o 'accepted'. Un índice único sobre la pareja sin orden impide
+ *    tener A→B y B→A a la vez: si B envía solicitud a quien ya se la envió,
+ *    se acepta directamente.
+ *  - El cliente solo puede LEER sus filas; las escrituras van por RPC.
+ *
+ * RPCs:
+ *  - send_friend_request(p_user_id)                  → 'pending' | 'accepted'
+ *  - respond_friend_request(p_requester_id, p_accept) → 'accepted' | 'declined'
+ *  - remove_friend(p_user_id)       → borra amistad o solicitud (en cualquier sentido)
+ *  - get_friends_leaderboard(p_game_id, p_since, p_limit)
+ *      Igual que get_leaderboard / getTop5 pero solo tú + tus amigos.
+ *      p_since NULL = histórico (highscores).
+ *  - get_challenge_ranking(p_date, p_friends_only, p_limit)
+ *      Retos diarios completados ese día por jugador.
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: bd.sql, trigger_update_highscores.sql
+ */
+
+-- ═══ PASO 1: Tabla ═══
+
+CREATE TABLE IF NOT EXISTS public.friendships (
+    requester_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    addressee_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    responded_at TIMESTAMPTZ,
+    PRIMARY KEY (requester_id, addressee_id),
+    CHECK (requester_id <> addressee_id)
+);
+
+-- Una sola fila por pareja, sea cual sea el sentido
+CREATE UNIQUE INDEX IF NOT EXISTS uq_friendships_pair
+  ON public.friendships (LEAST(requester_id, addressee_id), GREATEST(requester_id, addressee_id));
+
+CREATE INDEX IF NOT EXISTS idx_friendships_addressee
+  ON public.friendships (addressee_id, status);
+
+ALTER TABLE public.friendships ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users read own friendships" ON public.friendships;
+CREATE POLICY "Users read own friendships" ON public.friendships
+  FOR SELECT USING (auth.uid() IN (requester_id, addressee_id));
+
+REVOKE INSERT, UPDATE, DELETE ON public.friendships FROM anon, authenticated;
+
+-- ═══ PASO 2: Amigos aceptados de un usuario (interno) ═══
+
+CREATE OR REPLACE FUNCTION public.friend_ids(p_user_id UUID)
+RETURNS SETOF UUID
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT CASE WHEN requester_id = p_user_id THEN addressee_id ELSE requester_id END
+    FROM public.friendships
+   WHERE status = 'accepted'
+     AND p_user_id IN (requester_id, addressee_id);
+$$;
+
+REVOKE ALL ON FUNCTION public.friend_ids(UUID) FROM PUBLIC, anon, authenticated;
+
+-- ═══ PASO 3: RPCs de solicitudes ═══
+
+CREATE OR REPLACE FUNCTION public.send_friend_request(p_user_id UUID)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_me      UUID := auth.uid();
+  v_row     public.friendships;
+BEGIN
+  IF v_me IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+  IF p_user_id IS NULL OR p_user_id = v_me THEN
+    RAISE EXCEPTION 'invalid_user';
+  END IF;
+
+  SELECT * INTO v_row
+    FROM public.friendships
+   WHERE (requester_id = v_me AND addressee_id = p_user_id)
+      OR (requester_id = p_user_id AND addressee_id = v_me);
+
+  -- Ya existe: si el otro me la había enviado, se acepta
+  IF v_row.requester_id IS NOT NULL THEN
+    IF v_row.status = 'pending' AND v_row.addressee_id = v_me THEN
+      UPDATE public.friendships
+         SET status = 'accepted', responded_at = NOW()
+       WHERE requester_id = p_user_id AND addressee_id = v_me;
+      RETURN 'accepted';
+    END IF;
+    RETURN v_row.status;
+  END IF;
+
+  INSERT INTO public.friendships (requester_id, addressee_id)
+  VALUES (v_me, p_user_id);
+
+  RETURN 'pending';
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.respond_friend_request(p_requester_id UUID, p_accept BOOLEAN)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_me UUID := auth.uid();
+BEGIN
+  IF v_me IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  IF p_accept THEN
+    UPDATE public.friendships
+       SET status = 'accepted', responded_at = NOW()
+     WHERE requester_id = p_requester_id AND addressee_id = v_me AND status = 'pending';
+  ELSE
+    DELETE FROM public.friendships
+     WHERE requester_id = p_requester_id AND addressee_id = v_me AND status = 'pending';
+  END IF;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'request_not_found';
+  END IF;
+
+  RETURN CASE WHEN p_accept THEN 'accepted' ELSE 'declined' END;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.remove_friend(p_user_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_me UUID := auth.uid();
+BEGIN
+  IF v_me IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  DELETE FROM public.friendships
+   WHERE (requester_id = v_me AND addressee_id = p_user_id)
+      OR (requester_id = p_user_id AND addressee_id = v_me);
+
+  RETURN FOUND;
+END;
+$$;
+
+-- ═══ PASO 4: RPC get_friends_leaderboard ═══
+-- Mismo formato que getTop5 (user_id, score, achieved_at, users{…}).
+
+CREATE OR REPLACE FUNCTION public.get_friends_leaderboard(
+  p_game_id TEXT,
+  p_since TIMESTAMPTZ DEFAULT NULL,
+  p_limit INT DEFAULT 20
+)
+RETURNS JSON
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_me    UUID := auth.uid();
+  v_lower BOOLEAN;
+BEGIN
+  IF v_me IS NULL THEN
+    RETURN '[]'::json;
+  END IF;
+
+  SELECT is_lower_better INTO v_lower FROM public.games WHERE id = p_game_id;
+
+  RETURN COALESCE((
+    WITH circle AS (
+      SELECT v_me AS user_id
+      UNION
+      SELECT public.friend_ids(v_me)
+    ),
+    best AS (
+      -- Histórico: highscores. Periodo: mejor marca en scores desde p_since.
+      SELECT h.user_id, h.score, h.achieved_at
+        FROM public.highscores h
+        JOIN circle c ON c.user_id = h.user_id
+       WHERE p_since IS NULL AND h.game_id = p_game_id
+      UNION ALL
+      SELECT * FROM (
+        SELECT DISTINCT ON (s.user_id) s.user_id, s.score, s.achieved_at
+          FROM public.scores s
+          JOIN circle c ON c.user_id = s.user_id
+         WHERE p_since IS NOT NULL
+           AND s.game_id = p_game_id
+           AND s.achieved_at >= p_since
+         ORDER BY s.user_id,
+                  CASE WHEN v_lower THEN s.score END ASC,
+                  CASE WHEN NOT v_lower THEN s.score END DESC,
+                  s.achieved_at ASC
+      ) period_best
+    ),
+    ranked AS (
+      SELECT b.user_id, b.score, b.achieved_at, u.username, u.equipped_avatar_id,
+             ROW_NUMBER() OVER (
+               ORDER BY CASE WHEN v_lower THEN b.score END ASC,
+                        CASE WHEN NOT v_lower THEN b.score END DESC,
+                        b.achieved_at ASC
+             ) AS pos
+        FROM best b
+        JOIN public.users u ON u.id = b.user_id
+    )
+    SELECT json_agg(
+             json_build_object(
+               'user_id',     r.user_id,
+               'score',       r.score,
+               'achieved_at', r.achieved_at,
+               'users', json_build_object(
+                 'username',           r.username,
+                 'equipped_avatar_id', r.equipped_avatar_id
+               )
+             )
+             ORDER BY r.pos
+           )
+      FROM ranked r
+     WHERE r.pos <= p_limit
+  ), '[]'::json);
+END;
+$$;
+
+-- ═══ PASO 5: RPC get_challenge_ranking ═══
+-- Retos completados (y reclamados) en un día, por jugador.
+-- Devuelve [{ user_id, username, equipped_avatar_id, completed, claimed }]
+-- ordenado por completados; en empate, quien terminó antes.
+
+CREATE OR REPLACE FUNCTION public.get_challenge_ranking(
+  p_date DATE,
+  p_friends_only BOOLEAN DEFAULT false,
+  p_limit INT DEFAULT 10
+)
+RETURNS JSON
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_me UUID := auth.uid();
+BEGIN
+  IF p_friends_only AND v_me IS NULL THEN
+    RETURN '[]'::json;
+  END IF;
+
+  RETURN COALESCE((
+    SELECT json_agg(
+             json_build_object(
+               'user_id',            t.user_id,
+               'username',           t.username,
+               'equipped_avatar_id', t.equipped_avatar_id,
+               'completed',          t.completed,
+               'claimed',            t.claimed
+             )
+             ORDER BY t.completed DESC, t.claimed DESC, t.last_update ASC
+           )
+      FROM (
+        SELECT ucp.user_id, u.username, u.equipped_avatar_id,
+               COUNT(*) FILTER (WHERE ucp.current_progress >= dc.target_plays) AS completed,
+               COUNT(*) FILTER (WHERE ucp.is_claimed) AS claimed,
+               MAX(ucp.updated_at) AS last_update
+          FROM public.user_challenge_progress ucp
+          JOIN public.daily_challenges dc ON dc.id = ucp.challenge_id
+          JOIN public.users u ON u.id = ucp.user_id
+         WHERE dc.active_date = p_date
+           AND (
+             NOT p_friends_only
+             OR ucp.user_id = v_me
+             OR ucp.user_id IN (SELECT public.friend_ids(v_me))
+           )
+         GROUP BY ucp.user_id, u.username, u.equipped_avatar_id
+        HAVING COUNT(*) FILTER (WHERE ucp.current_progress >= dc.target_plays) > 0
+         ORDER BY completed DESC, claimed DESC, last_update ASC
+         LIMIT p_limit
+      ) t
+  ), '[]'::json);
+END;
+$$;
@@ -28,13 +28,15 @@ INSERT INTO games (id, name, is_lower_better) VALUES
   ('crossroad-dart', 'Crossroad Dart',  false),
   ('mental-math',    'Mental Math',    false),
   ('perfect-circle', 'Perfect Circle', false),
-  ('higer-lower', 'Higher or Lower', false),
+  ('higher-lower', 'Higher or Lower', false),
   ('memory-loop', 'Memory Loop', false),
   ('overheat', 'Overheat', false),
   ('memory-sequence', 'Memory Sequence', false),
   ('core-escape',     'Core Escape',     false),
   ('neon-chrono',     'Neon Chrono',     false),
-  ('ghost-pong',      'Ghost Pong',      false)
+  ('ghost-pong',      'Ghost Pong',      false),
+  ('hextris',         'Hextris',         false),
+  ('2048',            '2048',            false)
 
 ON CONFLICT (id) DO UPDATE SET
   name            = EXCLUDED.name,
@@ -0,0 +1,135 @@
+/**
+ * LEADERBOARDS POR PERIODO: diario, semanal y mensual
+ *
+ * El Top 5 histórico sigue saliendo de `highscores` (1 fila por usuario+juego).
+ * Para los periodos se calcula desde `scores`: la mejor marca de cada usuario
+ * con achieved_at >= p_since.
+ *
+ * p_since lo calcula el cliente (src/utils/dateUtils.js → getSpanishPeriodStart)
+ * como la medianoche de Europe/Madrid del inicio del día / semana (lunes) / mes,
+ * así frontend y BD comparten las mismas fronteras.
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: bd.sql
+ */
+
+-- ═══ PASO 1: Índice para filtrar por juego + fecha ═══
+
+CREATE INDEX IF NOT EXISTS idx_scores_game_achieved
+  ON public.scores (game_id, achieved_at DESC);
+
+-- ═══ PASO 2: RPC get_leaderboard ═══
+-- Devuelve el mismo formato que getTop5 (user_id, score, achieved_at, users{…})
+-- para reutilizar formatRanking en el cliente.
+
+CREATE OR REPLACE FUNCTION public.get_leaderboard(
+  p_game_id TEXT,
+  p_since TIMESTAMPTZ,
+  p_limit INT DEFAULT 5
+)
+RETURNS JSON
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_lower BOOLEAN;
+BEGIN
+  SELECT is_lower_better INTO v_lower FROM public.games WHERE id = p_game_id;
+
+  RETURN COALESCE((
+    SELECT json_agg(
+             json_build_object(
+               'user_id',     t.user_id,
+               'score',       t.score,
+               'achieved_at', t.achieved_at,
+               'users', json_build_object(
+                 'username',           t.username,
+                 'equipped_avatar_id', t.equipped_avatar_id
+               )
+             )
+             ORDER BY t.pos
+           )
+      FROM (
+        SELECT b.user_id, b.score, b.achieved_at, u.username, u.equipped_avatar_id,
+               ROW_NUMBER() OVER (
+                 ORDER BY CASE WHEN v_lower THEN b.score END ASC,
+                          CASE WHEN NOT v_lower THEN b.score END DESC,
+                          b.achieved_at ASC
+               ) AS pos
+          FROM (
+            -- Mejor marca de cada usuario en el periodo (la más antigua en empate)
+            SELECT DISTINCT ON (s.user_id) s.user_id, s.score, s.achieved_at
+              FROM public.scores s
+             WHERE s.game_id = p_game_id
+               AND s.achieved_at >= p_since
+               AND s.user_id IS NOT NULL
+             ORDER BY s.user_id,
+                      CASE WHEN v_lower THEN s.score END ASC,
+                      CASE WHEN NOT v_lower THEN s.score END DESC,
+                      s.achieved_at ASC
+          ) b
+          JOIN public.users u ON u.id = b.user_id
+      ) t
+     WHERE t.pos <= p_limit
+  ), '[]'::json);
+END;
+$$;
+
+-- ═══ PASO 3: RPC get_leaderboard_slice ("Jugadores cerca de ti") ═══
+-- Ranking histórico (highscores) alrededor del usuario: p_radius puestos por
+-- encima y por debajo. Mismo orden que getTop5 (desempate: el más antiguo).
+-- Devuelve { is_lower_better, rows: [{ pos, user_id, score, username, equipped_avatar_id }] }
+-- o rows = [] si el usuario no tiene marca en ese juego.
+
+CREATE OR REPLACE FUNCTION public.get_leaderboard_slice(
+  p_game_id TEXT,
+  p_user_id UUID,
+  p_radius INT DEFAULT 2
+)
+RETURNS JSON
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_lower BOOLEAN;
+BEGIN
+  SELECT is_lower_better INTO v_lower FROM public.games WHERE id = p_game_id;
+
+  RETURN (
+    WITH ranked AS (
+      SELECT ROW_NUMBER() OVER (
+               ORDER BY CASE WHEN v_lower THEN h.score END ASC,
+                        CASE WHEN NOT v_lower THEN h.score END DESC,
+                        h.achieved_at ASC
+             ) AS pos,
+             h.user_id,
+             h.score
+        FROM public.highscores h
+       WHERE h.game_id = p_game_id
+    ),
+    me AS (
+      SELECT pos FROM ranked WHERE user_id = p_user_id
+    )
+    SELECT json_build_object(
+      'is_lower_better', COALESCE(v_lower, false),
+      'rows', COALESCE(json_agg(
+                json_build_object(
+                  'pos',                r.pos,
+                  'user_id',            r.user_id,
+                  'score',              r.score,
+                  'username',           u.username,
+                  'equipped_avatar_id', u.equipped_avatar_id
+                )
+                ORDER BY r.pos
+              ), '[]'::json)
+    )
+      FROM ranked r
+      JOIN me ON r.pos BETWEEN me.pos - p_radius AND me.pos + p_radius
+      JOIN public.users u ON u.id = r.user_id
+  );
+END;
+$$;
@@ -0,0 +1,72 @@
+/**
+ * LIKES: user_likes + contador games.total_likes
+ *
+ * Las tablas se crearon a mano en su día y no estaban en ningún script:
+ * getLikesMap / toggleLike (gameService) y GET/POST /api/games/…/like leen
+ * y escriben aquí.
+ *
+ *  - user_likes         → 1 fila por usuario + juego (el toggle la crea / borra)
+ *  - games.total_likes  → total cacheado, lo mantiene el trigger
+ *                         trigger_update_likes_count (nunca baja de 0)
+ *
+ * Idempotente: en una BD donde ya existen solo añade lo que falte.
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: bd.sql
+ */
+
+-- ═══ PASO 1: Contador y tabla ═══
+
+ALTER TABLE public.games
+  ADD COLUMN IF NOT EXISTS total_likes BIGINT NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS public.user_likes (
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    game_id VARCHAR(50) NOT NULL REFERENCES public.games(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, game_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_likes_game ON public.user_likes (game_id);
+
+-- ═══ PASO 2: RLS — cada usuario gestiona sus propios likes ═══
+
+ALTER TABLE public.user_likes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users read own likes" ON public.user_likes;
+CREATE POLICY "Users read own likes" ON public.user_likes
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users add own likes" ON public.user_likes;
+CREATE POLICY "Users add own likes" ON public.user_likes
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users remove own likes" ON public.user_likes;
+CREATE POLICY "Users remove own likes" ON public.user_likes
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- ═══ PASO 3: Trigger del contador ═══
+
+CREATE OR REPLACE FUNCTION public.update_likes_count()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    UPDATE public.games SET total_likes = total_likes + 1 WHERE id = NEW.game_id;
+    RETURN NEW;
+  END IF;
+
+  UPDATE public.games SET total_likes = GREATEST(total_likes - 1, 0) WHERE id = OLD.game_id;
+  RETURN OLD;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.update_likes_count() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS trigger_update_likes_count ON public.user_likes;
+CREATE TRIGGER trigger_update_likes_count
+  AFTER INSERT OR DELETE ON public.user_likes
+  FOR EACH ROW EXECUTE FUNCTION public.update_likes_count();
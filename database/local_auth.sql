@@ -0,0 +1,60 @@
+/**
+ * AUTH LOCAL: sustituto mínimo del esquema `auth` de Supabase
+ *
+ * Permite ejecutar los mismos scripts de database/ (bd.sql, RPCs con
+ * auth.uid(), políticas RLS…) contra un PostgreSQL local, para desarrollar
+ * con el backend Express (VITE_BACKEND=local) sin Supabase:
+ *
+ *  - auth.users        → id, email, encrypted_password (bcrypt, lo escribe
+ *                        POST /api/auth) y raw_user_meta_data { username }.
+ *                        El trigger on_auth_user_created de bd.sql crea la
+ *                        fila de public.users igual que en Supabase.
+ *  - auth.uid()        → lee `request.jwt.claim.sub`, que server/dataApi.js
+ *                        fija por transacción (como hace PostgREST).
+ *  - roles anon / authenticated → existen para que los GRANT / REVOKE de
+ *                        los scripts no fallen.
+ *
+ * NO ejecutar en Supabase: allí el esquema `auth` ya existe.
+ *
+ * EJECUTAR EN: PostgreSQL local, con `cd server && npm run db:setup`
+ * (migración 1, antes de bd.sql; ver server/migrations.js).
+ * Requiere: base de datos vacía (db:setup la crea si no existe)
+ */
+
+-- ═══ PASO 1: Extensiones y roles ═══
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+    CREATE ROLE anon NOLOGIN;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authenticated') THEN
+    CREATE ROLE authenticated NOLOGIN;
+  END IF;
+END;
+$$;
+
+-- ═══ PASO 2: Esquema y tabla auth.users ═══
+
+CREATE SCHEMA IF NOT EXISTS auth;
+
+CREATE TABLE IF NOT EXISTS auth.users (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email TEXT UNIQUE,
+    encrypted_password TEXT,
+    raw_user_meta_data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ═══ PASO 3: auth.uid() ═══
+-- NULL si la petición no lleva usuario (igual que una llamada anónima).
+
+CREATE OR REPLACE FUNCTION auth.uid()
+RETURNS UUID
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT NULLIF(current_setting('request.jwt.claim.sub', true), '')::uuid;
+$$;
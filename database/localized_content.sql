@@ -0,0 +1,46 @@
+/**
+ * CONTENIDO LOCALIZADO: textos de la BD en cualquier idioma
+ *
+ * Las columnas _es / _en siguen siendo la fuente principal (y el fallback).
+ * Para el resto de idiomas, retos y avatares llevan una columna JSONB:
+ *
+ *   translations = { "fr": { "title": "...", "description": "..." }, ... }
+ *
+ * Campos por tabla:
+ *  - daily_challenges → title, description
+ *  - avatars          → name, description
+ *
+ * El cliente (i18n.jsx → localized(row, field)) recorre la cadena de
+ * fallback del idioma (fr → en → es): primero translations[idioma][campo]
+ * y luego la columna <campo>_<idioma>. Añadir un idioma no toca el esquema.
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: bd.sql, daily_challenge_generator.sql
+ */
+
+-- ═══ PASO 1: Columnas ═══
+
+ALTER TABLE public.daily_challenges
+  ADD COLUMN IF NOT EXISTS translations JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE public.avatars
+  ADD COLUMN IF NOT EXISTS translations JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- ═══ PASO 2: Forma { idioma: { campo: texto } } ═══
+
+ALTER TABLE public.daily_challenges
+  DROP CONSTRAINT IF EXISTS daily_challenges_translations_check;
+ALTER TABLE public.daily_challenges
+  ADD CONSTRAINT daily_challenges_translations_check
+  CHECK (jsonb_typeof(translations) = 'object');
+
+ALTER TABLE public.avatars
+  DROP CONSTRAINT IF EXISTS avatars_translations_check;
+ALTER TABLE public.avatars
+  ADD CONSTRAINT avatars_translations_check
+  CHECK (jsonb_typeof(translations) = 'object');
+
+-- ═══ PASO 3 (opcional): Ejemplo de traducción de un avatar ═══
+-- UPDATE public.avatars
+--    SET translations = translations || '{"fr": {"name": "...", "description": "..."}}'::jsonb
+--  WHERE id = '...';
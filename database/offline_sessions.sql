@@ -0,0 +1,333 @@
+/**
+ * SESIONES RESERVADAS PARA LAS PARTIDAS OFFLINE
+ *
+ * submit_offline_score aceptaba cualquier puntuación dentro del rango del
+ * juego sin sesión ni duración, y guardaba como achieved_at la fecha que
+ * mandaba el cliente (que decide duelos y rachas). Ahora:
+ *
+ *  1. Con conexión → RPC reserve_offline_sessions()
+ *     Rellena hasta 2 sesiones sin usar por juego (válidas 7 días) y las
+ *     devuelve firmadas: [{ game_id, session_id, token }]. El cliente las
+ *     guarda para cuando se quede sin red.
+ *
+ *  2. Partida sin red → se encola con una de esas sesiones
+ *
+ *  3. Al reconectar → RPC submit_offline_score(p_client_id, p_session_id,
+ *     p_token, p_score, p_played_at). Comprueba:
+ *       - La sesión es del usuario, no se ha usado, la firma es válida y
+ *         no ha caducado (el juego sale de la sesión, no del cliente)
+ *       - Las reglas del juego (game_score_rules), con la duración medida
+ *         desde que se emitió la sesión
+ *       - Como mucho 200 envíos offline por usuario y día
+ *     Si pasa → INSERT en scores con achieved_at = NOW() y offline = true.
+ *
+ * p_played_at solo decide si la partida cuenta para los retos de hoy, y se
+ * recorta entre la emisión de la sesión y NOW(). Como la hora real de la
+ * partida no se puede verificar, los scores offline no cuentan para los
+ * duelos ni para la racha.
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: score_validation.sql, offline_scores.sql, duels.sql, streaks.sql,
+ *           xp_rules.sql, challenge_progress_lockdown.sql
+ */
+
+-- ═══ PASO 1: Tablas ═══
+
+CREATE TABLE IF NOT EXISTS public.offline_game_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    game_id VARCHAR(50) NOT NULL REFERENCES public.games(id) ON DELETE CASCADE,
+    issued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    consumed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_offline_sessions_user
+  ON public.offline_game_sessions (user_id, game_id) WHERE consumed_at IS NULL;
+
+-- Sin políticas → solo accesible desde SECURITY DEFINER
+ALTER TABLE public.offline_game_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Partidas que llegaron por la cola offline (hora de juego sin verificar)
+ALTER TABLE public.scores ADD COLUMN IF NOT EXISTS offline BOOLEAN NOT NULL DEFAULT false;
+
+-- ═══ PASO 2: Firma (HMAC con la misma clave que game_sessions) ═══
+
+CREATE OR REPLACE FUNCTION public.sign_offline_session(p_session public.offline_game_sessions)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+  SELECT encode(
+    hmac(
+      'offline:' || p_session.id::text || ':' || p_session.user_id::text || ':' ||
+      p_session.game_id || ':' || extract(epoch FROM p_session.issued_at)::text,
+      (SELECT value FROM public.app_secrets WHERE name = 'score_session_key'),
+      'sha256'
+    ),
+    'hex'
+  );
+$$;
+
+REVOKE ALL ON FUNCTION public.sign_offline_session(public.offline_game_sessions) FROM PUBLIC, anon, authenticated;
+
+-- ═══ PASO 3: RPC reserve_offline_sessions ═══
+
+CREATE OR REPLACE FUNCTION public.reserve_offline_sessions()
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  -- Caducadas sin usar → fuera
+  DELETE FROM public.offline_game_sessions
+   WHERE user_id = v_user_id
+     AND consumed_at IS NULL
+     AND issued_at <= NOW() - INTERVAL '7 days';
+
+  -- Hasta 2 sin usar por juego
+  INSERT INTO public.offline_game_sessions (user_id, game_id)
+  SELECT v_user_id, g.id
+    FROM public.games g
+   CROSS JOIN generate_series(1, 2) AS slot
+   WHERE slot > (
+     SELECT COUNT(*) FROM public.offline_game_sessions s
+      WHERE s.user_id = v_user_id AND s.game_id = g.id AND s.consumed_at IS NULL
+   );
+
+  RETURN (
+    SELECT COALESCE(json_agg(json_build_object(
+             'game_id',    s.game_id,
+             'session_id', s.id,
+             'token',      public.sign_offline_session(s)
+           ) ORDER BY s.game_id, s.issued_at), '[]'::json)
+      FROM public.offline_game_sessions s
+     WHERE s.user_id = v_user_id
+       AND s.consumed_at IS NULL
+  );
+END;
+$$;
+
+-- ═══ PASO 4: RPC submit_offline_score (con sesión reservada) ═══
+
+DROP FUNCTION IF EXISTS public.submit_offline_score(UUID, TEXT, INT, TIMESTAMPTZ);
+
+CREATE OR REPLACE FUNCTION public.submit_offline_score(
+  p_client_id UUID,
+  p_session_id UUID,
+  p_token TEXT,
+  p_score INT,
+  p_played_at TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_user_id     UUID := auth.uid();
+  v_session     public.offline_game_sessions;
+  v_rules       public.game_score_rules;
+  v_duration_ms INT;
+  v_played_at   TIMESTAMPTZ;
+  v_reason      TEXT;
+  v_xp          INT := 0;
+  v_today       DATE := (NOW() AT TIME ZONE 'Europe/Madrid')::date;
+  v_challenges  JSONB := '[]'::jsonb;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  -- 1) Ya recibido → idempotente
+  IF EXISTS (SELECT 1 FROM public.offline_score_receipts WHERE client_id = p_client_id) THEN
+    RETURN json_build_object('accepted', false, 'reason', 'duplicate');
+  END IF;
+
+  -- 2) Sesión reservada: del usuario, sin usar, firmada y sin caducar
+  SELECT * INTO v_session
+    FROM public.offline_game_sessions
+   WHERE id = p_session_id
+     FOR UPDATE;
+
+  IF v_session.id IS NULL OR v_session.user_id <> v_user_id THEN
+    v_reason := 'invalid_session';
+  ELSIF v_session.consumed_at IS NOT NULL THEN
+    v_reason := 'session_reused';
+  ELSIF p_token IS DISTINCT FROM public.sign_offline_session(v_session) THEN
+    v_reason := 'bad_signature';
+  ELSIF v_session.issued_at <= NOW() - INTERVAL '7 days' THEN
+    v_reason := 'stale';
+  END IF;
+
+  -- La partida no pudo empezar antes de reservar la sesión ni acabar en el futuro
+  IF v_session.id IS NOT NULL THEN
+    v_duration_ms := (extract(epoch FROM (NOW() - v_session.issued_at)) * 1000)::INT;
+    v_played_at := LEAST(GREATEST(COALESCE(p_played_at, NOW()), v_session.issued_at), NOW());
+  END IF;
+
+  -- 3) Plausibilidad según las reglas del juego + límite diario
+  IF v_reason IS NULL THEN
+    SELECT * INTO v_rules FROM public.game_score_rules WHERE game_id = v_session.game_id;
+
+    IF v_rules.game_id IS NOT NULL AND v_duration_ms < v_rules.min_duration_ms THEN
+      v_reason := 'too_fast';
+    ELSIF v_rules.game_id IS NOT NULL
+      AND (p_score < v_rules.min_score OR p_score > v_rules.max_score) THEN
+      v_reason := 'out_of_range';
+    ELSIF v_rules.max_score_per_sec IS NOT NULL
+      AND p_score > v_rules.max_score_per_sec * GREATEST(v_duration_ms / 1000.0, 1) THEN
+      v_reason := 'rate_exceeded';
+    ELSIF (
+      SELECT COUNT(*) FROM public.offline_score_receipts
+       WHERE user_id = v_user_id AND created_at > NOW() - INTERVAL '1 day'
+    ) >= 200 THEN
+      v_reason := 'rate_exceeded';
+    END IF;
+  END IF;
+
+  -- La sesión se consume siempre (aceptada o no) y queda el recibo
+  IF v_session.id IS NOT NULL AND v_session.user_id = v_user_id THEN
+    UPDATE public.offline_game_sessions SET consumed_at = NOW() WHERE id = v_session.id;
+
+    INSERT INTO public.offline_score_receipts (client_id, user_id, game_id, score, accepted, played_at)
+    VALUES (p_client_id, v_user_id, v_session.game_id, p_score, v_reason IS NULL, v_played_at);
+  END IF;
+
+  IF v_reason IS NOT NULL THEN
+    INSERT INTO public.rejected_scores (user_id, game_id, session_id, score, duration_ms, reason)
+    VALUES (v_user_id, v_session.game_id, p_session_id, p_score, v_duration_ms, 'offline_' || v_reason);
+
+    RETURN json_build_object('accepted', false, 'reason', v_reason);
+  END IF;
+
+  -- 4) Aceptado → score con la hora del servidor, marcado como offline + XP
+  INSERT INTO public.scores (user_id, game_id, score, offline)
+  VALUES (v_user_id, v_session.game_id, p_score, true);
+
+  v_xp := LEAST(public.compute_game_xp(v_session.game_id, p_score), COALESCE(v_rules.max_xp, 100));
+
+  IF v_xp > 0 THEN
+    PERFORM public.apply_currency_tx(v_user_id, 'xp', v_xp, 'game_xp', p_client_id::text);
+  END IF;
+
+  -- 5) Retos del día: solo las partidas jugadas hoy (hora de Madrid)
+  IF (v_played_at AT TIME ZONE 'Europe/Madrid')::date = v_today THEN
+    v_challenges := public.advance_daily_challenges(v_user_id, v_session.game_id, p_score, v_today);
+  END IF;
+
+  RETURN json_build_object('accepted', true, 'xp_granted', v_xp, 'challenges', v_challenges);
+END;
+$$;
+
+-- ═══ PASO 5: Duelos y racha sin scores offline ═══
+-- Iguales que las de duels.sql y streaks.sql salvo el filtro
+
+CREATE OR REPLACE FUNCTION public.create_duel(p_game_id TEXT)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_me    UUID := auth.uid();
+  v_score INT;
+  v_id    UUID;
+BEGIN
+  IF v_me IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  -- Última partida guardada del retador en ese juego (máx. 1 hora de antigüedad)
+  SELECT score INTO v_score
+    FROM public.scores
+   WHERE user_id = v_me
+     AND game_id = p_game_id
+     AND NOT offline
+     AND achieved_at > NOW() - INTERVAL '1 hour'
+   ORDER BY achieved_at DESC
+   LIMIT 1;
+
+  IF v_score IS NULL THEN
+    RAISE EXCEPTION 'no_recent_score';
+  END IF;
+
+  INSERT INTO public.duels (game_id, challenger_id, challenger_score)
+  VALUES (p_game_id, v_me, v_score)
+  RETURNING id INTO v_id;
+
+  RETURN v_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.settle_duel(p_duel_id UUID)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_me    UUID := auth.uid();
+  v_duel  public.duels;
+  v_lower BOOLEAN;
+  v_score INT;
+BEGIN
+  SELECT * INTO v_duel FROM public.duels WHERE id = p_duel_id FOR UPDATE;
+
+  IF v_duel.id IS NULL OR v_duel.opponent_id IS DISTINCT FROM v_me THEN
+    RAISE EXCEPTION 'not_participant';
+  END IF;
+
+  IF v_duel.status = 'accepted' THEN
+    SELECT score INTO v_score
+      FROM public.scores
+     WHERE user_id = v_me
+       AND game_id = v_duel.game_id
+       AND achieved_at >= v_duel.accepted_at
+       AND NOT offline
+     ORDER BY achieved_at ASC
+     LIMIT 1;
+
+    IF v_score IS NULL THEN
+      RETURN NULL;
+    END IF;
+
+    SELECT is_lower_better INTO v_lower FROM public.games WHERE id = v_duel.game_id;
+
+    UPDATE public.duels
+       SET opponent_score = v_score,
+           status = 'finished',
+           finished_at = NOW(),
+           winner = CASE
+             WHEN v_score = v_duel.challenger_score THEN 'tie'
+             WHEN (v_score < v_duel.challenger_score) = COALESCE(v_lower, false) THEN 'opponent'
+             ELSE 'challenger'
+           END
+     WHERE id = p_duel_id;
+  END IF;
+
+  RETURN public.get_duel(p_duel_id);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.trg_streak_on_score()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.user_id IS NOT NULL AND NOT NEW.offline THEN
+    PERFORM public.touch_streak(NEW.user_id);
+  END IF;
+  RETURN NEW;
+END;
+$$;
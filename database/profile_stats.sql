@@ -0,0 +1,56 @@
+/**
+ * PERFIL PÚBLICO: get_user_profile_stats
+ *
+ * Posición del jugador en el ranking histórico (`highscores`) de cada juego,
+ * con el mismo orden que getTop5 (is_lower_better; en empate, el más antiguo).
+ * La usan PublicProfileModal y "Mi cuenta" vía profileService.
+ *
+ * Devuelve:
+ *   { top1Count, top5Count,
+ *     bestPositions: [{ game_id, game_name, position, score }] }  ← mejor puesto primero
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: bd.sql, trigger_update_highscores.sql
+ */
+
+CREATE OR REPLACE FUNCTION public.get_user_profile_stats(p_user_id UUID)
+RETURNS JSON
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN (
+    WITH ranked AS (
+      SELECT h.game_id, h.user_id, h.score,
+             ROW_NUMBER() OVER (
+               PARTITION BY h.game_id
+               ORDER BY CASE WHEN g.is_lower_better THEN h.score END ASC,
+                        CASE WHEN NOT g.is_lower_better THEN h.score END DESC,
+                        h.achieved_at ASC
+             ) AS position,
+             g.name AS game_name
+        FROM public.highscores h
+        JOIN public.games g ON g.id = h.game_id
+    ),
+    mine AS (
+      SELECT * FROM ranked WHERE user_id = p_user_id
+    )
+    SELECT json_build_object(
+      'top1Count', COUNT(*) FILTER (WHERE position = 1),
+      'top5Count', COUNT(*) FILTER (WHERE position <= 5),
+      'bestPositions', COALESCE(json_agg(
+                         json_build_object(
+                           'game_id',   game_id,
+                           'game_name', game_name,
+                           'position',  position,
+                           'score',     score
+                         )
+                         ORDER BY position, game_name
+                       ), '[]'::json)
+    )
+    FROM mine
+  );
+END;
+$$;
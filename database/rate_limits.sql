@@ -0,0 +1,32 @@
+/**
+ * RATE LIMITS: contadores compartidos del servidor Express
+ *
+ * Store de server/rateLimit.js con RATE_LIMIT_STORE=postgres: una fila por
+ * bucket (límite + IP o usuario, o bloqueo de login) con las peticiones de
+ * la ventana actual. Con varias instancias del servidor todas cuentan aquí;
+ * con el store en memoria (por defecto) esta tabla no se usa.
+ *
+ * Solo escribe y lee el servidor: el cliente de Supabase no tiene acceso.
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: roles anon / authenticated (Supabase o local_auth.sql)
+ */
+
+-- ═══ PASO 1: Tabla ═══
+
+CREATE TABLE IF NOT EXISTS public.rate_limits (
+    key TEXT PRIMARY KEY,                     -- "scores:user:<uuid>", "auth:ip:<ip>", "lockout:<cuenta>:<ip>"…
+    count INT4 NOT NULL DEFAULT 0,            -- peticiones en la ventana
+    reset_at TIMESTAMPTZ NOT NULL             -- fin de la ventana
+);
+
+-- ═══ PASO 2: Índice (limpieza de ventanas vencidas) ═══
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_reset_at
+  ON public.rate_limits (reset_at);
+
+-- ═══ PASO 3: Sin acceso desde el cliente ═══
+
+ALTER TABLE public.rate_limits ENABLE ROW LEVEL SECURITY;
+
+REVOKE ALL ON public.rate_limits FROM anon, authenticated;
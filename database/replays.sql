@@ -0,0 +1,100 @@
+/**
+ * REPLAYS: repeticiones de las partidas del Top 5
+ *
+ * Los juegos que se apuntan al sistema de replays (semilla + eventos de input,
+ * ver src/hooks/useReplayRecorder.js) envían la repetición compacta de la
+ * partida al terminar. Solo se guarda si esa partida es el récord del usuario
+ * y está en el Top 5 del juego → 1 replay por usuario y juego.
+ *
+ * Además de verlas en el GameOverPanel, sirven para revisar a mano las
+ * puntuaciones sospechosas (rejected_scores).
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: bd.sql, trigger_update_highscores.sql
+ */
+
+-- ═══ PASO 1: Tabla ═══
+
+CREATE TABLE IF NOT EXISTS public.replays (
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    game_id VARCHAR(50) NOT NULL REFERENCES public.games(id) ON DELETE CASCADE,
+    score INT4 NOT NULL,
+    data JSONB NOT NULL,                 -- { v, seed, events: [[ms, type, value], …], … }
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, game_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_replays_game ON public.replays (game_id);
+
+ALTER TABLE public.replays ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Replays are public" ON public.replays;
+CREATE POLICY "Replays are public" ON public.replays
+  FOR SELECT USING (true);
+
+-- ═══ PASO 2: RPC save_replay ═══
+
+CREATE OR REPLACE FUNCTION public.save_replay(
+  p_game_id TEXT,
+  p_score INT,
+  p_data JSONB
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id    UUID := auth.uid();
+  v_lower      BOOLEAN;
+  v_best       INT;
+  v_position   INT;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  -- Replays compactos: 64 KB de sobra para cualquier partida real
+  IF octet_length(p_data::text) > 65536 THEN
+    RETURN false;
+  END IF;
+
+  SELECT is_lower_better INTO v_lower FROM public.games WHERE id = p_game_id;
+
+  -- La partida debe ser el récord actual del usuario…
+  SELECT score INTO v_best
+    FROM public.highscores
+   WHERE user_id = v_user_id AND game_id = p_game_id;
+
+  IF v_best IS NULL OR v_best <> p_score THEN
+    RETURN false;
+  END IF;
+
+  -- …y ese récord debe estar en el Top 5 (mismo orden que getTop5)
+  SELECT pos INTO v_position
+    FROM (
+      SELECT user_id,
+             ROW_NUMBER() OVER (
+               ORDER BY CASE WHEN v_lower THEN score END ASC,
+                        CASE WHEN NOT v_lower THEN score END DESC,
+                        achieved_at ASC
+             ) AS pos
+        FROM public.highscores
+       WHERE game_id = p_game_id
+    ) ranked
+   WHERE user_id = v_user_id;
+
+  IF v_position IS NULL OR v_position > 5 THEN
+    RETURN false;
+  END IF;
+
+  INSERT INTO public.replays (user_id, game_id, score, data)
+  VALUES (v_user_id, p_game_id, p_score, p_data)
+  ON CONFLICT (user_id, game_id) DO UPDATE SET
+    score      = EXCLUDED.score,
+    data       = EXCLUDED.data,
+    created_at = NOW();
+
+  RETURN true;
+END;
+$$;
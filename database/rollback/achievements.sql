@@ -0,0 +1,12 @@
+/**
+ * ROLLBACK: achievements.sql
+ *
+ * Quita la evaluación de logros. Los avatares ya concedidos se conservan.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP FUNCTION IF EXISTS public.evaluate_achievements();
+DROP FUNCTION IF EXISTS public.achievement_progress(UUID, TEXT);
+DROP INDEX IF EXISTS public.idx_avatars_unlock_type;
+DROP INDEX IF EXISTS public.idx_scores_user;
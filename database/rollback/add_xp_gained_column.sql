@@ -0,0 +1,10 @@
+/**
+ * ROLLBACK: add_xp_gained_column.sql
+ *
+ * Quita scores.xp_gained y su índice.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP INDEX IF EXISTS public.idx_scores_xp;
+ALTER TABLE public.scores DROP COLUMN IF EXISTS xp_gained;
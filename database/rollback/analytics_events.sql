@@ -0,0 +1,9 @@
+/**
+ * ROLLBACK: analytics_events.sql
+ *
+ * Borra los eventos de juego.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP TABLE IF EXISTS public.analytics_events;
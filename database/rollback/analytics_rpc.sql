@@ -0,0 +1,10 @@
+/**
+ * ROLLBACK: analytics_rpc.sql
+ *
+ * Quita el RPC de ingesta; en modo Supabase la analítica vuelve a no tener
+ * dónde escribir.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP FUNCTION IF EXISTS public.track_analytics_events(JSONB);
@@ -0,0 +1,22 @@
+/**
+ * ROLLBACK: bd.sql
+ *
+ * Borra el esquema base completo y TODOS sus datos.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
+DROP FUNCTION IF EXISTS public.handle_new_user();
+
+DROP TABLE IF EXISTS public.user_challenge_progress;
+DROP TABLE IF EXISTS public.daily_challenges;
+DROP TABLE IF EXISTS public.user_avatars;
+DROP TABLE IF EXISTS public.shop_items;
+DROP TABLE IF EXISTS public.survival_runs;
+DROP TABLE IF EXISTS public.highscores;
+DROP TABLE IF EXISTS public.scores;
+DROP FUNCTION IF EXISTS public.increment_game_plays();
+DROP TABLE IF EXISTS public.users;
+DROP TABLE IF EXISTS public.avatars;
+DROP TABLE IF EXISTS public.games;
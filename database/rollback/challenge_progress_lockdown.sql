@@ -0,0 +1,79 @@
+/**
+ * ROLLBACK: challenge_progress_lockdown.sql
+ *
+ * Devuelve las escrituras de user_challenge_progress al cliente y la
+ * submit_offline_score de xp_rules.sql (sin retos). El cliente de después de
+ * este cambio ya no avanza los retos de las partidas offline: revertir
+ * también el código o esas partidas dejarán de contar.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+GRANT INSERT, UPDATE, DELETE ON public.user_challenge_progress TO anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.submit_offline_score(
+  p_client_id UUID,
+  p_game_id TEXT,
+  p_score INT,
+  p_played_at TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_rules   public.game_score_rules;
+  v_reason  TEXT;
+  v_xp      INT := 0;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  -- 1) Ya recibido → idempotente
+  IF EXISTS (SELECT 1 FROM public.offline_score_receipts WHERE client_id = p_client_id) THEN
+    RETURN json_build_object('accepted', false, 'reason', 'duplicate');
+  END IF;
+
+  -- 2) Validaciones
+  SELECT * INTO v_rules FROM public.game_score_rules WHERE game_id = p_game_id;
+
+  IF NOT EXISTS (SELECT 1 FROM public.games WHERE id = p_game_id) THEN
+    v_reason := 'invalid_game';
+  ELSIF p_played_at > NOW() + INTERVAL '5 minutes' OR p_played_at < NOW() - INTERVAL '7 days' THEN
+    v_reason := 'stale';
+  ELSIF v_rules.game_id IS NOT NULL
+    AND (p_score < v_rules.min_score OR p_score > v_rules.max_score) THEN
+    v_reason := 'out_of_range';
+  ELSIF (
+    SELECT COUNT(*) FROM public.offline_score_receipts
+     WHERE user_id = v_user_id AND created_at > NOW() - INTERVAL '1 day'
+  ) >= 200 THEN
+    v_reason := 'rate_exceeded';
+  END IF;
+
+  INSERT INTO public.offline_score_receipts (client_id, user_id, game_id, score, accepted, played_at)
+  VALUES (p_client_id, v_user_id, p_game_id, p_score, v_reason IS NULL, p_played_at);
+
+  IF v_reason IS NOT NULL THEN
+    INSERT INTO public.rejected_scores (user_id, game_id, score, reason)
+    VALUES (v_user_id, p_game_id, p_score, 'offline_' || v_reason);
+
+    RETURN json_build_object('accepted', false, 'reason', v_reason);
+  END IF;
+
+  -- 3) Aceptado → score con la fecha real de la partida + XP por el ledger
+  INSERT INTO public.scores (user_id, game_id, score, achieved_at)
+  VALUES (v_user_id, p_game_id, p_score, LEAST(p_played_at, NOW()));
+
+  v_xp := LEAST(public.compute_game_xp(p_game_id, p_score), COALESCE(v_rules.max_xp, 100));
+
+  IF v_xp > 0 THEN
+    PERFORM public.apply_currency_tx(v_user_id, 'xp', v_xp, 'game_xp', p_client_id::text);
+  END IF;
+
+  RETURN json_build_object('accepted', true, 'xp_granted', v_xp);
+END;
+$$;
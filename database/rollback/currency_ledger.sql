@@ -0,0 +1,17 @@
+/**
+ * ROLLBACK: currency_ledger.sql
+ *
+ * Borra el ledger y sus RPCs. Los saldos cacheados (users.xp / coins) se conservan.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP FUNCTION IF EXISTS public.purchase_avatar(TEXT);
+DROP FUNCTION IF EXISTS public.claim_full_clear_bonus();
+DROP FUNCTION IF EXISTS public.claim_challenge_reward(UUID);
+DROP FUNCTION IF EXISTS public.apply_currency_tx(UUID, TEXT, INT, TEXT, TEXT);
+
+GRANT UPDATE ON public.users TO authenticated;
+GRANT INSERT, UPDATE, DELETE ON public.user_avatars TO authenticated;
+
+DROP TABLE IF EXISTS public.currency_transactions;
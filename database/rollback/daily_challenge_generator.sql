@@ -0,0 +1,14 @@
+/**
+ * ROLLBACK: daily_challenge_generator.sql
+ *
+ * Quita las columnas del generador de retos.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP INDEX IF EXISTS public.idx_daily_challenges_date_game;
+ALTER TABLE public.daily_challenges
+  DROP CONSTRAINT IF EXISTS daily_challenges_difficulty_check,
+  DROP COLUMN IF EXISTS target_lower_better,
+  DROP COLUMN IF EXISTS template,
+  DROP COLUMN IF EXISTS difficulty;
@@ -0,0 +1,13 @@
+/**
+ * ROLLBACK: duels.sql
+ *
+ * Borra los duelos.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP FUNCTION IF EXISTS public.settle_duel(UUID);
+DROP FUNCTION IF EXISTS public.accept_duel(UUID);
+DROP FUNCTION IF EXISTS public.get_duel(UUID);
+DROP FUNCTION IF EXISTS public.create_duel(TEXT);
+DROP TABLE IF EXISTS public.duels;
@@ -0,0 +1,15 @@
+/**
+ * ROLLBACK: friends.sql
+ *
+ * Borra amistades y rankings entre amigos.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP FUNCTION IF EXISTS public.get_challenge_ranking(DATE, BOOLEAN, INT);
+DROP FUNCTION IF EXISTS public.get_friends_leaderboard(TEXT, TIMESTAMPTZ, INT);
+DROP FUNCTION IF EXISTS public.remove_friend(UUID);
+DROP FUNCTION IF EXISTS public.respond_friend_request(UUID, BOOLEAN);
+DROP FUNCTION IF EXISTS public.send_friend_request(UUID);
+DROP FUNCTION IF EXISTS public.friend_ids(UUID);
+DROP TABLE IF EXISTS public.friendships;
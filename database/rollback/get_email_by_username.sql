@@ -0,0 +1,9 @@
+/**
+ * ROLLBACK: get_email_by_username.sql
+ *
+ * Quita el RPC de login por nombre de usuario.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP FUNCTION IF EXISTS public.get_email_by_username(TEXT);
@@ -0,0 +1,9 @@
+/**
+ * ROLLBACK: insertGames.sql
+ *
+ * Vacía el catálogo de juegos (en cascada: puntuaciones, sesiones, reglas…).
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DELETE FROM public.games;
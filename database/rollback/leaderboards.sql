@@ -0,0 +1,11 @@
+/**
+ * ROLLBACK: leaderboards.sql
+ *
+ * Quita los rankings por periodo y "Jugadores cerca de ti".
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP FUNCTION IF EXISTS public.get_leaderboard_slice(TEXT, UUID, INT);
+DROP FUNCTION IF EXISTS public.get_leaderboard(TEXT, TIMESTAMPTZ, INT);
+DROP INDEX IF EXISTS public.idx_scores_game_achieved;
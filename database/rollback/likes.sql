@@ -0,0 +1,11 @@
+/**
+ * ROLLBACK: likes.sql
+ *
+ * Borra user_likes, su trigger y games.total_likes.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP TABLE IF EXISTS public.user_likes;
+DROP FUNCTION IF EXISTS public.update_likes_count();
+ALTER TABLE public.games DROP COLUMN IF EXISTS total_likes;
@@ -0,0 +1,9 @@
+/**
+ * ROLLBACK: local_auth.sql
+ *
+ * Elimina el esquema auth local (y con él auth.users y auth.uid()). Los roles anon / authenticated se conservan: pueden tener permisos en otras BDs del clúster.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP SCHEMA IF EXISTS auth CASCADE;
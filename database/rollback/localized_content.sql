@@ -0,0 +1,10 @@
+/**
+ * ROLLBACK: localized_content.sql
+ *
+ * Quita las traducciones de retos y avatares.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+ALTER TABLE public.daily_challenges DROP COLUMN IF EXISTS translations;
+ALTER TABLE public.avatars DROP COLUMN IF EXISTS translations;
@@ -0,0 +1,10 @@
+/**
+ * ROLLBACK: offline_scores.sql
+ *
+ * Quita la sincronización de partidas offline y sus recibos.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP FUNCTION IF EXISTS public.submit_offline_score(UUID, TEXT, INT, INT, TIMESTAMPTZ);
+DROP TABLE IF EXISTS public.offline_score_receipts;
@@ -0,0 +1,191 @@
+/**
+ * ROLLBACK: offline_sessions.sql
+ *
+ * Vuelve a la submit_offline_score sin sesión (challenge_progress_lockdown.sql),
+ * a los duelos y la racha con todos los scores, y borra las sesiones
+ * reservadas y la columna scores.offline. El cliente de después de este
+ * cambio manda la sesión reservada: revertir también el código o la cola
+ * offline dejará de sincronizar.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP FUNCTION IF EXISTS public.submit_offline_score(UUID, UUID, TEXT, INT, TIMESTAMPTZ);
+DROP FUNCTION IF EXISTS public.reserve_offline_sessions();
+
+CREATE OR REPLACE FUNCTION public.create_duel(p_game_id TEXT)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_me    UUID := auth.uid();
+  v_score INT;
+  v_id    UUID;
+BEGIN
+  IF v_me IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  -- Última partida guardada del retador en ese juego (máx. 1 hora de antigüedad)
+  SELECT score INTO v_score
+    FROM public.scores
+   WHERE user_id = v_me
+     AND game_id = p_game_id
+     AND achieved_at > NOW() - INTERVAL '1 hour'
+   ORDER BY achieved_at DESC
+   LIMIT 1;
+
+  IF v_score IS NULL THEN
+    RAISE EXCEPTION 'no_recent_score';
+  END IF;
+
+  INSERT INTO public.duels (game_id, challenger_id, challenger_score)
+  VALUES (p_game_id, v_me, v_score)
+  RETURNING id INTO v_id;
+
+  RETURN v_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.settle_duel(p_duel_id UUID)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_me    UUID := auth.uid();
+  v_duel  public.duels;
+  v_lower BOOLEAN;
+  v_score INT;
+BEGIN
+  SELECT * INTO v_duel FROM public.duels WHERE id = p_duel_id FOR UPDATE;
+
+  IF v_duel.id IS NULL OR v_duel.opponent_id IS DISTINCT FROM v_me THEN
+    RAISE EXCEPTION 'not_participant';
+  END IF;
+
+  IF v_duel.status = 'accepted' THEN
+    SELECT score INTO v_score
+      FROM public.scores
+     WHERE user_id = v_me
+       AND game_id = v_duel.game_id
+       AND achieved_at >= v_duel.accepted_at
+     ORDER BY achieved_at ASC
+     LIMIT 1;
+
+    IF v_score IS NULL THEN
+      RETURN NULL;
+    END IF;
+
+    SELECT is_lower_better INTO v_lower FROM public.games WHERE id = v_duel.game_id;
+
+    UPDATE public.duels
+       SET opponent_score = v_score,
+           status = 'finished',
+           finished_at = NOW(),
+           winner = CASE
+             WHEN v_score = v_duel.challenger_score THEN 'tie'
+             WHEN (v_score < v_duel.challenger_score) = COALESCE(v_lower, false) THEN 'opponent'
+             ELSE 'challenger'
+           END
+     WHERE id = p_duel_id;
+  END IF;
+
+  RETURN public.get_duel(p_duel_id);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.trg_streak_on_score()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.user_id IS NOT NULL THEN
+    PERFORM public.touch_streak(NEW.user_id);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.submit_offline_score(
+  p_client_id UUID,
+  p_game_id TEXT,
+  p_score INT,
+  p_played_at TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_rules   public.game_score_rules;
+  v_reason  TEXT;
+  v_xp      INT := 0;
+  v_today   DATE := (NOW() AT TIME ZONE 'Europe/Madrid')::date;
+  v_challenges JSONB := '[]'::jsonb;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  -- 1) Ya recibido → idempotente
+  IF EXISTS (SELECT 1 FROM public.offline_score_receipts WHERE client_id = p_client_id) THEN
+    RETURN json_build_object('accepted', false, 'reason', 'duplicate');
+  END IF;
+
+  -- 2) Validaciones
+  SELECT * INTO v_rules FROM public.game_score_rules WHERE game_id = p_game_id;
+
+  IF NOT EXISTS (SELECT 1 FROM public.games WHERE id = p_game_id) THEN
+    v_reason := 'invalid_game';
+  ELSIF p_played_at > NOW() + INTERVAL '5 minutes' OR p_played_at < NOW() - INTERVAL '7 days' THEN
+    v_reason := 'stale';
+  ELSIF v_rules.game_id IS NOT NULL
+    AND (p_score < v_rules.min_score OR p_score > v_rules.max_score) THEN
+    v_reason := 'out_of_range';
+  ELSIF (
+    SELECT COUNT(*) FROM public.offline_score_receipts
+     WHERE user_id = v_user_id AND created_at > NOW() - INTERVAL '1 day'
+  ) >= 200 THEN
+    v_reason := 'rate_exceeded';
+  END IF;
+
+  INSERT INTO public.offline_score_receipts (client_id, user_id, game_id, score, accepted, played_at)
+  VALUES (p_client_id, v_user_id, p_game_id, p_score, v_reason IS NULL, p_played_at);
+
+  IF v_reason IS NOT NULL THEN
+    INSERT INTO public.rejected_scores (user_id, game_id, score, reason)
+    VALUES (v_user_id, p_game_id, p_score, 'offline_' || v_reason);
+
+    RETURN json_build_object('accepted', false, 'reason', v_reason);
+  END IF;
+
+  -- 3) Aceptado → score con la fecha real de la partida + XP por el ledger
+  INSERT INTO public.scores (user_id, game_id, score, achieved_at)
+  VALUES (v_user_id, p_game_id, p_score, LEAST(p_played_at, NOW()));
+
+  v_xp := LEAST(public.compute_game_xp(p_game_id, p_score), COALESCE(v_rules.max_xp, 100));
+
+  IF v_xp > 0 THEN
+    PERFORM public.apply_currency_tx(v_user_id, 'xp', v_xp, 'game_xp', p_client_id::text);
+  END IF;
+
+  -- 4) Retos del día: solo las partidas jugadas hoy (hora de Madrid)
+  IF (LEAST(p_played_at, NOW()) AT TIME ZONE 'Europe/Madrid')::date = v_today THEN
+    v_challenges := public.advance_daily_challenges(v_user_id, p_game_id, p_score, v_today);
+  END IF;
+
+  RETURN json_build_object('accepted', true, 'xp_granted', v_xp, 'challenges', v_challenges);
+END;
+$$;
+
+DROP FUNCTION IF EXISTS public.sign_offline_session(public.offline_game_sessions);
+DROP TABLE IF EXISTS public.offline_game_sessions;
+ALTER TABLE public.scores DROP COLUMN IF EXISTS offline;
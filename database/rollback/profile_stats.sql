@@ -0,0 +1,9 @@
+/**
+ * ROLLBACK: profile_stats.sql
+ *
+ * Quita las estadísticas del perfil público.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP FUNCTION IF EXISTS public.get_user_profile_stats(UUID);
@@ -0,0 +1,10 @@
+/**
+ * ROLLBACK: rate_limits.sql
+ *
+ * Borra los contadores del store postgres (el servidor vuelve a limitar
+ * en memoria con RATE_LIMIT_STORE sin definir).
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP TABLE IF EXISTS public.rate_limits;
@@ -0,0 +1,10 @@
+/**
+ * ROLLBACK: replays.sql
+ *
+ * Borra los replays guardados.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP FUNCTION IF EXISTS public.save_replay(TEXT, INT, JSONB);
+DROP TABLE IF EXISTS public.replays;
@@ -0,0 +1,18 @@
+/**
+ * ROLLBACK: score_validation.sql
+ *
+ * Borra sesiones firmadas, reglas y rechazos. El secreto de firma se pierde.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP FUNCTION IF EXISTS public.submit_score(UUID, TEXT, INT, INT);
+DROP FUNCTION IF EXISTS public.start_game_session(TEXT);
+DROP FUNCTION IF EXISTS public.sign_game_session(public.game_sessions);
+
+GRANT INSERT ON public.scores TO authenticated;
+
+DROP TABLE IF EXISTS public.app_secrets;
+DROP TABLE IF EXISTS public.rejected_scores;
+DROP TABLE IF EXISTS public.game_sessions;
+DROP TABLE IF EXISTS public.game_score_rules;
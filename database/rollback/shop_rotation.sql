@@ -0,0 +1,10 @@
+/**
+ * ROLLBACK: shop_rotation.sql
+ *
+ * Borra el historial de rotaciones. Los shop_items duplicados que se limpiaron no vuelven.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP TABLE IF EXISTS public.shop_rotations;
+DROP INDEX IF EXISTS public.idx_shop_items_avatar;
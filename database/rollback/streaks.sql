@@ -0,0 +1,29 @@
+/**
+ * ROLLBACK: streaks.sql
+ *
+ * Borra las rachas y devuelve el ledger a los motivos de currency_ledger.sql. Falla si ya hay apuntes streak_reward / streak_freeze.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP FUNCTION IF EXISTS public.buy_streak_freeze();
+DROP FUNCTION IF EXISTS public.get_streak();
+DROP TRIGGER IF EXISTS on_claim_streak ON public.user_challenge_progress;
+DROP FUNCTION IF EXISTS public.trg_streak_on_claim();
+DROP TRIGGER IF EXISTS on_score_streak ON public.scores;
+DROP FUNCTION IF EXISTS public.trg_streak_on_score();
+DROP FUNCTION IF EXISTS public.touch_streak(UUID);
+
+DROP INDEX IF EXISTS public.uq_currency_tx_once;
+CREATE UNIQUE INDEX uq_currency_tx_once
+  ON public.currency_transactions (user_id, reason, ref_id)
+  WHERE reason IN ('challenge_reward', 'full_clear_bonus', 'avatar_purchase');
+
+ALTER TABLE public.currency_transactions
+  DROP CONSTRAINT IF EXISTS currency_transactions_reason_check;
+ALTER TABLE public.currency_transactions
+  ADD CONSTRAINT currency_transactions_reason_check CHECK (reason IN (
+    'opening_balance', 'game_xp', 'challenge_reward', 'full_clear_bonus', 'avatar_purchase'
+  ));
+
+DROP TABLE IF EXISTS public.user_streaks;
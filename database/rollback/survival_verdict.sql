@@ -0,0 +1,164 @@
+/**
+ * ROLLBACK: survival_verdict.sql
+ *
+ * Devuelve submit_score y settle_survival_run de survival_runs.sql (sin la
+ * clave `survival`) y quita survival_run_progress.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+CREATE OR REPLACE FUNCTION public.submit_score(
+  p_session_id UUID,
+  p_token TEXT,
+  p_score INT
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_user_id     UUID := auth.uid();
+  v_session     public.game_sessions;
+  v_rules       public.game_score_rules;
+  v_duration_ms INT;
+  v_reason      TEXT;
+  v_xp          INT;
+  v_today       DATE := (NOW() AT TIME ZONE 'Europe/Madrid')::date;
+  v_challenges  JSONB := '[]'::jsonb;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  -- 1) Sesión: existe, es del usuario y no se ha consumido (FOR UPDATE evita dobles envíos)
+  SELECT * INTO v_session
+    FROM public.game_sessions
+   WHERE id = p_session_id
+     FOR UPDATE;
+
+  IF v_session.id IS NULL OR v_session.user_id <> v_user_id THEN
+    v_reason := 'invalid_session';
+  ELSIF v_session.consumed_at IS NOT NULL THEN
+    v_reason := 'session_reused';
+  ELSIF p_token IS DISTINCT FROM public.sign_game_session(v_session) THEN
+    v_reason := 'bad_signature';
+  END IF;
+
+  IF v_session.id IS NOT NULL THEN
+    v_duration_ms := (extract(epoch FROM (NOW() - v_session.started_at)) * 1000)::INT;
+  END IF;
+
+  -- 2) Plausibilidad según las reglas del juego
+  IF v_reason IS NULL THEN
+    SELECT * INTO v_rules FROM public.game_score_rules WHERE game_id = v_session.game_id;
+
+    IF v_rules.game_id IS NOT NULL THEN
+      IF v_duration_ms < v_rules.min_duration_ms THEN
+        v_reason := 'too_fast';
+      ELSIF p_score < v_rules.min_score OR p_score > v_rules.max_score THEN
+        v_reason := 'out_of_range';
+      ELSIF v_rules.max_score_per_sec IS NOT NULL
+        AND p_score > v_rules.max_score_per_sec * GREATEST(v_duration_ms / 1000.0, 1) THEN
+        v_reason := 'rate_exceeded';
+      END IF;
+    END IF;
+  END IF;
+
+  -- La sesión se consume siempre (aceptada o no) para impedir reintentos
+  IF v_session.id IS NOT NULL AND v_session.user_id = v_user_id THEN
+    UPDATE public.game_sessions SET consumed_at = NOW() WHERE id = v_session.id;
+  END IF;
+
+  -- 3a) Rechazado → registrar para revisión
+  IF v_reason IS NOT NULL THEN
+    INSERT INTO public.rejected_scores (user_id, game_id, session_id, score, duration_ms, reason)
+    VALUES (v_user_id, v_session.game_id, p_session_id, p_score, v_duration_ms, v_reason);
+
+    RETURN json_build_object(
+      'accepted', false,
+      'reason',   v_reason,
+      'ranking',  public.get_score_ranking(v_session.game_id)
+    );
+  END IF;
+
+  -- 3b) Aceptado → insertar score (triggers: highscores + total_plays) y sumar
+  --     la XP que da esa puntuación (game_xp_rules)
+  INSERT INTO public.scores (user_id, game_id, score, session_id)
+  VALUES (v_user_id, v_session.game_id, p_score, v_session.id);
+
+  v_xp := LEAST(public.compute_game_xp(v_session.game_id, p_score), COALESCE(v_rules.max_xp, 100));
+
+  IF v_xp > 0 THEN
+    PERFORM public.apply_currency_tx(v_user_id, 'xp', v_xp, 'game_xp', v_session.id::text);
+  END IF;
+
+  -- 4) Retos del día: solo partidas empezadas hoy (hora de Madrid); una
+  --    partida de ayer reenviada desde la cola offline no cuenta
+  IF (v_session.started_at AT TIME ZONE 'Europe/Madrid')::date = v_today THEN
+    v_challenges := public.advance_daily_challenges(v_user_id, v_session.game_id, p_score, v_today);
+  END IF;
+
+  -- 5) Ranking con la puntuación ya dentro (highscores lo actualiza el trigger)
+  RETURN json_build_object(
+    'accepted',   true,
+    'xp_granted', v_xp,
+    'ranking',    public.get_score_ranking(v_session.game_id),
+    'challenges', v_challenges
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.settle_survival_run(p_run_id BIGINT)
+RETURNS INT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_run    public.survival_runs;
+  v_game   RECORD;
+  v_count  INT := 0;
+BEGIN
+  SELECT * INTO v_run
+    FROM public.survival_runs
+   WHERE id = p_run_id AND ended_at IS NULL
+     FOR UPDATE;
+
+  IF v_run.id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  -- Partidas de la run en orden: cuenta hasta el primer fallo (o una partida
+  -- sin score aceptado: abandonada o rechazada)
+  FOR v_game IN
+    SELECT s.score, t.min_score, t.max_score
+      FROM public.game_sessions gs
+      LEFT JOIN public.scores s ON s.session_id = gs.id
+      LEFT JOIN public.game_survival_thresholds t ON t.game_id = gs.game_id
+     WHERE gs.user_id = v_run.user_id
+       AND gs.started_at >= v_run.started_at
+     ORDER BY gs.started_at
+  LOOP
+    EXIT WHEN v_game.score IS NULL
+      OR (v_game.min_score IS NULL AND v_game.max_score IS NULL)
+      OR (v_game.min_score IS NOT NULL AND v_game.score < v_game.min_score)
+      OR (v_game.max_score IS NOT NULL AND v_game.score > v_game.max_score);
+    v_count := v_count + 1;
+  END LOOP;
+
+  IF v_count = 0 THEN
+    DELETE FROM public.survival_runs WHERE id = v_run.id;
+  ELSE
+    UPDATE public.survival_runs
+       SET games_survived = v_count, ended_at = NOW()
+     WHERE id = v_run.id;
+  END IF;
+
+  RETURN v_count;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.settle_survival_run(BIGINT) FROM PUBLIC, anon, authenticated;
+
+DROP FUNCTION IF EXISTS public.survival_run_progress(BIGINT, BOOLEAN);
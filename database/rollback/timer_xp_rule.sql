@@ -0,0 +1,76 @@
+/**
+ * ROLLBACK: timer_xp_rule.sql
+ *
+ * Devuelve la regla de timer y compute_game_xp de xp_rules.sql (con su
+ * fallo: la puntuación se trata como tiempo parado, no como distancia).
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+CREATE OR REPLACE FUNCTION public.compute_game_xp(p_game_id TEXT, p_score INT)
+RETURNS INT
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_rule  public.game_xp_rules;
+  v_p     JSONB;
+  v_step  JSONB;
+  v_diff  INT;
+  v_xp    INT := 0;
+BEGIN
+  SELECT * INTO v_rule FROM public.game_xp_rules WHERE game_id = p_game_id;
+  IF v_rule.game_id IS NULL OR p_score IS NULL THEN
+    RETURN 0;
+  END IF;
+  v_p := v_rule.params;
+
+  IF v_rule.kind = 'rate' THEN
+    IF p_score >= (v_p->>'min')::INT THEN
+      v_xp := FLOOR(p_score * (v_p->>'mult')::NUMERIC / (v_p->>'div')::NUMERIC);
+    END IF;
+
+  ELSIF v_rule.kind = 'steps' THEN
+    FOR v_step IN SELECT * FROM jsonb_array_elements(v_p->'steps') LOOP
+      IF ((v_p->>'lower')::BOOLEAN AND p_score <= (v_step->>0)::INT)
+        OR (NOT (v_p->>'lower')::BOOLEAN AND p_score >= (v_step->>0)::INT) THEN
+        v_xp := (v_step->>1)::INT;
+        EXIT;
+      END IF;
+    END LOOP;
+
+  ELSIF v_rule.kind = 'inverse' THEN
+    IF p_score <= 0 OR p_score > (v_p->>'worst')::INT THEN
+      v_xp := 0;
+    ELSIF p_score <= (v_p->>'best')::INT THEN
+      v_xp := v_rule.max_xp;
+    ELSE
+      v_xp := FLOOR(((v_p->>'worst')::INT - p_score) * v_rule.max_xp::NUMERIC
+                    / ((v_p->>'worst')::INT - (v_p->>'best')::INT));
+    END IF;
+
+  ELSIF v_rule.kind = 'target' THEN
+    v_diff := ABS((v_p->>'target')::INT - p_score);
+    IF v_diff > (v_p->>'window')::INT THEN
+      v_xp := 0;
+    ELSIF v_diff <= (v_p->>'exact')::INT THEN
+      v_xp := v_rule.max_xp;
+    ELSE
+      v_xp := FLOOR(((v_p->>'window')::INT - v_diff) * (v_p->>'linear_xp')::NUMERIC
+                    / (v_p->>'window')::INT);
+    END IF;
+  END IF;
+
+  RETURN LEAST(GREATEST(v_xp, 0), v_rule.max_xp);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.compute_game_xp(TEXT, INT) FROM PUBLIC, anon, authenticated;
+
+UPDATE public.game_xp_rules
+   SET kind = 'target',
+       params = '{"target": 9999, "window": 500, "exact": 15, "linear_xp": 25}'::jsonb,
+       max_xp = 50
+ WHERE game_id = 'timer';
@@ -0,0 +1,10 @@
+/**
+ * ROLLBACK: trigger_update_highscores.sql
+ *
+ * highscores deja de actualizarse al insertar en scores.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP TRIGGER IF EXISTS trigger_update_highscore ON public.scores;
+DROP FUNCTION IF EXISTS public.update_highscore_on_new_score();
@@ -0,0 +1,184 @@
+/**
+ * ROLLBACK: xp_rules.sql
+ *
+ * Vuelve a submit_score y submit_offline_score con p_xp (la XP la manda el
+ * cliente) y borra las reglas de XP. El cliente de después de este cambio ya
+ * no manda la XP: revertir también el código o las partidas darán 0 XP.
+ *
+ * Lo ejecuta server/migrate.js (npm run db:rollback); no pegar a mano.
+ */
+
+DROP FUNCTION IF EXISTS public.submit_score(UUID, TEXT, INT);
+DROP FUNCTION IF EXISTS public.submit_offline_score(UUID, TEXT, INT, TIMESTAMPTZ);
+DROP FUNCTION IF EXISTS public.compute_game_xp(TEXT, INT);
+DROP TABLE IF EXISTS public.game_xp_rules;
+
+CREATE OR REPLACE FUNCTION public.submit_score(
+  p_session_id UUID,
+  p_token TEXT,
+  p_score INT,
+  p_xp INT DEFAULT 0
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_user_id     UUID := auth.uid();
+  v_session     public.game_sessions;
+  v_rules       public.game_score_rules;
+  v_duration_ms INT;
+  v_reason      TEXT;
+  v_xp          INT;
+  v_today       DATE := (NOW() AT TIME ZONE 'Europe/Madrid')::date;
+  v_challenges  JSONB := '[]'::jsonb;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  -- 1) Sesión: existe, es del usuario y no se ha consumido (FOR UPDATE evita dobles envíos)
+  SELECT * INTO v_session
+    FROM public.game_sessions
+   WHERE id = p_session_id
+     FOR UPDATE;
+
+  IF v_session.id IS NULL OR v_session.user_id <> v_user_id THEN
+    v_reason := 'invalid_session';
+  ELSIF v_session.consumed_at IS NOT NULL THEN
+    v_reason := 'session_reused';
+  ELSIF p_token IS DISTINCT FROM public.sign_game_session(v_session) THEN
+    v_reason := 'bad_signature';
+  END IF;
+
+  IF v_session.id IS NOT NULL THEN
+    v_duration_ms := (extract(epoch FROM (NOW() - v_session.started_at)) * 1000)::INT;
+  END IF;
+
+  -- 2) Plausibilidad según las reglas del juego
+  IF v_reason IS NULL THEN
+    SELECT * INTO v_rules FROM public.game_score_rules WHERE game_id = v_session.game_id;
+
+    IF v_rules.game_id IS NOT NULL THEN
+      IF v_duration_ms < v_rules.min_duration_ms THEN
+        v_reason := 'too_fast';
+      ELSIF p_score < v_rules.min_score OR p_score > v_rules.max_score THEN
+        v_reason := 'out_of_range';
+      ELSIF v_rules.max_score_per_sec IS NOT NULL
+        AND p_score > v_rules.max_score_per_sec * GREATEST(v_duration_ms / 1000.0, 1) THEN
+        v_reason := 'rate_exceeded';
+      END IF;
+    END IF;
+  END IF;
+
+  -- La sesión se consume siempre (aceptada o no) para impedir reintentos
+  IF v_session.id IS NOT NULL AND v_session.user_id = v_user_id THEN
+    UPDATE public.game_sessions SET consumed_at = NOW() WHERE id = v_session.id;
+  END IF;
+
+  -- 3a) Rechazado → registrar para revisión
+  IF v_reason IS NOT NULL THEN
+    INSERT INTO public.rejected_scores (user_id, game_id, session_id, score, duration_ms, reason)
+    VALUES (v_user_id, v_session.game_id, p_session_id, p_score, v_duration_ms, v_reason);
+
+    RETURN json_build_object(
+      'accepted', false,
+      'reason',   v_reason,
+      'ranking',  public.get_score_ranking(v_session.game_id)
+    );
+  END IF;
+
+  -- 3b) Aceptado → insertar score (triggers: highscores + total_plays) y sumar XP
+  INSERT INTO public.scores (user_id, game_id, score)
+  VALUES (v_user_id, v_session.game_id, p_score);
+
+  v_xp := LEAST(GREATEST(COALESCE(p_xp, 0), 0), COALESCE(v_rules.max_xp, 100));
+
+  IF v_xp > 0 THEN
+    PERFORM public.apply_currency_tx(v_user_id, 'xp', v_xp, 'game_xp', v_session.id::text);
+  END IF;
+
+  -- 4) Retos del día: solo partidas empezadas hoy (hora de Madrid); una
+  --    partida de ayer reenviada desde la cola offline no cuenta
+  IF (v_session.started_at AT TIME ZONE 'Europe/Madrid')::date = v_today THEN
+    v_challenges := public.advance_daily_challenges(v_user_id, v_session.game_id, p_score, v_today);
+  END IF;
+
+  -- 5) Ranking con la puntuación ya dentro (highscores lo actualiza el trigger)
+  RETURN json_build_object(
+    'accepted',   true,
+    'xp_granted', v_xp,
+    'ranking',    public.get_score_ranking(v_session.game_id),
+    'challenges', v_challenges
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.submit_offline_score(
+  p_client_id UUID,
+  p_game_id TEXT,
+  p_score INT,
+  p_xp INT DEFAULT 0,
+  p_played_at TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_rules   public.game_score_rules;
+  v_reason  TEXT;
+  v_xp      INT := 0;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  -- 1) Ya recibido → idempotente
+  IF EXISTS (SELECT 1 FROM public.offline_score_receipts WHERE client_id = p_client_id) THEN
+    RETURN json_build_object('accepted', false, 'reason', 'duplicate');
+  END IF;
+
+  -- 2) Validaciones
+  SELECT * INTO v_rules FROM public.game_score_rules WHERE game_id = p_game_id;
+
+  IF NOT EXISTS (SELECT 1 FROM public.games WHERE id = p_game_id) THEN
+    v_reason := 'invalid_game';
+  ELSIF p_played_at > NOW() + INTERVAL '5 minutes' OR p_played_at < NOW() - INTERVAL '7 days' THEN
+    v_reason := 'stale';
+  ELSIF v_rules.game_id IS NOT NULL
+    AND (p_score < v_rules.min_score OR p_score > v_rules.max_score) THEN
+    v_reason := 'out_of_range';
+  ELSIF (
+    SELECT COUNT(*) FROM public.offline_score_receipts
+     WHERE user_id = v_user_id AND created_at > NOW() - INTERVAL '1 day'
+  ) >= 200 THEN
+    v_reason := 'rate_exceeded';
+  END IF;
+
+  INSERT INTO public.offline_score_receipts (client_id, user_id, game_id, score, accepted, played_at)
+  VALUES (p_client_id, v_user_id, p_game_id, p_score, v_reason IS NULL, p_played_at);
+
+  IF v_reason IS NOT NULL THEN
+    INSERT INTO public.rejected_scores (user_id, game_id, score, reason)
+    VALUES (v_user_id, p_game_id, p_score, 'offline_' || v_reason);
+
+    RETURN json_build_object('accepted', false, 'reason', v_reason);
+  END IF;
+
+  -- 3) Aceptado → score con la fecha real de la partida + XP por el ledger
+  INSERT INTO public.scores (user_id, game_id, score, achieved_at)
+  VALUES (v_user_id, p_game_id, p_score, LEAST(p_played_at, NOW()));
+
+  v_xp := LEAST(GREATEST(COALESCE(p_xp, 0), 0), COALESCE(v_rules.max_xp, 100));
+
+  IF v_xp > 0 THEN
+    PERFORM public.apply_currency_tx(v_user_id, 'xp', v_xp, 'game_xp', p_client_id::text);
+  END IF;
+
+  RETURN json_build_object('accepted', true, 'xp_granted', v_xp);
+END;
+$$;
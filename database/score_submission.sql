@@ -0,0 +1,236 @@
+/**
+ * ENVÍO DE PUNTUACIÓN EN UNA SOLA TRANSACCIÓN
+ *
+ * submit_score (score_validation.sql) pasa a hacer todo el Game Over en la
+ * misma llamada, así que o se guarda todo o nada:
+ *
+ *  1. Valida la sesión y la plausibilidad (igual que antes)
+ *  2. INSERT en scores → triggers: highscores y games.total_plays
+ *  3. Suma la XP (apunte 'game_xp' en currency_transactions)
+ *  4. Avanza los retos del día → advance_daily_challenges
+ *  5. Devuelve el Top 5 actualizado → get_score_ranking
+ *
+ * Respuesta:
+ *   { accepted: true, xp_granted, ranking, challenges }
+ *   { accepted: false, reason, ranking }
+ *   ranking:    [{ user_id, score, achieved_at, users: { username, equipped_avatar_id } }]
+ *               (mismo formato que getTop5 en gameService)
+ *   challenges: [{ challenge_id, previous, progress, target, completed }]
+ *               solo los retos que han avanzado con esta partida
+ *
+ * El cliente ya no suma total_plays aparte (lo hace el trigger
+ * on_score_inserted; antes se contaba dos veces) ni evalúa los retos después
+ * (evaluateAndSaveChallenges queda para las partidas offline sin sesión).
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: bd.sql, daily_challenge_generator.sql, score_validation.sql
+ */
+
+-- ═══ PASO 1: Top N de un juego (desde highscores) ═══
+
+CREATE OR REPLACE FUNCTION public.get_score_ranking(p_game_id TEXT, p_limit INT DEFAULT 5)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE(jsonb_agg(
+           jsonb_build_object(
+             'user_id',     t.user_id,
+             'score',       t.score,
+             'achieved_at', t.achieved_at,
+             'users',       jsonb_build_object(
+                              'username',           t.username,
+                              'equipped_avatar_id', t.equipped_avatar_id
+                            )
+           ) ORDER BY t.pos
+         ), '[]'::jsonb)
+    FROM (
+      SELECT h.user_id, h.score, h.achieved_at, u.username, u.equipped_avatar_id,
+             ROW_NUMBER() OVER (
+               ORDER BY CASE WHEN g.is_lower_better THEN h.score ELSE -h.score END,
+                        h.achieved_at
+             ) AS pos
+        FROM public.highscores h
+        JOIN public.games g ON g.id = h.game_id
+        JOIN public.users u ON u.id = h.user_id
+       WHERE h.game_id = p_game_id
+    ) t
+   WHERE t.pos <= p_limit;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_score_ranking(TEXT, INT) FROM PUBLIC, anon, authenticated;
+
+-- ═══ PASO 2: Avance de los retos del día ═══
+
+-- Mismas reglas que evaluateAndSaveChallenges (challengeService.js):
+--   juego válido  → target_game_id NULL o igual, y target_lower_better NULL
+--                   o igual al tipo del juego
+--   score válido  → target_score 0 ("solo juega") o igualado / mejorado
+--                   según is_lower_better
+--   +1 de progreso sin pasar de target_plays; los reclamados no se tocan
+CREATE OR REPLACE FUNCTION public.advance_daily_challenges(
+  p_user_id UUID,
+  p_game_id TEXT,
+  p_score INT,
+  p_date DATE
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_lower_better BOOLEAN;
+  v_challenge    RECORD;
+  v_progress     INT;
+  v_deltas       JSONB := '[]'::jsonb;
+BEGIN
+  SELECT COALESCE(is_lower_better, false) INTO v_lower_better
+    FROM public.games
+   WHERE id = p_game_id;
+
+  FOR v_challenge IN
+    SELECT dc.id, dc.target_plays
+      FROM public.daily_challenges dc
+     WHERE dc.active_date = p_date
+       AND dc.target_plays > 0
+       AND (dc.target_game_id IS NULL OR dc.target_game_id = p_game_id)
+       AND (dc.target_lower_better IS NULL OR dc.target_lower_better = v_lower_better)
+       AND (dc.target_score = 0
+            OR (v_lower_better AND p_score <= dc.target_score)
+            OR (NOT v_lower_better AND p_score >= dc.target_score))
+     ORDER BY dc.id
+  LOOP
+    -- El UPSERT bloquea la fila: dos partidas a la vez no pierden un avance
+    INSERT INTO public.user_challenge_progress AS ucp (user_id, challenge_id, current_progress, updated_at)
+    VALUES (p_user_id, v_challenge.id, 1, NOW())
+    ON CONFLICT (user_id, challenge_id) DO UPDATE
+      SET current_progress = COALESCE(ucp.current_progress, 0) + 1,
+          updated_at       = NOW()
+      WHERE NOT COALESCE(ucp.is_claimed, false)
+        AND COALESCE(ucp.current_progress, 0) < v_challenge.target_plays
+    RETURNING current_progress INTO v_progress;
+
+    -- Sin fila → reclamado o ya completo
+    CONTINUE WHEN v_progress IS NULL;
+
+    v_deltas := v_deltas || jsonb_build_object(
+      'challenge_id', v_challenge.id,
+      'previous',     v_progress - 1,
+      'progress',     v_progress,
+      'target',       v_challenge.target_plays,
+      'completed',    v_progress >= v_challenge.target_plays
+    );
+  END LOOP;
+
+  RETURN v_deltas;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.advance_daily_challenges(UUID, TEXT, INT, DATE) FROM PUBLIC, anon, authenticated;
+
+-- ═══ PASO 3: RPC submit_score (sustituye a la de score_validation.sql) ═══
+
+CREATE OR REPLACE FUNCTION public.submit_score(
+  p_session_id UUID,
+  p_token TEXT,
+  p_score INT,
+  p_xp INT DEFAULT 0
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_user_id     UUID := auth.uid();
+  v_session     public.game_sessions;
+  v_rules       public.game_score_rules;
+  v_duration_ms INT;
+  v_reason      TEXT;
+  v_xp          INT;
+  v_today       DATE := (NOW() AT TIME ZONE 'Europe/Madrid')::date;
+  v_challenges  JSONB := '[]'::jsonb;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  -- 1) Sesión: existe, es del usuario y no se ha consumido (FOR UPDATE evita dobles envíos)
+  SELECT * INTO v_session
+    FROM public.game_sessions
+   WHERE id = p_session_id
+     FOR UPDATE;
+
+  IF v_session.id IS NULL OR v_session.user_id <> v_user_id THEN
+    v_reason := 'invalid_session';
+  ELSIF v_session.consumed_at IS NOT NULL THEN
+    v_reason := 'session_reused';
+  ELSIF p_token IS DISTINCT FROM public.sign_game_session(v_session) THEN
+    v_reason := 'bad_signature';
+  END IF;
+
+  IF v_session.id IS NOT NULL THEN
+    v_duration_ms := (extract(epoch FROM (NOW() - v_session.started_at)) * 1000)::INT;
+  END IF;
+
+  -- 2) Plausibilidad según las reglas del juego
+  IF v_reason IS NULL THEN
+    SELECT * INTO v_rules FROM public.game_score_rules WHERE game_id = v_session.game_id;
+
+    IF v_rules.game_id IS NOT NULL THEN
+      IF v_duration_ms < v_rules.min_duration_ms THEN
+        v_reason := 'too_fast';
+      ELSIF p_score < v_rules.min_score OR p_score > v_rules.max_score THEN
+        v_reason := 'out_of_range';
+      ELSIF v_rules.max_score_per_sec IS NOT NULL
+        AND p_score > v_rules.max_score_per_sec * GREATEST(v_duration_ms / 1000.0, 1) THEN
+        v_reason := 'rate_exceeded';
+      END IF;
+    END IF;
+  END IF;
+
+  -- La sesión se consume siempre (aceptada o no) para impedir reintentos
+  IF v_session.id IS NOT NULL AND v_session.user_id = v_user_id THEN
+    UPDATE public.game_sessions SET consumed_at = NOW() WHERE id = v_session.id;
+  END IF;
+
+  -- 3a) Rechazado → registrar para revisión
+  IF v_reason IS NOT NULL THEN
+    INSERT INTO public.rejected_scores (user_id, game_id, session_id, score, duration_ms, reason)
+    VALUES (v_user_id, v_session.game_id, p_session_id, p_score, v_duration_ms, v_reason);
+
+    RETURN json_build_object(
+      'accepted', false,
+      'reason',   v_reason,
+      'ranking',  public.get_score_ranking(v_session.game_id)
+    );
+  END IF;
+
+  -- 3b) Aceptado → insertar score (triggers: highscores + total_plays) y sumar XP
+  INSERT INTO public.scores (user_id, game_id, score)
+  VALUES (v_user_id, v_session.game_id, p_score);
+
+  v_xp := LEAST(GREATEST(COALESCE(p_xp, 0), 0), COALESCE(v_rules.max_xp, 100));
+
+  IF v_xp > 0 THEN
+    PERFORM public.apply_currency_tx(v_user_id, 'xp', v_xp, 'game_xp', v_session.id::text);
+  END IF;
+
+  -- 4) Retos del día: solo partidas empezadas hoy (hora de Madrid); una
+  --    partida de ayer reenviada desde la cola offline no cuenta
+  IF (v_session.started_at AT TIME ZONE 'Europe/Madrid')::date = v_today THEN
+    v_challenges := public.advance_daily_challenges(v_user_id, v_session.game_id, p_score, v_today);
+  END IF;
+
+  -- 5) Ranking con la puntuación ya dentro (highscores lo actualiza el trigger)
+  RETURN json_build_object(
+    'accepted',   true,
+    'xp_granted', v_xp,
+    'ranking',    public.get_score_ranking(v_session.game_id),
+    'challenges', v_challenges
+  );
+END;
+$$;
@@ -0,0 +1,263 @@
+/**
+ * ANTI-CHEAT: Validación de puntuaciones en el servidor
+ *
+ * Las puntuaciones dejan de insertarse directamente desde el cliente.
+ * El flujo pasa a ser:
+ *
+ *  1. Al empezar la partida → RPC start_game_session(p_game_id)
+ *     Devuelve { session_id, token } donde token = HMAC-SHA256 firmado
+ *     con una clave que solo conoce la BD (tabla app_secrets, sin RLS abierta).
+ *
+ *  2. Al terminar → RPC submit_score(p_session_id, p_token, p_score, p_xp)
+ *     Comprueba:
+ *       - La sesión existe, es del usuario y no se ha usado ya
+ *       - La firma del token es válida
+ *       - Duración mínima de partida (game_score_rules.min_duration_ms)
+ *       - Rango plausible de puntuación (min_score / max_score)
+ *       - Ritmo máximo de puntos por segundo (max_score_per_sec)
+ *     Si pasa → INSERT en scores (los triggers actualizan highscores y
+ *     total_plays) y suma la XP (limitada a max_xp del juego) con un
+ *     apunte 'game_xp' en currency_transactions.
+ *     Si no pasa → INSERT en rejected_scores para revisión manual.
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: bd.sql, trigger_update_highscores.sql, currency_ledger.sql
+ */
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- ═══ PASO 1: Tablas ═══
+
+-- Reglas de plausibilidad por juego (unidades de la BD, igual que scores.score)
+CREATE TABLE IF NOT EXISTS public.game_score_rules (
+    game_id VARCHAR(50) PRIMARY KEY REFERENCES public.games(id) ON DELETE CASCADE,
+    min_duration_ms INT4 NOT NULL DEFAULT 1000,
+    min_score INT4 NOT NULL DEFAULT 0,
+    max_score INT4 NOT NULL,
+    max_score_per_sec NUMERIC,          -- NULL = sin límite de ritmo (tiempos, precisión…)
+    max_xp INT4 NOT NULL DEFAULT 100
+);
+
+-- Una sesión por partida empezada
+CREATE TABLE IF NOT EXISTS public.game_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    game_id VARCHAR(50) NOT NULL REFERENCES public.games(id) ON DELETE CASCADE,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    consumed_at TIMESTAMPTZ
+);
+
+-- Envíos rechazados, pendientes de revisión
+CREATE TABLE IF NOT EXISTS public.rejected_scores (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    game_id VARCHAR(50),
+    session_id UUID,
+    score INT,
+    duration_ms INT,
+    reason VARCHAR NOT NULL,
+    reviewed BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Clave de firma: RLS activado y SIN políticas → solo accesible desde SECURITY DEFINER
+CREATE TABLE IF NOT EXISTS public.app_secrets (
+    name VARCHAR PRIMARY KEY,
+    value TEXT NOT NULL
+);
+
+ALTER TABLE public.app_secrets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.game_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.rejected_scores ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO public.app_secrets (name, value)
+VALUES ('score_session_key', encode(gen_random_bytes(32), 'hex'))
+ON CONFLICT (name) DO NOTHING;
+
+CREATE INDEX IF NOT EXISTS idx_game_sessions_user ON public.game_sessions (user_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_rejected_scores_pending ON public.rejected_scores (reviewed, created_at DESC);
+
+-- ═══ PASO 2: El cliente ya no puede escribir scores directamente ═══
+
+REVOKE INSERT, UPDATE, DELETE ON public.scores FROM anon, authenticated;
+
+-- ═══ PASO 3: Reglas por juego ═══
+-- (game_id, min_duration_ms, min_score, max_score, max_score_per_sec, max_xp)
+
+INSERT INTO public.game_score_rules
+  (game_id, min_duration_ms, min_score, max_score, max_score_per_sec, max_xp) VALUES
+  ('tower-blocks',    2000,   0,    500,    3,    100),
+  ('odd-one-out',     2000,   0,    200,    3,     50),
+  ('circle-ninja',    2000,   0,    500,    5,     75),
+  ('color-match',     2000,   1,     25, NULL,     50),  -- movimientos (menor es mejor)
+  ('circle-path',     2000,   0,    500,    4,    100),
+  ('neon-tap',        2000,   0,    200,    5,     50),
+  ('stroop-effect',   2000,   0,    300,    5,     50),
+  ('timer',            500,   0,  60000, NULL,     50),  -- ms de diferencia
+  ('traffic-light',    100, 100,   9999, NULL,     15),  -- < 100 ms no es humano
+  ('sweet-spot',      1000,   0,    200,    3,    100),
+  ('dodge-rush',      1000,   0,   3600,  1.2,    100),  -- segundos sobrevividos
+  ('frenzy-tap',      1000,   0,    300,   20,     30),
+  ('perfect-scale',   1000,   0,  10000, NULL,     60),  -- píxeles de error
+  ('swipe-sorter',    1000,   0,    500,    5,    100),
+  ('math-rush',       1000,   0,    300,    3,     50),
+  ('stick-bridge',    1000,   0,    500,    2,     40),
+  ('drop-the-box',    1000,   0,    500,    2,    100),
+  ('vector-leap',     1000,   0,    500,    2,    100),
+  ('rps-duel',        1000,   0,    500,    3,    100),
+  ('orbit-sniper',    1000,   0,    500,    3,    100),
+  ('shadow-dash',     1000,   0, 200000,   60,    100),
+  ('gravity-draw',    1000,   0,    500,    2,    100),
+  ('crossroad-dart',  1000,   0,    500,    3,    100),
+  ('mental-math',     1000,   0,    500,    3,    100),
+  ('perfect-circle',   500,   0,   1000, NULL,     15),  -- precisión ×10
+  ('higher-lower',    1000,   0,    500,    3,    100),
+  ('memory-loop',     1000,   0,    500,    2,    100),
+  ('overheat',        1000,   0,    500,    2,    100),
+  ('memory-sequence', 1000,   0,    200,    1,    100),
+  ('core-escape',     1000,   0, 200000,  100,    100),  -- MB
+  ('neon-chrono',     1000,   0,    500,    2,    100),
+  ('ghost-pong',      1000,   0,   1000,    5,    100),
+  ('hextris',         3000,   0, 200000,   60,    100),  -- embebido (iframe)
+  ('2048',            3000,   0, 500000,  200,    100)   -- embebido (iframe)
+ON CONFLICT (game_id) DO UPDATE SET
+  min_duration_ms   = EXCLUDED.min_duration_ms,
+  min_score         = EXCLUDED.min_score,
+  max_score         = EXCLUDED.max_score,
+  max_score_per_sec = EXCLUDED.max_score_per_sec,
+  max_xp            = EXCLUDED.max_xp;
+
+-- ═══ PASO 4: Firma de sesiones ═══
+
+CREATE OR REPLACE FUNCTION public.sign_game_session(p_session public.game_sessions)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+  SELECT encode(
+    hmac(
+      p_session.id::text || ':' || p_session.user_id::text || ':' ||
+      p_session.game_id || ':' || extract(epoch FROM p_session.started_at)::text,
+      (SELECT value FROM public.app_secrets WHERE name = 'score_session_key'),
+      'sha256'
+    ),
+    'hex'
+  );
+$$;
+
+REVOKE ALL ON FUNCTION public.sign_game_session(public.game_sessions) FROM PUBLIC, anon, authenticated;
+
+-- ═══ PASO 5: RPC start_game_session ═══
+
+CREATE OR REPLACE FUNCTION public.start_game_session(p_game_id TEXT)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_session public.game_sessions;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  INSERT INTO public.game_sessions (user_id, game_id)
+  VALUES (v_user_id, p_game_id)
+  RETURNING * INTO v_session;
+
+  RETURN json_build_object(
+    'session_id', v_session.id,
+    'token',      public.sign_game_session(v_session)
+  );
+END;
+$$;
+
+-- ═══ PASO 6: RPC submit_score ═══
+
+CREATE OR REPLACE FUNCTION public.submit_score(
+  p_session_id UUID,
+  p_token TEXT,
+  p_score INT,
+  p_xp INT DEFAULT 0
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_user_id     UUID := auth.uid();
+  v_session     public.game_sessions;
+  v_rules       public.game_score_rules;
+  v_duration_ms INT;
+  v_reason      TEXT;
+  v_xp          INT;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  -- 1) Sesión: existe, es del usuario y no se ha consumido (FOR UPDATE evita dobles envíos)
+  SELECT * INTO v_session
+    FROM public.game_sessions
+   WHERE id = p_session_id
+     FOR UPDATE;
+
+  IF v_session.id IS NULL OR v_session.user_id <> v_user_id THEN
+    v_reason := 'invalid_session';
+  ELSIF v_session.consumed_at IS NOT NULL THEN
+    v_reason := 'session_reused';
+  ELSIF p_token IS DISTINCT FROM public.sign_game_session(v_session) THEN
+    v_reason := 'bad_signature';
+  END IF;
+
+  IF v_session.id IS NOT NULL THEN
+    v_duration_ms := (extract(epoch FROM (NOW() - v_session.started_at)) * 1000)::INT;
+  END IF;
+
+  -- 2) Plausibilidad según las reglas del juego
+  IF v_reason IS NULL THEN
+    SELECT * INTO v_rules FROM public.game_score_rules WHERE game_id = v_session.game_id;
+
+    IF v_rules.game_id IS NOT NULL THEN
+      IF v_duration_ms < v_rules.min_duration_ms THEN
+        v_reason := 'too_fast';
+      ELSIF p_score < v_rules.min_score OR p_score > v_rules.max_score THEN
+        v_reason := 'out_of_range';
+      ELSIF v_rules.max_score_per_sec IS NOT NULL
+        AND p_score > v_rules.max_score_per_sec * GREATEST(v_duration_ms / 1000.0, 1) THEN
+        v_reason := 'rate_exceeded';
+      END IF;
+    END IF;
+  END IF;
+
+  -- La sesión se consume siempre (aceptada o no) para impedir reintentos
+  IF v_session.id IS NOT NULL AND v_session.user_id = v_user_id THEN
+    UPDATE public.game_sessions SET consumed_at = NOW() WHERE id = v_session.id;
+  END IF;
+
+  -- 3a) Rechazado → registrar para revisión
+  IF v_reason IS NOT NULL THEN
+    INSERT INTO public.rejected_scores (user_id, game_id, session_id, score, duration_ms, reason)
+    VALUES (v_user_id, v_session.game_id, p_session_id, p_score, v_duration_ms, v_reason);
+
+    RETURN json_build_object('accepted', false, 'reason', v_reason);
+  END IF;
+
+  -- 3b) Aceptado → insertar score (triggers: highscores + total_plays) y sumar XP
+  INSERT INTO public.scores (user_id, game_id, score)
+  VALUES (v_user_id, v_session.game_id, p_score);
+
+  v_xp := LEAST(GREATEST(COALESCE(p_xp, 0), 0), COALESCE(v_rules.max_xp, 100));
+
+  IF v_xp > 0 THEN
+    PERFORM public.apply_currency_tx(v_user_id, 'xp', v_xp, 'game_xp', v_session.id::text);
+  END IF;
+
+  RETURN json_build_object('accepted', true, 'xp_granted', v_xp);
+END;
+$$;
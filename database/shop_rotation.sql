@@ -0,0 +1,50 @@
+/**
+ * ROTACIÓN SEMANAL DE LA TIENDA: historial de rotaciones
+ *
+ * El motor de rotación (server/shopRotation.js, job del servidor o CLI
+ * `npm run shop:rotate` en server/) elige cada lunes a las 09:00 (hora de
+ * Madrid) los avatares de la semana desde el catálogo `avatars`:
+ *  - Solo avatares con base_price (los de logro / evento no se venden)
+ *  - Sorteo ponderado por tier y reglas de precio (ver TIER_RULES)
+ *  - Sin repetir los avatares de las últimas rotaciones si hay alternativa
+ *
+ * El set activo sigue viviendo en shop_items.is_active (lo que leen
+ * getShopAvatars y purchase_avatar). Esta tabla guarda qué se vendió cada
+ * semana y a qué precio.
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: bd.sql
+ */
+
+-- ═══ PASO 1: Tabla ═══
+
+CREATE TABLE IF NOT EXISTS public.shop_rotations (
+    week_start DATE PRIMARY KEY,              -- lunes de la rotación (Madrid)
+    starts_at TIMESTAMPTZ NOT NULL,           -- lunes 09:00 Europe/Madrid
+    ends_at TIMESTAMPTZ NOT NULL,             -- lunes siguiente 09:00 Europe/Madrid
+    items JSONB NOT NULL,                     -- [{ avatar_id, tier, price }]
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ═══ PASO 2: Un solo shop_item por avatar ═══
+-- El motor reutiliza la fila del avatar (precio + is_active) en vez de
+-- acumular una nueva cada semana.
+
+DELETE FROM public.shop_items a
+ USING public.shop_items b
+ WHERE a.avatar_id = b.avatar_id
+   AND (a.is_active, a.created_at) < (b.is_active, b.created_at);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shop_items_avatar
+  ON public.shop_items(avatar_id);
+
+-- ═══ PASO 3: RLS ═══
+-- Lectura pública (historial de la tienda); solo el servidor escribe.
+
+ALTER TABLE public.shop_rotations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone reads shop rotations" ON public.shop_rotations;
+CREATE POLICY "Anyone reads shop rotations" ON public.shop_rotations
+  FOR SELECT USING (true);
+
+REVOKE INSERT, UPDATE, DELETE ON public.shop_rotations FROM anon, authenticated;
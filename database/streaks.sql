@@ -0,0 +1,243 @@
+/**
+ * RACHAS: días seguidos jugando o completando retos, con protector de racha
+ *
+ * Un día cuenta si el jugador guarda una partida (INSERT en `scores`) o
+ * reclama un reto diario. Lo deciden triggers en la BD con la fecha de
+ * Europe/Madrid del servidor → el reloj del dispositivo no influye.
+ *
+ *  - Primer día activo del día: la racha sube (o vuelve a 1 si se rompió)
+ *    y se abonan monedas crecientes: 10 × racha, hasta 70 (ledger
+ *    'streak_reward', una vez por día).
+ *  - Protector de racha (streak freeze): se compra con monedas
+ *    (buy_streak_freeze, máx. 2 guardados). Cada día sin jugar gasta uno al
+ *    volver; si no llegan, la racha empieza de nuevo.
+ *  - get_streak() devuelve la racha "viva" (0 si ya está rota aunque aún
+ *    no se haya vuelto a jugar).
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: bd.sql, currency_ledger.sql
+ */
+
+-- ═══ PASO 1: Tabla ═══
+
+CREATE TABLE IF NOT EXISTS public.user_streaks (
+    user_id UUID PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+    current_streak INT4 NOT NULL DEFAULT 0,
+    best_streak INT4 NOT NULL DEFAULT 0,
+    last_active_date DATE,                    -- último día activo (Madrid)
+    freezes INT4 NOT NULL DEFAULT 0 CHECK (freezes >= 0),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE public.user_streaks ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users read own streak" ON public.user_streaks;
+CREATE POLICY "Users read own streak" ON public.user_streaks
+  FOR SELECT USING (auth.uid() = user_id);
+
+REVOKE INSERT, UPDATE, DELETE ON public.user_streaks FROM anon, authenticated;
+
+-- ═══ PASO 2: Nuevos motivos en el ledger ═══
+
+ALTER TABLE public.currency_transactions
+  DROP CONSTRAINT IF EXISTS currency_transactions_reason_check;
+ALTER TABLE public.currency_transactions
+  ADD CONSTRAINT currency_transactions_reason_check CHECK (reason IN (
+    'opening_balance', 'game_xp', 'challenge_reward', 'full_clear_bonus', 'avatar_purchase',
+    'streak_reward', 'streak_freeze'
+  ));
+
+-- La recompensa de racha se cobra una vez por día (ref_id = fecha)
+DROP INDEX IF EXISTS public.uq_currency_tx_once;
+CREATE UNIQUE INDEX uq_currency_tx_once
+  ON public.currency_transactions (user_id, reason, ref_id)
+  WHERE reason IN ('challenge_reward', 'full_clear_bonus', 'avatar_purchase', 'streak_reward');
+
+-- ═══ PASO 3: Avanzar la racha (interno, no expuesto al cliente) ═══
+-- Devuelve las monedas abonadas (0 si hoy ya contaba).
+
+CREATE OR REPLACE FUNCTION public.touch_streak(p_user_id UUID)
+RETURNS INT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_today   DATE := (NOW() AT TIME ZONE 'Europe/Madrid')::date;
+  v_row     public.user_streaks;
+  v_missed  INT;
+  v_used    INT := 0;
+  v_current INT;
+  v_reward  INT;
+BEGIN
+  INSERT INTO public.user_streaks (user_id) VALUES (p_user_id)
+  ON CONFLICT (user_id) DO NOTHING;
+
+  SELECT * INTO v_row FROM public.user_streaks WHERE user_id = p_user_id FOR UPDATE;
+
+  IF v_row.last_active_date = v_today THEN
+    RETURN 0;
+  END IF;
+
+  v_missed := v_today - v_row.last_active_date - 1;   -- NULL si nunca jugó
+
+  IF v_missed = 0 AND v_row.current_streak > 0 THEN
+    v_current := v_row.current_streak + 1;
+  ELSIF v_missed > 0 AND v_row.current_streak > 0 AND v_missed <= v_row.freezes THEN
+    -- Los protectores cubren los días perdidos (no suman racha)
+    v_used := v_missed;
+    v_current := v_row.current_streak + 1;
+  ELSE
+    v_current := 1;
+  END IF;
+
+  UPDATE public.user_streaks
+     SET current_streak   = v_current,
+         best_streak      = GREATEST(best_streak, v_current),
+         last_active_date = v_today,
+         freezes          = freezes - v_used,
+         updated_at       = NOW()
+   WHERE user_id = p_user_id;
+
+  v_reward := LEAST(v_current, 7) * 10;
+  PERFORM public.apply_currency_tx(p_user_id, 'coins', v_reward, 'streak_reward', v_today::text);
+
+  RETURN v_reward;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.touch_streak(UUID) FROM PUBLIC, anon, authenticated;
+
+-- ═══ PASO 4: Triggers (partida guardada / reto reclamado) ═══
+
+CREATE OR REPLACE FUNCTION public.trg_streak_on_score()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.user_id IS NOT NULL THEN
+    PERFORM public.touch_streak(NEW.user_id);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_score_streak ON public.scores;
+CREATE TRIGGER on_score_streak
+  AFTER INSERT ON public.scores
+  FOR EACH ROW EXECUTE FUNCTION public.trg_streak_on_score();
+
+CREATE OR REPLACE FUNCTION public.trg_streak_on_claim()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.touch_streak(NEW.user_id);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_claim_streak ON public.user_challenge_progress;
+CREATE TRIGGER on_claim_streak
+  AFTER UPDATE OF is_claimed ON public.user_challenge_progress
+  FOR EACH ROW
+  WHEN (NEW.is_claimed AND NOT OLD.is_claimed)
+  EXECUTE FUNCTION public.trg_streak_on_claim();
+
+-- ═══ PASO 5: RPC get_streak ═══
+-- { current, best, freezes, max_freezes, freeze_price, active_today,
+--   at_risk, reward_today, next_reward, coins }
+
+CREATE OR REPLACE FUNCTION public.get_streak()
+RETURNS JSON
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_today   DATE := (NOW() AT TIME ZONE 'Europe/Madrid')::date;
+  v_row     public.user_streaks;
+  v_active  BOOLEAN;
+  v_alive   BOOLEAN;
+  v_current INT;
+  v_reward  INT;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  SELECT * INTO v_row FROM public.user_streaks WHERE user_id = v_user_id;
+
+  v_active := v_row.last_active_date IS NOT DISTINCT FROM v_today;
+  -- Sigue viva si hoy ya cuenta o si los protectores cubren los días perdidos
+  v_alive := v_active
+          OR (v_row.current_streak > 0
+              AND v_today - v_row.last_active_date - 1 <= v_row.freezes);
+  v_current := CASE WHEN v_alive THEN v_row.current_streak ELSE 0 END;
+
+  SELECT amount INTO v_reward
+    FROM public.currency_transactions
+   WHERE user_id = v_user_id AND reason = 'streak_reward' AND ref_id = v_today::text;
+
+  RETURN json_build_object(
+    'current',      v_current,
+    'best',         COALESCE(v_row.best_streak, 0),
+    'freezes',      COALESCE(v_row.freezes, 0),
+    'max_freezes',  2,
+    'freeze_price', 150,
+    'active_today', v_active,
+    'at_risk',      v_alive AND NOT v_active,
+    'reward_today', COALESCE(v_reward, 0),
+    'next_reward',  LEAST(v_current + 1, 7) * 10,
+    'coins',        (SELECT coins FROM public.users WHERE id = v_user_id)
+  );
+END;
+$$;
+
+-- ═══ PASO 6: RPC buy_streak_freeze ═══
+-- 150 monedas, máximo 2 guardados. Falla con 'max_freezes' o
+-- 'insufficient_funds' (apply_currency_tx) sin tocar nada.
+
+CREATE OR REPLACE FUNCTION public.buy_streak_freeze()
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_freezes INT;
+  v_coins   INT;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  INSERT INTO public.user_streaks (user_id) VALUES (v_user_id)
+  ON CONFLICT (user_id) DO NOTHING;
+
+  SELECT freezes INTO v_freezes
+    FROM public.user_streaks WHERE user_id = v_user_id FOR UPDATE;
+
+  IF v_freezes >= 2 THEN
+    RAISE EXCEPTION 'max_freezes';
+  END IF;
+
+  v_coins := public.apply_currency_tx(
+    v_user_id, 'coins', -150, 'streak_freeze', gen_random_uuid()::text
+  );
+
+  UPDATE public.user_streaks
+     SET freezes = freezes + 1, updated_at = NOW()
+   WHERE user_id = v_user_id
+  RETURNING freezes INTO v_freezes;
+
+  RETURN json_build_object('new_coins', v_coins, 'freezes', v_freezes);
+END;
+$$;
@@ -0,0 +1,349 @@
+/**
+ * SUPERVIVENCIA VERIFICADA EN EL SERVIDOR
+ *
+ * El cliente insertaba games_survived directamente en survival_runs, así que
+ * el ranking aceptaba cualquier número. Ahora la run se cuenta en la BD a
+ * partir de las partidas jugadas con sesión firmada:
+ *
+ *  1. Al empezar la run   → RPC start_survival_run() → id de la run
+ *  2. Cada partida        → start_game_session / submit_score de siempre
+ *                           (el score guarda su session_id)
+ *  3. Al terminar la run  → RPC finish_survival_run(p_run_id) → juegos superados
+ *     Recorre las sesiones del usuario desde el inicio de la run, en orden,
+ *     y cuenta las superadas (game_survival_thresholds) hasta la primera que
+ *     no lo esté o no tenga score aceptado. Runs de 0 no se guardan.
+ *     Una run que se quedó abierta se cierra igual al empezar la siguiente.
+ *
+ *  get_survival_leaderboard(p_limit) → mejor run de cada usuario
+ *  (DISTINCT ON user_id; desempate: la más antigua).
+ *
+ * Los umbrales son los de SURVIVAL_PASS_THRESHOLDS (pointsToXpPerGame.js):
+ * el cliente los usa para responder al momento, la BD para contar.
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: bd.sql, score_validation.sql, score_submission.sql, xp_rules.sql
+ */
+
+-- ═══ PASO 1: Tablas ═══
+
+-- Umbral de superación por juego: min (mayor es mejor) o max (menor es mejor)
+CREATE TABLE IF NOT EXISTS public.game_survival_thresholds (
+    game_id VARCHAR(50) PRIMARY KEY REFERENCES public.games(id) ON DELETE CASCADE,
+    min_score INT4,
+    max_score INT4,
+    CHECK ((min_score IS NULL) <> (max_score IS NULL))
+);
+
+ALTER TABLE public.game_survival_thresholds ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "game_survival_thresholds_select" ON public.game_survival_thresholds;
+CREATE POLICY "game_survival_thresholds_select" ON public.game_survival_thresholds
+  FOR SELECT USING (true);
+
+INSERT INTO public.game_survival_thresholds (game_id, min_score, max_score)
+SELECT t.game_id, t.min_score, t.max_score
+  FROM (VALUES
+  ('tower-blocks',      15, NULL),
+  ('neon-tap',          12, NULL),
+  ('traffic-light',   NULL,  400),  -- ms de reacción
+  ('timer',           NULL,  500),  -- ms de diferencia con 09:999
+  ('odd-one-out',       14, NULL),
+  ('circle-ninja',      25, NULL),
+  ('color-match',     NULL,   14),  -- movimientos
+  ('circle-path',       20, NULL),
+  ('stroop-effect',     32, NULL),
+  ('sweet-spot',         3, NULL),
+  ('dodge-rush',        15, NULL),  -- segundos
+  ('frenzy-tap',        20, NULL),
+  ('perfect-scale',   NULL,    3),  -- píxeles de error
+  ('swipe-sorter',      10, NULL),
+  ('math-rush',         20, NULL),
+  ('stick-bridge',      16, NULL),
+  ('drop-the-box',       5, NULL),
+  ('vector-leap',        2, NULL),
+  ('rps-duel',           3, NULL),
+  ('orbit-sniper',       2, NULL),
+  ('shadow-dash',       24, NULL),
+  ('gravity-draw',       2, NULL),
+  ('crossroad-dart',     3, NULL),
+  ('perfect-circle',   925, NULL),  -- precisión ×10
+  ('mental-math',        2, NULL),
+  ('higher-lower',       4, NULL),
+  ('memory-loop',        2, NULL),
+  ('overheat',           2, NULL),
+  ('memory-sequence',    3, NULL),
+  ('core-escape',       50, NULL),  -- MB
+  ('neon-chrono',        2, NULL),
+  ('ghost-pong',         6, NULL),
+  ('hextris',          200, NULL),
+  ('2048',            1000, NULL)
+  ) AS t (game_id, min_score, max_score)
+  JOIN public.games g ON g.id = t.game_id
+ON CONFLICT (game_id) DO UPDATE
+  SET min_score = EXCLUDED.min_score, max_score = EXCLUDED.max_score;
+
+-- Run abierta: started_at puesto y ended_at NULL
+ALTER TABLE public.survival_runs ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ;
+
+-- Score → sesión con la que se envió (NULL en los antiguos y en los offline)
+ALTER TABLE public.scores ADD COLUMN IF NOT EXISTS session_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_scores_session ON public.scores (session_id) WHERE session_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_survival_runs_open ON public.survival_runs (user_id) WHERE ended_at IS NULL;
+
+-- ═══ PASO 2: El cliente ya no escribe survival_runs ═══
+
+REVOKE INSERT, UPDATE, DELETE ON public.survival_runs FROM anon, authenticated;
+
+-- ═══ PASO 3: submit_score guarda la sesión en el score ═══
+-- Igual que la de xp_rules.sql salvo el INSERT en scores
+
+CREATE OR REPLACE FUNCTION public.submit_score(
+  p_session_id UUID,
+  p_token TEXT,
+  p_score INT
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_user_id     UUID := auth.uid();
+  v_session     public.game_sessions;
+  v_rules       public.game_score_rules;
+  v_duration_ms INT;
+  v_reason      TEXT;
+  v_xp          INT;
+  v_today       DATE := (NOW() AT TIME ZONE 'Europe/Madrid')::date;
+  v_challenges  JSONB := '[]'::jsonb;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  -- 1) Sesión: existe, es del usuario y no se ha consumido (FOR UPDATE evita dobles envíos)
+  SELECT * INTO v_session
+    FROM public.game_sessions
+   WHERE id = p_session_id
+     FOR UPDATE;
+
+  IF v_session.id IS NULL OR v_session.user_id <> v_user_id THEN
+    v_reason := 'invalid_session';
+  ELSIF v_session.consumed_at IS NOT NULL THEN
+    v_reason := 'session_reused';
+  ELSIF p_token IS DISTINCT FROM public.sign_game_session(v_session) THEN
+    v_reason := 'bad_signature';
+  END IF;
+
+  IF v_session.id IS NOT NULL THEN
+    v_duration_ms := (extract(epoch FROM (NOW() - v_session.started_at)) * 1000)::INT;
+  END IF;
+
+  -- 2) Plausibilidad según las reglas del juego
+  IF v_reason IS NULL THEN
+    SELECT * INTO v_rules FROM public.game_score_rules WHERE game_id = v_session.game_id;
+
+    IF v_rules.game_id IS NOT NULL THEN
+      IF v_duration_ms < v_rules.min_duration_ms THEN
+        v_reason := 'too_fast';
+      ELSIF p_score < v_rules.min_score OR p_score > v_rules.max_score THEN
+        v_reason := 'out_of_range';
+      ELSIF v_rules.max_score_per_sec IS NOT NULL
+        AND p_score > v_rules.max_score_per_sec * GREATEST(v_duration_ms / 1000.0, 1) THEN
+        v_reason := 'rate_exceeded';
+      END IF;
+    END IF;
+  END IF;
+
+  -- La sesión se consume siempre (aceptada o no) para impedir reintentos
+  IF v_session.id IS NOT NULL AND v_session.user_id = v_user_id THEN
+    UPDATE public.game_sessions SET consumed_at = NOW() WHERE id = v_session.id;
+  END IF;
+
+  -- 3a) Rechazado → registrar para revisión
+  IF v_reason IS NOT NULL THEN
+    INSERT INTO public.rejected_scores (user_id, game_id, session_id, score, duration_ms, reason)
+    VALUES (v_user_id, v_session.game_id, p_session_id, p_score, v_duration_ms, v_reason);
+
+    RETURN json_build_object(
+      'accepted', false,
+      'reason',   v_reason,
+      'ranking',  public.get_score_ranking(v_session.game_id)
+    );
+  END IF;
+
+  -- 3b) Aceptado → insertar score (triggers: highscores + total_plays) y sumar
+  --     la XP que da esa puntuación (game_xp_rules)
+  INSERT INTO public.scores (user_id, game_id, score, session_id)
+  VALUES (v_user_id, v_session.game_id, p_score, v_session.id);
+
+  v_xp := LEAST(public.compute_game_xp(v_session.game_id, p_score), COALESCE(v_rules.max_xp, 100));
+
+  IF v_xp > 0 THEN
+    PERFORM public.apply_currency_tx(v_user_id, 'xp', v_xp, 'game_xp', v_session.id::text);
+  END IF;
+
+  -- 4) Retos del día: solo partidas empezadas hoy (hora de Madrid); una
+  --    partida de ayer reenviada desde la cola offline no cuenta
+  IF (v_session.started_at AT TIME ZONE 'Europe/Madrid')::date = v_today THEN
+    v_challenges := public.advance_daily_challenges(v_user_id, v_session.game_id, p_score, v_today);
+  END IF;
+
+  -- 5) Ranking con la puntuación ya dentro (highscores lo actualiza el trigger)
+  RETURN json_build_object(
+    'accepted',   true,
+    'xp_granted', v_xp,
+    'ranking',    public.get_score_ranking(v_session.game_id),
+    'challenges', v_challenges
+  );
+END;
+$$;
+
+-- ═══ PASO 4: Cerrar una run (interno) ═══
+-- Devuelve los juegos superados; con 0 la run se borra.
+
+CREATE OR REPLACE FUNCTION public.settle_survival_run(p_run_id BIGINT)
+RETURNS INT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_run    public.survival_runs;
+  v_game   RECORD;
+  v_count  INT := 0;
+BEGIN
+  SELECT * INTO v_run
+    FROM public.survival_runs
+   WHERE id = p_run_id AND ended_at IS NULL
+     FOR UPDATE;
+
+  IF v_run.id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  -- Partidas de la run en orden: cuenta hasta el primer fallo (o una partida
+  -- sin score aceptado: abandonada o rechazada)
+  FOR v_game IN
+    SELECT s.score, t.min_score, t.max_score
+      FROM public.game_sessions gs
+      LEFT JOIN public.scores s ON s.session_id = gs.id
+      LEFT JOIN public.game_survival_thresholds t ON t.game_id = gs.game_id
+     WHERE gs.user_id = v_run.user_id
+       AND gs.started_at >= v_run.started_at
+     ORDER BY gs.started_at
+  LOOP
+    EXIT WHEN v_game.score IS NULL
+      OR (v_game.min_score IS NULL AND v_game.max_score IS NULL)
+      OR (v_game.min_score IS NOT NULL AND v_game.score < v_game.min_score)
+      OR (v_game.max_score IS NOT NULL AND v_game.score > v_game.max_score);
+    v_count := v_count + 1;
+  END LOOP;
+
+  IF v_count = 0 THEN
+    DELETE FROM public.survival_runs WHERE id = v_run.id;
+  ELSE
+    UPDATE public.survival_runs
+       SET games_survived = v_count, ended_at = NOW()
+     WHERE id = v_run.id;
+  END IF;
+
+  RETURN v_count;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.settle_survival_run(BIGINT) FROM PUBLIC, anon, authenticated;
+
+-- ═══ PASO 5: RPC start_survival_run / finish_survival_run ═══
+
+CREATE OR REPLACE FUNCTION public.start_survival_run()
+RETURNS BIGINT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_open    BIGINT;
+  v_id      BIGINT;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  -- Runs que se quedaron abiertas (app cerrada a mitad) → se cierran ya
+  FOR v_open IN
+    SELECT id FROM public.survival_runs WHERE user_id = v_user_id AND ended_at IS NULL
+  LOOP
+    PERFORM public.settle_survival_run(v_open);
+  END LOOP;
+
+  INSERT INTO public.survival_runs (user_id, games_survived, started_at, ended_at)
+  VALUES (v_user_id, 0, NOW(), NULL)
+  RETURNING id INTO v_id;
+
+  RETURN v_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.finish_survival_run(p_run_id BIGINT)
+RETURNS INT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.survival_runs
+     WHERE id = p_run_id AND user_id = v_user_id AND ended_at IS NULL
+  ) THEN
+    RAISE EXCEPTION 'run_not_open';
+  END IF;
+
+  RETURN public.settle_survival_run(p_run_id);
+END;
+$$;
+
+-- ═══ PASO 6: RPC get_survival_leaderboard ═══
+-- [{ user_id, games_survived, ended_at, users: { username, equipped_avatar_id } }]
+
+CREATE OR REPLACE FUNCTION public.get_survival_leaderboard(p_limit INT DEFAULT 10)
+RETURNS JSON
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE(json_agg(
+           json_build_object(
+             'user_id',        b.user_id,
+             'games_survived', b.games_survived,
+             'ended_at',       b.ended_at,
+             'users',          json_build_object(
+                                 'username',           u.username,
+                                 'equipped_avatar_id', u.equipped_avatar_id
+                               )
+           ) ORDER BY b.games_survived DESC, b.ended_at ASC
+         ), '[]'::json)
+    FROM (
+      SELECT *
+        FROM (
+          -- Mejor run de cada usuario (la más antigua en empate)
+          SELECT DISTINCT ON (r.user_id) r.user_id, r.games_survived, r.ended_at
+            FROM public.survival_runs r
+           WHERE r.ended_at IS NOT NULL
+             AND r.user_id IS NOT NULL
+           ORDER BY r.user_id, r.games_survived DESC, r.ended_at ASC
+        ) best
+       ORDER BY best.games_survived DESC, best.ended_at ASC
+       LIMIT LEAST(GREATEST(COALESCE(p_limit, 10), 1), 100)
+    ) b
+    JOIN public.users u ON u.id = b.user_id;
+$$;
@@ -0,0 +1,91 @@
+/**
+ * XP DE "TIMER" SOBRE LA DISTANCIA AL OBJETIVO
+ *
+ * TimerGame guarda como puntuación |9999 - ms parados| (menor es mejor),
+ * pero la regla de xp_rules.sql la trataba como el tiempo parado: una parada
+ * perfecta (≈0) daba 0 XP y esperar ~20 s (≈10000) el máximo. Ahora:
+ *
+ *   0–15 ms → 50 XP · lineal hasta 0 en 500 ms · más de 500 → 0
+ *
+ * (el mismo corte que SURVIVAL_PASS_THRESHOLDS.timer = { max: 500 }).
+ *
+ * inverse gana un parámetro opcional `min`: por debajo → 0 XP. Por defecto
+ * 1, como hasta ahora (en traffic-light 0 o menos es salida en falso); en
+ * timer 0 es la parada perfecta.
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: xp_rules.sql
+ */
+
+-- ═══ PASO 1: compute_game_xp con inverse.min ═══
+-- Igual que la de xp_rules.sql salvo el límite inferior de inverse
+
+CREATE OR REPLACE FUNCTION public.compute_game_xp(p_game_id TEXT, p_score INT)
+RETURNS INT
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_rule  public.game_xp_rules;
+  v_p     JSONB;
+  v_step  JSONB;
+  v_diff  INT;
+  v_xp    INT := 0;
+BEGIN
+  SELECT * INTO v_rule FROM public.game_xp_rules WHERE game_id = p_game_id;
+  IF v_rule.game_id IS NULL OR p_score IS NULL THEN
+    RETURN 0;
+  END IF;
+  v_p := v_rule.params;
+
+  IF v_rule.kind = 'rate' THEN
+    IF p_score >= (v_p->>'min')::INT THEN
+      v_xp := FLOOR(p_score * (v_p->>'mult')::NUMERIC / (v_p->>'div')::NUMERIC);
+    END IF;
+
+  ELSIF v_rule.kind = 'steps' THEN
+    FOR v_step IN SELECT * FROM jsonb_array_elements(v_p->'steps') LOOP
+      IF ((v_p->>'lower')::BOOLEAN AND p_score <= (v_step->>0)::INT)
+        OR (NOT (v_p->>'lower')::BOOLEAN AND p_score >= (v_step->>0)::INT) THEN
+        v_xp := (v_step->>1)::INT;
+        EXIT;
+      END IF;
+    END LOOP;
+
+  ELSIF v_rule.kind = 'inverse' THEN
+    IF p_score < COALESCE((v_p->>'min')::INT, 1) OR p_score > (v_p->>'worst')::INT THEN
+      v_xp := 0;
+    ELSIF p_score <= (v_p->>'best')::INT THEN
+      v_xp := v_rule.max_xp;
+    ELSE
+      v_xp := FLOOR(((v_p->>'worst')::INT - p_score) * v_rule.max_xp::NUMERIC
+                    / ((v_p->>'worst')::INT - (v_p->>'best')::INT));
+    END IF;
+
+  ELSIF v_rule.kind = 'target' THEN
+    v_diff := ABS((v_p->>'target')::INT - p_score);
+    IF v_diff > (v_p->>'window')::INT THEN
+      v_xp := 0;
+    ELSIF v_diff <= (v_p->>'exact')::INT THEN
+      v_xp := v_rule.max_xp;
+    ELSE
+      v_xp := FLOOR(((v_p->>'window')::INT - v_diff) * (v_p->>'linear_xp')::NUMERIC
+                    / (v_p->>'window')::INT);
+    END IF;
+  END IF;
+
+  RETURN LEAST(GREATEST(v_xp, 0), v_rule.max_xp);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.compute_game_xp(TEXT, INT) FROM PUBLIC, anon, authenticated;
+
+-- ═══ PASO 2: Regla de timer ═══
+
+UPDATE public.game_xp_rules
+   SET kind = 'inverse',
+       params = '{"min": 0, "best": 15, "worst": 500}'::jsonb,
+       max_xp = 50
+ WHERE game_id = 'timer';
@@ -0,0 +1,328 @@
+/**
+ * XP POR PARTIDA CALCULADA EN EL SERVIDOR
+ *
+ * Hasta ahora el cliente calculaba la XP (calculateGameXP) y la mandaba en
+ * p_xp; el servidor solo la recortaba a game_score_rules.max_xp, así que
+ * cualquiera podía pedir el máximo con una puntuación mínima. Ahora la XP
+ * sale de la puntuación ya validada y de una tabla por juego:
+ *
+ *  - game_xp_rules   → fórmula de cada juego (kind + params)
+ *  - compute_game_xp → XP de una puntuación (0 si el juego no tiene regla)
+ *  - submit_score y submit_offline_score pierden p_xp
+ *
+ * Fórmulas (kind → params):
+ *   rate    { min, mult, div }        < min → 0; si no FLOOR(score * mult / div)
+ *   steps   { lower, steps: [[s, xp]] } primer tramo alcanzado (de mejor a peor);
+ *                                       lower = menor es mejor
+ *   inverse { best, worst }           <= 0 o > worst → 0; <= best → max_xp;
+ *                                       entre medias, lineal hasta 0
+ *   target  { target, window, exact, linear_xp }
+ *                                     distancia a target: > window → 0;
+ *                                       <= exact → max_xp; si no, lineal
+ *                                       hasta linear_xp
+ * El resultado nunca pasa de max_xp.
+ *
+ * EJECUTAR EN: Supabase Dashboard → SQL Editor → New Query → Pegar y ejecutar.
+ * Requiere: score_validation.sql, offline_scores.sql, score_submission.sql
+ */
+
+-- ═══ PASO 1: Reglas de XP por juego ═══
+
+CREATE TABLE IF NOT EXISTS public.game_xp_rules (
+    game_id VARCHAR(50) PRIMARY KEY REFERENCES public.games(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('rate', 'steps', 'inverse', 'target')),
+    params JSONB NOT NULL,
+    max_xp INT4 NOT NULL CHECK (max_xp >= 0)
+);
+
+-- Solo lectura para el cliente (sin políticas de escritura)
+ALTER TABLE public.game_xp_rules ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "game_xp_rules_select" ON public.game_xp_rules;
+CREATE POLICY "game_xp_rules_select" ON public.game_xp_rules
+  FOR SELECT USING (true);
+
+INSERT INTO public.game_xp_rules (game_id, kind, params, max_xp)
+SELECT r.game_id, r.kind, r.params::jsonb, r.max_xp
+  FROM (VALUES
+  ('tower-blocks',    'rate',    '{"min": 15, "mult": 100, "div": 60}',                     100),
+  ('neon-tap',        'rate',    '{"min": 12, "mult": 50, "div": 30}',                       50),
+  ('traffic-light',   'inverse', '{"best": 200, "worst": 500}',                              15),  -- ms de reacción
+  ('timer',           'target',  '{"target": 9999, "window": 500, "exact": 15, "linear_xp": 25}', 50),
+  ('odd-one-out',     'steps',   '{"lower": false, "steps": [[17, 50], [14, 25]]}',          50),
+  ('circle-ninja',    'steps',   '{"lower": false, "steps": [[30, 75], [25, 40]]}',          75),
+  ('color-match',     'steps',   '{"lower": true, "steps": [[12, 50], [13, 35], [14, 20]]}', 50),  -- movimientos
+  ('circle-path',     'steps',   '{"lower": false, "steps": [[40, 100], [30, 80], [20, 60]]}', 100),
+  ('stroop-effect',   'steps',   '{"lower": false, "steps": [[42, 50], [36, 40], [32, 30]]}', 50),
+  ('sweet-spot',      'rate',    '{"min": 3, "mult": 8, "div": 1}',                         100),
+  ('dodge-rush',      'rate',    '{"min": 15, "mult": 1, "div": 1}',                        100),  -- segundos
+  ('frenzy-tap',      'rate',    '{"min": 20, "mult": 1, "div": 5}',                         30),
+  ('perfect-scale',   'steps',   '{"lower": true, "steps": [[0, 60], [1, 50], [3, 30]]}',    60),  -- píxeles de error
+  ('swipe-sorter',    'rate',    '{"min": 10, "mult": 1, "div": 1}',                        100),
+  ('math-rush',       'steps',   '{"lower": false, "steps": [[30, 50], [20, 25]]}',          50),
+  ('stick-bridge',    'steps',   '{"lower": false, "steps": [[25, 40], [16, 20]]}',          40),
+  ('drop-the-box',    'rate',    '{"min": 5, "mult": 1, "div": 1}',                         100),
+  ('vector-leap',     'rate',    '{"min": 2, "mult": 7, "div": 1}',                         100),
+  ('rps-duel',        'rate',    '{"min": 3, "mult": 3, "div": 1}',                         100),
+  ('orbit-sniper',    'rate',    '{"min": 2, "mult": 7, "div": 1}',                         100),
+  ('shadow-dash',     'rate',    '{"min": 24, "mult": 1, "div": 12}',                       100),
+  ('gravity-draw',    'rate',    '{"min": 2, "mult": 10, "div": 1}',                        100),
+  ('crossroad-dart',  'rate',    '{"min": 3, "mult": 5, "div": 1}',                         100),
+  ('perfect-circle',  'steps',   '{"lower": false, "steps": [[975, 15], [925, 7]]}',         15),  -- ‰ de precisión
+  ('mental-math',     'rate',    '{"min": 2, "mult": 3, "div": 1}',                         100),
+  ('higher-lower',    'rate',    '{"min": 4, "mult": 10, "div": 1}',                        100),
+  ('memory-loop',     'rate',    '{"min": 2, "mult": 4, "div": 1}',                         100),
+  ('overheat',        'rate',    '{"min": 2, "mult": 5, "div": 2}',                         100),
+  ('memory-sequence', 'rate',    '{"min": 3, "mult": 12, "div": 1}',                        100),
+  ('core-escape',     'rate',    '{"min": 50, "mult": 1, "div": 15}',                       100),  -- MB
+  ('neon-chrono',     'rate',    '{"min": 2, "mult": 10, "div": 1}',                        100),
+  ('ghost-pong',      'rate',    '{"min": 6, "mult": 1, "div": 1}',                         100),
+  ('hextris',         'rate',    '{"min": 200, "mult": 1, "div": 20}',                      100),
+  ('2048',            'rate',    '{"min": 1000, "mult": 1, "div": 100}',                    100)
+  ) AS r (game_id, kind, params, max_xp)
+  JOIN public.games g ON g.id = r.game_id
+ON CONFLICT (game_id) DO UPDATE
+  SET kind = EXCLUDED.kind, params = EXCLUDED.params, max_xp = EXCLUDED.max_xp;
+
+-- ═══ PASO 2: XP de una puntuación ═══
+
+CREATE OR REPLACE FUNCTION public.compute_game_xp(p_game_id TEXT, p_score INT)
+RETURNS INT
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_rule  public.game_xp_rules;
+  v_p     JSONB;
+  v_step  JSONB;
+  v_diff  INT;
+  v_xp    INT := 0;
+BEGIN
+  SELECT * INTO v_rule FROM public.game_xp_rules WHERE game_id = p_game_id;
+  IF v_rule.game_id IS NULL OR p_score IS NULL THEN
+    RETURN 0;
+  END IF;
+  v_p := v_rule.params;
+
+  IF v_rule.kind = 'rate' THEN
+    IF p_score >= (v_p->>'min')::INT THEN
+      v_xp := FLOOR(p_score * (v_p->>'mult')::NUMERIC / (v_p->>'div')::NUMERIC);
+    END IF;
+
+  ELSIF v_rule.kind = 'steps' THEN
+    FOR v_step IN SELECT * FROM jsonb_array_elements(v_p->'steps') LOOP
+      IF ((v_p->>'lower')::BOOLEAN AND p_score <= (v_step->>0)::INT)
+        OR (NOT (v_p->>'lower')::BOOLEAN AND p_score >= (v_step->>0)::INT) THEN
+        v_xp := (v_step->>1)::INT;
+        EXIT;
+      END IF;
+    END LOOP;
+
+  ELSIF v_rule.kind = 'inverse' THEN
+    IF p_score <= 0 OR p_score > (v_p->>'worst')::INT THEN
+      v_xp := 0;
+    ELSIF p_score <= (v_p->>'best')::INT THEN
+      v_xp := v_rule.max_xp;
+    ELSE
+      v_xp := FLOOR(((v_p->>'worst')::INT - p_score) * v_rule.max_xp::NUMERIC
+                    / ((v_p->>'worst')::INT - (v_p->>'best')::INT));
+    END IF;
+
+  ELSIF v_rule.kind = 'target' THEN
+    v_diff := ABS((v_p->>'target')::INT - p_score);
+    IF v_diff > (v_p->>'window')::INT THEN
+      v_xp := 0;
+    ELSIF v_diff <= (v_p->>'exact')::INT THEN
+      v_xp := v_rule.max_xp;
+    ELSE
+      v_xp := FLOOR(((v_p->>'window')::INT - v_diff) * (v_p->>'linear_xp')::NUMERIC
+                    / (v_p->>'window')::INT);
+    END IF;
+  END IF;
+
+  RETURN LEAST(GREATEST(v_xp, 0), v_rule.max_xp);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.compute_game_xp(TEXT, INT) FROM PUBLIC, anon, authenticated;
+
+-- ═══ PASO 3: submit_score sin p_xp ═══
+-- Igual que la de score_submission.sql salvo el cálculo de la XP
+
+DROP FUNCTION IF EXISTS public.submit_score(UUID, TEXT, INT, INT);
+
+CREATE OR REPLACE FUNCTION public.submit_score(
+  p_session_id UUID,
+  p_token TEXT,
+  p_score INT
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_user_id     UUID := auth.uid();
+  v_session     public.game_sessions;
+  v_rules       public.game_score_rules;
+  v_duration_ms INT;
+  v_reason      TEXT;
+  v_xp          INT;
+  v_today       DATE := (NOW() AT TIME ZONE 'Europe/Madrid')::date;
+  v_challenges  JSONB := '[]'::jsonb;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  -- 1) Sesión: existe, es del usuario y no se ha consumido (FOR UPDATE evita dobles envíos)
+  SELECT * INTO v_session
+    FROM public.game_sessions
+   WHERE id = p_session_id
+     FOR UPDATE;
+
+  IF v_session.id IS NULL OR v_session.user_id <> v_user_id THEN
+    v_reason := 'invalid_session';
+  ELSIF v_session.consumed_at IS NOT NULL THEN
+    v_reason := 'session_reused';
+  ELSIF p_token IS DISTINCT FROM public.sign_game_session(v_session) THEN
+    v_reason := 'bad_signature';
+  END IF;
+
+  IF v_session.id IS NOT NULL THEN
+    v_duration_ms := (extract(epoch FROM (NOW() - v_session.started_at)) * 1000)::INT;
+  END IF;
+
+  -- 2) Plausibilidad según las reglas del juego
+  IF v_reason IS NULL THEN
+    SELECT * INTO v_rules FROM public.game_score_rules WHERE game_id = v_session.game_id;
+
+    IF v_rules.game_id IS NOT NULL THEN
+      IF v_duration_ms < v_rules.min_duration_ms THEN
+        v_reason := 'too_fast';
+      ELSIF p_score < v_rules.min_score OR p_score > v_rules.max_score THEN
+        v_reason := 'out_of_range';
+      ELSIF v_rules.max_score_per_sec IS NOT NULL
+        AND p_score > v_rules.max_score_per_sec * GREATEST(v_duration_ms / 1000.0, 1) THEN
+        v_reason := 'rate_exceeded';
+      END IF;
+    END IF;
+  END IF;
+
+  -- La sesión se consume siempre (aceptada o no) para impedir reintentos
+  IF v_session.id IS NOT NULL AND v_session.user_id = v_user_id THEN
+    UPDATE public.game_sessions SET consumed_at = NOW() WHERE id = v_session.id;
+  END IF;
+
+  -- 3a) Rechazado → registrar para revisión
+  IF v_reason IS NOT NULL THEN
+    INSERT INTO public.rejected_scores (user_id, game_id, session_id, score, duration_ms, reason)
+    VALUES (v_user_id, v_session.game_id, p_session_id, p_score, v_duration_ms, v_reason);
+
+    RETURN json_build_object(
+      'accepted', false,
+      'reason',   v_reason,
+      'ranking',  public.get_score_ranking(v_session.game_id)
+    );
+  END IF;
+
+  -- 3b) Aceptado → insertar score (triggers: highscores + total_plays) y sumar
+  --     la XP que da esa puntuación (game_xp_rules)
+  INSERT INTO public.scores (user_id, game_id, score)
+  VALUES (v_user_id, v_session.game_id, p_score);
+
+  v_xp := LEAST(public.compute_game_xp(v_session.game_id, p_score), COALESCE(v_rules.max_xp, 100));
+
+  IF v_xp > 0 THEN
+    PERFORM public.apply_currency_tx(v_user_id, 'xp', v_xp, 'game_xp', v_session.id::text);
+  END IF;
+
+  -- 4) Retos del día: solo partidas empezadas hoy (hora de Madrid); una
+  --    partida de ayer reenviada desde la cola offline no cuenta
+  IF (v_session.started_at AT TIME ZONE 'Europe/Madrid')::date = v_today THEN
+    v_challenges := public.advance_daily_challenges(v_user_id, v_session.game_id, p_score, v_today);
+  END IF;
+
+  -- 5) Ranking con la puntuación ya dentro (highscores lo actualiza el trigger)
+  RETURN json_build_object(
+    'accepted',   true,
+    'xp_granted', v_xp,
+    'ranking',    public.get_score_ranking(v_session.game_id),
+    'challenges', v_challenges
+  );
+END;
+$$;
+
+-- ═══ PASO 4: submit_offline_score sin p_xp ═══
+-- Igual que la de offline_scores.sql salvo el cálculo de la XP
+
+DROP FUNCTION IF EXISTS public.submit_offline_score(UUID, TEXT, INT, INT, TIMESTAMPTZ);
+
+CREATE OR REPLACE FUNCTION public.submit_offline_score(
+  p_client_id UUID,
+  p_game_id TEXT,
+  p_score INT,
+  p_played_at TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_rules   public.game_score_rules;
+  v_reason  TEXT;
+  v_xp      INT := 0;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  -- 1) Ya recibido → idempotente
+  IF EXISTS (SELECT 1 FROM public.offline_score_receipts WHERE client_id = p_client_id) THEN
+    RETURN json_build_object('accepted', false, 'reason', 'duplicate');
+  END IF;
+
+  -- 2) Validaciones
+  SELECT * INTO v_rules FROM public.game_score_rules WHERE game_id = p_game_id;
+
+  IF NOT EXISTS (SELECT 1 FROM public.games WHERE id = p_game_id) THEN
+    v_reason := 'invalid_game';
+  ELSIF p_played_at > NOW() + INTERVAL '5 minutes' OR p_played_at < NOW() - INTERVAL '7 days' THEN
+    v_reason := 'stale';
+  ELSIF v_rules.game_id IS NOT NULL
+    AND (p_score < v_rules.min_score OR p_score > v_rules.max_score) THEN
+    v_reason := 'out_of_range';
+  ELSIF (
+    SELECT COUNT(*) FROM public.offline_score_receipts
+     WHERE user_id = v_user_id AND created_at > NOW() - INTERVAL '1 day'
+  ) >= 200 THEN
+    v_reason := 'rate_exceeded';
+  END IF;
+
+  INSERT INTO public.offline_score_receipts (client_id, user_id, game_id, score, accepted, played_at)
+  VALUES (p_client_id, v_user_id, p_game_id, p_score, v_reason IS NULL, p_played_at);
+
+  IF v_reason IS NOT NULL THEN
+    INSERT INTO public.rejected_scores (user_id, game_id, score, reason)
+    VALUES (v_user_id, p_game_id, p_score, 'offline_' || v_reason);
+
+    RETURN json_build_object('accepted', false, 'reason', v_reason);
+  END IF;
+
+  -- 3) Aceptado → score con la fecha real de la partida + XP por el ledger
+  INSERT INTO public.scores (user_id, game_id, score, achieved_at)
+  VALUES (v_user_id, p_game_id, p_score, LEAST(p_played_at, NOW()));
+
+  v_xp := LEAST(public.compute_game_xp(p_game_id, p_score), COALESCE(v_rules.max_xp, 100));
+
+  IF v_xp > 0 THEN
+    PERFORM public.apply_currency_tx(v_user_id, 'xp', v_xp, 'game_xp', p_client_id::text);
+  END IF;
+
+  RETURN json_build_object('accepted', true, 'xp_granted', v_xp);
+END;
+$$;
@@ -0,0 +1,122 @@
+/**
+ * scrollinn-embed.js — Puente de los juegos HTML5 embebidos (lado iframe)
+ *
+ * Se carga DENTRO del iframe del slide, antes que los scripts del juego.
+ * Protocolo postMessage, siempre con { channel: "scrollinn-embed", type, ... }:
+ *
+ *   Juego → Scrollinn:  ready · score { score } · gameover { score }
+ *   Scrollinn → Juego:  start · pause · resume
+ *
+ * El iframe va con sandbox="allow-scripts" (origen opaco): localStorage y
+ * document.cookie lanzan SecurityError, así que se sustituyen por almacenes
+ * en memoria. Cada slide empieza una partida limpia y el juego no puede leer
+ * la sesión de Scrollinn.
+ *
+ * API para el adaptador de cada juego (window.ScrollinnEmbed):
+ *   on(type, fn)  — escuchar "start" / "pause" / "resume"
+ *   ready()       — el juego está listo para recibir "start"
+ *   score(n)      — puntuación en vivo (opcional)
+ *   gameOver(n)   — fin de partida con la puntuación final (una sola vez)
+ *   isPaused()    — true antes de "start" y mientras el slide está pausado
+ */
+(function () {
+  var CHANNEL = "scrollinn-embed";
+
+  /* ── Almacenes en memoria (origen opaco) ── */
+  function memoryStorage() {
+    var data = {};
+    var storage = {
+      getItem: function (key) {
+        return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+      },
+      setItem: function (key, value) {
+        data[key] = String(value);
+      },
+      removeItem: function (key) {
+        delete data[key];
+      },
+      clear: function () {
+        data = {};
+      },
+      key: function (i) {
+        return Object.keys(data)[i] || null;
+      }
+    };
+    Object.defineProperty(storage, "length", {
+      get: function () { return Object.keys(data).length; }
+    });
+    return storage;
+  }
+
+  try {
+    window.localStorage.getItem("scrollinn");
+  } catch (e) { // eslint-disable-line no-unused-vars -- ES5: el binding es obligatorio
+    Object.defineProperty(window, "localStorage", { value: memoryStorage(), configurable: true });
+  }
+
+  try {
+    void document.cookie;
+  } catch (e) { // eslint-disable-line no-unused-vars -- ES5: el binding es obligatorio
+    var jar = {};
+    Object.defineProperty(document, "cookie", {
+      configurable: true,
+      get: function () {
+        return Object.keys(jar).map(function (k) { return k + "=" + jar[k]; }).join("; ");
+      },
+      set: function (value) {
+        var pair = String(value).split(";")[0];
+        var eq = pair.indexOf("=");
+        if (eq > 0) jar[pair.slice(0, eq).trim()] = pair.slice(eq + 1);
+      }
+    });
+  }
+
+  /* ── Mensajería ── */
+  var handlers = {};
+  var paused = true; // hasta el primer "start"
+  var finished = false;
+  var lastScore = null;
+
+  function post(type, extra) {
+    if (window.parent === window) return; // abierto suelto, fuera del feed
+    var msg = { channel: CHANNEL, type: type };
+    for (var k in extra) msg[k] = extra[k];
+    // Destino "*": el origen del iframe es opaco y solo viaja la puntuación
+    window.parent.postMessage(msg, "*");
+  }
+
+  window.addEventListener("message", function (e) {
+    if (e.source !== window.parent) return;
+    var msg = e.data;
+    if (!msg || msg.channel !== CHANNEL) return;
+
+    if (msg.type === "start" || msg.type === "resume") paused = false;
+    else if (msg.type === "pause") paused = true;
+    else return;
+
+    (handlers[msg.type] || []).forEach(function (fn) { fn(); });
+  });
+
+  window.ScrollinnEmbed = {
+    on: function (type, fn) {
+      (handlers[type] = handlers[type] || []).push(fn);
+    },
+    ready: function () {
+      post("ready");
+    },
+    score: function (n) {
+      if (finished || n === lastScore || !isFinite(n)) return;
+      lastScore = n;
+      post("score", { score: n });
+    },
+    gameOver: function (n) {
+      if (finished) return;
+      finished = true;
+      paused = true;
+      post("gameover", { score: n });
+    },
+    isPaused: function () {
+      return paused;
+    }
+  };
+})();
@@ -0,0 +1,152 @@
+/**
+ * server/analytics.js — Eventos de juego propios y embudos por juego
+ *
+ * El cliente (src/services/analyticsService.js) manda lotes de eventos
+ * emitidos por el Feed:
+ *
+ *  - slide_viewed → el slide de un juego queda activo
+ *  - game_started → primera partida de la visita (props.time_to_input_ms)
+ *  - game_over    → partida terminada (props.score, props.duration_ms)
+ *  - replayed     → "Jugar otra vez" desde el Game Over
+ *  - skipped      → sale del slide sin terminar (props.stage: idle = sin
+ *                   empezar, countdown / playing / paused = abandono)
+ *
+ * Cada evento trae un `id` UUID del dispositivo → reintentar un lote no
+ * duplica filas. Se guardan en analytics_events.
+ *
+ * Requiere: database/analytics_events.sql
+ */
+
+import { pool } from "./db.js";
+
+export const EVENT_TYPES = ["slide_viewed", "game_started", "game_over", "replayed", "skipped"];
+
+export const MAX_BATCH = 50;           // eventos por petición
+const MAX_PROPS_BYTES = 1024;          // props JSON por evento
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+const MAX_DAYS = 90;                   // ventana máxima del dashboard
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const GAME_ID_RE = /^[a-z0-9-]{1,64}$/;
+
+/* ═══════════════════ Ingesta ═══════════════════ */
+
+/**
+ * Valida y normaliza un evento. Devuelve null si no es aceptable.
+ * client_ts fuera de ±24 h se sustituye por la hora del servidor.
+ */
+function normalizeEvent(raw, now) {
+  if (!raw || typeof raw !== "object") return null;
+  const { id, type, session_id, user_id, game_id, props, client_ts } = raw;
+
+  if (!UUID_RE.test(id ?? "") || !UUID_RE.test(session_id ?? "")) return null;
+  if (!EVENT_TYPES.includes(type)) return null;
+  if (!GAME_ID_RE.test(game_id ?? "")) return null;
+  if (user_id != null && !UUID_RE.test(user_id)) return null;
+
+  const safeProps = props && typeof props === "object" && !Array.isArray(props) ? props : {};
+  const propsJson = JSON.stringify(safeProps);
+  if (propsJson.length > MAX_PROPS_BYTES) return null;
+
+  const ts = Date.parse(client_ts);
+  const clientTs = Number.isFinite(ts) && Math.abs(ts - now) <= MAX_CLOCK_SKEW_MS
+    ? new Date(ts)
+    : new Date(now);
+
+  return { id, type, session_id, user_id: user_id ?? null, game_id, props: propsJson, client_ts: clientTs };
+}
+
+/**
+ * Guarda un lote. Los eventos inválidos se descartan sin tumbar el resto.
+ * @param {Array} events
+ * @returns {Promise<{ accepted: number, rejected: number }>}
+ */
+export async function insertEvents(events) {
+  const now = Date.now();
+  const valid = events.slice(0, MAX_BATCH).map((e) => normalizeEvent(e, now)).filter(Boolean);
+  const rejected = events.length - valid.length;
+  if (valid.length === 0) return { accepted: 0, rejected };
+
+  const result = await pool.query(
+    `INSERT INTO analytics_events (id, session_id, user_id, game_id, event_type, props, client_ts)
+     SELECT * FROM unnest($1::uuid[], $2::uuid[], $3::uuid[], $4::text[], $5::text[], $6::jsonb[], $7::timestamptz[])
+     ON CONFLICT (id) DO NOTHING`,
+    [
+      valid.map((e) => e.id),
+      valid.map((e) => e.session_id),
+      valid.map((e) => e.user_id),
+      valid.map((e) => e.game_id),
+      valid.map((e) => e.type),
+      valid.map((e) => e.props),
+      valid.map((e) => e.client_ts),
+    ]
+  );
+
+  return { accepted: result.rowCount, rejected };
+}
+
+/* ═══════════════════ Embudos ═══════════════════ */
+
+const ratio = (part, total) => (total > 0 ? part / total : null);
+
+/**
+ * Embudo por juego de los últimos `days` días.
+ *
+ * @param {{ days?: number }} [opts]
+ * @returns {Promise<{ days: number, games: Array<{
+ *   game_id: string, views: number, skips: number, starts: number,
+ *   completions: number, quits: number, replays: number, sessions: number,
+ *   skip_rate: number|null, start_rate: number|null, completion_rate: number|null,
+ *   replays_per_session: number|null, median_time_to_input_ms: number|null,
+ *   median_duration_ms: number|null, quit_stages: Object<string, number>
+ * }> }>}
+ */
+export async function getFunnels({ days = 7 } = {}) {
+  const span = Math.min(Math.max(Math.trunc(days) || 7, 1), MAX_DAYS);
+
+  const { rows } = await pool.query(
+    `WITH recent AS (
+       SELECT * FROM analytics_events
+        WHERE created_at >= NOW() - make_interval(days => $1)
+     ), quit_stages AS (
+       SELECT game_id, jsonb_object_agg(stage, n) AS stages
+         FROM (
+           SELECT game_id, props->>'stage' AS stage, COUNT(*)::int AS n
+             FROM recent
+            WHERE event_type = 'skipped' AND props->>'stage' <> 'idle'
+            GROUP BY game_id, props->>'stage'
+         ) s
+        GROUP BY game_id
+     )
+     SELECT r.game_id,
+            COUNT(*) FILTER (WHERE event_type = 'slide_viewed')::int AS views,
+            COUNT(*) FILTER (WHERE event_type = 'skipped' AND props->>'stage' = 'idle')::int AS skips,
+            COUNT(*) FILTER (WHERE event_type = 'game_started')::int AS starts,
+            COUNT(*) FILTER (WHERE event_type = 'game_over')::int AS completions,
+            COUNT(*) FILTER (WHERE event_type = 'skipped' AND props->>'stage' <> 'idle')::int AS quits,
+            COUNT(*) FILTER (WHERE event_type = 'replayed')::int AS replays,
+            COUNT(DISTINCT session_id)::int AS sessions,
+            percentile_cont(0.5) WITHIN GROUP (ORDER BY (props->>'time_to_input_ms')::numeric)
+              FILTER (WHERE event_type = 'game_started') AS median_time_to_input_ms,
+            percentile_cont(0.5) WITHIN GROUP (ORDER BY (props->>'duration_ms')::numeric)
+              FILTER (WHERE event_type = 'game_over') AS median_duration_ms,
+            COALESCE(q.stages, '{}'::jsonb) AS quit_stages
+       FROM recent r
+       LEFT JOIN quit_stages q ON q.game_id = r.game_id
+      GROUP BY r.game_id, q.stages
+      ORDER BY views DESC, r.game_id`,
+    [span]
+  );
+
+  const games = rows.map((r) => ({
+    ...r,
+    median_time_to_input_ms: r.median_time_to_input_ms == null ? null : Math.round(r.median_time_to_input_ms),
+    median_duration_ms: r.median_duration_ms == null ? null : Math.round(r.median_duration_ms),
+    skip_rate: ratio(r.skips, r.views),
+    start_rate: ratio(r.starts, r.views),
+    completion_rate: ratio(r.completions, r.starts),
+    replays_per_session: ratio(r.replays, r.sessions),
+  }));
+
+  return { days: span, games };
+}
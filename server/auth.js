@@ -0,0 +1,110 @@
+/**
+ * server/auth.js — Tokens de sesión (JWT HS256) y middleware de identidad
+ *
+ * POST /api/auth firma un token { sub: userId, username, iat, exp } al
+ * iniciar sesión o registrarse. El cliente lo manda en cada petición
+ * (Authorization: Bearer <token>) y la API deriva el usuario de ahí: el
+ * userId del body / la ruta ya no se cree, solo se compara.
+ *
+ *  - authenticate  → req.user = { id, username } | null. Token inválido o
+ *                    caducado → 401 { code: "invalid_token" }.
+ *  - requireAuth   → 401 sin usuario; 403 si la ruta (:userId) o el body
+ *                    (userId) nombran a otro usuario.
+ *
+ * JWT_SECRET firma los tokens. Sin él se genera uno aleatorio al arrancar
+ * (las sesiones caducan con cada reinicio del servidor).
+ */
+
+import process from "node:process";
+import { Buffer } from "node:buffer";
+import { createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+
+export const TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 días
+
+const SECRET = process.env.JWT_SECRET || randomBytes(32).toString("hex");
+if (!process.env.JWT_SECRET) {
+  console.warn("⚠️  JWT_SECRET no definido: secreto temporal, las sesiones caducan al reiniciar");
+}
+
+const HEADER = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function sign(data) {
+  return createHmac("sha256", SECRET).update(data).digest("base64url");
+}
+
+/* ═══════════════════ Tokens ═══════════════════ */
+
+/**
+ * @param {{ id: string, username: string }} user
+ * @returns {string} JWT firmado
+ */
+export function signToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = base64url(JSON.stringify({
+    sub: user.id,
+    username: user.username,
+    iat: now,
+    exp: now + TOKEN_TTL_SECONDS,
+  }));
+  return `${HEADER}.${payload}.${sign(`${HEADER}.${payload}`)}`;
+}
+
+/**
+ * Comprueba firma, algoritmo y caducidad.
+ * @returns {{ sub: string, username: string, exp: number }|null}
+ */
+export function verifyToken(token) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) return null;
+  const [header, payload, signature] = parts;
+
+  // Solo se aceptan tokens con la cabecera que firmamos (nada de alg: none)
+  if (header !== HEADER) return null;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!claims?.sub || typeof claims.exp !== "number") return null;
+    if (claims.exp <= Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/* ═══════════════════ Middleware ═══════════════════ */
+
+export function authenticate(req, res, next) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") ?? "");
+  if (!match) {
+    req.user = null;
+    return next();
+  }
+
+  const claims = verifyToken(match[1]);
+  if (!claims) {
+    return res.status(401).json({ ok: false, code: "invalid_token", error: "Sesión caducada o no válida." });
+  }
+
+  req.user = { id: claims.sub, username: claims.username };
+  return next();
+}
+
+export function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ ok: false, code: "auth_required", error: "Debes iniciar sesión." });
+  }
+
+  const claimed = req.params.userId ?? req.body?.userId;
+  if (claimed && claimed !== req.user.id) {
+    return res.status(403).json({ ok: false, code: "forbidden", error: "No puedes actuar en nombre de otro usuario." });
+  }
+  return next();
+}
@@ -0,0 +1,316 @@
+/**
+ * server/challengeGenerator.js — Generador automático de Retos Diarios
+ *
+ * Construye el set de cada día (tabla `daily_challenges`) a partir de
+ * plantillas, sin insertar filas a mano:
+ *
+ *  - play_games   → "Juega N partidas" a cualquier juego
+ *  - reach_score  → "Consigue X en el juego Y", calibrado con percentiles de
+ *                   `highscores` (mejor marca por usuario y juego)
+ *  - lower_better → "Juega N partidas a juegos de menos es mejor"
+ *                   (target_lower_better = true)
+ *
+ * Equilibrio: cada día lleva un reto fácil, uno medio y uno difícil
+ * (DIFFICULTY fija percentil, partidas y monedas). El slot fácil alterna
+ * entre play_games y lower_better; los de puntuación no repiten juego
+ * objetivo de los días cercanos (±RECENT_DAYS, también fechas futuras).
+ *
+ * Determinista: el azar se siembra con la fecha, así que regenerar un día
+ * (--force) con los mismos datos produce el mismo set.
+ *
+ * Uso:
+ *  - Job: index.js llama a ensureUpcomingChallenges() al arrancar y cada hora
+ *  - CLI: node generateChallenges.js --from 2026-03-01 --days 7 [--force] [--dry-run]
+ *
+ * Requiere: database/daily_challenge_generator.sql, database/localized_content.sql
+ */
+
+import { pool } from "./db.js";
+import { SURVIVAL_PASS_THRESHOLDS } from "../src/data/pointsToXpPerGame.js";
+import { getSpanishDateString } from "../src/utils/dateUtils.js";
+
+const RECENT_DAYS = 5;       // no repetir juego objetivo en ±5 días
+const MIN_SAMPLES = 10;      // highscores mínimos para calibrar por percentil
+
+/**
+ * percentile: fracción de jugadores cuya mejor marca queda POR DEBAJO del
+ * objetivo (en juegos de menos es mejor, por encima).
+ * fallbackFactor: multiplica el umbral de Supervivencia si faltan datos.
+ */
+const DIFFICULTY = {
+  easy:   { percentile: 0.35, fallbackFactor: 1,    plays: 3, reward: 50 },
+  medium: { percentile: 0.55, fallbackFactor: 1.25, plays: 5, reward: 100 },
+  hard:   { percentile: 0.75, fallbackFactor: 1.5,  plays: 8, reward: 150 },
+};
+
+/* ── Unidades para el texto del objetivo (puntuación tal y como está en la BD) ── */
+const SCORE_FORMAT = {
+  "traffic-light":  (s) => ({ es: `${s} ms`, en: `${s} ms`, fr: `${s} ms` }),
+  "timer":          (s) => ({ es: `${s} ms`, en: `${s} ms`, fr: `${s} ms` }),
+  "perfect-scale":  (s) => ({ es: `${s} px`, en: `${s} px`, fr: `${s} px` }),
+  "color-match":    (s) => ({ es: `${s} movimientos`, en: `${s} moves`, fr: `${s} coups` }),
+  "perfect-circle": (s) => ({ es: `${(s / 10).toFixed(1)}%`, en: `${(s / 10).toFixed(1)}%`, fr: `${(s / 10).toFixed(1)}%` }),
+  "core-escape":    (s) => ({ es: `${s} MB`, en: `${s} MB`, fr: `${s} MB` }),
+  "dodge-rush":     (s) => ({ es: `${s} s`, en: `${s} s`, fr: `${s} s` }),
+};
+
+const formatTarget = (gameId, score) =>
+  SCORE_FORMAT[gameId]?.(score) ?? { es: String(score), en: String(score), fr: String(score) };
+
+/* ── Plantillas: texto de cada tipo de reto (es/en en columnas, resto en translations) ── */
+const TEMPLATES = {
+  play_games: ({ plays }) => ({
+    title_es: "Calentando motores",
+    title_en: "Warming up",
+    description_es: `Juega ${plays} partidas a cualquier juego`,
+    description_en: `Play ${plays} games of anything`,
+    translations: {
+      fr: { title: "Échauffement", description: `Jouez ${plays} parties à n'importe quel jeu` },
+    },
+  }),
+  lower_better: ({ plays }) => ({
+    title_es: "Precisión ante todo",
+    title_en: "Precision first",
+    description_es: `Juega ${plays} partidas a juegos donde menos es mejor`,
+    description_en: `Play ${plays} games where lower is better`,
+    translations: {
+      fr: { title: "La précision avant tout", description: `Jouez ${plays} parties à des jeux où moins, c'est mieux` },
+    },
+  }),
+  reach_score: ({ game, score }) => {
+    const target = formatTarget(game.id, score);
+    return game.is_lower_better
+      ? {
+          title_es: `Al límite en ${game.name}`,
+          title_en: `On the edge in ${game.name}`,
+          description_es: `Baja de ${target.es} en ${game.name}`,
+          description_en: `Get ${target.en} or less in ${game.name}`,
+          translations: {
+            fr: { title: `À la limite sur ${game.name}`, description: `Faites ${target.fr} ou moins sur ${game.name}` },
+          },
+        }
+      : {
+          title_es: `Objetivo: ${game.name}`,
+          title_en: `Target: ${game.name}`,
+          description_es: `Consigue ${target.es} o más en ${game.name}`,
+          description_en: `Score ${target.en} or more in ${game.name}`,
+          translations: {
+            fr: { title: `Objectif : ${game.name}`, description: `Faites ${target.fr} ou plus sur ${game.name}` },
+          },
+        };
+  },
+};
+
+/* ═══════════════════ Utilidades ═══════════════════ */
+
+/** PRNG mulberry32 sembrado con la fecha (YYYY-MM-DD) */
+function seededRandom(dateStr) {
+  let seed = 0;
+  for (const ch of dateStr) seed = (Math.imul(seed, 31) + ch.charCodeAt(0)) | 0;
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** 'YYYY-MM-DD' + n días → 'YYYY-MM-DD' (aritmética en UTC, sin DST) */
+export function addDays(dateStr, n) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Umbral de Supervivencia escalado por dificultad (sin datos suficientes) */
+function fallbackTarget(gameId, difficulty) {
+  const threshold = SURVIVAL_PASS_THRESHOLDS[gameId];
+  const { fallbackFactor } = DIFFICULTY[difficulty];
+  if (threshold.max !== undefined) return Math.max(1, Math.round(threshold.max / fallbackFactor));
+  return Math.max(1, Math.round(threshold.min * fallbackFactor));
+}
+
+/* ═══════════════════ Datos ═══════════════════ */
+
+/** Juegos reales (con umbral definido) de la tabla games */
+async function loadCandidateGames(client) {
+  const { rows } = await client.query("SELECT id, name, is_lower_better FROM games");
+  return rows.filter((g) => SURVIVAL_PASS_THRESHOLDS[g.id]);
+}
+
+/** Juegos objetivo usados en los días cercanos a dateStr */
+async function loadRecentTargets(client, dateStr) {
+  const { rows } = await client.query(
+    `SELECT DISTINCT target_game_id FROM daily_challenges
+     WHERE target_game_id IS NOT NULL
+       AND active_date BETWEEN $1::date - $2::int AND $1::date + $2::int
+       AND active_date <> $1::date`,
+    [dateStr, RECENT_DAYS]
+  );
+  return new Set(rows.map((r) => r.target_game_id));
+}
+
+/**
+ * Objetivo de puntuación calibrado: percentil de las mejores marcas
+ * (una por usuario). Con menos de MIN_SAMPLES jugadores → umbral de
+ * Supervivencia escalado.
+ */
+async function calibrateTarget(client, game, difficulty) {
+  const { percentile } = DIFFICULTY[difficulty];
+  const p = game.is_lower_better ? 1 - percentile : percentile;
+  const { rows } = await client.query(
+    `SELECT COUNT(*)::int AS samples,
+            percentile_disc($2::float8) WITHIN GROUP (ORDER BY score) AS target
+     FROM highscores
+     WHERE game_id = $1`,
+    [game.id, p]
+  );
+  const { samples, target } = rows[0];
+  if (samples < MIN_SAMPLES || target === null) return fallbackTarget(game.id, difficulty);
+  return Math.max(1, Number(target));
+}
+
+/* ═══════════════════ Generación ═══════════════════ */
+
+/**
+ * Construye (sin guardar) los 3 retos de una fecha.
+ * @returns {Promise<Array<object>>} filas listas para daily_challenges
+ */
+export async function buildChallengeSet(client, dateStr) {
+  const random = seededRandom(dateStr);
+  const pick = (arr) => arr[Math.floor(random() * arr.length)];
+
+  const games = await loadCandidateGames(client);
+  if (games.length === 0) throw new Error("No hay juegos en la tabla games");
+
+  const recent = await loadRecentTargets(client, dateStr);
+  const fresh = games.filter((g) => !recent.has(g.id));
+  const candidates = fresh.length >= 2 ? fresh : games;
+
+  const row = (template, difficulty, fields) => ({
+    active_date: dateStr,
+    template,
+    difficulty,
+    target_game_id: null,
+    target_score: 0,
+    target_lower_better: null,
+    reward_coins: DIFFICULTY[difficulty].reward,
+    ...fields,
+  });
+
+  // Slot fácil: alterna entre "juega N" y "juega N de menos es mejor"
+  const hasLowerBetter = games.some((g) => g.is_lower_better);
+  const easy =
+    hasLowerBetter && random() < 0.5
+      ? row("lower_better", "easy", {
+          target_plays: 2,
+          target_lower_better: true,
+          ...TEMPLATES.lower_better({ plays: 2 }),
+        })
+      : row("play_games", "easy", {
+          target_plays: DIFFICULTY.easy.plays,
+          ...TEMPLATES.play_games({ plays: DIFFICULTY.easy.plays }),
+        });
+
+  // Slots medio y difícil: puntuación en dos juegos distintos
+  const scoreChallenges = [];
+  const used = new Set();
+  for (const difficulty of ["medium", "hard"]) {
+    const options = candidates.filter((g) => !used.has(g.id));
+    const game = pick(options.length ? options : games);
+    used.add(game.id);
+    const score = await calibrateTarget(client, game, difficulty);
+    scoreChallenges.push(
+      row("reach_score", difficulty, {
+        target_game_id: game.id,
+        target_score: score,
+        target_plays: 1,
+        ...TEMPLATES.reach_score({ game, score }),
+      })
+    );
+  }
+
+  return [easy, ...scoreChallenges];
+}
+
+/**
+ * Genera y guarda los retos de una fecha.
+ *
+ * @param {string} dateStr - 'YYYY-MM-DD' (día de Madrid)
+ * @param {{ force?: boolean, dryRun?: boolean }} [opts]
+ *   force  → reemplaza el set existente (borra también el progreso de ese día)
+ *   dryRun → solo construye y devuelve, sin escribir
+ * @returns {Promise<{ date: string, status: 'created'|'skipped'|'dry-run', challenges: Array }>}
+ */
+export async function generateChallengesForDate(dateStr, { force = false, dryRun = false } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    // Un solo generador por fecha a la vez (job + CLI simultáneos)
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('daily_challenges:' || $1))", [dateStr]);
+
+    const existing = await client.query(
+      "SELECT COUNT(*)::int AS n FROM daily_challenges WHERE active_date = $1",
+      [dateStr]
+    );
+    if (existing.rows[0].n > 0 && !force) {
+      await client.query("ROLLBACK");
+      return { date: dateStr, status: "skipped", challenges: [] };
+    }
+
+    const challenges = await buildChallengeSet(client, dateStr);
+
+    if (dryRun) {
+      await client.query("ROLLBACK");
+      return { date: dateStr, status: "dry-run", challenges };
+    }
+
+    if (existing.rows[0].n > 0) {
+      await client.query("DELETE FROM daily_challenges WHERE active_date = $1", [dateStr]);
+    }
+
+    for (const c of challenges) {
+      await client.query(
+        `INSERT INTO daily_challenges
+           (active_date, title_es, title_en, description_es, description_en, translations,
+            target_game_id, target_score, target_plays, target_lower_better,
+            reward_coins, template, difficulty)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+        [
+          c.active_date, c.title_es, c.title_en, c.description_es, c.description_en,
+          JSON.stringify(c.translations ?? {}),
+          c.target_game_id, c.target_score, c.target_plays, c.target_lower_better,
+          c.reward_coins, c.template, c.difficulty,
+        ]
+      );
+    }
+
+    await client.query("COMMIT");
+    return { date: dateStr, status: "created", challenges };
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Genera los días que falten desde una fecha (incluida) durante `days` días.
+ * @returns {Promise<Array<{ date: string, status: string, challenges: Array }>>}
+ */
+export async function generateRange(fromDate, days, opts = {}) {
+  const results = [];
+  for (let i = 0; i < days; i++) {
+    results.push(await generateChallengesForDate(addDays(fromDate, i), opts));
+  }
+  return results;
+}
+
+/**
+ * Job del servidor: garantiza que hoy y los próximos `daysAhead` días
+ * (fecha de Madrid) tienen su set. Los días ya generados no se tocan.
+ */
+export async function ensureUpcomingChallenges(daysAhead = 2) {
+  return generateRange(getSpanishDateString(), daysAhead + 1);
+}
@@ -0,0 +1,709 @@
+/**
+ * server/dataApi.js — API de datos para el modo local (VITE_BACKEND=local)
+ *
+ * Cada ruta es la contrapartida de un método de src/backend/localBackend.js
+ * y ejecuta lo mismo que supabaseBackend.js contra PostgreSQL: las mismas
+ * tablas y los mismos RPCs de database/ (submit_score, get_leaderboard,
+ * claim_challenge_reward…). Así las reglas (fronteras Europe/Madrid,
+ * highscores históricos, anti-cheat, monedas) viven en un único sitio.
+ *
+ * Identidad: el usuario sale del token de sesión (server/auth.js →
+ * req.user), nunca del body. Las rutas que escriben, y las que leen datos
+ * privados (amistades, duelos, monedero, racha), llevan requireAuth: sin
+ * token → 401; si el body o la ruta nombran a otro usuario (:userId) → 403.
+ * Las rutas que hablan de otro jugador lo nombran con otro parámetro
+ * (:otherId, :requesterId).
+ * Excepción: POST /games/:gameId/plays, el contador de partidas de los
+ * invitados.
+ *
+ * Las escrituras pasan además por rateLimit (rateLimit.js): cuota por
+ * usuario, o por IP en las anónimas → 429 con Retry-After. Las lecturas de
+ * duelos, amigos, rachas, Supervivencia, monedero y replays, por la cuota
+ * "reads"; las públicas de ellas (enlace de duelo, replays, rankings) no
+ * piden sesión, igual que en Supabase.
+ *
+ * Los RPCs leen auth.uid(): rpc() fija `request.jwt.claim.sub` con el
+ * usuario del token dentro de una transacción, como hace PostgREST
+ * (ver database/local_auth.sql).
+ *
+ * Errores: un RAISE EXCEPTION de un RPC (o un UUID mal formado) → 400 con
+ * su mensaje; cualquier otro → 500.
+ *
+ * Requiere: database/local_auth.sql + los scripts de database/
+ */
+
+import express from "express";
+import { pool } from "./db.js";
+import { authenticate, requireAuth } from "./auth.js";
+import { rateLimit } from "./rateLimit.js";
+
+export const dataApi = express.Router();
+
+dataApi.use(authenticate);
+
+const AVATAR_COLUMNS = `a.id, a.name_es, a.name_en, a.description_es, a.description_en,
+  a.translations, a.tier, a.image_url`;
+
+const MAX_LIMIT = 100;
+
+/** Ejecuta una consulta con auth.uid() = userId (o NULL) y devuelve las filas */
+async function rpc(userId, sql, params = []) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query("SELECT set_config('request.jwt.claim.sub', $1, true)", [userId ?? ""]);
+    const { rows } = await client.query(sql, params);
+    await client.query("COMMIT");
+    return rows;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/** Envuelve un handler async con la respuesta de error común */
+function handle(label, fn) {
+  return async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (err) {
+      // P0001 = RAISE EXCEPTION · 22P02 = texto que no es UUID
+      if (err.code === "P0001" || err.code === "22P02") {
+        return res.status(400).json({ ok: false, error: err.message });
+      }
+      console.error(`${label} error:`, err);
+      return res.status(500).json({ ok: false, error: "Error interno del servidor." });
+    }
+  };
+}
+
+function parseLimit(value, fallback) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, MAX_LIMIT) : fallback;
+}
+
+// ==========================================
+// JUEGOS Y LIKES
+// ==========================================
+
+/** GET /api/health → { ok } si la BD responde (comprobación de conexión del cliente) */
+dataApi.get("/health", handle("Health check", async (req, res) => {
+  await pool.query("SELECT 1");
+  return res.json({ ok: true });
+}));
+
+/**
+ * GET /api/games/likes
+ * { gameId: { count, liked } } para todos los juegos (liked: del usuario
+ * del token).
+ */
+dataApi.get("/games/likes", handle("Likes fetch", async (req, res) => {
+  const userId = req.user?.id;
+
+  const games = await pool.query("SELECT id, total_likes FROM games");
+  const likesMap = {};
+  for (const row of games.rows) {
+    likesMap[row.id] = { count: Number(row.total_likes), liked: false };
+  }
+
+  if (userId) {
+    const userLikes = await pool.query("SELECT game_id FROM user_likes WHERE user_id = $1", [userId]);
+    for (const row of userLikes.rows) {
+      if (likesMap[row.game_id]) likesMap[row.game_id].liked = true;
+    }
+  }
+
+  return res.json({ ok: true, likesMap });
+}));
+
+/**
+ * POST /api/games/:gameId/like
+ * Toggle en user_likes del usuario del token (el trigger mantiene
+ * games.total_likes). Devuelve { ok, liked, totalLikes }
+ */
+dataApi.post("/games/:gameId/like", requireAuth, rateLimit("likes"), handle("Like toggle", async (req, res) => {
+  const userId = req.user.id;
+  const { gameId } = req.params;
+
+  const removed = await pool.query(
+    "DELETE FROM user_likes WHERE user_id = $1 AND game_id = $2",
+    [userId, gameId]
+  );
+  const liked = removed.rowCount === 0;
+  if (liked) {
+    await pool.query("INSERT INTO user_likes (user_id, game_id) VALUES ($1, $2)", [userId, gameId]);
+  }
+
+  const result = await pool.query("SELECT total_likes FROM games WHERE id = $1", [gameId]);
+  const totalLikes = result.rows[0] ? Number(result.rows[0].total_likes) : 0;
+
+  return res.json({ ok: true, liked, totalLikes });
+}));
+
+/** GET /api/games/:gameId → { game: { id, is_lower_better, total_plays } | null } */
+dataApi.get("/games/:gameId", handle("Game fetch", async (req, res) => {
+  const { rows } = await pool.query(
+    "SELECT id, is_lower_better, total_plays FROM games WHERE id = $1",
+    [req.params.gameId]
+  );
+  return res.json({ ok: true, game: rows[0] ?? null });
+}));
+
+/** POST /api/games/:gameId/plays — total_plays + 1 (sin usuario) */
+dataApi.post("/games/:gameId/plays", rateLimit("plays"), handle("Plays increment", async (req, res) => {
+  await pool.query("UPDATE games SET total_plays = total_plays + 1 WHERE id = $1", [req.params.gameId]);
+  return res.json({ ok: true });
+}));
+
+/** GET /api/users/:userId/likes → { gameIds: string[] } */
+dataApi.get("/users/:userId/likes", handle("User likes", async (req, res) => {
+  const { rows } = await pool.query("SELECT game_id FROM user_likes WHERE user_id = $1", [req.params.userId]);
+  return res.json({ ok: true, gameIds: rows.map((r) => r.game_id) });
+}));
+
+// ==========================================
+// RANKINGS
+// ==========================================
+
+/**
+ * GET /api/games/:gameId/leaderboard?since=<ISO>&limit=5
+ *  - sin since → Top histórico desde highscores (404 si el juego no existe)
+ *  - con since → RPC get_leaderboard (mejor marca de cada uno desde esa
+ *                fecha; el cliente la calcula con fronteras de Madrid)
+ * Filas: [{ user_id, score, achieved_at, users: { username, equipped_avatar_id } }]
+ */
+dataApi.get("/games/:gameId/leaderboard", handle("Leaderboard fetch", async (req, res) => {
+  const { gameId } = req.params;
+  const limit = parseLimit(req.query.limit, 5);
+
+  if (req.query.since) {
+    const [row] = await rpc(null, "SELECT get_leaderboard($1, $2, $3) AS leaderboard", [gameId, req.query.since, limit]);
+    return res.json({ ok: true, rows: row.leaderboard ?? [] });
+  }
+
+  const game = await pool.query("SELECT is_lower_better FROM games WHERE id = $1", [gameId]);
+  if (game.rows.length === 0) {
+    return res.status(404).json({ ok: false, error: "Juego no encontrado." });
+  }
+  const orderDir = game.rows[0].is_lower_better ? "ASC" : "DESC";
+
+  const { rows } = await pool.query(
+    `SELECT h.user_id, h.score, h.achieved_at,
+            json_build_object('username', u.username, 'equipped_avatar_id', u.equipped_avatar_id) AS users
+       FROM highscores h
+       LEFT JOIN users u ON u.id = h.user_id
+      WHERE h.game_id = $1
+      ORDER BY h.score ${orderDir}, h.achieved_at ASC
+      LIMIT $2`,
+    [gameId, limit]
+  );
+  return res.json({ ok: true, rows });
+}));
+
+/** GET /api/games/:gameId/leaderboard/around/:userId?radius=2 → RPC get_leaderboard_slice */
+dataApi.get("/games/:gameId/leaderboard/around/:userId", handle("Leaderboard slice", async (req, res) => {
+  const { gameId, userId } = req.params;
+  const radius = parseLimit(req.query.radius, 2);
+  const [row] = await rpc(req.user?.id, "SELECT get_leaderboard_slice($1, $2, $3) AS slice", [gameId, userId, radius]);
+  return res.json({ ok: true, slice: row.slice });
+}));
+
+/**
+ * GET /api/games/:gameId/leaderboard/standing/:userId?score=N
+ * → { standing: { highscore, position } | null }
+ * Posición (1,1,3…) de la marca del usuario, o de `score` si aún no tiene.
+ */
+dataApi.get("/games/:gameId/leaderboard/standing/:userId", handle("Leaderboard standing", async (req, res) => {
+  const { gameId, userId } = req.params;
+  const score = Number(req.query.score);
+  if (!Number.isFinite(score)) return res.status(400).json({ ok: false, error: "score no válido." });
+
+  const { rows } = await pool.query(
+    `WITH me AS (
+       SELECT score FROM highscores WHERE game_id = $1 AND user_id = $2
+     )
+     SELECT (SELECT score FROM me) AS highscore,
+            1 + COUNT(h.user_id)::int AS position
+       FROM games g
+       LEFT JOIN highscores h
+         ON h.game_id = g.id
+        AND CASE WHEN g.is_lower_better
+                 THEN h.score < COALESCE((SELECT score FROM me), $3)
+                 ELSE h.score > COALESCE((SELECT score FROM me), $3) END
+      WHERE g.id = $1
+      GROUP BY g.id`,
+    [gameId, userId, score]
+  );
+  return res.json({ ok: true, standing: rows[0] ?? null });
+}));
+
+// ==========================================
+// PARTIDAS Y PUNTUACIONES
+// ==========================================
+
+/** POST /api/game-sessions — Body: { gameId } → { session: { session_id, token } } */
+dataApi.post("/game-sessions", requireAuth, rateLimit("sessions"), handle("Game session", async (req, res) => {
+  const userId = req.user.id;
+  const [row] = await rpc(userId, "SELECT start_game_session($1) AS session", [req.body.gameId]);
+  return res.json({ ok: true, session: row.session });
+}));
+
+/**
+ * POST /api/scores
+ * Body: { sessionId, token, score }
+ *
+ * RPC submit_score (database/score_submission.sql): en una transacción valida
+ * la sesión firmada y la plausibilidad, inserta en scores (triggers:
+ * highscores + total_plays), suma la XP que da la puntuación
+ * (database/xp_rules.sql) y avanza los retos del día.
+ * Devuelve { ok, verdict: { accepted, reason?, xp_granted, ranking, challenges, survival } }
+ * (survival: marcador de la run de Supervivencia abierta, database/survival_verdict.sql)
+ */
+dataApi.post("/scores", requireAuth, rateLimit("scores"), handle("Score submit", async (req, res) => {
+  const userId = req.user.id;
+  const { sessionId, token, score } = req.body;
+
+  if (score === undefined || score === null) {
+    return res.status(400).json({ ok: false, error: "score es obligatorio." });
+  }
+
+  const [row] = await rpc(
+    userId,
+    "SELECT submit_score($1, $2, $3) AS verdict",
+    [sessionId ?? null, token ?? null, score]
+  );
+  return res.json({ ok: true, verdict: row.verdict });
+}));
+
+/**
+ * POST /api/game-sessions/offline → { sessions: [{ game_id, session_id, token }] }
+ * RPC reserve_offline_sessions (database/offline_sessions.sql): sesiones
+ * firmadas para las partidas que se jueguen sin red.
+ */
+dataApi.post("/game-sessions/offline", requireAuth, rateLimit("sessions"), handle("Offline sessions", async (req, res) => {
+  const userId = req.user.id;
+  const [row] = await rpc(userId, "SELECT reserve_offline_sessions() AS sessions");
+  return res.json({ ok: true, sessions: row.sessions });
+}));
+
+/**
+ * POST /api/scores/offline
+ * Body: { clientId, sessionId, token, score, playedAt }
+ *
+ * RPC submit_offline_score: partida de la cola offline con una sesión
+ * reservada. Devuelve { ok, verdict: { accepted, reason?, xp_granted, challenges } }
+ */
+dataApi.post("/scores/offline", requireAuth, rateLimit("scores"), handle("Offline score submit", async (req, res) => {
+  const userId = req.user.id;
+  const { clientId, sessionId, token, score, playedAt } = req.body;
+
+  if (!clientId || score === undefined || score === null) {
+    return res.status(400).json({ ok: false, error: "clientId y score son obligatorios." });
+  }
+
+  const [row] = await rpc(
+    userId,
+    "SELECT submit_offline_score($1, $2, $3, $4, $5) AS verdict",
+    [clientId, sessionId ?? null, token ?? null, score, playedAt ?? null]
+  );
+  return res.json({ ok: true, verdict: row.verdict });
+}));
+
+// ==========================================
+// RETOS DIARIOS
+// ==========================================
+
+/** GET /api/challenges?date=YYYY-MM-DD&limit=3 → { challenges } (orden de creación) */
+dataApi.get("/challenges", handle("Challenges fetch", async (req, res) => {
+  const { date } = req.query;
+  if (!date) return res.status(400).json({ ok: false, error: "date es obligatorio." });
+
+  const { rows } = await pool.query(
+    `SELECT * FROM daily_challenges
+      WHERE active_date = $1
+      ORDER BY created_at ASC
+      LIMIT $2`,
+    [date, parseLimit(req.query.limit, null)]
+  );
+  return res.json({ ok: true, challenges: rows });
+}));
+
+/** GET /api/users/:userId/challenges?ids=a,b,c → { progress } */
+dataApi.get("/users/:userId/challenges", handle("Challenge progress", async (req, res) => {
+  const ids = String(req.query.ids ?? "").split(",").filter(Boolean);
+  if (ids.length === 0) return res.json({ ok: true, progress: [] });
+
+  const { rows } = await pool.query(
+    `SELECT challenge_id, current_progress, is_claimed
+       FROM user_challenge_progress
+      WHERE user_id = $1 AND challenge_id = ANY($2::uuid[])`,
+    [req.params.userId, ids]
+  );
+  return res.json({ ok: true, progress: rows });
+}));
+
+/** POST /api/challenges/:challengeId/claim → RPC claim_challenge_reward */
+dataApi.post("/challenges/:challengeId/claim", requireAuth, rateLimit("writes"), handle("Challenge claim", async (req, res) => {
+  const userId = req.user.id;
+  const [row] = await rpc(userId, "SELECT claim_challenge_reward($1) AS result", [req.params.challengeId]);
+  return res.json({ ok: true, result: row.result });
+}));
+
+/** POST /api/challenges/full-clear → RPC claim_full_clear_bonus */
+dataApi.post("/challenges/full-clear", requireAuth, rateLimit("writes"), handle("Full clear bonus", async (req, res) => {
+  const userId = req.user.id;
+  const [row] = await rpc(userId, "SELECT claim_full_clear_bonus() AS result");
+  return res.json({ ok: true, result: row.result });
+}));
+
+/** POST /api/achievements/evaluate → RPC evaluate_achievements */
+dataApi.post("/achievements/evaluate", requireAuth, rateLimit("writes"), handle("Achievements", async (req, res) => {
+  const userId = req.user.id;
+  const [row] = await rpc(userId, "SELECT evaluate_achievements() AS result");
+  return res.json({ ok: true, result: row.result });
+}));
+
+// ==========================================
+// USUARIOS Y AVATARES
+// ==========================================
+
+/** GET /api/users?ids=a,b,c → { users: [{ id, username, equipped_avatar_id, xp }] } */
+dataApi.get("/users", rateLimit("reads"), handle("Users fetch", async (req, res) => {
+  const ids = String(req.query.ids ?? "").split(",").filter(Boolean).slice(0, MAX_LIMIT);
+  if (ids.length === 0) return res.json({ ok: true, users: [] });
+
+  const { rows } = await pool.query(
+    "SELECT id, username, equipped_avatar_id, xp FROM users WHERE id = ANY($1::uuid[])",
+    [ids]
+  );
+  return res.json({ ok: true, users: rows });
+}));
+
+/**
+ * GET /api/users/search?q=<prefijo>&exclude=<userId>&limit=10
+ * → { users } cuyo nombre empieza por q (sin distinguir mayúsculas)
+ */
+dataApi.get("/users/search", requireAuth, rateLimit("reads"), handle("User search", async (req, res) => {
+  const prefix = String(req.query.q ?? "").replace(/[%_\\]/g, "");
+  if (prefix.length === 0) return res.json({ ok: true, users: [] });
+
+  const { rows } = await pool.query(
+    `SELECT id, username, equipped_avatar_id, xp
+       FROM users
+      WHERE username ILIKE $1 || '%'
+        AND ($2::uuid IS NULL OR id <> $2)
+      ORDER BY username
+      LIMIT $3`,
+    [prefix, req.query.exclude || null, parseLimit(req.query.limit, 10)]
+  );
+  return res.json({ ok: true, users: rows });
+}));
+
+/** GET /api/users/:userId → { user: { id, username, xp, equipped_avatar_id, coins } | null } */
+dataApi.get("/users/:userId", handle("User fetch", async (req, res) => {
+  const { rows } = await pool.query(
+    "SELECT id, username, xp, equipped_avatar_id, coins FROM users WHERE id = $1",
+    [req.params.userId]
+  );
+  return res.json({ ok: true, user: rows[0] ?? null });
+}));
+
+/**
+ * GET /api/users/:userId/feed-signals?since=<ISO>
+ * → { signals: { recentGameIds, playedGameIds } } (orden adaptativo del feed)
+ */
+dataApi.get("/users/:userId/feed-signals", requireAuth, rateLimit("reads"), handle("Feed signals", async (req, res) => {
+  const userId = req.user.id;
+  const { since } = req.query;
+  if (!since) return res.status(400).json({ ok: false, error: "since es obligatorio." });
+
+  const recent = await pool.query(
+    "SELECT game_id FROM scores WHERE user_id = $1 AND achieved_at >= $2 LIMIT 1000",
+    [userId, since]
+  );
+  const played = await pool.query("SELECT game_id FROM highscores WHERE user_id = $1", [userId]);
+  return res.json({
+    ok: true,
+    signals: {
+      recentGameIds: recent.rows.map((r) => r.game_id),
+      playedGameIds: played.rows.map((r) => r.game_id),
+    },
+  });
+}));
+
+/** GET /api/users/:userId/transactions?limit=50 → { transactions } (ledger de XP y monedas) */
+dataApi.get("/users/:userId/transactions", requireAuth, rateLimit("reads"), handle("Transactions", async (req, res) => {
+  const { rows } = await pool.query(
+    `SELECT id, currency, amount, balance_after, reason, created_at
+       FROM currency_transactions
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2`,
+    [req.user.id, parseLimit(req.query.limit, 50)]
+  );
+  return res.json({ ok: true, transactions: rows });
+}));
+
+/** GET /api/users/:userId/profile-stats → RPC get_user_profile_stats */
+dataApi.get("/users/:userId/profile-stats", handle("Profile stats", async (req, res) => {
+  const [row] = await rpc(req.user?.id, "SELECT get_user_profile_stats($1) AS stats", [req.params.userId]);
+  return res.json({ ok: true, stats: row.stats });
+}));
+
+/**
+ * PUT /api/users/:userId/avatar — Body: { avatarId }
+ * Solo avatares del usuario (user_avatars) o "none" (el genérico).
+ *  403 — { ok: false, code: "avatar_not_owned", error }
+ */
+dataApi.put("/users/:userId/avatar", requireAuth, rateLimit("writes"), handle("Avatar equip", async (req, res) => {
+  const { avatarId } = req.body ?? {};
+  if (!avatarId) return res.status(400).json({ ok: false, error: "avatarId es obligatorio." });
+
+  const { rowCount } = await pool.query(
+    `UPDATE users SET equipped_avatar_id = $1
+      WHERE id = $2
+        AND ($1 = 'none' OR EXISTS (
+              SELECT 1 FROM user_avatars WHERE user_id = $2 AND avatar_id = $1
+            ))`,
+    [avatarId, req.params.userId]
+  );
+  if (rowCount === 0) {
+    return res.status(403).json({ ok: false, code: "avatar_not_owned", error: "No tienes ese avatar." });
+  }
+  return res.json({ ok: true });
+}));
+
+/** GET /api/avatars → { avatars } (catálogo completo) */
+dataApi.get("/avatars", handle("Avatars fetch", async (_req, res) => {
+  const { rows } = await pool.query(
+    `SELECT ${AVATAR_COLUMNS}, a.unlock_type, a.requirement, a.base_price FROM avatars a`
+  );
+  return res.json({ ok: true, avatars: rows });
+}));
+
+/** GET /api/users/:userId/avatars → { avatars } (inventario) */
+dataApi.get("/users/:userId/avatars", handle("User avatars", async (req, res) => {
+  const { rows } = await pool.query(
+    `SELECT ${AVATAR_COLUMNS}
+       FROM user_avatars ua
+       JOIN avatars a ON a.id = ua.avatar_id
+      WHERE ua.user_id = $1`,
+    [req.params.userId]
+  );
+  return res.json({ ok: true, avatars: rows });
+}));
+
+/** GET /api/shop → { items } (shop_items activos, del más barato al más caro) */
+dataApi.get("/shop", handle("Shop fetch", async (_req, res) => {
+  const { rows } = await pool.query(
+    `SELECT ${AVATAR_COLUMNS}, s.id AS shop_item_id, s.price
+       FROM shop_items s
+       JOIN avatars a ON a.id = s.avatar_id
+      WHERE s.is_active = true
+      ORDER BY s.price ASC`
+  );
+  return res.json({ ok: true, items: rows });
+}));
+
+/** POST /api/shop/purchase — Body: { avatarId } → RPC purchase_avatar */
+dataApi.post("/shop/purchase", requireAuth, rateLimit("writes"), handle("Avatar purchase", async (req, res) => {
+  const userId = req.user.id;
+  const [row] = await rpc(userId, "SELECT purchase_avatar($1) AS result", [req.body.avatarId]);
+  return res.json({ ok: true, result: row.result });
+}));
+
+// ==========================================
+// DUELOS
+// ==========================================
+
+/** POST /api/duels — Body: { gameId } → RPC create_duel → { duelId } */
+dataApi.post("/duels", requireAuth, rateLimit("writes"), handle("Duel create", async (req, res) => {
+  const userId = req.user.id;
+  const [row] = await rpc(userId, "SELECT create_duel($1) AS duel_id", [req.body.gameId]);
+  return res.json({ ok: true, duelId: row.duel_id });
+}));
+
+/** GET /api/duels/:duelId → RPC get_duel (pública: la ve quien abre el enlace) */
+dataApi.get("/duels/:duelId", rateLimit("reads"), handle("Duel fetch", async (req, res) => {
+  const [row] = await rpc(req.user?.id, "SELECT get_duel($1) AS duel", [req.params.duelId]);
+  return res.json({ ok: true, duel: row.duel });
+}));
+
+/** POST /api/duels/:duelId/accept → RPC accept_duel → { status } */
+dataApi.post("/duels/:duelId/accept", requireAuth, rateLimit("writes"), handle("Duel accept", async (req, res) => {
+  const userId = req.user.id;
+  const [row] = await rpc(userId, "SELECT accept_duel($1) AS status", [req.params.duelId]);
+  return res.json({ ok: true, status: row.status });
+}));
+
+/** POST /api/duels/:duelId/settle → RPC settle_duel → { duel | null } */
+dataApi.post("/duels/:duelId/settle", requireAuth, rateLimit("writes"), handle("Duel settle", async (req, res) => {
+  const userId = req.user.id;
+  const [row] = await rpc(userId, "SELECT settle_duel($1) AS duel", [req.params.duelId]);
+  return res.json({ ok: true, duel: row.duel });
+}));
+
+/** GET /api/users/:userId/duels → { duels } (últimos 50, como retador o rival) */
+dataApi.get("/users/:userId/duels", requireAuth, rateLimit("reads"), handle("User duels", async (req, res) => {
+  const { rows } = await pool.query(
+    `SELECT * FROM duels
+      WHERE $1 IN (challenger_id, opponent_id)
+      ORDER BY created_at DESC
+      LIMIT 50`,
+    [req.user.id]
+  );
+  return res.json({ ok: true, duels: rows });
+}));
+
+// ==========================================
+// AMIGOS
+// ==========================================
+
+/** GET /api/users/:userId/friendships → { friendships } (amistades y solicitudes) */
+dataApi.get("/users/:userId/friendships", requireAuth, rateLimit("reads"), handle("Friendships", async (req, res) => {
+  const { rows } = await pool.query(
+    `SELECT requester_id, addressee_id, status, created_at
+       FROM friendships
+      WHERE $1 IN (requester_id, addressee_id)
+      ORDER BY created_at DESC`,
+    [req.user.id]
+  );
+  return res.json({ ok: true, friendships: rows });
+}));
+
+/** GET /api/users/:userId/friendships/:otherId → { friendship: { requester_id, status } | null } */
+dataApi.get("/users/:userId/friendships/:otherId", requireAuth, rateLimit("reads"), handle("Friendship", async (req, res) => {
+  const { rows } = await pool.query(
+    `SELECT requester_id, status
+       FROM friendships
+      WHERE (requester_id = $1 AND addressee_id = $2)
+         OR (requester_id = $2 AND addressee_id = $1)
+      LIMIT 1`,
+    [req.user.id, req.params.otherId]
+  );
+  return res.json({ ok: true, friendship: rows[0] ?? null });
+}));
+
+/** POST /api/friends/:otherId/request → RPC send_friend_request → { status } */
+dataApi.post("/friends/:otherId/request", requireAuth, rateLimit("writes"), handle("Friend request", async (req, res) => {
+  const userId = req.user.id;
+  const [row] = await rpc(userId, "SELECT send_friend_request($1) AS status", [req.params.otherId]);
+  return res.json({ ok: true, status: row.status });
+}));
+
+/** POST /api/friends/:requesterId/respond — Body: { accept } → RPC respond_friend_request */
+dataApi.post("/friends/:requesterId/respond", requireAuth, rateLimit("writes"), handle("Friend respond", async (req, res) => {
+  const userId = req.user.id;
+  await rpc(userId, "SELECT respond_friend_request($1, $2)", [req.params.requesterId, req.body.accept === true]);
+  return res.json({ ok: true });
+}));
+
+/** DELETE /api/friends/:otherId → RPC remove_friend (amistad o solicitud) */
+dataApi.delete("/friends/:otherId", requireAuth, rateLimit("writes"), handle("Friend remove", async (req, res) => {
+  const userId = req.user.id;
+  await rpc(userId, "SELECT remove_friend($1)", [req.params.otherId]);
+  return res.json({ ok: true });
+}));
+
+/** GET /api/games/:gameId/leaderboard/friends?since=<ISO>&limit=20 → RPC get_friends_leaderboard */
+dataApi.get("/games/:gameId/leaderboard/friends", requireAuth, rateLimit("reads"), handle("Friends leaderboard", async (req, res) => {
+  const userId = req.user.id;
+  const [row] = await rpc(
+    userId,
+    "SELECT get_friends_leaderboard($1, $2, $3) AS rows",
+    [req.params.gameId, req.query.since || null, parseLimit(req.query.limit, 20)]
+  );
+  return res.json({ ok: true, rows: row.rows ?? [] });
+}));
+
+/** GET /api/challenges/ranking?date=YYYY-MM-DD&friendsOnly=1 → RPC get_challenge_ranking */
+dataApi.get("/challenges/ranking", rateLimit("reads"), handle("Challenge ranking", async (req, res) => {
+  const { date } = req.query;
+  if (!date) return res.status(400).json({ ok: false, error: "date es obligatorio." });
+
+  const [row] = await rpc(
+    req.user?.id,
+    "SELECT get_challenge_ranking($1, $2) AS ranking",
+    [date, req.query.friendsOnly === "1"]
+  );
+  return res.json({ ok: true, ranking: row.ranking ?? [] });
+}));
+
+// ==========================================
+// RACHAS
+// ==========================================
+
+/** GET /api/streak → RPC get_streak (racha del usuario del token) */
+dataApi.get("/streak", requireAuth, rateLimit("reads"), handle("Streak fetch", async (req, res) => {
+  const userId = req.user.id;
+  const [row] = await rpc(userId, "SELECT get_streak() AS streak");
+  return res.json({ ok: true, streak: row.streak });
+}));
+
+/** POST /api/streak/freeze → RPC buy_streak_freeze → { result: { new_coins, freezes } } */
+dataApi.post("/streak/freeze", requireAuth, rateLimit("writes"), handle("Streak freeze", async (req, res) => {
+  const userId = req.user.id;
+  const [row] = await rpc(userId, "SELECT buy_streak_freeze() AS result");
+  return res.json({ ok: true, result: row.result });
+}));
+
+// ==========================================
+// SUPERVIVENCIA
+// ==========================================
+
+/** POST /api/survival/runs → RPC start_survival_run → { runId } */
+dataApi.post("/survival/runs", requireAuth, rateLimit("writes"), handle("Survival start", async (req, res) => {
+  const userId = req.user.id;
+  const [row] = await rpc(userId, "SELECT start_survival_run() AS run_id");
+  return res.json({ ok: true, runId: Number(row.run_id) });
+}));
+
+/** POST /api/survival/runs/:runId/finish → RPC finish_survival_run → { gamesSurvived } */
+dataApi.post("/survival/runs/:runId/finish", requireAuth, rateLimit("writes"), handle("Survival finish", async (req, res) => {
+  const userId = req.user.id;
+  const [row] = await rpc(userId, "SELECT finish_survival_run($1) AS games", [req.params.runId]);
+  return res.json({ ok: true, gamesSurvived: row.games });
+}));
+
+/** GET /api/survival/leaderboard?limit=10 → RPC get_survival_leaderboard (mejor run de cada uno) */
+dataApi.get("/survival/leaderboard", rateLimit("reads"), handle("Survival leaderboard", async (req, res) => {
+  const [row] = await rpc(
+    req.user?.id,
+    "SELECT get_survival_leaderboard($1) AS rows",
+    [parseLimit(req.query.limit, 10)]
+  );
+  return res.json({ ok: true, rows: row.rows ?? [] });
+}));
+
+// ==========================================
+// REPLAYS
+// ==========================================
+
+/** POST /api/replays — Body: { gameId, score, replay } → RPC save_replay → { stored } */
+dataApi.post("/replays", requireAuth, rateLimit("writes"), handle("Replay save", async (req, res) => {
+  const userId = req.user.id;
+  const { gameId, score, replay } = req.body ?? {};
+  if (!gameId || score === undefined || !replay) {
+    return res.status(400).json({ ok: false, error: "gameId, score y replay son obligatorios." });
+  }
+
+  const [row] = await rpc(userId, "SELECT save_replay($1, $2, $3) AS stored", [gameId, score, replay]);
+  return res.json({ ok: true, stored: row.stored });
+}));
+
+/** GET /api/games/:gameId/replays → { userIds } (jugadores con replay en ese juego) */
+dataApi.get("/games/:gameId/replays", rateLimit("reads"), handle("Replay owners", async (req, res) => {
+  const { rows } = await pool.query("SELECT user_id FROM replays WHERE game_id = $1", [req.params.gameId]);
+  return res.json({ ok: true, userIds: rows.map((r) => r.user_id) });
+}));
+
+/** GET /api/games/:gameId/replays/:userId → { replay: { score, data } | null } */
+dataApi.get("/games/:gameId/replays/:userId", rateLimit("reads"), handle("Replay fetch", async (req, res) => {
+  const { rows } = await pool.query(
+    "SELECT score, data FROM replays WHERE game_id = $1 AND user_id = $2",
+    [req.params.gameId, req.params.userId]
+  );
+  return res.json({ ok: true, replay: rows[0] ?? null });
+}));
@@ -0,0 +1,22 @@
+/**
+ * server/db.js — Pool de PostgreSQL compartido
+ *
+ * Lo usan la API (index.js) y los jobs / CLIs del servidor
+ * (generateChallenges.js, rotateShop.js, migrate.js).
+ */
+
+import pg from "pg";
+
+const { Pool } = pg;
+
+// Exportada aparte: pool.options oculta la contraseña (no enumerable), así
+// que quien necesite otra conexión (migrations.js) parte de aquí
+export const dbConfig = {
+  host: "localhost",
+  port: 5432,
+  database: "Scrollinn",
+  user: "postgres",
+  password: "root",
+};
+
+export const pool = new Pool(dbConfig);
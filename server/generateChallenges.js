@@ -0,0 +1,52 @@
+/**
+ * server/generateChallenges.js — CLI para generar / rellenar Retos Diarios
+ *
+ * Uso:
+ *  node generateChallenges.js                         → hoy + 6 días
+ *  node generateChallenges.js --from 2026-03-01 --days 14
+ *  node generateChallenges.js --from 2026-03-01 --force     → regenera (borra progreso)
+ *  node generateChallenges.js --days 3 --dry-run            → muestra sin guardar
+ *
+ * Los días que ya tienen retos se saltan salvo con --force.
+ */
+
+import process from "node:process";
+import { pool } from "./db.js";
+import { generateRange } from "./challengeGenerator.js";
+import { getSpanishDateString } from "../src/utils/dateUtils.js";
+
+function parseArgs(argv) {
+  const args = { from: getSpanishDateString(), days: 7, force: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--from") args.from = argv[++i];
+    else if (arg === "--days") args.days = parseInt(argv[++i], 10);
+    else if (arg === "--force") args.force = true;
+    else if (arg === "--dry-run") args.dryRun = true;
+    else throw new Error(`Argumento desconocido: ${arg}`);
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(args.from ?? "")) {
+    throw new Error("--from debe tener formato YYYY-MM-DD");
+  }
+  if (!Number.isInteger(args.days) || args.days < 1) {
+    throw new Error("--days debe ser un entero positivo");
+  }
+  return args;
+}
+
+try {
+  const { from, days, force, dryRun } = parseArgs(process.argv.slice(2));
+  const results = await generateRange(from, days, { force, dryRun });
+
+  for (const { date, status, challenges } of results) {
+    console.log(`${date}  ${status}`);
+    for (const c of challenges) {
+      console.log(`   [${c.difficulty}] ${c.title_es} — ${c.description_es} (+${c.reward_coins} 🪙)`);
+    }
+  }
+} catch (err) {
+  console.error("❌", err.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
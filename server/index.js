@@ -1,29 +1,57 @@
 /**
  * server/index.js — Backend API para Scrollinn
  *
+ * Es el backend del modo local (VITE_BACKEND=local, ver src/backend/):
+ * misma base de datos y mismos RPCs que Supabase sobre PostgreSQL.
+ *
  * Endpoints:
- *  POST /api/auth  — Login o registro automático
- *    body: { username, password }
- *    - Si el usuario existe → verifica contraseña (login)
- *    - Si no existe → crea cuenta nueva (registro)
+ *  POST /api/auth  — Login o registro (cuentas en auth.users)
+ *    body: { mode: "login", identifier, password }
+ *        | { mode: "register", username, email, password }
+ *    Devuelve un token de sesión (auth.js, firmado con JWT_SECRET) que el
+ *    cliente manda como Authorization: Bearer <token>.
+ *
+ * Límites (rateLimit.js): cuotas por IP / usuario en auth, altas,
+ * puntuaciones, likes, escrituras, lecturas y analítica, y bloqueo del login tras
+ * varias contraseñas incorrectas → 429 con Retry-After.
+ *
+ *  Datos (dataApi.js): likes, juegos, rankings (histórico y por periodo
+ *  con fronteras Europe/Madrid), sesiones de partida y puntuaciones
+ *  (RPC submit_score), retos diarios, logros, avatares y tienda, duelos,
+ *  amigos, rachas, Supervivencia, monedero, replays y señales del feed.
+ *
+ *  POST /api/analytics/events — Lote de eventos de juego del Feed
+ *  GET  /api/analytics/funnels — Embudos por juego (dashboard interno,
+ *    cabecera x-dashboard-key = ANALYTICS_DASHBOARD_KEY)
+ *
+ * Jobs:
+ *  Retos diarios — al arrancar y cada hora genera los sets que falten para
+ *  hoy y los próximos días (ver challengeGenerator.js).
+ *  Tienda — al arrancar y cada lunes a las 09:00 (Madrid) aplica la rotación
+ *  semanal de avatares (ver shopRotation.js).
  */
 
+import process from "node:process";
+import { randomUUID } from "node:crypto";
 import express from "express";
 import cors from "cors";
 import bcrypt from "bcrypt";
-import pg from "pg";
-
-const { Pool } = pg;
-
-const pool = new Pool({
-  host: "localhost",
-  port: 5432,
-  database: "Scrollinn",
-  user: "postgres",
-  password: "root",
-});
+import { pool } from "./db.js";
+import { dataApi } from "./dataApi.js";
+import { signToken } from "./auth.js";
+import { rateLimit, consume, tooManyRequests, getLockout, recordFailedLogin, clearFailedLogins } from "./rateLimit.js";
+import { ensureUpcomingChallenges } from "./challengeGenerator.js";
+import { ensureShopRotation } from "./shopRotation.js";
+import { insertEvents, getFunnels, MAX_BATCH } from "./analytics.js";
+import { getMsUntilShopRotation } from "../src/utils/dateUtils.js";
 
 const app = express();
+// Detrás de un proxy: saltos (número) o IPs de confianza, para que req.ip
+// sea la del cliente en los límites por IP
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 app.use(cors());
 app.use(express.json());
 
@@ -36,433 +64,217 @@ process.on("unhandledRejection", (err) => {
 });
 
 const SALT_ROUNDS = 10;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/** Busca una cuenta por nombre de usuario o, si lleva "@", por email */
+async function findAccount(identifier) {
+  const byEmail = identifier.includes("@");
+  const { rows } = await pool.query(
+    `SELECT au.id, u.username, au.encrypted_password
+       FROM auth.users au
+       JOIN public.users u ON u.id = au.id
+      WHERE ${byEmail ? "lower(au.email) = lower($1)" : "u.username = $1"}`,
+    [identifier]
+  );
+  return rows[0] ?? null;
+}
+
+/** Hash bcrypt de relleno para los logins de cuentas que no existen */
+let dummyHashPromise = null;
+function dummyHash() {
+  dummyHashPromise ??= bcrypt.hash(randomUUID(), SALT_ROUNDS);
+  return dummyHashPromise;
+}
+
+/**
+ * Crea la cuenta en auth.users; el trigger on_auth_user_created crea la
+ * fila de public.users (y si no existe el trigger, se inserta aquí).
+ */
+async function createAccount({ username, email, password }) {
+  const hash = await bcrypt.hash(password, SALT_ROUNDS);
+  const { rows } = await pool.query(
+    `INSERT INTO auth.users (email, encrypted_password, raw_user_meta_data)
+     VALUES ($1, $2, jsonb_build_object('username', $3::text))
+     RETURNING id`,
+    [email, hash, username]
+  );
+  const { id } = rows[0];
+  await pool.query(
+    "INSERT INTO public.users (id, username, xp, coins) VALUES ($1, $2, 0, 0) ON CONFLICT (id) DO NOTHING",
+    [id, username]
+  );
+  return { id, username };
+}
+
+/** Cupo de altas nuevas por IP; responde 429 y devuelve false si está lleno */
+async function allowRegistration(req, res) {
+  const result = await consume("register", req);
+  if (!result?.limited) return true;
+  tooManyRequests(res, result.retryAfter);
+  return false;
+}
 
 /**
  * POST /api/auth
  *
- * Body: { username: string, password: string }
+ * Body (AuthScreen en modo local, ver src/backend/localBackend.js, y
+ * AuthModal, ver src/services/authService.js):
+ *  { mode: "login",    identifier, password }   — usuario o email
+ *  { mode: "register", username, email, password }
  *
- * Respuestas:
- *  201 — Cuenta creada   { ok: true, action: "registered", user: { id, username } }
- *  200 — Login correcto  { ok: true, action: "logged_in",  user: { id, username } }
- *  401 — Contraseña mal  { ok: false, error: "Contraseña incorrecta" }
+ * Las cuentas viven en auth.users (database/local_auth.sql), con la
+ * contraseña en bcrypt como en Supabase.
+ *
+ * Respuestas (token: JWT de sesión, ver auth.js):
+ *  201 — Cuenta creada   { ok: true, action: "registered", user: { id, username }, token }
+ *  200 — Login correcto  { ok: true, action: "logged_in",  user: { id, username }, token }
+ *  401 — Credenciales    { ok: false, code: "invalid_credentials", error }
+ *        (misma respuesta si la cuenta no existe o la contraseña no coincide,
+ *        para no revelar qué usuarios existen)
+ *  409 — Ya en uso       { ok: false, code: "username_taken" | "email_taken", error }
+ *  429 — Límite          { ok: false, code: "rate_limited" | "too_many_attempts", error, retryAfter }
+ *        (demasiadas peticiones o altas desde la IP / login bloqueado tras
+ *        varios fallos para la cuenta desde esa IP o desde la IP, ver LOCKOUT)
  *  400 — Datos faltantes { ok: false, error: "..." }
  */
-app.post("/api/auth", async (req, res) => {
+app.post("/api/auth", rateLimit("auth"), async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { mode, password } = req.body;
 
-    if (!username || !password) {
-      return res.status(400).json({ ok: false, error: "Nombre de usuario y contraseña son obligatorios." });
+    if (mode === "register") {
+      const username = req.body.username?.trim();
+      const email = req.body.email?.trim();
+      if (!username || !password) {
+        return res.status(400).json({ ok: false, error: "Nombre de usuario y contraseña son obligatorios." });
+      }
+      if (username.length > 30 || username.includes("@")) {
+        return res.status(400).json({ ok: false, error: "Nombre de usuario no válido (máx. 30 caracteres, sin @)." });
+      }
+      if (password.length < 8) {
+        return res.status(400).json({ ok: false, error: "La contraseña debe tener al menos 8 caracteres." });
+      }
+      if (!email || !EMAIL_REGEX.test(email)) {
+        return res.status(400).json({ ok: false, error: "Email no válido." });
+      }
+      if (await findAccount(username)) {
+        return res.status(409).json({ ok: false, code: "username_taken", error: "Ese nombre de usuario ya existe." });
+      }
+      if (await findAccount(email)) {
+        return res.status(409).json({ ok: false, code: "email_taken", error: "Ese email ya está registrado." });
+      }
+      if (!(await allowRegistration(req, res))) return;
+      const user = await createAccount({ username, email, password });
+      return res.status(201).json({ ok: true, action: "registered", user, token: signToken(user) });
     }
 
-    if (username.length > 30) {
-      return res.status(400).json({ ok: false, error: "El nombre de usuario no puede tener más de 30 caracteres." });
+    if (mode !== "login") {
+      return res.status(400).json({ ok: false, error: 'mode debe ser "login" o "register".' });
     }
 
-    if (password.length < 4) {
-      return res.status(400).json({ ok: false, error: "La contraseña debe tener al menos 4 caracteres." });
+    const identifier = req.body.identifier?.trim();
+    if (!identifier || !password) {
+      return res.status(400).json({ ok: false, error: "Nombre de usuario y contraseña son obligatorios." });
+    }
+    if (identifier.length > 30 && !identifier.includes("@")) {
+      return res.status(400).json({ ok: false, error: "El nombre de usuario no puede tener más de 30 caracteres." });
     }
 
-    // Buscar si el usuario ya existe
-    const existing = await pool.query(
-      "SELECT id, username, password_hash FROM users WHERE username = $1",
-      [username]
-    );
+    // El bloqueo va por cuenta + IP (da igual entrar con usuario o email) y por IP
+    const account = await findAccount(identifier);
+    const attempt = { accountId: account?.id ?? null, identifier };
 
-    if (existing.rows.length > 0) {
-      // === Usuario existe → verificar contraseña ===
-      const user = existing.rows[0];
-      const match = await bcrypt.compare(password, user.password_hash);
+    const lockedFor = await getLockout(req, attempt);
+    if (lockedFor > 0) return tooManyRequests(res, lockedFor, "too_many_attempts");
 
-      if (!match) {
-        return res.status(401).json({ ok: false, error: "Contraseña incorrecta." });
-      }
+    // Sin cuenta se compara igual contra un hash de relleno: mismo tiempo de respuesta
+    const hash = account?.encrypted_password;
+    const match = await bcrypt.compare(password, hash || await dummyHash()) && Boolean(hash);
 
-      return res.json({
-        ok: true,
-        action: "logged_in",
-        user: { id: user.id, username: user.username },
-      });
+    if (!match) {
+      const lockout = await recordFailedLogin(req, attempt);
+      if (lockout > 0) return tooManyRequests(res, lockout, "too_many_attempts");
+      return res.status(401).json({ ok: false, code: "invalid_credentials", error: "Usuario, email o contraseña incorrectos." });
     }
 
-    // === Usuario nuevo → crear cuenta ===
-    const hash = await bcrypt.hash(password, SALT_ROUNDS);
-    const result = await pool.query(
-      "INSERT INTO users (username, password_hash) VALUES ($1, $2) RETURNING id, username",
-      [username, hash]
-    );
-
-    const newUser = result.rows[0];
-    return res.status(201).json({
-      ok: true,
-      action: "registered",
-      user: { id: newUser.id, username: newUser.username },
-    });
+    await clearFailedLogins(req, attempt);
+    const user = { id: account.id, username: account.username };
+    return res.json({ ok: true, action: "logged_in", user, token: signToken(user) });
   } catch (err) {
     console.error("Auth error:", err);
     return res.status(500).json({ ok: false, error: "Error interno del servidor." });
   }
 });
 
+// Datos del juego (likes, rankings, puntuaciones, retos, avatares, tienda)
+app.use("/api", dataApi);
+
 // ==========================================
-// LIKES — Endpoints
+// ANALYTICS — Endpoints
 // ==========================================
 
 /**
- * GET /api/games/likes
- * Devuelve { gameId: totalLikes } para todos los juegos.
- * Opcionalmente acepta ?userId=<uuid> para incluir qué juegos ha likeado ese usuario.
- */
-app.get("/api/games/likes", async (req, res) => {
-  try {
-    const { userId } = req.query;
-
-    // Total likes de cada juego
-    const gamesResult = await pool.query("SELECT id, total_likes FROM games");
-    const likesMap = {};
-    for (const row of gamesResult.rows) {
-      likesMap[row.id] = { count: Number(row.total_likes), liked: false };
-    }
-
-    // Si hay usuario logueado, marcamos cuáles ha likeado
-    if (userId) {
-      const userLikes = await pool.query(
-        "SELECT game_id FROM user_likes WHERE user_id = $1",
-        [userId]
-      );
-      for (const row of userLikes.rows) {
-        if (likesMap[row.game_id]) {
-          likesMap[row.game_id].liked = true;
-        }
-      }
-    }
-
-    return res.json({ ok: true, likesMap });
-  } catch (err) {
-    console.error("Likes fetch error:", err);
-    return res.status(500).json({ ok: false, error: "Error interno del servidor." });
-  }
-});
-
-/**
- * POST /api/games/:gameId/like
- * Body: { userId?: string, delta?: number }
+ * POST /api/analytics/events
+ * Body: { events: [{ id, type, session_id, user_id?, game_id, props?, client_ts }] }
  *
- * - Si se envía userId → toggle en user_likes (el trigger actualiza total_likes)
- * - Si NO se envía userId → like anónimo, incrementa/decrementa total_likes directamente
- *   delta: 1 para sumar, -1 para restar
+ * Modo local (backend.analytics en localBackend): llega por fetch o por
+ * navigator.sendBeacon al cerrar la pestaña. En modo Supabase los eventos
+ * van al RPC track_analytics_events (database/analytics_rpc.sql).
+ * Sin token de sesión: sendBeacon no admite cabeceras. El user_id solo se
+ * usa para agregar.
+ * Los eventos inválidos se descartan; los repetidos (mismo id) se ignoran.
  *
- * Devuelve { ok, liked, totalLikes }
+ * Respuestas:
+ *  202 — { ok: true, accepted, rejected }
+ *  400 — Lote vacío o de más de MAX_BATCH eventos
+ *  429 — Demasiados lotes desde la IP
  */
-app.post("/api/games/:gameId/like", async (req, res) => {
+app.post("/api/analytics/events", rateLimit("analytics"), async (req, res) => {
   try {
-    const { gameId } = req.params;
-    const { userId, delta } = req.body;
-
-    let liked;
-
-    console.log(`[LIKE] Petición recibida → gameId: ${gameId}, userId: ${userId || "anónimo"}, delta: ${delta}`);
-
-    if (userId) {
-      // === Usuario registrado: toggle en user_likes ===
-      const existing = await pool.query(
-        "SELECT 1 FROM user_likes WHERE user_id = $1 AND game_id = $2",
-        [userId, gameId]
-      );
-
-      if (existing.rows.length > 0) {
-        await pool.query(
-          "DELETE FROM user_likes WHERE user_id = $1 AND game_id = $2",
-          [userId, gameId]
-        );
-        liked = false;
-        console.log(`[LIKE] Usuario ${userId} QUITÓ like de ${gameId}`);
-      } else {
-        await pool.query(
-          "INSERT INTO user_likes (user_id, game_id) VALUES ($1, $2)",
-          [userId, gameId]
-        );
-        liked = true;
-        console.log(`[LIKE] Usuario ${userId} DIO like a ${gameId}`);
-      }
-    } else {
-      // === Anónimo: incrementar/decrementar directamente ===
-      const d = delta === -1 ? -1 : 1;
-      await pool.query(
-        "UPDATE games SET total_likes = GREATEST(total_likes + $1, 0) WHERE id = $2",
-        [d, gameId]
-      );
-      liked = d === 1;
-      console.log(`[LIKE] Anónimo ${d > 0 ? "DIO" : "QUITÓ"} like de ${gameId} (delta: ${d})`);
+    const events = req.body?.events;
+    if (!Array.isArray(events) || events.length === 0 || events.length > MAX_BATCH) {
+      return res.status(400).json({ ok: false, error: `Se esperan entre 1 y ${MAX_BATCH} eventos.` });
     }
 
-    // Leer el total actualizado
-    const result = await pool.query(
-      "SELECT total_likes FROM games WHERE id = $1",
-      [gameId]
-    );
-    const totalLikes = result.rows[0] ? Number(result.rows[0].total_likes) : 0;
-
-    console.log(`[LIKE] Resultado → liked: ${liked}, totalLikes: ${totalLikes}`);
-
-    return res.json({ ok: true, liked, totalLikes });
+    const { accepted, rejected } = await insertEvents(events);
+    return res.status(202).json({ ok: true, accepted, rejected });
   } catch (err) {
-    console.error("Like toggle error:", err);
+    console.error("Analytics ingest error:", err);
     return res.status(500).json({ ok: false, error: "Error interno del servidor." });
   }
 });
 
-// ==========================================
-// SCORES — Endpoints
-// ==========================================
-
 /**
- * POST /api/scores
- * Body: { userId: string, gameId: string, score: number }
+ * GET /api/analytics/funnels?days=7
+ * Embudo por juego: vistas → empezadas → terminadas, saltos, abandonos,
+ * tiempo hasta el primer toque y replays por sesión.
  *
- * Flujo:
- *  1. Valida que el usuario exista (autenticación obligatoria)
- *  2. Consulta is_lower_better del juego
- *  3. Obtiene el Top 20 de HOY para ese juego
- *  4. Si hay menos de 20, inserta directamente
- *  5. Si hay 20+, compara con el "corte" (puesto 20)
- *  6. Solo inserta si la puntuación supera el corte
- *
- * Devuelve { ok, saved, message, ranking[] }
+ * Solo con la cabecera x-dashboard-key = ANALYTICS_DASHBOARD_KEY.
+ *  503 — Dashboard desactivado (variable sin definir)
+ *  401 — Clave incorrecta
  */
-app.post("/api/scores", async (req, res) => {
-  try {
-    const { userId, gameId, score } = req.body;
-
-    if (!userId || !gameId || score === undefined || score === null) {
-      return res.status(400).json({ ok: false, error: "userId, gameId y score son obligatorios." });
-    }
-
-    // 1. Verificar que el usuario existe
-    const userCheck = await pool.query("SELECT id FROM users WHERE id = $1", [userId]);
-    if (userCheck.rows.length === 0) {
-      return res.status(401).json({ ok: false, saved: false, message: "Debes registrarte para entrar al ranking." });
-    }
-
-    // 2. Obtener is_lower_better del juego
-    const gameCheck = await pool.query("SELECT id, is_lower_better FROM games WHERE id = $1", [gameId]);
-    if (gameCheck.rows.length === 0) {
-      return res.status(404).json({ ok: false, error: "Juego no encontrado." });
-    }
-    const isLowerBetter = gameCheck.rows[0].is_lower_better;
-
-    // 3. Obtener rango de HOY (desde medianoche UTC)
-    const todayStart = new Date();
-    todayStart.setUTCHours(0, 0, 0, 0);
-    const todayISO = todayStart.toISOString();
-
-    const orderDir = isLowerBetter ? "ASC" : "DESC";
-
-    let saved = false;
-    let message = "";
-
-    // 3a. ¿El usuario ya tiene entrada hoy para este juego?
-    const existingResult = await pool.query(
-      `SELECT id, score FROM scores
-       WHERE user_id = $1 AND game_id = $2 AND achieved_at >= $3
-       LIMIT 1`,
-      [userId, gameId, todayISO]
-    );
-
-    if (existingResult.rows.length > 0) {
-      // Ya tiene entrada → solo actualizar si mejora
-      const current = existingResult.rows[0];
-      const isBetter = isLowerBetter ? score < current.score : score > current.score;
-
-      if (isBetter) {
-        await pool.query(
-          "UPDATE scores SET score = $1, achieved_at = NOW() WHERE id = $2",
-          [score, current.id]
-        );
-        saved = true;
-        message = "¡Nueva mejor marca de hoy!";
-      } else {
-        message = "No has superado tu mejor marca de hoy. ¡Sigue intentando!";
-      }
-    } else {
-      // No tiene entrada → comprobar Top 20 (una por usuario)
-      const top20Result = await pool.query(
-        `SELECT sub.score FROM (
-           SELECT DISTINCT ON (s.user_id) s.score
-           FROM scores s
-           WHERE s.game_id = $1 AND s.achieved_at >= $2
-           ORDER BY s.user_id, s.score ${orderDir}
-         ) sub
-         ORDER BY sub.score ${orderDir}
-         LIMIT 20`,
-        [gameId, todayISO]
-      );
-
-      const top20 = top20Result.rows;
-
-      if (top20.length < 20) {
-        await pool.query(
-          "INSERT INTO scores (user_id, game_id, score) VALUES ($1, $2, $3)",
-          [userId, gameId, score]
-        );
-        saved = true;
-        message = "¡Puntuación guardada!";
-      } else {
-        const cutoffScore = top20[top20.length - 1].score;
-        const beatsCutoff = isLowerBetter ? score < cutoffScore : score > cutoffScore;
-
-        if (beatsCutoff) {
-          await pool.query(
-            "INSERT INTO scores (user_id, game_id, score) VALUES ($1, $2, $3)",
-            [userId, gameId, score]
-          );
-          saved = true;
-          message = "¡Has entrado en el Top 20 de hoy!";
-        } else {
-          message = "No has superado el Top 20 de hoy. ¡Sigue intentando!";
-        }
-      }
-    }
-
-    // Incrementar total_plays siempre que se juega
-    await pool.query("UPDATE games SET total_plays = total_plays + 1 WHERE id = $1", [gameId]);
-
-    // ────────────────────────────────────────────────────────────────────────
-    // 5. PROGRESO DE RETOS DIARIOS
-    //
-    // Tras cada partida, comprobamos si hay retos activos hoy que apliquen a
-    // este juego (o a "cualquier juego" si target_game_id IS NULL).
-    // Solo cuenta como "partida válida" si score >= target_score del reto.
-    // Incrementamos current_progress hasta target_plays (nunca más allá).
-    // No tocamos retos ya reclamados (is_claimed = true).
-    // ────────────────────────────────────────────────────────────────────────
-    try {
-      const todayDate = new Date().toISOString().slice(0, 10); // 'YYYY-MM-DD'
-
-      // 5a. Buscar retos activos hoy que apliquen a este juego (o a cualquier juego).
-      //     La condición de score depende de is_lower_better:
-      //       - Normal (higher is better): score >= target_score
-      //       - Invertido (lower is better, ej: Timer): score <= target_score
-      //     Si target_score = 0 (reto tipo "solo juega"), siempre se cumple.
-      const scoreCondition = isLowerBetter
-        ? "$2 <= target_score OR target_score = 0"
-        : "$2 >= target_score";
-
-      const challengesResult = await pool.query(
-        `SELECT id, target_score, target_plays
-         FROM daily_challenges
-         WHERE active_date = $1
-           AND (${scoreCondition})
-           AND (target_game_id = $3 OR target_game_id IS NULL)`,
-        [todayDate, score, gameId]
-      );
-
-      const matchingChallenges = challengesResult.rows;
-
-      if (matchingChallenges.length > 0) {
-        for (const challenge of matchingChallenges) {
-          // 5b. Upsert en user_challenge_progress:
-          //     - INSERT si no existe fila → current_progress = 1
-          //     - UPDATE si existe, aún no reclamado y no ha llegado al objetivo
-          //       → current_progress + 1 (sin superar target_plays)
-          await pool.query(
-            `INSERT INTO user_challenge_progress (user_id, challenge_id, current_progress, is_claimed, updated_at)
-             VALUES ($1, $2, 1, false, NOW())
-             ON CONFLICT (user_id, challenge_id) DO UPDATE
-               SET current_progress = LEAST(
-                     user_challenge_progress.current_progress + 1,
-                     $3
-                   ),
-                   updated_at = NOW()
-             WHERE user_challenge_progress.is_claimed = false
-               AND user_challenge_progress.current_progress < $3`,
-            [userId, challenge.id, challenge.target_plays]
-          );
-        }
-
-        console.log(
-          `[CHALLENGES] Usuario ${userId} — ${matchingChallenges.length} reto(s) evaluado(s) para ${gameId} (score: ${score})`
-        );
-      }
-    } catch (challengeErr) {
-      // No bloquear la respuesta si falla la lógica de retos
-      console.warn("[CHALLENGES] Error al actualizar progreso:", challengeErr.message);
-    }
-
-    // 6. Devolver el ranking actualizado de hoy (1 entrada por usuario)
-    const rankingResult = await pool.query(
-      `SELECT sub.score, sub.username, sub.achieved_at FROM (
-         SELECT DISTINCT ON (s.user_id) s.score, u.username, s.achieved_at
-         FROM scores s
-         JOIN users u ON u.id = s.user_id
-         WHERE s.game_id = $1 AND s.achieved_at >= $2
-         ORDER BY s.user_id, s.score ${orderDir}
-       ) sub
-       ORDER BY sub.score ${orderDir}
-       LIMIT 20`,
-      [gameId, todayISO]
-    );
-
-    const ranking = rankingResult.rows.map((r, i) => ({
-      pos: i + 1,
-      user: r.username,
-      score: r.score,
-    }));
-
-    return res.json({ ok: true, saved, message, ranking });
-  } catch (err) {
-    console.error("Score submit error:", err);
-    return res.status(500).json({ ok: false, error: "Error interno del servidor." });
+app.get("/api/analytics/funnels", async (req, res) => {
+  const dashboardKey = process.env.ANALYTICS_DASHBOARD_KEY;
+  if (!dashboardKey) {
+    return res.status(503).json({ ok: false, error: "Dashboard de analítica desactivado." });
+  }
+  if (req.get("x-dashboard-key") !== dashboardKey) {
+    return res.status(401).json({ ok: false, error: "Clave de dashboard incorrecta." });
   }
-});
 
-/**
- * GET /api/scores/:gameId/today
- * Devuelve el Top 20 de hoy para un juego.
- */
-app.get("/api/scores/:gameId/today", async (req, res) => {
   try {
-    const { gameId } = req.params;
-
-    // Obtener is_lower_better
-    const gameCheck = await pool.query("SELECT is_lower_better FROM games WHERE id = $1", [gameId]);
-    if (gameCheck.rows.length === 0) {
-      return res.status(404).json({ ok: false, error: "Juego no encontrado." });
-    }
-    const isLowerBetter = gameCheck.rows[0].is_lower_better;
-    const orderDir = isLowerBetter ? "ASC" : "DESC";
-
-    const todayStart = new Date();
-    todayStart.setUTCHours(0, 0, 0, 0);
-
-    const result = await pool.query(
-      `SELECT sub.score, sub.username, sub.achieved_at FROM (
-         SELECT DISTINCT ON (s.user_id) s.score, u.username, s.achieved_at
-         FROM scores s
-         JOIN users u ON u.id = s.user_id
-         WHERE s.game_id = $1 AND s.achieved_at >= $2
-         ORDER BY s.user_id, s.score ${orderDir}
-       ) sub
-       ORDER BY sub.score ${orderDir}
-       LIMIT 20`,
-      [gameId, todayStart.toISOString()]
-    );
-
-    const ranking = result.rows.map((r, i) => ({
-      pos: i + 1,
-      user: r.username,
-      score: r.score,
-    }));
-
-    return res.json({ ok: true, ranking });
+    const { days, games } = await getFunnels({ days: Number(req.query.days) || 7 });
+    return res.json({ ok: true, days, games });
   } catch (err) {
-    console.error("Leaderboard fetch error:", err);
+    console.error("Analytics funnels error:", err);
     return res.status(500).json({ ok: false, error: "Error interno del servidor." });
   }
 });
 
-// Test de conexión a PostgreSQL al arrancar + auto-seed de juegos
+const CHALLENGE_DAYS_AHEAD = 2;                  // hoy + 2 días generados por adelantado
+const CHALLENGE_JOB_INTERVAL_MS = 60 * 60 * 1000; // 1 hora
+const SHOP_JOB_GRACE_MS = 5000;                  // margen tras el lunes 09:00
+
+// Test de conexión a PostgreSQL al arrancar + auto-seed de juegos + jobs
 pool.query("SELECT NOW()")
   .then(async (res) => {
     console.log("✅ PostgreSQL conectado:", res.rows[0].now);
@@ -494,6 +306,31 @@ pool.query("SELECT NOW()")
     } catch (seedErr) {
       console.warn("⚠️  No se pudieron sincronizar los juegos:", seedErr.message);
     }
+
+    // Retos diarios: generar los días que falten y revisar cada hora
+    const runChallengeJob = () =>
+      ensureUpcomingChallenges(CHALLENGE_DAYS_AHEAD)
+        .then((results) => {
+          const created = results.filter((r) => r.status === "created");
+          if (created.length > 0) {
+            console.log("✅ Retos diarios generados:", created.map((r) => r.date).join(", "));
+          }
+        })
+        .catch((jobErr) => console.warn("⚠️  No se pudieron generar los retos diarios:", jobErr.message));
+
+    await runChallengeJob();
+    setInterval(runChallengeJob, CHALLENGE_JOB_INTERVAL_MS);
+
+    // Tienda: rotación de esta semana y temporizador hasta el próximo lunes
+    const runShopJob = () =>
+      ensureShopRotation()
+        .then(({ week, status }) => {
+          if (status === "rotated") console.log("✅ Tienda rotada, semana del", week);
+        })
+        .catch((jobErr) => console.warn("⚠️  No se pudo rotar la tienda:", jobErr.message))
+        .finally(() => setTimeout(runShopJob, getMsUntilShopRotation() + SHOP_JOB_GRACE_MS));
+
+    await runShopJob();
   })
   .catch((err) => {
     console.error("❌ No se pudo conectar a PostgreSQL:");
@@ -503,8 +340,8 @@ pool.query("SELECT NOW()")
     console.error(`   Error: ${err.message}`);
     console.error("\n   Asegúrate de que:");
     console.error("   1. PostgreSQL está corriendo (pgAdmin → servicios)");
-    console.error("   2. La base de datos existe: CREATE DATABASE \"Scrollinn\";");
-    console.error("   3. Las tablas están creadas (ejecutar database/bd.sql)");
+    console.error("   2. La base de datos y las tablas existen: cd server && npm run db:setup");
+    console.error("   3. No hay migraciones pendientes: npm run db:status");
     console.error("   4. Usuario/contraseña son correctos\n");
   });
 
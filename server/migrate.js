@@ -0,0 +1,83 @@
+/**
+ * server/migrate.js — CLI de migraciones de la base de datos
+ *
+ * Uso:
+ *  node migrate.js                  → aplica las migraciones pendientes
+ *  node migrate.js setup            → crea la BD si no existe + aplica todo
+ *                                     (PostgreSQL local desde cero, con el
+ *                                     sustituto de auth.users)
+ *  node migrate.js status           → estado de cada migración
+ *  node migrate.js down [n]         → revierte las n últimas (por defecto 1)
+ *  node migrate.js up --to 12       → aplica hasta la versión 12 incluida
+ *  node migrate.js baseline --to 22 → marca como aplicadas sin ejecutarlas
+ *                                     (BD montada a mano con los scripts)
+ *
+ * Ver migrations.js para el orden y las reglas.
+ */
+
+import process from "node:process";
+import { pool, dbConfig } from "./db.js";
+import { ensureDatabase, getStatus, migrate, rollback } from "./migrations.js";
+
+const STATUS_ICON = {
+  applied: "✅", skipped: "⏭️ ", baseline: "📌", pending: "⏳", modified: "⚠️ ",
+  rolled_back: "↩️ ", unregistered: "↩️ ",
+};
+
+function parseArgs(argv) {
+  const [command = "up", ...rest] = argv;
+  const opts = { command };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === "--to") opts.to = Number(rest[++i]);
+    else if (command === "down" && opts.steps === undefined) opts.steps = Number(arg);
+    else throw new Error(`Argumento desconocido: ${arg}`);
+  }
+  if (opts.to !== undefined && !Number.isInteger(opts.to)) throw new Error("--to espera un número de versión");
+  if (opts.steps !== undefined && !(Number.isInteger(opts.steps) && opts.steps > 0)) {
+    throw new Error("down espera un número de pasos");
+  }
+  return opts;
+}
+
+function print(rows) {
+  if (rows.length === 0) {
+    console.log("Nada que hacer.");
+    return;
+  }
+  for (const r of rows) {
+    const version = String(r.version).padStart(3, "0");
+    console.log(`${STATUS_ICON[r.status] ?? "  "} ${version}  ${r.file}  ${r.status}`);
+  }
+}
+
+try {
+  const { command, to, steps } = parseArgs(process.argv.slice(2));
+
+  switch (command) {
+    case "setup":
+      if (await ensureDatabase()) console.log(`✅ Base de datos "${dbConfig.database}" creada`);
+      print(await migrate({ to }));
+      break;
+    case "up":
+      print(await migrate({ to }));
+      break;
+    case "baseline":
+      if (to === undefined) throw new Error("baseline necesita --to <versión>");
+      print(await migrate({ to, baseline: true }));
+      break;
+    case "down":
+      print(await rollback({ steps: steps ?? 1 }));
+      break;
+    case "status":
+      print(await getStatus());
+      break;
+    default:
+      throw new Error(`Comando desconocido: ${command}`);
+  }
+} catch (err) {
+  console.error("❌", err.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,260 @@
+/**
+ * server/migrations.js — Migraciones versionadas de database/*.sql
+ *
+ * Los scripts de database/ se siguen pudiendo pegar a mano en Supabase; aquí
+ * se fija su ORDEN y el runner los aplica contra el PostgreSQL de db.js:
+ *
+ *  - MIGRATIONS          → lista ordenada (version, script, rollback)
+ *  - schema_migrations   → qué versiones están aplicadas y con qué checksum
+ *                          (sha256 del script en ese momento)
+ *  - database/rollback/  → script inverso de cada migración (mismo nombre)
+ *
+ * Cada migración se aplica (o se revierte) en su propia transacción, junto
+ * con su fila en schema_migrations. Un advisory lock evita dos runners a la
+ * vez.
+ *
+ * Un script ya aplicado NO se edita: si su checksum cambia, migrate() se
+ * niega a seguir. Los cambios van en un script nuevo al final de la lista.
+ *
+ * Uso: server/migrate.js
+ */
+
+import { createHash } from "node:crypto";
+import { readFile } from "node:fs/promises";
+import pg from "pg";
+import { pool, dbConfig } from "./db.js";
+
+const DATABASE_DIR = new URL("../database/", import.meta.url);
+const LOCK_KEY = 7_310_221; // pg_advisory_lock de las migraciones
+
+/**
+ * Orden de aplicación. `onlyIf` (opcional) es una consulta que devuelve un
+ * booleano: si da false la migración se registra como saltada sin ejecutarse.
+ */
+export const MIGRATIONS = [
+  // En Supabase el esquema auth ya existe → solo se crea en local
+  { version: 1,  file: "local_auth.sql", onlyIf: "SELECT to_regnamespace('auth') IS NULL" },
+  { version: 2,  file: "bd.sql" },
+  { version: 3,  file: "add_xp_gained_column.sql" },
+  { version: 4,  file: "likes.sql" },
+  { version: 5,  file: "insertGames.sql" },
+  { version: 6,  file: "trigger_update_highscores.sql" },
+  { version: 7,  file: "fix_auth_trigger.sql" },
+  { version: 8,  file: "get_email_by_username.sql" },
+  { version: 9,  file: "daily_challenge_generator.sql" },
+  { version: 10, file: "localized_content.sql" },
+  { version: 11, file: "currency_ledger.sql" },
+  { version: 12, file: "score_validation.sql" },
+  { version: 13, file: "leaderboards.sql" },
+  { version: 14, file: "achievements.sql" },
+  { version: 15, file: "shop_rotation.sql" },
+  { version: 16, file: "analytics_events.sql" },
+  { version: 17, file: "streaks.sql" },
+  { version: 18, file: "friends.sql" },
+  { version: 19, file: "duels.sql" },
+  { version: 20, file: "replays.sql" },
+  { version: 21, file: "offline_scores.sql" },
+  { version: 22, file: "profile_stats.sql" },
+  { version: 23, file: "rate_limits.sql" },
+  { version: 24, file: "score_submission.sql" },
+  { version: 25, file: "xp_rules.sql" },
+  { version: 26, file: "challenge_progress_lockdown.sql" },
+  { version: 27, file: "offline_sessions.sql" },
+  { version: 28, file: "survival_runs.sql" },
+  { version: 29, file: "timer_xp_rule.sql" },
+  { version: 30, file: "analytics_rpc.sql" },
+  { version: 31, file: "survival_verdict.sql" },
+];
+
+const CREATE_TABLE = `
+  CREATE TABLE IF NOT EXISTS public.schema_migrations (
+      version INT4 PRIMARY KEY,
+      file TEXT NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      skipped BOOLEAN NOT NULL DEFAULT false,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )`;
+
+/* ═══════════════════ Scripts ═══════════════════ */
+
+async function readScript(path) {
+  return readFile(new URL(path, DATABASE_DIR), "utf8");
+}
+
+function checksum(sql) {
+  return createHash("sha256").update(sql).digest("hex");
+}
+
+/** Migraciones con su SQL y checksum actuales */
+async function loadMigrations() {
+  return Promise.all(
+    MIGRATIONS.map(async (m) => {
+      const sql = await readScript(m.file);
+      return { ...m, sql, checksum: checksum(sql) };
+    })
+  );
+}
+
+/* ═══════════════════ Estado ═══════════════════ */
+
+/** Ejecuta fn(client) con el lock de migraciones y la tabla creada */
+async function withLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [LOCK_KEY]);
+    await client.query(CREATE_TABLE);
+    return await fn(client);
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+async function readApplied(client) {
+  const { rows } = await client.query(
+    "SELECT version, file, checksum, skipped, applied_at FROM public.schema_migrations ORDER BY version"
+  );
+  return new Map(rows.map((r) => [r.version, r]));
+}
+
+/**
+ * Estado de cada migración:
+ *  applied | skipped | pending | modified (el script cambió tras aplicarse)
+ */
+function describe(migrations, applied) {
+  return migrations.map((m) => {
+    const row = applied.get(m.version);
+    let status = "pending";
+    if (row) {
+      if (row.checksum !== m.checksum) status = "modified";
+      else status = row.skipped ? "skipped" : "applied";
+    }
+    return { version: m.version, file: m.file, status, appliedAt: row?.applied_at ?? null };
+  });
+}
+
+/** @returns {Promise<Array<{ version, file, status, appliedAt }>>} */
+export async function getStatus() {
+  const migrations = await loadMigrations();
+  return withLock(async (client) => describe(migrations, await readApplied(client)));
+}
+
+/* ═══════════════════ Aplicar / revertir ═══════════════════ */
+
+async function inTransaction(client, fn) {
+  await client.query("BEGIN");
+  try {
+    const result = await fn();
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Aplica las migraciones pendientes en orden (hasta `to` si se indica).
+ * Con baseline solo las registra, sin ejecutarlas: para una BD montada a
+ * mano que ya tiene esos scripts.
+ *
+ * @returns {Promise<Array<{ version, file, status: "applied"|"skipped"|"baseline" }>>}
+ */
+export async function migrate({ to = Infinity, baseline = false } = {}) {
+  const migrations = await loadMigrations();
+
+  return withLock(async (client) => {
+    const applied = await readApplied(client);
+
+    const modified = describe(migrations, applied).filter((m) => m.status === "modified");
+    if (modified.length > 0) {
+      throw new Error(
+        `Scripts modificados tras aplicarse: ${modified.map((m) => m.file).join(", ")}. ` +
+        "Deshaz el cambio y añádelo como migración nueva."
+      );
+    }
+
+    const done = [];
+    for (const m of migrations) {
+      if (m.version > to) break;
+      if (applied.has(m.version)) continue;
+
+      const status = await inTransaction(client, async () => {
+        let run = true;
+        if (m.onlyIf) {
+          const { rows } = await client.query(m.onlyIf);
+          run = Object.values(rows[0] ?? {})[0] === true;
+        }
+        if (run && !baseline) {
+          try {
+            await client.query(m.sql);
+          } catch (err) {
+            err.message = `${m.file}: ${err.message}`;
+            throw err;
+          }
+        }
+        await client.query(
+          "INSERT INTO public.schema_migrations (version, file, checksum, skipped) VALUES ($1, $2, $3, $4)",
+          [m.version, m.file, m.checksum, !run]
+        );
+        if (!run) return "skipped";
+        return baseline ? "baseline" : "applied";
+      });
+
+      done.push({ version: m.version, file: m.file, status });
+    }
+    return done;
+  });
+}
+
+/**
+ * Revierte las últimas `steps` migraciones aplicadas, de la más nueva a la
+ * más antigua, con database/rollback/<script>. Las saltadas solo se
+ * desregistran.
+ *
+ * @returns {Promise<Array<{ version, file, status: "rolled_back"|"unregistered" }>>}
+ */
+export async function rollback({ steps = 1 } = {}) {
+  return withLock(async (client) => {
+    const applied = [...(await readApplied(client)).values()].reverse().slice(0, steps);
+
+    const done = [];
+    for (const row of applied) {
+      const sql = row.skipped ? null : await readScript(`rollback/${row.file}`);
+
+      await inTransaction(client, async () => {
+        if (sql) {
+          try {
+            await client.query(sql);
+          } catch (err) {
+            err.message = `rollback/${row.file}: ${err.message}`;
+            throw err;
+          }
+        }
+        await client.query("DELETE FROM public.schema_migrations WHERE version = $1", [row.version]);
+      });
+
+      done.push({ version: row.version, file: row.file, status: sql ? "rolled_back" : "unregistered" });
+    }
+    return done;
+  });
+}
+
+/**
+ * Crea la base de datos de db.js si no existe (conectando a `postgres` con
+ * la misma configuración, contraseña incluida).
+ * @returns {Promise<boolean>} true si la ha creado
+ */
+export async function ensureDatabase() {
+  const { database } = dbConfig;
+  const admin = new pg.Client({ ...dbConfig, database: "postgres" });
+  await admin.connect();
+  try {
+    const { rowCount } = await admin.query("SELECT 1 FROM pg_database WHERE datname = $1", [database]);
+    if (rowCount > 0) return false;
+    await admin.query(`CREATE DATABASE ${pg.escapeIdentifier(database)}`);
+    return true;
+  } finally {
+    await admin.end();
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * server/rateLimit.js — Límite de peticiones y bloqueo por contraseñas fallidas
+ *
+ * rateLimit(name) → middleware con el límite LIMITS[name]: cuenta peticiones
+ * en una ventana fija por "bucket":
+ *  - by: "ip"   → uno por IP (req.ip; detrás de un proxy, TRUST_PROXY)
+ *  - by: "user" → uno por usuario del token (req.user, ver auth.js); sin
+ *                 sesión cae a la IP
+ * Al pasarse → 429 { ok: false, code: "rate_limited", error, retryAfter }
+ * con la cabecera Retry-After (segundos).
+ *
+ * Login: dos contadores de intentos fallidos → 429 { code: "too_many_attempts" }
+ * hasta que vence su ventana:
+ *  - por cuenta + IP (id de usuario, entre por nombre o por email; si la
+ *    cuenta no existe, el identificador normalizado). Va atado a la IP para
+ *    que nadie pueda bloquear la cuenta de otro desde fuera. Un login
+ *    correcto lo limpia.
+ *  - por IP, con cualquier cuenta (frena el barrido de muchas cuentas).
+ *
+ * Límites configurables por ruta con RATE_LIMIT_<NOMBRE>=<max>/<segundos>
+ * (p. ej. RATE_LIMIT_SCORES=10/60).
+ *
+ * Stores (RATE_LIMIT_STORE):
+ *  - memory (por defecto) → Map en el proceso; se pierde al reiniciar y no
+ *                           se comparte entre instancias
+ *  - postgres             → tabla rate_limits (database/rate_limits.sql),
+ *                           compartida entre instancias
+ * Si el store falla la petición pasa (mejor sin límite que sin servidor).
+ */
+
+import process from "node:process";
+import { pool } from "./db.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/** Límites por ruta: max peticiones cada windowMs, por IP o por usuario */
+export const LIMITS = {
+  auth:      { max: 30, windowMs: 15 * MINUTE, by: "ip" },   // POST /api/auth
+  register:  { max: 5,  windowMs: HOUR,        by: "ip" },   // altas nuevas
+  sessions:  { max: 30, windowMs: MINUTE,      by: "user" }, // POST /game-sessions
+  scores:    { max: 20, windowMs: MINUTE,      by: "user" }, // POST /scores
+  likes:     { max: 30, windowMs: MINUTE,      by: "user" }, // toggle de like
+  plays:     { max: 60, windowMs: MINUTE,      by: "ip" },   // contador de invitados
+  writes:    { max: 60, windowMs: MINUTE,      by: "user" }, // resto de escrituras
+  reads:     { max: 120, windowMs: MINUTE,     by: "user" }, // duelos, amigos, rachas, replays…
+  analytics: { max: 60, windowMs: MINUTE,      by: "ip" },   // lotes de eventos
+};
+
+/** Bloqueo del login: maxFailures intentos fallidos dentro de windowMs */
+export const LOCKOUT = {
+  account: { maxFailures: 5,  windowMs: 15 * MINUTE }, // misma cuenta desde la misma IP
+  ip:      { maxFailures: 20, windowMs: 15 * MINUTE }, // misma IP, cualquier cuenta
+};
+
+// RATE_LIMIT_<NOMBRE>=<max>/<segundos>
+for (const [name, limit] of Object.entries(LIMITS)) {
+  const override = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+  const match = /^(\d+)\/(\d+)$/.exec(override ?? "");
+  if (match) {
+    limit.max = Number(match[1]);
+    limit.windowMs = Number(match[2]) * 1000;
+  } else if (override) {
+    console.warn(`⚠️  RATE_LIMIT_${name.toUpperCase()}="${override}" ignorado (formato: <max>/<segundos>)`);
+  }
+}
+
+/* ═══════════════════ Stores ═══════════════════ */
+// Interfaz: hit(key, windowMs) → { count, resetAt } · get(key) · reset(key)
+// resetAt en ms (epoch). Una ventana vencida cuenta como vacía.
+
+function createMemoryStore() {
+  const buckets = new Map();
+
+  // Limpieza de ventanas vencidas (unref: no mantiene vivo el proceso)
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt <= now) buckets.delete(key);
+    }
+  }, MINUTE).unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowMs };
+        buckets.set(key, bucket);
+      }
+      bucket.count += 1;
+      return { ...bucket };
+    },
+
+    async get(key) {
+      const bucket = buckets.get(key);
+      return bucket && bucket.resetAt > Date.now() ? { ...bucket } : null;
+    },
+
+    async reset(key) {
+      buckets.delete(key);
+    },
+  };
+}
+
+function createPostgresStore(db) {
+  setInterval(() => {
+    db.query("DELETE FROM public.rate_limits WHERE reset_at <= NOW()")
+      .catch((err) => console.error("Rate limit cleanup error:", err.message));
+  }, 10 * MINUTE).unref();
+
+  const toBucket = (row) => ({ count: row.count, resetAt: row.reset_at.getTime() });
+
+  return {
+    async hit(key, windowMs) {
+      const { rows } = await db.query(
+        `INSERT INTO public.rate_limits AS r (key, count, reset_at)
+         VALUES ($1, 1, NOW() + $2 * INTERVAL '1 millisecond')
+         ON CONFLICT (key) DO UPDATE SET
+           count    = CASE WHEN r.reset_at <= NOW() THEN 1 ELSE r.count + 1 END,
+           reset_at = CASE WHEN r.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE r.reset_at END
+         RETURNING count, reset_at`,
+        [key, windowMs]
+      );
+      return toBucket(rows[0]);
+    },
+
+    async get(key) {
+      const { rows } = await db.query(
+        "SELECT count, reset_at FROM public.rate_limits WHERE key = $1 AND reset_at > NOW()",
+        [key]
+      );
+      return rows[0] ? toBucket(rows[0]) : null;
+    },
+
+    async reset(key) {
+      await db.query("DELETE FROM public.rate_limits WHERE key = $1", [key]);
+    },
+  };
+}
+
+const store = process.env.RATE_LIMIT_STORE === "postgres"
+  ? createPostgresStore(pool)
+  : createMemoryStore();
+
+/* ═══════════════════ Límites ═══════════════════ */
+
+function secondsUntil(resetAt) {
+  return Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+}
+
+function bucketKey(name, req) {
+  const { by } = LIMITS[name];
+  if (by === "user" && req.user) return `${name}:user:${req.user.id}`;
+  return `${name}:ip:${req.ip}`;
+}
+
+/** Responde 429 con Retry-After */
+export function tooManyRequests(res, retryAfter, code = "rate_limited") {
+  const error = code === "too_many_attempts"
+    ? "Demasiados intentos fallidos. Prueba más tarde."
+    : "Demasiadas peticiones. Espera un poco.";
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ ok: false, code, error, retryAfter });
+}
+
+/**
+ * Suma una petición al bucket de `name`.
+ * @returns {Promise<{ limited: boolean, remaining: number, retryAfter: number }|null>}
+ *          null si el store ha fallado
+ */
+export async function consume(name, req) {
+  const { max, windowMs } = LIMITS[name];
+  try {
+    const { count, resetAt } = await store.hit(bucketKey(name, req), windowMs);
+    return { limited: count > max, remaining: Math.max(0, max - count), retryAfter: secondsUntil(resetAt) };
+  } catch (err) {
+    console.error(`Rate limit (${name}) error:`, err.message);
+    return null;
+  }
+}
+
+/** Middleware: 429 si el bucket de `name` está lleno */
+export function rateLimit(name) {
+  if (!LIMITS[name]) throw new Error(`Límite desconocido: ${name}`);
+
+  return async (req, res, next) => {
+    const result = await consume(name, req);
+    if (!result) return next();
+
+    res.set("RateLimit-Limit", String(LIMITS[name].max));
+    res.set("RateLimit-Remaining", String(result.remaining));
+    res.set("RateLimit-Reset", String(result.retryAfter));
+    if (result.limited) return tooManyRequests(res, result.retryAfter);
+    return next();
+  };
+}
+
+/* ═══════════════════ Bloqueo del login ═══════════════════ */
+
+/** Contador de fallos de una cuenta desde la IP de la petición */
+function accountKey(req, { accountId, identifier }) {
+  const account = accountId
+    ? `account:${accountId}`
+    : `name:${identifier.trim().toLowerCase()}`;
+  return `lockout:${account}:ip:${req.ip}`;
+}
+
+/**
+ * Buckets de un intento de login.
+ * @param {{ accountId: string|null, identifier: string }} attempt
+ */
+function lockoutBuckets(req, attempt) {
+  return [
+    { key: accountKey(req, attempt), ...LOCKOUT.account },
+    { key: `lockout:ip:${req.ip}`, ...LOCKOUT.ip },
+  ];
+}
+
+/** Segundos que le quedan al bloqueo más largo (0 si no está bloqueado) */
+export async function getLockout(req, attempt) {
+  try {
+    let seconds = 0;
+    for (const { key, maxFailures } of lockoutBuckets(req, attempt)) {
+      const bucket = await store.get(key);
+      if (bucket && bucket.count >= maxFailures) seconds = Math.max(seconds, secondsUntil(bucket.resetAt));
+    }
+    return seconds;
+  } catch (err) {
+    console.error("Lockout check error:", err.message);
+    return 0;
+  }
+}
+
+/**
+ * Apunta un intento fallido en la cuenta y en la IP.
+ * @returns {Promise<number>} segundos de bloqueo si con este se bloquea, si no 0
+ */
+export async function recordFailedLogin(req, attempt) {
+  try {
+    let seconds = 0;
+    for (const { key, maxFailures, windowMs } of lockoutBuckets(req, attempt)) {
+      const { count, resetAt } = await store.hit(key, windowMs);
+      if (count >= maxFailures) seconds = Math.max(seconds, secondsUntil(resetAt));
+    }
+    return seconds;
+  } catch (err) {
+    console.error("Lockout record error:", err.message);
+    return 0;
+  }
+}
+
+/** Login correcto: limpia el contador de la cuenta en esa IP (el de la IP sigue) */
+export async function clearFailedLogins(req, attempt) {
+  if (!attempt.accountId) return;
+  await store.reset(accountKey(req, attempt)).catch(() => {});
+}
@@ -0,0 +1,33 @@
+/**
+ * server/rotateShop.js — CLI para la rotación semanal de la tienda
+ *
+ * Uso:
+ *  node rotateShop.js              → aplica la rotación de esta semana si falta
+ *  node rotateShop.js --force      → rehace la rotación de esta semana
+ *  node rotateShop.js --dry-run    → muestra el set sin guardar
+ */
+
+import process from "node:process";
+import { pool } from "./db.js";
+import { ensureShopRotation } from "./shopRotation.js";
+
+try {
+  const argv = process.argv.slice(2);
+  const unknown = argv.find((arg) => arg !== "--force" && arg !== "--dry-run");
+  if (unknown) throw new Error(`Argumento desconocido: ${unknown}`);
+
+  const { week, status, items } = await ensureShopRotation({
+    force: argv.includes("--force"),
+    dryRun: argv.includes("--dry-run"),
+  });
+
+  console.log(`${week}  ${status}`);
+  for (const item of items) {
+    console.log(`   [${item.tier}] ${item.avatar_id} — ${item.price} 🪙`);
+  }
+} catch (err) {
+  console.error("❌", err.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
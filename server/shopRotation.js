@@ -0,0 +1,196 @@
+/**
+ * server/shopRotation.js — Motor de rotación semanal de la tienda
+ *
+ * Cada lunes a las 09:00 (hora de Madrid, con horario de verano) elige los
+ * avatares de la semana desde el catálogo `avatars`:
+ *
+ *  - Solo se venden avatares con base_price (los de logro / evento no)
+ *  - Sorteo ponderado por tier (TIER_RULES.weight): los rookie salen más
+ *  - Reglas de precio: base_price acotado a la banda del tier y redondeado;
+ *    al menos un hueco asequible y como mucho una leyenda por semana
+ *  - Sin repetir los avatares de las últimas RECENT_ROTATIONS semanas si
+ *    el catálogo da para ello
+ *
+ * Escribe el set activo en shop_items (is_active + price, una fila por
+ * avatar) y guarda la rotación en shop_rotations (historial).
+ * El límite de semana sale de dateUtils (getShopRotationStart), el mismo
+ * que usa la cuenta atrás de Shop.jsx.
+ *
+ * Determinista: el sorteo se siembra con la semana, así que repetirlo
+ * (--force) con el mismo catálogo e historial da el mismo set.
+ *
+ * Uso:
+ *  - Job: index.js llama a ensureShopRotation() al arrancar y en cada lunes
+ *  - CLI: node rotateShop.js [--force] [--dry-run]
+ *
+ * Requiere: database/shop_rotation.sql
+ */
+
+import { pool } from "./db.js";
+import {
+  getShopRotationStart,
+  getNextShopRotation,
+  getShopRotationWeek,
+} from "../src/utils/dateUtils.js";
+
+const ROTATION_SIZE = 3;       // huecos de la tienda (layout móvil: destacado + 2)
+const RECENT_ROTATIONS = 2;    // semanas sin repetir avatar
+const AFFORDABLE_PRICE = 500;  // al menos un avatar a este precio o menos
+
+/** Peso en el sorteo, banda de precio y máximo por semana de cada tier */
+const TIER_RULES = {
+  rookie:    { weight: 40, minPrice: 100,  maxPrice: 500 },
+  cyberpunk: { weight: 30, minPrice: 300,  maxPrice: 1000 },
+  hacker:    { weight: 20, minPrice: 800,  maxPrice: 2000 },
+  legend:    { weight: 10, minPrice: 1500, maxPrice: 5000, maxPerRotation: 1 },
+};
+
+/* ═══════════════════ Utilidades ═══════════════════ */
+
+/** PRNG mulberry32 sembrado con la semana (YYYY-MM-DD) */
+function seededRandom(weekStr) {
+  let seed = 0;
+  for (const ch of `shop:${weekStr}`) seed = (Math.imul(seed, 31) + ch.charCodeAt(0)) | 0;
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Precio de venta: base_price acotado a la banda del tier, redondeado a 10 */
+function priceFor(avatar) {
+  const rules = TIER_RULES[avatar.tier];
+  const price = rules
+    ? Math.min(rules.maxPrice, Math.max(rules.minPrice, avatar.base_price))
+    : avatar.base_price;
+  return Math.max(10, Math.round(price / 10) * 10);
+}
+
+/** Elige un elemento al azar según el peso de su tier */
+function weightedPick(items, random) {
+  const weightOf = (a) => TIER_RULES[a.tier]?.weight ?? 1;
+  const total = items.reduce((sum, a) => sum + weightOf(a), 0);
+  let roll = random() * total;
+  for (const item of items) {
+    roll -= weightOf(item);
+    if (roll < 0) return item;
+  }
+  return items[items.length - 1];
+}
+
+/* ═══════════════════ Selección ═══════════════════ */
+
+/**
+ * Construye (sin guardar) el set de una semana.
+ * @returns {Promise<Array<{ avatar_id: string, tier: string, price: number }>>}
+ */
+export async function buildRotation(client, weekStr) {
+  const random = seededRandom(weekStr);
+
+  const { rows: catalogue } = await client.query(
+    "SELECT id, tier, base_price FROM avatars WHERE base_price IS NOT NULL AND base_price > 0 ORDER BY id"
+  );
+  if (catalogue.length === 0) throw new Error("No hay avatares con base_price en el catálogo");
+
+  const { rows: history } = await client.query(
+    "SELECT items FROM shop_rotations WHERE week_start < $1 ORDER BY week_start DESC LIMIT $2",
+    [weekStr, RECENT_ROTATIONS]
+  );
+  const recent = new Set(history.flatMap((r) => r.items.map((i) => i.avatar_id)));
+
+  const fresh = catalogue.filter((a) => !recent.has(a.id));
+  const chosen = [];
+  const tierCount = {};
+
+  const canTake = (a) =>
+    !chosen.includes(a) &&
+    (tierCount[a.tier] ?? 0) < (TIER_RULES[a.tier]?.maxPerRotation ?? Infinity);
+
+  const take = (from) => {
+    const options = from.filter(canTake);
+    if (options.length === 0) return false;
+    const avatar = weightedPick(options, random);
+    chosen.push(avatar);
+    tierCount[avatar.tier] = (tierCount[avatar.tier] ?? 0) + 1;
+    return true;
+  };
+
+  // Hueco asequible primero (de los no recientes si se puede)
+  const affordable = (a) => priceFor(a) <= AFFORDABLE_PRICE;
+  if (!take(fresh.filter(affordable))) take(catalogue.filter(affordable));
+
+  // Resto: no recientes y, si no alcanza, cualquiera del catálogo
+  while (chosen.length < ROTATION_SIZE) {
+    if (!take(fresh) && !take(catalogue)) break;
+  }
+
+  return chosen.map((a) => ({ avatar_id: a.id, tier: a.tier, price: priceFor(a) }));
+}
+
+/* ═══════════════════ Escritura ═══════════════════ */
+
+/**
+ * Garantiza que la rotación vigente está aplicada.
+ *
+ * @param {{ force?: boolean, dryRun?: boolean, now?: Date }} [opts]
+ *   force  → rehace la rotación de esta semana aunque ya exista
+ *   dryRun → solo construye y devuelve, sin escribir
+ * @returns {Promise<{ week: string, status: 'rotated'|'skipped'|'dry-run', items: Array }>}
+ */
+export async function ensureShopRotation({ force = false, dryRun = false, now = new Date() } = {}) {
+  const week = getShopRotationWeek(now);
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    // Una sola rotación a la vez (job + CLI simultáneos)
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('shop_rotation'))");
+
+    const existing = await client.query(
+      "SELECT items FROM shop_rotations WHERE week_start = $1",
+      [week]
+    );
+    if (existing.rows.length > 0 && !force) {
+      await client.query("ROLLBACK");
+      return { week, status: "skipped", items: existing.rows[0].items };
+    }
+
+    const items = await buildRotation(client, week);
+
+    if (dryRun) {
+      await client.query("ROLLBACK");
+      return { week, status: "dry-run", items };
+    }
+
+    await client.query("UPDATE shop_items SET is_active = false WHERE is_active = true");
+    for (const item of items) {
+      await client.query(
+        `INSERT INTO shop_items (avatar_id, price, is_active)
+         VALUES ($1, $2, true)
+         ON CONFLICT (avatar_id) DO UPDATE
+           SET price = EXCLUDED.price, is_active = true`,
+        [item.avatar_id, item.price]
+      );
+    }
+
+    await client.query(
+      `INSERT INTO shop_rotations (week_start, starts_at, ends_at, items)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (week_start) DO UPDATE
+         SET starts_at = EXCLUDED.starts_at,
+             ends_at   = EXCLUDED.ends_at,
+             items     = EXCLUDED.items,
+             created_at = NOW()`,
+      [week, getShopRotationStart(now), getNextShopRotation(now), JSON.stringify(items)]
+    );
+
+    await client.query("COMMIT");
+    return { week, status: "rotated", items };
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
@@ -27,12 +27,19 @@ import UserProfile from "./components/UserProfile";
 import CreditsModal from "./components/CreditsModal";
 import SettingsModal from "./components/SettingsModal";
 import SmartAppBanner from "./components/SmartAppBanner";
+import DuelBanner from "./components/DuelBanner";
+import AchievementToast from "./components/AchievementToast";
 
 // Datos
 import GAMES from "./data/games";
 
 // Servicios
 import { getTodayChallenges, getChallengeStatus } from "./services/challengeService";
+import { readDuelIdFromUrl } from "./services/duelService";
+
+// Hooks
+import useActiveDuel from "./hooks/useActiveDuel";
+import useStreak from "./hooks/useStreak";
 
 // i18n
 import { useLanguage } from "./i18n";
@@ -40,6 +47,9 @@ import { useLanguage } from "./i18n";
 // Contexto de autenticación
 import { useAuth } from "./context/AuthContext";
 
+// Duelo abierto por enlace (?duel=<id>): se lee una sola vez al cargar
+const initialDuelId = readDuelIdFromUrl();
+
 /**
  * Variants para fade entre pestañas principales.
  */
@@ -59,6 +69,7 @@ function App() {
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
   const [gameEpoch, setGameEpoch] = useState(0);
   const [showAuthScreen, setShowAuthScreen] = useState(false);
+  const [isSurvivalMode, setIsSurvivalMode] = useState(false);
 
   // Usuarios sin sesión se tratan como invitados
   const isEffectiveGuest = !session;
@@ -100,6 +111,13 @@ function App() {
     toastTimer.current = setTimeout(() => setToast(null), 3000);
   }, []);
 
+  // ── Racha diaria (TopNav, Perfil y protector en la Tienda) ──
+  const handleStreakReward = useCallback(
+    (s) => showToast(t("streak.reward_toast", { days: s.current, coins: s.rewardToday })),
+    [showToast, t]
+  );
+  const { streak } = useStreak(currentUser?.id ?? null, { onReward: handleStreakReward });
+
   // Escape cierra modales abiertos
   const handleKeyDown = useCallback(
     (e) => {
@@ -169,6 +187,17 @@ function App() {
     }
   }, [pendingProfileGameId, mainTab, handleSelectGame]);
 
+  // playGameDirectly (perfil, enlaces de duelo…) → pestaña Jugar + juego
+  useEffect(() => {
+    const handler = (e) => launchGameFromProfile(e.detail);
+    window.addEventListener("playGameDirectly", handler);
+    return () => window.removeEventListener("playGameDirectly", handler);
+  }, [launchGameFromProfile]);
+
+  // ── Duelo abierto desde un enlace ──
+  const { duel: activeDuel, phase: duelPhase, dismiss: dismissDuel } =
+    useActiveDuel(initialDuelId, currentUser?.id ?? null);
+
   // ── Auth guard: loading spinner ──────────────────────────────
   if (authLoading) {
     return (
@@ -226,6 +255,7 @@ function App() {
                   coins={currentUser?.coins ?? 0}
                   currentUser={currentUser}
                   onCoinsChange={(newCoins) => updateUser({ coins: newCoins })}
+                  streak={streak}
                 />
               )}
             </motion.div>
@@ -244,13 +274,16 @@ function App() {
             >
               {/* Top Nav minimalista: Retos | SCROLLINN | Lupa */}
               <TopNav
-                onSearchClick={() => setIsGameSelectorOpen(true)}
+                onSearchClick={isSurvivalMode ? undefined : () => setIsGameSelectorOpen(true)}
                 onOpenChallenges={() => window.dispatchEvent(new CustomEvent("open-challenges-from-topnav"))}
                 challengeStatus={challengeStatusForTopNav}
                 onOpenSettings={isEffectiveGuest ? () => setIsSettingsOpen(true) : undefined}
                 guestBanner={isEffectiveGuest ? t("authscreen.guest_banner") : null}
                 guestLoginLabel={isEffectiveGuest ? t("authscreen.guest_login_btn") : null}
                 onGuestLogin={isEffectiveGuest ? () => setShowAuthScreen(true) : undefined}
+                survivalMode={isSurvivalMode}
+                onToggleSurvival={() => setIsSurvivalMode((v) => !v)}
+                streak={streak}
               />
 
               <GameFeed
@@ -261,6 +294,7 @@ function App() {
                 disabled={isGameSelectorOpen}
                 onOpenGallery={() => setIsGameSelectorOpen(true)}
                 currentUser={currentUser}
+                survivalMode={isSurvivalMode}
               />
             </motion.div>
           )}
@@ -294,6 +328,7 @@ function App() {
                 <UserProfile
                   onOpenAvatarModal={() => setIsAvatarModalOpen(true)}
                   onPlayGame={playGameDirectly}
+                  streak={streak}
                 />
               )}
             </motion.div>
@@ -301,6 +336,15 @@ function App() {
         </AnimatePresence>
         </main>
 
+        {/* ── Duelo activo (objetivo / resultado) ── */}
+        <DuelBanner
+          duel={activeDuel}
+          phase={mainTab === "jugar" ? duelPhase : null}
+          userId={currentUser?.id ?? null}
+          onLogin={() => setShowAuthScreen(true)}
+          onDismiss={dismissDuel}
+        />
+
         {/* ── Smart App Banner (Android web) ── */}
         <SmartAppBanner />
 
@@ -360,6 +404,9 @@ function App() {
         </div>
       )}
 
+      {/* ── Logro desbloqueado (avatar nuevo) ── */}
+      <AchievementToast />
+
       {/* Vercel Analytics — omitido en builds nativos para evitar
           errores CORS desde http://localhost (origen del WebView) */}
       {import.meta.env.VITE_BUILD_TARGET !== 'native' && <Analytics />}
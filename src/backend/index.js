@@ -0,0 +1,63 @@
+/**
+ * backend/index.js — Acceso a datos intercambiable (Supabase | Express local)
+ *
+ * Los servicios (gameService, challengeService, avatarService,
+ * profileService, achievementService, scoreQueue, duelService,
+ * friendService, streakService, survivalService, walletService,
+ * replayService, recommendationService, analyticsService) y AuthContext /
+ * AuthScreen / UserProfile / GameOverPanel / OfflineGuard no hablan con
+ * Supabase directamente: usan `backend`, que expone la misma interfaz con
+ * dos implementaciones.
+ *
+ *  - supabase (por defecto) → supabaseBackend.js: tablas + RPCs de Supabase.
+ *  - local                  → localBackend.js: server/ (Express + PostgreSQL)
+ *                             con los MISMOS scripts de database/ (fronteras
+ *                             Europe/Madrid, highscores históricos, RPCs).
+ *
+ * Se elige en .env:
+ *   VITE_BACKEND=local
+ *   VITE_LOCAL_API=http://localhost:3001/api   (opcional, por defecto /api
+ *                                               → proxy de Vite)
+ *
+ * Interfaz (todos los métodos son async y lanzan Error si algo falla; los
+ * servicios mantienen su try/catch y sus formatos de respuesta):
+ *
+ *   auth         getSession, onAuthStateChange(cb) → unsubscribe, signOut,
+ *                signIn(identifier, password) → { error, retryAfter? },
+ *                signUp({ username, email, password }) → { error, retryAfter? }
+ *                  error: null | "invalid_credentials" (usuario inexistente o
+ *                         contraseña incorrecta, sin distinguir)
+ *                         | "username_taken" | "email_taken"
+ *                         | "rate_limited" | "too_many_attempts" | mensaje
+ *                  retryAfter: segundos de espera de un 429 (si se saben)
+ *   users        getUser, getProfileStats, setEquippedAvatar, getEquippedAvatar,
+ *                getMany(userIds), search(prefix, excludeUserId),
+ *                getFeedSignals(userId, sinceISO)
+ *   games        ping(signal), getGame, getLikesMap, toggleLike,
+ *                getUserLikedGameIds, countUserLikes, incrementPlays,
+ *                startSession, submitScore, reserveOfflineSessions,
+ *                submitOfflineScore
+ *   leaderboards getTop, getSince, getSlice, getStanding
+ *   challenges   getForDate, getProgress, claimReward, claimFullClearBonus
+ *   achievements evaluate
+ *   avatars      getCatalogue, getOwned, getOwnedIds, getShopItems, purchase
+ *   duels        create, get, accept, settle, getMine
+ *   friends      getFriendships, getFriendship, sendRequest, respond, remove,
+ *                getLeaderboard, getChallengeRanking
+ *   streaks      get, buyFreeze
+ *   survival     startRun, finishRun, getLeaderboard
+ *   wallet       getTransactions
+ *   replays      save, get, getUserIds
+ *   analytics    sendEvents(events) → { accepted, rejected },
+ *                beaconEvents(events) → bool (al ocultar la pestaña)
+ *
+ * En las escrituras el userId es el de la sesión: Supabase lo comprueba con
+ * RLS / auth.uid() y el servidor local con el token (server/auth.js).
+ */
+
+import { supabaseBackend } from "./supabaseBackend";
+import { localBackend } from "./localBackend";
+
+export const BACKEND = import.meta.env.VITE_BACKEND === "local" ? "local" : "supabase";
+
+export const backend = BACKEND === "local" ? localBackend : supabaseBackend;
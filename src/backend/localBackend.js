@@ -0,0 +1,432 @@
+/**
+ * localBackend.js — Implementación de `backend` sobre server/ (Express + pg)
+ *
+ * Cada método es una petición a la API local (server/dataApi.js), que
+ * ejecuta las mismas consultas y RPCs de database/ que Supabase.
+ *
+ * Sesión: POST /api/auth devuelve { user: { id, username }, token }, que se
+ * guarda en localStorage con la forma de una sesión de Supabase
+ * ({ user: { id }, access_token }), así el resto de la app
+ * (session?.user?.id) no distingue el modo.
+ * El token viaja en cada petición (Authorization: Bearer) y el servidor
+ * saca de ahí el usuario; si lo rechaza (caducado), se cierra la sesión.
+ */
+
+const API_URL = import.meta.env.VITE_LOCAL_API ?? "/api";
+const SESSION_KEY = "scrollinn-local-session";
+
+/**
+ * fetch JSON a la API local con el token de la sesión. Lanza
+ * Error(json.error) si la respuesta no es ok; err.status, err.code y
+ * err.retryAfter (429, si lo hay) vienen del servidor.
+ */
+async function request(path, { method = "GET", body, signal, keepalive } = {}) {
+  const headers = {};
+  if (body) headers["Content-Type"] = "application/json";
+  const token = readSession()?.access_token;
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const res = await fetch(`${API_URL}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+    signal,
+    keepalive,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (res.status === 401 && json.code === "invalid_token") writeSession(null);
+  if (!res.ok || json.ok === false) {
+    const err = new Error(json.error || `HTTP ${res.status}`);
+    err.status = res.status;
+    err.code = json.code ?? null;
+    err.retryAfter = json.retryAfter ?? null;
+    throw err;
+  }
+  return json;
+}
+
+const enc = encodeURIComponent;
+
+// ─── Sesión local ───────────────────────────────────────────────────────────
+
+const _listeners = new Set();
+
+function readSession() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SESSION_KEY) ?? "null");
+    // Sesiones de antes de los tokens → hay que volver a entrar
+    return saved?.user?.id && saved.access_token ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeSession(session) {
+  try {
+    if (session) localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    else localStorage.removeItem(SESSION_KEY);
+  } catch {
+    /* modo privado — la sesión dura lo que la pestaña */
+  }
+  for (const cb of _listeners) cb(session);
+}
+
+const auth = {
+  async getSession() {
+    return readSession();
+  },
+
+  onAuthStateChange(callback) {
+    _listeners.add(callback);
+    return () => _listeners.delete(callback);
+  },
+
+  async signOut() {
+    writeSession(null);
+  },
+
+  async signIn(identifier, password) {
+    try {
+      const { user, token } = await request("/auth", {
+        method: "POST",
+        body: { mode: "login", identifier, password },
+      });
+      writeSession({ user, access_token: token });
+      return { error: null };
+    } catch (err) {
+      return { error: err.code ?? err.message, retryAfter: err.retryAfter };
+    }
+  },
+
+  async signUp({ username, email, password }) {
+    try {
+      const { user, token } = await request("/auth", {
+        method: "POST",
+        body: { mode: "register", username, email, password },
+      });
+      writeSession({ user, access_token: token });
+      return { error: null };
+    } catch (err) {
+      return { error: err.code ?? err.message, retryAfter: err.retryAfter };
+    }
+  },
+};
+
+// ─── Usuarios ───────────────────────────────────────────────────────────────
+
+const users = {
+  async getUser(userId) {
+    return (await request(`/users/${enc(userId)}`)).user;
+  },
+
+  async getProfileStats(userId) {
+    return (await request(`/users/${enc(userId)}/profile-stats`)).stats;
+  },
+
+  async setEquippedAvatar(userId, avatarId) {
+    await request(`/users/${enc(userId)}/avatar`, { method: "PUT", body: { avatarId } });
+  },
+
+  async getEquippedAvatar(userId) {
+    return (await users.getUser(userId))?.equipped_avatar_id ?? null;
+  },
+
+  async getMany(userIds) {
+    if (userIds.length === 0) return [];
+    return (await request(`/users?ids=${userIds.map(enc).join(",")}`)).users;
+  },
+
+  async search(prefix, excludeUserId = null, limit = 10) {
+    const exclude = excludeUserId ? `&exclude=${enc(excludeUserId)}` : "";
+    return (await request(`/users/search?q=${enc(prefix)}&limit=${limit}${exclude}`)).users;
+  },
+
+  async getFeedSignals(userId, sinceISO) {
+    return (await request(`/users/${enc(userId)}/feed-signals?since=${enc(sinceISO)}`)).signals;
+  },
+};
+
+// ─── Juegos ─────────────────────────────────────────────────────────────────
+
+const games = {
+  async ping(signal) {
+    await request("/health", { signal });
+  },
+
+  async getGame(gameId) {
+    return (await request(`/games/${enc(gameId)}`)).game;
+  },
+
+  // liked: del usuario del token (userId se ignora, es el de la sesión)
+  async getLikesMap() {
+    return (await request("/games/likes")).likesMap;
+  },
+
+  async toggleLike(userId, gameId) {
+    const { liked, totalLikes } = await request(`/games/${enc(gameId)}/like`, {
+      method: "POST",
+    });
+    return { liked, totalLikes };
+  },
+
+  async getUserLikedGameIds(userId) {
+    return (await request(`/users/${enc(userId)}/likes`)).gameIds;
+  },
+
+  async countUserLikes(userId) {
+    return (await games.getUserLikedGameIds(userId)).length;
+  },
+
+  async incrementPlays(gameId) {
+    await request(`/games/${enc(gameId)}/plays`, { method: "POST" });
+  },
+
+  async startSession(userId, gameId) {
+    return (await request("/game-sessions", { method: "POST", body: { gameId } })).session;
+  },
+
+  async submitScore(userId, { sessionId, token, score }) {
+    return (await request("/scores", {
+      method: "POST",
+      body: { sessionId, token, score },
+    })).verdict;
+  },
+
+  async reserveOfflineSessions() {
+    return (await request("/game-sessions/offline", { method: "POST" })).sessions;
+  },
+
+  async submitOfflineScore(userId, { clientId, sessionId, token, score, playedAt }) {
+    return (await request("/scores/offline", {
+      method: "POST",
+      body: { clientId, sessionId, token, score, playedAt },
+    })).verdict;
+  },
+};
+
+// ─── Rankings ───────────────────────────────────────────────────────────────
+
+const leaderboards = {
+  async getTop(gameId, limit = 5) {
+    try {
+      return (await request(`/games/${enc(gameId)}/leaderboard?limit=${limit}`)).rows;
+    } catch (err) {
+      if (err.status === 404) return null;
+      throw err;
+    }
+  },
+
+  async getSince(gameId, sinceISO, limit = 5) {
+    return (await request(
+      `/games/${enc(gameId)}/leaderboard?since=${enc(sinceISO)}&limit=${limit}`
+    )).rows;
+  },
+
+  async getSlice(gameId, userId, radius = 2) {
+    return (await request(
+      `/games/${enc(gameId)}/leaderboard/around/${enc(userId)}?radius=${radius}`
+    )).slice;
+  },
+
+  async getStanding(gameId, userId, score) {
+    return (await request(
+      `/games/${enc(gameId)}/leaderboard/standing/${enc(userId)}?score=${score}`
+    )).standing;
+  },
+};
+
+// ─── Retos diarios ──────────────────────────────────────────────────────────
+
+const challenges = {
+  async getForDate(date, limit = null) {
+    const query = limit ? `&limit=${limit}` : "";
+    return (await request(`/challenges?date=${enc(date)}${query}`)).challenges;
+  },
+
+  async getProgress(userId, challengeIds) {
+    return (await request(
+      `/users/${enc(userId)}/challenges?ids=${challengeIds.map(enc).join(",")}`
+    )).progress;
+  },
+
+  async claimReward(userId, challengeId) {
+    return (await request(`/challenges/${enc(challengeId)}/claim`, {
+      method: "POST",
+    })).result;
+  },
+
+  // El usuario sale del token de la sesión
+  async claimFullClearBonus() {
+    return (await request("/challenges/full-clear", { method: "POST" })).result;
+  },
+};
+
+// ─── Logros ─────────────────────────────────────────────────────────────────
+
+const achievements = {
+  // El usuario sale del token de la sesión
+  async evaluate() {
+    return (await request("/achievements/evaluate", { method: "POST" })).result;
+  },
+};
+
+// ─── Avatares y tienda ──────────────────────────────────────────────────────
+
+const avatars = {
+  async getCatalogue() {
+    return (await request("/avatars")).avatars;
+  },
+
+  async getOwned(userId) {
+    return (await request(`/users/${enc(userId)}/avatars`)).avatars;
+  },
+
+  async getOwnedIds(userId) {
+    return (await avatars.getOwned(userId)).map((a) => a.id);
+  },
+
+  async getShopItems() {
+    return (await request("/shop")).items;
+  },
+
+  async purchase(userId, avatarId) {
+    return (await request("/shop/purchase", { method: "POST", body: { avatarId } })).result;
+  },
+};
+
+// ─── Duelos ─────────────────────────────────────────────────────────────────
+
+const duels = {
+  async create(gameId) {
+    return (await request("/duels", { method: "POST", body: { gameId } })).duelId;
+  },
+
+  async get(duelId) {
+    return (await request(`/duels/${enc(duelId)}`)).duel;
+  },
+
+  async accept(duelId) {
+    return (await request(`/duels/${enc(duelId)}/accept`, { method: "POST" })).status;
+  },
+
+  async settle(duelId) {
+    return (await request(`/duels/${enc(duelId)}/settle`, { method: "POST" })).duel;
+  },
+
+  async getMine(userId) {
+    return (await request(`/users/${enc(userId)}/duels`)).duels;
+  },
+};
+
+// ─── Amigos ─────────────────────────────────────────────────────────────────
+
+const friends = {
+  async getFriendships(userId) {
+    return (await request(`/users/${enc(userId)}/friendships`)).friendships;
+  },
+
+  async getFriendship(userId, otherId) {
+    return (await request(`/users/${enc(userId)}/friendships/${enc(otherId)}`)).friendship;
+  },
+
+  async sendRequest(otherId) {
+    return (await request(`/friends/${enc(otherId)}/request`, { method: "POST" })).status;
+  },
+
+  async respond(requesterId, accept) {
+    await request(`/friends/${enc(requesterId)}/respond`, { method: "POST", body: { accept } });
+  },
+
+  async remove(otherId) {
+    await request(`/friends/${enc(otherId)}`, { method: "DELETE" });
+  },
+
+  async getLeaderboard(gameId, sinceISO, limit = 20) {
+    const since = sinceISO ? `&since=${enc(sinceISO)}` : "";
+    return (await request(`/games/${enc(gameId)}/leaderboard/friends?limit=${limit}${since}`)).rows;
+  },
+
+  async getChallengeRanking(date, friendsOnly) {
+    return (await request(
+      `/challenges/ranking?date=${enc(date)}&friendsOnly=${friendsOnly ? 1 : 0}`
+    )).ranking;
+  },
+};
+
+// ─── Rachas ─────────────────────────────────────────────────────────────────
+
+// El usuario sale del token de la sesión
+const streaks = {
+  async get() {
+    return (await request("/streak")).streak;
+  },
+
+  async buyFreeze() {
+    return (await request("/streak/freeze", { method: "POST" })).result;
+  },
+};
+
+// ─── Supervivencia ──────────────────────────────────────────────────────────
+
+const survival = {
+  async startRun() {
+    return (await request("/survival/runs", { method: "POST" })).runId;
+  },
+
+  async finishRun(runId) {
+    return (await request(`/survival/runs/${enc(runId)}/finish`, { method: "POST" })).gamesSurvived;
+  },
+
+  async getLeaderboard(limit = 10) {
+    return (await request(`/survival/leaderboard?limit=${limit}`)).rows;
+  },
+};
+
+// ─── Monedero ───────────────────────────────────────────────────────────────
+
+const wallet = {
+  async getTransactions(userId, limit = 50) {
+    return (await request(`/users/${enc(userId)}/transactions?limit=${limit}`)).transactions;
+  },
+};
+
+// ─── Replays ────────────────────────────────────────────────────────────────
+
+const replays = {
+  async save(gameId, score, replay) {
+    return (await request("/replays", { method: "POST", body: { gameId, score, replay } })).stored;
+  },
+
+  async get(userId, gameId) {
+    return (await request(`/games/${enc(gameId)}/replays/${enc(userId)}`)).replay;
+  },
+
+  async getUserIds(gameId) {
+    return (await request(`/games/${enc(gameId)}/replays`)).userIds;
+  },
+};
+
+// ─── Analítica ──────────────────────────────────────────────────────────────
+
+const analytics = {
+  async sendEvents(events) {
+    const { accepted, rejected } = await request("/analytics/events", {
+      method: "POST",
+      body: { events },
+      keepalive: true,
+    });
+    return { accepted, rejected };
+  },
+
+  /** Al ocultar la pestaña: sendBeacon sobrevive al cierre (false si no lo acepta) */
+  beaconEvents(events) {
+    if (!navigator.sendBeacon) return false;
+    const blob = new Blob([JSON.stringify({ events })], { type: "application/json" });
+    return navigator.sendBeacon(`${API_URL}/analytics/events`, blob);
+  },
+};
+
+export const localBackend = {
+  auth, users, games, leaderboards, challenges, achievements, avatars,
+  duels, friends, streaks, survival, wallet, replays, analytics,
+};
@@ -0,0 +1,624 @@
+/**
+ * supabaseBackend.js — Implementación de `backend` sobre Supabase
+ *
+ * Tablas vía PostgREST + RPCs de database/. auth.uid() lo resuelve Supabase
+ * con el JWT de la sesión, así que los RPCs no reciben el userId.
+ */
+
+import { supabase } from "../supabaseClient";
+
+const PUBLIC_USER_FIELDS = "id, username, equipped_avatar_id, xp";
+const AVATAR_FIELDS = "id, name_es, name_en, description_es, description_en, translations, tier, image_url";
+
+/** { data, error } de supabase-js → data, o lanza el error */
+function unwrap({ data, error }) {
+  if (error) throw error;
+  return data;
+}
+
+async function rpc(fn, params) {
+  return unwrap(await supabase.rpc(fn, params));
+}
+
+async function getOwnedIds(userId) {
+  const rows = unwrap(
+    await supabase.from("user_avatars").select("avatar_id").eq("user_id", userId)
+  );
+  return (rows || []).map((r) => r.avatar_id);
+}
+
+// ─── Auth ───────────────────────────────────────────────────────────────────
+
+const auth = {
+  async getSession() {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session;
+  },
+
+  onAuthStateChange(callback) {
+    const { data: { subscription } } = supabase.auth.onAuthStateChange(
+      (_event, session) => callback(session)
+    );
+    return () => subscription.unsubscribe();
+  },
+
+  async signOut() {
+    await supabase.auth.signOut();
+  },
+
+  async signIn(identifier, password) {
+    let email = identifier;
+
+    // Si no parece un email, se trata como nombre de usuario (si no existe,
+    // el mismo error que una contraseña incorrecta)
+    if (!email.includes("@")) {
+      const { data, error } = await supabase.rpc("get_email_by_username", { p_username: email });
+      if (error || !data) return { error: "invalid_credentials" };
+      email = data;
+    }
+
+    const { error } = await supabase.auth.signInWithPassword({ email, password });
+    if (error?.status === 429) return { error: "rate_limited" };
+    return { error: error ? "invalid_credentials" : null };
+  },
+
+  async signUp({ username, email, password }) {
+    const { data: existingUser } = await supabase
+      .from("users")
+      .select("id")
+      .eq("username", username)
+      .maybeSingle();
+    if (existingUser) return { error: "username_taken" };
+
+    const { data, error } = await supabase.auth.signUp({
+      email,
+      password,
+      options: { data: { username } },
+    });
+
+    if (error) {
+      if (error.status === 429) return { error: "rate_limited" };
+      const msg = error.message?.toLowerCase() ?? "";
+      if (msg.includes("already registered") || msg.includes("already exists") || msg.includes("email already")) {
+        return { error: "email_taken" };
+      }
+      return { error: error.message };
+    }
+
+    // Si el registro devuelve sesión (verificación desactivada), asegurar
+    // que la fila en public.users existe (fallback por si el trigger tarda)
+    const userId = data?.user?.id;
+    if (userId) {
+      await new Promise((r) => setTimeout(r, 600));
+
+      const { data: existing } = await supabase
+        .from("users")
+        .select("id")
+        .eq("id", userId)
+        .maybeSingle();
+
+      if (!existing) {
+        await supabase.from("users").upsert(
+          { id: userId, username, xp: 0, coins: 0 },
+          { onConflict: "id" }
+        );
+      }
+    }
+
+    return { error: null };
+  },
+};
+
+// ─── Usuarios ───────────────────────────────────────────────────────────────
+
+const users = {
+  async getUser(userId) {
+    return unwrap(
+      await supabase
+        .from("users")
+        .select("id, username, xp, equipped_avatar_id, coins")
+        .eq("id", userId)
+        .maybeSingle()
+    );
+  },
+
+  getProfileStats(userId) {
+    return rpc("get_user_profile_stats", { p_user_id: userId });
+  },
+
+  async setEquippedAvatar(userId, avatarId) {
+    unwrap(
+      await supabase.from("users").update({ equipped_avatar_id: avatarId }).eq("id", userId)
+    );
+  },
+
+  async getEquippedAvatar(userId) {
+    const data = unwrap(
+      await supabase.from("users").select("equipped_avatar_id").eq("id", userId).maybeSingle()
+    );
+    return data?.equipped_avatar_id ?? null;
+  },
+
+  /** Varios usuarios por id (nombre, avatar y XP) */
+  async getMany(userIds) {
+    if (userIds.length === 0) return [];
+    return unwrap(
+      await supabase.from("users").select(PUBLIC_USER_FIELDS).in("id", userIds)
+    ) || [];
+  },
+
+  /** Usuarios cuyo nombre empieza por `prefix` (sin distinguir mayúsculas) */
+  async search(prefix, excludeUserId = null, limit = 10) {
+    let query = supabase
+      .from("users")
+      .select(PUBLIC_USER_FIELDS)
+      .ilike("username", `${prefix}%`)
+      .order("username")
+      .limit(limit);
+    if (excludeUserId) query = query.neq("id", excludeUserId);
+    return unwrap(await query) || [];
+  },
+
+  /**
+   * Señales del feed: juego de cada partida desde sinceISO (una entrada por
+   * partida) y juegos con marca alguna vez.
+   */
+  async getFeedSignals(userId, sinceISO) {
+    const [recent, played] = await Promise.all([
+      supabase
+        .from("scores")
+        .select("game_id")
+        .eq("user_id", userId)
+        .gte("achieved_at", sinceISO)
+        .limit(1000),
+      supabase.from("highscores").select("game_id").eq("user_id", userId),
+    ]);
+    return {
+      recentGameIds: (unwrap(recent) || []).map((r) => r.game_id),
+      playedGameIds: (unwrap(played) || []).map((r) => r.game_id),
+    };
+  },
+};
+
+// ─── Juegos ─────────────────────────────────────────────────────────────────
+
+const games = {
+  /** Consulta mínima (HEAD, sin filas): solo comprueba que Supabase responde */
+  async ping(signal) {
+    unwrap(
+      await supabase
+        .from("games")
+        .select("id", { count: "exact", head: true })
+        .abortSignal(signal)
+    );
+  },
+
+  async getGame(gameId) {
+    return unwrap(
+      await supabase
+        .from("games")
+        .select("id, is_lower_better, total_plays")
+        .eq("id", gameId)
+        .maybeSingle()
+    );
+  },
+
+  async getLikesMap(userId) {
+    const rows = unwrap(await supabase.from("games").select("id, total_likes"));
+
+    const likesMap = {};
+    for (const row of rows) {
+      likesMap[row.id] = { count: Number(row.total_likes), liked: false };
+    }
+
+    if (userId) {
+      for (const gameId of await games.getUserLikedGameIds(userId)) {
+        if (likesMap[gameId]) likesMap[gameId].liked = true;
+      }
+    }
+    return likesMap;
+  },
+
+  async toggleLike(userId, gameId) {
+    const existing = unwrap(
+      await supabase
+        .from("user_likes")
+        .select("user_id")
+        .eq("user_id", userId)
+        .eq("game_id", gameId)
+        .maybeSingle()
+    );
+
+    if (existing) {
+      unwrap(
+        await supabase.from("user_likes").delete().eq("user_id", userId).eq("game_id", gameId)
+      );
+    } else {
+      unwrap(await supabase.from("user_likes").insert([{ user_id: userId, game_id: gameId }]));
+    }
+
+    // Total actualizado por el trigger de user_likes
+    const game = unwrap(
+      await supabase.from("games").select("total_likes").eq("id", gameId).maybeSingle()
+    );
+    return { liked: !existing, totalLikes: game ? Number(game.total_likes) : 0 };
+  },
+
+  async getUserLikedGameIds(userId) {
+    const rows = unwrap(
+      await supabase.from("user_likes").select("game_id").eq("user_id", userId)
+    );
+    return (rows || []).map((r) => r.game_id);
+  },
+
+  async countUserLikes(userId) {
+    const { count, error } = await supabase
+      .from("user_likes")
+      .select("*", { count: "exact", head: true })
+      .eq("user_id", userId);
+    if (error) throw error;
+    return count ?? 0;
+  },
+
+  async incrementPlays(gameId) {
+    const game = await games.getGame(gameId);
+    if (!game) return;
+    unwrap(
+      await supabase
+        .from("games")
+        .update({ total_plays: (game.total_plays || 0) + 1 })
+        .eq("id", gameId)
+    );
+  },
+
+  startSession(_userId, gameId) {
+    return rpc("start_game_session", { p_game_id: gameId });
+  },
+
+  submitScore(_userId, { sessionId, token, score }) {
+    return rpc("submit_score", {
+      p_session_id: sessionId,
+      p_token: token,
+      p_score: score,
+    });
+  },
+
+  reserveOfflineSessions() {
+    return rpc("reserve_offline_sessions");
+  },
+
+  submitOfflineScore(_userId, { clientId, sessionId, token, score, playedAt }) {
+    return rpc("submit_offline_score", {
+      p_client_id: clientId,
+      p_session_id: sessionId,
+      p_token: token,
+      p_score: score,
+      p_played_at: playedAt,
+    });
+  },
+};
+
+// ─── Rankings ───────────────────────────────────────────────────────────────
+
+const leaderboards = {
+  /** Top histórico desde highscores; null si el juego no existe */
+  async getTop(gameId, limit = 5) {
+    const game = await games.getGame(gameId);
+    if (!game) return null;
+
+    const rows = unwrap(
+      await supabase
+        .from("highscores")
+        .select("user_id, score, achieved_at, users(username, equipped_avatar_id)")
+        .eq("game_id", gameId)
+        .order("score", { ascending: game.is_lower_better })
+        .order("achieved_at", { ascending: true })
+        .limit(limit)
+    );
+    return rows || [];
+  },
+
+  async getSince(gameId, sinceISO, limit = 5) {
+    return (await rpc("get_leaderboard", {
+      p_game_id: gameId,
+      p_since: sinceISO,
+      p_limit: limit,
+    })) || [];
+  },
+
+  getSlice(gameId, userId, radius = 2) {
+    return rpc("get_leaderboard_slice", {
+      p_game_id: gameId,
+      p_user_id: userId,
+      p_radius: radius,
+    });
+  },
+
+  /** Marca del usuario y su posición (1,1,3…); sin marca, la de `score`. null si el juego no existe */
+  async getStanding(gameId, userId, score) {
+    const game = await games.getGame(gameId);
+    if (!game) return null;
+
+    const mine = unwrap(
+      await supabase
+        .from("highscores")
+        .select("score")
+        .eq("user_id", userId)
+        .eq("game_id", gameId)
+        .maybeSingle()
+    );
+    const highscore = mine?.score ?? null;
+    const reference = highscore ?? score;
+
+    const better = supabase
+      .from("highscores")
+      .select("user_id", { count: "exact", head: true })
+      .eq("game_id", gameId);
+    const { count, error } = game.is_lower_better
+      ? await better.lt("score", reference)
+      : await better.gt("score", reference);
+    if (error) throw error;
+
+    return { highscore, position: (count ?? 0) + 1 };
+  },
+};
+
+// ─── Retos diarios ──────────────────────────────────────────────────────────
+
+const challenges = {
+  async getForDate(date, limit = null) {
+    let query = supabase
+      .from("daily_challenges")
+      .select("*")
+      .eq("active_date", date)
+      .order("created_at", { ascending: true });
+    if (limit) query = query.limit(limit);
+    return unwrap(await query) || [];
+  },
+
+  async getProgress(userId, challengeIds) {
+    return unwrap(
+      await supabase
+        .from("user_challenge_progress")
+        .select("challenge_id, current_progress, is_claimed")
+        .eq("user_id", userId)
+        .in("challenge_id", challengeIds)
+    ) || [];
+  },
+
+  claimReward(_userId, challengeId) {
+    return rpc("claim_challenge_reward", { p_challenge_id: challengeId });
+  },
+
+  claimFullClearBonus() {
+    return rpc("claim_full_clear_bonus");
+  },
+};
+
+// ─── Logros ─────────────────────────────────────────────────────────────────
+
+const achievements = {
+  evaluate() {
+    return rpc("evaluate_achievements");
+  },
+};
+
+// ─── Avatares y tienda ──────────────────────────────────────────────────────
+
+const avatars = {
+  async getCatalogue() {
+    return unwrap(
+      await supabase
+        .from("avatars")
+        .select(`${AVATAR_FIELDS}, unlock_type, requirement, base_price`)
+    ) || [];
+  },
+
+  async getOwned(userId) {
+    const rows = unwrap(
+      await supabase
+        .from("user_avatars")
+        .select(`avatar_id, avatars(${AVATAR_FIELDS})`)
+        .eq("user_id", userId)
+    );
+    return (rows || []).map((row) => row.avatars);
+  },
+
+  getOwnedIds,
+
+  /** Avatares a la venta (shop_items activos), del más barato al más caro */
+  async getShopItems() {
+    const rows = unwrap(
+      await supabase
+        .from("shop_items")
+        .select(`id, price, avatar_id, avatars(${AVATAR_FIELDS})`)
+        .eq("is_active", true)
+        .order("price", { ascending: true })
+    );
+    return (rows || []).map((row) => ({ ...row.avatars, shop_item_id: row.id, price: row.price }));
+  },
+
+  purchase(_userId, avatarId) {
+    return rpc("purchase_avatar", { p_avatar_id: avatarId });
+  },
+};
+
+// ─── Duelos ─────────────────────────────────────────────────────────────────
+
+const duels = {
+  create(gameId) {
+    return rpc("create_duel", { p_game_id: gameId });
+  },
+
+  get(duelId) {
+    return rpc("get_duel", { p_duel_id: duelId });
+  },
+
+  accept(duelId) {
+    return rpc("accept_duel", { p_duel_id: duelId });
+  },
+
+  settle(duelId) {
+    return rpc("settle_duel", { p_duel_id: duelId });
+  },
+
+  /** Últimos 50 duelos del usuario (retador o rival), del más nuevo al más viejo */
+  async getMine(userId) {
+    return unwrap(
+      await supabase
+        .from("duels")
+        .select("*")
+        .or(`challenger_id.eq.${userId},opponent_id.eq.${userId}`)
+        .order("created_at", { ascending: false })
+        .limit(50)
+    ) || [];
+  },
+};
+
+// ─── Amigos ─────────────────────────────────────────────────────────────────
+
+const friends = {
+  /** Amistades y solicitudes del usuario, de la más nueva a la más vieja */
+  async getFriendships(userId) {
+    return unwrap(
+      await supabase
+        .from("friendships")
+        .select("requester_id, addressee_id, status, created_at")
+        .or(`requester_id.eq.${userId},addressee_id.eq.${userId}`)
+        .order("created_at", { ascending: false })
+    ) || [];
+  },
+
+  /** { requester_id, status } entre los dos usuarios, o null */
+  async getFriendship(userId, otherId) {
+    return unwrap(
+      await supabase
+        .from("friendships")
+        .select("requester_id, status")
+        .or(
+          `and(requester_id.eq.${userId},addressee_id.eq.${otherId}),` +
+          `and(requester_id.eq.${otherId},addressee_id.eq.${userId})`
+        )
+        .maybeSingle()
+    );
+  },
+
+  sendRequest(otherId) {
+    return rpc("send_friend_request", { p_user_id: otherId });
+  },
+
+  async respond(requesterId, accept) {
+    await rpc("respond_friend_request", { p_requester_id: requesterId, p_accept: accept });
+  },
+
+  async remove(otherId) {
+    await rpc("remove_friend", { p_user_id: otherId });
+  },
+
+  async getLeaderboard(gameId, sinceISO, limit = 20) {
+    return (await rpc("get_friends_leaderboard", {
+      p_game_id: gameId,
+      p_since: sinceISO,
+      p_limit: limit,
+    })) || [];
+  },
+
+  async getChallengeRanking(date, friendsOnly) {
+    return (await rpc("get_challenge_ranking", {
+      p_date: date,
+      p_friends_only: friendsOnly,
+    })) || [];
+  },
+};
+
+// ─── Rachas ─────────────────────────────────────────────────────────────────
+
+const streaks = {
+  get() {
+    return rpc("get_streak");
+  },
+
+  buyFreeze() {
+    return rpc("buy_streak_freeze");
+  },
+};
+
+// ─── Supervivencia ──────────────────────────────────────────────────────────
+
+const survival = {
+  startRun() {
+    return rpc("start_survival_run");
+  },
+
+  finishRun(runId) {
+    return rpc("finish_survival_run", { p_run_id: runId });
+  },
+
+  async getLeaderboard(limit = 10) {
+    return (await rpc("get_survival_leaderboard", { p_limit: limit })) || [];
+  },
+};
+
+// ─── Monedero ───────────────────────────────────────────────────────────────
+
+const wallet = {
+  async getTransactions(userId, limit = 50) {
+    return unwrap(
+      await supabase
+        .from("currency_transactions")
+        .select("id, currency, amount, balance_after, reason, created_at")
+        .eq("user_id", userId)
+        .order("created_at", { ascending: false })
+        .limit(limit)
+    ) || [];
+  },
+};
+
+// ─── Replays ────────────────────────────────────────────────────────────────
+
+const replays = {
+  save(gameId, score, replay) {
+    return rpc("save_replay", { p_game_id: gameId, p_score: score, p_data: replay });
+  },
+
+  /** { score, data } del replay de un jugador, o null */
+  async get(userId, gameId) {
+    return unwrap(
+      await supabase
+        .from("replays")
+        .select("score, data")
+        .eq("user_id", userId)
+        .eq("game_id", gameId)
+        .maybeSingle()
+    );
+  },
+
+  async getUserIds(gameId) {
+    const rows = unwrap(await supabase.from("replays").select("user_id").eq("game_id", gameId));
+    return (rows || []).map((r) => r.user_id);
+  },
+};
+
+// ─── Analítica ──────────────────────────────────────────────────────────────
+
+const analytics = {
+  /** Lote de eventos → RPC track_analytics_events (database/analytics_rpc.sql) */
+  sendEvents(events) {
+    return rpc("track_analytics_events", { p_events: events });
+  },
+
+  /**
+   * Al ocultar la pestaña. supabase-js no admite keepalive ni sendBeacon: la
+   * petición sale igual, pero si la pestaña se cierra de golpe el último
+   * lote puede perderse.
+   */
+  beaconEvents(events) {
+    rpc("track_analytics_events", { p_events: events }).catch(() => {});
+    return true;
+  },
+};
+
+export const supabaseBackend = {
+  auth, users, games, leaderboards, challenges, achievements, avatars,
+  duels, friends, streaks, survival, wallet, replays, analytics,
+};
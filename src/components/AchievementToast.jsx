@@ -0,0 +1,82 @@
+/**
+ * AchievementToast.jsx — Aviso de logro desbloqueado
+ *
+ * Escucha `achievements-unlocked` (achievementService) y enseña cada avatar
+ * desbloqueado unos segundos, de uno en uno si llegan varios a la vez.
+ * Sin props: se monta una vez en App.
+ */
+
+import { useState, useEffect } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { useLanguage, localized } from "../i18n";
+import { useSoundEffect } from "../hooks/useSoundEffect";
+
+const TOAST_DURATION_MS = 3500;
+
+/* Helper: construye src del avatar desde image_url de la BD */
+const getAvatarImgSrc = (avatar) => {
+  if (!avatar.image_url) return `/avatars/${avatar.id}.png`;
+  if (avatar.image_url.startsWith("http") || avatar.image_url.startsWith("/"))
+    return avatar.image_url;
+  return `/avatars/${avatar.image_url}`;
+};
+
+const AchievementToast = () => {
+  const { t } = useLanguage();
+  const { playRecord } = useSoundEffect();
+  const [queue, setQueue] = useState([]);
+
+  // Encolar los avatares que llegan por evento
+  useEffect(() => {
+    const handler = (e) => {
+      const avatars = e.detail?.avatars ?? [];
+      if (avatars.length > 0) setQueue((prev) => [...prev, ...avatars]);
+    };
+    window.addEventListener("achievements-unlocked", handler);
+    return () => window.removeEventListener("achievements-unlocked", handler);
+  }, []);
+
+  const current = queue[0] ?? null;
+
+  // Mostrar el primero y pasar al siguiente
+  useEffect(() => {
+    if (!current) return;
+    playRecord();
+    const timer = setTimeout(() => setQueue((prev) => prev.slice(1)), TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [current, playRecord]);
+
+  const name = current ? localized(current, "name") : "";
+
+  return (
+    <AnimatePresence>
+      {current && (
+        <motion.div
+          key={current.id}
+          initial={{ opacity: 0, y: 24, scale: 0.95 }}
+          animate={{ opacity: 1, y: 0, scale: 1 }}
+          exit={{ opacity: 0, y: 12, scale: 0.95 }}
+          transition={{ duration: 0.3, ease: [0.16, 1, 0.3, 1] }}
+          className="fixed left-1/2 -translate-x-1/2 bottom-28 z-99 pointer-events-none"
+        >
+          <div className="flex items-center gap-3 bg-black/80 backdrop-blur-md border border-amber-400/30 rounded-2xl pl-2 pr-5 py-2 shadow-2xl shadow-amber-500/10 max-w-xs">
+            <img
+              src={getAvatarImgSrc(current)}
+              alt={name}
+              draggable={false}
+              className="w-11 h-11 rounded-full object-cover border-2 border-amber-400/60 shrink-0"
+            />
+            <div className="flex flex-col min-w-0">
+              <span className="text-[10px] font-extrabold uppercase tracking-[0.2em] text-amber-300">
+                {t("avatar.achievement_unlocked")}
+              </span>
+              <span className="text-sm font-bold text-white truncate">{name}</span>
+            </div>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default AchievementToast;
@@ -0,0 +1,200 @@
+/**
+ * AnalyticsDashboard.jsx — Dashboard interno de analítica (/analytics)
+ *
+ * Embudo por juego a partir de los eventos del Feed (server/analytics.js):
+ * vistas → empiezan → terminan, tasa de salto, abandonos por fase, tiempo
+ * hasta el primer toque, duración y replays por sesión.
+ *
+ * Pide la clave del servidor (ANALYTICS_DASHBOARD_KEY) y la guarda solo
+ * en sessionStorage. Herramienta interna: textos en español, sin i18n.
+ * main.jsx la carga bajo demanda, fuera del bundle principal.
+ */
+
+import { useState, useEffect } from "react";
+import { fetchFunnels } from "../services/analyticsService";
+import GAMES from "../data/games";
+
+const KEY_STORAGE = "scrollinn_analytics_dashboard_key";
+const DAY_OPTIONS = [1, 7, 30];
+
+const GAME_TITLES = Object.fromEntries(GAMES.map((g) => [g.id, g.title]));
+
+const STAGE_LABELS = { countdown: "cuenta atrás", playing: "jugando", paused: "en pausa" };
+
+const pct = (value) => (value == null ? "—" : `${Math.round(value * 100)}%`);
+const secs = (ms) => (ms == null ? "—" : `${(ms / 1000).toFixed(1)} s`);
+const perSession = (value) => (value == null ? "—" : value.toFixed(2));
+
+/* ── Barras del embudo: vistas → empiezan → terminan (relativas a las vistas) ── */
+const FunnelBars = ({ views, starts, completions }) => {
+  const steps = [
+    { label: "Vistas", value: views, color: "bg-cyan-400/70" },
+    { label: "Empiezan", value: starts, color: "bg-fuchsia-400/70" },
+    { label: "Terminan", value: completions, color: "bg-amber-400/70" },
+  ];
+  return (
+    <div className="space-y-1 min-w-40">
+      {steps.map((step) => (
+        <div key={step.label} className="flex items-center gap-2">
+          <div className="flex-1 h-2 rounded-full bg-white/5 overflow-hidden">
+            <div
+              className={`h-full rounded-full ${step.color}`}
+              style={{ width: `${views > 0 ? Math.min(100, (step.value / views) * 100) : 0}%` }}
+            />
+          </div>
+          <span className="w-10 text-right text-[11px] tabular-nums text-white/60">{step.value}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const QuitStages = ({ stages }) => {
+  const entries = Object.entries(stages ?? {});
+  if (entries.length === 0) return <span className="text-white/30">—</span>;
+  return (
+    <div className="flex flex-wrap gap-1">
+      {entries.map(([stage, n]) => (
+        <span key={stage} className="px-1.5 py-0.5 rounded bg-red-500/10 text-red-300 text-[11px] tabular-nums">
+          {STAGE_LABELS[stage] ?? stage}: {n}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+const AnalyticsDashboard = () => {
+  const [key, setKey] = useState(() => {
+    try { return sessionStorage.getItem(KEY_STORAGE) ?? ""; } catch { return ""; }
+  });
+  const [keyInput, setKeyInput] = useState("");
+  const [days, setDays] = useState(7);
+  // Resultado etiquetado con su consulta: si no coincide, está cargando
+  const [result, setResult] = useState({ query: null, error: null, games: [] });
+  const query = `${key}|${days}`;
+  const state = result.query === query
+    ? { ...result, loading: false }
+    : { error: null, games: result.games, loading: true };
+
+  useEffect(() => {
+    if (!key) return;
+    let cancelled = false;
+    fetchFunnels({ days, key }).then((result) => {
+      if (cancelled) return;
+      if (result.error === "unauthorized") {
+        try { sessionStorage.removeItem(KEY_STORAGE); } catch { /* privacy */ }
+        setKey("");
+      }
+      setResult({
+        query: `${key}|${days}`,
+        error: result.success ? null : result.error,
+        games: result.success ? result.data.games : [],
+      });
+    });
+    return () => { cancelled = true; };
+  }, [key, days]);
+
+  const handleSubmitKey = (e) => {
+    e.preventDefault();
+    const value = keyInput.trim();
+    if (!value) return;
+    try { sessionStorage.setItem(KEY_STORAGE, value); } catch { /* privacy */ }
+    setKey(value);
+    setKeyInput("");
+  };
+
+  return (
+    <div className="h-dvh overflow-y-auto bg-gray-950 text-white">
+      <div className="max-w-6xl mx-auto px-4 py-8 space-y-6">
+        <header className="flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <p className="text-[11px] font-bold uppercase tracking-[0.25em] text-cyan-400">Scrollinn · interno</p>
+            <h1 className="text-2xl font-black">Embudos por juego</h1>
+          </div>
+          {key && (
+            <div className="flex gap-1 p-1 rounded-xl bg-white/5 border border-white/10">
+              {DAY_OPTIONS.map((d) => (
+                <button
+                  key={d}
+                  onClick={() => setDays(d)}
+                  className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition-colors cursor-pointer
+                    ${days === d ? "bg-cyan-400/20 text-cyan-300" : "text-white/50 hover:text-white"}`}
+                >
+                  {d === 1 ? "24 h" : `${d} días`}
+                </button>
+              ))}
+            </div>
+          )}
+        </header>
+
+        {!key ? (
+          <form onSubmit={handleSubmitKey} className="max-w-sm space-y-3 p-5 rounded-2xl bg-white/5 border border-white/10">
+            <label htmlFor="dashboard-key" className="block text-sm text-white/70">
+              Clave del dashboard (ANALYTICS_DASHBOARD_KEY)
+            </label>
+            <input
+              id="dashboard-key"
+              type="password"
+              value={keyInput}
+              onChange={(e) => setKeyInput(e.target.value)}
+              className="w-full px-3 py-2 rounded-lg bg-black/40 border border-white/15 text-white outline-none focus:border-cyan-400/60"
+              autoFocus
+            />
+            {result.error === "unauthorized" && <p className="text-xs text-red-400">Clave incorrecta.</p>}
+            <button
+              type="submit"
+              className="w-full py-2 rounded-lg bg-cyan-500/80 hover:bg-cyan-500 text-black font-bold transition-colors cursor-pointer"
+            >
+              Entrar
+            </button>
+          </form>
+        ) : state.loading ? (
+          <p className="text-white/40 animate-pulse">Cargando…</p>
+        ) : state.error === "disabled" ? (
+          <p className="text-white/50">El servidor no tiene ANALYTICS_DASHBOARD_KEY: el dashboard está desactivado.</p>
+        ) : state.error ? (
+          <p className="text-red-400">No se pudieron cargar los datos: {state.error}</p>
+        ) : state.games.length === 0 ? (
+          <p className="text-white/40">Sin eventos en este periodo.</p>
+        ) : (
+          <div className="overflow-x-auto rounded-2xl border border-white/10">
+            <table className="w-full text-sm">
+              <thead className="bg-white/5 text-left text-[11px] uppercase tracking-wider text-white/40">
+                <tr>
+                  <th className="px-3 py-2">Juego</th>
+                  <th className="px-3 py-2">Embudo</th>
+                  <th className="px-3 py-2 text-right">Salto</th>
+                  <th className="px-3 py-2 text-right">Empiezan</th>
+                  <th className="px-3 py-2 text-right">Terminan</th>
+                  <th className="px-3 py-2">Abandonos</th>
+                  <th className="px-3 py-2 text-right">1er toque</th>
+                  <th className="px-3 py-2 text-right">Duración</th>
+                  <th className="px-3 py-2 text-right">Replays / sesión</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-white/5">
+                {state.games.map((g) => (
+                  <tr key={g.game_id} className="align-top">
+                    <td className="px-3 py-3 font-semibold whitespace-nowrap">{GAME_TITLES[g.game_id] ?? g.game_id}</td>
+                    <td className="px-3 py-3">
+                      <FunnelBars views={g.views} starts={g.starts} completions={g.completions} />
+                    </td>
+                    <td className="px-3 py-3 text-right tabular-nums">{pct(g.skip_rate)}</td>
+                    <td className="px-3 py-3 text-right tabular-nums">{pct(g.start_rate)}</td>
+                    <td className="px-3 py-3 text-right tabular-nums">{pct(g.completion_rate)}</td>
+                    <td className="px-3 py-3"><QuitStages stages={g.quit_stages} /></td>
+                    <td className="px-3 py-3 text-right tabular-nums">{secs(g.median_time_to_input_ms)}</td>
+                    <td className="px-3 py-3 text-right tabular-nums">{secs(g.median_duration_ms)}</td>
+                    <td className="px-3 py-3 text-right tabular-nums">{perSession(g.replays_per_session)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AnalyticsDashboard;
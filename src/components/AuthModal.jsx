@@ -7,9 +7,9 @@
 
 import { useState, useEffect } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { authenticate } from "../services/authService";
+import { authenticate, RATE_LIMIT_CODES, retryMinutes } from "../services/authService";
 import { getPublicProfile } from "../services/profileService";
-import { useLanguage } from "../i18n";
+import { useLanguage, formatNumber } from "../i18n";
 import {
   getLevelFromXP,
   getLevelProgress,
@@ -26,7 +26,7 @@ import Avatar from "./Avatar";
 /* Perfect Circle: la BD guarda score×10 → mostrar /10 con "%" */
 function displayScoreForGame(raw, gId) {
   if (gId === "perfect-circle") return `${(raw / 10).toFixed(1)}%`;
-  return typeof raw === "number" ? raw.toLocaleString() : String(raw);
+  return formatNumber(raw);
 }
 
 function getRankAccent(rank) {
@@ -56,10 +56,13 @@ function getRankCardStyle(rank) {
   };
 }
 
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
 const AuthModal = ({ isOpen, onClose, onAuthSuccess, currentUser, onOpenAvatarModal }) => {
   const { t } = useLanguage();
   const [view, setView] = useState("login");
   const [username, setUsername] = useState("");
+  const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [confirmPassword, setConfirmPassword] = useState("");
   const [showPassword, setShowPassword] = useState(false);
@@ -104,11 +107,17 @@ const AuthModal = ({ isOpen, onClose, onAuthSuccess, currentUser, onOpenAvatarMo
     setError("");
     setSuccess("");
 
-    if (!username.trim() || !password.trim() || (view === "register" && !confirmPassword.trim())) {
+    if (!username.trim() || !password.trim()
+      || (view === "register" && (!email.trim() || !confirmPassword.trim()))) {
       setError(t(view === "register" ? "auth.fill_all" : "auth.fill_both"));
       return;
     }
 
+    if (view === "register" && !EMAIL_REGEX.test(email.trim())) {
+      setError(t("authscreen.email_invalid"));
+      return;
+    }
+
     if (view === "register" && password !== confirmPassword) {
       setError(t("auth.passwords_no_match"));
       return;
@@ -116,10 +125,13 @@ const AuthModal = ({ isOpen, onClose, onAuthSuccess, currentUser, onOpenAvatarMo
 
     setLoading(true);
     try {
-      const data = await authenticate(username.trim(), password, view);
+      const data = await authenticate(username.trim(), password, view, email.trim());
 
       if (!data.ok) {
-        setError(data.error);
+        // 429: demasiadas peticiones o login bloqueado → cuánto esperar
+        setError(RATE_LIMIT_CODES.includes(data.code)
+          ? t(`auth.${data.code}`, { minutes: retryMinutes(data.retryAfter) })
+          : data.error);
         setLoading(false);
         return;
       }
@@ -136,6 +148,7 @@ const AuthModal = ({ isOpen, onClose, onAuthSuccess, currentUser, onOpenAvatarMo
       // Cerrar el modal tras un momento
       setTimeout(() => {
         setUsername("");
+        setEmail("");
         setPassword("");
         setConfirmPassword("");
         setShowPassword(false);
@@ -538,6 +551,23 @@ const AuthModal = ({ isOpen, onClose, onAuthSuccess, currentUser, onOpenAvatarMo
                           />
                         </div>
 
+                        {/* Email (register only) */}
+                        {view === "register" && (
+                          <div>
+                            <label className="block text-xs tracking-[0.15em] uppercase font-bold text-white/35 mb-1.5 ml-0.5">
+                              Email
+                            </label>
+                            <input
+                              type="email"
+                              value={email}
+                              onChange={(e) => setEmail(e.target.value)}
+                              autoComplete="email"
+                              placeholder="tu@email.com"
+                              className="w-full px-4 py-3 rounded-md bg-white/[0.03] border border-white/[0.08] text-white placeholder-white/20 text-sm focus:outline-none focus:border-cyan-500/40 focus:shadow-[0_0_12px_rgba(34,211,238,0.08)] transition-all"
+                            />
+                          </div>
+                        )}
+
                         {/* Password */}
                         <div>
                           <label className="block text-xs tracking-[0.15em] uppercase font-bold text-white/35 mb-1.5 ml-0.5">
@@ -3,12 +3,13 @@
  *
  * Estética Cyberpunk/Neón coherente con Scrollinn.
  * Dos modos: Login (Email + Password) y Registro (Username + Email + Password).
- * Usa Supabase Auth nativo (signInWithPassword, signUp).
+ * Usa backend.auth (Supabase Auth o la API local, ver src/backend/).
  */
 
 import { useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { supabase } from "../supabaseClient";
+import { backend } from "../backend";
+import { RATE_LIMIT_CODES, retryMinutes } from "../services/authService";
 import { useLanguage } from "../i18n";
 
 /* ── Eye icons for password toggle ── */
@@ -52,6 +53,13 @@ const AuthScreen = ({ onClose }) => {
   const USERNAME_REGEX = /^[a-zA-Z0-9_]{3,20}$/;
   const PASSWORD_STRONG = /^(?=.*[A-Z])(?=.*\d).{8,}$/;
 
+  /* ── Código de error de backend.auth → mensaje traducido ── */
+  const AUTH_ERROR_KEYS = ["invalid_credentials", "username_taken", "email_taken"];
+  const authErrorMessage = (code, retryAfter) => {
+    if (RATE_LIMIT_CODES.includes(code)) return t(`auth.${code}`, { minutes: retryMinutes(retryAfter) });
+    return AUTH_ERROR_KEYS.includes(code) ? t(`authscreen.${code}`) : code;
+  };
+
   /* ── Email / Username Login ── */
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -62,27 +70,9 @@ const AuthScreen = ({ onClose }) => {
     clearFeedback();
     setLoading(true);
 
-    let loginEmail = email.trim();
-
-    // If input doesn't look like an email, treat it as a username
-    if (!loginEmail.includes("@")) {
-      const { data, error: rpcError } = await supabase.rpc(
-        "get_email_by_username",
-        { p_username: loginEmail }
-      );
-      if (rpcError || !data) {
-        setError(t("authscreen.username_not_found"));
-        setLoading(false);
-        return;
-      }
-      loginEmail = data;
-    }
-
-    const { error: signInError } = await supabase.auth.signInWithPassword({
-      email: loginEmail,
-      password,
-    });
-    if (signInError) setError(t("authscreen.invalid_credentials"));
+    // Sin "@" se trata como nombre de usuario
+    const { error: signInError, retryAfter } = await backend.auth.signIn(email.trim(), password);
+    if (signInError) setError(authErrorMessage(signInError, retryAfter));
     setLoading(false);
   };
 
@@ -126,62 +116,13 @@ const AuthScreen = ({ onClose }) => {
     clearFeedback();
     setLoading(true);
 
-    // 5. Username uniqueness check
-    const { data: existingUser } = await supabase
-      .from("users")
-      .select("id")
-      .eq("username", username.trim())
-      .maybeSingle();
-    if (existingUser) {
-      setError(t("authscreen.username_taken"));
-      setLoading(false);
-      return;
-    }
-
-    const { data: signUpData, error: signUpError } = await supabase.auth.signUp({
+    // 5. Unicidad del username + alta (el backend crea la fila de public.users)
+    const { error: signUpError, retryAfter } = await backend.auth.signUp({
+      username: username.trim(),
       email: email.trim(),
       password,
-      options: {
-        data: { username: username.trim() },
-      },
     });
-
-    if (signUpError) {
-      // Translate common Supabase errors to friendly messages
-      const msg = signUpError.message?.toLowerCase() ?? "";
-      if (msg.includes("already registered") || msg.includes("already exists") || msg.includes("email already")) {
-        setError(t("authscreen.email_taken"));
-      } else {
-        setError(signUpError.message);
-      }
-      setLoading(false);
-      return;
-    }
-
-    // Si el registro devuelve sesión (verificación desactivada), asegurar
-    // que la fila en public.users existe (fallback por si el trigger tarda)
-    const userId = signUpData?.user?.id;
-    if (userId) {
-      // Pequeña espera para dar tiempo al trigger
-      await new Promise((r) => setTimeout(r, 600));
-
-      // Comprobar si el trigger ya creó la fila
-      const { data: existing } = await supabase
-        .from("users")
-        .select("id")
-        .eq("id", userId)
-        .maybeSingle();
-
-      if (!existing) {
-        // Fallback: crear la fila manualmente
-        await supabase.from("users").upsert({
-          id: userId,
-          username: username.trim(),
-          xp: 0,
-          coins: 0,
-        }, { onConflict: "id" });
-      }
-    }
+    if (signUpError) setError(authErrorMessage(signUpError, retryAfter));
 
     // onAuthStateChange se encargará de setSession → redirect automático
     setLoading(false);
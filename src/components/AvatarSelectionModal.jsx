@@ -6,20 +6,26 @@
  *   ZONA B (bottom, fijo): Panel de inspección con lore + botón de acción
  *
  * Al pulsar "EQUIPAR", actualiza la BD y el estado global (optimistic).
+ *
+ * Bajo el grid, la lista de Logros (achievementService): avatares que se
+ * desbloquean jugando, con su condición y progreso. Al abrir se evalúan,
+ * así que cualquier logro pendiente se concede antes de cargar el grid.
  */
 
 import { useState, useEffect, useCallback } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { createPortal } from "react-dom";
 import { getUserAvatars, updateEquippedAvatar } from "../services/avatarService";
-import { useLanguage } from "../i18n";
-import { User, Check, Sparkles } from "lucide-react";
+import { evaluateAchievements } from "../services/achievementService";
+import { useLanguage, localized } from "../i18n";
+import { User, Check, Sparkles, Lock, Trophy } from "lucide-react";
 
+// Nombre visible de cada tier: clave i18n `avatar.tier.<tier>`
 const TIER_COLORS = {
-  rookie:    { hex: "#94a3b8", label_es: "Rookie",    label_en: "Rookie" },
-  cyberpunk: { hex: "#22d3ee", label_es: "Cyberpunk", label_en: "Cyberpunk" },
-  hacker:    { hex: "#d946ef", label_es: "Hacker",    label_en: "Hacker" },
-  legend:    { hex: "#fbbf24", label_es: "Leyenda",   label_en: "Legend" },
+  rookie:    { hex: "#94a3b8" },
+  cyberpunk: { hex: "#22d3ee" },
+  hacker:    { hex: "#d946ef" },
+  legend:    { hex: "#fbbf24" },
 };
 
 /* Helper: construye src del avatar desde image_url de la BD */
@@ -34,11 +40,12 @@ const getAvatarImgSrc = (avatar) => {
    Modal Principal — Bottom Sheet
    ═══════════════════════════════════════════════════════════════════ */
 const AvatarSelectionModal = ({ isOpen, onClose, currentUser, onAvatarChange }) => {
-  const { lang, t } = useLanguage();
+  const { t } = useLanguage();
   const [avatars, setAvatars] = useState([]);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [inspectedAvatar, setInspectedAvatar] = useState(null); // avatar object or null
+  const [achievements, setAchievements] = useState([]);
 
   const equippedId = currentUser?.equipped_avatar_id || "none";
 
@@ -49,24 +56,35 @@ const AvatarSelectionModal = ({ isOpen, onClose, currentUser, onAvatarChange })
     setInspectedAvatar(null);
     setLoading(true);
 
-    getUserAvatars(currentUser.id).then((result) => {
-      if (result.success) {
-        setAvatars(result.data || []);
-      }
-      setLoading(false);
-    });
+    // Primero los logros: lo recién concedido ya sale en el inventario
+    evaluateAchievements(currentUser.id)
+      .then((achResult) => {
+        if (achResult.success) setAchievements(achResult.data.achievements);
+        return getUserAvatars(currentUser.id);
+      })
+      .then((result) => {
+        if (result.success) {
+          setAvatars(result.data || []);
+        }
+        setLoading(false);
+      });
   }, [isOpen, currentUser?.id, currentUser?.equipped_avatar_id]);
 
   // Helpers
   const getTierColor = (tier) => TIER_COLORS[tier]?.hex || "#94a3b8";
-  const getTierLabel = (tier) => {
-    const data = TIER_COLORS[tier] || TIER_COLORS.rookie;
-    return lang === "en" ? data.label_en : data.label_es;
+  const getTierLabel = (tier) => t(`avatar.tier.${TIER_COLORS[tier] ? tier : "rookie"}`);
+  const getAvatarName = (avatar) => localized(avatar, "name");
+  const getAvatarDesc = (avatar) => localized(avatar, "description");
+  const getAchievementGoal = (achievement) => {
+    const count = achievement.requirement;
+    switch (achievement.unlock_type) {
+      case "level":            return t("avatar.unlock_level", { level: count });
+      case "total_plays":      return t("avatar.unlock_total_plays", { count });
+      case "top1":             return t("avatar.unlock_top1", { count });
+      case "challenge_streak": return t("avatar.unlock_challenge_streak", { count });
+      default:                 return t("avatar.unlock_unknown");
+    }
   };
-  const getAvatarName = (avatar) =>
-    (lang === "en" && avatar.name_en) ? avatar.name_en : avatar.name_es;
-  const getAvatarDesc = (avatar) =>
-    (lang === "en" && avatar.description_en) ? avatar.description_en : avatar.description_es;
 
   // Equipar avatar
   const handleEquip = useCallback(async (avatarId) => {
@@ -169,6 +187,9 @@ const AvatarSelectionModal = ({ isOpen, onClose, currentUser, onAvatarChange })
                               name_en: "Default",
                               description_es: "Tu avatar básico. Simple, pero honesto.",
                               description_en: "Your basic avatar. Simple, but honest.",
+                              translations: {
+                                fr: { name: "Par défaut", description: "Votre avatar de base. Simple, mais honnête." },
+                              },
                               tier: "rookie",
                               owned: true,
                             })
@@ -258,6 +279,71 @@ const AvatarSelectionModal = ({ isOpen, onClose, currentUser, onAvatarChange })
                     {t("avatar.no_avatars")}
                   </p>
                 )}
+
+                {/* ── Logros: condición + progreso ── */}
+                {!loading && achievements.length > 0 && (
+                  <div className="mt-6">
+                    <div className="flex items-center gap-2 mb-3">
+                      <Trophy className="w-3.5 h-3.5 text-amber-300" />
+                      <h3 className="text-[11px] font-extrabold tracking-[0.15em] uppercase text-white/60">
+                        {t("avatar.achievements_title")}
+                      </h3>
+                    </div>
+
+                    <div className="flex flex-col gap-2">
+                      {achievements.map((achievement) => {
+                        const tierColor = getTierColor(achievement.tier);
+                        const pct = Math.round((achievement.progress / achievement.requirement) * 100);
+
+                        return (
+                          <div
+                            key={achievement.id}
+                            className="flex items-center gap-3 p-2.5 rounded-xl border border-white/8 bg-white/5"
+                          >
+                            <div
+                              className="relative w-10 h-10 rounded-full overflow-hidden shrink-0"
+                              style={{ border: `2px solid ${achievement.owned ? tierColor : "rgba(255,255,255,0.1)"}` }}
+                            >
+                              <img
+                                src={getAvatarImgSrc(achievement)}
+                                alt={getAvatarName(achievement)}
+                                className={`w-full h-full object-cover ${achievement.owned ? "" : "grayscale opacity-40"}`}
+                                draggable={false}
+                              />
+                              {!achievement.owned && (
+                                <Lock className="absolute inset-0 m-auto w-4 h-4 text-white/70" />
+                              )}
+                            </div>
+
+                            <div className="flex-1 min-w-0">
+                              <div className="flex items-center justify-between gap-2">
+                                <span className="text-xs font-bold text-white/80 truncate">
+                                  {getAvatarName(achievement)}
+                                </span>
+                                {achievement.owned ? (
+                                  <Check className="w-3.5 h-3.5 shrink-0" style={{ color: tierColor }} strokeWidth={3} />
+                                ) : (
+                                  <span className="text-[10px] font-bold text-white/40 tabular-nums shrink-0">
+                                    {achievement.progress}/{achievement.requirement}
+                                  </span>
+                                )}
+                              </div>
+                              <p className="text-[11px] text-white/40 truncate">
+                                {getAchievementGoal(achievement)}
+                              </p>
+                              <div className="mt-1.5 h-1 rounded-full bg-white/8 overflow-hidden">
+                                <div
+                                  className="h-full rounded-full"
+                                  style={{ width: `${achievement.owned ? 100 : pct}%`, background: tierColor }}
+                                />
+                              </div>
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                )}
               </div>
 
               {/* ══ ZONA B: Panel de Inspección (fijo abajo) ══ */}
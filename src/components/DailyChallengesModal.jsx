@@ -10,9 +10,11 @@ import { useState, useEffect, useCallback, useMemo } from "react";
 import { createPortal } from "react-dom";
 import { AnimatePresence, motion } from "framer-motion";
 import { useAuth } from "../context/AuthContext";
-import { useLanguage } from "../i18n";
+import { useLanguage, localized } from "../i18n";
 import { useSoundEffect } from "../hooks/useSoundEffect";
 import { getTodayChallenges, claimReward, getChallengeStatus } from "../services/challengeService";
+import { getChallengeRanking } from "../services/friendService";
+import Avatar from "./Avatar";
 import { getSpanishDateString, getMsUntilSpanishMidnight } from "../utils/dateUtils";
 
 // ─── SVG Icons (inline, zero dependencies) ───────────────────────────────────
@@ -192,13 +194,9 @@ const XPCelebration = ({ show, t }) => {
 
 // ─── Challenge Card ──────────────────────────────────────────────────────────
 
-const ChallengeCard = ({ challenge, lang, t, onClaim, claimingId, onPlay }) => {
+const ChallengeCard = ({ challenge, t, onClaim, claimingId, onPlay }) => {
   const {
     id,
-    title_es,
-    title_en,
-    description_es,
-    description_en,
     target_plays,
     reward_coins,
     current_progress,
@@ -206,8 +204,8 @@ const ChallengeCard = ({ challenge, lang, t, onClaim, claimingId, onPlay }) => {
     target_game_id,
   } = challenge;
 
-  const title = lang === "es" ? title_es : title_en;
-  const description = lang === "es" ? description_es : description_en;
+  const title = localized(challenge, "title");
+  const description = localized(challenge, "description");
   const progress = Math.min(current_progress, target_plays);
   const percent = target_plays > 0 ? (progress / target_plays) * 100 : 0;
   const isComplete = progress >= target_plays;
@@ -272,7 +270,7 @@ const ChallengeCard = ({ challenge, lang, t, onClaim, claimingId, onPlay }) => {
           </span>
         ) : isComplete ? (
           <motion.button
-            onClick={() => onClaim(id, reward_coins)}
+            onClick={() => onClaim(id)}
             disabled={isClaiming}
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
@@ -347,9 +345,83 @@ const SkeletonCard = () => (
 
 // ─── Main Modal ──────────────────────────────────────────────────────────────
 
+// ─── Ranking de hoy (todos / amigos) ────────────────────────────────────────
+
+const CHALLENGE_RANKING_SCOPES = ["global", "friends"];
+
+const ChallengeRanking = ({ userId, total, refreshKey, t }) => {
+  const [scope, setScope] = useState("global");
+  const [rows, setRows] = useState([]);
+  const [loadedKey, setLoadedKey] = useState(null);
+
+  const requestKey = `${scope}:${refreshKey}`;
+  const isLoading = loadedKey !== requestKey;
+
+  useEffect(() => {
+    let cancelled = false;
+    getChallengeRanking(scope === "friends").then((data) => {
+      if (cancelled) return;
+      setRows(data);
+      setLoadedKey(`${scope}:${refreshKey}`);
+    });
+    return () => { cancelled = true; };
+  }, [scope, refreshKey]);
+
+  return (
+    <div className="pt-2">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-[11px] font-bold uppercase tracking-[0.15em] text-slate-400">
+          {t("challenges.ranking_title")}
+        </h3>
+        {userId && (
+          <div className="flex p-0.5 rounded-full bg-slate-800/80 border border-slate-700/50">
+            {CHALLENGE_RANKING_SCOPES.map((s) => (
+              <button
+                key={s}
+                onClick={() => setScope(s)}
+                className={`px-2.5 py-0.5 rounded-full text-[10px] font-bold uppercase tracking-wider transition-colors cursor-pointer ${
+                  scope === s ? "bg-cyan-500/20 text-cyan-300" : "text-slate-500 hover:text-slate-300"
+                }`}
+              >
+                {t(`gameover.scope_${s}`)}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="h-16 rounded-xl bg-slate-800/40 animate-pulse" />
+      ) : rows.length === 0 ? (
+        <p className="py-3 text-center text-xs text-slate-500">
+          {scope === "friends" ? t("challenges.ranking_friends_empty") : t("challenges.ranking_empty")}
+        </p>
+      ) : (
+        <div className="space-y-1">
+          {rows.map((r) => (
+            <div
+              key={r.userId}
+              className={`flex items-center gap-2.5 px-2.5 py-1.5 rounded-lg ${
+                r.userId === userId ? "bg-cyan-500/10 border border-cyan-500/20" : "bg-slate-800/40"
+              }`}
+            >
+              <span className="w-5 text-xs font-black text-slate-500 tabular-nums">{r.pos}</span>
+              <Avatar equippedAvatarId={r.equippedAvatarId} size="sm" />
+              <span className="flex-1 min-w-0 text-sm font-semibold text-slate-200 truncate">{r.user}</span>
+              <span className="text-xs font-bold text-emerald-400 tabular-nums">
+                {r.completed}/{total}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
 const DailyChallengesModal = ({ isOpen, onClose, onStateChange, onNavigateToGame }) => {
   const { currentUser, updateUser } = useAuth();
-  const { lang, t } = useLanguage();
+  const { t } = useLanguage();
   const { playCoin } = useSoundEffect();
 
   const [challenges, setChallenges] = useState([]);
@@ -357,7 +429,6 @@ const DailyChallengesModal = ({ isOpen, onClose, onStateChange, onNavigateToGame
   const [claimingId, setClaimingId] = useState(null);
   const [coinBurstTrigger, setCoinBurstTrigger] = useState(0);
   const [showXPCelebration, setShowXPCelebration] = useState(false);
-  const [xpBonusClaimed, setXpBonusClaimed] = useState(false);
   const [resetCountdown, setResetCountdown] = useState("");
   const [refreshKey, setRefreshKey] = useState(0);
 
@@ -400,19 +471,6 @@ const DailyChallengesModal = ({ isOpen, onClose, onStateChange, onNavigateToGame
     return () => clearInterval(id);
   }, [isOpen]);
 
-  // Derived: XP bonus localStorage key (siempre Europe/Madrid)
-  const todayMadrid = getSpanishDateString();
-  const xpBonusKey = currentUser?.id
-    ? `scrollinn_daily_xp_${currentUser.id}_${todayMadrid}`
-    : null;
-
-  // Re-check XP bonus state when modal opens
-  useEffect(() => {
-    if (isOpen && xpBonusKey) {
-      setXpBonusClaimed(localStorage.getItem(xpBonusKey) === "1");
-    }
-  }, [isOpen, xpBonusKey]);
-
   // ── Fetch challenges when modal opens or after a game-over upsert ──
 
   useEffect(() => {
@@ -456,20 +514,12 @@ const DailyChallengesModal = ({ isOpen, onClose, onStateChange, onNavigateToGame
 
   // ── Claim handler (con orquestación de Full Clear) ──
   const handleClaim = useCallback(
-    async (challengeId, rewardCoins) => {
+    async (challengeId) => {
       if (!currentUser?.id || claimingId) return;
       setClaimingId(challengeId);
 
-      // Detectar si este es el último reto (Full Clear)
-      const alreadyClaimed = challenges.filter((c) => c.is_claimed).length;
-      const isFullClear =
-        challenges.length >= 3 &&
-        alreadyClaimed === challenges.length - 1 &&
-        !xpBonusClaimed;
-
-      const result = await claimReward(currentUser.id, challengeId, rewardCoins, {
-        isFullClear,
-      });
+      // El servidor decide si este reto completa el día (Full Clear)
+      const result = await claimReward(currentUser.id, challengeId);
 
       if (result.success) {
         // ── Fase 1 (0 s): Monedas + marcar reclamado ──
@@ -490,10 +540,7 @@ const DailyChallengesModal = ({ isOpen, onClose, onStateChange, onNavigateToGame
         window.dispatchEvent(new Event("challenges-updated"));
 
         // ── Fase 2 (+600 ms): Gran animación +500 XP ──
-        if (isFullClear && typeof result.newXP === "number") {
-          setXpBonusClaimed(true);
-          if (xpBonusKey) localStorage.setItem(xpBonusKey, "1");
-
+        if (result.isFullClear && typeof result.newXP === "number") {
           setTimeout(() => {
             setShowXPCelebration(true);
             updateUser({ xp: result.newXP });
@@ -505,7 +552,7 @@ const DailyChallengesModal = ({ isOpen, onClose, onStateChange, onNavigateToGame
 
       setClaimingId(null);
     },
-    [currentUser?.id, claimingId, challenges, xpBonusClaimed, xpBonusKey, updateUser, showXPCelebration]
+    [currentUser?.id, claimingId, updateUser, showXPCelebration]
   );
 
   // ── No-challenges placeholder ──
@@ -610,7 +657,6 @@ const DailyChallengesModal = ({ isOpen, onClose, onStateChange, onNavigateToGame
                   <ChallengeCard
                     key={ch.id}
                     challenge={ch}
-                    lang={lang}
                     t={t}
                     onClaim={handleClaim}
                     claimingId={claimingId}
@@ -621,6 +667,16 @@ const DailyChallengesModal = ({ isOpen, onClose, onStateChange, onNavigateToGame
                   />
                 ))
               )}
+
+              {/* ══════════ RANKING DE HOY ══════════ */}
+              {!loading && !isEmpty && (
+                <ChallengeRanking
+                  userId={currentUser?.id ?? null}
+                  total={challenges.length}
+                  refreshKey={refreshKey}
+                  t={t}
+                />
+              )}
             </div>
 
             {/* ══════════ BONUS XP (auto-claimed on Full Clear) ══════════ */}
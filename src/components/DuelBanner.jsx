@@ -0,0 +1,95 @@
+/**
+ * DuelBanner.jsx — Franja del duelo abierto desde un enlace
+ *
+ * Se muestra bajo la TopNav mientras hay un duelo activo (useActiveDuel):
+ * objetivo a batir, aviso de login para invitados y resultado final.
+ *
+ * Props:
+ *   duel      (object|null) — duelo (duelService → toDuel)
+ *   phase     (string)      — fase de useActiveDuel
+ *   userId    (string|null)
+ *   onLogin   (fn)          — abrir AuthScreen (invitados)
+ *   onDismiss (fn)
+ */
+
+import { motion, AnimatePresence } from "framer-motion";
+import { useLanguage, formatNumber } from "../i18n";
+import GAMES from "../data/games";
+import Avatar from "./Avatar";
+
+/* ── Perfect Circle: la BD guarda score×10 → mostrar /10 con “%” ── */
+function displayScoreForGame(raw, gId) {
+  if (raw == null) return "—";
+  if (gId === "perfect-circle") return `${(raw / 10).toFixed(1)}%`;
+  return formatNumber(raw);
+}
+
+const DuelBanner = ({ duel, phase, userId, onLogin, onDismiss }) => {
+  const { t } = useLanguage();
+
+  const visible = !!phase && phase !== "loading";
+  const gameName = GAMES.find((g) => g.id === duel?.gameId)?.title ?? duel?.gameId ?? "";
+  const target = displayScoreForGame(duel?.challengerScore, duel?.gameId);
+
+  let message;
+  let tone = "text-cyan-300 border-cyan-400/30";
+  if (phase === "settled") {
+    const iWon =
+      duel.winner === "tie" ? null : (duel.winner === "challenger") === (duel.challengerId === userId);
+    message =
+      iWon == null
+        ? t("duel.result_tie", { score: target })
+        : iWon
+        ? t("duel.result_win", { score: displayScoreForGame(duel.opponentScore, duel.gameId), target })
+        : t("duel.result_loss", { score: displayScoreForGame(duel.opponentScore, duel.gameId), target });
+    tone = iWon === false ? "text-red-300 border-red-400/30" : "text-emerald-300 border-emerald-400/30";
+  } else if (phase === "own") {
+    message = t("duel.own");
+  } else if (phase === "unavailable") {
+    message = t("duel.unavailable");
+    tone = "text-white/50 border-white/15";
+  } else {
+    message = t("duel.target", { user: duel?.challengerName ?? "—", score: target, game: gameName });
+  }
+
+  return (
+    <AnimatePresence>
+      {visible && (
+        <motion.div
+          initial={{ opacity: 0, y: -12 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: -12 }}
+          className="fixed inset-x-0 z-75 flex justify-center px-4 pointer-events-none"
+          style={{ top: "calc(var(--sat) + 64px)" }}
+        >
+          <div
+            className={`pointer-events-auto flex items-center gap-2.5 max-w-sm w-full pl-2 pr-1.5 py-1.5 rounded-2xl border bg-slate-950/85 backdrop-blur-md shadow-lg ${tone}`}
+          >
+            {duel && <Avatar equippedAvatarId={duel.challengerAvatarId} size="sm" />}
+            <p className="flex-1 min-w-0 text-xs font-semibold leading-snug">
+              <span className="mr-1">⚔️</span>
+              {message}
+            </p>
+            {phase === "login" && (
+              <button
+                onClick={onLogin}
+                className="shrink-0 px-3 py-1.5 rounded-xl bg-cyan-500/20 text-cyan-200 text-[11px] font-bold uppercase tracking-wider cursor-pointer active:scale-95"
+              >
+                {t("duel.login")}
+              </button>
+            )}
+            <button
+              onClick={onDismiss}
+              className="shrink-0 w-7 h-7 rounded-full flex items-center justify-center text-white/40 hover:bg-white/10 cursor-pointer"
+              aria-label={t("profile.close")}
+            >
+              ✕
+            </button>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default DuelBanner;
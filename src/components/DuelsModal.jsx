@@ -0,0 +1,249 @@
+/**
+ * DuelsModal.jsx — Bandeja de duelos
+ *
+ * Bottom sheet con el balance (victorias / derrotas / empates), los duelos
+ * pendientes y los terminados.
+ *  - Pendiente sin rival  → compartir el enlace otra vez
+ *  - Pendiente en tu turno → jugar (evento "open-duel" → useActiveDuel)
+ *
+ * Props:
+ *   isOpen  (bool) — visibilidad
+ *   onClose (fn)   — cerrar
+ *   userId  (string)
+ */
+
+import { useState, useEffect } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { useLanguage, formatNumber } from "../i18n";
+import { getMyDuels, buildDuelLink } from "../services/duelService";
+import GAMES from "../data/games";
+import Avatar from "./Avatar";
+
+const overlayVariants = {
+  hidden: { opacity: 0 },
+  visible: { opacity: 1 },
+};
+
+const sheetVariants = {
+  hidden: { y: "100%" },
+  visible: { y: 0 },
+};
+
+const OUTCOME_STYLES = {
+  win: "text-emerald-400",
+  loss: "text-red-400",
+  tie: "text-white/50",
+};
+
+/* ── Perfect Circle: la BD guarda score×10 → mostrar /10 con “%” ── */
+function displayScoreForGame(raw, gId) {
+  if (raw == null) return "—";
+  if (gId === "perfect-circle") return `${(raw / 10).toFixed(1)}%`;
+  return formatNumber(raw);
+}
+
+const gameTitle = (gameId) => GAMES.find((g) => g.id === gameId)?.title ?? gameId;
+
+/* ── Lista (se monta al abrir → siempre datos frescos) ── */
+const DuelList = ({ userId, onClose }) => {
+  const { t } = useLanguage();
+  const [duels, setDuels] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = () => {
+      getMyDuels(userId).then((result) => {
+        if (!cancelled) setDuels(result.data);
+      });
+    };
+    load();
+    window.addEventListener("duels-updated", load);
+    return () => {
+      cancelled = true;
+      window.removeEventListener("duels-updated", load);
+    };
+  }, [userId]);
+
+  const handleShareLink = async (duel) => {
+    const link = buildDuelLink(duel.id);
+    if (navigator.share) {
+      try {
+        await navigator.share({ text: t("duel.share_text", { game: gameTitle(duel.gameId), link }) });
+      } catch {
+        /* cancelado */
+      }
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopiedId(duel.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch {
+      /* sin portapapeles */
+    }
+  };
+
+  const handlePlay = (duel) => {
+    onClose();
+    window.dispatchEvent(new CustomEvent("open-duel", { detail: duel.id }));
+  };
+
+  if (!duels) {
+    return (
+      <p className="py-8 text-center text-sm text-white/40 animate-pulse">
+        {t("gameover.loading")}
+      </p>
+    );
+  }
+
+  const { record, pending, finished } = duels;
+
+  return (
+    <div className="space-y-5">
+      {/* Balance */}
+      <div className="grid grid-cols-3 gap-2">
+        {[
+          ["wins", record.wins, "text-emerald-400"],
+          ["losses", record.losses, "text-red-400"],
+          ["ties", record.ties, "text-white/60"],
+        ].map(([key, value, color]) => (
+          <div key={key} className="py-2.5 rounded-xl bg-white/3 border border-white/6 text-center">
+            <p className={`text-xl font-black tabular-nums ${color}`}>{value}</p>
+            <p className="text-[10px] uppercase tracking-wider text-white/35">{t(`duel.record_${key}`)}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Pendientes */}
+      <section className="space-y-2">
+        <h3 className="text-[11px] font-bold uppercase tracking-[0.18em] text-white/35">
+          {t("duel.pending")}
+        </h3>
+        {pending.length === 0 ? (
+          <p className="py-3 text-center text-sm text-white/35">{t("duel.pending_empty")}</p>
+        ) : (
+          pending.map((duel) => {
+            const myTurn = !duel.isChallenger;
+            return (
+              <div key={duel.id} className="flex items-center gap-3 p-2.5 rounded-xl bg-white/3 border border-white/6">
+                <Avatar equippedAvatarId={duel.opponentAvatarId} size="sm" />
+                <div className="flex-1 min-w-0">
+                  <p className="text-white/85 text-sm font-semibold truncate">{gameTitle(duel.gameId)}</p>
+                  <p className="text-white/40 text-[11px] truncate">
+                    {myTurn
+                      ? t("duel.your_turn", { user: duel.opponentName ?? "—", score: displayScoreForGame(duel.theirScore, duel.gameId) })
+                      : duel.opponentName
+                      ? t("duel.their_turn", { user: duel.opponentName })
+                      : t("duel.waiting", { score: displayScoreForGame(duel.myScore, duel.gameId) })}
+                  </p>
+                </div>
+                {myTurn ? (
+                  <button
+                    onClick={() => handlePlay(duel)}
+                    className="px-3 py-1.5 rounded-lg text-[11px] font-bold uppercase tracking-wider bg-cyan-500/15 text-cyan-300 hover:bg-cyan-500/25 cursor-pointer"
+                  >
+                    {t("duel.play")}
+                  </button>
+                ) : !duel.opponentName ? (
+                  <button
+                    onClick={() => handleShareLink(duel)}
+                    className="px-3 py-1.5 rounded-lg text-[11px] font-bold uppercase tracking-wider bg-white/5 text-white/55 hover:bg-white/10 cursor-pointer"
+                  >
+                    {copiedId === duel.id ? "✓" : t("duel.share")}
+                  </button>
+                ) : null}
+              </div>
+            );
+          })
+        )}
+      </section>
+
+      {/* Terminados */}
+      <section className="space-y-2">
+        <h3 className="text-[11px] font-bold uppercase tracking-[0.18em] text-white/35">
+          {t("duel.finished")}
+        </h3>
+        {finished.length === 0 ? (
+          <p className="py-3 text-center text-sm text-white/35">{t("duel.finished_empty")}</p>
+        ) : (
+          finished.map((duel) => (
+            <div key={duel.id} className="flex items-center gap-3 p-2.5 rounded-xl bg-white/3 border border-white/6">
+              <Avatar equippedAvatarId={duel.opponentAvatarId} size="sm" />
+              <div className="flex-1 min-w-0">
+                <p className="text-white/85 text-sm font-semibold truncate">
+                  {t("duel.vs", { user: duel.opponentName ?? "—" })}
+                </p>
+                <p className="text-white/40 text-[11px] truncate">{gameTitle(duel.gameId)}</p>
+              </div>
+              <div className="text-right">
+                <p className={`text-xs font-black uppercase ${OUTCOME_STYLES[duel.outcome]}`}>
+                  {t(`duel.outcome_${duel.outcome}`)}
+                </p>
+                <p className="text-white/40 text-[11px] tabular-nums">
+                  {displayScoreForGame(duel.myScore, duel.gameId)} – {displayScoreForGame(duel.theirScore, duel.gameId)}
+                </p>
+              </div>
+            </div>
+          ))
+        )}
+      </section>
+    </div>
+  );
+};
+
+const DuelsModal = ({ isOpen, onClose, userId }) => {
+  const { t } = useLanguage();
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          {/* Overlay */}
+          <motion.div
+            className="fixed inset-0 z-300 bg-black/70 backdrop-blur-sm"
+            variants={overlayVariants}
+            initial="hidden"
+            animate="visible"
+            exit="hidden"
+            transition={{ duration: 0.2 }}
+            onClick={onClose}
+          />
+
+          {/* Bottom Sheet */}
+          <motion.div
+            className="fixed bottom-0 left-0 right-0 z-301 bg-slate-900 border-t border-cyan-500/20 rounded-t-2xl max-h-[85vh] flex flex-col"
+            variants={sheetVariants}
+            initial="hidden"
+            animate="visible"
+            exit="hidden"
+            transition={{ type: "spring", damping: 28, stiffness: 300 }}
+            style={{ paddingBottom: "var(--sab)" }}
+            drag="y"
+            dragConstraints={{ top: 0 }}
+            dragElastic={0.2}
+            onDragEnd={(_, info) => {
+              if (info.offset.y > 100 || info.velocity.y > 300) onClose();
+            }}
+          >
+            {/* Handle */}
+            <div className="flex justify-center pt-3 pb-2 shrink-0">
+              <div className="w-10 h-1 rounded-full bg-cyan-400/30" />
+            </div>
+
+            <h2 className="shrink-0 px-5 pb-3 text-white text-lg font-bold text-center">
+              {t("duel.inbox_title")}
+            </h2>
+
+            {/* Scrollable content */}
+            <div className="overflow-y-auto px-5 pb-6 flex-1 min-h-0">
+              <DuelList userId={userId} onClose={onClose} />
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default DuelsModal;
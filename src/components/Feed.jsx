@@ -4,24 +4,40 @@
  * Arquitectura "Baraja infinita":
  *  - Mantiene una playlist interna de items { game, uid }
  *  - Inicializa con 2 barajas shuffled (~42 slides)
+ *  - Barajas ponderadas (likes, partidas recientes, saltos, novedad):
+ *    ver services/recommendationService.js
  *  - Auto-extiende al acercarse al final (append otra baraja)
  *  - Galería: inyecta el juego elegido justo después del slide activo
  *  - IntersectionObserver + MutationObserver detectan slides nuevos
  *  - Solo el slide activo recibe isPlayable={true}
  *  - ±1 slide monta el componente real; el resto son placeholders ligeros
+ *  - Juegos `pausable`: la partida se congela al salir del slide (o al
+ *    ocultar la pestaña) y se reanuda con "Continuar partida" + cuenta atrás
+ *  - Modo Supervivencia: cada juego debe superar su umbral; el primer
+ *    fallo termina la run; el servidor la cuenta con las partidas jugadas
+ *    (services/survivalService.js)
+ *  - Analítica: vistas, partidas, fin, replays y saltos por slide
+ *    (hooks/useFeedAnalytics.js → server/analytics.js)
  */
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import { AnimatePresence, motion } from "framer-motion";
 import { useLanguage } from "../i18n";
 import useActiveSlide from "../hooks/useActiveSlide";
+import useFeedAnalytics from "../hooks/useFeedAnalytics";
 import ClearModeWrapper from "./ClearModeWrapper";
 import { useClearMode } from "../context/ClearModeContext";
 import PlaceholderGame from "./PlaceholderGame";
 import GameInterface from "./GameInterface";
 import ReadyScreen from "./ReadyScreen";
+import ResumeRunScreen from "./ResumeRunScreen";
 import CountdownOverlay from "./CountdownOverlay";
+import SurvivalOverlay from "./SurvivalOverlay";
 import { getTodayChallenges, getChallengeStatus } from "../services/challengeService";
+import { startSurvivalRun, finishSurvivalRun } from "../services/survivalService";
+import { startGameSession } from "../services/gameService";
+import { loadFeedSignals, getGameWeights, recordSlideDwell } from "../services/recommendationService";
+import { passesSurvivalThreshold } from "../data/pointsToXpPerGame";
 
 /* ── Imports de juegos reales ── */
 import TowerBlocksGame from "./games/TowerBlocksGame";
@@ -56,6 +72,7 @@ import MemorySequenceGame from "./games/MemorySequenceGame";
 import CoreEscapeGame from "./games/CoreEscapeGame";
 import NeonChronoGame from "./games/NeonChronoGame";
 import GhostPongGame from "./games/GhostPongGame";
+import EmbeddedGame from "./games/EmbeddedGame";
 
 /** Registro de componentes reales de juego */
 const GAME_COMPONENTS = {
@@ -91,6 +108,7 @@ const GAME_COMPONENTS = {
   CoreEscape: CoreEscapeGame,
   NeonChrono: NeonChronoGame,
   GhostPong: GhostPongGame,
+  Embedded: EmbeddedGame, // juegos HTML5 en iframe (games.js → embed.src)
 };
 
 /* ================================================================
@@ -109,12 +127,51 @@ function shuffleArray(arr) {
   return copy;
 }
 
+/**
+ * Shuffle ponderado (Efraimidis–Spirakis): cada elemento sale una vez,
+ * los de más peso tienden a quedar delante.
+ */
+function weightedShuffle(arr, getWeight) {
+  return arr
+    .map((item) => ({ item, key: Math.random() ** (1 / getWeight(item)) }))
+    .sort((a, b) => b.key - a.key)
+    .map((e) => e.item);
+}
+
+/**
+ * Garantiza que no haya dos slides seguidos del mismo juego
+ * (prevId = juego del slide anterior a la lista).
+ */
+function avoidBackToBack(items, prevId) {
+  const list = [...items];
+  for (let i = 0; i < list.length; i++) {
+    const before = i === 0 ? prevId : list[i - 1].game.id;
+    if (list[i].game.id !== before) continue;
+    const j = list.findIndex((it, k) => k > i && it.game.id !== before);
+    if (j !== -1) [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+/**
+ * Reordena con pesos los slides a partir de `from` (los anteriores ya se
+ * han visto o están montados). Conserva los uid.
+ */
+function rerankTail(playlist, from, weights) {
+  const head = playlist.slice(0, from);
+  const tail = weightedShuffle(playlist.slice(from), (it) => weights[it.game.id] ?? 1);
+  return [...head, ...avoidBackToBack(tail, head[head.length - 1]?.game.id)];
+}
+
 /**
  * Crea una baraja shuffled evitando que el primer juego sea igual a lastId
  * (para que no haya dos juegos consecutivos iguales entre barajas).
+ * Con `weights` el orden se sortea ponderado.
  */
-function createBatch(games, lastId) {
-  let shuffled = shuffleArray(games);
+function createBatch(games, lastId, weights = null) {
+  let shuffled = weights
+    ? weightedShuffle(games, (g) => weights[g.id] ?? 1)
+    : shuffleArray(games);
   if (lastId && shuffled.length > 1 && shuffled[0].id === lastId) {
     const swap = 1 + Math.floor(Math.random() * (shuffled.length - 1));
     [shuffled[0], shuffled[swap]] = [shuffled[swap], shuffled[0]];
@@ -135,6 +192,7 @@ function buildInitialPlaylist(games) {
 
 const RENDER_WINDOW = 1;       // ±1 slide monta componente real
 const EXTEND_THRESHOLD = 12;   // extiende cuando quedan menos de 12 slides
+const MAX_PAUSED_RUNS = 3;     // partidas congeladas que siguen montadas fuera de la ventana
 
 /* ================================================================
    GameFeed — Componente exterior
@@ -151,6 +209,7 @@ const GameFeed = ({
   pendingGameIdToLaunch,
   setPendingGameIdToLaunch,
   handleSelectGame,
+  survivalMode = false,
 }) => {
   /* ── Hook de scroll snap + IntersectionObserver ── */
   const { containerRef, activeIndex, scrollToSlide } = useActiveSlide(0);
@@ -202,6 +261,7 @@ const GameFeed = ({
         scrollLockedRef={scrollLockedRef}
         isChallengesOpen={isChallengesOpen}
         onChallengesOpenChange={setIsChallengesOpen}
+        survivalMode={survivalMode}
       />
     </ClearModeWrapper>
   );
@@ -223,6 +283,7 @@ const GameFeedContent = ({
   scrollLockedRef,
   isChallengesOpen = false,
   onChallengesOpenChange,
+  survivalMode = false,
 }) => {
   const { t } = useLanguage();
 
@@ -238,6 +299,8 @@ const GameFeedContent = ({
   const [isReady, setIsReady] = useState(true);
   const [isCountingDown, setIsCountingDown] = useState(false);
   const [replayKeys, setReplayKeys] = useState({});
+  const [resumeStep, setResumeStep] = useState(null); // null | 'prompt' | 'countdown'
+  const [pausedRuns, setPausedRuns] = useState([]);   // uids congelados, el más antiguo primero
   const [isGameOver, setIsGameOver] = useState(false);
   const [challengeStatus, setChallengeStatus] = useState("pending");
 
@@ -256,18 +319,87 @@ const GameFeedContent = ({
     return () => window.removeEventListener("challenges-updated", handler);
   }, [refreshChallengeStatus]);
 
+  /* ══════════════════════════════════════════════════════════════
+     MODO SUPERVIVENCIA
+     status: 'playing' (juego actual sin superar) | 'passed' | 'failed'
+     • Mientras status = 'playing' el scroll queda bloqueado: no se
+       puede saltar un juego sin jugarlo.
+     • 'passed' → +1 y se desbloquea el paso al siguiente juego.
+     • 'failed' → la run termina. La run del servidor se abre antes de
+       la primera partida y al cerrarse cuenta las sesiones jugadas desde
+       entonces.
+     • Cada partida la decide el servidor: submit_score devuelve el
+       marcador de la run ({ survived, alive }, evento `score-verdict`),
+       así una revancha fallida tras superar un juego corta la run aquí
+       igual que allí. Sin run en el servidor (invitado, sin red) se usa
+       el umbral local, una vez por juego.
+     ══════════════════════════════════════════════════════════════ */
+  const [survival, setSurvival] = useState({ survived: 0, status: "playing" });
+  const [prevSurvivalMode, setPrevSurvivalMode] = useState(survivalMode);
+
+  if (prevSurvivalMode !== survivalMode) {
+    setPrevSurvivalMode(survivalMode);
+    if (survivalMode) {
+      // Entrar en Supervivencia → run nueva
+      setSurvival({ survived: 0, status: "playing" });
+    } else {
+      // Salir a mitad de run → la run termina con lo superado hasta ahora
+      setSurvival((s) =>
+        s.status === "failed" || s.survived === 0 ? s : { ...s, status: "failed" }
+      );
+    }
+  }
+
+  useEffect(() => {
+    if (!survivalMode) return;
+    const handleScoreVerdict = (e) => {
+      const { gameId, score, survival: verdict } = e.detail || {};
+      setSurvival((s) => {
+        if (s.status === "failed") return s;
+        if (verdict) {
+          return { survived: verdict.survived, status: verdict.alive ? "passed" : "failed" };
+        }
+        if (s.status !== "playing") return s;
+        return passesSurvivalThreshold(gameId, score)
+          ? { survived: s.survived + 1, status: "passed" }
+          : { ...s, status: "failed" };
+      });
+    };
+    window.addEventListener("score-verdict", handleScoreVerdict);
+    return () => window.removeEventListener("score-verdict", handleScoreVerdict);
+  }, [survivalMode]);
+
+  // Run en el servidor (solo usuarios registrados): abierta mientras la run
+  // siga viva; al fallar, salir del modo o desmontar se cierra y se cuenta
+  const isSurvivalRunAlive = survivalMode && survival.status !== "failed";
+  useEffect(() => {
+    if (!isSurvivalRunAlive || !currentUser?.id) return;
+    const run = startSurvivalRun();
+    return () => {
+      run.then(({ success, runId }) => {
+        if (success) finishSurvivalRun(runId);
+      });
+    };
+  }, [isSurvivalRunAlive, currentUser?.id]);
+
+  const isSurvivalLocked = survivalMode && survival.status === "playing";
+
   /* ── Refs ── */
   const prevActiveRef = useRef(null);
   const prevEpochRef = useRef(gameEpoch);
 
   /* ══════════════════════════════════════════════════════════════
-     LEY 1 · Fase del slide activo: 'ready' | 'countdown' | 'playing' | 'game_over'
-     Se calcula derivada de isReady + isCountingDown + isGameOver.
+     LEY 1 · Fase del slide activo:
+       'ready' | 'paused' | 'countdown' | 'playing' | 'game_over'
+     Se calcula derivada de isReady + resumeStep + isCountingDown + isGameOver.
+     'paused' = partida congelada esperando "Continuar" (o su cuenta atrás).
      Controla touch-action y overflow-y de forma centralizada.
      ══════════════════════════════════════════════════════════════ */
   const slidePhase = isReady
     ? "ready"
-    : isCountingDown
+    : resumeStep
+      ? "paused"
+      : isCountingDown
       ? "countdown"
       : isGameOver
         ? "game_over"
@@ -276,9 +408,52 @@ const GameFeedContent = ({
   const disabledRef = useRef(disabled);
   const activeIndexRef = useRef(activeIndex);
   const pendingScrollRef = useRef(null);
+  const survivalLockedRef = useRef(isSurvivalLocked);
+  const slidePhaseRef = useRef(slidePhase);
+
+  const { trackReplay } = useFeedAnalytics({
+    activeIndex,
+    slidePhase,
+    playlistRef,
+    userId: currentUser?.id ?? null,
+  });
 
   disabledRef.current = disabled;
   activeIndexRef.current = activeIndex;
+  survivalLockedRef.current = isSurvivalLocked;
+  slidePhaseRef.current = slidePhase;
+
+  /* ══════════════════════════════════════════════════════════════
+     ORDEN ADAPTATIVO
+     Al llegar las señales (login / cambio de usuario) se reordena con
+     pesos lo que aún no se ha visto; las barajas nuevas ya nacen
+     ponderadas. Cada salida de slide registra su tiempo en pantalla.
+     ══════════════════════════════════════════════════════════════ */
+  const feedSignalsRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadFeedSignals(currentUser?.id ?? null).then((signals) => {
+      if (cancelled) return;
+      feedSignalsRef.current = signals;
+      const weights = getGameWeights(games, signals);
+      // Respetar el slide activo, los montados (±RENDER_WINDOW) y la galería pendiente
+      setPlaylist((prev) =>
+        rerankTail(prev, activeIndexRef.current + RENDER_WINDOW + 2, weights)
+      );
+    });
+    return () => { cancelled = true; };
+  }, [currentUser?.id, games]);
+
+  const slideEnteredRef = useRef({ index: activeIndex, at: performance.now() });
+
+  useEffect(() => {
+    const prev = slideEnteredRef.current;
+    if (prev.index === activeIndex) return;
+    const leftGame = playlistRef.current[prev.index]?.game;
+    if (leftGame) recordSlideDwell(leftGame.id, performance.now() - prev.at);
+    slideEnteredRef.current = { index: activeIndex, at: performance.now() };
+  }, [activeIndex]);
 
   /* ══════════════════════════════════════════════════════════════
      REGLA DE LOS 3 SEGUNDOS — Timer proactivo
@@ -288,8 +463,11 @@ const GameFeedContent = ({
        ya limpio, listo para cuando el usuario vuelva).
      • Si el usuario vuelve ANTES de 3 s → se cancela el timer y
        se reanuda la partida en curso sin countdown.
+     Juegos `pausable` (games.js) → sin timer: la partida queda
+     congelada (isActive=false) y montada aunque salga de la ventana,
+     hasta MAX_PAUSED_RUNS. Al volver: ResumeRunScreen → cuenta atrás.
      ══════════════════════════════════════════════════════════════ */
-  // { [slideIndex]: { timerId, phase } }
+  // { [slideIndex]: { timerId, phase, uid } }
   const pauseContextRef = useRef({});
 
   /* ==============================================================
@@ -311,6 +489,24 @@ const GameFeedContent = ({
           setReplayKeys((prev) => ({ ...prev, [leavingUid]: (prev[leavingUid] || 0) + 1 }));
         }
         delete pauseContextRef.current[leavingIndex];
+      } else if (
+        (slidePhase === "playing" || slidePhase === "paused") &&
+        playlistRef.current[leavingIndex]?.game?.pausable
+      ) {
+        // CASO P: juego pausable → congelar la partida (sin límite de tiempo)
+        const leavingUid = playlistRef.current[leavingIndex].uid;
+        pauseContextRef.current[leavingIndex] = { phase: "paused", uid: leavingUid };
+
+        const frozen = [...pausedRuns.filter((uid) => uid !== leavingUid), leavingUid];
+        if (frozen.length > MAX_PAUSED_RUNS) {
+          // Demasiadas partidas congeladas → la más antigua se descarta
+          const droppedUid = frozen.shift();
+          setReplayKeys((prev) => ({ ...prev, [droppedUid]: (prev[droppedUid] || 0) + 1 }));
+          for (const [idx, old] of Object.entries(pauseContextRef.current)) {
+            if (old?.uid === droppedUid) delete pauseContextRef.current[idx];
+          }
+        }
+        setPausedRuns(frozen);
       } else if (slidePhase === "playing") {
         // CASO B: Scroll durante gameplay → arrancar timer de 3 s
         const leavingUid = playlistRef.current[leavingIndex]?.uid;
@@ -342,10 +538,20 @@ const GameFeedContent = ({
       }
     }
 
+    /* ── 1b. Supervivencia: avanzar la run al cambiar de juego ── */
+    if (survivalMode && leavingIndex !== null) {
+      setSurvival((s) => {
+        if (s.status === "passed") return { ...s, status: "playing" };
+        if (s.status === "failed") return { survived: 0, status: "playing" }; // run nueva
+        return s;
+      });
+    }
+
     /* ── 2. Invalidar contextos de slides fuera de RENDER_WINDOW ── */
     for (const idx of Object.keys(pauseContextRef.current)) {
       if (Math.abs(Number(idx) - activeIndex) > RENDER_WINDOW) {
         const old = pauseContextRef.current[idx];
+        if (old?.phase === "paused") continue; // congelada: sigue montada
         if (old?.timerId) clearTimeout(old.timerId);
         delete pauseContextRef.current[idx];
       }
@@ -354,7 +560,17 @@ const GameFeedContent = ({
     /* ── 3. Decidir qué hacer con el slide al que LLEGAMOS ── */
     const ctx = pauseContextRef.current[activeIndex];
 
-    if (ctx && ctx.phase === "playing" && ctx.timerId) {
+    setResumeStep(null);
+
+    if (ctx && ctx.phase === "paused") {
+      // Partida congelada → "Continuar partida" y cuenta atrás al tocar
+      delete pauseContextRef.current[activeIndex];
+      setPausedRuns((prev) => prev.filter((uid) => uid !== ctx.uid));
+      setIsGameOver(false);
+      setIsReady(false);
+      setIsCountingDown(false);
+      setResumeStep("prompt");
+    } else if (ctx && ctx.phase === "playing" && ctx.timerId) {
       // Quick Return (< 3 s): timer aún no ha disparado → cancelar y reanudar
       clearTimeout(ctx.timerId);
       delete pauseContextRef.current[activeIndex];
@@ -390,7 +606,8 @@ const GameFeedContent = ({
     if (activeIndex >= playlist.length - EXTEND_THRESHOLD) {
       setPlaylist((prev) => {
         const lastId = prev[prev.length - 1].game.id;
-        const newBatch = createBatch(games, lastId);
+        const weights = getGameWeights(games, feedSignalsRef.current);
+        const newBatch = createBatch(games, lastId, weights);
         return [...prev, ...newBatch];
       });
     }
@@ -441,13 +658,13 @@ const GameFeedContent = ({
     const effectiveDisabled = disabled || isChallengesOpen;
     const activeGame = playlistRef.current[activeIndex]?.game;
     const shouldLock =
-      slidePhase === "playing" &&
-      !!activeGame?.requiresScrollLock &&
+      ((slidePhase === "playing" && !!activeGame?.requiresScrollLock) ||
+        isSurvivalLocked) &&
       !effectiveDisabled;
 
     scrollLockedRef.current = shouldLock;
     container.style.overflowY = shouldLock || effectiveDisabled ? "hidden" : "scroll";
-  }, [slidePhase, activeIndex, disabled, isChallengesOpen, containerRef]);
+  }, [slidePhase, activeIndex, disabled, isChallengesOpen, containerRef, isSurvivalLocked]);
 
   /* Fallback: juegos sin requiresScrollLock que usan onScrollLock manualmente */
   const handleScrollLock = useCallback(
@@ -468,6 +685,7 @@ const GameFeedContent = ({
   useEffect(() => {
     const handleGameOverUnlock = () => {
       setIsGameOver(true);
+      if (survivalLockedRef.current) return; // Supervivencia: se desbloquea al resolver la partida
       scrollLockedRef.current = false;
       const container = containerRef.current;
       if (container && !disabledRef.current) {
@@ -478,20 +696,36 @@ const GameFeedContent = ({
     return () => window.removeEventListener("gameover-scroll-unlock", handleGameOverUnlock);
   }, [containerRef]);
 
+  /* ==============================================================
+     Pestaña oculta → congelar la partida de un juego pausable
+     ============================================================== */
+  useEffect(() => {
+    const handleVisibility = () => {
+      if (!document.hidden || slidePhaseRef.current !== "playing") return;
+      const activeGame = playlistRef.current[activeIndexRef.current]?.game;
+      if (activeGame?.pausable) setResumeStep("prompt");
+    };
+    document.addEventListener("visibilitychange", handleVisibility);
+    return () => document.removeEventListener("visibilitychange", handleVisibility);
+  }, []);
+
   /* ==============================================================
      Replay — remonta el componente del juego actual
      ============================================================== */
   const handleReplay = useCallback((uid, index, skipCountdown = false) => {
+    trackReplay();
     setReplayKeys((prev) => ({ ...prev, [uid]: (prev[uid] || 0) + 1 }));
+    setResumeStep(null);
     setIsGameOver(false);
     // Replay → directo a countdown (no vuelve a ready)
     setIsReady(false);
     if (skipCountdown) {
       setIsCountingDown(false);
+      startGameSession(currentUser?.id, playlistRef.current[index]?.game?.id);
     } else {
       setIsCountingDown(true);
     }
-  }, []);
+  }, [currentUser?.id, trackReplay]);
 
   /* ==============================================================
      Navegar al siguiente slide (llamado por un juego vía onNextGame)
@@ -508,7 +742,7 @@ const GameFeedContent = ({
      ============================================================== */
   useEffect(() => {
     const handleKey = (e) => {
-      if (disabledRef.current) return;
+      if (disabledRef.current || survivalLockedRef.current) return;
       if (e.key === "ArrowDown" || e.key === "PageDown") {
         e.preventDefault();
         scrollToSlide(activeIndexRef.current + 1, "smooth");
@@ -536,13 +770,15 @@ const GameFeedContent = ({
         {playlist.map((item, index) => {
           const { game, uid } = item;
           const isActive = index === activeIndex;
-          const isNearby = Math.abs(index - activeIndex) <= RENDER_WINDOW;
+          const isNearby =
+            Math.abs(index - activeIndex) <= RENDER_WINDOW || pausedRuns.includes(uid);
           const shouldSkipCountdown = !!(
             game.gameComponent &&
             GAME_COMPONENTS[game.gameComponent] &&
             game.skipCountdown
           );
-          const isPlayable = isActive && !isReady && !isCountingDown && !disabled && !isChallengesOpen;
+          const isPlayable =
+            isActive && !isReady && !resumeStep && !isCountingDown && !disabled && !isChallengesOpen;
           const replayKey = replayKeys[uid] || 0;
 
           /* ── LEY 1: touch-action dinámico en el wrapper del juego ──
@@ -582,6 +818,7 @@ const GameFeedContent = ({
                         return (
                           <GameComp
                             key={`${uid}-${replayKey}`}
+                            game={game}
                             isActive={isPlayable}
                             onNextGame={() => handleNextGame(index)}
                             onReplay={() => handleReplay(uid, index, shouldSkipCountdown)}
@@ -611,6 +848,11 @@ const GameFeedContent = ({
                   <span className="text-[10px] sm:text-xs font-bold tracking-widest text-cyan-400 uppercase drop-shadow-[0_0_8px_rgba(34,211,238,0.6)] select-none">
                     {game.title}
                   </span>
+                  {survivalMode && isActive && (
+                    <span className="ml-2 text-[10px] sm:text-xs font-bold tracking-widest text-red-400 uppercase drop-shadow-[0_0_8px_rgba(239,68,68,0.6)] select-none tabular-nums">
+                      ☠ {survival.survived}
+                    </span>
+                  )}
                 </div>
 
                 {/* ── UI Overlay (DENTRO del contenedor escalable) ── */}
@@ -634,6 +876,7 @@ const GameFeedContent = ({
                         isChallengesOpen={isChallengesOpen}
                         onChallengesOpenChange={onChallengesOpenChange}
                         onNavigateToGame={(targetGameId) => {
+                          if (survivalMode) return; // en Supervivencia no se elige juego
                           const targetGame = games.find(
                             (g) => g.id === targetGameId
                           );
@@ -670,6 +913,7 @@ const GameFeedContent = ({
                         setIsReady(false);
                         if (shouldSkipCountdown) {
                           setIsCountingDown(false);
+                          startGameSession(currentUser?.id, game.id);
                         } else {
                           setIsCountingDown(true);
                         }
@@ -678,11 +922,48 @@ const GameFeedContent = ({
                   )}
                 </AnimatePresence>
 
+                {/* ── Partida congelada: "Toca para continuar" ── */}
+                <AnimatePresence>
+                  {isActive && resumeStep === "prompt" && (
+                    <ResumeRunScreen
+                      key={`resume-${uid}-${replayKey}`}
+                      logo={game.logo}
+                      emoji={game.emoji}
+                      title={game.title}
+                      color={game.color}
+                      onResume={() => setResumeStep("countdown")}
+                    />
+                  )}
+                </AnimatePresence>
+
+                {/* ── Supervivencia: resultado de la partida sobre el GameOverPanel ── */}
+                {isActive && survivalMode && isGameOver && survival.status !== "playing" && (
+                  <SurvivalOverlay
+                    key={`survival-${uid}-${replayKey}`}
+                    status={survival.status}
+                    survived={survival.survived}
+                    isGuest={!currentUser?.id}
+                    onNext={() => scrollToSlide(index + 1, "smooth")}
+                  />
+                )}
+
                 {/* ── CountdownOverlay: 3, 2, 1, GO! flotante sobre el tablero ── */}
                 {isActive && isCountingDown && !shouldSkipCountdown && !disabled && !isChallengesOpen && (
                   <CountdownOverlay
                     gameId={`${uid}-${replayKey}`}
-                    onComplete={() => setIsCountingDown(false)}
+                    onComplete={() => {
+                      setIsCountingDown(false);
+                      // La partida empieza ya → sesión firmada para el anti-cheat
+                      startGameSession(currentUser?.id, game.id);
+                    }}
+                  />
+                )}
+
+                {/* ── Cuenta atrás de reanudación (la sesión sigue siendo la misma) ── */}
+                {isActive && resumeStep === "countdown" && !disabled && !isChallengesOpen && (
+                  <CountdownOverlay
+                    gameId={`resume-${uid}-${replayKey}`}
+                    onComplete={() => setResumeStep(null)}
                   />
                 )}
               </motion.div>
@@ -691,7 +972,8 @@ const GameFeedContent = ({
               <AnimatePresence>
                 {isActive &&
                   slidePhase === "playing" &&
-                  game.requiresScrollLock && (
+                  game.requiresScrollLock &&
+                  !survivalMode && (
                     <motion.button
                       key="skip-btn"
                       initial={{ opacity: 0, scale: 0.6, y: 20 }}
@@ -0,0 +1,297 @@
+/**
+ * FriendsModal.jsx — Amigos y solicitudes de amistad
+ *
+ * Bottom sheet con:
+ *  - Buscador de jugadores por nombre (enviar solicitud)
+ *  - Solicitudes recibidas (aceptar / rechazar)
+ *  - Lista de amigos (tap → PublicProfileModal)
+ *  - Solicitudes enviadas (cancelar)
+ *
+ * Se refresca con el evento "friends-updated" (p.ej. desde PublicProfileModal).
+ *
+ * Props:
+ *   isOpen  (bool) — visibilidad
+ *   onClose (fn)   — cerrar
+ *   userId  (string)
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { useLanguage } from "../i18n";
+import {
+  getFriends,
+  searchUsers,
+  sendFriendRequest,
+  respondFriendRequest,
+  removeFriend,
+} from "../services/friendService";
+import { getLevelFromXP } from "../utils/leveling";
+import Avatar from "./Avatar";
+import PublicProfileModal from "./PublicProfileModal";
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+const overlayVariants = {
+  hidden: { opacity: 0 },
+  visible: { opacity: 1 },
+};
+
+const sheetVariants = {
+  hidden: { y: "100%" },
+  visible: { y: 0 },
+};
+
+/* ── Fila de jugador con acciones a la derecha ── */
+const PlayerRow = ({ player, onOpen, children }) => {
+  const { t } = useLanguage();
+  return (
+    <div className="flex items-center gap-3 p-2.5 rounded-xl bg-white/3 border border-white/6">
+      <button
+        onClick={() => onOpen(player.id)}
+        className="flex items-center gap-3 flex-1 min-w-0 text-left cursor-pointer"
+      >
+        <Avatar equippedAvatarId={player.equippedAvatarId} size="sm" />
+        <div className="min-w-0">
+          <p className="text-white/85 text-sm font-semibold truncate">{player.username}</p>
+          <p className="text-white/35 text-[11px]">
+            {t("gameover.level")} {getLevelFromXP(player.xp)}
+          </p>
+        </div>
+      </button>
+      <div className="flex items-center gap-1.5 shrink-0">{children}</div>
+    </div>
+  );
+};
+
+const actionClass =
+  "px-3 py-1.5 rounded-lg text-[11px] font-bold uppercase tracking-wider transition-colors cursor-pointer disabled:opacity-50";
+
+/* ── Contenido (se monta al abrir → siempre datos frescos) ── */
+const FriendsPanel = ({ userId, onOpenProfile }) => {
+  const { t } = useLanguage();
+  const [lists, setLists] = useState({ friends: [], incoming: [], outgoing: [] });
+  const [isLoading, setIsLoading] = useState(true);
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+
+  const reload = useCallback(() => {
+    return getFriends(userId).then((result) => {
+      setLists(result.data);
+      setIsLoading(false);
+    });
+  }, [userId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    getFriends(userId).then((result) => {
+      if (cancelled) return;
+      setLists(result.data);
+      setIsLoading(false);
+    });
+    window.addEventListener("friends-updated", reload);
+    return () => {
+      cancelled = true;
+      window.removeEventListener("friends-updated", reload);
+    };
+  }, [userId, reload]);
+
+  // Búsqueda con debounce
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      searchUsers(query, userId).then(setResults);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query, userId]);
+
+  const runAction = async (playerId, action) => {
+    setBusyId(playerId);
+    await action();
+    await reload();
+    setBusyId(null);
+  };
+
+  // Estado de cada resultado de búsqueda respecto a mis listas
+  const relationOf = (id) => {
+    if (lists.friends.some((f) => f.id === id)) return "friends";
+    if (lists.incoming.some((f) => f.id === id)) return "incoming";
+    if (lists.outgoing.some((f) => f.id === id)) return "outgoing";
+    return "none";
+  };
+
+  return (
+    <div className="space-y-5">
+      {/* Buscador */}
+      <div>
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder={t("friends.search_placeholder")}
+          className="w-full px-4 py-2.5 rounded-xl bg-white/5 border border-white/10 text-white text-sm placeholder-white/30 focus:outline-none focus:border-cyan-400/40"
+        />
+        {query.trim().length >= 2 && (
+          <div className="mt-2 space-y-2">
+            {results.length === 0 ? (
+              <p className="py-2 text-center text-xs text-white/35">{t("friends.no_results")}</p>
+            ) : (
+              results.map((player) => {
+                const relation = relationOf(player.id);
+                return (
+                  <PlayerRow key={player.id} player={player} onOpen={onOpenProfile}>
+                    {relation === "none" ? (
+                      <button
+                        disabled={busyId === player.id}
+                        onClick={() => runAction(player.id, () => sendFriendRequest(player.id))}
+                        className={`${actionClass} bg-cyan-500/15 text-cyan-300 hover:bg-cyan-500/25`}
+                      >
+                        {t("friends.add")}
+                      </button>
+                    ) : (
+                      <span className="text-[11px] text-white/35">
+                        {relation === "friends"
+                          ? t("friends.are_friends")
+                          : relation === "outgoing"
+                          ? t("friends.request_sent")
+                          : t("friends.incoming_short")}
+                      </span>
+                    )}
+                  </PlayerRow>
+                );
+              })
+            )}
+          </div>
+        )}
+      </div>
+
+      {isLoading ? (
+        <p className="py-8 text-center text-sm text-white/40 animate-pulse">
+          {t("gameover.loading")}
+        </p>
+      ) : (
+        <>
+          {/* Solicitudes recibidas */}
+          {lists.incoming.length > 0 && (
+            <section className="space-y-2">
+              <h3 className="text-[11px] font-bold uppercase tracking-[0.18em] text-white/35">
+                {t("friends.incoming", { count: lists.incoming.length })}
+              </h3>
+              {lists.incoming.map((player) => (
+                <PlayerRow key={player.id} player={player} onOpen={onOpenProfile}>
+                  <button
+                    disabled={busyId === player.id}
+                    onClick={() => runAction(player.id, () => respondFriendRequest(player.id, true))}
+                    className={`${actionClass} bg-emerald-500/15 text-emerald-300 hover:bg-emerald-500/25`}
+                  >
+                    {t("friends.accept_short")}
+                  </button>
+                  <button
+                    disabled={busyId === player.id}
+                    onClick={() => runAction(player.id, () => respondFriendRequest(player.id, false))}
+                    className={`${actionClass} bg-white/5 text-white/45 hover:bg-white/10`}
+                  >
+                    {t("friends.decline")}
+                  </button>
+                </PlayerRow>
+              ))}
+            </section>
+          )}
+
+          {/* Amigos */}
+          <section className="space-y-2">
+            <h3 className="text-[11px] font-bold uppercase tracking-[0.18em] text-white/35">
+              {t("friends.list", { count: lists.friends.length })}
+            </h3>
+            {lists.friends.length === 0 ? (
+              <p className="py-4 text-center text-sm text-white/35">{t("friends.empty")}</p>
+            ) : (
+              lists.friends.map((player) => (
+                <PlayerRow key={player.id} player={player} onOpen={onOpenProfile} />
+              ))
+            )}
+          </section>
+
+          {/* Solicitudes enviadas */}
+          {lists.outgoing.length > 0 && (
+            <section className="space-y-2">
+              <h3 className="text-[11px] font-bold uppercase tracking-[0.18em] text-white/35">
+                {t("friends.outgoing")}
+              </h3>
+              {lists.outgoing.map((player) => (
+                <PlayerRow key={player.id} player={player} onOpen={onOpenProfile}>
+                  <button
+                    disabled={busyId === player.id}
+                    onClick={() => runAction(player.id, () => removeFriend(player.id))}
+                    className={`${actionClass} bg-white/5 text-white/45 hover:bg-white/10`}
+                  >
+                    {t("friends.cancel")}
+                  </button>
+                </PlayerRow>
+              ))}
+            </section>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const FriendsModal = ({ isOpen, onClose, userId }) => {
+  const { t } = useLanguage();
+  const [profileUserId, setProfileUserId] = useState(null);
+
+  return (
+    <>
+      <AnimatePresence>
+        {isOpen && (
+          <>
+            {/* Overlay */}
+            <motion.div
+              className="fixed inset-0 z-300 bg-black/70 backdrop-blur-sm"
+              variants={overlayVariants}
+              initial="hidden"
+              animate="visible"
+              exit="hidden"
+              transition={{ duration: 0.2 }}
+              onClick={onClose}
+            />
+
+            {/* Bottom Sheet */}
+            <motion.div
+              className="fixed bottom-0 left-0 right-0 z-301 bg-slate-900 border-t border-cyan-500/20 rounded-t-2xl max-h-[85vh] flex flex-col"
+              variants={sheetVariants}
+              initial="hidden"
+              animate="visible"
+              exit="hidden"
+              transition={{ type: "spring", damping: 28, stiffness: 300 }}
+              style={{ paddingBottom: "var(--sab)" }}
+            >
+              {/* Handle */}
+              <div className="flex justify-center pt-3 pb-2 shrink-0">
+                <div className="w-10 h-1 rounded-full bg-cyan-400/30" />
+              </div>
+
+              <h2 className="shrink-0 px-5 pb-3 text-white text-lg font-bold text-center">
+                {t("friends.title")}
+              </h2>
+
+              {/* Scrollable content */}
+              <div className="overflow-y-auto px-5 pb-6 flex-1 min-h-0">
+                <FriendsPanel userId={userId} onOpenProfile={setProfileUserId} />
+              </div>
+            </motion.div>
+          </>
+        )}
+      </AnimatePresence>
+
+      {/* Perfil público (por encima del sheet) */}
+      <PublicProfileModal
+        isOpen={!!profileUserId}
+        onClose={() => setProfileUserId(null)}
+        userId={profileUserId}
+      />
+    </>
+  );
+};
+
+export default FriendsModal;
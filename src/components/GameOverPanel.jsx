@@ -5,7 +5,9 @@
  *  - Sin modal clásico: oscurecimiento + blur sobre el juego congelado.
  *  - Safe zone derecha para el HUD fijo (ActionBar).
  *  - Score con animación count-up y glow neón.
- *  - Bottom Sheet con glassmorphism para el Top 5.
+ *  - Bottom Sheet con glassmorphism para el Top 5, con pestañas
+ *    Hoy / Semana / Mes / Siempre (fronteras de Europe/Madrid).
+ *  - "Cerca de ti": puestos alrededor del usuario si no está en el Top 5.
  *
  * Props:
  *   title         (string)        — "Game Over" o "¡Victoria!"
@@ -19,18 +21,28 @@
  *   ranking       (array)         — [{ pos, userId, user, equippedAvatarId, score }] (backward-compat, fallback)
  *   scoreMessage  (string)        — mensaje del resultado (backward-compat, fallback)
  *   isLoading     (bool)          — cargando el ranking (backward-compat)
+ *   onWatchReplay (fn)            — opcional (juegos con replays): recibe
+ *                                   { user, score, replay } al pulsar ▶ en el Top 5
+ *
+ * Metadatos del juego (los pasa useGameSession → gameOverProps):
+ *   rawScore      (number|null)   — puntuación en unidades de la BD (récord y posición)
+ *   formatScore   (fn|null)       — unidades de la BD → texto (mejor marca, Top 5, compartir)
  */
 
 import { useState, useEffect, useRef, useCallback } from "react";
 import { createPortal } from "react-dom";
 import { motion, AnimatePresence } from "framer-motion";
 import { X } from "lucide-react";
-import { useLanguage } from "../i18n";
+import { useLanguage, formatNumber } from "../i18n";
 import { useAuth } from "../context/AuthContext";
 import { useSoundEffect } from "../hooks/useSoundEffect";
-import { supabase } from "../supabaseClient";
+import useScoreQueue from "../hooks/useScoreQueue";
+import { backend } from "../backend";
 import { getLevelProgress } from "../utils/leveling";
-import { getTop5 } from "../services/gameService";
+import { getLeaderboard, getLeaderboardSlice, getScoreStanding, LEADERBOARD_WINDOWS } from "../services/gameService";
+import { getReplay, getReplayUserIds } from "../services/replayService";
+import { getFriendsLeaderboard } from "../services/friendService";
+import { createDuel, buildDuelLink } from "../services/duelService";
 import GAMES from "../data/games";
 import Avatar from "./Avatar";
 import PublicProfileModal from "./PublicProfileModal";
@@ -42,9 +54,12 @@ const SCROLL_UNLOCK_EVENT = "gameover-scroll-unlock";
 const PERFECT_CIRCLE_ID = "perfect-circle";
 function displayScoreForGame(raw, gId) {
   if (gId === PERFECT_CIRCLE_ID) return `${(raw / 10).toFixed(1)}%`;
-  return typeof raw === "number" ? raw.toLocaleString() : String(raw);
+  return formatNumber(raw);
 }
 
+/* ── Clave de caché del ranking: 'alltime', 'daily'… o 'friends:alltime'… ── */
+const boardKey = (scope, period) => (scope === "friends" ? `friends:${period}` : period);
+
 /* ── Formateador de ranking raw → UI ── */
 function formatRanking(rawScores) {
   if (!rawScores?.length) return [];
@@ -126,7 +141,7 @@ const AnimatedScore = ({ target, suffix }) => {
 
   return (
     <span className="inline-flex items-baseline gap-1">
-      <span>{val.toLocaleString()}</span>
+      <span>{formatNumber(val)}</span>
       {suffix && (
         <span className="text-[0.35em] font-bold text-white/60 tracking-normal">
           {suffix}
@@ -152,10 +167,14 @@ const GameOverPanel = ({
   ranking: propRanking = [],
   scoreMessage = "",
   isLoading: propIsLoading = false,
+  onWatchReplay = null,
+  rawScore = null,
+  formatScore = null,
 }) => {
   const { t } = useLanguage();
   const { currentUser } = useAuth();
   const { playLose, playRecord } = useSoundEffect();
+  const { isOnline, pendingCount } = useScoreQueue();
 
   const effectiveUserId = userId || currentUser?.id || null;
 
@@ -164,7 +183,8 @@ const GameOverPanel = ({
   const [profileUserId, setProfileUserId] = useState(null);
   const [isProcessing, setIsProcessing] = useState(true);
   const [buttonsReady, setButtonsReady] = useState(false);
-  const [shareFeedback, setShareFeedback] = useState(null); // null | 'shared' | 'whatsapp'
+  const [shareFeedback, setShareFeedback] = useState(null); // null | 'shared' | 'whatsapp' | 'ready'
+  const duelLinkRef = useRef(null);
 
   /* Resultado de la partida (datos reales desde Supabase) */
   const [resultData, setResultData] = useState({
@@ -181,11 +201,19 @@ const GameOverPanel = ({
     gainedPercent: 0,
   });
 
-  /* Top 5 lazy-loaded */
-  const [top5Data, setTop5Data] = useState([]);
+  /* Top 5 lazy-loaded, cacheado por ventana ('daily' | 'weekly' | 'monthly' | 'alltime') */
+  const [leaderboardWindow, setLeaderboardWindow] = useState("alltime");
+  const [rankingScope, setRankingScope] = useState("global"); // 'global' | 'friends'
+  const [boards, setBoards] = useState({}); // clave: boardKey(scope, periodo)
   const [top5Loading, setTop5Loading] = useState(false);
+  const [nearby, setNearby] = useState(null); // { rows, gapToNext } — solo histórico
+  const [replayUserIds, setReplayUserIds] = useState(() => new Set());
+  const [loadingReplayFor, setLoadingReplayFor] = useState(null);
 
   const numericScore = parseScoreNumber(score);
+  const dbScore = rawScore ?? numericScore; // comparable con highscores
+  const showScore = (raw) =>
+    formatScore ? (raw == null ? "—" : formatScore(raw)) : displayScoreForGame(raw, gameId);
   const scoreSuffix = getScoreSuffix(score);
   const xpValue = xpGained ?? 0;
 
@@ -235,11 +263,7 @@ const GameOverPanel = ({
 
     (async () => {
       try {
-        const { data: userData } = await supabase
-          .from("users")
-          .select("xp")
-          .eq("id", effectiveUserId)
-          .maybeSingle();
+        const userData = await backend.users.getUser(effectiveUserId);
 
         if (cancelled) return;
 
@@ -282,25 +306,12 @@ const GameOverPanel = ({
 
     (async () => {
       try {
-        /* ── Queries en paralelo (todo desde highscores) ── */
-        const [gameRes, userHsRes, allHsRes] = await Promise.all([
-          supabase.from("games").select("is_lower_better").eq("id", gameId).maybeSingle(),
-          supabase
-            .from("highscores")
-            .select("score")
-            .eq("user_id", effectiveUserId)
-            .eq("game_id", gameId)
-            .maybeSingle(),
-          supabase
-            .from("highscores")
-            .select("score")
-            .eq("game_id", gameId),
-        ]);
+        /* ── Récord y posición (desde highscores) ── */
+        const { data: standing } = await getScoreStanding(effectiveUserId, gameId, dbScore);
 
         if (cancelled) return;
 
-        const isLowerBetter = gameRes.data?.is_lower_better ?? false;
-        const myHighscore = userHsRes.data?.score ?? null;
+        const myHighscore = standing.highscore;
 
         /* ── ¿Nuevo récord? ── */
         let bestScore = null;
@@ -309,11 +320,11 @@ const GameOverPanel = ({
         if (myHighscore == null) {
           // Sin entrada en highscores → primera partida
           isRecord = true;
-          bestScore = numericScore;
-        } else if (numericScore === myHighscore) {
+          bestScore = dbScore;
+        } else if (dbScore === myHighscore) {
           // El score actual coincide con el highscore (trigger lo actualizó) → récord
           isRecord = true;
-          bestScore = numericScore;
+          bestScore = dbScore;
         } else {
           // El score actual no superó el highscore → no es récord
           isRecord = false;
@@ -321,15 +332,7 @@ const GameOverPanel = ({
         }
 
         /* ── Posición global — Standard Competition Ranking (1,1,3) ── */
-        const effectiveHS = myHighscore ?? numericScore;
-
-        let betterCount = 0;
-        for (const row of allHsRes.data || []) {
-          if (isLowerBetter ? row.score < effectiveHS : row.score > effectiveHS) {
-            betterCount++;
-          }
-        }
-        const globalPos = betterCount + 1;
+        const globalPos = standing.position;
 
         setResultData({
           isNewRecord: isRecord,
@@ -349,14 +352,27 @@ const GameOverPanel = ({
   /* ── Compartir puntuación ── */
   const handleShare = useCallback(async () => {
     const gameName = GAMES.find(g => g.id === gameId)?.title ?? gameId ?? 'Scrollinn';
-    const displayScore = displayScoreForGame(numericScore, gameId);
-    const text = `¡He hecho ${displayScore} puntos en ${gameName} de Scrollinn! 🎮 ¿Puedes superarlo? → https://scrollinn.gg`;
+    const displayScore = formatScore ? formatScore(dbScore) : displayScoreForGame(dbScore, gameId);
+
+    // Con sesión → duelo real con enlace (el objetivo es la partida guardada en BD).
+    // Se crea una sola vez por Game Over aunque se comparta varias veces.
+    if (!duelLinkRef.current && effectiveUserId && gameId) {
+      const duel = await createDuel(gameId);
+      if (duel.success) duelLinkRef.current = buildDuelLink(duel.duelId);
+    }
+    const link = duelLinkRef.current ?? 'https://scrollinn.gg';
+    const text = `¡He hecho ${displayScore} puntos en ${gameName} de Scrollinn! 🎮 ¿Puedes superarlo? → ${link}`;
 
     if (navigator.share) {
       try {
         await navigator.share({ text });
         setShareFeedback('shared');
-      } catch {
+      } catch (err) {
+        // Tras la espera de red el navegador puede negar el share (sin gesto) → reintentar
+        if (err?.name === 'NotAllowedError') {
+          setShareFeedback('ready');
+          return;
+        }
         // El usuario canceló — no hacer nada
         return;
       }
@@ -367,28 +383,72 @@ const GameOverPanel = ({
     }
 
     setTimeout(() => setShareFeedback(null), 2500);
-  }, [gameId, numericScore]);
+  }, [gameId, dbScore, formatScore, effectiveUserId]);
 
-  /* ── Fetch Top 5 (lazy, al abrir el bottom sheet) ── */
-  const fetchTop5 = useCallback(async () => {
+  /* ── Fetch Top 5 de una ventana (lazy, al abrir el sheet o cambiar de pestaña) ── */
+  const fetchTop5 = useCallback(async (period, scope = "global") => {
     if (!gameId) return;
     setTop5Loading(true);
     try {
-      const result = await getTop5(gameId);
+      const isFriends = scope === "friends";
+      const wantsReplays = onWatchReplay && period === "alltime";
+      const wantsNearby = !isFriends && period === "alltime" && effectiveUserId;
+      const [result, withReplay, slice] = await Promise.all([
+        isFriends ? getFriendsLeaderboard(gameId, period) : getLeaderboard(gameId, period),
+        wantsReplays ? getReplayUserIds(gameId) : null,
+        wantsNearby ? getLeaderboardSlice(effectiveUserId, gameId) : null,
+      ]);
+      if (slice?.success) setNearby(slice.data);
       if (result.success && result.data) {
-        setTop5Data(formatRanking(result.data));
+        setBoards((prev) => ({ ...prev, [boardKey(scope, period)]: formatRanking(result.data) }));
       }
+      if (withReplay) setReplayUserIds(withReplay);
     } catch (err) {
       console.error("Top 5 fetch error:", err);
     } finally {
       setTop5Loading(false);
     }
-  }, [gameId]);
-
-  /* Ranking a mostrar: datos reales (lazy), luego prop fallback */
+  }, [gameId, onWatchReplay, effectiveUserId]);
+
+  /* ── Ver replay de una fila del Top 5 ── */
+  const handleWatchReplay = useCallback(async (row) => {
+    if (!onWatchReplay || loadingReplayFor) return;
+    setLoadingReplayFor(row.userId);
+    const result = await getReplay(row.userId, gameId);
+    setLoadingReplayFor(null);
+    if (!result.data) return;
+    setShowLeaderboard(false);
+    onWatchReplay({ user: row.user, score: result.data.score, replay: result.data.replay });
+  }, [onWatchReplay, loadingReplayFor, gameId]);
+
+  /* ── Cambiar de pestaña ── */
+  const selectWindow = useCallback((period) => {
+    setLeaderboardWindow(period);
+    if (!boards[boardKey(rankingScope, period)]) fetchTop5(period, rankingScope);
+  }, [boards, fetchTop5, rankingScope]);
+
+  /* ── Cambiar entre todos / amigos ── */
+  const selectScope = useCallback((scope) => {
+    setRankingScope(scope);
+    if (!boards[boardKey(scope, leaderboardWindow)]) fetchTop5(leaderboardWindow, scope);
+  }, [boards, fetchTop5, leaderboardWindow]);
+
+  /* Ranking a mostrar: datos reales (lazy); en histórico, prop como fallback */
+  const isGlobalAllTime = rankingScope === "global" && leaderboardWindow === "alltime";
+  const windowData = boards[boardKey(rankingScope, leaderboardWindow)];
   const displayRanking =
-    top5Data.length > 0 ? top5Data : propRanking.length > 0 ? propRanking : [];
-  const rankingLoading = top5Loading || (propIsLoading && top5Data.length === 0);
+    windowData ?? (isGlobalAllTime ? propRanking : []);
+  const rankingLoading =
+    top5Loading ||
+    (isGlobalAllTime && propIsLoading && !windowData);
+
+  /* Sin conexión o con partidas en la cola offline → el ranking puede no estar al día */
+  const rankingStale = !isOnline || pendingCount > 0;
+
+  /* "Cerca de ti" solo aporta si el usuario está fuera del Top 5 */
+  const nearbyMe = nearby?.rows.find((r) => r.isMe);
+  const showNearby =
+    isGlobalAllTime && !rankingLoading && nearbyMe && nearbyMe.pos > 5;
 
   /* ── Bloquear scroll del feed mientras el Top 5 está abierto ── */
   useEffect(() => {
@@ -546,10 +606,15 @@ const GameOverPanel = ({
                       🏆 {t('gameover.new_record')}
                     </span>
                   )}
+                  {rankingStale && effectiveUserId && (
+                    <span className="text-amber-300/80 text-sm font-semibold">
+                      ⏳ {t('gameover.pending_sync')}
+                    </span>
+                  )}
                   {resultData.bestScore != null ? (
                     <span className="text-white/50">
                       {t('gameover.best_score')}:{" "}
-                      <span className="text-white/80 font-semibold">{displayScoreForGame(resultData.bestScore, gameId)}</span>
+                      <span className="text-white/80 font-semibold">{showScore(resultData.bestScore)}</span>
                     </span>
                   ) : !isNewRecord && (
                     <span className="text-white/40">{t('gameover.first_game')}</span>
@@ -619,7 +684,9 @@ const GameOverPanel = ({
             <button
               onClick={buttonsReady ? () => {
                 setShowLeaderboard(true);
-                if (top5Data.length === 0) fetchTop5();
+                if (!boards[boardKey(rankingScope, leaderboardWindow)]) {
+                  fetchTop5(leaderboardWindow, rankingScope);
+                }
               } : undefined}
               className="px-6 py-2 mt-2 rounded-full border border-white/20 bg-white/5 hover:bg-white/10
                          active:scale-95 transition-all text-sm font-bold tracking-wider text-white cursor-pointer"
@@ -645,6 +712,8 @@ const GameOverPanel = ({
               >
                 {shareFeedback === 'shared'
                   ? '✓ ¡Compartido!'
+                  : shareFeedback === 'ready'
+                  ? '↗ Enlace listo: toca para enviar'
                   : shareFeedback === 'whatsapp'
                   ? '↗ Abriendo WhatsApp...'
                   : '⚡ DESAFIAR AMIGOS'}
@@ -712,6 +781,49 @@ const GameOverPanel = ({
                 </button>
               </div>
 
+              {/* Todos / Amigos (solo con sesión) */}
+              {effectiveUserId && (
+                <div className="flex mx-6 mb-2 p-0.5 rounded-full bg-white/5 shrink-0">
+                  {["global", "friends"].map((scope) => (
+                    <button
+                      key={scope}
+                      onClick={() => selectScope(scope)}
+                      className={`flex-1 py-1 rounded-full text-[11px] font-bold uppercase tracking-wider transition-colors cursor-pointer ${
+                        rankingScope === scope
+                          ? "bg-cyan-500/20 text-cyan-300"
+                          : "text-white/40 [@media(hover:hover)]:hover:text-white/60"
+                      }`}
+                    >
+                      {t(`gameover.scope_${scope}`)}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {/* Pestañas de periodo */}
+              <div className="flex gap-1.5 px-6 pb-3 shrink-0">
+                {LEADERBOARD_WINDOWS.map((w) => (
+                  <button
+                    key={w}
+                    onClick={() => selectWindow(w)}
+                    className={`flex-1 py-1.5 rounded-full text-xs font-bold uppercase tracking-wider transition-colors cursor-pointer ${
+                      leaderboardWindow === w
+                        ? "bg-white text-black"
+                        : "bg-white/5 text-white/50 [@media(hover:hover)]:hover:bg-white/10"
+                    }`}
+                  >
+                    {t(`gameover.window_${w}`)}
+                  </button>
+                ))}
+              </div>
+
+              {/* Aviso: ranking sin las partidas pendientes de la cola offline */}
+              {rankingStale && (
+                <p className="px-6 pb-3 text-center text-[11px] text-amber-300/70 shrink-0">
+                  {isOnline ? t('gameover.ranking_syncing') : t('gameover.ranking_offline')}
+                </p>
+              )}
+
               {/* Divider */}
               <div className="mx-6 h-px bg-white/8 shrink-0" />
 
@@ -733,6 +845,11 @@ const GameOverPanel = ({
                         <div className="w-12 h-4 bg-white/8 rounded" />
                       </div>
                     ))
+                  : displayRanking.length === 0
+                  ? /* ── Sin partidas en este periodo ── */
+                    <p className="py-10 text-center text-sm text-white/40">
+                      {rankingScope === "friends" ? t('gameover.friends_empty') : t('gameover.window_empty')}
+                    </p>
                   : /* ── Filas reales ── */
                     displayRanking.map((r, i) => {
                       const isMe =
@@ -792,17 +909,84 @@ const GameOverPanel = ({
                             )}
                           </span>
 
+                          {/* Ver replay (solo juegos opt-in con replay guardado) */}
+                          {onWatchReplay && leaderboardWindow === "alltime" && r.userId && replayUserIds.has(r.userId) && (
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                handleWatchReplay(r);
+                              }}
+                              aria-label={t('replay.watch')}
+                              className={`shrink-0 w-9 h-9 rounded-full flex items-center justify-center
+                                         bg-cyan-400/10 border border-cyan-400/30 text-cyan-300 text-sm
+                                         active:scale-90 transition-transform cursor-pointer${
+                                           loadingReplayFor === r.userId ? " animate-pulse" : ""
+                                         }`}
+                            >
+                              ▶
+                            </button>
+                          )}
+
                           {/* Puntuación */}
                           <span
                             className={`font-bold tabular-nums text-lg ${
                               isMe ? "text-emerald-400" : "text-white/35"
                             }`}
                           >
-                            {displayScoreForGame(r.score, gameId)}
+                            {showScore(r.score)}
                           </span>
                         </motion.div>
                       );
                     })}
+
+                {/* ── Cerca de ti ── */}
+                {showNearby && (
+                  <div className="mt-4">
+                    <div className="flex items-center gap-3 px-2 mb-2">
+                      <span className="text-[11px] font-bold uppercase tracking-widest text-white/40">
+                        {t('gameover.nearby')}
+                      </span>
+                      <div className="flex-1 h-px bg-white/8" />
+                    </div>
+
+                    {nearby.gapToNext != null && (
+                      <p className="px-2 mb-2 text-sm text-white/60">
+                        {t('gameover.gap_to_next', {
+                          gap: showScore(nearby.gapToNext),
+                          pos: nearbyMe.pos - 1,
+                        })}
+                      </p>
+                    )}
+
+                    {nearby.rows.map((r) => (
+                      <div
+                        key={r.userId}
+                        onClick={() => setProfileUserId(r.userId)}
+                        className={`flex items-center gap-4 px-4 py-3 rounded-2xl mb-1 cursor-pointer transition-colors active:bg-white/10 ${
+                          r.isMe
+                            ? "bg-emerald-500/10 border border-emerald-400/20"
+                            : "border border-transparent [@media(hover:hover)]:hover:bg-white/5"
+                        }`}
+                      >
+                        <span className="text-base font-black w-10 text-center tabular-nums text-white/25">
+                          {r.pos}
+                        </span>
+                        <Avatar equippedAvatarId={r.equippedAvatarId} size="sm" />
+                        <span className={`flex-1 font-semibold truncate ${r.isMe ? "text-white" : "text-white/55"}`}>
+                          {r.user}
+                          {r.isMe && (
+                            <span className="ml-1.5 text-[10px] text-emerald-400 font-bold uppercase">
+                              ({t('gameover.you')})
+                            </span>
+                          )}
+                        </span>
+                        <span className={`font-bold tabular-nums ${r.isMe ? "text-emerald-400" : "text-white/35"}`}>
+                          {showScore(r.score)}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
               </motion.div>
             </>
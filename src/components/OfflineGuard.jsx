@@ -1,5 +1,22 @@
+/**
+ * OfflineGuard.jsx — Aviso de conexión + sincronización de la cola offline
+ *
+ * Ya no bloquea la app: sin conexión se puede seguir jugando (los assets los
+ * sirve el service worker) y las puntuaciones se guardan en la cola offline
+ * (services/scoreQueue.js). Muestra una franja superior con el estado:
+ *  - Sin conexión → "Sin conexión" + nº de partidas pendientes
+ *  - Con conexión y pendientes → "Sincronizando…"
+ *
+ * Al recuperar la conexión (y al arrancar) envía la cola.
+ *
+ * Está fuera de LanguageProvider → usa t() del módulo i18n.
+ */
+
 import { useState, useEffect, useCallback } from "react";
-import { supabase } from "../supabaseClient";
+import { backend } from "../backend";
+import { flushScoreQueue } from "../services/scoreQueue";
+import useScoreQueue from "../hooks/useScoreQueue";
+import { t } from "../i18n";
 
 const PING_TIMEOUT_MS = 5000;
 
@@ -9,19 +26,16 @@ async function checkConnectivity() {
   try {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), PING_TIMEOUT_MS);
-    // Lightweight HEAD-style query — just checks reachability, no data transferred
-    const { error } = await supabase
-      .from("games")
-      .select("id", { count: "exact", head: true })
-      .abortSignal(controller.signal);
-    clearTimeout(timeoutId);
-    return !error;
+    // Lightweight request — just checks the backend (Supabase or local) is reachable
+    await backend.games.ping(controller.signal).finally(() => clearTimeout(timeoutId));
+    return true;
   } catch {
     return false;
   }
 }
 
 export default function OfflineGuard({ children }) {
+  const { pendingCount } = useScoreQueue();
   const [isOnline, setIsOnline] = useState(true);
   const [checking, setChecking] = useState(false);
 
@@ -30,10 +44,12 @@ export default function OfflineGuard({ children }) {
     const ok = await checkConnectivity();
     setIsOnline(ok);
     setChecking(false);
+    if (ok) flushScoreQueue();
   }, []);
 
   useEffect(() => {
-    verify();
+    // Primera comprobación tras el montaje (fuera del cuerpo del efecto)
+    const initialCheck = setTimeout(verify, 0);
 
     const handleOnline  = () => verify();
     const handleOffline = () => setIsOnline(false);
@@ -41,67 +57,73 @@ export default function OfflineGuard({ children }) {
     window.addEventListener("online",  handleOnline);
     window.addEventListener("offline", handleOffline);
     return () => {
+      clearTimeout(initialCheck);
       window.removeEventListener("online",  handleOnline);
       window.removeEventListener("offline", handleOffline);
     };
   }, [verify]);
 
+  const showBanner = !isOnline || pendingCount > 0;
+
   return (
     <>
       {children}
 
-      {/* Offline overlay — rendered on top of everything when disconnected */}
-      {!isOnline && (
+      {/* Franja de estado — no intercepta toques salvo en el botón */}
+      {showBanner && (
         <div
-          className="fixed inset-0 z-9999 flex flex-col items-center justify-center px-6"
-          style={{
-            background: "rgba(2, 6, 23, 0.92)",
-            backdropFilter: "blur(12px)",
-            WebkitBackdropFilter: "blur(12px)",
-            touchAction: "none",
-          }}
+          className="fixed top-0 inset-x-0 z-9999 flex justify-center pointer-events-none"
+          style={{ paddingTop: "calc(var(--sat) + 6px)" }}
         >
-          <div className="flex flex-col items-center gap-5 max-w-xs text-center">
-            {/* WiFi-off icon */}
-            <svg
-              xmlns="http://www.w3.org/2000/svg"
-              viewBox="0 0 24 24"
-              fill="none"
-              stroke="currentColor"
-              strokeWidth="1.8"
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              className="w-16 h-16 text-red-500"
-              aria-hidden="true"
-            >
-              <line x1="2" y1="2" x2="22" y2="22" />
-              <path d="M8.5 16.5a5 5 0 0 1 7 0" />
-              <path d="M2 8.82a15 15 0 0 1 4.17-2.65" />
-              <path d="M10.66 5c4.01-.36 8.14.9 11.34 3.76" />
-              <path d="M16.85 11.25a10 10 0 0 1 2.22 1.68" />
-              <path d="M5 12.55a10 10 0 0 1 5.17-2.39" />
-              <circle cx="12" cy="20" r="1" fill="currentColor" />
-            </svg>
+          <div
+            className={`pointer-events-auto flex items-center gap-2 pl-3 pr-1.5 py-1.5 rounded-full border backdrop-blur-md text-xs font-semibold ${
+              isOnline
+                ? "bg-slate-900/80 border-cyan-500/30 text-cyan-300"
+                : "bg-slate-950/85 border-red-500/40 text-red-400"
+            }`}
+            role="status"
+          >
+            {isOnline ? (
+              <span className="w-2 h-2 rounded-full bg-cyan-400 animate-pulse" aria-hidden="true" />
+            ) : (
+              /* WiFi-off icon */
+              <svg
+                xmlns="http://www.w3.org/2000/svg"
+                viewBox="0 0 24 24"
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="2"
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                className="w-4 h-4"
+                aria-hidden="true"
+              >
+                <line x1="2" y1="2" x2="22" y2="22" />
+                <path d="M8.5 16.5a5 5 0 0 1 7 0" />
+                <path d="M2 8.82a15 15 0 0 1 4.17-2.65" />
+                <path d="M10.66 5c4.01-.36 8.14.9 11.34 3.76" />
+                <path d="M16.85 11.25a10 10 0 0 1 2.22 1.68" />
+                <path d="M5 12.55a10 10 0 0 1 5.17-2.39" />
+                <circle cx="12" cy="20" r="1" fill="currentColor" />
+              </svg>
+            )}
 
-            <h1 className="offline-neon-title text-red-500 font-black text-2xl tracking-[0.25em] uppercase">
-              CONEXIÓN PERDIDA
-            </h1>
+            <span className={isOnline ? "" : "offline-neon-title uppercase tracking-wider"}>
+              {isOnline ? t("offline.syncing") : t("offline.banner")}
+            </span>
 
-            <p className="text-slate-400 text-sm leading-relaxed">
-              Se requiere conexión a la red para sincronizar tus puntuaciones en el ranking.
-            </p>
+            {pendingCount > 0 && (
+              <span className="px-2 py-0.5 rounded-full bg-white/10 text-white/70 tabular-nums">
+                {t("offline.pending", { count: pendingCount })}
+              </span>
+            )}
 
             <button
               onClick={verify}
               disabled={checking}
-              className="mt-2 px-8 py-3 rounded-xl font-bold tracking-widest text-sm uppercase transition-all
-                         bg-red-600 hover:bg-red-500 active:scale-95 text-white
-                         disabled:opacity-50 disabled:cursor-not-allowed"
-              style={{
-                boxShadow: "0 0 20px rgba(239,68,68,0.55), 0 0 40px rgba(239,68,68,0.25)",
-              }}
+              className="px-2.5 py-0.5 rounded-full bg-white/10 hover:bg-white/20 active:scale-95 text-white/80 transition-all disabled:opacity-50"
             >
-              {checking ? "COMPROBANDO..." : "REINTENTAR"}
+              {checking ? "…" : t("offline.retry")}
             </button>
           </div>
         </div>
@@ -53,6 +53,7 @@ const CONTENT = {
             <ul>
               <li><strong style={{color:"#e5e7eb"}}>Session cookies</strong> — keep you logged in. They expire when your session ends or you log out.</li>
               <li><strong style={{color:"#e5e7eb"}}>No tracking cookies</strong> — we do not use advertising, analytics, or third-party tracking cookies.</li>
+              <li><strong style={{color:"#e5e7eb"}}>Gameplay statistics</strong> — we record in-app events (game viewed, started, finished or skipped) on our own servers to improve the games. They are linked to your account only while you are logged in, are never shared with third parties, and are not sent if your browser has "Do Not Track" enabled.</li>
             </ul>
           </>
         ),
@@ -141,6 +142,7 @@ const CONTENT = {
             <ul>
               <li><strong style={{color:"#e5e7eb"}}>Cookies de sesión</strong> — mantienen tu sesión activa. Expiran al cerrar sesión.</li>
               <li><strong style={{color:"#e5e7eb"}}>Sin cookies de rastreo</strong> — no usamos cookies publicitarias, de analítica ni de terceros.</li>
+              <li><strong style={{color:"#e5e7eb"}}>Estadísticas de juego</strong> — registramos en nuestros propios servidores eventos dentro de la app (juego visto, empezado, terminado o saltado) para mejorar los juegos. Solo se asocian a tu cuenta si has iniciado sesión, nunca se comparten con terceros y no se envían si tu navegador tiene activado "No rastrear".</li>
             </ul>
           </>
         ),
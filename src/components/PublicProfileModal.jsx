@@ -8,6 +8,7 @@
  *  - Insignia de rango metálica (Rookie / Cyberpunk / Hacker / Leyenda)
  *  - Resumen de carrera (Total Top 1 + Total Top 5)
  *  - Los 3 juegos donde el jugador está más alto en el ranking mundial
+ *  - Botón de amistad (añadir / cancelar / aceptar / eliminar)
  *
  * Props:
  *   isOpen   (bool)     — si el modal está visible
@@ -18,7 +19,14 @@
 import { useState, useEffect } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { getPublicProfile } from "../services/profileService";
-import { useLanguage } from "../i18n";
+import {
+  getFriendshipStatus,
+  sendFriendRequest,
+  respondFriendRequest,
+  removeFriend,
+} from "../services/friendService";
+import { useLanguage, formatNumber } from "../i18n";
+import { useAuth } from "../context/AuthContext";
 import {
   getLevelFromXP,
   getTierHexColor,
@@ -62,14 +70,20 @@ function getRankCardStyle(rank) {
 /* ── Perfect Circle: la BD guarda score×10 → mostrar /10 con “%” ── */
 function displayScoreForGame(raw, gId) {
   if (gId === "perfect-circle") return `${(raw / 10).toFixed(1)}%`;
-  return typeof raw === "number" ? raw.toLocaleString() : String(raw);
+  return formatNumber(raw);
 }
 // ─── Componente ──────────────────────────────────────────────────────────────
 
 const PublicProfileModal = ({ isOpen, onClose, userId }) => {
   const { t } = useLanguage();
+  const { currentUser } = useAuth();
   const [profile, setProfile] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [friendStatus, setFriendStatus] = useState(null); // null = cargando / no aplica
+  const [friendBusy, setFriendBusy] = useState(false);
+
+  const myId = currentUser?.id ?? null;
+  const canBefriend = !!myId && !!userId && myId !== userId;
 
   // Fetch del perfil cuando se abre el modal
   useEffect(() => {
@@ -95,6 +109,38 @@ const PublicProfileModal = ({ isOpen, onClose, userId }) => {
     return () => { cancelled = true; };
   }, [isOpen, userId]);
 
+  // Relación de amistad con el jugador mostrado
+  useEffect(() => {
+    if (!isOpen || !canBefriend) return;
+    let cancelled = false;
+    getFriendshipStatus(myId, userId).then((status) => {
+      if (!cancelled) setFriendStatus(status);
+    });
+    return () => {
+      cancelled = true;
+      setFriendStatus(null);
+    };
+  }, [isOpen, canBefriend, myId, userId]);
+
+  const handleFriendAction = async (action) => {
+    if (friendBusy) return;
+    setFriendBusy(true);
+    let next = friendStatus;
+    if (action === "add") {
+      const res = await sendFriendRequest(userId);
+      if (res.success) next = res.status === "accepted" ? "friends" : "outgoing";
+    } else if (action === "accept") {
+      const res = await respondFriendRequest(userId, true);
+      if (res.success) next = "friends";
+    } else {
+      const res = await removeFriend(userId);
+      if (res.success) next = "none";
+    }
+    setFriendStatus(next);
+    setFriendBusy(false);
+    window.dispatchEvent(new CustomEvent("friends-updated"));
+  };
+
   // Datos derivados
   const user = profile?.user;
   const topGames = profile?.topGames ?? [];
@@ -292,6 +338,49 @@ const PublicProfileModal = ({ isOpen, onClose, userId }) => {
                     </div>
                   </div>
 
+                  {/* ── Amistad ── */}
+                  {canBefriend && friendStatus && (
+                    <div className="flex items-center gap-2">
+                      {friendStatus === "none" && (
+                        <button
+                          onClick={() => handleFriendAction("add")}
+                          disabled={friendBusy}
+                          className="flex-1 py-2 rounded-xl text-xs font-bold uppercase tracking-wider bg-cyan-500/15 border border-cyan-400/30 text-cyan-300 hover:bg-cyan-500/25 active:scale-95 transition-all cursor-pointer disabled:opacity-50"
+                        >
+                          {t("friends.add")}
+                        </button>
+                      )}
+                      {friendStatus === "incoming" && (
+                        <button
+                          onClick={() => handleFriendAction("accept")}
+                          disabled={friendBusy}
+                          className="flex-1 py-2 rounded-xl text-xs font-bold uppercase tracking-wider bg-emerald-500/15 border border-emerald-400/30 text-emerald-300 hover:bg-emerald-500/25 active:scale-95 transition-all cursor-pointer disabled:opacity-50"
+                        >
+                          {t("friends.accept")}
+                        </button>
+                      )}
+                      {friendStatus === "outgoing" && (
+                        <span className="flex-1 py-2 rounded-xl text-center text-xs font-bold uppercase tracking-wider bg-white/5 border border-white/10 text-white/40">
+                          {t("friends.request_sent")}
+                        </span>
+                      )}
+                      {friendStatus === "friends" && (
+                        <span className="flex-1 py-2 rounded-xl text-center text-xs font-bold uppercase tracking-wider bg-emerald-500/10 border border-emerald-400/20 text-emerald-300/80">
+                          ✓ {t("friends.are_friends")}
+                        </span>
+                      )}
+                      {(friendStatus === "outgoing" || friendStatus === "friends") && (
+                        <button
+                          onClick={() => handleFriendAction("remove")}
+                          disabled={friendBusy}
+                          className="px-3 py-2 rounded-xl text-xs font-semibold text-white/40 bg-white/5 hover:bg-white/10 hover:text-red-300 transition-colors cursor-pointer disabled:opacity-50"
+                        >
+                          {friendStatus === "outgoing" ? t("friends.cancel") : t("friends.remove")}
+                        </button>
+                      )}
+                    </div>
+                  )}
+
                   {/* ── Separator ── */}
                   <div
                     className="w-full h-px"
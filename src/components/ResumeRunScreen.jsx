@@ -0,0 +1,107 @@
+/**
+ * ResumeRunScreen.jsx — Partida en pausa: "Toca para continuar"
+ *
+ * Se pinta sobre un juego `pausable` al volver a su slide (o a la pestaña):
+ * la partida sigue congelada detrás, tal cual se dejó. Al tocar, el Feed
+ * lanza una cuenta atrás corta (CountdownOverlay) y reanuda el juego.
+ *
+ * Misma detección de tap que ReadyScreen: el scroll vertical fluye y se
+ * puede seguir bajando sin reanudar (la partida queda en pausa).
+ *
+ * Props:
+ *  - logo:     string — ruta al logo del juego
+ *  - emoji:    string — emoji fallback si no hay logo
+ *  - title:    string — título del juego
+ *  - color:    string — clase Tailwind bg para acento
+ *  - onResume: () => void — callback al tocar para continuar
+ */
+
+import { useRef, useCallback } from "react";
+import { motion } from "framer-motion";
+import { useLanguage } from "../i18n";
+import { useSoundEffect } from "../hooks/useSoundEffect";
+
+/** Max px movement to still count as a tap (not a scroll) */
+const TAP_THRESHOLD = 10;
+
+const ResumeRunScreen = ({ logo, emoji, title, color, onResume }) => {
+  const { t } = useLanguage();
+  const { playNavigation } = useSoundEffect();
+  const startPos = useRef(null);
+
+  const handlePointerDown = useCallback((e) => {
+    startPos.current = { x: e.clientX, y: e.clientY };
+  }, []);
+
+  const handlePointerUp = useCallback((e) => {
+    if (!startPos.current) return;
+    const dx = Math.abs(e.clientX - startPos.current.x);
+    const dy = Math.abs(e.clientY - startPos.current.y);
+    startPos.current = null;
+    if (dx < TAP_THRESHOLD && dy < TAP_THRESHOLD) {
+      playNavigation();
+      onResume();
+    }
+  }, [onResume, playNavigation]);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      transition={{ duration: 0.25, ease: "easeOut" }}
+      className="absolute inset-0 z-65 flex items-center justify-center pt-20"
+      onPointerDown={handlePointerDown}
+      onPointerUp={handlePointerUp}
+      style={{ touchAction: "pan-y" }}
+    >
+      {/* ── Velo: la partida congelada se intuye detrás ── */}
+      <div className="absolute inset-0 bg-black/45 backdrop-blur-[2px]" />
+
+      <motion.div
+        initial={{ y: 20, opacity: 0, scale: 0.94 }}
+        animate={{ y: 0, opacity: 1, scale: 1 }}
+        exit={{ y: -10, opacity: 0, scale: 0.94 }}
+        transition={{ duration: 0.35, ease: [0.16, 1, 0.3, 1] }}
+        className="relative z-10 flex flex-col items-center w-[75%] max-w-xs px-6 py-6
+                   rounded-3xl bg-white/[0.07] backdrop-blur-xl border border-white/12
+                   shadow-[0_8px_60px_rgba(0,0,0,0.5),inset_0_1px_0_rgba(255,255,255,0.1)]"
+      >
+        <div
+          className={`absolute top-1/3 left-1/2 -translate-x-1/2 -translate-y-1/2
+                      w-28 h-28 rounded-full blur-3xl opacity-25 ${color || "bg-violet-600"}`}
+        />
+
+        {logo ? (
+          <img
+            src={logo}
+            alt={title}
+            draggable={false}
+            className="relative w-14 h-14 mb-3 object-contain drop-shadow-[0_4px_20px_rgba(255,255,255,0.15)]"
+          />
+        ) : (
+          <span className="relative text-5xl mb-3 drop-shadow-lg">{emoji}</span>
+        )}
+
+        <span className="relative text-[11px] font-bold tracking-widest uppercase text-cyan-300/80 mb-1">
+          {t("ui.run_paused")}
+        </span>
+
+        {/* ── Icono play + texto parpadeante ── */}
+        <motion.div
+          className="relative flex items-center gap-2 text-white/90 font-semibold tracking-widest uppercase text-base"
+          style={{ textShadow: "0 0 20px rgba(255,255,255,0.3)" }}
+          animate={{ opacity: [0.5, 1, 0.5] }}
+          transition={{ duration: 2, repeat: Infinity, ease: "easeInOut" }}
+        >
+          <svg className="w-4 h-4" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M8 5.14v13.72a1 1 0 0 0 1.5.86l11-6.86a1 1 0 0 0 0-1.72l-11-6.86A1 1 0 0 0 8 5.14Z" />
+          </svg>
+          {t("ui.tap_to_resume")}
+        </motion.div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default ResumeRunScreen;
@@ -2,7 +2,8 @@
  * SettingsModal.jsx — Modal/Bottom Sheet de ajustes
  *
  * Contiene:
- *  - Selector de idioma
+ *  - Selector de idioma (desplegable con los idiomas del registro de i18n)
+ *  - Modo daltónico (paleta + formas sobre los colores)
  *  - Toggle de sonido
  *  - Botón de cerrar sesión
  */
@@ -11,6 +12,8 @@ import { useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { useLanguage } from "../i18n";
 import { useSound } from "../context/SoundContext";
+import { useColorVision } from "../hooks/useColorVision";
+import { CVD_MODES, PALETTES } from "../utils/colorVision";
 import { useSoundEffect } from "../hooks/useSoundEffect";
 import CreditsModal from "./CreditsModal";
 
@@ -32,6 +35,32 @@ const FlagES = () => (
   </svg>
 );
 
+const FlagFR = () => (
+  <svg viewBox="0 0 60 40" className="w-full h-full rounded-sm" aria-hidden="true">
+    <rect fill="#002395" width="20" height="40"/>
+    <rect fill="#fff" x="20" width="20" height="40"/>
+    <rect fill="#ED2939" x="40" width="20" height="40"/>
+  </svg>
+);
+
+const FLAGS = { es: FlagES, en: FlagGB, fr: FlagFR };
+
+/* Bandera del idioma o, si no tiene, su código */
+const LocaleFlag = ({ code }) => {
+  const Flag = FLAGS[code];
+  if (Flag) return <Flag />;
+  return <span className="text-[10px] font-bold uppercase text-white/70">{code}</span>;
+};
+
+/* Muestra de los cuatro colores con nombre de una paleta */
+const PaletteSwatch = ({ mode }) => (
+  <div className="flex -space-x-1" aria-hidden="true">
+    {Object.values(PALETTES[mode].named).map((hex) => (
+      <span key={hex} className="w-3.5 h-3.5 rounded-full border border-gray-950" style={{ backgroundColor: hex }} />
+    ))}
+  </div>
+);
+
 const overlayVariants = {
   hidden: { opacity: 0 },
   visible: { opacity: 1 },
@@ -43,17 +72,28 @@ const sheetVariants = {
 };
 
 const SettingsModal = ({ isOpen, onClose, onLogout }) => {
-  const { lang, toggleLang, t } = useLanguage();
+  const { lang, setLang, locales, t } = useLanguage();
   const { isMuted, toggleMute } = useSound();
+  const { mode: cvdMode, setMode: setCvdMode, patterns, setPatterns } = useColorVision();
   const { playNavigation } = useSoundEffect();
   const [showCredits, setShowCredits] = useState(false);
   const [showLogoutConfirm, setShowLogoutConfirm] = useState(false);
+  const [showLanguages, setShowLanguages] = useState(false);
+  const [showColorVision, setShowColorVision] = useState(false);
 
   const handleClose = () => {
     setShowLogoutConfirm(false);
+    setShowLanguages(false);
+    setShowColorVision(false);
     onClose();
   };
 
+  const handleSelectLang = (code) => {
+    playNavigation();
+    setShowLanguages(false);
+    if (code !== lang) setLang(code);
+  };
+
   return (
     <>
     <AnimatePresence>
@@ -98,26 +138,158 @@ const SettingsModal = ({ isOpen, onClose, onLogout }) => {
               </h2>
 
               {/* ── 1. Idioma ── */}
-              <button
-                onClick={() => { playNavigation(); toggleLang(); }}
-                className="w-full flex items-center justify-between p-4 rounded-xl bg-white/5 border border-white/10
-                  hover:bg-white/10 transition-colors cursor-pointer"
-              >
-                <div className="flex items-center gap-3">
-                  <div className="w-8 h-8 rounded-lg overflow-hidden border border-white/20 flex items-center justify-center">
-                    {lang === "es" ? <FlagES /> : <FlagGB />}
+              <div className="rounded-xl bg-white/5 border border-white/10 overflow-hidden">
+                <button
+                  onClick={() => { playNavigation(); setShowLanguages((v) => !v); }}
+                  aria-expanded={showLanguages}
+                  className="w-full flex items-center justify-between p-4 hover:bg-white/10 transition-colors cursor-pointer"
+                >
+                  <div className="flex items-center gap-3">
+                    <div className="w-8 h-8 rounded-lg overflow-hidden border border-white/20 flex items-center justify-center">
+                      <LocaleFlag code={lang} />
+                    </div>
+                    <span className="text-white font-medium">{t("settings.language")}</span>
                   </div>
-                  <span className="text-white font-medium">{t("settings.language")}</span>
-                </div>
-                <div className="flex items-center gap-2">
-                  <span className="text-white/50 text-sm">{lang === "es" ? "Español" : "English"}</span>
-                  <svg className="w-4 h-4 text-white/30" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
-                    <path strokeLinecap="round" strokeLinejoin="round" d="M8.25 4.5l7.5 7.5-7.5 7.5" />
-                  </svg>
-                </div>
-              </button>
+                  <div className="flex items-center gap-2">
+                    <span className="text-white/50 text-sm">{locales[lang]?.label}</span>
+                    <svg
+                      className={`w-4 h-4 text-white/30 transition-transform ${showLanguages ? "rotate-90" : ""}`}
+                      fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}
+                    >
+                      <path strokeLinecap="round" strokeLinejoin="round" d="M8.25 4.5l7.5 7.5-7.5 7.5" />
+                    </svg>
+                  </div>
+                </button>
+
+                <AnimatePresence initial={false}>
+                  {showLanguages && (
+                    <motion.ul
+                      initial={{ height: 0, opacity: 0 }}
+                      animate={{ height: "auto", opacity: 1 }}
+                      exit={{ height: 0, opacity: 0 }}
+                      transition={{ duration: 0.2 }}
+                      className="border-t border-white/10"
+                      role="listbox"
+                      aria-label={t("settings.language")}
+                    >
+                      {Object.entries(locales).map(([code, locale]) => (
+                        <li key={code}>
+                          <button
+                            role="option"
+                            aria-selected={code === lang}
+                            lang={code}
+                            onClick={() => handleSelectLang(code)}
+                            className={`w-full flex items-center gap-3 px-4 py-3 text-left transition-colors cursor-pointer
+                              ${code === lang ? "bg-cyan-400/10" : "hover:bg-white/5"}`}
+                          >
+                            <div className="w-6 h-6 rounded-md overflow-hidden border border-white/20 flex items-center justify-center">
+                              <LocaleFlag code={code} />
+                            </div>
+                            <span className={`flex-1 text-sm ${code === lang ? "text-cyan-300 font-semibold" : "text-white/70"}`}>
+                              {locale.label}
+                            </span>
+                            {code === lang && (
+                              <svg className="w-4 h-4 text-cyan-300" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2.5}>
+                                <path strokeLinecap="round" strokeLinejoin="round" d="M4.5 12.75l6 6 9-13.5" />
+                              </svg>
+                            )}
+                          </button>
+                        </li>
+                      ))}
+                    </motion.ul>
+                  )}
+                </AnimatePresence>
+              </div>
+
+              {/* ── 2. Modo daltónico ── */}
+              <div className="rounded-xl bg-white/5 border border-white/10 overflow-hidden">
+                <button
+                  onClick={() => { playNavigation(); setShowColorVision((v) => !v); }}
+                  aria-expanded={showColorVision}
+                  className="w-full flex items-center justify-between p-4 hover:bg-white/10 transition-colors cursor-pointer"
+                >
+                  <div className="flex items-center gap-3">
+                    <div className="w-8 h-8 rounded-lg bg-amber-500/20 border border-amber-500/30 flex items-center justify-center">
+                      <svg className="w-5 h-5 text-amber-400" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                        <path strokeLinecap="round" strokeLinejoin="round" d="M2.036 12.322a1.012 1.012 0 010-.639C3.423 7.51 7.36 4.5 12 4.5c4.638 0 8.573 3.007 9.963 7.178.07.207.07.431 0 .639C20.577 16.49 16.64 19.5 12 19.5c-4.638 0-8.573-3.007-9.963-7.178z" />
+                        <path strokeLinecap="round" strokeLinejoin="round" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                      </svg>
+                    </div>
+                    <span className="text-white font-medium">{t("settings.color_vision")}</span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <span className="text-white/50 text-sm">{t(`settings.cvd.${cvdMode}`)}</span>
+                    <svg
+                      className={`w-4 h-4 text-white/30 transition-transform ${showColorVision ? "rotate-90" : ""}`}
+                      fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}
+                    >
+                      <path strokeLinecap="round" strokeLinejoin="round" d="M8.25 4.5l7.5 7.5-7.5 7.5" />
+                    </svg>
+                  </div>
+                </button>
+
+                <AnimatePresence initial={false}>
+                  {showColorVision && (
+                    <motion.div
+                      initial={{ height: 0, opacity: 0 }}
+                      animate={{ height: "auto", opacity: 1 }}
+                      exit={{ height: 0, opacity: 0 }}
+                      transition={{ duration: 0.2 }}
+                      className="border-t border-white/10"
+                    >
+                      <ul role="listbox" aria-label={t("settings.color_vision")}>
+                        {CVD_MODES.map((mode) => (
+                          <li key={mode}>
+                            <button
+                              role="option"
+                              aria-selected={mode === cvdMode}
+                              onClick={() => { playNavigation(); setCvdMode(mode); }}
+                              className={`w-full flex items-center gap-3 px-4 py-3 text-left transition-colors cursor-pointer
+                                ${mode === cvdMode ? "bg-cyan-400/10" : "hover:bg-white/5"}`}
+                            >
+                              <PaletteSwatch mode={mode} />
+                              <span className="flex-1 min-w-0">
+                                <span className={`block text-sm ${mode === cvdMode ? "text-cyan-300 font-semibold" : "text-white/70"}`}>
+                                  {t(`settings.cvd.${mode}`)}
+                                </span>
+                                <span className="block text-xs text-white/40">{t(`settings.cvd.${mode}_hint`)}</span>
+                              </span>
+                              {mode === cvdMode && (
+                                <svg className="w-4 h-4 text-cyan-300" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2.5}>
+                                  <path strokeLinecap="round" strokeLinejoin="round" d="M4.5 12.75l6 6 9-13.5" />
+                                </svg>
+                              )}
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+
+                      {/* Formas sobre los colores */}
+                      <button
+                        role="switch"
+                        aria-checked={patterns}
+                        onClick={() => { playNavigation(); setPatterns(!patterns); }}
+                        className="w-full flex items-center gap-3 px-4 py-3 border-t border-white/10 text-left hover:bg-white/5 transition-colors cursor-pointer"
+                      >
+                        <span className="w-11 text-center text-white/60 tracking-tight" aria-hidden="true">▲■●</span>
+                        <span className="flex-1 min-w-0">
+                          <span className="block text-sm text-white/70">{t("settings.patterns")}</span>
+                          <span className="block text-xs text-white/40">{t("settings.patterns_hint")}</span>
+                        </span>
+                        <div className={`w-10 h-6 rounded-full p-0.5 transition-colors duration-200 ${
+                          patterns ? "bg-amber-500" : "bg-white/10"
+                        }`}>
+                          <div className={`w-5 h-5 rounded-full bg-white shadow-md transition-transform duration-200 ${
+                            patterns ? "translate-x-4" : "translate-x-0"
+                          }`} />
+                        </div>
+                      </button>
+                    </motion.div>
+                  )}
+                </AnimatePresence>
+              </div>
 
-              {/* ── 2. Sonido ── */}
+              {/* ── 3. Sonido ── */}
               <button
                 onClick={() => {
                   playNavigation();
@@ -154,7 +326,7 @@ const SettingsModal = ({ isOpen, onClose, onLogout }) => {
                 </div>
               </button>
 
-              {/* ── 3. Créditos y Licencias ── */}
+              {/* ── 4. Créditos y Licencias ── */}
               <button
                 onClick={() => { playNavigation(); setShowCredits(true); }}
                 className="w-full flex items-center justify-between p-4 rounded-xl bg-white/5 border border-white/10
@@ -173,7 +345,7 @@ const SettingsModal = ({ isOpen, onClose, onLogout }) => {
                 </svg>
               </button>
 
-              {/* ── 4. Cerrar Sesión ── */}
+              {/* ── 5. Cerrar Sesión ── */}
               {!showLogoutConfirm ? (
                 <button
                   onClick={() => { playNavigation(); setShowLogoutConfirm(true); }}
@@ -1,26 +1,35 @@
 /**
  * Shop.jsx — Tienda de avatares "Premium Esports"
  *
- * - Temporizador de rotación (próximo lunes 09:00 CET)
+ * - Temporizador de rotación (próximo lunes 09:00 hora de Madrid, con
+ *   horario de verano; mismo límite que el motor de rotación del servidor)
  * - Layout podio con tarjeta central destacada + glow
  * - Modal de inspección con avatar protagonista, tier dinámico, lore RPG
  * - Botón de compra único premium con degradado
+ * - Protector de racha (consumible, streakService) bajo el temporizador
  */
 
 import { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { useLanguage } from "../i18n";
+import { useLanguage, localized, formatNumber } from "../i18n";
 import { useSoundEffect } from "../hooks/useSoundEffect";
 import { getShopAvatars, purchaseAvatar } from "../services/avatarService";
+import { getMsUntilShopRotation } from "../utils/dateUtils";
+import { buyStreakFreeze } from "../services/streakService";
+
+const ROTATION_REFETCH_DELAY_MS = 15000;
 
 /* ── Tier palette ── */
+// Nombre visible de cada tier: clave i18n `avatar.tier.<tier>`
 const TIER_COLORS = {
-  rookie:    { hex: "#94a3b8", label_es: "Rookie",    label_en: "Rookie" },
-  cyberpunk: { hex: "#22d3ee", label_es: "Cyberpunk", label_en: "Cyberpunk" },
-  hacker:    { hex: "#d946ef", label_es: "Hacker",    label_en: "Hacker" },
-  legend:    { hex: "#fbbf24", label_es: "Leyenda",   label_en: "Legend" },
+  rookie:    { hex: "#94a3b8" },
+  cyberpunk: { hex: "#22d3ee" },
+  hacker:    { hex: "#d946ef" },
+  legend:    { hex: "#fbbf24" },
 };
 
+const getTierLabel = (tier, t) => t(`avatar.tier.${TIER_COLORS[tier] ? tier : "rookie"}`);
+
 const getAvatarImgSrc = (item) => {
   if (!item.image_url) return `/avatars/${item.id}.png`;
   if (item.image_url.startsWith("http") || item.image_url.startsWith("/"))
@@ -28,32 +37,9 @@ const getAvatarImgSrc = (item) => {
   return `/avatars/${item.image_url}`;
 };
 
-/* ── Countdown: calcula ms hasta el próximo lunes 09:00 CET ── */
-function msUntilNextMonday9CET() {
-  const now = new Date();
-  // Crear "ahora" en CET (UTC+1) — usamos offset fijo
-  const cetOffset = 1; // CET = UTC+1
-  const utcMs = now.getTime() + now.getTimezoneOffset() * 60000;
-  const cetNow = new Date(utcMs + cetOffset * 3600000);
-
-  // Próximo lunes
-  const day = cetNow.getDay(); // 0=dom...6=sab
-  let daysUntilMon = (1 - day + 7) % 7 || 7; // si es lunes, siguiente lunes
-
-  // Si es lunes pero antes de las 09:00, es hoy
-  if (day === 1 && (cetNow.getHours() < 9 || (cetNow.getHours() === 9 && cetNow.getMinutes() === 0 && cetNow.getSeconds() === 0))) {
-    daysUntilMon = 0;
-  }
-
-  const target = new Date(cetNow);
-  target.setDate(target.getDate() + daysUntilMon);
-  target.setHours(9, 0, 0, 0);
-
-  return Math.max(0, target.getTime() - cetNow.getTime());
-}
-
+/* ── Countdown hasta la próxima rotación (lunes 09:00, hora de Madrid) ── */
 function useCountdown() {
-  const [remaining, setRemaining] = useState(msUntilNextMonday9CET);
+  const [remaining, setRemaining] = useState(getMsUntilShopRotation);
   const rafRef = useRef(null);
 
   useEffect(() => {
@@ -63,7 +49,7 @@ function useCountdown() {
       setRemaining((prev) => {
         const next = prev - (now - last);
         last = now;
-        return next <= 0 ? msUntilNextMonday9CET() : next;
+        return next <= 0 ? getMsUntilShopRotation() : next;
       });
       rafRef.current = requestAnimationFrame(tick);
     };
@@ -262,7 +248,7 @@ const HoldToConfirmButton = ({ onConfirm, disabled, children }) => {
 /* ═══════════════════════════════════════════════════════════════════
    ItemInspectModal — Modal premium de inspección
    ═══════════════════════════════════════════════════════════════════ */
-const ItemInspectModal = ({ item, lang, t, coins, userId, onClose, onPurchaseSuccess }) => {
+const ItemInspectModal = ({ item, t, coins, userId, onClose, onPurchaseSuccess }) => {
   const [purchasing, setPurchasing] = useState(false);
   const [justPurchased, setJustPurchased] = useState(false);
   const { playCoin } = useSoundEffect();
@@ -271,11 +257,9 @@ const ItemInspectModal = ({ item, lang, t, coins, userId, onClose, onPurchaseSuc
 
   const tierData = TIER_COLORS[item.tier] || TIER_COLORS.rookie;
   const tierHex = tierData.hex;
-  const tierLabel = lang === "es" ? tierData.label_es : tierData.label_en;
-  const name = (lang === "en" && item.name_en) ? item.name_en : item.name_es;
-  const description = (lang === "en" && item.description_en)
-    ? item.description_en
-    : item.description_es;
+  const tierLabel = getTierLabel(item.tier, t);
+  const name = localized(item, "name");
+  const description = localized(item, "description");
   const price = item.price ?? 0;
   const isOwned = item.owned || justPurchased;
   const canAfford = (coins ?? 0) >= price;
@@ -423,7 +407,7 @@ const ItemInspectModal = ({ item, lang, t, coins, userId, onClose, onPurchaseSuc
                 ) : (
                   <span className="flex items-center justify-center gap-2.5">
                     <img src="/logo-moneda.png" alt="" className="w-5 h-5 drop-shadow" draggable={false} />
-                    {t("shop.hold_to_buy")} — {price.toLocaleString()}
+                    {t("shop.hold_to_buy")} — {formatNumber(price)}
                   </span>
                 )}
               </HoldToConfirmButton>
@@ -442,11 +426,78 @@ const ItemInspectModal = ({ item, lang, t, coins, userId, onClose, onPurchaseSuc
   );
 };
 
+/* ═══════════════════════════════════════════════════════════════════
+   StreakFreezeCard — Protector de racha (consumible)
+   Precio y máximo vienen del servidor (get_streak).
+   ═══════════════════════════════════════════════════════════════════ */
+const StreakFreezeCard = ({ streak, userId, coins, onPurchase, t }) => {
+  const { playCoin } = useSoundEffect();
+  const [buying, setBuying] = useState(false);
+  const [feedback, setFeedback] = useState(null);
+  const feedbackTimer = useRef(null);
+
+  useEffect(() => () => clearTimeout(feedbackTimer.current), []);
+
+  if (!streak) return null;
+
+  const { freezes, maxFreezes, freezePrice } = streak;
+  const isFull = freezes >= maxFreezes;
+  const canAfford = coins >= freezePrice;
+
+  const showFeedback = (message) => {
+    setFeedback(message);
+    clearTimeout(feedbackTimer.current);
+    feedbackTimer.current = setTimeout(() => setFeedback(null), 2500);
+  };
+
+  const handleBuy = async () => {
+    if (!userId || isFull || !canAfford || buying) return;
+    setBuying(true);
+    const result = await buyStreakFreeze(userId);
+    setBuying(false);
+    if (result.success) {
+      playCoin();
+      onPurchase(result.newCoins);
+      showFeedback(t("streak.freeze_ok"));
+    } else {
+      showFeedback(result.error === "insufficient_funds" ? t("shop.not_enough") : t("shop.purchase_fail"));
+    }
+  };
+
+  return (
+    <div className="w-full max-w-md mx-auto flex items-center gap-3 px-3 py-2.5 rounded-xl bg-sky-500/5 border border-sky-400/20">
+      <span className="text-2xl leading-none">❄️</span>
+      <div className="flex-1 min-w-0">
+        <div className="text-sm font-bold text-white">{t("streak.freeze_title")}</div>
+        <div className="text-[11px] text-white/45 truncate">
+          {feedback ?? t("streak.freeze_desc", { count: freezes, max: maxFreezes })}
+        </div>
+      </div>
+      <button
+        onClick={handleBuy}
+        disabled={isFull || !canAfford || buying}
+        className="shrink-0 flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-sky-500/15 border border-sky-400/30
+          text-sky-200 text-xs font-bold tabular-nums transition-all cursor-pointer active:scale-95
+          disabled:opacity-40 disabled:cursor-default disabled:active:scale-100"
+      >
+        {isFull ? (
+          t("streak.freeze_max")
+        ) : (
+          <>
+            <img src="/logo-moneda.png" alt={t("shop.coins")} className="w-4 h-4" draggable={false} />
+            {formatNumber(freezePrice)}
+          </>
+        )}
+      </button>
+    </div>
+  );
+};
+
 /* ═══════════════════════════════════════════════════════════════════
    Shop — Componente principal "Premium Esports"
    ═══════════════════════════════════════════════════════════════════ */
-const Shop = ({ coins = 0, currentUser, onCoinsChange }) => {
-  const { lang, t } = useLanguage();
+const Shop = ({ coins = 0, currentUser, onCoinsChange, streak = null }) => {
+  const { t } = useLanguage();
 
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -455,16 +506,27 @@ const Shop = ({ coins = 0, currentUser, onCoinsChange }) => {
 
   useEffect(() => setLocalCoins(coins), [coins]);
 
+  // Se incrementa al cruzar el lunes 09:00 → recarga el set nuevo
+  const [rotationKey, setRotationKey] = useState(0);
+
   useEffect(() => {
     setLoading(true);
     getShopAvatars(currentUser?.id).then((result) => {
       if (result.success) setItems(result.data);
       setLoading(false);
     });
-  }, [currentUser?.id]);
+  }, [currentUser?.id, rotationKey]);
+
+  useEffect(() => {
+    // Margen para que el servidor haya escrito la rotación
+    const timer = setTimeout(
+      () => setRotationKey((k) => k + 1),
+      getMsUntilShopRotation() + ROTATION_REFETCH_DELAY_MS
+    );
+    return () => clearTimeout(timer);
+  }, [rotationKey]);
 
-  const getAvatarName = (avatar) =>
-    (lang === "en" && avatar.name_en) ? avatar.name_en : avatar.name_es;
+  const getAvatarName = (avatar) => localized(avatar, "name");
 
   const getTierHex = (tier) => (TIER_COLORS[tier] || TIER_COLORS.rookie).hex;
 
@@ -490,6 +552,21 @@ const Shop = ({ coins = 0, currentUser, onCoinsChange }) => {
     if (onCoinsChange) onCoinsChange(newCoins);
   }, [onCoinsChange]);
 
+  const handleFreezePurchase = useCallback((newCoins) => {
+    setLocalCoins(newCoins);
+    if (onCoinsChange) onCoinsChange(newCoins);
+  }, [onCoinsChange]);
+
+  const streakFreeze = (
+    <StreakFreezeCard
+      streak={streak}
+      userId={currentUser?.id}
+      coins={localCoins}
+      onPurchase={handleFreezePurchase}
+      t={t}
+    />
+  );
+
   return (
     <div className="h-full w-full flex flex-col bg-slate-950/95 backdrop-blur-sm overflow-hidden">
       {/* ── HUD de monedas (solo escritorio) ── */}
@@ -497,7 +574,7 @@ const Shop = ({ coins = 0, currentUser, onCoinsChange }) => {
         <div className="flex items-center gap-2 bg-black/60 backdrop-blur-md border border-yellow-500/30 rounded-full px-4 py-2 shadow-lg shadow-yellow-500/10">
           <img src="/logo-moneda.png" alt={t("shop.coins")} className="w-8 h-8 drop-shadow-md" draggable={false} />
           <span className="text-yellow-400 font-bold text-lg tabular-nums tracking-wide drop-shadow-md">
-            {localCoins.toLocaleString()}
+            {formatNumber(localCoins)}
           </span>
         </div>
       </div>
@@ -511,7 +588,7 @@ const Shop = ({ coins = 0, currentUser, onCoinsChange }) => {
           <div className="flex items-center gap-2 bg-black/60 backdrop-blur-md border border-yellow-500/30 rounded-full px-4 py-2 shadow-lg shadow-yellow-500/10">
             <img src="/logo-moneda.png" alt={t("shop.coins")} className="w-7 h-7 drop-shadow-md" draggable={false} />
             <span className="text-yellow-400 font-bold text-base tabular-nums tracking-wide drop-shadow-md">
-              {localCoins.toLocaleString()}
+              {formatNumber(localCoins)}
             </span>
           </div>
         </div>
@@ -521,6 +598,9 @@ const Shop = ({ coins = 0, currentUser, onCoinsChange }) => {
           <EpicTimer t={t} />
         </div>
 
+        {/* ── Protector de racha ── */}
+        {streak && <div className="shrink-0 mb-[1.5dvh]">{streakFreeze}</div>}
+
         {/* ── Separador "AVATARES" ── */}
         <div className="shrink-0 w-full border-b border-slate-700/50 pb-1.5 mb-[1dvh]">
           <span className="text-slate-500 text-xs font-bold tracking-widest uppercase">
@@ -551,9 +631,7 @@ const Shop = ({ coins = 0, currentUser, onCoinsChange }) => {
               const heroTierHex = getTierHex(hero.tier);
               const heroName = getAvatarName(hero);
               const heroPrice = hero.price ?? 0;
-              const heroTierLabel = lang === "es"
-                ? (TIER_COLORS[hero.tier] || TIER_COLORS.rookie).label_es
-                : (TIER_COLORS[hero.tier] || TIER_COLORS.rookie).label_en;
+              const heroTierLabel = getTierLabel(hero.tier, t);
 
               return (
                 <motion.button
@@ -670,7 +748,7 @@ const Shop = ({ coins = 0, currentUser, onCoinsChange }) => {
                         <>
                           <img src="/logo-moneda.png" alt="" className="w-5 h-5" draggable={false} />
                           <span className="text-black text-sm font-extrabold tabular-nums">
-                            {heroPrice.toLocaleString()}
+                            {formatNumber(heroPrice)}
                           </span>
                         </>
                       )}
@@ -687,9 +765,7 @@ const Shop = ({ coins = 0, currentUser, onCoinsChange }) => {
                   const tierHex = getTierHex(item.tier);
                   const name = getAvatarName(item);
                   const price = item.price ?? 0;
-                  const tierLabel = lang === "es"
-                    ? (TIER_COLORS[item.tier] || TIER_COLORS.rookie).label_es
-                    : (TIER_COLORS[item.tier] || TIER_COLORS.rookie).label_en;
+                  const tierLabel = getTierLabel(item.tier, t);
 
                   return (
                     <motion.button
@@ -795,7 +871,7 @@ const Shop = ({ coins = 0, currentUser, onCoinsChange }) => {
                           <>
                             <img src="/logo-moneda.png" alt="" className="w-4 h-4" draggable={false} />
                             <span className="text-white text-sm font-extrabold tabular-nums">
-                              {price.toLocaleString()}
+                              {formatNumber(price)}
                             </span>
                           </>
                         )}
@@ -835,6 +911,9 @@ const Shop = ({ coins = 0, currentUser, onCoinsChange }) => {
           <RotationTimer t={t} />
         </div>
 
+        {/* Protector de racha */}
+        {streak && <div className="mb-5 shrink-0">{streakFreeze}</div>}
+
         {/* Título de sección */}
         <div className="flex items-center gap-2.5 mb-5 ml-1 shrink-0">
           <h2 className="text-xs font-extrabold tracking-[0.18em] uppercase text-white/50">
@@ -980,9 +1059,7 @@ const Shop = ({ coins = 0, currentUser, onCoinsChange }) => {
                           textShadow: "0 1px 2px rgba(0,0,0,0.5)",
                         }}
                       >
-                        {lang === "es"
-                          ? (TIER_COLORS[item.tier] || TIER_COLORS.rookie).label_es
-                          : (TIER_COLORS[item.tier] || TIER_COLORS.rookie).label_en}
+                        {getTierLabel(item.tier, t)}
                       </span>
                     )}
 
@@ -990,7 +1067,7 @@ const Shop = ({ coins = 0, currentUser, onCoinsChange }) => {
                     <div className="flex items-center gap-1.5 bg-black/50 rounded-full px-3.5 py-1.5 border border-yellow-500/15">
                       <img src="/logo-moneda.png" alt="" className={coinSz} draggable={false} />
                       <span className={`text-yellow-400 ${priceSz} font-bold tabular-nums`}>
-                        {price.toLocaleString()}
+                        {formatNumber(price)}
                       </span>
                     </div>
                   </motion.button>
@@ -1068,7 +1145,7 @@ const Shop = ({ coins = 0, currentUser, onCoinsChange }) => {
                         <div className="flex items-center gap-1.5 bg-black/50 rounded-full px-3 py-1 border border-yellow-500/15">
                           <img src="/logo-moneda.png" alt="" className="w-4 h-4" draggable={false} />
                           <span className="text-yellow-400 text-[11px] font-bold tabular-nums">
-                            {price.toLocaleString()}
+                            {formatNumber(price)}
                           </span>
                         </div>
                       </motion.button>
@@ -1086,7 +1163,6 @@ const Shop = ({ coins = 0, currentUser, onCoinsChange }) => {
         {selectedItem && (
           <ItemInspectModal
             item={selectedItem}
-            lang={lang}
             t={t}
             coins={localCoins}
             userId={currentUser?.id}
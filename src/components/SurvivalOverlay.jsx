@@ -0,0 +1,146 @@
+/**
+ * SurvivalOverlay.jsx — Resultado de una partida en modo Supervivencia
+ *
+ * Se pinta encima del GameOverPanel del juego cuando el Feed está en
+ * modo Supervivencia:
+ *  - "passed": el jugador ha superado el umbral → botón para el siguiente juego.
+ *  - "failed": la run termina → juegos superados + ranking de Supervivencia.
+ *
+ * Props:
+ *   status    ('passed'|'failed') — resultado de la partida
+ *   survived  (number)            — juegos superados en la run actual
+ *   isGuest   (bool)              — sin sesión: la run no se guarda
+ *   onNext    (fn)                — pasar al siguiente juego (o empezar otra run)
+ */
+
+import { useState, useEffect } from "react";
+import { motion } from "framer-motion";
+import { useLanguage } from "../i18n";
+import { useAuth } from "../context/AuthContext";
+import { getSurvivalLeaderboard } from "../services/survivalService";
+import Avatar from "./Avatar";
+
+const LEADERBOARD_SIZE = 10;
+
+const SurvivalOverlay = ({ status, survived, isGuest = false, onNext }) => {
+  const { t } = useLanguage();
+  const { currentUser } = useAuth();
+  const isFailed = status === "failed";
+
+  /* Ranking lazy: solo al terminar la run (tras guardar la nuestra) */
+  const [leaderboard, setLeaderboard] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    if (!isFailed) return;
+    let cancelled = false;
+    // Pequeño margen para que el INSERT de la run termine antes de leer
+    const timer = setTimeout(() => {
+      getSurvivalLeaderboard(LEADERBOARD_SIZE).then((result) => {
+        if (cancelled) return;
+        setLeaderboard(result.data);
+        setIsLoading(false);
+      });
+    }, 600);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isFailed]);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      transition={{ duration: 0.25, delay: 0.4 }}
+      className="absolute inset-0 z-62 flex flex-col items-center justify-center px-6 bg-black/80 backdrop-blur-md"
+    >
+      <div className="w-full max-w-75 flex flex-col items-center gap-4">
+        {/* ── Resultado ── */}
+        <p
+          className={`font-black text-2xl tracking-[0.3em] uppercase text-center ${
+            isFailed ? "text-red-500" : "text-emerald-400"
+          }`}
+          style={{
+            textShadow: isFailed
+              ? "0 0 16px rgba(239,68,68,0.6)"
+              : "0 0 16px rgba(52,211,153,0.6)",
+          }}
+        >
+          {isFailed ? t("survival.failed_title") : t("survival.passed_title")}
+        </p>
+
+        {/* ── Contador de la run ── */}
+        <div className="flex flex-col items-center">
+          <span className="text-6xl font-black text-white tabular-nums leading-none">
+            {survived}
+          </span>
+          <span className="mt-1 text-xs font-semibold uppercase tracking-widest text-white/50">
+            {t("survival.games_survived")}
+          </span>
+        </div>
+
+        {isFailed && isGuest && (
+          <p className="text-xs text-fuchsia-400 text-center">{t("survival.register_to_save")}</p>
+        )}
+
+        {/* ── Ranking de Supervivencia ── */}
+        {isFailed && (
+          <div className="w-full rounded-2xl border border-white/10 bg-white/5 px-3 py-2">
+            <p className="text-[11px] font-bold uppercase tracking-widest text-white/40 text-center mb-1">
+              {t("survival.leaderboard")}
+            </p>
+            <div className="max-h-[32vh] overflow-y-auto scrollbar-hide">
+              {isLoading ? (
+                <p className="py-3 text-center text-sm text-white/40 animate-pulse">
+                  {t("gameover.loading")}
+                </p>
+              ) : leaderboard.length === 0 ? (
+                <p className="py-3 text-center text-sm text-white/40">{t("survival.empty")}</p>
+              ) : (
+                leaderboard.map((r) => {
+                  const isMe = currentUser?.id && r.userId === currentUser.id;
+                  return (
+                    <div
+                      key={r.userId}
+                      className={`flex items-center gap-3 px-2 py-1.5 rounded-xl ${
+                        isMe ? "bg-emerald-500/10" : ""
+                      }`}
+                    >
+                      <span className="w-6 text-center text-sm font-black tabular-nums text-white/40">
+                        {r.pos}
+                      </span>
+                      <Avatar equippedAvatarId={r.equippedAvatarId} size="sm" />
+                      <span className={`flex-1 truncate text-sm font-semibold ${isMe ? "text-white" : "text-white/60"}`}>
+                        {r.user}
+                      </span>
+                      <span className={`text-sm font-bold tabular-nums ${isMe ? "text-emerald-400" : "text-white/40"}`}>
+                        {r.score}
+                      </span>
+                    </div>
+                  );
+                })
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* ── Acción ── */}
+        <button
+          onClick={onNext}
+          className="w-full py-3.5 rounded-xl font-mono font-bold text-base uppercase tracking-[0.18em]
+                     text-white cursor-pointer active:scale-95 transition-transform"
+          style={{
+            background: isFailed
+              ? "linear-gradient(135deg, #ef4444, #a855f7)"
+              : "linear-gradient(135deg, #10b981, #06b6d4)",
+          }}
+        >
+          {isFailed ? t("survival.new_run") : t("survival.next")}
+        </button>
+      </div>
+    </motion.div>
+  );
+};
+
+export default SurvivalOverlay;
@@ -2,8 +2,9 @@
  * TopNav.jsx — Barra de navegación superior fija (rediseño minimalista)
  *
  * Layout:
- *  - Izquierda: Botón de Retos (icono rayo con estados de color)
- *  - Centro: Título "SCROLLINN" con estilo neón
+ *  - Izquierda: Botón de Retos (icono rayo con estados de color) + racha 🔥
+ *    (useStreak: encendida si hoy ya cuenta, parpadea si está en riesgo)
+ *  - Centro: Título "SCROLLINN" con estilo neón + toggle del modo Supervivencia
  *  - Derecha: Lupa de búsqueda
  */
 
@@ -18,6 +19,9 @@ const TopNav = ({
   guestBanner,
   guestLoginLabel,
   onGuestLogin,
+  survivalMode = false,
+  onToggleSurvival,
+  streak = null,
 }) => {
   const { t } = useLanguage();
   const { playNavigation } = useSoundEffect();
@@ -53,7 +57,8 @@ const TopNav = ({
 
       {/* Contenido */}
       <div className="relative flex items-center justify-between px-4 pt-4 pb-3">
-        {/* ── Izquierda: Botón de Retos (Rayo) ── */}
+        {/* ── Izquierda: Botón de Retos (Rayo) + racha ── */}
+        <div className="flex items-center gap-1">
         {onOpenChallenges ? (
           <button
             onClick={() => {
@@ -82,8 +87,28 @@ const TopNav = ({
         ) : (
           <div className="w-10" />
         )}
+        {streak && (
+          <div
+            className={`pointer-events-none flex items-center gap-0.5 text-sm font-black tabular-nums ${
+              streak.activeToday
+                ? "text-orange-400 drop-shadow-[0_0_6px_rgba(251,146,60,0.6)]"
+                : streak.atRisk
+                ? "text-orange-300/60 animate-pulse"
+                : "text-white/35 grayscale"
+            }`}
+            aria-label={t("streak.aria", { days: streak.current })}
+          >
+            <span className="text-base leading-none">🔥</span>
+            {streak.current}
+            {streak.freezes > 0 && (
+              <span className="ml-0.5 text-[10px] leading-none">❄️{streak.freezes > 1 ? streak.freezes : ""}</span>
+            )}
+          </div>
+        )}
+        </div>
 
-        {/* ── Centro: SCROLLINN ── */}
+        {/* ── Centro: SCROLLINN + toggle Supervivencia ── */}
+        <div className="flex flex-col items-center gap-1">
         <h1
           className="pointer-events-none text-[20px] font-black tracking-[0.15em] uppercase select-none"
           style={{
@@ -95,6 +120,21 @@ const TopNav = ({
         >
           SCROLLINN
         </h1>
+        {onToggleSurvival && (
+          <button
+            onClick={() => { playNavigation(); onToggleSurvival(); }}
+            className={`pointer-events-auto px-2.5 py-0.5 rounded-full border text-[10px] font-bold uppercase tracking-widest transition-all cursor-pointer active:scale-90 ${
+              survivalMode
+                ? "border-red-500/60 bg-red-500/20 text-red-400 shadow-[0_0_10px_rgba(239,68,68,0.45)]"
+                : "border-white/15 bg-white/5 text-white/40"
+            }`}
+            aria-pressed={survivalMode}
+            aria-label={t("survival.toggle_aria")}
+          >
+            ☠ {t("survival.mode")}
+          </button>
+        )}
+        </div>
 
         {/* ── Derecha: Lupa + Gear (guest) ── */}
         <div className="flex items-center gap-1">
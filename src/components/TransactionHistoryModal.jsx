@@ -0,0 +1,166 @@
+/**
+ * TransactionHistoryModal.jsx — Historial de XP y monedas
+ *
+ * Bottom sheet con los últimos apuntes de `currency_transactions`:
+ * XP por partida, recompensas de retos, bonus de Full Clear y compras.
+ *
+ * Props:
+ *   isOpen  (bool) — visibilidad
+ *   onClose (fn)   — cerrar
+ *   userId  (string)
+ */
+
+import { useState, useEffect } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { useLanguage, formatNumber, formatDate } from "../i18n";
+import { getCurrencyTransactions } from "../services/walletService";
+
+/* ── Icono por motivo ── */
+const REASON_ICONS = {
+  opening_balance: "🏁",
+  game_xp: "🎮",
+  challenge_reward: "🎯",
+  full_clear_bonus: "🏆",
+  avatar_purchase: "🛍️",
+  streak_reward: "🔥",
+  streak_freeze: "❄️",
+};
+
+const overlayVariants = {
+  hidden: { opacity: 0 },
+  visible: { opacity: 1 },
+};
+
+const sheetVariants = {
+  hidden: { y: "100%" },
+  visible: { y: 0 },
+};
+
+/* ── Lista (se monta al abrir → siempre datos frescos) ── */
+const TransactionList = ({ userId }) => {
+  const { t } = useLanguage();
+  const [transactions, setTransactions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    getCurrencyTransactions(userId).then((result) => {
+      if (cancelled) return;
+      setTransactions(result.data);
+      setIsLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  if (isLoading) {
+    return (
+      <p className="py-8 text-center text-sm text-white/40 animate-pulse">
+        {t("gameover.loading")}
+      </p>
+    );
+  }
+
+  if (transactions.length === 0) {
+    return <p className="py-8 text-center text-sm text-white/40">{t("wallet.empty")}</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      {transactions.map((tx) => {
+        const isCoins = tx.currency === "coins";
+        const isPositive = tx.amount >= 0;
+        return (
+          <div
+            key={tx.id}
+            className="flex items-center gap-3 p-3 rounded-xl bg-white/3 border border-white/6"
+          >
+            <span className="text-xl w-7 text-center">{REASON_ICONS[tx.reason] ?? "•"}</span>
+            <div className="flex-1 min-w-0">
+              <p className="text-white/80 text-sm font-semibold truncate">
+                {t(`wallet.reason.${tx.reason}`)}
+              </p>
+              <p className="text-white/35 text-[11px]">
+                {formatDate(tx.created_at, {
+                  timeZone: "Europe/Madrid",
+                  day: "2-digit",
+                  month: "short",
+                  hour: "2-digit",
+                  minute: "2-digit",
+                })}
+              </p>
+            </div>
+            <div className="text-right">
+              <p
+                className={`text-sm font-black tabular-nums ${
+                  !isPositive ? "text-red-400" : isCoins ? "text-yellow-400" : "text-cyan-400"
+                }`}
+              >
+                {isPositive ? "+" : ""}
+                {formatNumber(tx.amount)} {isCoins ? "🪙" : "XP"}
+              </p>
+              <p className="text-white/30 text-[10px] tabular-nums">
+                {t("wallet.balance", { balance: formatNumber(tx.balance_after) })}
+              </p>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const TransactionHistoryModal = ({ isOpen, onClose, userId }) => {
+  const { t } = useLanguage();
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          {/* Overlay */}
+          <motion.div
+            className="fixed inset-0 z-300 bg-black/70 backdrop-blur-sm"
+            variants={overlayVariants}
+            initial="hidden"
+            animate="visible"
+            exit="hidden"
+            transition={{ duration: 0.2 }}
+            onClick={onClose}
+          />
+
+          {/* Bottom Sheet */}
+          <motion.div
+            className="fixed bottom-0 left-0 right-0 z-301 bg-slate-900 border-t border-cyan-500/20 rounded-t-2xl max-h-[85vh] flex flex-col"
+            variants={sheetVariants}
+            initial="hidden"
+            animate="visible"
+            exit="hidden"
+            transition={{ type: "spring", damping: 28, stiffness: 300 }}
+            style={{ paddingBottom: "var(--sab)" }}
+            drag="y"
+            dragConstraints={{ top: 0 }}
+            dragElastic={0.2}
+            onDragEnd={(_, info) => {
+              if (info.offset.y > 100 || info.velocity.y > 300) onClose();
+            }}
+          >
+            {/* Handle */}
+            <div className="flex justify-center pt-3 pb-2 shrink-0">
+              <div className="w-10 h-1 rounded-full bg-cyan-400/30" />
+            </div>
+
+            <h2 className="shrink-0 px-5 pb-3 text-white text-lg font-bold text-center">
+              {t("wallet.title")}
+            </h2>
+
+            {/* Scrollable content */}
+            <div className="overflow-y-auto px-5 pb-6 flex-1 min-h-0">
+              <TransactionList userId={userId} />
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default TransactionHistoryModal;
@@ -2,7 +2,7 @@
  * UserProfile.jsx — Pantalla de perfil del usuario (Pestaña Derecha)
  *
  * Layout: flex-col h-full
- *  1. Header fijo (flex-none): Avatar, username, XP bar, stats, settings
+ *  1. Header fijo (flex-none): Avatar, username, XP bar, stats (+ racha), duelos, amigos, historial, settings
  *  2. Rankings scrollable (flex-1 overflow-y-auto): búsqueda + grid
  *
  * Datos: Supabase RPC `get_user_profile_stats`
@@ -10,12 +10,16 @@
 
 import { useState, useEffect, useMemo } from "react";
 import { motion } from "framer-motion";
-import { useLanguage } from "../i18n";
+import { useLanguage, formatNumber } from "../i18n";
 import { useAuth } from "../context/AuthContext";
-import { supabase } from "../supabaseClient";
+import { backend } from "../backend";
 import Avatar from "./Avatar";
 import SettingsModal from "./SettingsModal";
 import CreditsModal from "./CreditsModal";
+import TransactionHistoryModal from "./TransactionHistoryModal";
+import FriendsModal from "./FriendsModal";
+import DuelsModal from "./DuelsModal";
+import { getFriends } from "../services/friendService";
 import {
   getLevelFromXP,
   getLevelProgress,
@@ -35,12 +39,16 @@ const SkeletonCard = () => (
   </div>
 );
 
-const UserProfile = ({ onOpenAvatarModal, onPlayGame }) => {
+const UserProfile = ({ onOpenAvatarModal, onPlayGame, streak = null }) => {
   const { currentUser, logout, session } = useAuth();
   const { t } = useLanguage();
 
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
   const [isCreditsOpen, setIsCreditsOpen] = useState(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isFriendsOpen, setIsFriendsOpen] = useState(false);
+  const [isDuelsOpen, setIsDuelsOpen] = useState(false);
+  const [incomingRequests, setIncomingRequests] = useState(0);
   const [profileData, setProfileData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [search, setSearch] = useState("");
@@ -65,21 +73,11 @@ const UserProfile = ({ onOpenAvatarModal, onPlayGame }) => {
 
     async function fetchProfile() {
       try {
-        const { data, error } = await supabase.rpc("get_user_profile_stats", {
-          p_user_id: currentUser.id,
-        });
-
-        if (cancelled) return;
-
-        if (error) {
-          console.warn("Error fetching profile stats:", error.message);
-          setProfileData(null);
-        } else {
-          setProfileData(data);
-        }
+        const data = await backend.users.getProfileStats(currentUser.id);
+        if (!cancelled) setProfileData(data);
       } catch (err) {
         if (!cancelled) {
-          console.warn("Network error fetching profile:", err.message);
+          console.warn("Error fetching profile stats:", err.message);
           setProfileData(null);
         }
       } finally {
@@ -91,6 +89,23 @@ const UserProfile = ({ onOpenAvatarModal, onPlayGame }) => {
     return () => { cancelled = true; };
   }, [currentUser?.id, currentUser?.xp]);
 
+  // ── Solicitudes de amistad pendientes (badge del botón de amigos) ──
+  useEffect(() => {
+    if (!currentUser?.id) return;
+    let cancelled = false;
+    const refresh = () => {
+      getFriends(currentUser.id).then((result) => {
+        if (!cancelled) setIncomingRequests(result.data.incoming.length);
+      });
+    };
+    refresh();
+    window.addEventListener("friends-updated", refresh);
+    return () => {
+      cancelled = true;
+      window.removeEventListener("friends-updated", refresh);
+    };
+  }, [currentUser?.id, isFriendsOpen]);
+
   const handleLogout = () => logout();
 
   // ── Posición color helpers ──
@@ -189,8 +204,41 @@ const UserProfile = ({ onOpenAvatarModal, onPlayGame }) => {
             }}
           />
 
-          {/* Settings gear */}
-          <div className="relative flex justify-end px-5 mb-2">
+          {/* Duelos + Amigos + Historial + Settings gear */}
+          <div className="relative flex justify-end gap-2 px-5 mb-2">
+            <button
+              onClick={() => setIsDuelsOpen(true)}
+              className="w-9 h-9 rounded-full bg-white/5 border border-white/8 flex items-center justify-center
+                hover:bg-white/10 transition-colors cursor-pointer text-sm"
+              aria-label={t("duel.inbox_title")}
+            >
+              <span className="opacity-60" aria-hidden="true">⚔️</span>
+            </button>
+            <button
+              onClick={() => setIsFriendsOpen(true)}
+              className="relative w-9 h-9 rounded-full bg-white/5 border border-white/8 flex items-center justify-center
+                hover:bg-white/10 transition-colors cursor-pointer"
+              aria-label={t("friends.title")}
+            >
+              <svg className="w-4.5 h-4.5 text-white/50" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                <path strokeLinecap="round" strokeLinejoin="round" d="M15 19.128a9.38 9.38 0 002.625.372 9.337 9.337 0 004.121-.952 4.125 4.125 0 00-7.533-2.493M15 19.128v-.003c0-1.113-.285-2.16-.786-3.07M15 19.128v.106A12.318 12.318 0 018.624 21c-2.331 0-4.512-.645-6.374-1.766l-.001-.109a6.375 6.375 0 0111.964-3.07M12 6.375a3.375 3.375 0 11-6.75 0 3.375 3.375 0 016.75 0zm8.25 2.25a2.625 2.625 0 11-5.25 0 2.625 2.625 0 015.25 0z" />
+              </svg>
+              {incomingRequests > 0 && (
+                <span className="absolute -top-1 -right-1 min-w-4 h-4 px-1 rounded-full bg-red-500 text-white text-[10px] font-bold leading-4 text-center">
+                  {incomingRequests}
+                </span>
+              )}
+            </button>
+            <button
+              onClick={() => setIsHistoryOpen(true)}
+              className="w-9 h-9 rounded-full bg-white/5 border border-white/8 flex items-center justify-center
+                hover:bg-white/10 transition-colors cursor-pointer"
+              aria-label={t("wallet.title")}
+            >
+              <svg className="w-4.5 h-4.5 text-white/50" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                <path strokeLinecap="round" strokeLinejoin="round" d="M12 6v6h4.5m4.5 0a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+            </button>
             <button
               onClick={() => setIsSettingsOpen(true)}
               className="w-9 h-9 rounded-full bg-white/5 border border-white/8 flex items-center justify-center
@@ -283,9 +331,25 @@ const UserProfile = ({ onOpenAvatarModal, onPlayGame }) => {
               </div>
               <div className="w-px h-8 bg-white/8" />
               <div className="text-center">
-                <div className={`text-2xl font-black ${tierText}`}>{xp.toLocaleString()}</div>
+                <div className={`text-2xl font-black ${tierText}`}>{formatNumber(xp)}</div>
                 <div className="text-[11px] text-white/80 font-bold uppercase tracking-wider">XP</div>
               </div>
+              {streak && (
+                <>
+                  <div className="w-px h-8 bg-white/8" />
+                  <div className="text-center">
+                    <div className="text-2xl font-black text-orange-400 drop-shadow-[0_0_6px_rgba(251,146,60,0.4)]">
+                      🔥{streak.current}
+                    </div>
+                    <div className="text-[11px] text-white/80 font-bold uppercase tracking-wider">
+                      {t("streak.label")}
+                    </div>
+                    <div className="text-[10px] text-white/40 font-semibold">
+                      {t("streak.best", { days: streak.best })}
+                    </div>
+                  </div>
+                </>
+              )}
             </motion.div>
           )}
 
@@ -382,7 +446,7 @@ const UserProfile = ({ onOpenAvatarModal, onPlayGame }) => {
                           {item.game_name}
                         </div>
                         <div className="text-white/50 text-xs font-medium mt-0.5">
-                          {t("profile.best_score_label")}: <span className="text-white/80 font-bold">{item.score?.toLocaleString() ?? "—"}</span>
+                          {t("profile.best_score_label")}: <span className="text-white/80 font-bold">{item.score != null ? formatNumber(item.score) : "—"}</span>
                         </div>
                       </div>
 
@@ -410,6 +474,27 @@ const UserProfile = ({ onOpenAvatarModal, onPlayGame }) => {
         </div>
       </div>
 
+      {/* ── Duelos ── */}
+      <DuelsModal
+        isOpen={isDuelsOpen}
+        onClose={() => setIsDuelsOpen(false)}
+        userId={currentUser.id}
+      />
+
+      {/* ── Amigos ── */}
+      <FriendsModal
+        isOpen={isFriendsOpen}
+        onClose={() => setIsFriendsOpen(false)}
+        userId={currentUser.id}
+      />
+
+      {/* ── Historial de XP y monedas ── */}
+      <TransactionHistoryModal
+        isOpen={isHistoryOpen}
+        onClose={() => setIsHistoryOpen(false)}
+        userId={currentUser.id}
+      />
+
       {/* ── Settings Modal ── */}
       <SettingsModal
         isOpen={isSettingsOpen}
@@ -16,7 +16,8 @@
 
 import { useEffect, useRef, useState, useCallback } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ─────────── Constantes ─────────── */
@@ -73,33 +74,17 @@ const CircleNinjaGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
   const [score, setScore] = useState(0);
   const [lives, setLives] = useState(MAX_LIVES);
   const [gameState, setGameState] = useState(GAME_STATES.IDLE);
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.CircleNinjaGame, userId, isActive, onReplay, onNextGame,
+  });
   const isActiveRef = useRef(isActive);
   isActiveRef.current = isActive;
 
-  const { submit, loading: isSubmittingScore, error: submitError, lastResult, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.CircleNinjaGame);
   // Enviar puntuación al terminar
   useEffect(() => {
-    if (gameState === GAME_STATES.ENDED && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(score, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === GAME_STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [gameState, score, submit]);
+    if (gameState === GAME_STATES.ENDED) endSession(score);
+    if (gameState === GAME_STATES.IDLE) resetSession();
+  }, [gameState, score, endSession, resetSession]);
 
   /* ── Arrancar cuando isActive llega ── */
   useEffect(() => {
@@ -428,17 +413,10 @@ const CircleNinjaGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
       {/* Game Over */}
       {isEnded && (
         <GameOverPanel
+          {...gameOverProps}
           title="Game Over"
           score={score}
           subtitle={lives <= 0 ? t("circleninja.too_many_escaped") : t("circleninja.cut_red")}
-          onReplay={onReplay}
-          onNext={onNextGame}
-          ranking={ranking}
-          scoreMessage={scoreMessage}
-          xpGained={xpGained}
-          gameId={gameId}
-
-          isLoading={isRankingLoading}
         />
       )}
     </div>
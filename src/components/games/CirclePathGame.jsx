@@ -17,7 +17,8 @@
 
 import { useEffect, useRef, useState, useCallback } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ─────────── Constantes ─────────── */
@@ -108,10 +109,9 @@ function addTarget(s) {
 const CirclePathGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }) => {
   const { t } = useLanguage();
   const canvasRef = useRef(null);
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.CirclePathGame, userId, isActive, onReplay, onNextGame,
+  });
   const isActiveRef = useRef(isActive);
   isActiveRef.current = isActive;
   const stateRef = useRef({
@@ -396,26 +396,11 @@ const CirclePathGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
     };
   }, []);
 
-  const { submit, loading: isSubmittingScore, error: submitError, lastResult, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.CirclePathGame);
   // Enviar puntuación al terminar
   useEffect(() => {
-    if (gameState === GAME_STATES.ENDED && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(score, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === GAME_STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [gameState, score, submit]);
+    if (gameState === GAME_STATES.ENDED) endSession(score);
+    if (gameState === GAME_STATES.IDLE) resetSession();
+  }, [gameState, score, endSession, resetSession]);
 
   const isPlaying = gameState === GAME_STATES.PLAYING;
   const isEnded = gameState === GAME_STATES.ENDED;
@@ -462,17 +447,10 @@ const CirclePathGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
       {/* Game Over */}
       {isEnded && (
         <GameOverPanel
+          {...gameOverProps}
           title="Game Over"
           score={score}
           subtitle={t("circlepath.reached", { score, unit: score === 1 ? t("circlepath.point") : t("circlepath.points") })}
-          onReplay={onReplay}
-          onNext={onNextGame}
-          ranking={ranking}
-          scoreMessage={scoreMessage}
-          xpGained={xpGained}
-          gameId={gameId}
-
-          isLoading={isRankingLoading}
         />
       )}
     </div>
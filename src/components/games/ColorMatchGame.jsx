@@ -8,15 +8,20 @@
  * - Máximo 25 movimientos
  * - Flood-fill desde la celda [0,0]
  * - Gana si todo el tablero es de un solo color; pierde si agota movimientos
+ * - Colores de la paleta del modo daltónico (useColorVision); el tablero
+ *   guarda huecos 0‥4, así cambiar de modo no altera la partida
  *
  * Props:
  *   isActive (boolean) — cuando pasa a true, arranca la partida
  */
 
-import { useState, useEffect, useCallback, useRef } from "react";
+import { useState, useEffect, useCallback, useRef, useMemo } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
+import { useColorVision } from "../../hooks/useColorVision";
+import { FLOOD_SYMBOLS } from "../../utils/colorVision";
 
 /* ─────────── Constantes ─────────── */
 
@@ -26,18 +31,7 @@ const TOTAL_CELLS = BOARD_SIZE * BOARD_SIZE;
 const NUM_COLORS = 5;
 const MAX_MOVES = 25;
 
-const COLOR_PALETTE = [
-  "#573659", // morado oscuro
-  "#ad4375", // rosa
-  "#fa7370", // salmón
-  "#f59231", // naranja
-  "#fecd5f", // amarillo
-  "#9ccf5e", // verde lima
-  "#3cad5b", // verde
-  "#36cbbf", // turquesa
-  "#1d839c", // azul petróleo
-  "#2f506c", // azul oscuro
-];
+const POOL_SIZE = 10; // máximo de colores en una paleta (palette.flood)
 
 /* ─────────── Utilidades ─────────── */
 
@@ -51,16 +45,9 @@ function shuffle(arr) {
   return a;
 }
 
-/** Escoge N colores aleatorios de la paleta */
-function pickColors(n) {
-  return shuffle(COLOR_PALETTE).slice(0, n);
-}
-
-/** Genera un tablero aleatorio de TOTAL_CELLS con los colores dados */
-function generateBoard(colors) {
-  return Array.from({ length: TOTAL_CELLS }, () =>
-    colors[Math.floor(Math.random() * colors.length)]
-  );
+/** Genera un tablero aleatorio de TOTAL_CELLS con huecos de color 0‥n-1 */
+function generateBoard(n) {
+  return Array.from({ length: TOTAL_CELLS }, () => Math.floor(Math.random() * n));
 }
 
 /**
@@ -138,52 +125,35 @@ const ColorMatchGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const { t } = useLanguage();
   const [gameState, setGameState] = useState(GAME_STATES.IDLE);
   const [board, setBoard] = useState([]);
-  const [colors, setColors] = useState([]);
+  const [pick, setPick] = useState([]); // orden barajado de la paleta
   const [moves, setMoves] = useState(0);
   const [won, setWon] = useState(false);
   const gameInitialized = useRef(false);
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
+  const { palette, patterns } = useColorVision();
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.ColorMatchGame, userId, isActive, onReplay, onNextGame,
+    lowerIsBetter: true,
+  });
 
   const isPlaying = gameState === GAME_STATES.PLAYING;
   const isEnded = gameState === GAME_STATES.ENDED;
 
-  const { submit, loading: isSubmittingScore, error: submitError, lastResult, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.ColorMatchGame);
-  // Enviar puntuación al terminar (solo si ganó: menos movimientos = mejor)
+  // Enviar puntuación al terminar (menos movimientos = mejor)
   useEffect(() => {
-    if (isEnded && won && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(moves, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (isEnded && !won && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      // No ganó — solo cargar ranking sin guardar
-      submit(moves, null)
-        .then((result) => setRanking(result?.data?.ranking || []))
-        .catch(() => {});
-    }
-    if (gameState === GAME_STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [isEnded, won, moves, submit, gameState]);
+    if (isEnded) endSession(moves);
+    if (gameState === GAME_STATES.IDLE) resetSession();
+  }, [isEnded, moves, gameState, endSession, resetSession]);
+
+  // Hueco → índice de palette.flood (todas las paletas tienen ≥ NUM_COLORS)
+  const slots = useMemo(
+    () => pick.filter((i) => i < palette.flood.length).slice(0, NUM_COLORS),
+    [pick, palette],
+  );
 
   /* ─── Iniciar juego nuevo ─── */
   const startGame = useCallback(() => {
-    const chosen = pickColors(NUM_COLORS);
-    const newBoard = generateBoard(chosen);
-    setColors(chosen);
-    setBoard(newBoard);
+    setPick(shuffle([...Array(POOL_SIZE).keys()]));
+    setBoard(generateBoard(NUM_COLORS));
     setMoves(0);
     setWon(false);
     setGameState(GAME_STATES.PLAYING);
@@ -199,11 +169,11 @@ const ColorMatchGame = ({ isActive, onNextGame, onReplay, userId }) => {
 
   /* ─── Manejar click en color de la paleta ─── */
   const handleColorClick = useCallback(
-    (color) => {
+    (slot) => {
       if (!isPlaying) return;
-      if (color === board[0]) return; // ya es ese color
+      if (slot === board[0]) return; // ya es ese color
 
-      const newBoard = applyMove(board, color);
+      const newBoard = applyMove(board, slot);
       const newMoves = moves + 1;
       setBoard(newBoard);
       setMoves(newMoves);
@@ -284,15 +254,15 @@ const ColorMatchGame = ({ isActive, onNextGame, onReplay, userId }) => {
           padding: `${cellGap}px`,
         }}
       >
-        {board.map((color, i) => {
+        {board.map((slot, i) => {
           const region = board.length > 0 ? getFloodRegion(board) : new Set();
           const inRegion = region.has(i);
           return (
             <div
               key={i}
-              className="transition-colors duration-300"
+              className="transition-colors duration-300 flex items-center justify-center text-[10px] leading-none text-black/45"
               style={{
-                backgroundColor: color,
+                backgroundColor: palette.flood[slots[slot]],
                 borderRadius: "3px",
                 aspectRatio: "1",
                 opacity:
@@ -301,7 +271,9 @@ const ColorMatchGame = ({ isActive, onNextGame, onReplay, userId }) => {
                     : 1,
                 boxShadow: isPlaying && inRegion ? "inset 0 0 0 1px rgba(255,255,255,0.08)" : "none",
               }}
-            />
+            >
+              {patterns && FLOOD_SYMBOLS[slots[slot]]}
+            </div>
           );
         })}
 
@@ -327,24 +299,26 @@ const ColorMatchGame = ({ isActive, onNextGame, onReplay, userId }) => {
           className="relative z-[2] flex justify-between mt-4"
           style={{ width: boardPx }}
         >
-          {colors.map((color) => {
-            const isCurrent = board[0] === color;
+          {slots.map((poolIdx, slot) => {
+            const isCurrent = board[0] === slot;
             return (
               <button
-                key={color}
-                onClick={() => handleColorClick(color)}
+                key={slot}
+                onClick={() => handleColorClick(slot)}
                 disabled={isCurrent}
-                className={`rounded-xl transition-transform duration-200 ${
+                className={`rounded-xl transition-transform duration-200 flex items-center justify-center text-xl text-black/50 ${
                   isCurrent
                     ? "ring-2 ring-cyan-400/70 scale-110"
                     : "hover:scale-110 active:scale-95 cursor-pointer"
                 }`}
                 style={{
-                  backgroundColor: color,
+                  backgroundColor: palette.flood[poolIdx],
                   width: `calc((${boardPx} - 1.5rem) / ${NUM_COLORS})`,
                   aspectRatio: "1",
                 }}
-              />
+              >
+                {patterns && FLOOD_SYMBOLS[poolIdx]}
+              </button>
             );
           })}
         </div>
@@ -355,17 +329,10 @@ const ColorMatchGame = ({ isActive, onNextGame, onReplay, userId }) => {
       {/* ====== GAME OVER ====== */}
       {isEnded && (
         <GameOverPanel
+          {...gameOverProps}
           title={won ? t("colormatch.victory") : "Game Over"}
           score={won ? `${moves} mov.` : `${progress}%`}
           subtitle={won ? t("colormatch.completed", { moves }) : t("colormatch.reached", { progress })}
-          onReplay={onReplay}
-          onNext={onNextGame}
-          ranking={ranking}
-          scoreMessage={scoreMessage}
-          xpGained={xpGained}
-          gameId={gameId}
-
-          isLoading={isRankingLoading}
         />
       )}
     </div>
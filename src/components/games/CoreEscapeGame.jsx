@@ -22,7 +22,8 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ═══════════════════ CONSTANTS ═══════════════════ */
@@ -136,11 +137,10 @@ const CoreEscapeGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const [gameState, setGameState] = useState(STATES.IDLE);
   const [currentZone, setCurrentZone] = useState(0);
   const [flash, setFlash] = useState(false);
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.CoreEscapeGame, userId, isActive, onReplay, onNextGame,
+  });
   const [showGameOver, setShowGameOver] = useState(false);
-  const scoreSubmitted = useRef(false);
 
   /* ── Mutable game state (NO re-renders) ── */
   const playerLaneRef = useRef(-1);
@@ -171,6 +171,8 @@ const CoreEscapeGame = ({ isActive, onNextGame, onReplay, userId }) => {
 
   // Crash + trail
   const crashTimeoutRef = useRef(null);
+  const crashDueRef = useRef(0);   // performance.now() en que acaba el crash
+  const crashLeftRef = useRef(0);  // ms de crash pendientes al congelar la partida
   const trailRefs = useRef([]);
   const trailHistory = useRef([]);
 
@@ -277,6 +279,19 @@ const CoreEscapeGame = ({ isActive, onNextGame, onReplay, userId }) => {
   }, []);
 
   /* ══════════ Crash handler ══════════ */
+  const showGameOverAfter = useCallback((ms) => {
+    crashDueRef.current = performance.now() + ms;
+    crashTimeoutRef.current = setTimeout(() => {
+      crashTimeoutRef.current = null;
+      gameStateRef.current = STATES.ENDED;
+      setGameState(STATES.ENDED);
+      setShowGameOver(true);
+      if (containerRef.current) {
+        containerRef.current.classList.remove("ce-shake");
+      }
+    }, ms);
+  }, []);
+
   const triggerCrash = useCallback(() => {
     gameStateRef.current = STATES.CRASHING;
     setGameState(STATES.CRASHING);
@@ -306,15 +321,19 @@ const CoreEscapeGame = ({ isActive, onNextGame, onReplay, userId }) => {
     });
 
     // After delay → show Game Over
-    crashTimeoutRef.current = setTimeout(() => {
-      gameStateRef.current = STATES.ENDED;
-      setGameState(STATES.ENDED);
-      setShowGameOver(true);
-      if (containerRef.current) {
-        containerRef.current.classList.remove("ce-shake");
-      }
-    }, CRASH_DELAY);
-  }, []);
+    showGameOverAfter(CRASH_DELAY);
+  }, [showGameOverAfter]);
+
+  /* ── Congelar el crash con isActive=false y seguir al volver ── */
+  useEffect(() => {
+    if (gameStateRef.current !== STATES.CRASHING) return;
+    if (!isActive && crashTimeoutRef.current) {
+      clearTimeout(crashTimeoutRef.current);
+      crashTimeoutRef.current = null;
+      crashLeftRef.current = Math.max(0, crashDueRef.current - performance.now());
+    }
+    if (isActive && !crashTimeoutRef.current) showGameOverAfter(crashLeftRef.current);
+  }, [isActive, showGameOverAfter]);
 
   /* ═══════════════════ GAME LOOP ═══════════════════ */
   useEffect(() => {
@@ -530,6 +549,7 @@ const CoreEscapeGame = ({ isActive, onNextGame, onReplay, userId }) => {
 
     return () => {
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
+      lastTimeRef.current = null; // al reanudar, sin salto de dt
     };
   }, [gameState, isActive, createObstacleDom, triggerCrash]);
 
@@ -552,32 +572,11 @@ const CoreEscapeGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const finalScore = Math.floor(scoreRef.current);
   const zone = ZONE_CONFIGS[currentZone];
 
-  const {
-    submit,
-    loading: isSubmittingScore,
-    xpGained,
-    gameId,
-  } = useSubmitScore(userId, GAME_IDS.CoreEscapeGame);
-
   // Submit score on game end
   useEffect(() => {
-    if (isEnded && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(finalScore, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [isEnded, finalScore, submit, gameState, t]);
+    if (isEnded) endSession(finalScore);
+    if (gameState === STATES.IDLE) resetSession();
+  }, [isEnded, finalScore, gameState, endSession, resetSession]);
 
   /* ══════════ RENDER ══════════ */
   return (
@@ -764,16 +763,10 @@ const CoreEscapeGame = ({ isActive, onNextGame, onReplay, userId }) => {
       {showGameOver && isEnded && (
         <div className="absolute inset-0 flex items-center justify-center pointer-events-auto z-35">
           <GameOverPanel
+            {...gameOverProps}
             title="Game Over"
             score={`${finalScore} MB`}
             subtitle={t("coreescape.subtitle")}
-            onReplay={onReplay}
-            onNext={onNextGame}
-            ranking={ranking}
-            scoreMessage={scoreMessage}
-            xpGained={xpGained}
-            gameId={gameId}
-            isLoading={isRankingLoading}
           />
         </div>
       )}
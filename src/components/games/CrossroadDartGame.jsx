@@ -12,7 +12,8 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ═══════════════════════════════════════════════════
@@ -454,10 +455,9 @@ const CrossroadDartGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardR
   /* ── React state (triggers renders for UI) ── */
   const [phase, setPhase]                       = useState("idle");
   const [displayScore, setDisplayScore]         = useState(0);
-  const [ranking, setRanking]                   = useState([]);
-  const [scoreMessage, setScoreMessage]         = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.CrossroadDartGame, userId, isActive, onReplay, onNextGame,
+  });
 
   /* ── Mutable game state (refs, zero re-renders) ── */
   const phaseRef   = useRef("idle");
@@ -491,11 +491,9 @@ const CrossroadDartGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardR
     lSpeedRef.current   = laneSpeedMults(0);
     lGapsRef.current   = rollLaneGaps(0, 30);
     lastTRef.current   = null;
-    scoreSubmitted.current = false;
+    resetSession();
 
     setDisplayScore(0);
-    setRanking([]);
-    setScoreMessage("");
 
     const canvas = canvasRef.current;
     if (canvas) {
@@ -513,7 +511,7 @@ const CrossroadDartGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardR
 
     phaseRef.current = "playing";
     setPhase("playing");
-  }, []);
+  }, [resetSession]);
 
   /* ── Auto-start when slide becomes active ── */
   useEffect(() => {
@@ -1038,26 +1036,10 @@ const CrossroadDartGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardR
   /* ══════════════════════════════
      SCORE SUBMISSION
      ══════════════════════════════ */
-  const { submit, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.CrossroadDartGame);
-
   useEffect(() => {
-    if (phase === "ended" && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(displayScore)
-        .then((r) => {
-          setRanking(r?.data?.ranking || []);
-          setScoreMessage(r?.message || "");
-        })
-        .catch(() => setScoreMessage("Error"))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (phase === "idle") {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [phase, displayScore, submit]);
+    if (phase === "ended") endSession(displayScore);
+    if (phase === "idle") resetSession();
+  }, [phase, displayScore, endSession, resetSession]);
 
   /* ══════════════════════════════
      JSX
@@ -1121,17 +1103,10 @@ const CrossroadDartGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardR
 
             <div className="absolute inset-0 flex items-center justify-center pointer-events-auto">
               <GameOverPanel
+                {...gameOverProps}
                 title="Game Over"
                 score={displayScore}
                 subtitle={t("crossroaddart.subtitle")}
-                onReplay={onReplay}
-                onNext={onNextGame}
-                ranking={ranking}
-                scoreMessage={scoreMessage}
-                xpGained={xpGained}
-                gameId={gameId}
-
-                isLoading={isRankingLoading}
               />
             </div>
           </>
@@ -10,13 +10,14 @@
  * Puntuación = segundos sobrevividos (redondeados).
  *
  * Props:
- *   isActive   – cuando pasa a true, arranca el juego
+ *   isActive   – cuando pasa a true, arranca el juego; en false congela la partida
  *   onNextGame – callback para "siguiente juego"
  */
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ─────────── Constantes ─────────── */
@@ -128,10 +129,9 @@ const DodgeRushGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }
   const [score, setScore]         = useState(0);
   const [lives, setLives]         = useState(MAX_LIVES);
   const [flash, setFlash]         = useState(false);
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.DodgeRushGame, userId, isActive, onReplay, onNextGame,
+  });
 
   // Refs para el game loop
   const canvasRef      = useRef(null);
@@ -143,8 +143,7 @@ const DodgeRushGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }
   const livesRef       = useRef(MAX_LIVES);
   const spawnTimerRef  = useRef(0);
   const spawnIntRef    = useRef(INITIAL_SPAWN_INT);
-  const invulnRef      = useRef(false);
-  const invulnTORef    = useRef(null);
+  const invulnUntilRef = useRef(0);   // elapsed (s) hasta el que dura la invulnerabilidad
   const flashTORef     = useRef(null);
   const gameStateRef   = useRef(STATES.IDLE);
 
@@ -159,7 +158,7 @@ const DodgeRushGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }
     elapsedRef.current   = 0;
     spawnTimerRef.current = 0;
     spawnIntRef.current  = INITIAL_SPAWN_INT;
-    invulnRef.current    = false;
+    invulnUntilRef.current = 0;
     lastTimeRef.current  = null;
     gameStateRef.current = STATES.PLAYING;
     setGameState(STATES.PLAYING);
@@ -265,7 +264,9 @@ const DodgeRushGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }
       }
 
       // ── Colisiones ──
-      if (!invulnRef.current) {
+      // Invulnerabilidad medida en tiempo de partida: no corre con el juego congelado
+      const isInvuln = elapsedRef.current < invulnUntilRef.current;
+      if (!isInvuln) {
         const px = playerRef.current.x * W;
         const py = playerRef.current.y * H;
         for (let i = balls.length - 1; i >= 0; i--) {
@@ -290,11 +291,7 @@ const DodgeRushGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }
             }
 
             // Invulnerabilidad temporal
-            invulnRef.current = true;
-            clearTimeout(invulnTORef.current);
-            invulnTORef.current = setTimeout(() => {
-              invulnRef.current = false;
-            }, HIT_COOLDOWN);
+            invulnUntilRef.current = elapsedRef.current + HIT_COOLDOWN / 1000;
             break;
           }
         }
@@ -314,7 +311,6 @@ const DodgeRushGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }
       // Jugador
       const px = playerRef.current.x * W;
       const py = playerRef.current.y * H;
-      const isInvuln = invulnRef.current;
 
       ctx.beginPath();
       ctx.arc(px, py, PLAYER_R, 0, Math.PI * 2);
@@ -350,7 +346,6 @@ const DodgeRushGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }
   useEffect(() => {
     return () => {
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
-      clearTimeout(invulnTORef.current);
       clearTimeout(flashTORef.current);
     };
   }, []);
@@ -359,26 +354,11 @@ const DodgeRushGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }
   const isPlaying = gameState === STATES.PLAYING;
   const isEnded   = gameState === STATES.ENDED;
 
-  const { submit, loading: isSubmittingScore, error: submitError, lastResult, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.DodgeRushGame);
   // Enviar puntuación al terminar
   useEffect(() => {
-    if (isEnded && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(score, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [isEnded, score, submit, gameState]);
+    if (isEnded) endSession(score);
+    if (gameState === STATES.IDLE) resetSession();
+  }, [isEnded, score, gameState, endSession, resetSession]);
 
   return (
     <div className="relative h-full w-full flex items-center justify-center bg-[#0a0e17] overflow-hidden select-none">
@@ -443,17 +423,10 @@ const DodgeRushGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }
         {isEnded && (
           <div className="absolute inset-0 flex items-center justify-center pointer-events-auto">
             <GameOverPanel
+              {...gameOverProps}
               title="Game Over"
               score={`${score}s`}
               subtitle={t("dodgerush.subtitle")}
-              onReplay={onReplay}
-              onNext={onNextGame}
-              ranking={ranking}
-              scoreMessage={scoreMessage}
-              xpGained={xpGained}
-              gameId={gameId}
-
-              isLoading={isRankingLoading}
             />
           </div>
         )}
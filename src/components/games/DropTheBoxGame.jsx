@@ -10,6 +10,10 @@
  * ✅ Movimiento basado en deltaTime (requestAnimationFrame).
  * ✅ Cooldown entre lanzamientos con feedback visual.
  *
+ * Replays: no hay azar; lo que decide la partida es dónde estaba la grúa en
+ * cada lanzamiento (evento "d", x relativa a gameW). Al reproducir se suelta
+ * la caja cuando la grúa pasa por esa x. Desde el Top 5 se ve en este slide.
+ *
  * Props:
  *   isActive   – cuando pasa a true, arranca el juego
  *   onNextGame – callback para ir al siguiente juego
@@ -19,8 +23,10 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
+import useReplayRecorder from "../../hooks/useReplayRecorder";
 
 /* ─────────── Estados ─────────── */
 const STATES = { IDLE: "idle", PLAYING: "playing", DROPPING: "dropping", ENDED: "ended" };
@@ -117,11 +123,15 @@ const DropTheBoxGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
   const lastTimeRef     = useRef(0);                 // timestamp anterior (rAF)
   const lastDropTimeRef = useRef(0);                 // cooldown
 
-  /* ── Estado de ranking ── */
-  const [ranking, setRanking]                 = useState([]);
-  const [scoreMessage, setScoreMessage]       = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted                        = useRef(false);
+  /* ── Replays ── */
+  const recorder  = useReplayRecorder();
+  const replayRef = useRef(null);                   // { drops, cursor, ownScore } mientras se reproduce
+  const [watching, setWatching] = useState(null);   // { user, score } | null
+
+  /* ── Sesión de partida (envío de score + Game Over) ── */
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.DropTheBoxGame, userId, isActive, onReplay, onNextGame,
+  });
 
   /* ─────────── Medir contenedor (ResizeObserver) ─────────── */
   useEffect(() => {
@@ -137,8 +147,9 @@ const DropTheBoxGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
   /* ─────────── Posición Y del punto de aterrizaje ─────────── */
   const landingY = Math.round(ch * LANDING_RATIO);
 
-  /* ─────────── Iniciar partida ─────────── */
-  const startGame = useCallback(() => {
+  /* ─────────── Tablero inicial (partida nueva o replay) ─────────── */
+  const resetBoard = useCallback((seed) => {
+    recorder.begin(seed);
     const craneMinX = offsetX + (gameW - gameW * CRANE_RATIO) / 2;
     craneXRef.current       = craneMinX;
     craneDirRef.current     = 1;
@@ -150,9 +161,6 @@ const DropTheBoxGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
     lastDropTimeRef.current = 0;
     scoreRef.current        = 0;
     setScore(0);
-    scoreSubmitted.current = false;
-    setRanking([]);
-    setScoreMessage("");
 
     // Torre: solo la base (estilizada como plataforma cyberpunk)
     towerRef.current = [{
@@ -163,7 +171,33 @@ const DropTheBoxGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
     }];
     forceRender();
     setGameState(STATES.PLAYING);
-  }, [cw, gameW, offsetX, landingY, forceRender, baseW, baseCraneSpeed]);
+  }, [cw, gameW, offsetX, landingY, forceRender, baseW, baseCraneSpeed, recorder]);
+
+  /* ─────────── Iniciar partida ─────────── */
+  const startGame = useCallback(() => {
+    resetSession();
+    resetBoard();
+  }, [resetSession, resetBoard]);
+
+  /* ─────────── Ver replay de otro jugador (desde el Top 5) ─────────── */
+  const startWatching = useCallback(({ user, score: replayScore, replay }) => {
+    if (!replay?.events) return;
+    replayRef.current = {
+      drops: replay.events.filter((e) => e[1] === "d").map((e) => e[2]),
+      cursor: 0,
+      ownScore: scoreRef.current,
+    };
+    setWatching({ user, score: replayScore });
+    resetBoard(replay.seed);
+  }, [resetBoard]);
+
+  /* ─────────── Soltar la caja (tap o replay) ─────────── */
+  const dropBox = useCallback(() => {
+    dropXRef.current        = craneXRef.current;
+    dropYRef.current        = craneY + cableExt;
+    lastDropTimeRef.current = Date.now();
+    setGameState(STATES.DROPPING);
+  }, [craneY, cableExt]);
 
   /* ── Auto-start ── */
   useEffect(() => {
@@ -196,6 +230,7 @@ const DropTheBoxGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
       const craneMaxX = craneMinX + craneZone - boxW;
 
       if (gameState === STATES.PLAYING || dropXRef.current === -1) {
+        const prevX = craneXRef.current;
         craneXRef.current += craneSpeedRef.current * craneDirRef.current * dt;
         if (craneXRef.current >= craneMaxX) {
           craneXRef.current = craneMaxX;
@@ -204,6 +239,21 @@ const DropTheBoxGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
           craneXRef.current = craneMinX;
           craneDirRef.current = 1;
         }
+
+        // Replay: soltar cuando la grúa pasa por la x grabada (fuera de cooldown)
+        const rp = replayRef.current;
+        if (
+          rp && gameState === STATES.PLAYING && dropXRef.current === -1
+          && rp.cursor < rp.drops.length
+          && Date.now() - lastDropTimeRef.current >= COOLDOWN_MS
+        ) {
+          const targetX = offsetX + rp.drops[rp.cursor] * gameW;
+          if ((prevX - targetX) * (craneXRef.current - targetX) <= 0) {
+            craneXRef.current = targetX;
+            rp.cursor += 1;
+            dropBox();
+          }
+        }
       }
 
       /* ── Animar caja cayendo ── */
@@ -273,42 +323,39 @@ const DropTheBoxGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
     return () => {
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
     };
-  }, [gameState, isActive, cw, ch, gameW, offsetX, forceRender, boxW, boxH, dropSpeedPxS, speedBumpPxS, overlapMin]);
+  }, [gameState, isActive, cw, ch, gameW, offsetX, forceRender, boxW, boxH, dropSpeedPxS, speedBumpPxS, overlapMin, dropBox]);
 
   /* ─────────── Drop (tap) con Cooldown ─────────── */
   const handleTap = useCallback(() => {
     if (gameState !== STATES.PLAYING) return;           // LEY 3: blindaje
+    if (replayRef.current) return;                      // reproduciendo un replay
     if (pinchGuardRef?.current) return;                 // LEY 5: anti-ghost click
     if (dropXRef.current >= 0) return;                              // ya hay caja cayendo
     if (Date.now() - lastDropTimeRef.current < COOLDOWN_MS) return; // en cooldown
 
-    dropXRef.current        = craneXRef.current;
-    dropYRef.current        = craneY + cableExt;
-    lastDropTimeRef.current = Date.now();
-    setGameState(STATES.DROPPING);
-  }, [gameState, craneY, cableExt]);
+    recorder.record("d", Math.round(((craneXRef.current - offsetX) / gameW) * 1e5) / 1e5);
+    dropBox();
+  }, [gameState, recorder, offsetX, gameW, dropBox]);
 
   /* ─────────── Enviar puntuación al terminar ─────────── */
-  const { submit, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.DropTheBoxGame);
+  useEffect(() => {
+    if (replayRef.current) return;                      // fin de un replay ajeno
+    if (gameState === STATES.ENDED) endSession(scoreRef.current, { replay: recorder.getReplay() });
+    if (gameState === STATES.IDLE) resetSession();
+  }, [gameState, endSession, resetSession, recorder]);
 
+  /* ─────────── Replay: al terminar, volver al Game Over propio ─────────── */
   useEffect(() => {
-    if (gameState === STATES.ENDED && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(scoreRef.current, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [gameState, submit]);
+    const rp = replayRef.current;
+    if (!rp || !watching || !isActive || gameState !== STATES.ENDED) return;
+    const id = setTimeout(() => {
+      replayRef.current = null;
+      scoreRef.current = rp.ownScore;
+      setScore(rp.ownScore);
+      setWatching(null);
+    }, 1200);
+    return () => clearTimeout(id);
+  }, [gameState, watching, isActive]);
 
   /* ─────────── Cleanup ─────────── */
   useEffect(() => {
@@ -605,7 +652,7 @@ const DropTheBoxGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
       )}
 
       {/* ── Hint PLAYING ── */}
-      {gameState === STATES.PLAYING && score === 0 && dropXRef.current < 0 && (
+      {gameState === STATES.PLAYING && score === 0 && dropXRef.current < 0 && !watching && (
         <div
           className="absolute inset-x-0 flex justify-center pointer-events-none z-3"
           style={{ top: craneY + boxH + cableExt + Math.round(gameW * 0.12) }}
@@ -634,8 +681,17 @@ const DropTheBoxGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
         </div>
       )}
 
+      {/* ── Replay en curso ── */}
+      {watching && (
+        <div className="absolute top-[calc(var(--sat,0px)+9rem)] left-0 right-0 flex justify-center z-10 pointer-events-none">
+          <span className="px-3 py-1 rounded-full bg-black/60 border border-cyan-400/30 text-[11px] font-mono font-bold uppercase tracking-widest text-cyan-300">
+            {t("replay.watching", { user: watching.user, score: watching.score })}
+          </span>
+        </div>
+      )}
+
       {/* ── GAME OVER ── */}
-      {isEnded && (
+      {isEnded && !watching && (
         <div className="flex flex-col items-center gap-2 mb-4">
           <span
             className="text-7xl sm:text-8xl font-black text-white tabular-nums font-mono"
@@ -655,19 +711,13 @@ const DropTheBoxGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
         </div>
       )}
 
-      {isEnded && (
+      {isEnded && !watching && (
         <GameOverPanel
+          {...gameOverProps}
           title="Game Over"
           score={score}
           subtitle={t("dropthebox.boxes_stacked")}
-          onReplay={onReplay}
-          onNext={onNextGame}
-          ranking={ranking}
-          scoreMessage={scoreMessage}
-          xpGained={xpGained}
-          gameId={gameId}
-
-          isLoading={isRankingLoading}
+          onWatchReplay={startWatching}
         />
       )}
     </div>
@@ -0,0 +1,132 @@
+/**
+ * EmbeddedGame.jsx — Slide genérico para juegos HTML5 de terceros
+ *
+ * Carga el juego en un iframe aislado y habla con él por postMessage
+ * (SDK del iframe: public/embedded/scrollinn-embed.js):
+ *
+ *   Juego → Scrollinn:  ready · score { score } · gameover { score }
+ *   Scrollinn → Juego:  start · pause · resume
+ *
+ * sandbox="allow-scripts" SIN allow-same-origin: el juego corre con origen
+ * opaco y no puede leer el localStorage de Scrollinn (sesión de Supabase).
+ * Solo se aceptan mensajes cuyo `source` es el propio iframe.
+ *
+ * isActive controla el ciclo: primera activación → "start", al perder el
+ * foco del feed → "pause", al volver → "resume". El gameover cierra la
+ * sesión (useGameSession) y muestra el GameOverPanel estándar.
+ *
+ * Registro en data/games.js:
+ *   { id, ..., gameComponent: "Embedded", embed: { src: "embedded/<slug>/index.html" } }
+ *
+ * Props:
+ *   game          – entrada de games.js (id, title, embed.src)
+ *   isActive      – cuando es true, el juego corre
+ *   onNextGame    – callback para "siguiente juego"
+ *   onReplay      – callback para reiniciar (el Feed remonta el iframe)
+ *   userId        – ID del usuario logueado
+ */
+
+import { useState, useEffect, useCallback, useRef } from "react";
+import GameOverPanel from "../GameOverPanel";
+import useGameSession from "../../hooks/useGameSession";
+import { useLanguage } from "../../i18n";
+
+const CHANNEL = "scrollinn-embed";
+
+/** Puntuación que llega del iframe → entero ≥ 0, o null si no es válida */
+function sanitizeScore(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : null;
+}
+
+const EmbeddedGame = ({ game, isActive, onNextGame, onReplay, userId }) => {
+  const { t } = useLanguage();
+  const iframeRef = useRef(null);
+  const startedRef = useRef(false);
+  const liveScoreRef = useRef(0); // último "score" (respaldo si el gameover no trae puntuación)
+
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  const { end: finish, isEnded, gameOverProps } = useGameSession({
+    gameId: game.id, userId, isActive, onReplay, onNextGame,
+  });
+
+  const send = useCallback((type) => {
+    iframeRef.current?.contentWindow?.postMessage({ channel: CHANNEL, type }, "*");
+  }, []);
+
+  /* ── Mensajes del iframe ── */
+  useEffect(() => {
+    const handler = (e) => {
+      if (!iframeRef.current || e.source !== iframeRef.current.contentWindow) return;
+      const msg = e.data;
+      if (!msg || msg.channel !== CHANNEL) return;
+
+      if (msg.type === "ready") {
+        setIsLoaded(true);
+      } else if (msg.type === "score") {
+        const score = sanitizeScore(msg.score);
+        if (score !== null) liveScoreRef.current = score;
+      } else if (msg.type === "gameover") {
+        // Un gameover antes de "start" no es una partida jugada
+        if (startedRef.current) finish(sanitizeScore(msg.score) ?? liveScoreRef.current);
+      }
+    };
+    window.addEventListener("message", handler);
+    return () => window.removeEventListener("message", handler);
+  }, [finish]);
+
+  /* ── Ciclo de vida: start / pause / resume según isActive ── */
+  useEffect(() => {
+    if (!isLoaded || isEnded) return;
+    if (isActive) {
+      send(startedRef.current ? "resume" : "start");
+      startedRef.current = true;
+      iframeRef.current?.focus(); // teclado directo al juego
+    } else if (startedRef.current) {
+      send("pause");
+    }
+  }, [isActive, isLoaded, isEnded, send]);
+
+  return (
+    <div className="relative h-full w-full bg-[#0a0e17] overflow-hidden select-none">
+      <iframe
+        ref={iframeRef}
+        src={game.embed.src}
+        title={game.title}
+        sandbox="allow-scripts"
+        className={`absolute inset-x-0 w-full border-0 transition-opacity duration-300 ${
+          isLoaded ? "opacity-100" : "opacity-0"
+        }`}
+        style={{
+          top: "calc(var(--sat, 0px) + 5rem)",
+          bottom: "calc(var(--sab, 0px) + 4rem)",
+          height: "auto",
+        }}
+      />
+
+      {/* ── Cargando ── */}
+      {!isLoaded && (
+        <div className="absolute inset-0 flex flex-col items-center justify-center gap-4 pointer-events-none">
+          {game.logo && (
+            <img src={game.logo} alt={game.title} className="w-16 h-16 object-contain drop-shadow-lg" draggable={false} />
+          )}
+          <span className="text-xs font-semibold font-mono text-cyan-300/70 animate-pulse">
+            {t("embed.loading")}
+          </span>
+        </div>
+      )}
+
+      {/* ── GAME OVER ── */}
+      {isEnded && (
+        <GameOverPanel
+          title="Game Over"
+          subtitle={t("embed.subtitle", { game: game.title })}
+          {...gameOverProps}
+        />
+      )}
+    </div>
+  );
+};
+
+export default EmbeddedGame;
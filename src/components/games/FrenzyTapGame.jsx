@@ -12,8 +12,8 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
-import { useLanguage } from "../../i18n";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 
 /* ─────────── Constantes ─────────── */
 const STATES = { IDLE: "idle", PLAYING: "playing", ENDED: "ended" };
@@ -22,15 +22,12 @@ const TICK_MS = 50;       // intervalo del timer (50ms → resolución 0.05s)
 
 /* ═══════════════════ COMPONENT ═══════════════════ */
 const FrenzyTapGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock, pinchGuardRef }) => {
-  const { t } = useLanguage();
   const [gameState, setGameState] = useState(STATES.IDLE);
   const [score, setScore]         = useState(0);
   const [timeLeft, setTimeLeft]   = useState(GAME_DURATION);
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
-  const { submit, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.FrenzyTapGame);
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.FrenzyTapGame, userId, isActive, onReplay, onNextGame,
+  });
 
   // Refs para mantener estado fiable dentro de callbacks/intervals
   const scoreRef     = useRef(0);
@@ -155,23 +152,9 @@ const FrenzyTapGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock, p
 
   // Enviar puntuación al terminar
   useEffect(() => {
-    if (isEnded && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(score, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [isEnded, score, userId, gameState, submit]);
+    if (isEnded) endSession(score);
+    if (gameState === STATES.IDLE) resetSession();
+  }, [isEnded, score, userId, gameState, endSession, resetSession]);
   const progress  = timeLeft / GAME_DURATION;            // 1 → 0
   const heat      = Math.min(1, score / 80);             // 0 → 1 gradual
 
@@ -302,17 +285,10 @@ const FrenzyTapGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock, p
       {isEnded && (
         <div className="absolute inset-0 flex items-center justify-center z-6 pointer-events-auto">
           <GameOverPanel
+            {...gameOverProps}
             title="Game Over"
             score={score}
             subtitle="taps"
-            onReplay={onReplay}
-            onNext={onNextGame}
-            ranking={ranking}
-            scoreMessage={scoreMessage}
-            xpGained={xpGained}
-            gameId={gameId}
-
-            isLoading={isRankingLoading}
           />
         </div>
       )}
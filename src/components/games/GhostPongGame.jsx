@@ -26,11 +26,14 @@
  *   onReplay      – callback para reiniciar
  *   userId        – ID del usuario logueado
  *   pinchGuardRef – ref para protección de pinch-zoom
+ *
+ * Fase de React, envío de score y Game Over: useGameSession.
  */
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ═══════════════════ CONSTANTES ═══════════════════ */
@@ -182,22 +185,18 @@ function createBoxEl(box, layer) {
 const GhostPongGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }) => {
   const { t } = useLanguage();
 
-  /* ── Estado de React (UI-only: fase y game over) ── */
-  const [phase, setPhase] = useState(PHASE.IDLE);
+  /* ── Sesión de partida (fase de React, submit y Game Over) ── */
+  const session = useGameSession({
+    gameId: GAME_IDS.GhostPongGame,
+    userId,
+    isActive,
+    onReplay,
+    onNextGame,
+  });
+  const { isPlaying, isEnded, start: startSession, end: endSession } = session;
   const [showGameOver, setShowGameOver] = useState(false);
 
-  /* ── Score/lives guardados para GameOverPanel (solo al terminar) ── */
-  const [finalScore, setFinalScore] = useState(0);
-
-  /* ── Submit de score ── */
-  const gameId = GAME_IDS.GhostPongGame || "ghost-pong";
-  const { submit: submitScore, xpGained } = useSubmitScore(userId, gameId);
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
-
-  /* ── Refs de fase ── */
+  /* ── Refs de fase (bucle de juego) ── */
   const phaseRef = useRef(PHASE.IDLE);
 
   /* ── Refs del contenedor y elementos DOM ── */
@@ -300,11 +299,9 @@ const GhostPongGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }
     s.boxes = [];
     s.spawnTimer = randomSpawnInterval();
 
-    setFinalScore(0);
     setShowGameOver(false);
-    scoreSubmitted.current = false;
     phaseRef.current = PHASE.PLAYING;
-    setPhase(PHASE.PLAYING);
+    startSession();
 
     // Renderizar posición inicial
     if (paddleRef.current) {
@@ -322,34 +319,18 @@ const GhostPongGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }
     // Sincronizar DOM de score y vidas
     syncScoreDom(0);
     syncLivesDom(0);
-  }, []);
+  }, [startSession]);
 
   /* ══════════════════════════════════════════════════
      GAME OVER
   ══════════════════════════════════════════════════ */
   const endGame = useCallback((score) => {
     phaseRef.current = PHASE.ENDED;
-    setPhase(PHASE.ENDED);
-    setFinalScore(score);
-
-    if (!scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-
-      // Mínimo 2.5s mostrando el score antes del panel de ranking
-      const minDelay = new Promise(r => setTimeout(r, 1000));
-
-      Promise.all([
-        submitScore(score).catch(() => null),
-        minDelay,
-      ]).then(([res]) => {
-        if (res?.data?.ranking) setRanking(res.data.ranking);
-        if (res?.message) setScoreMessage(res.message);
-        setIsRankingLoading(false);
-        setShowGameOver(true);
-      });
-    }
-  }, [submitScore]);
+
+    // Mínimo 1s mostrando el score antes del panel de ranking
+    const minDelay = new Promise(r => setTimeout(r, 1000));
+    Promise.all([endSession(score), minDelay]).then(() => setShowGameOver(true));
+  }, [endSession]);
 
   /* ══════════════════════════════════════════════════
      AUTO-START
@@ -414,7 +395,7 @@ const GhostPongGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }
      GAME LOOP — requestAnimationFrame
   ══════════════════════════════════════════════════ */
   useEffect(() => {
-    if (phase !== PHASE.PLAYING || !isActive) return;
+    if (!isPlaying) return; // la sesión se pausa sola con isActive=false
 
     let rafId;
     let lastTime = 0;
@@ -599,7 +580,6 @@ const GhostPongGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }
           s.vy = -Math.abs(s.vy);
           s.flashTimer = 0.35;
         } else {
-          setFinalScore(s.score);
           endGame(s.score);
           return;
         }
@@ -641,12 +621,11 @@ const GhostPongGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }
 
     rafId = requestAnimationFrame(loop);
     return () => cancelAnimationFrame(rafId);
-  }, [phase, isActive, endGame]);
+  }, [isPlaying, endGame]);
 
   /* ══════════════════════════════════════════════════
      RENDER
   ══════════════════════════════════════════════════ */
-  const isEnded = phase === PHASE.ENDED;
 
   return (
     <div className="relative w-full h-full flex items-center justify-center bg-[#0a0e17] select-none overflow-hidden">
@@ -659,7 +638,7 @@ const GhostPongGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }
           height: "100%",
           maxWidth: `${GAME_W}px`,
           maxHeight: `${GAME_H}px`,
-          touchAction: phase === PHASE.PLAYING ? "none" : "auto",
+          touchAction: isPlaying ? "none" : "auto",
           cursor: "none",
           background: "radial-gradient(ellipse at center, #0f172a 0%, #020617 40%, #0a0e17 100%)",
         }}
@@ -780,7 +759,7 @@ const GhostPongGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }
               filter: "drop-shadow(0 0 20px rgba(34,211,238,0.5)) drop-shadow(0 0 40px rgba(168,85,247,0.3))",
             }}
           >
-            {finalScore}
+            {session.finalScore}
           </span>
           <span
             className="text-sm font-mono uppercase tracking-widest text-fuchsia-400/70 mt-1"
@@ -795,15 +774,8 @@ const GhostPongGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }
       {isEnded && showGameOver && (
         <GameOverPanel
           title="Game Over"
-          score={finalScore}
           subtitle={t("ghostpong.subtitle")}
-          onReplay={onReplay}
-          onNext={onNextGame}
-          ranking={ranking}
-          scoreMessage={scoreMessage}
-          xpGained={xpGained}
-          gameId={gameId}
-          isLoading={isRankingLoading}
+          {...session.gameOverProps}
         />
       )}
     </div>
@@ -13,7 +13,7 @@
  * vectorial + restitución, detección de bordes, gravedad constante.
  *
  * Props:
- *   isActive    – arranca el juego al pasar a true
+ *   isActive    – arranca el juego al pasar a true; en false congela la partida
  *   onNextGame  – callback siguiente juego
  *   onReplay    – callback replay
  *   userId      – ID del usuario logueado
@@ -21,7 +21,8 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ═══════════════════ CONSTANTES ═══════════════════ */
@@ -134,13 +135,10 @@ const GravityDrawGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock,
   /* ── Dimensiones ── */
   const [dims, setDims] = useState({ w: 400, h: 700 });
 
-  /* ── Ranking / submit ── */
-  const [ranking, setRanking]                   = useState([]);
-  const [scoreMessage, setScoreMessage]         = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted                          = useRef(false);
-
-  const { submit, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.GravityDrawGame);
+  /* ── Sesión de partida (envío de score + Game Over) ── */
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.GravityDrawGame, userId, isActive, onReplay, onNextGame,
+  });
 
   /* ── Datos mutables del juego ── */
   const g = useRef({
@@ -168,6 +166,8 @@ const GravityDrawGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock,
     simStartTime: 0,
     // PRE_SIM
     preSimTime: 0,
+    // Pausa (isActive=false): momento en que se detuvo el bucle
+    pausedAt: 0,
     // Área de juego confinada (se recalcula)
     gameW: 450, offsetX: 0, ballR: BASE_BALL_R, goalS: BASE_GOAL_S,
   }).current;
@@ -241,15 +241,13 @@ const GravityDrawGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock,
     if (rafRef.current) cancelAnimationFrame(rafRef.current);
     scoreRef.current = 0;
     setScore(0);
-    scoreSubmitted.current = false;
-    setRanking([]);
-    setScoreMessage("");
+    resetSession();
     setupRound(0);
     g.phase = PHASE.DRAW;
     g.lastTime = performance.now();
     phaseRef.current = PHASE.DRAW;
     setPhase(PHASE.DRAW);
-  }, [setupRound, g]);
+  }, [setupRound, g, resetSession]);
 
   /* ── Auto-start ── */
   useEffect(() => {
@@ -263,6 +261,16 @@ const GravityDrawGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock,
     const canvas = canvasRef.current;
     if (!canvas) return;
     const ctx = canvas.getContext("2d");
+
+    // Vuelta de una pausa → desplazar los relojes de la ronda lo que duró
+    if (g.pausedAt) {
+      const pausedFor = performance.now() - g.pausedAt;
+      g.drawStartTime += pausedFor;
+      g.scoredTime    += pausedFor;
+      g.simStartTime  += pausedFor;
+      g.preSimTime    += pausedFor;
+      g.pausedAt = 0;
+    }
     const W = dims.w, H = dims.h;
     canvas.width  = W * devicePixelRatio;
     canvas.height = H * devicePixelRatio;
@@ -1067,6 +1075,7 @@ const GravityDrawGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock,
 
     return () => {
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
+      g.pausedAt = performance.now();
     };
   }, [phase, isActive, dims, g, setupRound, t]);
 
@@ -1199,23 +1208,9 @@ const GravityDrawGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock,
 
   /* ─────────── Enviar puntuación al terminar ─────────── */
   useEffect(() => {
-    if (phase === PHASE.ENDED && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(scoreRef.current, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (phase === PHASE.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [phase, submit, t]);
+    if (phase === PHASE.ENDED) endSession(scoreRef.current);
+    if (phase === PHASE.IDLE) resetSession();
+  }, [phase, endSession, resetSession]);
 
   /* ── Cleanup ── */
   useEffect(() => {
@@ -1290,17 +1285,10 @@ const GravityDrawGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock,
       {/* ── GAME OVER ── */}
       {isEnded && (
         <GameOverPanel
+          {...gameOverProps}
           title="Game Over"
           score={score}
           subtitle={t("gravitydraw.subtitle")}
-          onReplay={onReplay}
-          onNext={onNextGame}
-          ranking={ranking}
-          scoreMessage={scoreMessage}
-          xpGained={xpGained}
-          gameId={gameId}
-
-          isLoading={isRankingLoading}
         />
       )}
     </div>
@@ -15,8 +15,8 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
-import { useLanguage } from "../../i18n";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 
 /* ═══════════════════ CONSTANTES ═══════════════════ */
 const STATES = { IDLE: "idle", PLAYING: "playing", ENDED: "ended" };
@@ -170,7 +170,6 @@ const FlipCard = ({ card, isFlipped, result = null }) => (
 
 /* ═══════════════════ MAIN COMPONENT ═══════════════════ */
 const HigherLowerGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock, pinchGuardRef }) => {
-  const { t } = useLanguage();
 
   const [gameState, setGameState]     = useState(STATES.IDLE);
   const [score, setScore]             = useState(0);
@@ -179,23 +178,20 @@ const HigherLowerGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock,
   const [phase, setPhase]             = useState(PHASE.WAITING);
   const [result, setResult]           = useState(null);     // "correct" | "wrong" | null
   const [streak, setStreak]           = useState(0);
-  const [ranking, setRanking]         = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.HigherLowerGame, userId, isActive, onReplay, onNextGame,
+  });
 
   const deckRef         = useRef([]);
   const scoreRef        = useRef(0);
   const currentCardRef  = useRef(null);
   const gameStateRef    = useRef(STATES.IDLE);
-  const scoreSubmitted  = useRef(false);
   const lockingRef      = useRef(false);
   const scrollLockTORef = useRef(null);
   const t1Ref = useRef(null);
   const t2Ref = useRef(null);
   const t3Ref = useRef(null);
 
-  const { submit, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.HigherLowerGame);
-
   /* ── Arrancar partida ── */
   const startGame = useCallback(() => {
     deckRef.current       = createDeck();
@@ -236,23 +232,9 @@ const HigherLowerGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock,
 
   /* ── Enviar puntuación al terminar ── */
   useEffect(() => {
-    if (gameState === STATES.ENDED && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(score, () => {})
-        .then((res) => {
-          setRanking(res?.data?.ranking || []);
-          setScoreMessage(res?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [gameState, score, userId, submit]);
+    if (gameState === STATES.ENDED) endSession(score);
+    if (gameState === STATES.IDLE) resetSession();
+  }, [gameState, score, userId, endSession, resetSession]);
 
   /* ── Lógica de adivinanza ── */
   const handleGuess = useCallback((guess) => {
@@ -474,17 +456,10 @@ const HigherLowerGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock,
       {isEnded && (
         <div className="absolute inset-0 flex items-center justify-center z-6 pointer-events-auto">
           <GameOverPanel
+            {...gameOverProps}
             title="Game Over"
             score={score}
             subtitle={score === 1 ? "acierto" : "aciertos"}
-            onReplay={onReplay}
-            onNext={onNextGame}
-            ranking={ranking}
-            scoreMessage={scoreMessage}
-            xpGained={xpGained}
-            gameId={gameId}
-
-            isLoading={isRankingLoading}
           />
         </div>
       )}
@@ -13,7 +13,8 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ─────────── Constantes ─────────── */
@@ -69,11 +70,9 @@ const MathRushGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const [timeLeft, setTimeLeft]   = useState(INITIAL_TIME);
   const [maxTime, setMaxTime]     = useState(INITIAL_TIME);
   const [flash, setFlash]         = useState(null); // "green" | "red" | null
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
-  const { submit, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.MathRushGame);
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.MathRushGame, userId, isActive, onReplay, onNextGame,
+  });
 
   // Refs
   const scoreRef      = useRef(0);
@@ -224,23 +223,9 @@ const MathRushGame = ({ isActive, onNextGame, onReplay, userId }) => {
 
   // Enviar puntuación al terminar
   useEffect(() => {
-    if (isEnded && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(score, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [isEnded, score, userId, gameState, submit]);
+    if (isEnded) endSession(score);
+    if (gameState === STATES.IDLE) resetSession();
+  }, [isEnded, score, userId, gameState, endSession, resetSession]);
   const progress  = maxTime > 0 ? timeLeft / maxTime : 0;
 
   // Color de la barra
@@ -378,17 +363,10 @@ const MathRushGame = ({ isActive, onNextGame, onReplay, userId }) => {
       {isEnded && (
         <div className="absolute inset-0 flex items-center justify-center z-6 pointer-events-auto">
           <GameOverPanel
+            {...gameOverProps}
             title="Game Over"
             score={score}
             subtitle={t("mathrush.subtitle")}
-            onReplay={onReplay}
-            onNext={onNextGame}
-            ranking={ranking}
-            scoreMessage={scoreMessage}
-            xpGained={xpGained}
-            gameId={gameId}
-
-            isLoading={isRankingLoading}
           />
         </div>
       )}
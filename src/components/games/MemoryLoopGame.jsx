@@ -14,7 +14,8 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ─────────── Constantes ─────────── */
@@ -73,13 +74,10 @@ const MemoryLoopGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const progressBarRef  = useRef(null);
   const prevSecondsRef  = useRef(0);
 
-  /* ── Ranking / score ── */
-  const [ranking, setRanking]             = useState([]);
-  const [scoreMessage, setScoreMessage]   = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
-
-  const { submit, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.MemoryLoopGame);
+  /* ── Sesión de partida (envío de score + Game Over) ── */
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.MemoryLoopGame, userId, isActive, onReplay, onNextGame,
+  });
 
   /* ── Refs para evitar stale closures ── */
   const sequenceRef    = useRef(sequence);
@@ -165,15 +163,13 @@ const MemoryLoopGame = ({ isActive, onNextGame, onReplay, userId }) => {
     setFlashError(-1);
     setTimeLeft(0);
     setTimeLimit(0);
-    scoreSubmitted.current = false;
-    setRanking([]);
-    setScoreMessage("");
+    resetSession();
     setGameState(STATES.PLAYING);
 
     // Pequeña pausa antes de la primera ronda
     const id = setTimeout(() => startNextRound([]), 600);
     showTimeoutIds.current.push(id);
-  }, [startNextRound]);
+  }, [startNextRound, resetSession]);
 
   useEffect(() => {
     if (isActive && gameState === STATES.IDLE) startGame();
@@ -279,23 +275,9 @@ const MemoryLoopGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const isEnded = gameState === STATES.ENDED;
 
   useEffect(() => {
-    if (isEnded && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(score, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [isEnded, score, submit, gameState, t]);
+    if (isEnded) endSession(score);
+    if (gameState === STATES.IDLE) resetSession();
+  }, [isEnded, score, gameState, endSession, resetSession]);
 
   /* ─────────── Cleanup ─────────── */
 
@@ -448,17 +430,10 @@ const MemoryLoopGame = ({ isActive, onNextGame, onReplay, userId }) => {
         {/* ── GAME OVER ── */}
         {isEnded && (
           <GameOverPanel
+            {...gameOverProps}
             title="Game Over"
             score={score}
             subtitle={t("memoryloop.subtitle")}
-            onReplay={onReplay}
-            onNext={onNextGame}
-            ranking={ranking}
-            scoreMessage={scoreMessage}
-            xpGained={xpGained}
-            gameId={gameId}
-
-            isLoading={isRankingLoading}
           />
         )}
       </div>
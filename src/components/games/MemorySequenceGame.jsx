@@ -12,9 +12,10 @@
  *   userId     – ID de Supabase (puede ser undefined)
  */
 
-import { useState, useEffect, useCallback, useRef, useMemo } from "react";
+import { useState, useEffect, useCallback, useMemo } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ═══════════════════ CONSTANTS ═══════════════════ */
@@ -89,19 +90,16 @@ const MemorySequenceGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const [score, setScore] = useState(0);
   const [transitioning, setTransitioning] = useState(false);
 
-  /* ── GameOver/Ranking state ── */
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
+  /* ── Sesión de partida (envío de score + Game Over) ── */
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.MemorySequenceGame, userId, isActive, onReplay, onNextGame,
+  });
 
   /* ── Flash feedback ── */
   const [wrongId, setWrongId] = useState(null);
   const [roundFlash, setRoundFlash] = useState(false);
   const [failed, setFailed] = useState(false);
 
-  const { submit, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.MemorySequenceGame);
-
   /* ── Start game when isActive flips ── */
   const startGame = useCallback(() => {
     const initialSquares = generateLevel(STARTING_SQUARES);
@@ -200,23 +198,9 @@ const MemorySequenceGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const isEnded = gameState === STATES.ENDED;
 
   useEffect(() => {
-    if (isEnded && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(score, () => {})
-        .then((r) => {
-          setRanking(r?.data?.ranking || []);
-          setScoreMessage(r?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [isEnded, score, submit, gameState, t]);
+    if (isEnded) endSession(score);
+    if (gameState === STATES.IDLE) resetSession();
+  }, [isEnded, score, gameState, endSession, resetSession]);
 
   /* ── Computed values ── */
   const totalInRound = STARTING_SQUARES + round - 1;
@@ -303,16 +287,10 @@ const MemorySequenceGame = ({ isActive, onNextGame, onReplay, userId }) => {
       {/* Game Over */}
       {isEnded && (
         <GameOverPanel
+          {...gameOverProps}
           title="Game Over"
           score={score}
           subtitle={t("memseq.subtitle")}
-          onReplay={onReplay}
-          onNext={onNextGame}
-          ranking={ranking}
-          scoreMessage={scoreMessage}
-          xpGained={xpGained}
-          gameId={gameId}
-          isLoading={isRankingLoading}
         />
       )}
     </div>
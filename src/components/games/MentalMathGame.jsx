@@ -12,7 +12,8 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ═══════════════════════════════════════════════════
@@ -208,9 +209,9 @@ const MentalMathGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const [feedback, setFeedback] = useState(null);   // null | 'correct' | index
   const [scorePop, setScorePop] = useState(false);   // triggers pop anim
   const [questionKey, setQuestionKey] = useState(0);  // triggers fade-in
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.MentalMathGame, userId, isActive, onReplay, onNextGame,
+  });
 
   /* ── Refs ── */
   const phaseRef = useRef(STATES.IDLE);
@@ -219,7 +220,6 @@ const MentalMathGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const maxTimeRef = useRef(BASE_TIME);
   const rafRef = useRef(null);
   const lastFrameRef = useRef(null);
-  const scoreSubmitted = useRef(false);
   const feedbackTimeoutRef = useRef(null);
   const popTimeoutRef = useRef(null);
   const isActiveRef = useRef(isActive);
@@ -230,8 +230,6 @@ const MentalMathGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const barTextRef = useRef(null);
   const barContainerRef = useRef(null);
 
-  const { submit, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.MentalMathGame);
-
   /* ── RAF Timer Loop (direct DOM — 60 fps, no re-renders) ── */
   const syncBarDOM = useCallback(() => {
     const pct = maxTimeRef.current > 0
@@ -306,14 +304,12 @@ const MentalMathGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const startGame = useCallback(() => {
     scoreRef.current = 0;
     phaseRef.current = STATES.PLAYING;
-    scoreSubmitted.current = false;
+    resetSession();
     setScore(0);
     setPhase(STATES.PLAYING);
-    setRanking([]);
-    setScoreMessage("");
     nextRound(0);
     startTimerLoop();
-  }, [nextRound, startTimerLoop]);
+  }, [nextRound, startTimerLoop, resetSession]);
 
   /* ── Handle Answer ── */
   const handleAnswer = useCallback((value, index) => {
@@ -367,16 +363,9 @@ const MentalMathGame = ({ isActive, onNextGame, onReplay, userId }) => {
 
   /* ── Score Submission ── */
   useEffect(() => {
-    if (phase === STATES.ENDED && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(score, () => {})
-        .then((r) => { setRanking(r?.data?.ranking || []); setScoreMessage(r?.message || ""); })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (phase === STATES.IDLE) { scoreSubmitted.current = false; setRanking([]); setScoreMessage(""); }
-  }, [phase, score, submit, t]);
+    if (phase === STATES.ENDED) endSession(score);
+    if (phase === STATES.IDLE) resetSession();
+  }, [phase, score, endSession, resetSession]);
 
   /* ── Replay ── */
   const handleReplay = useCallback(() => {
@@ -540,17 +529,11 @@ const MentalMathGame = ({ isActive, onNextGame, onReplay, userId }) => {
         {/* ── ENDED ── */}
         {isEnded && (
           <GameOverPanel
+            {...gameOverProps}
             title="Game Over"
             score={score}
             subtitle="correct answers"
             onReplay={handleReplay}
-            onNext={onNextGame}
-            ranking={ranking}
-            scoreMessage={scoreMessage}
-            xpGained={xpGained}
-            gameId={gameId}
-
-            isLoading={isRankingLoading}
           />
         )}
       </div>
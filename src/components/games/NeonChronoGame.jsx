@@ -18,7 +18,8 @@
 
 import { useState, useEffect, useCallback, useRef, useMemo } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage, t } from "../../i18n";
 
 /* ══════════════════════════════════════════════════════════════════
@@ -121,14 +122,10 @@ const NeonChronoGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const resultTimer = useRef(null);   // timeout para avanzar tras RESULT
   const seedRef     = useRef({});     // incrementos random por ronda
 
-  /* ── Score submission ── */
-  const [ranking, setRanking]             = useState([]);
-  const [scoreMessage, setScoreMessage]   = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
-  const { submit, xpGained, gameId } =
-    useSubmitScore(userId, GAME_IDS.NeonChronoGame);
-
+  /* ── Sesión de partida (envío de score + Game Over) ── */
+  const { end: endSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.NeonChronoGame, userId, isActive, onReplay, onNextGame,
+  });
   /* ── Derivados ── */
   const neon       = NEON[round % NEON.length];
   const roundCfg   = useMemo(() => generateRound(round, seedRef), [round]);
@@ -208,17 +205,8 @@ const NeonChronoGame = ({ isActive, onNextGame, onReplay, userId }) => {
      SUBMIT SCORE
      ══════════════════════════════════════════════════════════════ */
   useEffect(() => {
-    if (phase !== PHASE.GAMEOVER || scoreSubmitted.current) return;
-    scoreSubmitted.current = true;
-    setIsRankingLoading(true);
-    submit(round, () => {})
-      .then((r) => {
-        setRanking(r?.data?.ranking || []);
-        setScoreMessage(r?.message || "");
-      })
-      .catch(() => setScoreMessage(t("svc.score_error")))
-      .finally(() => setIsRankingLoading(false));
-  }, [phase, round, submit]);
+    if (phase === PHASE.GAMEOVER) endSession(round);
+  }, [phase, round, endSession]);
 
   /* ── Game Over title ── */
   const gameOverTitle = round >= 10
@@ -594,16 +582,10 @@ const NeonChronoGame = ({ isActive, onNextGame, onReplay, userId }) => {
           ═══════════════════════════════════════════════════════ */}
       {isGameOver && (
         <GameOverPanel
+          {...gameOverProps}
           title={gameOverTitle}
           score={`${round}`}
           subtitle={t("neonchrono.subtitle")}
-          onReplay={onReplay}
-          onNext={onNextGame}
-          ranking={ranking}
-          scoreMessage={scoreMessage}
-          xpGained={xpGained}
-          gameId={gameId}
-          isLoading={isRankingLoading}
         />
       )}
     </div>
@@ -13,7 +13,8 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ─────────── Constantes ─────────── */
@@ -77,12 +78,9 @@ const NeonTapGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const [combo, setCombo]         = useState(0);          // aciertos seguidos
   const [penaltyFlash, setPenaltyFlash] = useState(false);
   const [shaking, setShaking]     = useState(false);
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
-
-  const { submit, loading: isSubmittingScore, error: submitError, lastResult, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.NeonTapGame);
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.NeonTapGame, userId, isActive, onReplay, onNextGame,
+  });
 
   const intervalRef = useRef(INITIAL_INTERVAL);
   const lastChangeTimeRef = useRef(0);        // timestamp del último cambio de objetivo
@@ -244,23 +242,9 @@ const NeonTapGame = ({ isActive, onNextGame, onReplay, userId }) => {
 
   // Enviar puntuación al terminar
   useEffect(() => {
-    if (isEnded && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(score, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [isEnded, score, submit, gameState]);
+    if (isEnded) endSession(score);
+    if (gameState === STATES.IDLE) resetSession();
+  }, [isEnded, score, gameState, endSession, resetSession]);
   const timerPct    = Math.min(100, (timeLeft / GAME_DURATION) * 100);
   const isLowTime   = timeLeft <= 5;
   const neon        = NEON_PALETTE[neonIdx];
@@ -397,17 +381,10 @@ const NeonTapGame = ({ isActive, onNextGame, onReplay, userId }) => {
         {/* ── GAME OVER ── */}
         {isEnded && (
           <GameOverPanel
+            {...gameOverProps}
             title="Game Over"
             score={score}
             subtitle={t("neontap.subtitle")}
-            onReplay={onReplay}
-            onNext={onNextGame}
-            ranking={ranking}
-            scoreMessage={scoreMessage}
-            xpGained={xpGained}
-            gameId={gameId}
-
-            isLoading={isRankingLoading}
           />
         )}
       </div>
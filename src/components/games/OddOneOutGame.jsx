@@ -8,6 +8,9 @@
  * - Diferencia de color cada vez más sutil
  * - 30 s de tiempo total (+1 s por acierto, −2 s por fallo)
  * - Vibración y flash rojo al fallar
+ * - En modo daltónico el tono base sale de los rangos de la paleta; la
+ *   diferencia sigue siendo solo de luminosidad (misma dificultad) y sin
+ *   símbolos, que delatarían la casilla
  *
  * Props:
  *   isActive (boolean) — cuando pasa a true, arranca el reloj
@@ -15,8 +18,11 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
+import { useColorVision } from "../../hooks/useColorVision";
+import { randomHue } from "../../utils/colorVision";
 
 /* ─────────── Constantes ─────────── */
 
@@ -29,8 +35,8 @@ const TIME_PENALTY = 2; // segundos restados por fallo
 /* ─────────── Utilidades de color ─────────── */
 
 /** Color HSL base aleatorio con buena saturación y luminosidad */
-function randomBaseColor() {
-  const h = Math.floor(Math.random() * 360);
+function randomBaseColor(palette) {
+  const h = randomHue(palette);
   const s = 55 + Math.floor(Math.random() * 25); // 55-80 %
   const l = 38 + Math.floor(Math.random() * 22); // 38-60 %
   return { h, s, l };
@@ -42,10 +48,10 @@ function colorDiffForLevel(level) {
 }
 
 /** Genera la cuadrícula para un nivel dado */
-function generateGrid(level) {
+function generateGrid(level, palette) {
   const size = Math.min(level + 1, MAX_GRID);
   const total = size * size;
-  const { h, s, l } = randomBaseColor();
+  const { h, s, l } = randomBaseColor(palette);
 
   const diff = colorDiffForLevel(level);
   const dir = Math.random() > 0.5 ? 1 : -1;
@@ -64,22 +70,20 @@ function generateGrid(level) {
 
 const OddOneOutGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const { t } = useLanguage();
+  const { palette } = useColorVision();
   const [level, setLevel] = useState(1);
   const [score, setScore] = useState(0);
   const [timeLeft, setTimeLeft] = useState(INITIAL_TIME);
   const [gameState, setGameState] = useState(GAME_STATES.IDLE);
-  const [grid, setGrid] = useState(() => generateGrid(1));
+  const [grid, setGrid] = useState(() => generateGrid(1, palette));
 
   /* Feedback visual */
   const [shaking, setShaking] = useState(false);
   const [flashCorrect, setFlashCorrect] = useState(false);
   const [penaltyFlash, setPenaltyFlash] = useState(false);
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
-
-  const { submit, loading: isSubmittingScore, error: submitError, lastResult, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.OddOneOutGame);
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.OddOneOutGame, userId, isActive, onReplay, onNextGame,
+  });
 
   const timerRef = useRef(null);
   const hasStartedRef = useRef(false);
@@ -161,7 +165,7 @@ const OddOneOutGame = ({ isActive, onNextGame, onReplay, userId }) => {
         const newLevel = level + 1;
         setScore((s) => s + 1);
         setLevel(newLevel);
-        setGrid(generateGrid(newLevel));
+        setGrid(generateGrid(newLevel, palette));
         setFlashCorrect(true);
         setTimeout(() => setFlashCorrect(false), 300);
       } else {
@@ -181,7 +185,7 @@ const OddOneOutGame = ({ isActive, onNextGame, onReplay, userId }) => {
         if (navigator.vibrate) navigator.vibrate(100);
       }
     },
-    [gameState, grid, level],
+    [gameState, grid, level, palette],
   );
 
   /* ── Reiniciar partida ── */
@@ -192,12 +196,12 @@ const OddOneOutGame = ({ isActive, onNextGame, onReplay, userId }) => {
     timeRef.current = INITIAL_TIME;
     lastFrameRef.current = null;
     prevSecondsRef.current = INITIAL_TIME;
-    setGrid(generateGrid(1));
+    setGrid(generateGrid(1, palette));
     setGameState(GAME_STATES.PLAYING);
     setShaking(false);
     setFlashCorrect(false);
     setPenaltyFlash(false);
-  }, []);
+  }, [palette]);
 
   /* ── Valores derivados ── */
   const timerPercent = Math.min(100, (timeLeft / INITIAL_TIME) * 100);
@@ -208,23 +212,9 @@ const OddOneOutGame = ({ isActive, onNextGame, onReplay, userId }) => {
 
   // Enviar puntuación al terminar
   useEffect(() => {
-    if (isEnded && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(score, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === GAME_STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [isEnded, score, submit, gameState]);
+    if (isEnded) endSession(score);
+    if (gameState === GAME_STATES.IDLE) resetSession();
+  }, [isEnded, score, gameState, endSession, resetSession]);
 
   const gapPx = grid.size <= 3 ? 10 : grid.size <= 5 ? 6 : grid.size <= 7 ? 4 : 3;
   const radius = grid.size <= 4 ? 12 : grid.size <= 6 ? 8 : 5;
@@ -355,17 +345,10 @@ const OddOneOutGame = ({ isActive, onNextGame, onReplay, userId }) => {
         {/* ========== GAME OVER ========== */}
         {isEnded && (
           <GameOverPanel
+            {...gameOverProps}
             title="Game Over"
             score={score}
             subtitle={t("oddoneout.reached", { level })}
-            onReplay={onReplay}
-            onNext={onNextGame}
-            ranking={ranking}
-            scoreMessage={scoreMessage}
-            xpGained={xpGained}
-            gameId={gameId}
-
-            isLoading={isRankingLoading}
           />
         )}
       </div>
@@ -18,7 +18,8 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ─────────── Fases ─────────── */
@@ -132,13 +133,10 @@ const OrbitSniperGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
   const lastTimeRef = useRef(0);
   const phaseRef = useRef(PHASE.IDLE);
 
-  /* ── Estado de ranking ── */
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
-
-  const { submit, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.OrbitSniperGame);
+  /* ── Sesión de partida (envío de score + Game Over) ── */
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.OrbitSniperGame, userId, isActive, onReplay, onNextGame,
+  });
 
   /* ─────────── Medir contenedor ─────────── */
   useEffect(() => {
@@ -238,9 +236,7 @@ const OrbitSniperGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
 
     scoreRef.current = 0;
     setScore(0);
-    scoreSubmitted.current = false;
-    setRanking([]);
-    setScoreMessage("");
+    resetSession();
 
     generateTarget(0);
 
@@ -248,7 +244,7 @@ const OrbitSniperGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
     forceRender();
     phaseRef.current = PHASE.ORBITING;
     setPhase(PHASE.ORBITING);
-  }, [dims.w, dims.h, generateTarget, forceRender, g]);
+  }, [dims.w, dims.h, generateTarget, forceRender, g, resetSession]);
 
   /* ── Auto-start cuando isActive ── */
   useEffect(() => {
@@ -395,23 +391,9 @@ const OrbitSniperGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
 
   /* ── Enviar puntuación al terminar ── */
   useEffect(() => {
-    if (phase === PHASE.ENDED && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(scoreRef.current, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (phase === PHASE.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [phase, submit, t]);
+    if (phase === PHASE.ENDED) endSession(scoreRef.current);
+    if (phase === PHASE.IDLE) resetSession();
+  }, [phase, endSession, resetSession]);
 
   /* ── Derivados ── */
   const isPlaying = phase === PHASE.ORBITING || phase === PHASE.SHOOTING || phase === PHASE.TRAVELING;
@@ -622,17 +604,10 @@ const OrbitSniperGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
       {/* ── GAME OVER panel ── */}
       {isEnded && (
         <GameOverPanel
+          {...gameOverProps}
           title="Game Over"
           score={score}
           subtitle={t("orbitsniper.subtitle")}
-          onReplay={onReplay}
-          onNext={onNextGame}
-          ranking={ranking}
-          scoreMessage={scoreMessage}
-          xpGained={xpGained}
-          gameId={gameId}
-
-          isLoading={isRankingLoading}
         />
       )}
 
@@ -18,7 +18,8 @@
 import { useState, useEffect, useCallback, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ─────────── Constantes ─────────── */
@@ -73,12 +74,9 @@ const OverheatGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef })
   const [timeLeft, setTimeLeft] = useState(0);
   const [flash, setFlash] = useState(""); // "green" | "red" | ""
   const [tapPulse, setTapPulse] = useState(false);
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
-
-  const { submit, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.OverheatGame);
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.OverheatGame, userId, isActive, onReplay, onNextGame,
+  });
 
   // Refs for stable callbacks
   const scoreRef = useRef(0);
@@ -158,12 +156,10 @@ const OverheatGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef })
   const startGame = useCallback(() => {
     scoreRef.current = 0;
     gameStateRef.current = STATES.PLAYING;
-    scoreSubmitted.current = false;
+    resetSession();
     setScore(0);
     setGameState(STATES.PLAYING);
     setFlash("");
-    setRanking([]);
-    setScoreMessage("");
 
     startRound(0);
 
@@ -183,7 +179,7 @@ const OverheatGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef })
         setTimeLeft(timeLeftRef.current);
       }
     }, TICK_MS);
-  }, [startRound, endGame, winRound]);
+  }, [startRound, endGame, winRound, resetSession]);
 
   /* ── Auto-start when isActive becomes true ── */
   useEffect(() => {
@@ -298,23 +294,9 @@ const OverheatGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef })
   /* ── Submit score on game end ── */
   const isEnded = gameState === STATES.ENDED;
   useEffect(() => {
-    if (isEnded && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(score, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [isEnded, score, gameState, submit, t]);
+    if (isEnded) endSession(score);
+    if (gameState === STATES.IDLE) resetSession();
+  }, [isEnded, score, gameState, endSession, resetSession]);
 
   /* ── Derived values ── */
   const progress = roundTime > 0 ? timeLeft / roundTime : 1;
@@ -594,17 +576,10 @@ const OverheatGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef })
       {isEnded && (
         <div className="absolute inset-0 flex items-center justify-center z-6 pointer-events-auto">
           <GameOverPanel
+            {...gameOverProps}
             title="Game Over"
             score={score}
             subtitle={t("overheat.rounds")}
-            onReplay={onReplay}
-            onNext={onNextGame}
-            ranking={ranking}
-            scoreMessage={scoreMessage}
-            xpGained={xpGained}
-            gameId={gameId}
-
-            isLoading={isRankingLoading}
           />
         </div>
       )}
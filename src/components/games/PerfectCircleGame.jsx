@@ -9,7 +9,8 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ─────────── Constantes ─────────── */
@@ -53,12 +54,11 @@ const PerfectCircleGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardR
   isActiveRef.current = isActive;
   const pausedAtRef = useRef(null); // timestamp cuando se pausó el timer
 
-  // ── Ranking ──
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const scoreSubmitted = useRef(false);
-
-  const { submit, loading: isSubmittingScore, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.PerfectCircleGame);
+  // ── Sesión de partida (envío de score + Game Over) ──
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.PerfectCircleGame, userId, isActive, onReplay, onNextGame,
+    formatScore: (raw) => `${(raw / 10).toFixed(1)}%`, // BD: décimas de %
+  });
 
   // ── Canvas & drawing refs ──
   const canvasRef = useRef(null);
@@ -118,7 +118,7 @@ const PerfectCircleGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardR
     pointsRef.current = [];
     isDrawingRef.current = false;
     analysisRef.current = null;
-    scoreSubmitted.current = false;
+    resetSession();
     timerStartRef.current = null;
     cancelAnimationFrame(timerRafRef.current);
     cancelAnimationFrame(counterRafRef.current);
@@ -127,8 +127,6 @@ const PerfectCircleGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardR
     setErrorMsg(null);
     setAnimatedScore(0);
     setTimeLeft(TIME_LIMIT);
-    setRanking([]);
-    setScoreMessage("");
     setPhase(PHASES.IDLE);
     const canvas = canvasRef.current;
     if (canvas) {
@@ -137,7 +135,7 @@ const PerfectCircleGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardR
       ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
       ctx.clearRect(0, 0, canvas.width, canvas.height);
     }
-  }, []);
+  }, [resetSession]);
 
   /* ═══════════════════ DRAWING ═══════════════════ */
   const getCanvasPoint = useCallback((e) => {
@@ -358,14 +356,8 @@ const PerfectCircleGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardR
 
   /* ─────────── Submit score on ENDED ─────────── */
   useEffect(() => {
-    if (phase === PHASES.ENDED && displayScore != null && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      submit(displayScore).then((r) => {
-        if (r?.data?.ranking) setRanking(r.data.ranking);
-        if (r?.message) setScoreMessage(r.message);
-      });
-    }
-  }, [phase, displayScore, submit]);
+    if (phase === PHASES.ENDED && displayScore != null) endSession(displayScore);
+  }, [phase, displayScore, endSession]);
 
   /* ─────────── Reanudar rAF del timer al recuperar foco ─────────── */
   useEffect(() => {
@@ -566,16 +558,10 @@ const PerfectCircleGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardR
       {/* ── GameOverPanel (only in ENDED) ── */}
       {isEnded && (
         <GameOverPanel
+          {...gameOverProps}
           title="Game Over"
-          score={`${displayScore != null ? (displayScore / 10).toFixed(1) : '0'}%`}
           subtitle={errorMsg || t("perfectcircle.subtitle")}
           onReplay={handleReplay}
-          onNext={onNextGame}
-          ranking={ranking.map(r => ({ ...r, score: `${(Number(r.score) / 10).toFixed(1)}%` }))}
-          scoreMessage={scoreMessage}
-          xpGained={xpGained}
-          gameId={gameId}
-          isLoading={isSubmittingScore}
         />
       )}
     </div>
@@ -16,7 +16,8 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ─────────── Constantes ─────────── */
@@ -47,12 +48,10 @@ const PerfectScaleGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRe
   const isActiveRef = useRef(isActive);
   isActiveRef.current = isActive;
 
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
-
-  const { submit, loading: isSubmittingScore, error: submitError, lastResult, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.PerfectScaleGame);
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.PerfectScaleGame, userId, isActive, onReplay, onNextGame,
+    lowerIsBetter: true,
+  });
 
   /* ── Generar objetivo aleatorio y preparar ── */
   const initRound = useCallback(() => {
@@ -124,23 +123,9 @@ const PerfectScaleGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRe
 
   // Enviar puntuación al terminar (is_lower_better=true, score = diff en px)
   useEffect(() => {
-    if (isEnded && score !== null && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(score, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [isEnded, score, submit, gameState]);
+    if (isEnded && score !== null) endSession(score);
+    if (gameState === STATES.IDLE) resetSession();
+  }, [isEnded, score, gameState, endSession, resetSession]);
 
   // Precisión visual: de 0 (lejos) a 1 (perfecto)
   const precision   = score !== null ? Math.max(0, 1 - score / 150) : 0;
@@ -301,17 +286,10 @@ const PerfectScaleGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRe
         {isEnded && (
           <div className="absolute inset-0 flex items-center justify-center pointer-events-auto">
             <GameOverPanel
+              {...gameOverProps}
               title="Game Over"
               score={`${score}px`}
               subtitle={t("perfectscale.subtitle")}
-              onReplay={onReplay}
-              onNext={onNextGame}
-              ranking={ranking}
-              scoreMessage={scoreMessage}
-              xpGained={xpGained}
-              gameId={gameId}
-
-              isLoading={isRankingLoading}
             />
           </div>
         )}
@@ -14,7 +14,8 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ─────────── Constantes ─────────── */
@@ -65,12 +66,10 @@ const RPSDuelGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const [maxTime, setMaxTime]     = useState(INITIAL_TIME);
   const [flash, setFlash]         = useState(null); // "green" | "red" | null
 
-  // ── Ranking / submit ──
-  const [ranking, setRanking]               = useState([]);
-  const [scoreMessage, setScoreMessage]     = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
-  const { submit, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.RPSDuelGame);
+  // ── Sesión de partida (envío de score + Game Over) ──
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.RPSDuelGame, userId, isActive, onReplay, onNextGame,
+  });
 
   // ── Refs (para acceso síncrono dentro de intervals) ──
   const scoreRef     = useRef(0);
@@ -219,23 +218,9 @@ const RPSDuelGame = ({ isActive, onNextGame, onReplay, userId }) => {
 
   /* ── Submit score on end ── */
   useEffect(() => {
-    if (gameState === STATES.ENDED && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(score, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [gameState, score, submit, t]);
+    if (gameState === STATES.ENDED) endSession(score);
+    if (gameState === STATES.IDLE) resetSession();
+  }, [gameState, score, endSession, resetSession]);
 
   /* ── Derived ── */
   const isPlaying = gameState === STATES.PLAYING;
@@ -381,17 +366,10 @@ const RPSDuelGame = ({ isActive, onNextGame, onReplay, userId }) => {
       {isEnded && (
         <div className="absolute inset-0 flex items-center justify-center z-6 pointer-events-auto">
           <GameOverPanel
+            {...gameOverProps}
             title="Game Over"
             score={score}
             subtitle={t("rpsduel.subtitle")}
-            onReplay={onReplay}
-            onNext={onNextGame}
-            ranking={ranking}
-            scoreMessage={scoreMessage}
-            xpGained={xpGained}
-            gameId={gameId}
-
-            isLoading={isRankingLoading}
           />
         </div>
       )}
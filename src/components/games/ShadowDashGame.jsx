@@ -12,7 +12,8 @@
  * - TODO usa requestAnimationFrame + deltaTime.
  *
  * Props:
- *   isActive   – cuando pasa a true, arranca el juego
+ *   isActive   – cuando pasa a true, arranca el juego; en false congela la
+ *                partida (bucle y splash de muerte)
  *   onNextGame – callback para "siguiente juego"
  *   onReplay   – callback para reiniciar
  *   userId     – ID del usuario logueado
@@ -22,7 +23,8 @@
 import { useState, useEffect, useCallback, useRef } from "react";
 import { Eye, EyeOff, AlertTriangle, Shield } from "lucide-react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ═══════════════════ CONSTANTES ═══════════════════ */
@@ -72,14 +74,11 @@ const ShadowDashGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock,
   const [flashRed, setFlashRed] = useState(false);
   const [deathCause, setDeathCause] = useState(null); // "eye" | "panic"
   const [showGameOver, setShowGameOver] = useState(false);
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.ShadowDashGame, userId, isActive, onReplay, onNextGame,
+  });
   const [bgOffset, setBgOffset] = useState(0);
 
-  const scoreSubmitted = useRef(false);
-  const { submit, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.ShadowDashGame);
-
   // Refs para el game loop
   const gameStateRef = useRef(STATES.IDLE);
   const scoreRef = useRef(0);
@@ -92,6 +91,8 @@ const ShadowDashGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock,
   const bgOffsetRef = useRef(0);
   const scrollLockTORef = useRef(null);
   const deathTimerRef = useRef(null);
+  const deathDueRef = useRef(0);       // performance.now() en que acaba el splash de muerte
+  const deathLeftRef = useRef(0);      // ms de splash pendientes al congelar la partida
   const isActiveRef = useRef(isActive);
   isActiveRef.current = isActive;
   const progressBarRef = useRef(null);
@@ -135,6 +136,18 @@ const ShadowDashGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock,
     }
   }, [getDifficulty]);
 
+  /* ── Fin del splash de muerte → GameOverPanel ── */
+  const showGameOverAfter = useCallback((ms) => {
+    deathDueRef.current = performance.now() + ms;
+    deathTimerRef.current = setTimeout(() => {
+      deathTimerRef.current = null;
+      gameStateRef.current = STATES.ENDED;
+      setGameState(STATES.ENDED);
+      setShowGameOver(true);
+      scrollLockTORef.current = setTimeout(() => onScrollLock?.(false), 2000);
+    }, ms);
+  }, [onScrollLock]);
+
   /* ── End game ── */
   const endGame = useCallback((cause) => {
     gameStateRef.current = STATES.DYING;
@@ -144,13 +157,8 @@ const ShadowDashGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock,
     setTimeout(() => setFlashRed(false), 500);
 
     // Mostrar splash de muerte 1.5s, luego pasar a ENDED con GameOverPanel
-    deathTimerRef.current = setTimeout(() => {
-      gameStateRef.current = STATES.ENDED;
-      setGameState(STATES.ENDED);
-      setShowGameOver(true);
-      scrollLockTORef.current = setTimeout(() => onScrollLock?.(false), 2000);
-    }, 1500);
-  }, [onScrollLock]);
+    showGameOverAfter(1500);
+  }, [showGameOverAfter]);
 
   /* ── Game loop (rAF) ── */
   const gameLoop = useCallback((timestamp) => {
@@ -269,7 +277,7 @@ const ShadowDashGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock,
     if (isActive && gameState === STATES.IDLE) startGame();
   }, [isActive, startGame, gameState]);
 
-  /* ── Pausar/reanudar rAF al perder/ganar foco ── */
+  /* ── Pausar/reanudar rAF y splash de muerte al perder/ganar foco ── */
   useEffect(() => {
     if (!isActive && gameStateRef.current === STATES.PLAYING) {
       if (rafRef.current) { cancelAnimationFrame(rafRef.current); rafRef.current = null; }
@@ -278,7 +286,16 @@ const ShadowDashGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock,
       prevTimeRef.current = null; // Reset deltaTime para evitar salto
       rafRef.current = requestAnimationFrame(gameLoop);
     }
-  }, [isActive, gameLoop]);
+    // Congelado durante el splash → guardar lo que le queda y seguir al volver
+    if (!isActive && gameStateRef.current === STATES.DYING && deathTimerRef.current) {
+      clearTimeout(deathTimerRef.current);
+      deathTimerRef.current = null;
+      deathLeftRef.current = Math.max(0, deathDueRef.current - performance.now());
+    }
+    if (isActive && gameStateRef.current === STATES.DYING && !deathTimerRef.current) {
+      showGameOverAfter(deathLeftRef.current);
+    }
+  }, [isActive, gameLoop, showGameOverAfter]);
 
   /* ── Cleanup ── */
   useEffect(() => {
@@ -310,24 +327,9 @@ const ShadowDashGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock,
 
   useEffect(() => {
     // Submit during DYING so ranking is ready when GameOverPanel shows
-    if ((isDying || isEnded) && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      const finalScore = Math.floor(scoreRef.current);
-      submit(finalScore, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [isDying, isEnded, gameState, submit, t]);
+    if (isDying || isEnded) endSession(Math.floor(scoreRef.current));
+    if (gameState === STATES.IDLE) resetSession();
+  }, [isDying, isEnded, gameState, endSession, resetSession]);
 
   /* ═══════════════════════════════════════════════════════
      DERIVADOS VISUALES — CYBERPUNK STEALTH
@@ -913,17 +915,10 @@ const ShadowDashGame = ({ isActive, onNextGame, onReplay, userId, onScrollLock,
         {isEnded && showGameOver && (
           <div className="absolute inset-0 flex items-center justify-center z-30 pointer-events-auto">
             <GameOverPanel
+              {...gameOverProps}
               title={deathCause === "eye" ? t("shadowdash.death_eye") : t("shadowdash.death_panic")}
               score={score}
               subtitle={t("shadowdash.subtitle")}
-              onReplay={onReplay}
-              onNext={onNextGame}
-              ranking={ranking}
-              scoreMessage={scoreMessage}
-              xpGained={xpGained}
-              gameId={gameId}
-
-              isLoading={isRankingLoading}
             />
           </div>
         )}
@@ -8,6 +8,10 @@
  *
  * Puntuación = plataformas cruzadas con éxito.
  *
+ * Replays: plataformas con PRNG sembrado + longitud de cada palo soltado
+ * (evento "r"). Desde el Top 5 se puede ver la partida de otro jugador en
+ * este mismo slide; al terminar vuelve el Game Over propio.
+ *
  * Props:
  *   isActive    – cuando pasa a true, arranca el juego
  *   onNextGame  – callback para ir al siguiente juego
@@ -16,8 +20,10 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
+import useReplayRecorder from "../../hooks/useReplayRecorder";
 
 /* ─────────── Fases del juego ─────────── */
 const PHASE = {
@@ -53,7 +59,7 @@ const WALK_PXS = 380;     // velocidad del ninja (px/s)
 const SLIDE_MS = 350;     // desplazamiento de cámara
 const DIE_MS   = 500;     // ninja cayendo
 
-function rand(a, b) { return a + Math.random() * (b - a); }
+const REPLAY_PRESS_DELAY = 450; // pausa antes de cada palo al reproducir
 
 /* ═══════════════════════════════════════════════════════
    COMPONENTE
@@ -91,13 +97,16 @@ const StickBridgeGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
   const rafRef    = useRef(null);
   const timersRef = useRef([]);
 
-  /* ── Estado de ranking (envío de score) ── */
-  const [ranking, setRanking]             = useState([]);
-  const [scoreMessage, setScoreMessage]   = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted                    = useRef(false);
+  /* ── Replays ── */
+  const recorder   = useReplayRecorder();
+  const layoutWRef = useRef(400);   // ancho con el que se generan las plataformas
+  const replayRef  = useRef(null);  // { lengths, cursor, ownScore } mientras se reproduce
+  const [watching, setWatching] = useState(null); // { user, score } | null
 
-  const { submit, loading: isSubmittingScore, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.StickBridgeGame);
+  /* ── Sesión de partida (envío de score + Game Over) ── */
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.StickBridgeGame, userId, isActive, onReplay, onNextGame,
+  });
 
   /* ─────────── Helpers ─────────── */
   const clearTimers = useCallback(() => {
@@ -134,16 +143,19 @@ const StickBridgeGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
       const maxG = MAX_GAP + diff * 30;
       const minW = Math.max(MIN_PLAT_W - diff * 10, 20);
       const maxW = Math.max(MAX_PLAT_W - diff * 30, 30);
-      g.gap   = rand(minG, Math.min(maxG, dims.w * 0.5));
+      const rand = (a, b) => a + recorder.random() * (b - a);
+      g.gap   = rand(minG, Math.min(maxG, layoutWRef.current * 0.5));
       g.platBW = rand(minW, maxW);
     },
-    [dims.w, g],
+    [g, recorder],
   );
 
-  /* ─────────── Iniciar partida ─────────── */
-  const startGame = useCallback(() => {
+  /* ─────────── Tablero inicial (partida nueva o replay) ─────────── */
+  const resetBoard = useCallback((seed, layoutW) => {
     clearTimers();
     if (rafRef.current) cancelAnimationFrame(rafRef.current);
+    recorder.begin(seed);
+    layoutWRef.current = layoutW;
     g.platAW     = INIT_PLAT_W;
     g.stickLen   = 0;
     g.stickAngle = 0;
@@ -153,42 +165,36 @@ const StickBridgeGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
     g.history    = [];
     scoreRef.current = 0;
     setScore(0);
-    scoreSubmitted.current = false;
-    setRanking([]);
-    setScoreMessage("");
     generatePlatB(0);
     forceRender();
     setPhase(PHASE.WAITING);
-  }, [clearTimers, generatePlatB, forceRender, g]);
+  }, [clearTimers, generatePlatB, forceRender, g, recorder]);
+
+  /* ─────────── Iniciar partida ─────────── */
+  const startGame = useCallback(() => {
+    resetSession();
+    resetBoard(undefined, dims.w);
+  }, [resetBoard, dims.w, resetSession]);
+
+  /* ─────────── Ver replay de otro jugador (desde el Top 5) ─────────── */
+  const startWatching = useCallback(({ user, score: replayScore, replay }) => {
+    if (!replay?.events) return;
+    replayRef.current = {
+      lengths: replay.events.filter((e) => e[1] === "r").map((e) => e[2]),
+      cursor: 0,
+      ownScore: scoreRef.current,
+    };
+    setWatching({ user, score: replayScore });
+    resetBoard(replay.seed, replay.w ?? dims.w);
+  }, [resetBoard, dims.w]);
 
   /* ── Auto-start cuando isActive pasa a true ── */
   useEffect(() => {
     if (isActive && phase === PHASE.IDLE) startGame();
   }, [isActive, phase, startGame]);
 
-  /* ─────────── rAF: crecimiento del palo ─────────── */
-  useEffect(() => {
-    if (phase !== PHASE.GROWING || !isActive) return;
-    const tick = () => {
-      g.stickLen += GROW_SPEED;
-      forceRender();
-      rafRef.current = requestAnimationFrame(tick);
-    };
-    rafRef.current = requestAnimationFrame(tick);
-    return () => {
-      if (rafRef.current) cancelAnimationFrame(rafRef.current);
-    };
-  }, [phase, forceRender, g, isActive]);
-
-  /* ─────────── Pointer handlers ─────────── */
-  const handlePointerDown = useCallback(() => {
-    if (phase !== PHASE.WAITING) return;
-    if (pinchGuardRef?.current) return;               // LEY 5
-    setPhase(PHASE.GROWING);
-  }, [phase]);
-
-  const handlePointerUp = useCallback(() => {
-    if (phase !== PHASE.GROWING) return;
+  /* ─────────── Soltar el palo (input o replay) ─────────── */
+  const releaseStick = useCallback(() => {
     if (rafRef.current) cancelAnimationFrame(rafRef.current);
 
     // ── FALLING: rotar palo 90° ──
@@ -248,27 +254,74 @@ const StickBridgeGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
         }
       }, walkMs + 60);
     }, FALL_MS + 60);
-  }, [phase, dims.h, forceRender, addTimer, generatePlatB, g]);
+  }, [dims.h, forceRender, addTimer, generatePlatB, g]);
 
-  /* ─────────── Enviar puntuación al terminar ─────────── */
+  /* ─────────── rAF: crecimiento del palo ─────────── */
   useEffect(() => {
-    if (phase === PHASE.ENDED && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(scoreRef.current, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
+    if (phase !== PHASE.GROWING || !isActive) return;
+    const tick = () => {
+      g.stickLen += GROW_SPEED;
+      forceRender();
+      // Replay: soltar exactamente en la longitud grabada
+      const rp = replayRef.current;
+      if (rp && g.stickLen >= rp.lengths[rp.cursor]) {
+        rp.cursor += 1;
+        releaseStick();
+        return;
+      }
+      rafRef.current = requestAnimationFrame(tick);
+    };
+    rafRef.current = requestAnimationFrame(tick);
+    return () => {
+      if (rafRef.current) cancelAnimationFrame(rafRef.current);
+    };
+  }, [phase, forceRender, g, isActive, releaseStick]);
+
+  /* ─────────── Replay: pulsar automáticamente / volver al Game Over propio ─────────── */
+  useEffect(() => {
+    const rp = replayRef.current;
+    if (!rp || !watching || !isActive) return;
+
+    if (phase === PHASE.WAITING) {
+      if (rp.cursor >= rp.lengths.length) return;
+      const id = setTimeout(() => setPhase(PHASE.GROWING), REPLAY_PRESS_DELAY);
+      return () => clearTimeout(id);
     }
-    if (phase === PHASE.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
+
+    if (phase === PHASE.ENDED) {
+      // Fin de la repetición → restaurar la puntuación de nuestra partida
+      const id = setTimeout(() => {
+        replayRef.current = null;
+        scoreRef.current = rp.ownScore;
+        setScore(rp.ownScore);
+        setWatching(null);
+      }, 1200);
+      return () => clearTimeout(id);
     }
-  }, [phase, submit]);
+  }, [phase, watching, isActive]);
+
+  /* ─────────── Pointer handlers ─────────── */
+  const handlePointerDown = useCallback(() => {
+    if (phase !== PHASE.WAITING || replayRef.current) return;
+    if (pinchGuardRef?.current) return;               // LEY 5
+    setPhase(PHASE.GROWING);
+  }, [phase]);
+
+  const handlePointerUp = useCallback(() => {
+    if (phase !== PHASE.GROWING || replayRef.current) return;
+    recorder.record("r", g.stickLen);
+    releaseStick();
+  }, [phase, recorder, releaseStick, g]);
+
+  /* ─────────── Enviar puntuación al terminar ─────────── */
+  useEffect(() => {
+    if (phase === PHASE.ENDED) {
+      endSession(scoreRef.current, {
+        replay: recorder.getReplay({ w: layoutWRef.current }),
+      });
+    }
+    if (phase === PHASE.IDLE) resetSession();
+  }, [phase, endSession, resetSession, recorder]);
 
   /* ─────────── Cleanup general ─────────── */
   useEffect(() => {
@@ -586,8 +639,17 @@ const StickBridgeGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
         </div>
       )}
 
+      {/* ── Replay en curso ── */}
+      {watching && (
+        <div className="absolute top-[calc(var(--sat,0px)+9rem)] left-0 right-0 flex justify-center z-10 pointer-events-none">
+          <span className="px-3 py-1 rounded-full bg-black/60 border border-cyan-400/30 text-[11px] font-mono font-bold uppercase tracking-widest text-cyan-300">
+            {t("replay.watching", { user: watching.user, score: watching.score })}
+          </span>
+        </div>
+      )}
+
       {/* ── Hint WAITING ── */}
-      {phase === PHASE.WAITING && (
+      {phase === PHASE.WAITING && !watching && (
         <div className="absolute inset-x-0 flex justify-center pointer-events-none z-3" style={{ top: groundY - 80 }}>
           <span
             className="text-sm font-mono font-medium text-cyan-400/30 tracking-wider uppercase animate-pulse"
@@ -599,19 +661,13 @@ const StickBridgeGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
       )}
 
       {/* ── GAME OVER ── */}
-      {isEnded && (
+      {isEnded && !watching && (
         <GameOverPanel
+          {...gameOverProps}
           title="Game Over"
           score={score}
           subtitle={t("stickbridge.subtitle")}
-          onReplay={onReplay}
-          onNext={onNextGame}
-          ranking={ranking}
-          scoreMessage={scoreMessage}
-          xpGained={xpGained}
-          gameId={gameId}
-
-          isLoading={isRankingLoading}
+          onWatchReplay={startWatching}
         />
       )}
     </div>
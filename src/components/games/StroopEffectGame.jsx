@@ -8,6 +8,8 @@
  * - 4 colores: Rojo, Azul, Verde, Amarillo
  * - Barra de tiempo que decrece (empieza en 2 s, baja cada 5 pts)
  * - Fallo o timeout → Game Over
+ * - Tintas de la paleta del modo daltónico; con patrones, la tinta y los
+ *   botones llevan además su símbolo
  *
  * Props:
  *   isActive   – cuando pasa a true, arranca el juego
@@ -16,17 +18,20 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
+import { useColorVision } from "../../hooks/useColorVision";
 
 /* ─────────── Constantes ─────────── */
 const STATES = { IDLE: "idle", PLAYING: "playing", ENDED: "ended" };
 
+// El hex de cada color sale de la paleta activa (palette.named[key])
 const COLORS = [
-  { name: "ROJO",     tw: "text-red-500",    btn: "bg-red-500",    key: "red"    },
-  { name: "AZUL",     tw: "text-blue-500",   btn: "bg-blue-500",   key: "blue"   },
-  { name: "VERDE",    tw: "text-green-500",  btn: "bg-green-500",  key: "green"  },
-  { name: "AMARILLO", tw: "text-yellow-400", btn: "bg-yellow-400", key: "yellow" },
+  { name: "ROJO",     key: "red"    },
+  { name: "AZUL",     key: "blue"   },
+  { name: "VERDE",    key: "green"  },
+  { name: "AMARILLO", key: "yellow" },
 ];
 
 const GAME_DURATION  = 30;   // segundos totales
@@ -57,6 +62,7 @@ function shuffle(arr) {
 /* ═══════════════════ COMPONENT ═══════════════════ */
 const StroopEffectGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const { t } = useLanguage();
+  const { palette, symbolFor } = useColorVision();
   const [gameState, setGameState] = useState(STATES.IDLE);
   const [score, setScore]         = useState(0);
   const [textIdx, setTextIdx]     = useState(0);
@@ -75,12 +81,9 @@ const StroopEffectGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const rafBarRef = useRef(null);
   const prevSecondsRef = useRef(GAME_DURATION);
 
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
-
-  const { submit, loading: isSubmittingScore, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.StroopEffectGame);
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.StroopEffectGame, userId, isActive, onReplay, onNextGame,
+  });
 
   /* ── Nueva ronda ── */
   const nextRound = useCallback((prevTI, prevII) => {
@@ -211,26 +214,14 @@ const StroopEffectGame = ({ isActive, onNextGame, onReplay, userId }) => {
 
   // Enviar puntuación al terminar
   useEffect(() => {
-    if (isEnded && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(score, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [isEnded, score, submit, gameState]);
+    if (isEnded) endSession(score);
+    if (gameState === STATES.IDLE) resetSession();
+  }, [isEnded, score, gameState, endSession, resetSession]);
   const timerPct   = Math.max(0, (timeLeft / GAME_DURATION) * 100);
   const isLowTime  = timeLeft <= 5;
   const wordColor  = COLORS[inkIdx];
+  const inkHex     = palette.named[wordColor.key];
+  const inkSymbol  = symbolFor(wordColor.key);
   const wordText   = t("stroop." + COLORS[textIdx].key);
 
   return (
@@ -238,7 +229,7 @@ const StroopEffectGame = ({ isActive, onNextGame, onReplay, userId }) => {
       {/* ── Glow decorativo ── */}
       <div
         className="absolute w-[55vw] h-[55vw] rounded-full opacity-[0.06] blur-3xl pointer-events-none"
-        style={{ background: wordColor.key, top: "15%", left: "22%", transition: "background 0.3s" }}
+        style={{ background: inkHex, top: "15%", left: "22%", transition: "background 0.3s" }}
       />
 
       {/* ── Overlay gradients para UI del feed ── */}
@@ -294,10 +285,15 @@ const StroopEffectGame = ({ isActive, onNextGame, onReplay, userId }) => {
 
         {/* ══════════ PALABRA STROOP ══════════ */}
         {isPlaying && (
-          <div className={`mb-10 select-none ${shaking ? "animate-[shake_0.4s_ease]" : ""}`}>
+          <div className={`mb-10 select-none flex flex-col items-center ${shaking ? "animate-[shake_0.4s_ease]" : ""}`}>
+            {inkSymbol && (
+              <span className="text-3xl leading-none mb-2" style={{ color: inkHex }} aria-hidden="true">
+                {inkSymbol}
+              </span>
+            )}
             <span
-              className={`text-6xl sm:text-7xl font-black tracking-wider ${wordColor.tw}`}
-              style={{ textShadow: "0 0 30px currentColor", userSelect: "none" }}
+              className="text-6xl sm:text-7xl font-black tracking-wider"
+              style={{ color: inkHex, textShadow: "0 0 30px currentColor", userSelect: "none" }}
             >
               {wordText}
             </span>
@@ -309,15 +305,17 @@ const StroopEffectGame = ({ isActive, onNextGame, onReplay, userId }) => {
           <div className="grid grid-cols-2 gap-4 px-8" style={{ width: "min(80vw, 340px)" }}>
             {btnOrder.map((ci) => {
               const c = COLORS[ci];
+              const symbol = symbolFor(c.key);
               return (
                 <button
                   key={c.key}
                   onClick={() => handleAnswer(ci)}
-                  className={`${c.btn} h-20 sm:h-24 rounded-2xl font-bold text-white/90 text-lg
+                  className="h-20 sm:h-24 rounded-2xl font-bold text-white/90 text-lg
                     shadow-lg active:scale-90 transition-transform duration-75
-                    cursor-pointer select-none`}
-                  style={{ textShadow: "0 1px 3px rgba(0,0,0,0.4)" }}
+                    cursor-pointer select-none flex items-center justify-center gap-2"
+                  style={{ backgroundColor: palette.named[c.key], textShadow: "0 1px 3px rgba(0,0,0,0.4)" }}
                 >
+                  {symbol && <span aria-hidden="true">{symbol}</span>}
                   {t("stroop." + c.key)}
                 </button>
               );
@@ -340,17 +338,10 @@ const StroopEffectGame = ({ isActive, onNextGame, onReplay, userId }) => {
         {/* ── GAME OVER ── */}
         {isEnded && (
           <GameOverPanel
+            {...gameOverProps}
             title="Game Over"
             score={score}
             subtitle={t("stroop.subtitle")}
-            onReplay={onReplay}
-            onNext={onNextGame}
-            ranking={ranking}
-            scoreMessage={scoreMessage}
-            xpGained={xpGained}
-            gameId={gameId}
-
-            isLoading={isRankingLoading}
           />
         )}
       </div>
@@ -5,6 +5,8 @@
  * Roja → desliza a la izquierda. Azul → desliza a la derecha.
  * Tiempo global de 39s. Acierto = +1 pto. Fallo = −2 segundos de penalización.
  * Al llegar a 0 → Game Over.
+ * Colores de la paleta del modo daltónico; con patrones, carta y bandas
+ * llevan el símbolo de su color.
  *
  * Props:
  *   isActive   – cuando pasa a true, arranca el juego
@@ -13,8 +15,11 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
+import { useColorVision } from "../../hooks/useColorVision";
+import { withAlpha } from "../../utils/colorVision";
 
 /* ─────────── Constantes ─────────── */
 const STATES = { IDLE: "idle", PLAYING: "playing", ENDED: "ended" };
@@ -24,9 +29,10 @@ const PENALTY_SECS  = 2;     // segundos que se restan por fallo
 const SWIPE_THRESH  = 50;    // px mínimos para considerar swipe
 const TICK_MS       = 30;    // resolución del timer
 
+// El hex de cada carta sale de la paleta activa (palette.named[key])
 const COLORS = [
-  { key: "red",  label: "ROJA",  bg: "bg-red-500",  border: "border-red-400",  glow: "rgba(239,68,68,0.35)",  dir: "left"  },
-  { key: "blue", label: "AZUL",  bg: "bg-blue-500", border: "border-blue-400", glow: "rgba(59,130,246,0.35)", dir: "right" },
+  { key: "red",  label: "ROJA",  dir: "left"  },
+  { key: "blue", label: "AZUL",  dir: "right" },
 ];
 
 const pickColor = () => COLORS[Math.floor(Math.random() * COLORS.length)];
@@ -34,6 +40,7 @@ const pickColor = () => COLORS[Math.floor(Math.random() * COLORS.length)];
 /* ═══════════════════ COMPONENT ═══════════════════ */
 const SwipeSorterGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef }) => {
   const { t } = useLanguage();
+  const { palette, symbolFor } = useColorVision();
   const [gameState, setGameState] = useState(STATES.IDLE);
   const [score, setScore]         = useState(0);
   const [card, setCard]           = useState(() => pickColor());
@@ -58,12 +65,9 @@ const SwipeSorterGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
   const progressBarRef = useRef(null);
   const rafBarRef = useRef(null);
 
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
-
-  const { submit, loading: isSubmittingScore, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.SwipeSorterGame);
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.SwipeSorterGame, userId, isActive, onReplay, onNextGame,
+  });
 
   /* ── Arrancar partida ── */
   const startGame = useCallback(() => {
@@ -246,26 +250,15 @@ const SwipeSorterGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
   /* ── Derivados ── */
   const isPlaying  = gameState === STATES.PLAYING;
   const isEnded    = gameState === STATES.ENDED;
+  const redHex     = palette.named.red;
+  const blueHex    = palette.named.blue;
+  const cardHex    = palette.named[card.key];
 
   // Enviar puntuación al terminar
   useEffect(() => {
-    if (isEnded && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(score, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [isEnded, score, submit, gameState]);
+    if (isEnded) endSession(score);
+    if (gameState === STATES.IDLE) resetSession();
+  }, [isEnded, score, gameState, endSession, resetSession]);
   const progress   = GLOBAL_TIME > 0 ? timeLeft / GLOBAL_TIME : 0;
   const rotation   = dragX * 0.08; // grados de rotación según arrastra
   const opacity    = exiting ? 0 : 1;
@@ -337,17 +330,18 @@ const SwipeSorterGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
           {/* Banda izquierda = ROJO */}
           <div className="absolute left-3 top-[calc(var(--sat,0px)+7rem)] bottom-28 w-10 rounded-2xl pointer-events-none z-1 flex items-center justify-center overflow-hidden">
             <div
-              className="absolute inset-0 bg-red-500 rounded-2xl"
-              style={{ opacity: 0.15 + leftOpacity * 0.4 }}
+              className="absolute inset-0 rounded-2xl"
+              style={{ backgroundColor: redHex, opacity: 0.15 + leftOpacity * 0.4 }}
             />
             <div
               className="relative flex flex-col items-center gap-2"
               style={{ opacity: 0.6 + leftOpacity * 0.4 }}
             >
               <span className="text-white/90 text-3xl font-black">←</span>
+              {symbolFor("red") && <span className="text-white/80 text-lg" aria-hidden="true">{symbolFor("red")}</span>}
               <span
-                className="text-[0.7rem] font-mono font-extrabold text-red-300 tracking-widest"
-                style={{ writingMode: "vertical-lr", textOrientation: "mixed" }}
+                className="text-[0.7rem] font-mono font-extrabold tracking-widest brightness-150"
+                style={{ color: redHex, writingMode: "vertical-lr", textOrientation: "mixed" }}
               >
                 {t("swipesorter.red")}
               </span>
@@ -356,17 +350,18 @@ const SwipeSorterGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
           {/* Banda derecha = AZUL */}
           <div className="absolute right-3 top-[calc(var(--sat,0px)+7rem)] bottom-28 w-10 rounded-2xl pointer-events-none z-1 flex items-center justify-center overflow-hidden">
             <div
-              className="absolute inset-0 bg-blue-500 rounded-2xl"
-              style={{ opacity: 0.15 + rightOpacity * 0.4 }}
+              className="absolute inset-0 rounded-2xl"
+              style={{ backgroundColor: blueHex, opacity: 0.15 + rightOpacity * 0.4 }}
             />
             <div
               className="relative flex flex-col items-center gap-2"
               style={{ opacity: 0.6 + rightOpacity * 0.4 }}
             >
               <span className="text-white/90 text-3xl font-black">→</span>
+              {symbolFor("blue") && <span className="text-white/80 text-lg" aria-hidden="true">{symbolFor("blue")}</span>}
               <span
-                className="text-[0.7rem] font-mono font-extrabold text-blue-300 tracking-widest"
-                style={{ writingMode: "vertical-lr", textOrientation: "mixed" }}
+                className="text-[0.7rem] font-mono font-extrabold tracking-widest brightness-150"
+                style={{ color: blueHex, writingMode: "vertical-lr", textOrientation: "mixed" }}
               >
                 {t("swipesorter.blue")}
               </span>
@@ -380,10 +375,10 @@ const SwipeSorterGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
         <div className="absolute bottom-[20vh] inset-x-0 flex justify-center z-2 pointer-events-none">
           <div className="flex items-center gap-8 text-sm font-mono font-bold text-white/40">
             <span className="flex items-center gap-2">
-              <span className="w-4 h-4 rounded bg-red-500/80" /> {t("swipesorter.left")}
+              <span className="w-4 h-4 rounded opacity-80" style={{ backgroundColor: redHex }} /> {t("swipesorter.left")}
             </span>
             <span className="flex items-center gap-2">
-              {t("swipesorter.right")} <span className="w-4 h-4 rounded bg-blue-500/80" />
+              {t("swipesorter.right")} <span className="w-4 h-4 rounded opacity-80" style={{ backgroundColor: blueHex }} />
             </span>
           </div>
         </div>
@@ -405,10 +400,11 @@ const SwipeSorterGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
           onPointerLeave={handlePointerUp}
         >
           <div
-            className={`relative w-44 sm:w-52 rounded-3xl ${card.bg} ${card.border} border-2 flex flex-col items-center justify-center`}
+            className="relative w-44 sm:w-52 rounded-3xl border-2 border-white/25 flex flex-col items-center justify-center"
             style={{
               aspectRatio: "3/4",
-              boxShadow: `0 8px 40px ${card.glow}, 0 0 60px ${card.glow}`,
+              backgroundColor: cardHex,
+              boxShadow: `0 8px 40px ${withAlpha(cardHex, 0.35)}, 0 0 60px ${withAlpha(cardHex, 0.35)}`,
             }}
           >
             {/* Icono / símbolo decorativo */}
@@ -421,9 +417,13 @@ const SwipeSorterGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
 
             {/* Diamante central */}
             <div
-              className="w-16 h-16 sm:w-20 sm:h-20 rounded-xl rotate-45 border-2 border-white/20 mb-4"
+              className="w-16 h-16 sm:w-20 sm:h-20 rounded-xl rotate-45 border-2 border-white/20 mb-4 flex items-center justify-center"
               style={{ backgroundColor: "rgba(255,255,255,0.15)" }}
-            />
+            >
+              {symbolFor(card.key) && (
+                <span className="-rotate-45 text-3xl text-white/90" aria-hidden="true">{symbolFor(card.key)}</span>
+              )}
+            </div>
             <span className="text-2xl sm:text-3xl font-black text-white/90 tracking-wide">
               {t("swipesorter." + card.key)}
             </span>
@@ -464,17 +464,10 @@ const SwipeSorterGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
       {isEnded && (
         <div className="absolute inset-0 flex items-center justify-center z-6 pointer-events-auto">
           <GameOverPanel
+            {...gameOverProps}
             title="Game Over"
             score={score}
             subtitle={t("swipesorter.subtitle")}
-            onReplay={onReplay}
-            onNext={onNextGame}
-            ranking={ranking}
-            scoreMessage={scoreMessage}
-            xpGained={xpGained}
-            gameId={gameId}
-
-            isLoading={isRankingLoading}
           />
         </div>
       )}
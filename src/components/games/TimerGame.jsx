@@ -8,6 +8,8 @@
  * Puntuación = Math.abs(9999 - tiempoDetenidoEnMs)
  * Cuanto más cerca de 0, mejor.
  *
+ * Ciclo de partida, envío y Game Over: useGameSession (autoStart).
+ *
  * Props:
  *   isActive   – cuando pasa a true, arranca el cronómetro
  *   onNextGame – callback para "siguiente juego"
@@ -15,11 +17,11 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage, t } from "../../i18n";
 
 /* ─────────── Constantes ─────────── */
-const STATES  = { IDLE: "idle", PLAYING: "playing", ENDED: "ended" };
 const TARGET  = 9999; // ms objetivo
 
 /* ─────────── Helpers ─────────── */
@@ -55,39 +57,30 @@ function getAccentColor(diff) {
 /* ═══════════════════ COMPONENT ═══════════════════ */
 const TimerGame = ({ isActive, onNextGame, onReplay, userId }) => {
   useLanguage(); // subscribe to lang changes for re-render
-  const [gameState, setGameState] = useState(STATES.IDLE);
   const [displayMs, setDisplayMs] = useState(0);       // ms que se muestran
   const [stoppedMs, setStoppedMs] = useState(null);     // ms en el que paró
-  const [score, setScore]         = useState(null);     // diferencia absoluta
 
   const rafRef   = useRef(null);
   const startRef = useRef(null);     // performance.now() al arrancar
   const elapsedRef = useRef(0);      // ms reales transcurridos (mirror)
 
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
-
-  const { submit, loading: isSubmittingScore, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.TimerGame);
-
-  /* ── Arrancar partida ── */
-  const startGame = useCallback(() => {
-    setDisplayMs(0);
-    setStoppedMs(null);
-    setScore(null);
-    elapsedRef.current = 0;
-    setGameState(STATES.PLAYING);
-  }, []);
-
-  /* ── Auto-start ── */
-  useEffect(() => {
-    if (isActive && gameState === STATES.IDLE) startGame();
-  }, [isActive, startGame, gameState]);
-
-  /* ── requestAnimationFrame loop (se pausa si isActive=false) ── */
+  // is_lower_better=true, score = diferencia en ms
+  const session = useGameSession({
+    gameId: GAME_IDS.TimerGame,
+    userId,
+    isActive,
+    onReplay,
+    onNextGame,
+    autoStart: true,
+    lowerIsBetter: true,
+    formatScore: (ms) => `${ms} ms`,
+  });
+  const { isPlaying, isEnded, end } = session;
+  const score = session.finalScore; // diferencia absoluta
+
+  /* ── requestAnimationFrame loop (la sesión se pausa si isActive=false) ── */
   useEffect(() => {
-    if (gameState !== STATES.PLAYING || !isActive) return;
+    if (!isPlaying) return;
 
     // Compensar tiempo pausado: arrancar desde el elapsed guardado
     startRef.current = performance.now() - elapsedRef.current;
@@ -104,7 +97,7 @@ const TimerGame = ({ isActive, onNextGame, onReplay, userId }) => {
     return () => {
       if (rafRef.current) cancelAnimationFrame(rafRef.current);
     };
-  }, [gameState, isActive]);
+  }, [isPlaying]);
 
   /* ── Cleanup global ── */
   useEffect(() => {
@@ -115,7 +108,7 @@ const TimerGame = ({ isActive, onNextGame, onReplay, userId }) => {
 
   /* ── Detener cronómetro (un solo clic) ── */
   const handleStop = useCallback(() => {
-    if (gameState !== STATES.PLAYING) return;
+    if (!isPlaying) return;
 
     // Parar animación
     if (rafRef.current) cancelAnimationFrame(rafRef.current);
@@ -125,33 +118,12 @@ const TimerGame = ({ isActive, onNextGame, onReplay, userId }) => {
 
     setStoppedMs(finalMs);
     setDisplayMs(finalMs);
-    setScore(diff);
-    setGameState(STATES.ENDED);
-  }, [gameState]);
+    end(diff);
+  }, [isPlaying, end]);
 
   /* ── Derivados ── */
-  const isPlaying = gameState === STATES.PLAYING;
-  const isEnded   = gameState === STATES.ENDED;
+  const isRunning = isPlaying || session.isPaused;
 
-  // Enviar puntuación al terminar (is_lower_better=true, score = diferencia)
-  useEffect(() => {
-    if (isEnded && score !== null && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(score, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [isEnded, score, submit, gameState]);
   const timeStr   = formatTime(displayMs);
 
   // En estado "playing" separamos segundos y milisegundos del display
@@ -172,7 +144,7 @@ const TimerGame = ({ isActive, onNextGame, onReplay, userId }) => {
       <div className="absolute inset-0 flex items-center justify-center pointer-events-none z-0">
         <div
           className={`w-72 h-72 sm:w-96 sm:h-96 rounded-full border transition-colors duration-300 ${
-            inTargetZone && isPlaying
+            inTargetZone && isRunning
               ? "border-emerald-500/30 shadow-[0_0_60px_rgba(16,185,129,0.15)]"
               : "border-cyan-400/10"
           }`}
@@ -183,7 +155,7 @@ const TimerGame = ({ isActive, onNextGame, onReplay, userId }) => {
       <div className="relative w-full h-full flex flex-col items-center justify-center z-2">
 
         {/* ── Objetivo ── */}
-        {isPlaying && (
+        {isRunning && (
           <div className="mb-4">
             <span className="text-xs font-medium tracking-[0.25em] uppercase text-white/30">
               {t("timer.target")}
@@ -195,11 +167,11 @@ const TimerGame = ({ isActive, onNextGame, onReplay, userId }) => {
         )}
 
         {/* ══════════ CRONÓMETRO GIGANTE ══════════ */}
-        {(isPlaying || gameState === STATES.IDLE) && (
+        {(isRunning || session.isIdle) && (
           <div className="flex items-baseline font-mono tabular-nums select-none">
             <span
               className={`text-7xl sm:text-8xl font-black tracking-tight transition-colors duration-150 ${
-                inTargetZone && isPlaying ? "text-cyan-400" : "text-white"
+                inTargetZone && isRunning ? "text-cyan-400" : "text-white"
               }`}
               style={{ fontFeatureSettings: "'tnum'", textShadow: '0 0 20px rgba(34,211,238,0.4)' }}
             >
@@ -207,14 +179,14 @@ const TimerGame = ({ isActive, onNextGame, onReplay, userId }) => {
             </span>
             <span
               className={`text-7xl sm:text-8xl font-black transition-colors duration-150 ${
-                inTargetZone && isPlaying ? "text-cyan-400/60" : "text-white/40"
+                inTargetZone && isRunning ? "text-cyan-400/60" : "text-white/40"
               }`}
             >
               :
             </span>
             <span
               className={`text-5xl sm:text-6xl font-bold tracking-tight transition-colors duration-150 ${
-                inTargetZone && isPlaying ? "text-cyan-400/80" : "text-white/60"
+                inTargetZone && isRunning ? "text-cyan-400/80" : "text-white/60"
               }`}
               style={{ fontFeatureSettings: "'tnum'", textShadow: '0 0 20px rgba(34,211,238,0.3)' }}
             >
@@ -224,7 +196,7 @@ const TimerGame = ({ isActive, onNextGame, onReplay, userId }) => {
         )}
 
         {/* ── Instrucción / Tap zone ── */}
-        {isPlaying && (
+        {isRunning && (
           <button
             onClick={handleStop}
             className="mt-12 px-12 py-5 rounded-2xl bg-white/5 border border-cyan-400/20 
@@ -263,7 +235,7 @@ const TimerGame = ({ isActive, onNextGame, onReplay, userId }) => {
         )}
 
         {/* ── Hint IDLE ── */}
-        {gameState === STATES.IDLE && (
+        {session.isIdle && (
           <div className="absolute inset-x-0 bottom-[28vh] flex justify-center pointer-events-none z-3">
             <div className="flex flex-col items-center gap-3 animate-pulse">
               <img
@@ -283,16 +255,8 @@ const TimerGame = ({ isActive, onNextGame, onReplay, userId }) => {
         {isEnded && (
           <GameOverPanel
             title={score !== null && score <= 50 ? t("timer.title_amazing") : "Game Over"}
-            score={`${score} ms`}
             subtitle={t("timer.subtitle")}
-            onReplay={onReplay}
-            onNext={onNextGame}
-            ranking={ranking}
-            scoreMessage={scoreMessage}
-            xpGained={xpGained}
-            gameId={gameId}
-
-            isLoading={isRankingLoading}
+            {...session.gameOverProps}
           />
         )}
       </div>
@@ -8,14 +8,21 @@
  * - Los bloques se van cortando según la precisión
  * - La velocidad aumenta progresivamente
  * - Game Over cuando fallas completamente
+ *
+ * Replays: PRNG sembrado (dirección de cada bloque, colores, trozos) + el
+ * frame del motor en el que se colocó cada bloque (evento "p"). El avance de
+ * los bloques va por frame, así que colocar en el mismo frame reproduce la
+ * partida exacta. Desde el Top 5 se ve en este mismo slide.
  */
 
 import { useEffect, useRef, useState, useCallback } from "react";
 import * as THREE from "three";
 import gsap from "gsap";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
+import useReplayRecorder from "../../hooks/useReplayRecorder";
 
 /* ─────────── Constantes ─────────── */
 
@@ -31,7 +38,7 @@ const MOVE_AMOUNT = 12;
 
 /* ─────────── Bloque ─────────── */
 
-function createBlock(targetBlock) {
+function createBlock(targetBlock, random) {
   const b = {
     targetBlock,
     index: (targetBlock ? targetBlock.index : 0) + 1,
@@ -61,7 +68,7 @@ function createBlock(targetBlock) {
 
   b.colorOffset = targetBlock
     ? targetBlock.colorOffset
-    : Math.round(Math.random() * 100);
+    : Math.round(random() * 100);
 
   if (!targetBlock) {
     b.color = new THREE.Color(0x333344);
@@ -102,7 +109,7 @@ function createBlock(targetBlock) {
 
   if (b.state === BLOCK_STATES.ACTIVE) {
     b.position[b.workingPlane] =
-      Math.random() > 0.5 ? -MOVE_AMOUNT : MOVE_AMOUNT;
+      random() > 0.5 ? -MOVE_AMOUNT : MOVE_AMOUNT;
   }
 
   return b;
@@ -205,10 +212,15 @@ class TowerBlocksEngine {
     this.container = container;
     this.onScoreChange = callbacks.onScoreChange;
     this.onStatusChange = callbacks.onStatusChange;
+    this.onStart = callbacks.onStart;       // (seed) → sembrar el PRNG
+    this.onPlace = callbacks.onPlace;       // (frame) → grabar el input
+    this.random = callbacks.random ?? Math.random;
 
     this.state = GAME_STATES.LOADING;
     this.blocks = [];
     this.animFrameId = null;
+    this.frame = 0;        // frames de juego desde startGame (sin pausas)
+    this.replay = null;    // { seed, frames, cursor } mientras se reproduce
 
     // Renderer
     this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: false });
@@ -299,8 +311,10 @@ class TowerBlocksEngine {
   }
 
   onAction() {
+    if (this.replay) return; // reproduciendo: los inputs son los grabados
     switch (this.state) {
       case GAME_STATES.PLAYING:
+        this.onPlace?.(this.frame);
         this._placeBlock();
         break;
       case GAME_STATES.ENDED:
@@ -313,6 +327,9 @@ class TowerBlocksEngine {
 
   startGame() {
     if (this.state === GAME_STATES.PLAYING) return;
+    this.onStart?.(this.replay?.seed);
+    this.frame = 0;
+    this.blocks[0].colorOffset = Math.round(this.random() * 100);
     this.onScoreChange(0);
     this._updateState(GAME_STATES.PLAYING);
     this._addBlock();
@@ -341,13 +358,13 @@ class TowerBlocksEngine {
         delay: 0.05,
         x:
           result.plane === "z"
-            ? Math.random() * rotateRand - rotateRand / 2
+            ? this.random() * rotateRand - rotateRand / 2
             : 0.1,
         z:
           result.plane === "x"
-            ? Math.random() * rotateRand - rotateRand / 2
+            ? this.random() * rotateRand - rotateRand / 2
             : 0.1,
-        y: Math.random() * 0.1,
+        y: this.random() * 0.1,
       };
 
       if (
@@ -376,7 +393,7 @@ class TowerBlocksEngine {
     const score = this.blocks.length - 1;
     this.onScoreChange(score);
 
-    const newBlock = createBlock(last);
+    const newBlock = createBlock(last, this.random);
     this.newBlocks.add(newBlock.mesh);
     this.blocks.push(newBlock);
 
@@ -387,6 +404,20 @@ class TowerBlocksEngine {
     this._updateState(GAME_STATES.ENDED);
   }
 
+  /** Reproduce un replay grabado: recoge la torre actual y arranca con su semilla. */
+  watch(replay) {
+    this.replay = {
+      seed: replay.seed,
+      frames: replay.events.filter((e) => e[1] === "p").map((e) => e[2]),
+      cursor: 0,
+    };
+    this._restartGame();
+  }
+
+  stopWatching() {
+    this.replay = null;
+  }
+
   _restartGame() {
     this._updateState(GAME_STATES.RESETTING);
 
@@ -438,18 +469,39 @@ class TowerBlocksEngine {
       tickBlock(this.blocks[this.blocks.length - 1]);
     }
 
+    if (this.state === GAME_STATES.PLAYING) {
+      this.frame += 1;
+      // Replay: colocar en el mismo frame en que lo hizo el jugador
+      const rp = this.replay;
+      while (rp && this.state === GAME_STATES.PLAYING && rp.frames[rp.cursor] === this.frame) {
+        rp.cursor += 1;
+        this._placeBlock();
+      }
+    }
+
     this.camera.lookAt(this.lookAtTarget);
     this.renderer.render(this.scene, this.camera);
   }
 
-  /* ── pause / resume (3-second rule) ── */
+  /* ── pause / resume (isActive del Feed) ── */
+  // Los bloques avanzan por frame, así que basta con saltarse el tick; las
+  // animaciones GSAP (cámara, trozos que caen) se congelan aparte.
 
   pause() {
+    if (this._paused) return;
     this._paused = true;
+    this._pausedTweens = gsap.getTweensOf([
+      this.camera.position,
+      this.lookAtTarget,
+      ...this.choppedBlocks.children.flatMap((c) => [c.position, c.rotation]),
+    ]);
+    this._pausedTweens.forEach((tween) => tween.pause());
   }
 
   resume() {
     this._paused = false;
+    this._pausedTweens?.forEach((tween) => tween.resume());
+    this._pausedTweens = null;
   }
 
   /* ── cleanup ── */
@@ -492,11 +544,12 @@ const TowerBlocksGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const engineRef = useRef(null);
   const [score, setScore] = useState(0);
   const [status, setStatus] = useState(GAME_STATES.LOADING);
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
-  const { submit, loading: isSubmittingScore, error: submitError, lastResult, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.TowerBlocksGame);
+  const recorder = useReplayRecorder();
+  const ownScoreRef = useRef(0);                  // nuestra puntuación mientras vemos un replay
+  const [watching, setWatching] = useState(null); // { user, score } | null
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.TowerBlocksGame, userId, isActive, onReplay, onNextGame,
+  });
 
   // Inicializar motor 3D
   useEffect(() => {
@@ -506,6 +559,9 @@ const TowerBlocksGame = ({ isActive, onNextGame, onReplay, userId }) => {
     const engine = new TowerBlocksEngine(el, {
       onScoreChange: setScore,
       onStatusChange: setStatus,
+      onStart: recorder.begin,
+      onPlace: (frame) => recorder.record("p", frame),
+      random: recorder.random,
     });
     engineRef.current = engine;
 
@@ -513,7 +569,7 @@ const TowerBlocksGame = ({ isActive, onNextGame, onReplay, userId }) => {
       engine.destroy();
       engineRef.current = null;
     };
-  }, []);
+  }, [recorder]);
 
   // Auto-start + pause/resume según isActive
   useEffect(() => {
@@ -530,30 +586,33 @@ const TowerBlocksGame = ({ isActive, onNextGame, onReplay, userId }) => {
     }
   }, [isActive]);
 
-  // Enviar puntuación al terminar la partida
+  // Enviar puntuación al terminar la partida (no al acabar un replay ajeno)
   useEffect(() => {
-    if (status === GAME_STATES.ENDED && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(score, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => {
-          setScoreMessage(t("svc.score_error"));
-        })
-        .finally(() => {
-          setIsRankingLoading(false);
-        });
-    }
+    if (watching) return;
+    if (status === GAME_STATES.ENDED) endSession(score, { replay: recorder.getReplay() });
     // Reset flag cuando el juego vuelve a estado READY (nueva partida)
-    if (status === GAME_STATES.READY) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [status, score, submit]);
+    if (status === GAME_STATES.READY) resetSession();
+  }, [status, score, endSession, resetSession, recorder, watching]);
+
+  // Ver replay de otro jugador (desde el Top 5)
+  const startWatching = useCallback(({ user, score: replayScore, replay }) => {
+    const eng = engineRef.current;
+    if (!eng || !replay?.events) return;
+    ownScoreRef.current = score;
+    setWatching({ user, score: replayScore });
+    eng.watch(replay);
+  }, [score]);
+
+  // Fin del replay → volver al Game Over propio
+  useEffect(() => {
+    if (!watching || status !== GAME_STATES.ENDED || !isActive) return;
+    const id = setTimeout(() => {
+      engineRef.current?.stopWatching();
+      setScore(ownScoreRef.current);
+      setWatching(null);
+    }, 1200);
+    return () => clearTimeout(id);
+  }, [watching, status, isActive]);
 
   // No auto-start — el jugador clickea para empezar
 
@@ -610,7 +669,7 @@ const TowerBlocksGame = ({ isActive, onNextGame, onReplay, userId }) => {
       )}
 
       {/* Instrucciones al inicio */}
-      {isPlaying && score === 0 && (
+      {isPlaying && score === 0 && !watching && (
         <div className="absolute inset-x-0 top-[30vh] text-center pointer-events-none z-[2] animate-pulse">
           <span className="text-sm font-medium text-[#333344]/70 bg-white/30 backdrop-blur-sm px-4 py-2 rounded-full">
             {t("tower.tap_place")}
@@ -618,20 +677,23 @@ const TowerBlocksGame = ({ isActive, onNextGame, onReplay, userId }) => {
         </div>
       )}
 
+      {/* Replay en curso */}
+      {watching && (
+        <div className="absolute top-[calc(var(--sat,0px)+9rem)] left-0 right-0 flex justify-center z-[2] pointer-events-none">
+          <span className="px-3 py-1 rounded-full bg-black/60 text-[11px] font-bold uppercase tracking-widest text-white">
+            {t("replay.watching", { user: watching.user, score: watching.score })}
+          </span>
+        </div>
+      )}
+
       {/* Game Over */}
-      {isEnded && (
+      {isEnded && !watching && (
         <GameOverPanel
+          {...gameOverProps}
           title="Game Over"
           score={score}
           subtitle={t("tower.score", { score })}
-          onReplay={onReplay}
-          onNext={onNextGame}
-          ranking={ranking}
-          scoreMessage={scoreMessage}
-          xpGained={xpGained}
-          gameId={gameId}
-
-          isLoading={isRankingLoading}
+          onWatchReplay={startWatching}
         />
       )}
     </div>
@@ -8,6 +8,9 @@
  *
  * Si toca durante la fase roja → penalización de 9999 ms.
  *
+ * Rojo y verde salen de la paleta del modo daltónico (stop / go); con
+ * patrones, la fase de espera lleva además franjas diagonales.
+ *
  * Props:
  *   isActive   – cuando pasa a true, arranca la fase de espera
  *   onNextGame – callback para "siguiente juego"
@@ -15,14 +18,18 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage, t } from "../../i18n";
+import { useColorVision } from "../../hooks/useColorVision";
+import { withAlpha } from "../../utils/colorVision";
 
 /* ─────────── Constantes ─────────── */
 const STATES = { IDLE: "idle", WAITING: "waiting", GREEN: "green", ENDED: "ended" };
 const MIN_WAIT = 2500; // ms mínimo en rojo
 const MAX_WAIT = 7000; // ms máximo en rojo
 const PENALTY  = 9999; // ms de penalización por false start
+const STRIPES  = "repeating-linear-gradient(45deg, rgba(0,0,0,0.22) 0 14px, transparent 14px 28px)";
 
 /* ─────────── Helpers ─────────── */
 function getRandomWait() {
@@ -51,6 +58,7 @@ function getAccentColor(ms) {
 /* ═══════════════════ COMPONENT ═══════════════════ */
 const TrafficLightGame = ({ isActive, onNextGame, onReplay, userId }) => {
   useLanguage(); // subscribe to lang changes for re-render
+  const { palette, patterns } = useColorVision();
   const [gameState, setGameState] = useState(STATES.IDLE);
   const [reactionMs, setReactionMs] = useState(null);
   const [falseStart, setFalseStart] = useState(false);
@@ -61,12 +69,10 @@ const TrafficLightGame = ({ isActive, onNextGame, onReplay, userId }) => {
   const waitDelayRef = useRef(0);         // delay total programado
   const pausedAtGreenRef = useRef(null);  // timestamp de pausa en GREEN
 
-  const [ranking, setRanking] = useState([]);
-  const [scoreMessage, setScoreMessage] = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted = useRef(false);
-
-  const { submit, loading: isSubmittingScore, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.TrafficLightGame);
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.TrafficLightGame, userId, isActive, onReplay, onNextGame,
+    lowerIsBetter: true,
+  });
 
   /* ── Arrancar: pasar a WAITING (pantalla roja) ── */
   const startGame = useCallback(() => {
@@ -153,38 +159,28 @@ const TrafficLightGame = ({ isActive, onNextGame, onReplay, userId }) => {
 
   // Enviar puntuación al terminar (is_lower_better=true, score = reactionMs)
   useEffect(() => {
-    if (isEnded && reactionMs !== null && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(reactionMs, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (gameState === STATES.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [isEnded, reactionMs, submit, gameState]);
+    if (isEnded && reactionMs !== null) endSession(reactionMs);
+    if (gameState === STATES.IDLE) resetSession();
+  }, [isEnded, reactionMs, gameState, endSession, resetSession]);
 
-  // Color de fondo según estado
-  let bgClass = "bg-[#0a0e17]";
-  if (isWaiting) bgClass = "bg-red-800";
-  if (isGreen)   bgClass = "bg-green-500";
-  if (isEnded && falseStart) bgClass = "bg-red-900";
-  if (isEnded && !falseStart) bgClass = "bg-green-600";
+  // Color de fondo según estado (al acabar, el mismo un poco más oscuro)
+  let bgColor = "#0a0e17";
+  if (isWaiting || (isEnded && falseStart)) bgColor = palette.stop;
+  if (isGreen || (isEnded && !falseStart)) bgColor = palette.go;
 
   return (
     <div
-      className={`relative h-full w-full flex items-center justify-center overflow-hidden select-none
-                  transition-colors duration-150 ${bgClass}`}
+      className="relative h-full w-full flex items-center justify-center overflow-hidden select-none
+                  transition-colors duration-150"
       onClick={handleTap}
-      style={{ cursor: isWaiting || isGreen ? "pointer" : "default" }}
+      style={{
+        cursor: isWaiting || isGreen ? "pointer" : "default",
+        backgroundColor: bgColor,
+        backgroundImage: patterns && isWaiting ? STRIPES : "none",
+      }}
     >
+      {isEnded && <div className="absolute inset-0 bg-black/15 pointer-events-none" />}
+
       {/* ── Overlay gradients para UI del feed ── */}
       <div className="absolute bottom-0 left-0 right-0 h-52 bg-linear-to-t from-black/50 via-black/20 to-transparent pointer-events-none z-5" />
       <div className="absolute top-0 left-0 right-0 h-24 bg-linear-to-b from-black/30 to-transparent pointer-events-none z-5" />
@@ -196,8 +192,14 @@ const TrafficLightGame = ({ isActive, onNextGame, onReplay, userId }) => {
         {/* ── Fase WAITING (rojo) ── */}
         {isWaiting && (
           <div className="flex flex-col items-center gap-6">
-            <div className="w-28 h-28 rounded-full bg-red-600 shadow-[0_0_60px_rgba(220,38,38,0.5)] flex items-center justify-center">
-              <div className="w-20 h-20 rounded-full bg-red-500 shadow-[inset_0_-4px_8px_rgba(0,0,0,0.3)]" />
+            <div
+              className="w-28 h-28 rounded-full flex items-center justify-center"
+              style={{ backgroundColor: palette.named.red, boxShadow: `0 0 60px ${withAlpha(palette.named.red, 0.5)}` }}
+            >
+              <div
+                className="w-20 h-20 rounded-full brightness-110 shadow-[inset_0_-4px_8px_rgba(0,0,0,0.3)]"
+                style={{ backgroundColor: palette.named.red }}
+              />
             </div>
             <span className="text-4xl sm:text-5xl font-black font-mono text-cyan-300/70 tracking-tight">
               {t("traffic.wait")}
@@ -211,8 +213,14 @@ const TrafficLightGame = ({ isActive, onNextGame, onReplay, userId }) => {
         {/* ── Fase GREEN (¡toca!) ── */}
         {isGreen && (
           <div className="flex flex-col items-center gap-6 animate-[pulse_0.6s_ease-in-out_infinite]">
-            <div className="w-28 h-28 rounded-full bg-green-400 shadow-[0_0_80px_rgba(74,222,128,0.6)] flex items-center justify-center">
-              <div className="w-20 h-20 rounded-full bg-green-300 shadow-[inset_0_-4px_8px_rgba(0,0,0,0.15)]" />
+            <div
+              className="w-28 h-28 rounded-full brightness-110 flex items-center justify-center"
+              style={{ backgroundColor: palette.go, boxShadow: `0 0 80px ${withAlpha(palette.go, 0.6)}` }}
+            >
+              <div
+                className="w-20 h-20 rounded-full brightness-125 shadow-[inset_0_-4px_8px_rgba(0,0,0,0.15)]"
+                style={{ backgroundColor: palette.go }}
+              />
             </div>
             <span className="text-5xl sm:text-6xl font-black text-white tracking-tight">
               {t("traffic.tap")}
@@ -267,17 +275,10 @@ const TrafficLightGame = ({ isActive, onNextGame, onReplay, userId }) => {
         {/* ── GAME OVER ── */}
         {isEnded && (
           <GameOverPanel
+            {...gameOverProps}
             title={falseStart ? t("traffic.title_early") : reactionMs <= 220 ? t("traffic.title_amazing") : "Game Over"}
             score={`${reactionMs} ms`}
             subtitle={falseStart ? t("traffic.penalty") : t("traffic.reaction")}
-            onReplay={onReplay}
-            onNext={onNextGame}
-            ranking={ranking}
-            scoreMessage={scoreMessage}
-            xpGained={xpGained}
-            gameId={gameId}
-
-            isLoading={isRankingLoading}
           />
         )}
       </div>
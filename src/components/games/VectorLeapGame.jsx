@@ -18,7 +18,8 @@
 
 import { useState, useEffect, useCallback, useRef } from "react";
 import GameOverPanel from "../GameOverPanel";
-import { useSubmitScore, GAME_IDS } from "../../services/useSubmitScore";
+import { GAME_IDS } from "../../services/useSubmitScore";
+import useGameSession from "../../hooks/useGameSession";
 import { useLanguage } from "../../i18n";
 
 /* ─────────── Fases del juego ─────────── */
@@ -101,13 +102,10 @@ const VectorLeapGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
   const rafRef    = useRef(null);
   const phaseRef  = useRef(PHASE.IDLE);
 
-  /* ── Estado de ranking ── */
-  const [ranking, setRanking]             = useState([]);
-  const [scoreMessage, setScoreMessage]   = useState("");
-  const [isRankingLoading, setIsRankingLoading] = useState(false);
-  const scoreSubmitted                    = useRef(false);
-
-  const { submit, xpGained, gameId } = useSubmitScore(userId, GAME_IDS.VectorLeapGame);
+  /* ── Sesión de partida (envío de score + Game Over) ── */
+  const { end: endSession, reset: resetSession, gameOverProps } = useGameSession({
+    gameId: GAME_IDS.VectorLeapGame, userId, isActive, onReplay, onNextGame,
+  });
 
   /* ─────────── Medir contenedor ─────────── */
   useEffect(() => {
@@ -179,13 +177,11 @@ const VectorLeapGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
     g.trail = [];
     scoreRef.current = 0;
     setScore(0);
-    scoreSubmitted.current = false;
-    setRanking([]);
-    setScoreMessage("");
+    resetSession();
     forceRender();
     phaseRef.current = PHASE.AIMING;
     setPhase(PHASE.AIMING);
-  }, [generatePlatB, forceRender, g]);
+  }, [generatePlatB, forceRender, g, resetSession]);
 
   /* ── Auto-start cuando isActive ── */
   useEffect(() => {
@@ -384,23 +380,9 @@ const VectorLeapGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
 
   /* ─────────── Enviar puntuación al terminar ─────────── */
   useEffect(() => {
-    if (phase === PHASE.ENDED && !scoreSubmitted.current) {
-      scoreSubmitted.current = true;
-      setIsRankingLoading(true);
-      submit(scoreRef.current, () => {})
-        .then((result) => {
-          setRanking(result?.data?.ranking || []);
-          setScoreMessage(result?.message || "");
-        })
-        .catch(() => setScoreMessage(t("svc.score_error")))
-        .finally(() => setIsRankingLoading(false));
-    }
-    if (phase === PHASE.IDLE) {
-      scoreSubmitted.current = false;
-      setRanking([]);
-      setScoreMessage("");
-    }
-  }, [phase, submit, t]);
+    if (phase === PHASE.ENDED) endSession(scoreRef.current);
+    if (phase === PHASE.IDLE) resetSession();
+  }, [phase, endSession, resetSession]);
 
   /* ─────────── Cleanup ─────────── */
   useEffect(() => {
@@ -635,17 +617,10 @@ const VectorLeapGame = ({ isActive, onNextGame, onReplay, userId, pinchGuardRef
       {/* ── GAME OVER ── */}
       {isEnded && (
         <GameOverPanel
+          {...gameOverProps}
           title="Game Over"
           score={score}
           subtitle={t("vectorleap.subtitle")}
-          onReplay={onReplay}
-          onNext={onNextGame}
-          ranking={ranking}
-          scoreMessage={scoreMessage}
-          xpGained={xpGained}
-          gameId={gameId}
-
-          isLoading={isRankingLoading}
         />
       )}
     </div>
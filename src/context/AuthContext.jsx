@@ -1,7 +1,8 @@
 /**
- * AuthContext.jsx — Proveedor global de autenticación (Supabase Auth nativo)
+ * AuthContext.jsx — Proveedor global de autenticación
  *
- * Usa `supabase.auth.onAuthStateChange` para escuchar cambios de sesión.
+ * Usa `backend.auth` (Supabase Auth o la API local, ver src/backend/) y su
+ * onAuthStateChange para escuchar cambios de sesión.
  * Sincroniza el perfil de `public.users` cada vez que hay sesión activa.
  *
  * Exporta:
@@ -17,7 +18,8 @@ import {
   useCallback,
   useMemo,
 } from "react";
-import { supabase } from "../supabaseClient";
+import { backend } from "../backend";
+import { flushScoreQueue } from "../services/scoreQueue";
 
 // ─── Contexto ────────────────────────────────────────────────────────────────
 
@@ -49,13 +51,9 @@ export function AuthProvider({ children }) {
       if (delay > 0) await new Promise((r) => setTimeout(r, delay));
 
       try {
-        const { data, error } = await supabase
-          .from("users")
-          .select("id, username, xp, equipped_avatar_id, coins")
-          .eq("id", userId)
-          .maybeSingle();
+        const data = await backend.users.getUser(userId);
 
-        if (!error && data) {
+        if (data) {
           setCurrentUser({
             id: data.id,
             username: data.username,
@@ -79,7 +77,7 @@ export function AuthProvider({ children }) {
     let mounted = true;
 
     // Get initial session
-    supabase.auth.getSession().then(({ data: { session: s } }) => {
+    backend.auth.getSession().then((s) => {
       if (!mounted) return;
       setSession(s);
       if (s?.user?.id) {
@@ -92,29 +90,27 @@ export function AuthProvider({ children }) {
     });
 
     // Listen for auth state changes
-    const { data: { subscription } } = supabase.auth.onAuthStateChange(
-      (_event, newSession) => {
-        if (!mounted) return;
-        setSession(newSession);
-        if (newSession?.user?.id) {
-          fetchProfile(newSession.user.id);
-        } else {
-          setCurrentUser(null);
-        }
+    const unsubscribe = backend.auth.onAuthStateChange((newSession) => {
+      if (!mounted) return;
+      setSession(newSession);
+      if (newSession?.user?.id) {
+        fetchProfile(newSession.user.id);
+      } else {
+        setCurrentUser(null);
       }
-    );
+    });
 
     return () => {
       mounted = false;
-      subscription.unsubscribe();
+      unsubscribe();
     };
   }, [fetchProfile]);
 
   // ── API pública ────────────────────────────────────────────────────────────
 
-  /** Cierra sesión (Supabase Auth). */
+  /** Cierra sesión. */
   const logout = useCallback(async () => {
-    await supabase.auth.signOut();
+    await backend.auth.signOut();
     setSession(null);
     setCurrentUser(null);
     setIsGuest(false);
@@ -154,6 +150,18 @@ export function AuthProvider({ children }) {
     return Promise.resolve();
   }, [session?.user?.id, fetchProfile]);
 
+  // ── 2. Cola offline: enviar al entrar y refrescar XP tras sincronizar ─────
+  useEffect(() => {
+    if (!session?.user?.id) return;
+    flushScoreQueue();
+
+    const handleSynced = (e) => {
+      if (e.detail?.accepted > 0) refreshProfile();
+    };
+    window.addEventListener("score-queue-synced", handleSynced);
+    return () => window.removeEventListener("score-queue-synced", handleSynced);
+  }, [session?.user?.id, refreshProfile]);
+
   // ── Render ─────────────────────────────────────────────────────────────────
 
   const value = useMemo(
@@ -0,0 +1,54 @@
+/**
+ * ColorVisionContext.jsx — Proveedor global del modo daltónico
+ *
+ * Gestiona:
+ *  - Modo de paleta (off / protanopia / deuteranopia / tritanopia)
+ *  - Símbolos y patrones sobre los colores (opcional)
+ *  - Persistencia en localStorage
+ *
+ * Los juegos leen la paleta con useColorVision() (hooks/useColorVision.js);
+ * Ajustes la cambia con setMode / setPatterns.
+ */
+
+import { useState, useCallback, useMemo } from "react";
+import { ColorVisionContext } from "../hooks/useColorVision";
+import {
+  PALETTES,
+  SYMBOLS,
+  CVD_MODES,
+  readStoredColorVision,
+  writeColorVision,
+} from "../utils/colorVision";
+
+export function ColorVisionProvider({ children }) {
+  const [settings, setSettings] = useState(readStoredColorVision);
+
+  const update = useCallback((patch) => {
+    setSettings((prev) => {
+      const next = { ...prev, ...patch };
+      writeColorVision(next);
+      return next;
+    });
+  }, []);
+
+  const setMode = useCallback((mode) => {
+    if (CVD_MODES.includes(mode)) update({ mode });
+  }, [update]);
+
+  const setPatterns = useCallback((patterns) => update({ patterns: !!patterns }), [update]);
+
+  const value = useMemo(() => ({
+    mode: settings.mode,
+    patterns: settings.patterns,
+    palette: PALETTES[settings.mode],
+    symbolFor: (key) => (settings.patterns ? SYMBOLS[key] ?? null : null),
+    setMode,
+    setPatterns,
+  }), [settings, setMode, setPatterns]);
+
+  return (
+    <ColorVisionContext.Provider value={value}>
+      {children}
+    </ColorVisionContext.Provider>
+  );
+}
@@ -4,6 +4,12 @@
  * Cada juego tiene:
  *  - id, title, description, emoji, color (Tailwind bg class)
  *  - gameComponent (string) — si el juego tiene componente real
+ *  - embed.src (string) — con gameComponent "Embedded": juego HTML5 en iframe
+ *    (servido desde addGames/ en /embedded/<slug>/, ver vite.config.js)
+ *  - pausable (bool) — el juego congela la partida con isActive=false y la
+ *    reanuda intacta al volver a true, sin límite de tiempo. El Feed lo deja
+ *    montado al salir del slide y ofrece "Continuar partida" con cuenta atrás
+ *    (sin él se aplica la regla de los 3 segundos)
  *
  * El primer juego (Tower Blocks) ya está integrado como juego real.
  * El resto son placeholders por ahora.
@@ -18,6 +24,7 @@ const GAMES = [
     emoji: "🏗️",
     logo: "/logo-towerblocks.png",
     gameComponent: "TowerBlocks",
+    pausable: true,
   },
   {
     id: "odd-one-out",
@@ -113,6 +120,7 @@ const GAMES = [
     logo: "/logo-dodgerush.png",
     gameComponent: "DodgeRush",
     requiresScrollLock: true,
+    pausable: true,
   },
   {
     id: "frenzy-tap",
@@ -239,6 +247,7 @@ const GAMES = [
     logo: "/logo-shadowdash.png",
     gameComponent: "ShadowDash",
     requiresScrollLock: true,
+    pausable: true,
   },
   {
     id: "gravity-draw",
@@ -249,6 +258,7 @@ const GAMES = [
     logo: "/logo-gravitydraw.png",
     gameComponent: "GravityDraw",
     requiresScrollLock: true,
+    pausable: true,
   },
   {
     id: "crossroad-dart",
@@ -298,6 +308,7 @@ const GAMES = [
     logo: "/logo-coreescape.png",
     gameComponent: "CoreEscape",
     requiresScrollLock: true,
+    pausable: true,
   },
   {
     id: "neon-chrono",
@@ -319,6 +330,30 @@ const GAMES = [
     gameComponent: "GhostPong",
     requiresScrollLock: true,
   },
+  {
+    id: "hextris",
+    title: "Hextris",
+    description: "Gira el hexágono y junta tres bloques del mismo color",
+    color: "bg-slate-800",
+    emoji: "⬢",
+    logo: "/logo-hextris.png",
+    gameComponent: "Embedded",
+    embed: { src: "embedded/hextris/index.html" },
+    requiresScrollLock: true,
+    pausable: true, // "pause" del puente congela el bucle (js/scrollinn-adapter.js)
+  },
+  {
+    id: "2048",
+    title: "2048",
+    description: "Desliza y une fichas iguales hasta llegar a 2048",
+    color: "bg-amber-900",
+    emoji: "🔢",
+    logo: "/logo-2048.png",
+    gameComponent: "Embedded",
+    embed: { src: "embedded/2048/index.html" },
+    requiresScrollLock: true,
+    pausable: true, // sin reloj: en pausa se ignoran los movimientos (js/scrollinn_adapter.js)
+  },
 ];
 
 export default GAMES;
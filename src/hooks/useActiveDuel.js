@@ -0,0 +1,97 @@
+/**
+ * useActiveDuel — Duelo abierto desde un enlace (?duel=<id>)
+ *
+ * Fases:
+ *  - 'loading'     → cargando el duelo
+ *  - 'login'       → invitado: hay que iniciar sesión para aceptarlo
+ *  - 'ready'       → aceptado; se lanza el juego con el evento "playGameDirectly"
+ *  - 'settled'     → partida jugada y duelo resuelto (duel.winner)
+ *  - 'own'         → es tu propio reto
+ *  - 'unavailable' → no existe, caducado, terminado o ya aceptado por otro
+ *
+ * La resolución se dispara con "score-saved" (useSubmitScore) del juego del duelo.
+ * El evento "open-duel" ({ detail: duelId }) activa otro duelo (p.ej. desde la bandeja).
+ *
+ * @param {string|null} duelId
+ * @param {string|null} userId
+ * @returns {{ duel: object|null, phase: string|null, dismiss: () => void }}
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { getDuel, acceptDuel, settleDuel } from "../services/duelService";
+
+export default function useActiveDuel(duelId, userId) {
+  const [activeId, setActiveId] = useState(duelId);
+  const [loadNonce, setLoadNonce] = useState(0); // reabrir el mismo duelo recarga
+  const [duel, setDuel] = useState(null);
+  const [phase, setPhase] = useState(duelId ? "loading" : null);
+
+  // 1. Cargar el duelo y, con sesión, aceptarlo
+  useEffect(() => {
+    if (!activeId) return;
+    let cancelled = false;
+
+    getDuel(activeId).then(async (loaded) => {
+      if (cancelled) return;
+      if (!loaded) {
+        setPhase("unavailable");
+        return;
+      }
+      setDuel(loaded);
+      if (!userId) {
+        setPhase("login");
+        return;
+      }
+
+      const res = await acceptDuel(activeId);
+      if (cancelled) return;
+      const status = res.success ? res.status : "unavailable";
+
+      if (status === "accepted") {
+        setPhase("ready");
+        window.dispatchEvent(new CustomEvent("playGameDirectly", { detail: loaded.gameId }));
+      } else {
+        setPhase(status === "own" ? "own" : "unavailable");
+      }
+    });
+
+    return () => { cancelled = true; };
+  }, [activeId, userId, loadNonce]);
+
+  // 2. Resolver tras la primera partida guardada del juego del duelo
+  useEffect(() => {
+    if (phase !== "ready" || !duel) return;
+    const handler = (e) => {
+      if (e.detail?.gameId !== duel.gameId) return;
+      settleDuel(duel.id).then((settled) => {
+        if (!settled || settled.status !== "finished") return;
+        setDuel(settled);
+        setPhase("settled");
+        window.dispatchEvent(new CustomEvent("duels-updated"));
+      });
+    };
+    window.addEventListener("score-saved", handler);
+    return () => window.removeEventListener("score-saved", handler);
+  }, [phase, duel]);
+
+  // 3. Activar un duelo desde otra parte de la app (bandeja de duelos)
+  useEffect(() => {
+    const handler = (e) => {
+      if (!e.detail) return;
+      setDuel(null);
+      setPhase("loading");
+      setActiveId(e.detail);
+      setLoadNonce((n) => n + 1);
+    };
+    window.addEventListener("open-duel", handler);
+    return () => window.removeEventListener("open-duel", handler);
+  }, []);
+
+  const dismiss = useCallback(() => {
+    setActiveId(null);
+    setDuel(null);
+    setPhase(null);
+  }, []);
+
+  return { duel, phase, dismiss };
+}
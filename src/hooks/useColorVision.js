@@ -0,0 +1,28 @@
+/**
+ * useColorVision.js — Paleta de colores activa (modo daltónico)
+ *
+ * Devuelve:
+ *  - mode        'off' | 'protanopia' | 'deuteranopia' | 'tritanopia'
+ *  - patterns    true si hay que añadir símbolos a los colores
+ *  - palette     colores del modo (ver utils/colorVision.js)
+ *  - symbolFor(key) → símbolo del color con nombre, o null sin patrones
+ *  - setMode / setPatterns (Ajustes)
+ *
+ * Sin ColorVisionProvider devuelve la paleta original (juegos sueltos).
+ */
+
+import { createContext, useContext } from "react";
+import { PALETTES } from "../utils/colorVision";
+
+export const ColorVisionContext = createContext({
+  mode: "off",
+  patterns: false,
+  palette: PALETTES.off,
+  symbolFor: () => null,
+  setMode: () => {},
+  setPatterns: () => {},
+});
+
+export function useColorVision() {
+  return useContext(ColorVisionContext);
+}
@@ -0,0 +1,118 @@
+/**
+ * useFeedAnalytics — Eventos de analítica del Feed (analyticsService)
+ *
+ * Sigue la "visita" al slide activo y emite:
+ *  - slide_viewed  → al llegar a un slide
+ *  - game_started  → primer paso de 'ready' a cuenta atrás / partida
+ *                    (props.time_to_input_ms = tiempo hasta el primer toque)
+ *  - game_over     → evento `game-finished` del juego de la visita
+ *                    (props.score, props.duration_ms)
+ *  - replayed      → trackReplay() desde el handleReplay del Feed
+ *  - skipped       → se sale del slide (o se cierra la pestaña) sin terminar;
+ *                    props.stage = 'idle' si no llegó a empezar, si no la
+ *                    fase en la que abandonó (countdown / playing / paused)
+ *
+ * Volver a un slide con la partida en curso (regla de 3 s, juego pausable)
+ * cuenta como vista, pero no como partida nueva.
+ *
+ * @param {{ activeIndex: number, slidePhase: string, playlistRef: object, userId: string|null }}
+ * @returns {{ trackReplay: () => void }}
+ */
+
+import { useEffect, useRef, useCallback } from "react";
+import { trackEvent, identifyAnalytics, flushAnalytics } from "../services/analyticsService";
+
+const elapsed = (from) => Math.round(performance.now() - from);
+
+export default function useFeedAnalytics({ activeIndex, slidePhase, playlistRef, userId }) {
+  // { gameId, index, viewedAt, startedAt, phase, finished, replays }
+  const visitRef = useRef(null);
+
+  useEffect(() => {
+    identifyAnalytics(userId);
+  }, [userId]);
+
+  /* ── Salida del slide sin terminar → skipped ── */
+  const leaveVisit = useCallback((visit, extra = {}) => {
+    if (!visit || visit.finished) return;
+    trackEvent("skipped", visit.gameId, {
+      stage: visit.startedAt ? visit.phase : "idle",
+      dwell_ms: elapsed(visit.viewedAt),
+      ...extra,
+    });
+  }, []);
+
+  /* ── Cambio de slide y de fase ── */
+  useEffect(() => {
+    const visit = visitRef.current;
+
+    if (!visit || visit.index !== activeIndex) {
+      leaveVisit(visit);
+      const game = playlistRef.current[activeIndex]?.game;
+      if (!game) {
+        visitRef.current = null;
+        return;
+      }
+      const resumed = slidePhase !== "ready";
+      visitRef.current = {
+        gameId: game.id,
+        index: activeIndex,
+        viewedAt: performance.now(),
+        startedAt: resumed ? performance.now() : null,
+        phase: slidePhase,
+        finished: false,
+        replays: 0,
+      };
+      trackEvent("slide_viewed", game.id, { index: activeIndex, resumed });
+      return;
+    }
+
+    if (visit.phase === "ready" && !visit.startedAt && (slidePhase === "countdown" || slidePhase === "playing")) {
+      visit.startedAt = performance.now();
+      trackEvent("game_started", visit.gameId, { time_to_input_ms: elapsed(visit.viewedAt) });
+    }
+    visit.phase = slidePhase;
+  }, [activeIndex, slidePhase, playlistRef, leaveVisit]);
+
+  /* ── Fin de partida ── */
+  useEffect(() => {
+    const handleGameFinished = (e) => {
+      const visit = visitRef.current;
+      const { gameId, score } = e.detail || {};
+      if (!visit || visit.finished || visit.gameId !== gameId) return;
+      visit.finished = true;
+      trackEvent("game_over", gameId, {
+        score,
+        duration_ms: visit.startedAt ? elapsed(visit.startedAt) : null,
+        replay: visit.replays,
+      });
+    };
+    window.addEventListener("game-finished", handleGameFinished);
+    return () => window.removeEventListener("game-finished", handleGameFinished);
+  }, []);
+
+  /* ── Cerrar la pestaña a mitad de visita también es un abandono ── */
+  useEffect(() => {
+    const handlePageHide = () => {
+      const visit = visitRef.current;
+      if (!visit || visit.finished) return;
+      leaveVisit(visit, { closed: true });
+      visit.finished = true;
+      flushAnalytics({ beacon: true });
+    };
+    window.addEventListener("pagehide", handlePageHide);
+    return () => window.removeEventListener("pagehide", handlePageHide);
+  }, [leaveVisit]);
+
+  /* ── Jugar otra vez desde el Game Over ── */
+  const trackReplay = useCallback(() => {
+    const visit = visitRef.current;
+    if (!visit) return;
+    visit.replays += 1;
+    visit.finished = false;
+    visit.startedAt = performance.now();
+    trackEvent("replayed", visit.gameId, { replay: visit.replays });
+  }, []);
+
+  return { trackReplay };
+}
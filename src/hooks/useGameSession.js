@@ -0,0 +1,134 @@
+/**
+ * useGameSession — Ciclo de vida común de una partida del feed
+ *
+ * Reúne lo que antes repetía cada juego: fase de la partida, envío de la
+ * puntuación (useSubmitScore), ranking / mensaje / carga del Game Over,
+ * reseteo para volver a jugar y las props del GameOverPanel.
+ *
+ * Fases: 'idle' → 'playing' ⇄ 'paused' → 'ended'
+ *  - start()            → 'playing' (o autoStart: al primer isActive)
+ *  - isActive=false     → 'paused' automáticamente; al volver → 'playing'
+ *  - end(score, opts)   → 'ended' y envía la puntuación una sola vez
+ *                         (opts = { replay } de useSubmitScore)
+ *  - reset()            → 'idle' con el Game Over limpio
+ *
+ * El juego solo implementa la jugabilidad y declara sus metadatos:
+ *
+ *   const session = useGameSession({
+ *     gameId: GAME_IDS.TimerGame, userId, isActive, onReplay, onNextGame,
+ *     lowerIsBetter: true,                  // = games.is_lower_better
+ *     formatScore: (ms) => `${ms} ms`,      // unidades de la BD → texto
+ *   });
+ *
+ *   {session.isEnded && (
+ *     <GameOverPanel title="Game Over" subtitle="…" {...session.gameOverProps} />
+ *   )}
+ *
+ * @returns {{
+ *   phase: 'idle'|'playing'|'paused'|'ended',
+ *   isIdle: boolean, isPlaying: boolean, isPaused: boolean, isEnded: boolean,
+ *   finalScore: number|null,
+ *   start: () => void, pause: () => void, resume: () => void,
+ *   end: (score: number, opts?: object) => Promise<object|null>|undefined,
+ *   reset: () => void,
+ *   gameOverProps: object,
+ * }}
+ */
+
+import { useState, useCallback, useRef } from "react";
+import { useSubmitScore } from "../services/useSubmitScore";
+import { t, formatNumber } from "../i18n";
+
+const defaultFormat = (score) => formatNumber(score);
+
+export default function useGameSession({
+  gameId,
+  userId,
+  isActive = true,
+  onReplay,
+  onNextGame,
+  autoStart = false,
+  lowerIsBetter = false,
+  formatScore = defaultFormat,
+}) {
+  const [phase, setPhase] = useState("idle");
+  const [finalScore, setFinalScore] = useState(null);
+  const [ranking, setRanking] = useState([]);
+  const [scoreMessage, setScoreMessage] = useState("");
+  const [isRankingLoading, setIsRankingLoading] = useState(false);
+  const submittedRef = useRef(false);
+
+  const { submit, xpGained } = useSubmitScore(userId, gameId);
+
+  /* ── isActive → autoStart / pausa / reanudación (ajuste durante el render) ── */
+  const [prevActive, setPrevActive] = useState(null);
+  if (prevActive !== isActive) {
+    setPrevActive(isActive);
+    if (isActive && phase === "idle" && autoStart) setPhase("playing");
+    else if (isActive && phase === "paused") setPhase("playing");
+    else if (!isActive && phase === "playing") setPhase("paused");
+  }
+
+  const start = useCallback(() => setPhase("playing"), []);
+  const pause = useCallback(() => setPhase((p) => (p === "playing" ? "paused" : p)), []);
+  const resume = useCallback(() => setPhase((p) => (p === "paused" ? "playing" : p)), []);
+
+  /* ── Fin de partida: guardar una sola vez y cargar el ranking ── */
+  const end = useCallback(
+    (score, opts) => {
+      if (submittedRef.current) return undefined;
+      submittedRef.current = true;
+      setFinalScore(score);
+      setPhase("ended");
+      setIsRankingLoading(true);
+      return submit(score, () => {}, opts)
+        .then((result) => {
+          setRanking(result?.data?.ranking || []);
+          setScoreMessage(result?.message || "");
+          return result;
+        })
+        .catch(() => {
+          setScoreMessage(t("svc.score_error"));
+          return null;
+        })
+        .finally(() => setIsRankingLoading(false));
+    },
+    [submit]
+  );
+
+  const reset = useCallback(() => {
+    submittedRef.current = false;
+    setPhase("idle");
+    setFinalScore(null);
+    setRanking([]);
+    setScoreMessage("");
+    setIsRankingLoading(false);
+  }, []);
+
+  return {
+    phase,
+    isIdle: phase === "idle",
+    isPlaying: phase === "playing",
+    isPaused: phase === "paused",
+    isEnded: phase === "ended",
+    finalScore,
+    start,
+    pause,
+    resume,
+    end,
+    reset,
+    gameOverProps: {
+      score: finalScore === null ? "" : formatScore(finalScore),
+      rawScore: finalScore,
+      formatScore,
+      isLowerBetter: lowerIsBetter,
+      onReplay,
+      onNext: onNextGame,
+      ranking,
+      scoreMessage,
+      xpGained,
+      gameId,
+      isLoading: isRankingLoading,
+    },
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * useReplayRecorder — Grabación de partidas reproducibles (opt-in por juego)
+ *
+ * Un replay es { v, seed, events, ...meta }:
+ *  - seed:   semilla del PRNG → el juego debe usar `random()` en vez de Math.random()
+ *  - events: [[ms, type, value], …] — inputs relevantes desde begin()
+ *  - meta:   lo que el juego necesite para reproducir (p.ej. ancho del tablero)
+ *
+ * Cada juego decide qué graba y cómo reproduce sus eventos; el hook solo
+ * aporta semilla, PRNG y el buffer de eventos.
+ *
+ * Uso:
+ *   const recorder = useReplayRecorder();
+ *   recorder.begin();                  // partida nueva (semilla aleatoria)
+ *   recorder.begin(replay.seed);       // reproducir un replay
+ *   recorder.random();                 // PRNG de la partida
+ *   recorder.record("r", 42);          // input
+ *   recorder.getReplay({ w: 390 });    // al terminar → objeto para guardar
+ */
+
+import { useRef, useCallback, useMemo } from "react";
+import { createSeededRandom, randomSeed } from "../utils/seededRandom";
+
+export const REPLAY_VERSION = 1;
+
+export default function useReplayRecorder() {
+  const stateRef = useRef({
+    seed: 0,
+    rng: Math.random,
+    events: [],
+    startedAt: 0,
+  });
+
+  /** Empieza una partida (o su reproducción) con la semilla indicada. */
+  const begin = useCallback((seed = randomSeed()) => {
+    stateRef.current = {
+      seed,
+      rng: createSeededRandom(seed),
+      events: [],
+      startedAt: performance.now(),
+    };
+  }, []);
+
+  /** PRNG de la partida en curso (Math.random hasta el primer begin). */
+  const random = useCallback(() => stateRef.current.rng(), []);
+
+  /** Apunta un input con su instante relativo al inicio. */
+  const record = useCallback((type, value) => {
+    const s = stateRef.current;
+    const ms = Math.round(performance.now() - s.startedAt);
+    s.events.push(value === undefined ? [ms, type] : [ms, type, value]);
+  }, []);
+
+  /** Replay compacto de la partida grabada. */
+  const getReplay = useCallback(
+    (meta = {}) => ({
+      v: REPLAY_VERSION,
+      seed: stateRef.current.seed,
+      events: stateRef.current.events.slice(),
+      ...meta,
+    }),
+    []
+  );
+
+  return useMemo(
+    () => ({ begin, random, record, getReplay }),
+    [begin, random, record, getReplay]
+  );
+}
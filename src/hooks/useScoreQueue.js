@@ -0,0 +1,40 @@
+/**
+ * useScoreQueue — Estado de la cola offline de puntuaciones.
+ *
+ * Escucha online/offline del navegador y los eventos de scoreQueue.js
+ * ("score-queue-changed") para exponer cuántas partidas quedan por enviar.
+ *
+ * @returns {{ isOnline: boolean, pendingCount: number }}
+ */
+
+import { useState, useEffect } from "react";
+import { getPendingScoreCount } from "../services/scoreQueue";
+
+export default function useScoreQueue() {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [pendingCount, setPendingCount] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    const refreshCount = () => {
+      getPendingScoreCount().then((count) => {
+        if (!cancelled) setPendingCount(count);
+      });
+    };
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+
+    refreshCount();
+    window.addEventListener("score-queue-changed", refreshCount);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      cancelled = true;
+      window.removeEventListener("score-queue-changed", refreshCount);
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, []);
+
+  return { isOnline, pendingCount };
+}
@@ -0,0 +1,65 @@
+/**
+ * useStreak — Racha diaria del usuario (streakService)
+ *
+ * Se recarga al guardar una partida ("score-saved"), al reclamar un reto
+ * ("challenges-updated"), al comprar un protector ("streak-updated") y al
+ * volver a la app (puede haber cambiado el día en Madrid).
+ *
+ * Si la recarga detecta el primer día activo de hoy, el servidor acaba de
+ * abonar la recompensa: se sincronizan las monedas y se llama a onReward.
+ *
+ * @param {string|null} userId
+ * @param {{ onReward?: (streak: object) => void }} [opts]
+ * @returns {{ streak: object|null, refresh: () => void }}
+ */
+
+import { useState, useEffect, useCallback, useRef } from "react";
+import { getStreak } from "../services/streakService";
+import { useAuth } from "../context/AuthContext";
+
+export default function useStreak(userId, { onReward } = {}) {
+  const { updateUser } = useAuth();
+  const [streak, setStreak] = useState(null);
+  const activeTodayRef = useRef(null); // último activeToday visto (null = aún no cargado)
+  const onRewardRef = useRef(onReward);
+
+  useEffect(() => {
+    onRewardRef.current = onReward;
+  }, [onReward]);
+
+  const refresh = useCallback(() => {
+    if (!userId) return;
+    getStreak(userId).then(({ success, data }) => {
+      if (!success) return;
+      if (activeTodayRef.current === false && data.activeToday && data.rewardToday > 0) {
+        updateUser({ coins: data.coins });
+        onRewardRef.current?.(data);
+      }
+      activeTodayRef.current = data.activeToday;
+      setStreak(data);
+    });
+  }, [userId, updateUser]);
+
+  useEffect(() => {
+    activeTodayRef.current = null;
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    const onVisible = () => {
+      if (document.visibilityState === "visible") refresh();
+    };
+    window.addEventListener("score-saved", refresh);
+    window.addEventListener("challenges-updated", refresh);
+    window.addEventListener("streak-updated", refresh);
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      window.removeEventListener("score-saved", refresh);
+      window.removeEventListener("challenges-updated", refresh);
+      window.removeEventListener("streak-updated", refresh);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, [refresh]);
+
+  return { streak: userId ? streak : null, refresh };
+}
@@ -1,1054 +1,44 @@
 /**
- * i18n.jsx — Sistema de internacionalización (ES/EN)
+ * i18n.jsx — Sistema de internacionalización
+ *
+ * Los textos viven en src/locales (un módulo por idioma) y el registro
+ * (locales/index.js) dice qué idiomas hay, su etiqueta Intl y su fallback.
+ * El español va en el bundle; el resto se carga bajo demanda. La lógica
+ * sin React está en locales/runtime.js y se re-exporta desde aquí.
  *
  * Exporta:
- *  - t(key, params?)  — función standalone para traducir (funciona en cualquier sitio)
- *  - getLang()         — idioma actual
- *  - setLang(lang)     — cambiar idioma
- *  - LanguageProvider  — wrapper React que dispara re-renders al cambiar
- *  - useLanguage()     — hook: { lang, toggleLang, t }
+ *  - t(key, params?)            — función standalone para traducir (funciona en cualquier sitio)
+ *  - getLang()                  — idioma actual
+ *  - setLang(lang)              — cambiar idioma (carga su bundle antes de aplicarlo)
+ *  - loadLocale(lang)           — precarga un idioma y su cadena de fallback
+ *  - getIntlLocale()            — etiqueta BCP 47 del idioma actual
+ *  - formatNumber(n, opts?)     — número según el idioma
+ *  - formatDate(d, opts?)       — fecha/hora según el idioma
+ *  - localized(row, field)      — campo traducido de una fila de la BD
+ *  - LOCALES                    — registro de idiomas
+ *  - LanguageProvider           — wrapper React que dispara re-renders al cambiar
+ *  - useLanguage()              — hook: { lang, setLang, locales, t }
  */
 
-import { createContext, useContext, useState, useEffect, useCallback, useMemo } from "react";
-
-// ─── Traducciones ────────────────────────────────────────────────────────────
-
-const translations = {
-  es: {
-    // ── UI General ──────────────────────────────
-    "ui.preparing":       "Preparando...",
-    "ui.playing":         "En juego",
-    "ui.tap_to_start":    "Toca para empezar",
-    "ui.challenges":       "Retos",
-    "ui.how_to_play":     "Cómo jugar",
-    "ui.resume":          "Continuar",
-    "ui.like":            "Me gusta",
-    "ui.my_account":      "Mi cuenta",
-    "ui.register_aria":   "Registrarse",
-    "ui.register_label":  "Registro",
-    "ui.gallery_aria":    "Galería de juegos",
-    "ui.games":           "Juegos",
-    "ui.swipe_hint":      "Desliza para cambiar de juego",
-    "ui.next_game":        "Siguiente juego",
-
-    // ── Auth Modal ──────────────────────────────
-    "auth.fill_both":      "Rellena ambos campos.",
-    "auth.account_created":"¡Cuenta creada! Bienvenido, {{username}} 🎉",
-    "auth.welcome_back":   "¡Hola de nuevo, {{username}}! 👋",
-    "auth.connection_error":"No se pudo conectar con el servidor.",
-    "auth.your_account":   "Tu cuenta",
-    "auth.login_register": "Entrar / Registrarse",
-    "auth.close":          "Cerrar",
-    "auth.logout":         "Cerrar sesión",
-    "auth.logout_confirm":  "¿Seguro que quieres cerrar sesión?",
-    "auth.logout_yes":      "Sí, cerrar sesión",
-    "auth.logout_no":       "No, cancelar",
-    "auth.username":       "Nombre de usuario",
-    "auth.username_ph":    "Tu nombre...",
-    "auth.password":       "Contraseña",
-    "auth.dont_forget":    "¡No olvides tu contraseña!",
-    "auth.no_recovery":    "No hay forma de recuperarla. Si la pierdes, no podrás volver a acceder a tu cuenta.",
-    "auth.connecting":     "Conectando...",
-    "auth.continue":       "Continuar",
-    "auth.auto_create":    "Si no tienes cuenta, se creará una automáticamente.",
-    "auth.login":          "Iniciar sesión",
-    "auth.create_account": "Crear cuenta",
-    "auth.confirm_password":"Confirmar contraseña",
-    "auth.passwords_no_match":"Las contraseñas no coinciden.",
-    "auth.fill_all":       "Rellena todos los campos.",
-    "auth.show_password":  "Mostrar contraseña",
-    "auth.hide_password":  "Ocultar contraseña",
-    "auth.no_account":     "¿No tienes cuenta?",
-    "auth.create_fast":    "¡Créala en segundos!",
-    "auth.have_account":   "¿Ya tienes cuenta?",
-    "auth.go_login":       "Inicia sesión",
-
-    // ── AuthScreen (pantalla obligatoria) ───────
-    "authscreen.subtitle":        "Inicia sesión para jugar",
-    "authscreen.email_or_username": "Email o nombre de usuario",
-    "authscreen.email_or_username_ph": "tu@email.com o tu_nombre",
-    "authscreen.username_not_found": "Usuario no encontrado.",
-    "authscreen.username_label":    "Nombre de usuario",
-    "authscreen.username_placeholder": "tu_nombre",
-    "authscreen.fill_username":     "Elige un nombre de usuario.",
-    "authscreen.fill_both":       "Rellena email y contraseña.",
-    "authscreen.invalid_credentials": "Email o contraseña incorrectos.",
-    "authscreen.password_min":    "La contraseña debe tener al menos 8 caracteres.",
-    "authscreen.password_weak":   "La contraseña debe tener al menos 8 caracteres, una mayúscula y un número.",
-    "authscreen.email_invalid":   "El formato del email no es válido.",
-    "authscreen.username_format": "El usuario solo admite letras, números y _ (3-20 caracteres).",
-    "authscreen.username_taken":  "Este nombre de usuario ya está en uso.",
-    "authscreen.email_taken":     "Este email ya está registrado.",
-    "authscreen.terms_required":  "Debes aceptar la Política de Privacidad para continuar.",
-    "authscreen.terms_label":     "He leído y acepto la",
-    "authscreen.terms_link":      "Política de Privacidad",
-    "authscreen.check_email":     "¡Cuenta creada! Revisa tu email para confirmar.",
-    "authscreen.hint":            "Tu progreso se guardará automáticamente en cuanto inicies sesión.",
-    "authscreen.guest_btn":         "Jugar como invitado",
-    "authscreen.guest_banner":      "Estás jugando como invitado. Tus puntuaciones no se guardarán.",
-    "authscreen.guest_login_prompt": "Inicia sesión para guardar puntuaciones, comprar avatares y ver tu perfil.",
-    "authscreen.guest_login_btn":   "Iniciar sesión",
-
-    // ── Countdown ───────────────────────────────
-    "countdown.how_to_play": "Cómo jugar",
-
-    // ── Gallery Modal ───────────────────────────
-    "gallery.choose":      "Elige un juego",
-    "gallery.search":      "Buscar juego...",
-    "gallery.search_game":  "Buscar juego",
-    "gallery.noResults":   "No se encontraron juegos",
-    "gallery.playing":     "Jugando",
-    "gallery.challenges_aria": "Retos Diarios",
-
-    // ── Game Over Panel ─────────────────────────
-    "gameover.user":       "Usuario",
-    "gameover.points":     "Puntos",
-    "gameover.loading":    "Cargando ranking...",
-    "gameover.replay":     "Jugar de nuevo",
-    "gameover.next":       "Siguiente juego",
-    "gameover.calculating_xp": "Calculando XP...",
-    "gameover.no_xp":      "No has conseguido XP. ¡Inténtalo de nuevo!",    "gameover.new_record":  "¡NUEVO RÉCORD!",
-    "gameover.best_score":  "Tu mejor puntuación",
-    "gameover.global_pos":  "Posición Global",
-    "gameover.level":       "Nv",
-    "gameover.view_top5":   "VER TOP 5",
-    "gameover.top5":        "Top 5",
-    "gameover.you":         "Tú",
-    "gameover.processing":  "Procesando...",
-    "gameover.first_game":  "Primera partida",
-    // ── Public Profile Modal ────────────────────
-    "profile.close":           "Cerrar",
-    "profile.loading":         "Cargando perfil...",
-    "profile.not_found":       "Jugador no encontrado",
-    "profile.featured_games":  "Juegos destacados",
-    "profile.no_data":         "Aún no hay suficientes datos",
-    "profile.in_game":         "en",
-    "profile.career":          "Resumen de carrera",
-    "profile.total_top1":      "Total Top 1",
-    "profile.total_top5":      "Total Top 5",
-
-    // ── Services ────────────────────────────────
-    "svc.username_required":  "Nombre de usuario y contraseña son obligatorios.",
-    "svc.username_too_long":  "El nombre de usuario no puede tener más de 30 caracteres.",
-    "svc.password_too_short": "La contraseña debe tener al menos 4 caracteres.",
-    "svc.wrong_password":     "Contraseña incorrecta.",
-    "svc.username_taken":     "Ese nombre de usuario ya está cogido.",
-    "svc.user_not_found":     "Ese usuario no existe.",
-    "svc.db_error":           "Error de conexión con la base de datos.",
-    "svc.login_required":     "Debes iniciar sesión para dar like",
-    "svc.like_added":         "Like añadido",
-    "svc.like_removed":       "Like eliminado",
-    "svc.game_not_found":     "Juego no encontrado",
-    "svc.score_saved":        "¡Puntuación registrada!",
-    "svc.top5_made":          "¡Estás en el Top 5!",
-    "svc.register_to_save":   "Regístrate para guardar tu puntuación y XP",
-    "svc.score_error":        "Error al enviar puntuación.",
-
-    // ── Game Descriptions (games.js) ────────────
-    "desc.tower-blocks":    "Desafía la gravedad, bloque a bloque. Toca en el momento exacto para apilar la siguiente pieza.",
-    "desc.odd-one-out":     "Confía en tus ojos. Encuentra y toca el único color diferente antes de que el reloj llegue a cero.",
-    "desc.circle-ninja":    "Desata tu katana digital. Desliza para cortar los círculos verdes y no toques los rojos bajo ningún concepto.",
-    "desc.color-match":     "Conquista el tablero paso a paso. Cambia de color estratégicamente para inundar la pantalla en el menor número de movimientos.",
-    "desc.circle-path":     "No rompas la cadena. Toca en el momento exacto para conectar con el siguiente círculo numerado de la ruta.",
-    "desc.neon-tap":        "Reflejos al límite. Toca el cuadrado iluminado antes de que desaparezca en la oscuridad.",
-    "desc.stroop-effect":   "Engaña a tu propio cerebro. Toca el color de la tinta, ignorando por completo la palabra escrita.",
-    "desc.timer":           "Controla el tiempo. Detén el cronómetro exactamente en 09:999. Ni un milisegundo más, ni uno menos.",
-    "desc.traffic-light":   "Tensión en la línea de salida. Espera la señal y toca la pantalla tan pronto como se ponga verde.",
-    "desc.sweet-spot":      "El pulso de un cirujano. Calcula la velocidad y detén la línea exactamente dentro de la zona verde.",
-    "desc.dodge-rush":      "Supervivencia extrema. Muévete rápido y esquiva los obstáculos el mayor tiempo posible sin chocar.",
-    "desc.frenzy-tap":      "Velocidad extrema. Machaca el botón lo más rápido que puedas en solo 10 segundos.",
-    "desc.perfect-scale":   "Controla la presión. Mantén pulsado para inflar el globo hasta que encaje exactamente en el círculo.",
-    "desc.swipe-sorter":    "Orden en el caos. Desliza las cartas rápidamente hacia el lado correcto para clasificarlas.",
-    "desc.math-rush":       "Tu cerebro a contrarreloj. Decide si la operación matemática es verdadera o falsa antes de que se agote el tiempo.",
-    "desc.stick-bridge":    "Calcula el abismo. Mantén pulsado para hacer crecer el puente y cruzar a salvo a la siguiente plataforma.",
-    "desc.drop-the-box":    "Construcción de alto riesgo. Toca en el momento exacto para soltar la caja y apilar la torre más alta posible.",
-    "desc.overheat":        "Al borde del colapso. Toca la pantalla el número exacto de veces sin sobrecalentar el motor.",
-    "desc.memory-loop":     "Memoria fotográfica. Observa atentamente la secuencia de luces y repítela sin cometer un solo error.",
-    "desc.higher-lower":    "Desafía a la suerte. Analiza tu jugada y adivina si el valor de la próxima carta será mayor o menor. Se juega con una baraja real.",
-    "desc.vector-leap":     "Física y precisión. Ajusta el ángulo y la fuerza de tu salto para aterrizar a salvo en la siguiente plataforma.",
-    "desc.rps-duel":        "Reacción instantánea. Lee la orden del sistema y elige la mano correcta para ganar, empatar o perder antes de que acabe el tiempo.",
-    "desc.orbit-sniper":    "Precisión interestelar. Dispara el satélite en el instante exacto para saltar a la órbita del siguiente planeta.",
-    "desc.shadow-dash":     "Sigilo y supervivencia. Pulsa para avanzar rápido mientras el guardia duerme y detente en seco cuando despierte para no ser visto.",
-    "desc.gravity-draw":    "Desafía la física con tu dedo. Dibuja el camino perfecto para guiar la bola de forma segura hasta la meta.",
-    "desc.crossroad-dart":  "Reflejos de asfalto. Calcula la velocidad del tráfico y cruza la intersección en el momento justo sin chocar.",
-    "desc.mental-math":     "Mente ágil, respuestas rápidas. Resuelve las operaciones matemáticas de cabeza antes de que el reloj llegue a cero.",
-    "desc.perfect-circle":  "El trazo definitivo. Mantén el pulso firme y dibuja un círculo perfecto de un solo movimiento continuo.",
-    "desc.memory-sequence":  "La prueba definitiva de retención. Memoriza la posición de los números y tócalos en orden consecutivo cuando se oculten al pulsar el primero.",
-    "desc.core-escape":       "Esquiva los cortafuegos a toda velocidad. Toca la pantalla para cambiar de carril y extrae los datos antes de que te atrapen.",
-    "desc.neon-chrono":       "Pon a prueba tu reloj interno. Mantén pulsado durante el tiempo exacto que te pide cada ronda y suelta en el momento justo.",
-    "desc.ghost-pong":        "Pong fantasma. Rebota la bola con tu pala, pero cuidado: la zona invisible crece y la bola acelera con cada rebote. ¡Rompe las cajas doradas para bonus!",
-
-    // ── GhostPong ────────────────────────────────
-    "ghostpong.subtitle":    "puntos",
-    "ghostpong.bonus":       "BONUS +5",
-
-    // ── MemorySequence ────────────────────────────
-    "memseq.round":       "Ronda",
-    "memseq.instruction": "Toca el 1 para empezar",
-    "memseq.subtitle":    "rondas completadas",
-
-    // ── CoreEscape ───────────────────────────────
-    "coreescape.unit":     "MB extraídos",
-    "coreescape.subtitle": "datos extraídos",
-
-    // ── NeonChrono ───────────────────────────────
-    "neonchrono.round":            "Ronda",
-    "neonchrono.target":           "Objetivo",
-    "neonchrono.seconds":          "segundos",
-    "neonchrono.hold_instruction": "Mantén pulsado",
-    "neonchrono.ready":            "Ready...",
-    "neonchrono.go":               "¡GO!",
-    "neonchrono.blind":            "A ciegas",
-    "neonchrono.perfect":          "¡PERFECTO!",
-    "neonchrono.pass":             "¡Pasas!",
-    "neonchrono.fail":             "¡FALLASTE!",
-    "neonchrono.off_by":           "Diferencia",
-    "neonchrono.your_time":        "Tu tiempo",
-    "neonchrono.next_round":       "Siguiente ronda...",
-    "neonchrono.score_label":      "Rondas",
-    "neonchrono.subtitle":         "rondas superadas",
-    "neonchrono.instruction":      "Mantén pulsado el tiempo que pide cada ronda",
-    "neonchrono.title_great":      "¡Genial!",
-    "neonchrono.title_legendary":  "¡Legendario!",
-
-    // ── PerfectCircle ─────────────────────────────
-    "perfectcircle.instruction": "Dibuja un círculo de un solo trazo",
-    "perfectcircle.subtitle":    "¿Qué tan perfecto fue tu círculo?",
-    "perfectcircle.too_short":   "Trazo muy corto",
-    "perfectcircle.too_small":   "Círculo demasiado pequeño",
-    "perfectcircle.incomplete":  "Círculo incompleto",
-
-    // ── CircleNinja ─────────────────────────────
-    "circleninja.instruction":      "Desliza para cortar los verdes 🟢",
-    "circleninja.too_many_escaped": "Se te escaparon demasiados",
-    "circleninja.cut_red":          "¡Cortaste un rojo!",
-
-    // ── CirclePath ──────────────────────────────
-    "circlepath.instruction": "Toca para saltar al siguiente círculo",
-    "circlepath.reached":     "Has alcanzado {{score}} {{unit}}",
-    "circlepath.point":       "punto",
-    "circlepath.points":      "puntos",
-
-    // ── ColorMatch ──────────────────────────────
-    "colormatch.moves":     "Movimientos",
-    "colormatch.zone":      "Zona",
-    "colormatch.victory":   "¡Victoria!",
-    "colormatch.completed": "Completaste el tablero en {{moves}} movimientos",
-    "colormatch.reached":   "Llegaste al {{progress}}% del tablero",
-
-    // ── DodgeRush ───────────────────────────────
-    "dodgerush.seconds":  "segundos",
-    "dodgerush.subtitle": "sobrevividos",
-
-    // ── DropTheBox ──────────────────────────────
-    "dropthebox.instruction":  "Toca para soltar la caja",
-    "dropthebox.tap_drop":     "Toca para soltar",
-    "dropthebox.boxes_stacked":"cajas apiladas",
-    "dropthebox.speed":        "Velocidad",
-
-    // ── FrenzyTap ───────────────────────────────
-    // (solo usa svc.score_error + subtitle "taps" que es universal)
-
-    // ── MathRush ────────────────────────────────
-    "mathrush.true":     "Verdadero",
-    "mathrush.false":    "Falso",
-    "mathrush.subtitle": "respuestas correctas",
-
-    // ── NeonTap ─────────────────────────────────
-    "neontap.instruction": "Toca el cuadrado iluminado",
-    "neontap.subtitle":    "puntos",
-
-    // ── OddOneOut ───────────────────────────────
-    "oddoneout.level":       "Nivel {{level}}",
-    "oddoneout.instruction": "Encuentra al infiltrado",
-    "oddoneout.reached":     "Nivel alcanzado: {{level}}",
-
-    // ── PerfectScale ────────────────────────────
-    "perfectscale.perfect":       "¡PERFECTO!",
-    "perfectscale.almost":        "¡Casi perfecto!",
-    "perfectscale.great":         "¡Muy bien!",
-    "perfectscale.not_bad":       "Nada mal",
-    "perfectscale.keep_trying":   "Sigue intentando",
-    "perfectscale.hold_inflate":  "Mantén pulsado para inflar",
-    "perfectscale.release":       "¡Suelta para fijar!",
-    "perfectscale.inflate_edge":  "Infla el globo hasta el borde",
-    "perfectscale.px_diff":       "px de diferencia",
-    "perfectscale.target":        "Objetivo",
-    "perfectscale.your_balloon":  "Tu globo",
-    "perfectscale.subtitle":      "de diferencia",
-
-    // ── StickBridge ─────────────────────────────
-    "stickbridge.instruction": "Mantén para hacer crecer el puente",
-    "stickbridge.hold":        "Mantén pulsado",
-    "stickbridge.subtitle":    "plataformas",
-
-    // ── StroopEffect ────────────────────────────
-    "stroop.red":         "ROJO",
-    "stroop.blue":        "AZUL",
-    "stroop.green":       "VERDE",
-    "stroop.yellow":      "AMARILLO",
-    "stroop.points":      "Puntos",
-    "stroop.instruction": "Toca el color de la tinta, no la palabra",
-    "stroop.subtitle":    "puntos",
-
-    // ── SweetSpot ───────────────────────────────
-    "sweetspot.tap_green":   "Toca cuando esté en verde",
-    "sweetspot.consecutive": "aciertos seguidos",
-    "sweetspot.instruction": "Detén la línea en la zona verde",
-    "sweetspot.subtitle":    "aciertos",
-
-    // ── SwipeSorter ─────────────────────────────
-    "swipesorter.instruction": "Desliza al lado correcto",
-    "swipesorter.subtitle":    "cartas clasificadas",
-    "swipesorter.red":         "ROJA",
-    "swipesorter.blue":        "AZUL",
-    "swipesorter.left":        "← Izquierda",
-    "swipesorter.right":       "Derecha →",
-
-    // ── Timer ───────────────────────────────────
-    "timer.perfect":    "¡PERFECTO! 🎯",
-    "timer.incredible": "¡Increíble! 🔥",
-    "timer.very_close": "¡Muy cerca! ⚡",
-    "timer.good_try":   "¡Buen intento! 👏",
-    "timer.not_bad":    "No está mal 🤔",
-    "timer.can_improve":"Puedes mejorar 💪",
-    "timer.keep_trying":"Sigue intentando 😅",
-    "timer.target":     "Objetivo",
-    "timer.tap_stop":   "¡Toca para parar!",
-    "timer.difference": "Diferencia",
-    "timer.instruction":"Para el cronómetro en 09:999",
-    "timer.subtitle":   "de diferencia",
-    "timer.title_amazing": "¡Increíble!",
-
-    // ── TowerBlocks ─────────────────────────────
-    "tower.instruction": "Toca en el momento justo para apilar los bloques",
-    "tower.tap_play":    "Toca para jugar",
-    "tower.tap_place":   "Toca para colocar el bloque",
-    "tower.score":       "Puntuación: {{score}}",
-
-    // ── TrafficLight ────────────────────────────
-    "traffic.too_soon":       "¡Demasiado pronto! 🚫",
-    "traffic.superhuman":     "¡Sobrehumano! ⚡",
-    "traffic.incredible":     "¡Increíble! 🔥",
-    "traffic.very_fast":      "¡Muy rápido! 🎯",
-    "traffic.good_reflex":    "Buen reflejo 👏",
-    "traffic.not_bad":        "No está mal 🤔",
-    "traffic.faster":         "Puedes más rápido 💪",
-    "traffic.wait":           "ESPERA...",
-    "traffic.dont_touch":     "No toques aún",
-    "traffic.tap":            "¡TOCA!",
-    "traffic.milliseconds":   "milisegundos",
-    "traffic.touched_early":  "Tocaste antes de que se pusiera verde",
-    "traffic.tap_when_green": "Toca cuando se ponga verde",
-    "traffic.title_early":    "¡Demasiado pronto!",
-    "traffic.title_amazing":  "¡Increíble!",
-    "traffic.penalty":        "penalización",
-    "traffic.reaction":       "de reacción",
-
-    // ── Memory Loop ─────────────────────────────
-    "memoryloop.instruction": "Memoriza y repite la secuencia",
-    "memoryloop.subtitle":    "rondas completadas",
-
-    // ── Higher Lower ────────────────────────────
-    "higherlower.instruction": "¿Mayor o menor?",
-    "higherlower.subtitle":    "aciertos seguidos",
-
-    // ── RPS Duel ────────────────────────────────
-    "rpsduel.win":         "¡GANAR!",
-    "rpsduel.lose":        "¡PERDER!",
-    "rpsduel.draw":        "¡EMPATAR!",
-    "rpsduel.youmust":     "TIENES QUE",
-    "rpsduel.subtitle":    "rondas superadas",
-
-    // ── Vector Leap ─────────────────────────────
-    "vectorleap.instruction": "Toca para fijar ángulo y fuerza",
-    "vectorleap.tap_angle":   "Toca para fijar el ángulo",
-    "vectorleap.tap_power":   "Toca para fijar la fuerza",
-    "vectorleap.subtitle":    "saltos exitosos",
-
-    // ── Orbit Sniper ────────────────────────────
-    "orbitsniper.instruction": "Dispara el satélite en el momento justo para cambiar de planeta",
-    "orbitsniper.tap_to_shoot": "Dispara el satélite en el momento justo para cambiar de planeta",
-    "orbitsniper.tap_hint":    "Toca para disparar",
-    "orbitsniper.subtitle":    "objetivos alcanzados",
-
-    // ── Overheat ────────────────────────────────
-    "overheat.round":     "Ronda",
-    "overheat.score":     "Puntuación",
-    "overheat.target":    "OBJETIVO",
-    "overheat.remaining": "restantes",
-    "overheat.rounds":    "rondas",
-    "overheat.hold":      "¡NO TOQUES!",
-
-    // ── Shadow Dash ─────────────────────────────
-    "shadowdash.instruction": "Mantén pulsado para correr, suelta para esconderte",
-    "shadowdash.panic":       "Pánico",
-    "shadowdash.asleep":      "Dormido",
-    "shadowdash.warning":     "¡Cuidado!",
-    "shadowdash.watching":    "¡Mirando!",
-    "shadowdash.running":     "Corriendo",
-    "shadowdash.hidden":      "Escondido",
-    "shadowdash.hold_to_run": "Pulsa para correr · Suelta para esconderte",
-    "shadowdash.bonus_panic": "+{{amount}} Pánico",
-    "shadowdash.subtitle":    "metros",
-    "shadowdash.death_eye":    "¡Te pilló el ojo!",
-    "shadowdash.death_panic":  "Muerto de pánico",
-
-    // ── Gravity Draw ─────────────────────────────
-    "gravitydraw.instruction": "Dibuja una línea para dirigir la bola",
-    "gravitydraw.drawHere":     "Dibuja aquí",
-    "gravitydraw.subtitle":    "rondas superadas",
-    "gravitydraw.success":     "¡Goool!",
-
-    // ── Crossroad Dart ───────────────────────────
-    "crossroaddart.tap":      "¡Toca para cruzar!",
-    "crossroaddart.subtitle": "cruces",
-    "crossroaddart.cross":    "cruce",
-    "crossroaddart.crosses":  "cruces",
-
-    // ── Avatar System ────────────────────────────
-    "avatar.select_title":    "Seleccionar Avatar",
-    "avatar.collection_title": "Tu Colección",
-    "avatar.default":         "Por defecto",
-    "avatar.save":            "Guardar",
-    "avatar.saving":          "Guardando...",
-    "avatar.edit":            "Cambiar avatar",
-    "avatar.equipped":        "Equipado",
-    "avatar.equip":           "Equipar Avatar",
-    "avatar.go_to_shop":      "Ir a la Tienda",
-    "avatar.tap_to_inspect":  "Toca un avatar para ver sus detalles",
-    "avatar.no_avatars":      "Aún no tienes avatares. \u00a1Sigue jugando para desbloquearlos!",
-    "avatar.details":         "Detalles",
-    "avatar.back":            "Volver",
-    "avatar.lore":            "Historia",
-    "avatar.how_to_get":      "Cómo se consigue",
-    "avatar.unlock_level":    "Se desbloquea en el Nivel {{level}}",
-    "avatar.unlock_shop":     "Precio: {{price}} Monedas",
-    "avatar.unlock_starter":  "Regalo de bienvenida",
-    "avatar.unlock_unknown":  "Desbloqueo especial",
-    "avatar.tier_label":      "Rango",
-
-    // ── Tabs / Nav ───────────────────────────────
-    "tab.all":              "Todos",
-    "tab.favorites":        "Favoritos",
-    "tab.shop":             "Tienda",
-    "tab.fav_locked":       "¡Dale like a 5 juegos para desbloquear tu lista de favoritos! (Llevas {{count}}/5)",
-    "tab.login_required":   "Inicia sesión para acceder",
-    "lock.login_title":     "Accede a tus Favoritos",
-    "lock.login_desc":      "Guarda tus juegos preferidos y accede a ellos rápidamente.",
-    "lock.fav_title":       "Favoritos bloqueados",
-    "lock.fav_desc":        "Necesitas tener 5 juegos en favoritos para acceder a este modo. (Llevas {{count}}/5)",
-    "lock.challenges_title": "Desbloquea Retos Diarios",
-    "lock.challenges_desc":  "Completa desafíos diarios para ganar monedas y XP extra.",
-    "lock.shop_title":      "Desbloquea la Tienda",
-    "lock.shop_desc":       "Accede a avatares exclusivos, personaliza tu perfil y gasta tus monedas.",
-    "lock.benefit_scores":  "Guarda puntuaciones y compite en rankings globales",
-    "lock.benefit_avatars": "Desbloquea avatares exclusivos en la tienda",
-    "lock.benefit_levels":  "Gana XP, sube de nivel y presume de tu rango",
-    "lock.benefit_favorites": "Crea tu lista personalizada de favoritos",
-    "lock.cta":             "Crear cuenta · Iniciar sesión",
-
-    // ── Bottom Navigation ────────────────────────
-    "nav.play":             "Jugar",
-    "nav.profile":          "Perfíl",
-
-    // ── Settings Modal ──────────────────────────
-    "settings.title":       "Ajustes",
-    "settings.language":    "Idioma",
-    "settings.sound":       "Sonido",
-
-    // ── Credits Modal ───────────────────────────
-    "credits.title":           "Créditos y Licencias",
-    "credits.subtitle":        "Juegos de código abierto adaptados para Scrollinn",
-    "credits.original":        "Ver original",
-    "credits.license_heading":  "Texto completo de la Licencia MIT",
-    "credits.button":           "Créditos y Licencias",
-
-    // ── User Profile ────────────────────────────
-    "profile.level":                "Nivel",
-    "profile.my_rankings":          "Mis Rankings",
-    "profile.no_rankings":          "Juega partidas para ver tus mejores posiciones aquí",
-    "profile.search_placeholder":    "Buscar juego...",
-    "profile.no_results":            "Sin resultados",
-    "profile.best_score_label":     "Récord",
-    "profile.login_required_title": "Tu Perfil te espera",
-    "profile.login_required_desc":  "Registra tus logros, sube de nivel y presume de tus rankings.",
-
-    // ── Shop ─────────────────────────────────────
-    "shop.title":           "Tienda",
-    "shop.coming_soon":     "Próximamente",
-    "shop.coming_desc":     "Aquí podrás gastar tus monedas en avatares exclusivos, power-ups y mucho más.",
-    "shop.coins":           "Monedas",
-    "shop.avatars_title":   "Avatares",
-    "shop.owned":           "En Propiedad",
-    "shop.buy":             "Comprar",
-    "shop.hold_to_buy":     "Mantener para comprar",
-    "shop.not_enough":      "Faltan Monedas",
-    "shop.purchase_ok":     "¡Avatar desbloqueado!",
-    "shop.purchase_fail":   "Error al comprar. Inténtalo de nuevo.",
-    "shop.loading":         "Cargando tienda...",
-    "shop.empty":           "No hay artículos disponibles aún.",
-    "shop.login_required":  "Inicia sesión para comprar",
-    "shop.rotation":        "NUEVA ROTACIÓN EN",
-    "shop.days":            "D",
-    "shop.watermark":       "Nuevos avatares cada semana",
-
-    // ── Daily Challenges ─────────────────────────
-    "challenges.title":          "Desafíos Diarios",
-    "challenges.subtitle":       "Completa retos para ganar monedas",
-    "challenges.no_challenges":  "No hay retos disponibles hoy",
-    "challenges.come_back":      "Vuelve mañana para nuevos desafíos",
-    "challenges.all_complete":   "Todo completado — +500 XP",
-    "challenges.completed":      "Completado",
-    "challenges.claiming":       "Reclamando...",
-    "challenges.claim":          "RECLAMAR +{{coins}}",
-    "challenges.in_progress":    "En progreso",
-    "challenges.play":             "Jugar",
-    "challenges.daily_bonus":    "¡Bono diario!",
-    "challenges.new_in":          "Nuevos retos en",
-  },
-
-  en: {
-    // ── UI General ──────────────────────────────
-    "ui.preparing":       "Preparing...",
-    "ui.playing":         "Playing",
-    "ui.tap_to_start":    "Tap to start",
-    "ui.challenges":       "Challenges",
-    "ui.how_to_play":     "How to play",
-    "ui.resume":          "Resume",
-    "ui.like":            "Like",
-    "ui.my_account":      "My account",
-    "ui.register_aria":   "Sign up",
-    "ui.register_label":  "Sign up",
-    "ui.gallery_aria":    "Game gallery",
-    "ui.games":           "Games",
-    "ui.swipe_hint":      "Swipe to change game",
-    "ui.next_game":        "Next game",
-
-    // ── Auth Modal ──────────────────────────────
-    "auth.fill_both":      "Please fill in both fields.",
-    "auth.account_created":"Account created! Welcome, {{username}} 🎉",
-    "auth.welcome_back":   "Welcome back, {{username}}! 👋",
-    "auth.connection_error":"Could not connect to the server.",
-    "auth.your_account":   "Your account",
-    "auth.login_register": "Log in / Sign up",
-    "auth.close":          "Close",
-    "auth.logout":         "Log out",
-    "auth.logout_confirm":  "Are you sure you want to log out?",
-    "auth.logout_yes":      "Yes, log out",
-    "auth.logout_no":       "No, cancel",
-    "auth.username":       "Username",
-    "auth.username_ph":    "Your name...",
-    "auth.password":       "Password",
-    "auth.dont_forget":    "Don't forget your password!",
-    "auth.no_recovery":    "There is no way to recover it. If you lose it, you won't be able to access your account again.",
-    "auth.connecting":     "Connecting...",
-    "auth.continue":       "Continue",
-    "auth.auto_create":    "If you don't have an account, one will be created automatically.",
-    "auth.login":          "Log in",
-    "auth.create_account": "Create account",
-    "auth.confirm_password":"Confirm password",
-    "auth.passwords_no_match":"Passwords don't match.",
-    "auth.fill_all":       "Please fill in all fields.",
-    "auth.show_password":  "Show password",
-    "auth.hide_password":  "Hide password",
-    "auth.no_account":     "Don't have an account?",
-    "auth.create_fast":    "Create one in seconds!",
-    "auth.have_account":   "Already have an account?",
-    "auth.go_login":       "Log in",
-
-    // ── AuthScreen (mandatory screen) ───────────
-    "authscreen.subtitle":        "Log in to play",
-    "authscreen.email_or_username": "Email or username",
-    "authscreen.email_or_username_ph": "you@email.com or your_name",
-    "authscreen.username_not_found": "Username not found.",
-    "authscreen.username_label":    "Username",
-    "authscreen.username_placeholder": "your_name",
-    "authscreen.fill_username":     "Choose a username.",
-    "authscreen.fill_both":       "Please fill in email and password.",
-    "authscreen.invalid_credentials": "Invalid email or password.",
-    "authscreen.password_min":    "Password must be at least 8 characters.",
-    "authscreen.password_weak":   "Password must have at least 8 characters, one uppercase letter and one number.",
-    "authscreen.email_invalid":   "Invalid email format.",
-    "authscreen.username_format": "Username may only contain letters, numbers and _ (3-20 characters).",
-    "authscreen.username_taken":  "This username is already taken.",
-    "authscreen.email_taken":     "This email is already registered.",
-    "authscreen.terms_required":  "You must accept the Privacy Policy to continue.",
-    "authscreen.terms_label":     "I have read and accept the",
-    "authscreen.terms_link":      "Privacy Policy",
-    "authscreen.check_email":     "Account created! Check your email to confirm.",
-    "authscreen.hint":            "Your progress will be saved automatically once you log in.",
-    "authscreen.guest_btn":         "Play as guest",
-    "authscreen.guest_banner":      "You're playing as a guest. Your scores won't be saved.",
-    "authscreen.guest_login_prompt": "Log in to save scores, buy avatars and view your profile.",
-    "authscreen.guest_login_btn":   "Log in",
-
-    // ── Countdown ───────────────────────────────
-    "countdown.how_to_play": "How to play",
-
-    // ── Gallery Modal ───────────────────────────
-    "gallery.choose":      "Choose a game",
-    "gallery.search":      "Search game...",
-    "gallery.search_game":  "Search game",
-    "gallery.noResults":   "No games found",
-    "gallery.playing":     "Playing",
-    "gallery.challenges_aria": "Daily Challenges",
+import { createContext, useContext, useState, useEffect, useMemo } from "react";
+import { LOCALES, getLang, setLang, subscribe, t } from "./locales/runtime";
 
-    // ── Game Over Panel ─────────────────────────
-    "gameover.user":       "User",
-    "gameover.points":     "Points",
-    "gameover.loading":    "Loading ranking...",
-    "gameover.replay":     "Play again",
-    "gameover.next":       "Next game",
-    "gameover.calculating_xp": "Calculating XP...",
-    "gameover.no_xp":      "No XP earned. Try again!",    "gameover.new_record":  "NEW RECORD!",
-    "gameover.best_score":  "Your best score",
-    "gameover.global_pos":  "Global Position",
-    "gameover.level":       "Lv",
-    "gameover.view_top5":   "VIEW TOP 5",
-    "gameover.top5":        "Top 5",
-    "gameover.you":         "You",
-    "gameover.processing":  "Processing...",
-    "gameover.first_game":  "First game",
-    // ── Public Profile Modal ────────────────────
-    "profile.close":           "Close",
-    "profile.loading":         "Loading profile...",
-    "profile.not_found":       "Player not found",
-    "profile.featured_games":  "Featured games",
-    "profile.no_data":         "Not enough data yet",
-    "profile.in_game":         "in",
-    "profile.career":          "Career highlights",
-    "profile.total_top1":      "Total Top 1",
-    "profile.total_top5":      "Total Top 5",
-
-    // ── Services ────────────────────────────────
-    "svc.username_required":  "Username and password are required.",
-    "svc.username_too_long":  "Username cannot be longer than 30 characters.",
-    "svc.password_too_short": "Password must be at least 4 characters.",
-    "svc.wrong_password":     "Wrong password.",
-    "svc.username_taken":     "That username is already taken.",
-    "svc.user_not_found":     "That user doesn't exist.",
-    "svc.db_error":           "Database connection error.",
-    "svc.login_required":     "You must log in to like",
-    "svc.like_added":         "Like added",
-    "svc.like_removed":       "Like removed",
-    "svc.game_not_found":     "Game not found",
-    "svc.score_saved":        "Score saved!",
-    "svc.top5_made":          "You're in the Top 5!",
-    "svc.register_to_save":   "Sign up to save your score and XP",
-    "svc.score_error":        "Error submitting score.",
-
-    // ── Game Descriptions ───────────────────────
-    "desc.tower-blocks":    "Defy gravity, block by block. Tap at the exact moment to stack the next piece.",
-    "desc.odd-one-out":     "Trust your eyes. Find and tap the only different color before the clock hits zero.",
-    "desc.circle-ninja":    "Unleash your digital katana. Swipe to slice the green circles and avoid the red ones at all costs.",
-    "desc.color-match":     "Conquer the board step by step. Change colors strategically to flood the screen in the fewest moves possible.",
-    "desc.circle-path":     "Don't break the chain. Tap at the exact right moment to connect to the next numbered circle on the path.",
-    "desc.neon-tap":        "Reflexes to the limit. Tap the illuminated square before it fades into the dark.",
-    "desc.stroop-effect":   "Trick your own brain. Tap the color of the ink, completely ignoring the written word.",
-    "desc.timer":           "Control time itself. Stop the stopwatch exactly at 09:999. Not a millisecond more, not one less.",
-    "desc.traffic-light":   "Tension at the starting line. Wait for the signal and tap the screen as soon as it turns green.",
-    "desc.sweet-spot":      "A surgeon's pulse. Calculate the speed and stop the line exactly inside the green zone.",
-    "desc.dodge-rush":      "Extreme survival. Move fast and dodge the obstacles for as long as possible without crashing.",
-    "desc.frenzy-tap":      "Extreme speed. Mash the button as fast as you can in just 10 seconds.",
-    "desc.perfect-scale":   "Control the pressure. Hold to inflate the balloon until it fits exactly inside the circle.",
-    "desc.swipe-sorter":    "Order in the chaos. Swipe the cards quickly to the correct side to sort them out.",
-    "desc.math-rush":       "Your brain against the clock. Decide if the math equation is true or false before time runs out.",
-    "desc.stick-bridge":    "Calculate the abyss. Hold to grow the bridge and cross safely to the next platform.",
-    "desc.drop-the-box":    "High-stakes construction. Tap at the exact moment to drop the box and stack the tallest possible tower.",
-    "desc.overheat":        "On the verge of collapse. Tap the screen the exact number of times without overheating the engine.",
-    "desc.memory-loop":     "Photographic memory. Watch the sequence of lights carefully and repeat it without making a single mistake.",
-    "desc.higher-lower":    "Defy your luck. Analyze your move and guess whether the value of the next card will be higher or lower. It is played with a real deck of cards.",
-    "desc.vector-leap":     "Physics and precision. Adjust the angle and power of your jump to land safely on the next platform.",
-    "desc.rps-duel":        "Instant reaction. Read the system's command and choose the correct hand to win, draw, or lose at rock, paper, scissors before time runs out.",
-    "desc.orbit-sniper":    "Interstellar precision. Shoot the satellite at the exact instant to jump to the next planet's orbit.",
-    "desc.shadow-dash":     "Stealth and survival. Tap to move fast while the guard sleeps and stop dead when he wakes up to avoid being seen.",
-    "desc.gravity-draw":    "Defy physics with your finger. Draw the perfect path to guide the ball safely to the finish line.",
-    "desc.crossroad-dart":  "Asphalt reflexes. Calculate the speed of the traffic and cross the intersection at the right moment without crashing.",
-    "desc.mental-math":     "Agile mind, fast answers. Solve the mathematical operations in your head before the clock hits zero.",
-    "desc.perfect-circle":  "The ultimate stroke. Keep a steady hand and draw a perfect circle in one continuous motion.",
-    "desc.memory-sequence":  "The ultimate retention test. Memorize the position of the numbers and tap them in consecutive order when they hide after pressing one.",
-    "desc.core-escape":       "Dodge the firewalls at full speed. Tap the screen to switch lanes and extract the data before they catch you.",
-    "desc.neon-chrono":       "Test your internal clock. Hold down for the exact time each round asks and release at the right moment.",
-    "desc.ghost-pong":        "Ghost pong. Bounce the ball with your paddle, but beware: the invisible zone grows and the ball speeds up with every bounce. Smash golden boxes for bonus!",
-
-    // ── GhostPong ────────────────────────────────
-    "ghostpong.subtitle":    "points",
-    "ghostpong.bonus":       "BONUS +5",
-
-    // ── MemorySequence ────────────────────────────
-    "memseq.round":       "Round",
-    "memseq.instruction": "Tap 1 to start",
-    "memseq.subtitle":    "rounds completed",
-
-    // ── CoreEscape ───────────────────────────────
-    "coreescape.unit":     "MB extracted",
-    "coreescape.subtitle": "data extracted",
-
-    // ── NeonChrono ───────────────────────────────
-    "neonchrono.round":            "Round",
-    "neonchrono.target":           "Target",
-    "neonchrono.seconds":          "seconds",
-    "neonchrono.hold_instruction": "Hold down",
-    "neonchrono.ready":            "Ready...",
-    "neonchrono.go":               "GO!",
-    "neonchrono.blind":            "Blind",
-    "neonchrono.perfect":          "PERFECT!",
-    "neonchrono.pass":             "Passed!",
-    "neonchrono.fail":             "MISSED!",
-    "neonchrono.off_by":           "Off by",
-    "neonchrono.your_time":        "Your time",
-    "neonchrono.next_round":       "Next round...",
-    "neonchrono.score_label":      "Rounds",
-    "neonchrono.subtitle":         "rounds completed",
-    "neonchrono.instruction":      "Hold for the time each round asks",
-    "neonchrono.title_great":      "Great!",
-    "neonchrono.title_legendary":  "Legendary!",
-
-    // ── PerfectCircle ─────────────────────────────
-    "perfectcircle.instruction": "Draw a circle in a single stroke",
-    "perfectcircle.subtitle":    "How perfect was your circle?",
-    "perfectcircle.too_short":   "Stroke too short",
-    "perfectcircle.too_small":   "Circle too small",
-    "perfectcircle.incomplete":  "Incomplete circle",
-
-    // ── CircleNinja ─────────────────────────────
-    "circleninja.instruction":      "Swipe to cut the green ones 🟢",
-    "circleninja.too_many_escaped": "Too many escaped",
-    "circleninja.cut_red":          "You cut a red one!",
-
-    // ── CirclePath ──────────────────────────────
-    "circlepath.instruction": "Tap to jump to the next circle",
-    "circlepath.reached":     "You reached {{score}} {{unit}}",
-    "circlepath.point":       "point",
-    "circlepath.points":      "points",
-
-    // ── ColorMatch ──────────────────────────────
-    "colormatch.moves":     "Moves",
-    "colormatch.zone":      "Zone",
-    "colormatch.victory":   "Victory!",
-    "colormatch.completed": "Completed the board in {{moves}} moves",
-    "colormatch.reached":   "You reached {{progress}}% of the board",
-
-    // ── DodgeRush ───────────────────────────────
-    "dodgerush.seconds":  "seconds",
-    "dodgerush.subtitle": "survived",
-
-    // ── DropTheBox ──────────────────────────────
-    "dropthebox.instruction":  "Tap to drop the box",
-    "dropthebox.tap_drop":     "Tap to drop",
-    "dropthebox.boxes_stacked":"boxes stacked",
-    "dropthebox.speed":        "Speed",
-
-    // ── MathRush ────────────────────────────────
-    "mathrush.true":     "True",
-    "mathrush.false":    "False",
-    "mathrush.subtitle": "correct answers",
-
-    // ── NeonTap ─────────────────────────────────
-    "neontap.instruction": "Tap the lit square",
-    "neontap.subtitle":    "points",
-
-    // ── OddOneOut ───────────────────────────────
-    "oddoneout.level":       "Level {{level}}",
-    "oddoneout.instruction": "Find the odd one",
-    "oddoneout.reached":     "Level reached: {{level}}",
-
-    // ── PerfectScale ────────────────────────────
-    "perfectscale.perfect":       "PERFECT!",
-    "perfectscale.almost":        "Almost perfect!",
-    "perfectscale.great":         "Great!",
-    "perfectscale.not_bad":       "Not bad",
-    "perfectscale.keep_trying":   "Keep trying",
-    "perfectscale.hold_inflate":  "Hold to inflate",
-    "perfectscale.release":       "Release to lock!",
-    "perfectscale.inflate_edge":  "Inflate the balloon to the edge",
-    "perfectscale.px_diff":       "px difference",
-    "perfectscale.target":        "Target",
-    "perfectscale.your_balloon":  "Your balloon",
-    "perfectscale.subtitle":      "difference",
-
-    // ── StickBridge ─────────────────────────────
-    "stickbridge.instruction": "Hold to grow the bridge",
-    "stickbridge.hold":        "Hold",
-    "stickbridge.subtitle":    "platforms",
-
-    // ── StroopEffect ────────────────────────────
-    "stroop.red":         "RED",
-    "stroop.blue":        "BLUE",
-    "stroop.green":       "GREEN",
-    "stroop.yellow":      "YELLOW",
-    "stroop.points":      "Points",
-    "stroop.instruction": "Tap the ink color, not the word",
-    "stroop.subtitle":    "points",
-
-    // ── SweetSpot ───────────────────────────────
-    "sweetspot.tap_green":   "Tap when it turns green",
-    "sweetspot.consecutive": "consecutive hits",
-    "sweetspot.instruction": "Stop the line in the green zone",
-    "sweetspot.subtitle":    "hits",
-
-    // ── SwipeSorter ─────────────────────────────
-    "swipesorter.instruction": "Swipe to the correct side",
-    "swipesorter.subtitle":    "cards sorted",
-    "swipesorter.red":         "RED",
-    "swipesorter.blue":        "BLUE",
-    "swipesorter.left":        "← Left",
-    "swipesorter.right":       "Right →",
-
-    // ── Timer ───────────────────────────────────
-    "timer.perfect":    "PERFECT! 🎯",
-    "timer.incredible": "Incredible! 🔥",
-    "timer.very_close": "So close! ⚡",
-    "timer.good_try":   "Good try! 👏",
-    "timer.not_bad":    "Not bad 🤔",
-    "timer.can_improve":"You can improve 💪",
-    "timer.keep_trying":"Keep trying 😅",
-    "timer.target":     "Target",
-    "timer.tap_stop":   "Tap to stop!",
-    "timer.difference": "Difference",
-    "timer.instruction":"Stop the timer at 09:999",
-    "timer.subtitle":   "difference",
-    "timer.title_amazing": "Incredible!",
-
-    // ── TowerBlocks ─────────────────────────────
-    "tower.instruction": "Tap at the right moment to stack the blocks",
-    "tower.tap_play":    "Tap to play",
-    "tower.tap_place":   "Tap to place the block",
-    "tower.score":       "Score: {{score}}",
-
-    // ── TrafficLight ────────────────────────────
-    "traffic.too_soon":       "Too soon! 🚫",
-    "traffic.superhuman":     "Superhuman! ⚡",
-    "traffic.incredible":     "Incredible! 🔥",
-    "traffic.very_fast":      "Very fast! 🎯",
-    "traffic.good_reflex":    "Good reflex 👏",
-    "traffic.not_bad":        "Not bad 🤔",
-    "traffic.faster":         "You can be faster 💪",
-    "traffic.wait":           "WAIT...",
-    "traffic.dont_touch":     "Don't touch yet",
-    "traffic.tap":            "TAP!",
-    "traffic.milliseconds":   "milliseconds",
-    "traffic.touched_early":  "You tapped before it turned green",
-    "traffic.tap_when_green": "Tap when it turns green",
-    "traffic.title_early":    "Too soon!",
-    "traffic.title_amazing":  "Incredible!",
-    "traffic.penalty":        "penalty",
-    "traffic.reaction":       "reaction time",
-
-    // ── Memory Loop ─────────────────────────────
-    "memoryloop.instruction": "Memorize and repeat the sequence",
-    "memoryloop.subtitle":    "rounds completed",
-
-    // ── Higher Lower ────────────────────────────
-    "higherlower.instruction": "Higher or lower?",
-    "higherlower.subtitle":    "correct in a row",
-
-    // ── RPS Duel ────────────────────────────────
-    "rpsduel.win":         "WIN!",
-    "rpsduel.lose":        "LOSE!",
-    "rpsduel.draw":        "DRAW!",
-    "rpsduel.youmust":     "YOU MUST",
-    "rpsduel.subtitle":    "rounds cleared",
-
-    // ── Vector Leap ─────────────────────────────
-    "vectorleap.instruction": "Tap to set angle and power",
-    "vectorleap.tap_angle":   "Tap to lock the angle",
-    "vectorleap.tap_power":   "Tap to lock the power",
-    "vectorleap.subtitle":    "successful jumps",
-
-    // ── Orbit Sniper ────────────────────────────
-    "orbitsniper.instruction": "Shoot the satellite at the right moment to switch planets",
-    "orbitsniper.tap_to_shoot": "Shoot the satellite at the right moment to switch planets",
-    "orbitsniper.tap_hint":    "Tap to shoot",
-    "orbitsniper.subtitle":    "targets hit",
-
-    // ── Overheat ────────────────────────────────
-    "overheat.round":     "Round",
-    "overheat.score":     "Score",
-    "overheat.target":    "TARGET",
-    "overheat.remaining": "left",
-    "overheat.rounds":    "rounds",
-    "overheat.hold":      "DON'T TOUCH!",
-
-    // ── Shadow Dash ─────────────────────────────
-    "shadowdash.instruction": "Hold to run, release to hide",
-    "shadowdash.panic":       "Panic",
-    "shadowdash.asleep":      "Asleep",
-    "shadowdash.warning":     "Warning!",
-    "shadowdash.watching":    "Watching!",
-    "shadowdash.running":     "Running",
-    "shadowdash.hidden":      "Hidden",
-    "shadowdash.hold_to_run": "Hold to run · Release to hide",
-    "shadowdash.bonus_panic": "+{{amount}} Panic",
-    "shadowdash.subtitle":    "meters",
-    "shadowdash.death_eye":    "The eye caught you!",
-    "shadowdash.death_panic":  "Died of panic",
-
-    // ── Gravity Draw ─────────────────────────────
-    "gravitydraw.instruction": "Draw a line to guide the ball",
-    "gravitydraw.drawHere":     "Draw here",
-    "gravitydraw.subtitle":    "rounds cleared",
-    "gravitydraw.success":     "Goaal!",
-
-    // ── Crossroad Dart ───────────────────────────
-    "crossroaddart.tap":      "Tap to dash!",
-    "crossroaddart.subtitle": "crosses",
-    "crossroaddart.cross":    "cross",
-    "crossroaddart.crosses":  "crosses",
-
-    // ── Avatar System ────────────────────────────
-    "avatar.select_title":    "Select Avatar",
-    "avatar.collection_title": "Your Collection",
-    "avatar.default":         "Default",
-    "avatar.save":            "Save",
-    "avatar.saving":          "Saving...",
-    "avatar.edit":            "Change avatar",
-    "avatar.equipped":        "Equipped",
-    "avatar.equip":           "Equip Avatar",
-    "avatar.go_to_shop":      "Go to Shop",
-    "avatar.tap_to_inspect":  "Tap an avatar to see its details",
-    "avatar.no_avatars":      "You don't have any avatars yet. Keep playing to unlock them!",
-    "avatar.details":         "Details",
-    "avatar.back":            "Back",
-    "avatar.lore":            "Lore",
-    "avatar.how_to_get":      "How to unlock",
-    "avatar.unlock_level":    "Unlocks at Level {{level}}",
-    "avatar.unlock_shop":     "Price: {{price}} Coins",
-    "avatar.unlock_starter":  "Welcome gift",
-    "avatar.unlock_unknown":  "Special unlock",
-    "avatar.tier_label":      "Rank",
-
-    // ── Tabs / Nav ───────────────────────────────
-    "tab.all":              "All",
-    "tab.favorites":        "Favorites",
-    "tab.shop":             "Shop",
-    "tab.fav_locked":       "Like 5 games to unlock your favorites list! ({{count}}/5 so far)",
-    "tab.login_required":   "Log in to access",
-    "lock.login_title":     "Access your Favorites",
-    "lock.login_desc":      "Save your favorite games and access them quickly.",
-    "lock.fav_title":       "Favorites locked",
-    "lock.fav_desc":        "You need to have 5 games in your favorites to access this mode. ({{count}}/5 so far)",
-    "lock.challenges_title": "Unlock Daily Challenges",
-    "lock.challenges_desc":  "Complete daily challenges to earn coins and bonus XP.",
-    "lock.shop_title":      "Unlock the Shop",
-    "lock.shop_desc":       "Access exclusive avatars, customize your profile and spend your coins.",
-    "lock.benefit_scores":  "Save scores & compete in global rankings",
-    "lock.benefit_avatars": "Unlock exclusive avatars in the shop",
-    "lock.benefit_levels":  "Earn XP, level up & show off your rank",
-    "lock.benefit_favorites": "Build your personalized favorites list",
-    "lock.cta":             "Create account · Log in",
-
-    // ── Bottom Navigation ────────────────────────
-    "nav.play":             "Play",
-    "nav.profile":          "Profile",
-
-    // ── Settings Modal ──────────────────────────
-    "settings.title":       "Settings",
-    "settings.language":    "Language",
-    "settings.sound":       "Sound",
-
-    // ── Credits Modal ───────────────────────────
-    "credits.title":           "Credits & Licenses",
-    "credits.subtitle":        "Open-source games adapted for Scrollinn",
-    "credits.original":        "View original",
-    "credits.license_heading":  "Full MIT License Text",
-    "credits.button":           "Credits & Licenses",
-
-    // ── User Profile ────────────────────────────
-    "profile.level":                "Level",
-    "profile.my_rankings":          "My Rankings",
-    "profile.no_rankings":          "Play games to see your best positions here",
-    "profile.search_placeholder":    "Search game...",
-    "profile.no_results":            "No results",
-    "profile.best_score_label":     "Best",
-    "profile.login_required_title": "Your Profile awaits",
-    "profile.login_required_desc":  "Track your achievements, level up and show off your rankings.",
-
-    // ── Shop ─────────────────────────────────────
-    "shop.title":           "Shop",
-    "shop.coming_soon":     "Coming Soon",
-    "shop.coming_desc":     "Here you'll be able to spend your coins on exclusive avatars, power-ups and more.",
-    "shop.coins":           "Coins",
-    "shop.avatars_title":   "Avatars",
-    "shop.owned":           "Owned",
-    "shop.buy":             "Buy",
-    "shop.hold_to_buy":     "Hold to buy",
-    "shop.not_enough":      "Not Enough Coins",
-    "shop.purchase_ok":     "Avatar unlocked!",
-    "shop.purchase_fail":   "Purchase failed. Try again.",
-    "shop.loading":         "Loading shop...",
-    "shop.empty":           "No items available yet.",
-    "shop.login_required":  "Log in to purchase",
-    "shop.rotation":        "NEW ROTATION IN",
-    "shop.days":            "D",
-    "shop.watermark":       "New avatars every week",
-
-    // ── Daily Challenges ─────────────────────────
-    "challenges.title":          "Daily Challenges",
-    "challenges.subtitle":       "Complete challenges to earn coins",
-    "challenges.no_challenges":  "No challenges available today",
-    "challenges.come_back":      "Come back tomorrow for new challenges",
-    "challenges.all_complete":   "All complete — +500 XP",
-    "challenges.completed":      "Completed",
-    "challenges.claiming":       "Claiming...",
-    "challenges.claim":          "CLAIM +{{coins}}",
-    "challenges.in_progress":    "In progress",
-    "challenges.play":             "Play",
-    "challenges.daily_bonus":    "Daily bonus!",
-    "challenges.new_in":          "New challenges in",
-  },
-};
-
-// ─── Store reactivo (funciona fuera de React) ────────────────────────────────
-
-let _lang = (() => {
-  try { return localStorage.getItem("scrollinn-lang") || "en"; } catch { return "en"; }
-})();
-
-const _listeners = new Set();
-
-export function getLang() { return _lang; }
-
-export function setLang(lang) {
-  _lang = lang;
-  try { localStorage.setItem("scrollinn-lang", lang); } catch { /* SSR / privacy */ }
-  _listeners.forEach((fn) => fn(lang));
-}
-
-function subscribe(fn) {
-  _listeners.add(fn);
-  return () => _listeners.delete(fn);
-}
-
-/**
- * Traduce una clave. Interpola {{param}} si se pasan params.
- * Usable dentro y fuera de React.
- */
-export function t(key, params) {
-  const val = translations[_lang]?.[key] ?? translations.es[key] ?? key;
-  if (!params) return val;
-  return val.replace(/\{\{(\w+)\}\}/g, (_, k) => params[k] ?? "");
-}
+export * from "./locales/runtime";
 
 // ─── React Context ───────────────────────────────────────────────────────────
 
 const LanguageContext = createContext(null);
 
 export function LanguageProvider({ children }) {
-  const [lang, setLangState] = useState(_lang);
+  const [lang, setLangState] = useState(getLang);
 
   useEffect(() => {
     return subscribe((newLang) => setLangState(newLang));
   }, []);
 
-  const toggleLang = useCallback(() => {
-    setLang(_lang === "es" ? "en" : "es");
-  }, []);
-
   // `t` es la función standalone, siempre lee _lang actual.
   // `lang` en el value fuerza re-render de consumidores al cambiar.
-  const value = useMemo(() => ({ lang, toggleLang, t }), [lang, toggleLang]);
+  const value = useMemo(() => ({ lang, setLang, locales: LOCALES, t }), [lang]);
 
   return (
     <LanguageContext.Provider value={value}>
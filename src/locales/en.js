@@ -0,0 +1,637 @@
+/**
+ * locales/en.js — English texts
+ *
+ * Se carga bajo demanda (chunk propio). Cadena de respaldo: en → es.
+ */
+
+export default {
+  // ── UI General ──────────────────────────────
+  "ui.preparing":       "Preparing...",
+  "ui.playing":         "Playing",
+  "ui.tap_to_start":    "Tap to start",
+  "ui.tap_to_resume":   "Tap to resume",
+  "ui.run_paused":      "Run paused",
+  "ui.challenges":       "Challenges",
+  "ui.how_to_play":     "How to play",
+  "ui.resume":          "Resume",
+  "ui.like":            "Like",
+  "ui.my_account":      "My account",
+  "ui.register_aria":   "Sign up",
+  "ui.register_label":  "Sign up",
+  "ui.gallery_aria":    "Game gallery",
+  "ui.games":           "Games",
+  "ui.swipe_hint":      "Swipe to change game",
+  "ui.next_game":        "Next game",
+
+  // ── Auth Modal ──────────────────────────────
+  "auth.fill_both":      "Please fill in both fields.",
+  "auth.account_created":"Account created! Welcome, {{username}} 🎉",
+  "auth.welcome_back":   "Welcome back, {{username}}! 👋",
+  "auth.connection_error":"Could not connect to the server.",
+  "auth.rate_limited":   "{minutes, plural, =0 {Too many requests. Wait a moment and try again.} one {Too many requests. Try again in # minute.} other {Too many requests. Try again in # minutes.}}",
+  "auth.too_many_attempts":"{minutes, plural, =0 {Too many failed attempts. Try again later.} one {Too many failed attempts. Try again in # minute.} other {Too many failed attempts. Try again in # minutes.}}",
+  "auth.your_account":   "Your account",
+  "auth.login_register": "Log in / Sign up",
+  "auth.close":          "Close",
+  "auth.logout":         "Log out",
+  "auth.logout_confirm":  "Are you sure you want to log out?",
+  "auth.logout_yes":      "Yes, log out",
+  "auth.logout_no":       "No, cancel",
+  "auth.username":       "Username",
+  "auth.username_ph":    "Your name...",
+  "auth.password":       "Password",
+  "auth.dont_forget":    "Don't forget your password!",
+  "auth.no_recovery":    "There is no way to recover it. If you lose it, you won't be able to access your account again.",
+  "auth.connecting":     "Connecting...",
+  "auth.continue":       "Continue",
+  "auth.auto_create":    "If you don't have an account, one will be created automatically.",
+  "auth.login":          "Log in",
+  "auth.create_account": "Create account",
+  "auth.confirm_password":"Confirm password",
+  "auth.passwords_no_match":"Passwords don't match.",
+  "auth.fill_all":       "Please fill in all fields.",
+  "auth.show_password":  "Show password",
+  "auth.hide_password":  "Hide password",
+  "auth.no_account":     "Don't have an account?",
+  "auth.create_fast":    "Create one in seconds!",
+  "auth.have_account":   "Already have an account?",
+  "auth.go_login":       "Log in",
+
+  // ── AuthScreen (mandatory screen) ───────────
+  "authscreen.subtitle":        "Log in to play",
+  "authscreen.email_or_username": "Email or username",
+  "authscreen.email_or_username_ph": "you@email.com or your_name",
+  "authscreen.username_label":    "Username",
+  "authscreen.username_placeholder": "your_name",
+  "authscreen.fill_username":     "Choose a username.",
+  "authscreen.fill_both":       "Please fill in email and password.",
+  "authscreen.invalid_credentials": "Invalid username, email or password.",
+  "authscreen.password_min":    "Password must be at least 8 characters.",
+  "authscreen.password_weak":   "Password must have at least 8 characters, one uppercase letter and one number.",
+  "authscreen.email_invalid":   "Invalid email format.",
+  "authscreen.username_format": "Username may only contain letters, numbers and _ (3-20 characters).",
+  "authscreen.username_taken":  "This username is already taken.",
+  "authscreen.email_taken":     "This email is already registered.",
+  "authscreen.terms_required":  "You must accept the Privacy Policy to continue.",
+  "authscreen.terms_label":     "I have read and accept the",
+  "authscreen.terms_link":      "Privacy Policy",
+  "authscreen.check_email":     "Account created! Check your email to confirm.",
+  "authscreen.hint":            "Your progress will be saved automatically once you log in.",
+  "authscreen.guest_btn":         "Play as guest",
+  "authscreen.guest_banner":      "You're playing as a guest. Your scores won't be saved.",
+  "authscreen.guest_login_prompt": "Log in to save scores, buy avatars and view your profile.",
+  "authscreen.guest_login_btn":   "Log in",
+
+  // ── Countdown ───────────────────────────────
+  "countdown.how_to_play": "How to play",
+
+  // ── Gallery Modal ───────────────────────────
+  "gallery.choose":      "Choose a game",
+  "gallery.search":      "Search game...",
+  "gallery.search_game":  "Search game",
+  "gallery.noResults":   "No games found",
+  "gallery.playing":     "Playing",
+  "gallery.challenges_aria": "Daily Challenges",
+
+  // ── Game Over Panel ─────────────────────────
+  "gameover.user":       "User",
+  "gameover.points":     "Points",
+  "gameover.loading":    "Loading ranking...",
+  "gameover.replay":     "Play again",
+  "gameover.next":       "Next game",
+  "gameover.calculating_xp": "Calculating XP...",
+  "gameover.no_xp":      "No XP earned. Try again!",    "gameover.new_record":  "NEW RECORD!",
+  "gameover.best_score":  "Your best score",
+  "gameover.global_pos":  "Global Position",
+  "gameover.level":       "Lv",
+  "gameover.view_top5":   "VIEW TOP 5",
+  "gameover.top5":        "Top 5",
+  "gameover.you":         "You",
+  "gameover.processing":  "Processing...",
+  "gameover.first_game":  "First game",
+  // ── Public Profile Modal ────────────────────
+  "profile.close":           "Close",
+  "profile.loading":         "Loading profile...",
+  "profile.not_found":       "Player not found",
+  "profile.featured_games":  "Featured games",
+  "profile.no_data":         "Not enough data yet",
+  "profile.in_game":         "in",
+  "profile.career":          "Career highlights",
+  "profile.total_top1":      "Total Top 1",
+  "profile.total_top5":      "Total Top 5",
+
+  // ── Services ────────────────────────────────
+  "svc.username_required":  "Username and password are required.",
+  "svc.username_too_long":  "Username cannot be longer than 30 characters.",
+  "svc.password_too_short": "Password must be at least 4 characters.",
+  "svc.wrong_password":     "Wrong password.",
+  "svc.username_taken":     "That username is already taken.",
+  "svc.user_not_found":     "That user doesn't exist.",
+  "svc.db_error":           "Database connection error.",
+  "svc.login_required":     "You must log in to like",
+  "svc.like_added":         "Like added",
+  "svc.like_removed":       "Like removed",
+  "svc.game_not_found":     "Game not found",
+  "svc.score_saved":        "Score saved!",
+  "svc.top5_made":          "You're in the Top 5!",
+  "svc.register_to_save":   "Sign up to save your score and XP",
+  "svc.score_error":        "Error submitting score.",
+  "svc.score_rejected":     "Invalid score: it was not saved.",
+
+  // ── Game Descriptions ───────────────────────
+  "desc.tower-blocks":    "Defy gravity, block by block. Tap at the exact moment to stack the next piece.",
+  "desc.odd-one-out":     "Trust your eyes. Find and tap the only different color before the clock hits zero.",
+  "desc.circle-ninja":    "Unleash your digital katana. Swipe to slice the green circles and avoid the red ones at all costs.",
+  "desc.color-match":     "Conquer the board step by step. Change colors strategically to flood the screen in the fewest moves possible.",
+  "desc.circle-path":     "Don't break the chain. Tap at the exact right moment to connect to the next numbered circle on the path.",
+  "desc.neon-tap":        "Reflexes to the limit. Tap the illuminated square before it fades into the dark.",
+  "desc.stroop-effect":   "Trick your own brain. Tap the color of the ink, completely ignoring the written word.",
+  "desc.timer":           "Control time itself. Stop the stopwatch exactly at 09:999. Not a millisecond more, not one less.",
+  "desc.traffic-light":   "Tension at the starting line. Wait for the signal and tap the screen as soon as it turns green.",
+  "desc.sweet-spot":      "A surgeon's pulse. Calculate the speed and stop the line exactly inside the green zone.",
+  "desc.dodge-rush":      "Extreme survival. Move fast and dodge the obstacles for as long as possible without crashing.",
+  "desc.frenzy-tap":      "Extreme speed. Mash the button as fast as you can in just 10 seconds.",
+  "desc.perfect-scale":   "Control the pressure. Hold to inflate the balloon until it fits exactly inside the circle.",
+  "desc.swipe-sorter":    "Order in the chaos. Swipe the cards quickly to the correct side to sort them out.",
+  "desc.math-rush":       "Your brain against the clock. Decide if the math equation is true or false before time runs out.",
+  "desc.stick-bridge":    "Calculate the abyss. Hold to grow the bridge and cross safely to the next platform.",
+  "desc.drop-the-box":    "High-stakes construction. Tap at the exact moment to drop the box and stack the tallest possible tower.",
+  "desc.overheat":        "On the verge of collapse. Tap the screen the exact number of times without overheating the engine.",
+  "desc.memory-loop":     "Photographic memory. Watch the sequence of lights carefully and repeat it without making a single mistake.",
+  "desc.higher-lower":    "Defy your luck. Analyze your move and guess whether the value of the next card will be higher or lower. It is played with a real deck of cards.",
+  "desc.vector-leap":     "Physics and precision. Adjust the angle and power of your jump to land safely on the next platform.",
+  "desc.rps-duel":        "Instant reaction. Read the system's command and choose the correct hand to win, draw, or lose at rock, paper, scissors before time runs out.",
+  "desc.orbit-sniper":    "Interstellar precision. Shoot the satellite at the exact instant to jump to the next planet's orbit.",
+  "desc.shadow-dash":     "Stealth and survival. Tap to move fast while the guard sleeps and stop dead when he wakes up to avoid being seen.",
+  "desc.gravity-draw":    "Defy physics with your finger. Draw the perfect path to guide the ball safely to the finish line.",
+  "desc.crossroad-dart":  "Asphalt reflexes. Calculate the speed of the traffic and cross the intersection at the right moment without crashing.",
+  "desc.mental-math":     "Agile mind, fast answers. Solve the mathematical operations in your head before the clock hits zero.",
+  "desc.perfect-circle":  "The ultimate stroke. Keep a steady hand and draw a perfect circle in one continuous motion.",
+  "desc.memory-sequence":  "The ultimate retention test. Memorize the position of the numbers and tap them in consecutive order when they hide after pressing one.",
+  "desc.core-escape":       "Dodge the firewalls at full speed. Tap the screen to switch lanes and extract the data before they catch you.",
+  "desc.neon-chrono":       "Test your internal clock. Hold down for the exact time each round asks and release at the right moment.",
+  "desc.ghost-pong":        "Ghost pong. Bounce the ball with your paddle, but beware: the invisible zone grows and the ball speeds up with every bounce. Smash golden boxes for bonus!",
+  "desc.hextris":           "Rotate the hexagon to catch the falling blocks. Match three or more of the same colour to clear them before it overflows.",
+  "desc.2048":              "Swipe to move every tile. Equal tiles merge when they touch: reach 2048 before you run out of space.",
+
+  // ── GhostPong ────────────────────────────────
+  "ghostpong.subtitle":    "points",
+  "ghostpong.bonus":       "BONUS +5",
+
+  // ── MemorySequence ────────────────────────────
+  "memseq.round":       "Round",
+  "memseq.instruction": "Tap 1 to start",
+  "memseq.subtitle":    "rounds completed",
+
+  // ── CoreEscape ───────────────────────────────
+  "coreescape.unit":     "MB extracted",
+  "coreescape.subtitle": "data extracted",
+
+  // ── NeonChrono ───────────────────────────────
+  "neonchrono.round":            "Round",
+  "neonchrono.target":           "Target",
+  "neonchrono.seconds":          "seconds",
+  "neonchrono.hold_instruction": "Hold down",
+  "neonchrono.ready":            "Ready...",
+  "neonchrono.go":               "GO!",
+  "neonchrono.blind":            "Blind",
+  "neonchrono.perfect":          "PERFECT!",
+  "neonchrono.pass":             "Passed!",
+  "neonchrono.fail":             "MISSED!",
+  "neonchrono.off_by":           "Off by",
+  "neonchrono.your_time":        "Your time",
+  "neonchrono.next_round":       "Next round...",
+  "neonchrono.score_label":      "Rounds",
+  "neonchrono.subtitle":         "rounds completed",
+  "neonchrono.instruction":      "Hold for the time each round asks",
+  "neonchrono.title_great":      "Great!",
+  "neonchrono.title_legendary":  "Legendary!",
+
+  // ── PerfectCircle ─────────────────────────────
+  "perfectcircle.instruction": "Draw a circle in a single stroke",
+  "perfectcircle.subtitle":    "How perfect was your circle?",
+  "perfectcircle.too_short":   "Stroke too short",
+  "perfectcircle.too_small":   "Circle too small",
+  "perfectcircle.incomplete":  "Incomplete circle",
+
+  // ── CircleNinja ─────────────────────────────
+  "circleninja.instruction":      "Swipe to cut the green ones 🟢",
+  "circleninja.too_many_escaped": "Too many escaped",
+  "circleninja.cut_red":          "You cut a red one!",
+
+  // ── CirclePath ──────────────────────────────
+  "circlepath.instruction": "Tap to jump to the next circle",
+  "circlepath.reached":     "You reached {{score}} {{unit}}",
+  "circlepath.point":       "point",
+  "circlepath.points":      "points",
+
+  // ── ColorMatch ──────────────────────────────
+  "colormatch.moves":     "Moves",
+  "colormatch.zone":      "Zone",
+  "colormatch.victory":   "Victory!",
+  "colormatch.completed": "Completed the board in {{moves}} moves",
+  "colormatch.reached":   "You reached {{progress}}% of the board",
+
+  // ── DodgeRush ───────────────────────────────
+  "dodgerush.seconds":  "seconds",
+  "dodgerush.subtitle": "survived",
+
+  // ── DropTheBox ──────────────────────────────
+  "dropthebox.instruction":  "Tap to drop the box",
+  "dropthebox.tap_drop":     "Tap to drop",
+  "dropthebox.boxes_stacked":"boxes stacked",
+  "dropthebox.speed":        "Speed",
+
+  // ── MathRush ────────────────────────────────
+  "mathrush.true":     "True",
+  "mathrush.false":    "False",
+  "mathrush.subtitle": "correct answers",
+
+  // ── NeonTap ─────────────────────────────────
+  "neontap.instruction": "Tap the lit square",
+  "neontap.subtitle":    "points",
+
+  // ── OddOneOut ───────────────────────────────
+  "oddoneout.level":       "Level {{level}}",
+  "oddoneout.instruction": "Find the odd one",
+  "oddoneout.reached":     "Level reached: {{level}}",
+
+  // ── PerfectScale ────────────────────────────
+  "perfectscale.perfect":       "PERFECT!",
+  "perfectscale.almost":        "Almost perfect!",
+  "perfectscale.great":         "Great!",
+  "perfectscale.not_bad":       "Not bad",
+  "perfectscale.keep_trying":   "Keep trying",
+  "perfectscale.hold_inflate":  "Hold to inflate",
+  "perfectscale.release":       "Release to lock!",
+  "perfectscale.inflate_edge":  "Inflate the balloon to the edge",
+  "perfectscale.px_diff":       "px difference",
+  "perfectscale.target":        "Target",
+  "perfectscale.your_balloon":  "Your balloon",
+  "perfectscale.subtitle":      "difference",
+
+  // ── StickBridge ─────────────────────────────
+  "stickbridge.instruction": "Hold to grow the bridge",
+  "stickbridge.hold":        "Hold",
+  "stickbridge.subtitle":    "platforms",
+
+  // ── StroopEffect ────────────────────────────
+  "stroop.red":         "RED",
+  "stroop.blue":        "BLUE",
+  "stroop.green":       "GREEN",
+  "stroop.yellow":      "YELLOW",
+  "stroop.points":      "Points",
+  "stroop.instruction": "Tap the ink color, not the word",
+  "stroop.subtitle":    "points",
+
+  // ── SweetSpot ───────────────────────────────
+  "sweetspot.tap_green":   "Tap when it turns green",
+  "sweetspot.consecutive": "consecutive hits",
+  "sweetspot.instruction": "Stop the line in the green zone",
+  "sweetspot.subtitle":    "hits",
+
+  // ── SwipeSorter ─────────────────────────────
+  "swipesorter.instruction": "Swipe to the correct side",
+  "swipesorter.subtitle":    "cards sorted",
+  "swipesorter.red":         "RED",
+  "swipesorter.blue":        "BLUE",
+  "swipesorter.left":        "← Left",
+  "swipesorter.right":       "Right →",
+
+  // ── Timer ───────────────────────────────────
+  "timer.perfect":    "PERFECT! 🎯",
+  "timer.incredible": "Incredible! 🔥",
+  "timer.very_close": "So close! ⚡",
+  "timer.good_try":   "Good try! 👏",
+  "timer.not_bad":    "Not bad 🤔",
+  "timer.can_improve":"You can improve 💪",
+  "timer.keep_trying":"Keep trying 😅",
+  "timer.target":     "Target",
+  "timer.tap_stop":   "Tap to stop!",
+  "timer.difference": "Difference",
+  "timer.instruction":"Stop the timer at 09:999",
+  "timer.subtitle":   "difference",
+  "timer.title_amazing": "Incredible!",
+
+  // ── TowerBlocks ─────────────────────────────
+  "tower.instruction": "Tap at the right moment to stack the blocks",
+  "tower.tap_play":    "Tap to play",
+  "tower.tap_place":   "Tap to place the block",
+  "tower.score":       "Score: {{score}}",
+
+  // ── TrafficLight ────────────────────────────
+  "traffic.too_soon":       "Too soon! 🚫",
+  "traffic.superhuman":     "Superhuman! ⚡",
+  "traffic.incredible":     "Incredible! 🔥",
+  "traffic.very_fast":      "Very fast! 🎯",
+  "traffic.good_reflex":    "Good reflex 👏",
+  "traffic.not_bad":        "Not bad 🤔",
+  "traffic.faster":         "You can be faster 💪",
+  "traffic.wait":           "WAIT...",
+  "traffic.dont_touch":     "Don't touch yet",
+  "traffic.tap":            "TAP!",
+  "traffic.milliseconds":   "milliseconds",
+  "traffic.touched_early":  "You tapped before it turned green",
+  "traffic.tap_when_green": "Tap when it turns green",
+  "traffic.title_early":    "Too soon!",
+  "traffic.title_amazing":  "Incredible!",
+  "traffic.penalty":        "penalty",
+  "traffic.reaction":       "reaction time",
+
+  // ── Memory Loop ─────────────────────────────
+  "memoryloop.instruction": "Memorize and repeat the sequence",
+  "memoryloop.subtitle":    "rounds completed",
+
+  // ── Higher Lower ────────────────────────────
+  "higherlower.instruction": "Higher or lower?",
+  "higherlower.subtitle":    "correct in a row",
+
+  // ── RPS Duel ────────────────────────────────
+  "rpsduel.win":         "WIN!",
+  "rpsduel.lose":        "LOSE!",
+  "rpsduel.draw":        "DRAW!",
+  "rpsduel.youmust":     "YOU MUST",
+  "rpsduel.subtitle":    "rounds cleared",
+
+  // ── Vector Leap ─────────────────────────────
+  "vectorleap.instruction": "Tap to set angle and power",
+  "vectorleap.tap_angle":   "Tap to lock the angle",
+  "vectorleap.tap_power":   "Tap to lock the power",
+  "vectorleap.subtitle":    "successful jumps",
+
+  // ── Orbit Sniper ────────────────────────────
+  "orbitsniper.instruction": "Shoot the satellite at the right moment to switch planets",
+  "orbitsniper.tap_to_shoot": "Shoot the satellite at the right moment to switch planets",
+  "orbitsniper.tap_hint":    "Tap to shoot",
+  "orbitsniper.subtitle":    "targets hit",
+
+  // ── Overheat ────────────────────────────────
+  "overheat.round":     "Round",
+  "overheat.score":     "Score",
+  "overheat.target":    "TARGET",
+  "overheat.remaining": "left",
+  "overheat.rounds":    "rounds",
+  "overheat.hold":      "DON'T TOUCH!",
+
+  // ── Shadow Dash ─────────────────────────────
+  "shadowdash.instruction": "Hold to run, release to hide",
+  "shadowdash.panic":       "Panic",
+  "shadowdash.asleep":      "Asleep",
+  "shadowdash.warning":     "Warning!",
+  "shadowdash.watching":    "Watching!",
+  "shadowdash.running":     "Running",
+  "shadowdash.hidden":      "Hidden",
+  "shadowdash.hold_to_run": "Hold to run · Release to hide",
+  "shadowdash.bonus_panic": "+{{amount}} Panic",
+  "shadowdash.subtitle":    "meters",
+  "shadowdash.death_eye":    "The eye caught you!",
+  "shadowdash.death_panic":  "Died of panic",
+
+  // ── Gravity Draw ─────────────────────────────
+  "gravitydraw.instruction": "Draw a line to guide the ball",
+  "gravitydraw.drawHere":     "Draw here",
+  "gravitydraw.subtitle":    "rounds cleared",
+  "gravitydraw.success":     "Goaal!",
+
+  // ── Crossroad Dart ───────────────────────────
+  "crossroaddart.tap":      "Tap to dash!",
+  "crossroaddart.subtitle": "crosses",
+  "crossroaddart.cross":    "cross",
+  "crossroaddart.crosses":  "crosses",
+
+  // ── Avatar System ────────────────────────────
+  "avatar.select_title":    "Select Avatar",
+  "avatar.collection_title": "Your Collection",
+  "avatar.default":         "Default",
+  "avatar.save":            "Save",
+  "avatar.saving":          "Saving...",
+  "avatar.edit":            "Change avatar",
+  "avatar.equipped":        "Equipped",
+  "avatar.equip":           "Equip Avatar",
+  "avatar.go_to_shop":      "Go to Shop",
+  "avatar.tap_to_inspect":  "Tap an avatar to see its details",
+  "avatar.no_avatars":      "You don't have any avatars yet. Keep playing to unlock them!",
+  "avatar.details":         "Details",
+  "avatar.back":            "Back",
+  "avatar.lore":            "Lore",
+  "avatar.how_to_get":      "How to unlock",
+  "avatar.unlock_level":    "Unlocks at Level {{level}}",
+  "avatar.unlock_shop":     "Price: {{price}} Coins",
+  "avatar.unlock_starter":  "Welcome gift",
+  "avatar.unlock_unknown":  "Special unlock",
+  "avatar.tier_label":      "Rank",
+  "avatar.tier.rookie":     "Rookie",
+  "avatar.tier.cyberpunk":  "Cyberpunk",
+  "avatar.tier.hacker":     "Hacker",
+  "avatar.tier.legend":     "Legend",
+  "avatar.unlock_total_plays":      "{count, plural, one {Play # game} other {Play # games}}",
+  "avatar.unlock_top1":             "{count, plural, =1 {Reach Top 1 in any game} other {Reach Top 1 in # games}}",
+  "avatar.unlock_challenge_streak": "{count, plural, one {Claim a daily challenge} other {Claim challenges # days in a row}}",
+  "avatar.achievements_title":      "Achievements",
+  "avatar.achievement_unlocked":    "Achievement unlocked!",
+
+  // ── Streaks ──────────────────────────────────
+  "streak.label":        "Streak",
+  "streak.best":         "Best: {{days}}",
+  "streak.aria":         "{{days}}-day streak",
+  "streak.reward_toast": "🔥 {{days}}-day streak: +{{coins}} coins",
+  "streak.freeze_title": "Streak freeze",
+  "streak.freeze_desc":  "Saves your streak on a missed day · {{count}}/{{max}}",
+  "streak.freeze_max":   "Maxed out",
+  "streak.freeze_ok":    "Streak freeze ready!",
+
+  // ── Tabs / Nav ───────────────────────────────
+  "tab.all":              "All",
+  "tab.favorites":        "Favorites",
+  "tab.shop":             "Shop",
+  "tab.fav_locked":       "Like 5 games to unlock your favorites list! ({{count}}/5 so far)",
+  "tab.login_required":   "Log in to access",
+  "lock.login_title":     "Access your Favorites",
+  "lock.login_desc":      "Save your favorite games and access them quickly.",
+  "lock.fav_title":       "Favorites locked",
+  "lock.fav_desc":        "You need to have 5 games in your favorites to access this mode. ({{count}}/5 so far)",
+  "lock.challenges_title": "Unlock Daily Challenges",
+  "lock.challenges_desc":  "Complete daily challenges to earn coins and bonus XP.",
+  "lock.shop_title":      "Unlock the Shop",
+  "lock.shop_desc":       "Access exclusive avatars, customize your profile and spend your coins.",
+  "lock.benefit_scores":  "Save scores & compete in global rankings",
+  "lock.benefit_avatars": "Unlock exclusive avatars in the shop",
+  "lock.benefit_levels":  "Earn XP, level up & show off your rank",
+  "lock.benefit_favorites": "Build your personalized favorites list",
+  "lock.cta":             "Create account · Log in",
+
+  // ── Bottom Navigation ────────────────────────
+  "nav.play":             "Play",
+  "nav.profile":          "Profile",
+
+  // ── Settings Modal ──────────────────────────
+  "settings.title":       "Settings",
+  "settings.language":    "Language",
+  "settings.sound":       "Sound",
+  "settings.color_vision": "Colorblind mode",
+  "settings.cvd.off": "Off",
+  "settings.cvd.protanopia": "Protanopia",
+  "settings.cvd.deuteranopia": "Deuteranopia",
+  "settings.cvd.tritanopia": "Tritanopia",
+  "settings.cvd.off_hint": "Original colours",
+  "settings.cvd.protanopia_hint": "Red appears dim",
+  "settings.cvd.deuteranopia_hint": "Red and green look alike",
+  "settings.cvd.tritanopia_hint": "Blue and yellow look alike",
+  "settings.patterns": "Shapes on colours",
+  "settings.patterns_hint": "Adds a symbol to each colour in games",
+
+  // ── Credits Modal ───────────────────────────
+  "credits.title":           "Credits & Licenses",
+  "credits.subtitle":        "Open-source games adapted for Scrollinn",
+  "credits.original":        "View original",
+  "credits.license_heading":  "Full MIT License Text",
+  "credits.button":           "Credits & Licenses",
+
+  // ── User Profile ────────────────────────────
+  "profile.level":                "Level",
+  "profile.my_rankings":          "My Rankings",
+  "profile.no_rankings":          "Play games to see your best positions here",
+  "profile.search_placeholder":    "Search game...",
+  "profile.no_results":            "No results",
+  "profile.best_score_label":     "Best",
+  "profile.login_required_title": "Your Profile awaits",
+  "profile.login_required_desc":  "Track your achievements, level up and show off your rankings.",
+
+  // ── Shop ─────────────────────────────────────
+  "shop.title":           "Shop",
+  "shop.coming_soon":     "Coming Soon",
+  "shop.coming_desc":     "Here you'll be able to spend your coins on exclusive avatars, power-ups and more.",
+  "shop.coins":           "Coins",
+  "shop.avatars_title":   "Avatars",
+  "shop.owned":           "Owned",
+  "shop.buy":             "Buy",
+  "shop.hold_to_buy":     "Hold to buy",
+  "shop.not_enough":      "Not Enough Coins",
+  "shop.purchase_ok":     "Avatar unlocked!",
+  "shop.purchase_fail":   "Purchase failed. Try again.",
+  "shop.loading":         "Loading shop...",
+  "shop.empty":           "No items available yet.",
+  "shop.login_required":  "Log in to purchase",
+  "shop.rotation":        "NEW ROTATION IN",
+  "shop.days":            "D",
+  "shop.watermark":       "New avatars every week",
+
+  // ── Daily Challenges ─────────────────────────
+  "challenges.title":          "Daily Challenges",
+  "challenges.subtitle":       "Complete challenges to earn coins",
+  "challenges.no_challenges":  "No challenges available today",
+  "challenges.come_back":      "Come back tomorrow for new challenges",
+  "challenges.all_complete":   "All complete — +500 XP",
+  "challenges.completed":      "Completed",
+  "challenges.claiming":       "Claiming...",
+  "challenges.claim":          "CLAIM +{{coins}}",
+  "challenges.in_progress":    "In progress",
+  "challenges.play":             "Play",
+  "challenges.daily_bonus":    "Daily bonus!",
+  "challenges.new_in":          "New challenges in",
+
+  // ── Survival ──────────────────────────────
+  "survival.mode":             "Survival",
+  "survival.toggle_aria":      "Toggle Survival mode",
+  "survival.passed_title":     "Cleared!",
+  "survival.failed_title":     "Run over",
+  "survival.games_survived":   "Games survived",
+  "survival.next":             "Next game",
+  "survival.new_run":          "New run",
+  "survival.leaderboard":      "Survival ranking",
+  "survival.empty":            "No runs yet",
+  "survival.register_to_save": "Sign up to save your runs to the ranking",
+
+  // ── Wallet ────────────────────────────────
+  "wallet.title":                    "XP & coin history",
+  "wallet.empty":                    "No transactions yet.",
+  "wallet.balance":                  "Balance: {{balance}}",
+  "wallet.reason.opening_balance":   "Opening balance",
+  "wallet.reason.game_xp":           "Game XP",
+  "wallet.reason.challenge_reward":  "Challenge reward",
+  "wallet.reason.full_clear_bonus":  "Full Clear bonus",
+  "wallet.reason.avatar_purchase":   "Avatar purchase",
+  "wallet.reason.streak_reward":     "Streak reward",
+  "wallet.reason.streak_freeze":     "Streak freeze",
+
+  // ── Replays ───────────────────────────────
+  "replay.watch":     "Watch replay",
+  "replay.watching":  "▶ Replay · {{user}} · {{score}}",
+
+  // ── Leaderboard windows ───────────────────
+  "gameover.window_daily":    "Today",
+  "gameover.window_weekly":   "Week",
+  "gameover.window_monthly":  "Month",
+  "gameover.window_alltime":  "All time",
+  "gameover.window_empty":    "Nobody has played in this period yet.",
+
+  // ── Players around you ────────────────────
+  "gameover.nearby":       "Around you",
+  "gameover.gap_to_next":  "{{gap}} more to climb to #{{pos}}",
+
+  // ── Offline ───────────────────────────────
+  "offline.banner":            "Offline",
+  "offline.syncing":           "Syncing…",
+  "offline.pending":           "{{count}} pending",
+  "offline.retry":             "Retry",
+  "offline.score_queued":      "Offline: your score will be sent when you reconnect.",
+  "offline.score_lost":        "Offline: your score could not be saved.",
+  "gameover.pending_sync":     "Waiting to sync",
+  "gameover.ranking_offline":  "Offline: the ranking may be out of date.",
+  "gameover.ranking_syncing":  "Sending pending games: the ranking may change.",
+
+  // ── Friends ───────────────────────────────
+  "friends.title":               "Friends",
+  "friends.add":                 "Add friend",
+  "friends.accept":              "Accept request",
+  "friends.accept_short":        "Accept",
+  "friends.decline":             "Decline",
+  "friends.cancel":              "Cancel",
+  "friends.remove":              "Remove",
+  "friends.request_sent":        "Request sent",
+  "friends.are_friends":         "Friends",
+  "friends.incoming_short":      "Sent you a request",
+  "friends.incoming":            "Requests ({{count}})",
+  "friends.outgoing":            "Sent",
+  "friends.list":                "Your friends ({{count}})",
+  "friends.empty":               "No friends yet. Search for players by name!",
+  "friends.search_placeholder":  "Search player…",
+  "friends.no_results":          "No players with that name.",
+  "gameover.scope_global":       "Everyone",
+  "gameover.scope_friends":      "Friends",
+  "gameover.friends_empty":      "None of your friends have played in this period yet.",
+  "challenges.ranking_title":          "Today's ranking",
+  "challenges.ranking_empty":          "Nobody has completed challenges today yet.",
+  "challenges.ranking_friends_empty":  "None of your friends have completed challenges today.",
+
+  // ── Duels ─────────────────────────────────
+  "duel.target":          "{{user}} dares you: beat {{score}} in {{game}}",
+  "duel.login":           "Log in",
+  "duel.own":             "This is your own challenge: share it with a friend.",
+  "duel.unavailable":     "This duel is no longer available.",
+  "duel.result_win":      "You won the duel! {{score}} vs {{target}}",
+  "duel.result_loss":     "You lost the duel: {{score}} vs {{target}}",
+  "duel.result_tie":      "Tied at {{score}}!",
+  "duel.inbox_title":     "Duels",
+  "duel.record_wins":     "Wins",
+  "duel.record_losses":   "Losses",
+  "duel.record_ties":     "Ties",
+  "duel.pending":         "Pending",
+  "duel.pending_empty":   "No pending duels. Dare someone from the Game Over screen.",
+  "duel.finished":        "Finished",
+  "duel.finished_empty":  "You haven't finished any duels yet.",
+  "duel.your_turn":       "Your turn: beat {{user}}'s {{score}}",
+  "duel.their_turn":      "{{user}} hasn't played yet",
+  "duel.waiting":         "Waiting for an opponent · your score: {{score}}",
+  "duel.play":            "Play",
+  "duel.share":           "Share",
+  "duel.share_text":      "Can you beat me at {{game}}? ⚔️ → {{link}}",
+  "duel.vs":              "vs {{user}}",
+  "duel.outcome_win":     "Win",
+  "duel.outcome_loss":    "Loss",
+  "duel.outcome_tie":     "Tie",
+
+  // ── Embedded games ────────────────────────
+  "embed.loading":         "Loading game…",
+  "embed.subtitle":        "points in {{game}}",
+};
@@ -0,0 +1,641 @@
+/**
+ * locales/es.js — Textos en español
+ *
+ * Idioma base: va siempre en el bundle principal y es el último recurso
+ * de cualquier clave que falte en otro idioma (ver locales/index.js).
+ */
+
+export default {
+  // ── UI General ──────────────────────────────
+  "ui.preparing":       "Preparando...",
+  "ui.playing":         "En juego",
+  "ui.tap_to_start":    "Toca para empezar",
+  "ui.tap_to_resume":   "Toca para continuar",
+  "ui.run_paused":      "Partida en pausa",
+  "ui.challenges":       "Retos",
+  "ui.how_to_play":     "Cómo jugar",
+  "ui.resume":          "Continuar",
+  "ui.like":            "Me gusta",
+  "ui.my_account":      "Mi cuenta",
+  "ui.register_aria":   "Registrarse",
+  "ui.register_label":  "Registro",
+  "ui.gallery_aria":    "Galería de juegos",
+  "ui.games":           "Juegos",
+  "ui.swipe_hint":      "Desliza para cambiar de juego",
+  "ui.next_game":        "Siguiente juego",
+
+  // ── Auth Modal ──────────────────────────────
+  "auth.fill_both":      "Rellena ambos campos.",
+  "auth.account_created":"¡Cuenta creada! Bienvenido, {{username}} 🎉",
+  "auth.welcome_back":   "¡Hola de nuevo, {{username}}! 👋",
+  "auth.connection_error":"No se pudo conectar con el servidor.",
+  "auth.rate_limited":   "{minutes, plural, =0 {Demasiadas peticiones. Espera un momento y vuelve a intentarlo.} one {Demasiadas peticiones. Vuelve a intentarlo en # minuto.} other {Demasiadas peticiones. Vuelve a intentarlo en # minutos.}}",
+  "auth.too_many_attempts":"{minutes, plural, =0 {Demasiados intentos fallidos. Inténtalo más tarde.} one {Demasiados intentos fallidos. Vuelve a intentarlo en # minuto.} other {Demasiados intentos fallidos. Vuelve a intentarlo en # minutos.}}",
+  "auth.your_account":   "Tu cuenta",
+  "auth.login_register": "Entrar / Registrarse",
+  "auth.close":          "Cerrar",
+  "auth.logout":         "Cerrar sesión",
+  "auth.logout_confirm":  "¿Seguro que quieres cerrar sesión?",
+  "auth.logout_yes":      "Sí, cerrar sesión",
+  "auth.logout_no":       "No, cancelar",
+  "auth.username":       "Nombre de usuario",
+  "auth.username_ph":    "Tu nombre...",
+  "auth.password":       "Contraseña",
+  "auth.dont_forget":    "¡No olvides tu contraseña!",
+  "auth.no_recovery":    "No hay forma de recuperarla. Si la pierdes, no podrás volver a acceder a tu cuenta.",
+  "auth.connecting":     "Conectando...",
+  "auth.continue":       "Continuar",
+  "auth.auto_create":    "Si no tienes cuenta, se creará una automáticamente.",
+  "auth.login":          "Iniciar sesión",
+  "auth.create_account": "Crear cuenta",
+  "auth.confirm_password":"Confirmar contraseña",
+  "auth.passwords_no_match":"Las contraseñas no coinciden.",
+  "auth.fill_all":       "Rellena todos los campos.",
+  "auth.show_password":  "Mostrar contraseña",
+  "auth.hide_password":  "Ocultar contraseña",
+  "auth.no_account":     "¿No tienes cuenta?",
+  "auth.create_fast":    "¡Créala en segundos!",
+  "auth.have_account":   "¿Ya tienes cuenta?",
+  "auth.go_login":       "Inicia sesión",
+
+  // ── AuthScreen (pantalla obligatoria) ───────
+  "authscreen.subtitle":        "Inicia sesión para jugar",
+  "authscreen.email_or_username": "Email o nombre de usuario",
+  "authscreen.email_or_username_ph": "tu@email.com o tu_nombre",
+  "authscreen.username_label":    "Nombre de usuario",
+  "authscreen.username_placeholder": "tu_nombre",
+  "authscreen.fill_username":     "Elige un nombre de usuario.",
+  "authscreen.fill_both":       "Rellena email y contraseña.",
+  "authscreen.invalid_credentials": "Usuario, email o contraseña incorrectos.",
+  "authscreen.password_min":    "La contraseña debe tener al menos 8 caracteres.",
+  "authscreen.password_weak":   "La contraseña debe tener al menos 8 caracteres, una mayúscula y un número.",
+  "authscreen.email_invalid":   "El formato del email no es válido.",
+  "authscreen.username_format": "El usuario solo admite letras, números y _ (3-20 caracteres).",
+  "authscreen.username_taken":  "Este nombre de usuario ya está en uso.",
+  "authscreen.email_taken":     "Este email ya está registrado.",
+  "authscreen.terms_required":  "Debes aceptar la Política de Privacidad para continuar.",
+  "authscreen.terms_label":     "He leído y acepto la",
+  "authscreen.terms_link":      "Política de Privacidad",
+  "authscreen.check_email":     "¡Cuenta creada! Revisa tu email para confirmar.",
+  "authscreen.hint":            "Tu progreso se guardará automáticamente en cuanto inicies sesión.",
+  "authscreen.guest_btn":         "Jugar como invitado",
+  "authscreen.guest_banner":      "Estás jugando como invitado. Tus puntuaciones no se guardarán.",
+  "authscreen.guest_login_prompt": "Inicia sesión para guardar puntuaciones, comprar avatares y ver tu perfil.",
+  "authscreen.guest_login_btn":   "Iniciar sesión",
+
+  // ── Countdown ───────────────────────────────
+  "countdown.how_to_play": "Cómo jugar",
+
+  // ── Gallery Modal ───────────────────────────
+  "gallery.choose":      "Elige un juego",
+  "gallery.search":      "Buscar juego...",
+  "gallery.search_game":  "Buscar juego",
+  "gallery.noResults":   "No se encontraron juegos",
+  "gallery.playing":     "Jugando",
+  "gallery.challenges_aria": "Retos Diarios",
+
+  // ── Game Over Panel ─────────────────────────
+  "gameover.user":       "Usuario",
+  "gameover.points":     "Puntos",
+  "gameover.loading":    "Cargando ranking...",
+  "gameover.replay":     "Jugar de nuevo",
+  "gameover.next":       "Siguiente juego",
+  "gameover.calculating_xp": "Calculando XP...",
+  "gameover.no_xp":      "No has conseguido XP. ¡Inténtalo de nuevo!",    "gameover.new_record":  "¡NUEVO RÉCORD!",
+  "gameover.best_score":  "Tu mejor puntuación",
+  "gameover.global_pos":  "Posición Global",
+  "gameover.level":       "Nv",
+  "gameover.view_top5":   "VER TOP 5",
+  "gameover.top5":        "Top 5",
+  "gameover.you":         "Tú",
+  "gameover.processing":  "Procesando...",
+  "gameover.first_game":  "Primera partida",
+  // ── Public Profile Modal ────────────────────
+  "profile.close":           "Cerrar",
+  "profile.loading":         "Cargando perfil...",
+  "profile.not_found":       "Jugador no encontrado",
+  "profile.featured_games":  "Juegos destacados",
+  "profile.no_data":         "Aún no hay suficientes datos",
+  "profile.in_game":         "en",
+  "profile.career":          "Resumen de carrera",
+  "profile.total_top1":      "Total Top 1",
+  "profile.total_top5":      "Total Top 5",
+
+  // ── Services ────────────────────────────────
+  "svc.username_required":  "Nombre de usuario y contraseña son obligatorios.",
+  "svc.username_too_long":  "El nombre de usuario no puede tener más de 30 caracteres.",
+  "svc.password_too_short": "La contraseña debe tener al menos 4 caracteres.",
+  "svc.wrong_password":     "Contraseña incorrecta.",
+  "svc.username_taken":     "Ese nombre de usuario ya está cogido.",
+  "svc.user_not_found":     "Ese usuario no existe.",
+  "svc.db_error":           "Error de conexión con la base de datos.",
+  "svc.login_required":     "Debes iniciar sesión para dar like",
+  "svc.like_added":         "Like añadido",
+  "svc.like_removed":       "Like eliminado",
+  "svc.game_not_found":     "Juego no encontrado",
+  "svc.score_saved":        "¡Puntuación registrada!",
+  "svc.top5_made":          "¡Estás en el Top 5!",
+  "svc.register_to_save":   "Regístrate para guardar tu puntuación y XP",
+  "svc.score_error":        "Error al enviar puntuación.",
+  "svc.score_rejected":     "Puntuación no válida: no se ha guardado.",
+
+  // ── Game Descriptions (games.js) ────────────
+  "desc.tower-blocks":    "Desafía la gravedad, bloque a bloque. Toca en el momento exacto para apilar la siguiente pieza.",
+  "desc.odd-one-out":     "Confía en tus ojos. Encuentra y toca el único color diferente antes de que el reloj llegue a cero.",
+  "desc.circle-ninja":    "Desata tu katana digital. Desliza para cortar los círculos verdes y no toques los rojos bajo ningún concepto.",
+  "desc.color-match":     "Conquista el tablero paso a paso. Cambia de color estratégicamente para inundar la pantalla en el menor número de movimientos.",
+  "desc.circle-path":     "No rompas la cadena. Toca en el momento exacto para conectar con el siguiente círculo numerado de la ruta.",
+  "desc.neon-tap":        "Reflejos al límite. Toca el cuadrado iluminado antes de que desaparezca en la oscuridad.",
+  "desc.stroop-effect":   "Engaña a tu propio cerebro. Toca el color de la tinta, ignorando por completo la palabra escrita.",
+  "desc.timer":           "Controla el tiempo. Detén el cronómetro exactamente en 09:999. Ni un milisegundo más, ni uno menos.",
+  "desc.traffic-light":   "Tensión en la línea de salida. Espera la señal y toca la pantalla tan pronto como se ponga verde.",
+  "desc.sweet-spot":      "El pulso de un cirujano. Calcula la velocidad y detén la línea exactamente dentro de la zona verde.",
+  "desc.dodge-rush":      "Supervivencia extrema. Muévete rápido y esquiva los obstáculos el mayor tiempo posible sin chocar.",
+  "desc.frenzy-tap":      "Velocidad extrema. Machaca el botón lo más rápido que puedas en solo 10 segundos.",
+  "desc.perfect-scale":   "Controla la presión. Mantén pulsado para inflar el globo hasta que encaje exactamente en el círculo.",
+  "desc.swipe-sorter":    "Orden en el caos. Desliza las cartas rápidamente hacia el lado correcto para clasificarlas.",
+  "desc.math-rush":       "Tu cerebro a contrarreloj. Decide si la operación matemática es verdadera o falsa antes de que se agote el tiempo.",
+  "desc.stick-bridge":    "Calcula el abismo. Mantén pulsado para hacer crecer el puente y cruzar a salvo a la siguiente plataforma.",
+  "desc.drop-the-box":    "Construcción de alto riesgo. Toca en el momento exacto para soltar la caja y apilar la torre más alta posible.",
+  "desc.overheat":        "Al borde del colapso. Toca la pantalla el número exacto de veces sin sobrecalentar el motor.",
+  "desc.memory-loop":     "Memoria fotográfica. Observa atentamente la secuencia de luces y repítela sin cometer un solo error.",
+  "desc.higher-lower":    "Desafía a la suerte. Analiza tu jugada y adivina si el valor de la próxima carta será mayor o menor. Se juega con una baraja real.",
+  "desc.vector-leap":     "Física y precisión. Ajusta el ángulo y la fuerza de tu salto para aterrizar a salvo en la siguiente plataforma.",
+  "desc.rps-duel":        "Reacción instantánea. Lee la orden del sistema y elige la mano correcta para ganar, empatar o perder antes de que acabe el tiempo.",
+  "desc.orbit-sniper":    "Precisión interestelar. Dispara el satélite en el instante exacto para saltar a la órbita del siguiente planeta.",
+  "desc.shadow-dash":     "Sigilo y supervivencia. Pulsa para avanzar rápido mientras el guardia duerme y detente en seco cuando despierte para no ser visto.",
+  "desc.gravity-draw":    "Desafía la física con tu dedo. Dibuja el camino perfecto para guiar la bola de forma segura hasta la meta.",
+  "desc.crossroad-dart":  "Reflejos de asfalto. Calcula la velocidad del tráfico y cruza la intersección en el momento justo sin chocar.",
+  "desc.mental-math":     "Mente ágil, respuestas rápidas. Resuelve las operaciones matemáticas de cabeza antes de que el reloj llegue a cero.",
+  "desc.perfect-circle":  "El trazo definitivo. Mantén el pulso firme y dibuja un círculo perfecto de un solo movimiento continuo.",
+  "desc.memory-sequence":  "La prueba definitiva de retención. Memoriza la posición de los números y tócalos en orden consecutivo cuando se oculten al pulsar el primero.",
+  "desc.core-escape":       "Esquiva los cortafuegos a toda velocidad. Toca la pantalla para cambiar de carril y extrae los datos antes de que te atrapen.",
+  "desc.neon-chrono":       "Pon a prueba tu reloj interno. Mantén pulsado durante el tiempo exacto que te pide cada ronda y suelta en el momento justo.",
+  "desc.ghost-pong":        "Pong fantasma. Rebota la bola con tu pala, pero cuidado: la zona invisible crece y la bola acelera con cada rebote. ¡Rompe las cajas doradas para bonus!",
+  "desc.hextris":           "Gira el hexágono para colocar los bloques que caen. Junta tres o más del mismo color para borrarlos antes de que se desborde.",
+  "desc.2048":              "Desliza para mover todas las fichas. Las iguales se suman al chocar: llega a 2048 sin quedarte sin huecos.",
+
+  // ── GhostPong ────────────────────────────────
+  "ghostpong.subtitle":    "puntos",
+  "ghostpong.bonus":       "BONUS +5",
+
+  // ── MemorySequence ────────────────────────────
+  "memseq.round":       "Ronda",
+  "memseq.instruction": "Toca el 1 para empezar",
+  "memseq.subtitle":    "rondas completadas",
+
+  // ── CoreEscape ───────────────────────────────
+  "coreescape.unit":     "MB extraídos",
+  "coreescape.subtitle": "datos extraídos",
+
+  // ── NeonChrono ───────────────────────────────
+  "neonchrono.round":            "Ronda",
+  "neonchrono.target":           "Objetivo",
+  "neonchrono.seconds":          "segundos",
+  "neonchrono.hold_instruction": "Mantén pulsado",
+  "neonchrono.ready":            "Ready...",
+  "neonchrono.go":               "¡GO!",
+  "neonchrono.blind":            "A ciegas",
+  "neonchrono.perfect":          "¡PERFECTO!",
+  "neonchrono.pass":             "¡Pasas!",
+  "neonchrono.fail":             "¡FALLASTE!",
+  "neonchrono.off_by":           "Diferencia",
+  "neonchrono.your_time":        "Tu tiempo",
+  "neonchrono.next_round":       "Siguiente ronda...",
+  "neonchrono.score_label":      "Rondas",
+  "neonchrono.subtitle":         "rondas superadas",
+  "neonchrono.instruction":      "Mantén pulsado el tiempo que pide cada ronda",
+  "neonchrono.title_great":      "¡Genial!",
+  "neonchrono.title_legendary":  "¡Legendario!",
+
+  // ── PerfectCircle ─────────────────────────────
+  "perfectcircle.instruction": "Dibuja un círculo de un solo trazo",
+  "perfectcircle.subtitle":    "¿Qué tan perfecto fue tu círculo?",
+  "perfectcircle.too_short":   "Trazo muy corto",
+  "perfectcircle.too_small":   "Círculo demasiado pequeño",
+  "perfectcircle.incomplete":  "Círculo incompleto",
+
+  // ── CircleNinja ─────────────────────────────
+  "circleninja.instruction":      "Desliza para cortar los verdes 🟢",
+  "circleninja.too_many_escaped": "Se te escaparon demasiados",
+  "circleninja.cut_red":          "¡Cortaste un rojo!",
+
+  // ── CirclePath ──────────────────────────────
+  "circlepath.instruction": "Toca para saltar al siguiente círculo",
+  "circlepath.reached":     "Has alcanzado {{score}} {{unit}}",
+  "circlepath.point":       "punto",
+  "circlepath.points":      "puntos",
+
+  // ── ColorMatch ──────────────────────────────
+  "colormatch.moves":     "Movimientos",
+  "colormatch.zone":      "Zona",
+  "colormatch.victory":   "¡Victoria!",
+  "colormatch.completed": "Completaste el tablero en {{moves}} movimientos",
+  "colormatch.reached":   "Llegaste al {{progress}}% del tablero",
+
+  // ── DodgeRush ───────────────────────────────
+  "dodgerush.seconds":  "segundos",
+  "dodgerush.subtitle": "sobrevividos",
+
+  // ── DropTheBox ──────────────────────────────
+  "dropthebox.instruction":  "Toca para soltar la caja",
+  "dropthebox.tap_drop":     "Toca para soltar",
+  "dropthebox.boxes_stacked":"cajas apiladas",
+  "dropthebox.speed":        "Velocidad",
+
+  // ── FrenzyTap ───────────────────────────────
+  // (solo usa svc.score_error + subtitle "taps" que es universal)
+
+  // ── MathRush ────────────────────────────────
+  "mathrush.true":     "Verdadero",
+  "mathrush.false":    "Falso",
+  "mathrush.subtitle": "respuestas correctas",
+
+  // ── NeonTap ─────────────────────────────────
+  "neontap.instruction": "Toca el cuadrado iluminado",
+  "neontap.subtitle":    "puntos",
+
+  // ── OddOneOut ───────────────────────────────
+  "oddoneout.level":       "Nivel {{level}}",
+  "oddoneout.instruction": "Encuentra al infiltrado",
+  "oddoneout.reached":     "Nivel alcanzado: {{level}}",
+
+  // ── PerfectScale ────────────────────────────
+  "perfectscale.perfect":       "¡PERFECTO!",
+  "perfectscale.almost":        "¡Casi perfecto!",
+  "perfectscale.great":         "¡Muy bien!",
+  "perfectscale.not_bad":       "Nada mal",
+  "perfectscale.keep_trying":   "Sigue intentando",
+  "perfectscale.hold_inflate":  "Mantén pulsado para inflar",
+  "perfectscale.release":       "¡Suelta para fijar!",
+  "perfectscale.inflate_edge":  "Infla el globo hasta el borde",
+  "perfectscale.px_diff":       "px de diferencia",
+  "perfectscale.target":        "Objetivo",
+  "perfectscale.your_balloon":  "Tu globo",
+  "perfectscale.subtitle":      "de diferencia",
+
+  // ── StickBridge ─────────────────────────────
+  "stickbridge.instruction": "Mantén para hacer crecer el puente",
+  "stickbridge.hold":        "Mantén pulsado",
+  "stickbridge.subtitle":    "plataformas",
+
+  // ── StroopEffect ────────────────────────────
+  "stroop.red":         "ROJO",
+  "stroop.blue":        "AZUL",
+  "stroop.green":       "VERDE",
+  "stroop.yellow":      "AMARILLO",
+  "stroop.points":      "Puntos",
+  "stroop.instruction": "Toca el color de la tinta, no la palabra",
+  "stroop.subtitle":    "puntos",
+
+  // ── SweetSpot ───────────────────────────────
+  "sweetspot.tap_green":   "Toca cuando esté en verde",
+  "sweetspot.consecutive": "aciertos seguidos",
+  "sweetspot.instruction": "Detén la línea en la zona verde",
+  "sweetspot.subtitle":    "aciertos",
+
+  // ── SwipeSorter ─────────────────────────────
+  "swipesorter.instruction": "Desliza al lado correcto",
+  "swipesorter.subtitle":    "cartas clasificadas",
+  "swipesorter.red":         "ROJA",
+  "swipesorter.blue":        "AZUL",
+  "swipesorter.left":        "← Izquierda",
+  "swipesorter.right":       "Derecha →",
+
+  // ── Timer ───────────────────────────────────
+  "timer.perfect":    "¡PERFECTO! 🎯",
+  "timer.incredible": "¡Increíble! 🔥",
+  "timer.very_close": "¡Muy cerca! ⚡",
+  "timer.good_try":   "¡Buen intento! 👏",
+  "timer.not_bad":    "No está mal 🤔",
+  "timer.can_improve":"Puedes mejorar 💪",
+  "timer.keep_trying":"Sigue intentando 😅",
+  "timer.target":     "Objetivo",
+  "timer.tap_stop":   "¡Toca para parar!",
+  "timer.difference": "Diferencia",
+  "timer.instruction":"Para el cronómetro en 09:999",
+  "timer.subtitle":   "de diferencia",
+  "timer.title_amazing": "¡Increíble!",
+
+  // ── TowerBlocks ─────────────────────────────
+  "tower.instruction": "Toca en el momento justo para apilar los bloques",
+  "tower.tap_play":    "Toca para jugar",
+  "tower.tap_place":   "Toca para colocar el bloque",
+  "tower.score":       "Puntuación: {{score}}",
+
+  // ── TrafficLight ────────────────────────────
+  "traffic.too_soon":       "¡Demasiado pronto! 🚫",
+  "traffic.superhuman":     "¡Sobrehumano! ⚡",
+  "traffic.incredible":     "¡Increíble! 🔥",
+  "traffic.very_fast":      "¡Muy rápido! 🎯",
+  "traffic.good_reflex":    "Buen reflejo 👏",
+  "traffic.not_bad":        "No está mal 🤔",
+  "traffic.faster":         "Puedes más rápido 💪",
+  "traffic.wait":           "ESPERA...",
+  "traffic.dont_touch":     "No toques aún",
+  "traffic.tap":            "¡TOCA!",
+  "traffic.milliseconds":   "milisegundos",
+  "traffic.touched_early":  "Tocaste antes de que se pusiera verde",
+  "traffic.tap_when_green": "Toca cuando se ponga verde",
+  "traffic.title_early":    "¡Demasiado pronto!",
+  "traffic.title_amazing":  "¡Increíble!",
+  "traffic.penalty":        "penalización",
+  "traffic.reaction":       "de reacción",
+
+  // ── Memory Loop ─────────────────────────────
+  "memoryloop.instruction": "Memoriza y repite la secuencia",
+  "memoryloop.subtitle":    "rondas completadas",
+
+  // ── Higher Lower ────────────────────────────
+  "higherlower.instruction": "¿Mayor o menor?",
+  "higherlower.subtitle":    "aciertos seguidos",
+
+  // ── RPS Duel ────────────────────────────────
+  "rpsduel.win":         "¡GANAR!",
+  "rpsduel.lose":        "¡PERDER!",
+  "rpsduel.draw":        "¡EMPATAR!",
+  "rpsduel.youmust":     "TIENES QUE",
+  "rpsduel.subtitle":    "rondas superadas",
+
+  // ── Vector Leap ─────────────────────────────
+  "vectorleap.instruction": "Toca para fijar ángulo y fuerza",
+  "vectorleap.tap_angle":   "Toca para fijar el ángulo",
+  "vectorleap.tap_power":   "Toca para fijar la fuerza",
+  "vectorleap.subtitle":    "saltos exitosos",
+
+  // ── Orbit Sniper ────────────────────────────
+  "orbitsniper.instruction": "Dispara el satélite en el momento justo para cambiar de planeta",
+  "orbitsniper.tap_to_shoot": "Dispara el satélite en el momento justo para cambiar de planeta",
+  "orbitsniper.tap_hint":    "Toca para disparar",
+  "orbitsniper.subtitle":    "objetivos alcanzados",
+
+  // ── Overheat ────────────────────────────────
+  "overheat.round":     "Ronda",
+  "overheat.score":     "Puntuación",
+  "overheat.target":    "OBJETIVO",
+  "overheat.remaining": "restantes",
+  "overheat.rounds":    "rondas",
+  "overheat.hold":      "¡NO TOQUES!",
+
+  // ── Shadow Dash ─────────────────────────────
+  "shadowdash.instruction": "Mantén pulsado para correr, suelta para esconderte",
+  "shadowdash.panic":       "Pánico",
+  "shadowdash.asleep":      "Dormido",
+  "shadowdash.warning":     "¡Cuidado!",
+  "shadowdash.watching":    "¡Mirando!",
+  "shadowdash.running":     "Corriendo",
+  "shadowdash.hidden":      "Escondido",
+  "shadowdash.hold_to_run": "Pulsa para correr · Suelta para esconderte",
+  "shadowdash.bonus_panic": "+{{amount}} Pánico",
+  "shadowdash.subtitle":    "metros",
+  "shadowdash.death_eye":    "¡Te pilló el ojo!",
+  "shadowdash.death_panic":  "Muerto de pánico",
+
+  // ── Gravity Draw ─────────────────────────────
+  "gravitydraw.instruction": "Dibuja una línea para dirigir la bola",
+  "gravitydraw.drawHere":     "Dibuja aquí",
+  "gravitydraw.subtitle":    "rondas superadas",
+  "gravitydraw.success":     "¡Goool!",
+
+  // ── Crossroad Dart ───────────────────────────
+  "crossroaddart.tap":      "¡Toca para cruzar!",
+  "crossroaddart.subtitle": "cruces",
+  "crossroaddart.cross":    "cruce",
+  "crossroaddart.crosses":  "cruces",
+
+  // ── Avatar System ────────────────────────────
+  "avatar.select_title":    "Seleccionar Avatar",
+  "avatar.collection_title": "Tu Colección",
+  "avatar.default":         "Por defecto",
+  "avatar.save":            "Guardar",
+  "avatar.saving":          "Guardando...",
+  "avatar.edit":            "Cambiar avatar",
+  "avatar.equipped":        "Equipado",
+  "avatar.equip":           "Equipar Avatar",
+  "avatar.go_to_shop":      "Ir a la Tienda",
+  "avatar.tap_to_inspect":  "Toca un avatar para ver sus detalles",
+  "avatar.no_avatars":      "Aún no tienes avatares. \u00a1Sigue jugando para desbloquearlos!",
+  "avatar.details":         "Detalles",
+  "avatar.back":            "Volver",
+  "avatar.lore":            "Historia",
+  "avatar.how_to_get":      "Cómo se consigue",
+  "avatar.unlock_level":    "Se desbloquea en el Nivel {{level}}",
+  "avatar.unlock_shop":     "Precio: {{price}} Monedas",
+  "avatar.unlock_starter":  "Regalo de bienvenida",
+  "avatar.unlock_unknown":  "Desbloqueo especial",
+  "avatar.tier_label":      "Rango",
+  "avatar.tier.rookie":     "Rookie",
+  "avatar.tier.cyberpunk":  "Cyberpunk",
+  "avatar.tier.hacker":     "Hacker",
+  "avatar.tier.legend":     "Leyenda",
+  "avatar.unlock_total_plays":      "{count, plural, one {Juega # partida} other {Juega # partidas}}",
+  "avatar.unlock_top1":             "{count, plural, =1 {Consigue el Top 1 en cualquier juego} other {Consigue el Top 1 en # juegos}}",
+  "avatar.unlock_challenge_streak": "{count, plural, one {Reclama un reto diario} other {Reclama retos # días seguidos}}",
+  "avatar.achievements_title":      "Logros",
+  "avatar.achievement_unlocked":    "¡Logro desbloqueado!",
+
+  // ── Rachas ───────────────────────────────────
+  "streak.label":        "Racha",
+  "streak.best":         "Mejor: {{days}}",
+  "streak.aria":         "{days, plural, one {Racha de # día} other {Racha de # días}}",
+  "streak.reward_toast": "🔥 {days, plural, one {Racha de # día} other {Racha de # días}}: +{{coins}} monedas",
+  "streak.freeze_title": "Protector de racha",
+  "streak.freeze_desc":  "Salva tu racha si un día no juegas · {{count}}/{{max}}",
+  "streak.freeze_max":   "Al máximo",
+  "streak.freeze_ok":    "¡Protector de racha listo!",
+
+  // ── Tabs / Nav ───────────────────────────────
+  "tab.all":              "Todos",
+  "tab.favorites":        "Favoritos",
+  "tab.shop":             "Tienda",
+  "tab.fav_locked":       "¡Dale like a 5 juegos para desbloquear tu lista de favoritos! (Llevas {{count}}/5)",
+  "tab.login_required":   "Inicia sesión para acceder",
+  "lock.login_title":     "Accede a tus Favoritos",
+  "lock.login_desc":      "Guarda tus juegos preferidos y accede a ellos rápidamente.",
+  "lock.fav_title":       "Favoritos bloqueados",
+  "lock.fav_desc":        "Necesitas tener 5 juegos en favoritos para acceder a este modo. (Llevas {{count}}/5)",
+  "lock.challenges_title": "Desbloquea Retos Diarios",
+  "lock.challenges_desc":  "Completa desafíos diarios para ganar monedas y XP extra.",
+  "lock.shop_title":      "Desbloquea la Tienda",
+  "lock.shop_desc":       "Accede a avatares exclusivos, personaliza tu perfil y gasta tus monedas.",
+  "lock.benefit_scores":  "Guarda puntuaciones y compite en rankings globales",
+  "lock.benefit_avatars": "Desbloquea avatares exclusivos en la tienda",
+  "lock.benefit_levels":  "Gana XP, sube de nivel y presume de tu rango",
+  "lock.benefit_favorites": "Crea tu lista personalizada de favoritos",
+  "lock.cta":             "Crear cuenta · Iniciar sesión",
+
+  // ── Bottom Navigation ────────────────────────
+  "nav.play":             "Jugar",
+  "nav.profile":          "Perfíl",
+
+  // ── Settings Modal ──────────────────────────
+  "settings.title":       "Ajustes",
+  "settings.language":    "Idioma",
+  "settings.sound":       "Sonido",
+  "settings.color_vision": "Modo daltónico",
+  "settings.cvd.off": "Desactivado",
+  "settings.cvd.protanopia": "Protanopía",
+  "settings.cvd.deuteranopia": "Deuteranopía",
+  "settings.cvd.tritanopia": "Tritanopía",
+  "settings.cvd.off_hint": "Colores originales",
+  "settings.cvd.protanopia_hint": "Rojo poco visible",
+  "settings.cvd.deuteranopia_hint": "Rojo y verde se confunden",
+  "settings.cvd.tritanopia_hint": "Azul y amarillo se confunden",
+  "settings.patterns": "Formas sobre los colores",
+  "settings.patterns_hint": "Añade un símbolo a cada color en los juegos",
+
+  // ── Credits Modal ───────────────────────────
+  "credits.title":           "Créditos y Licencias",
+  "credits.subtitle":        "Juegos de código abierto adaptados para Scrollinn",
+  "credits.original":        "Ver original",
+  "credits.license_heading":  "Texto completo de la Licencia MIT",
+  "credits.button":           "Créditos y Licencias",
+
+  // ── User Profile ────────────────────────────
+  "profile.level":                "Nivel",
+  "profile.my_rankings":          "Mis Rankings",
+  "profile.no_rankings":          "Juega partidas para ver tus mejores posiciones aquí",
+  "profile.search_placeholder":    "Buscar juego...",
+  "profile.no_results":            "Sin resultados",
+  "profile.best_score_label":     "Récord",
+  "profile.login_required_title": "Tu Perfil te espera",
+  "profile.login_required_desc":  "Registra tus logros, sube de nivel y presume de tus rankings.",
+
+  // ── Shop ─────────────────────────────────────
+  "shop.title":           "Tienda",
+  "shop.coming_soon":     "Próximamente",
+  "shop.coming_desc":     "Aquí podrás gastar tus monedas en avatares exclusivos, power-ups y mucho más.",
+  "shop.coins":           "Monedas",
+  "shop.avatars_title":   "Avatares",
+  "shop.owned":           "En Propiedad",
+  "shop.buy":             "Comprar",
+  "shop.hold_to_buy":     "Mantener para comprar",
+  "shop.not_enough":      "Faltan Monedas",
+  "shop.purchase_ok":     "¡Avatar desbloqueado!",
+  "shop.purchase_fail":   "Error al comprar. Inténtalo de nuevo.",
+  "shop.loading":         "Cargando tienda...",
+  "shop.empty":           "No hay artículos disponibles aún.",
+  "shop.login_required":  "Inicia sesión para comprar",
+  "shop.rotation":        "NUEVA ROTACIÓN EN",
+  "shop.days":            "D",
+  "shop.watermark":       "Nuevos avatares cada semana",
+
+  // ── Daily Challenges ─────────────────────────
+  "challenges.title":          "Desafíos Diarios",
+  "challenges.subtitle":       "Completa retos para ganar monedas",
+  "challenges.no_challenges":  "No hay retos disponibles hoy",
+  "challenges.come_back":      "Vuelve mañana para nuevos desafíos",
+  "challenges.all_complete":   "Todo completado — +500 XP",
+  "challenges.completed":      "Completado",
+  "challenges.claiming":       "Reclamando...",
+  "challenges.claim":          "RECLAMAR +{{coins}}",
+  "challenges.in_progress":    "En progreso",
+  "challenges.play":             "Jugar",
+  "challenges.daily_bonus":    "¡Bono diario!",
+  "challenges.new_in":          "Nuevos retos en",
+
+  // ── Survival ──────────────────────────────
+  "survival.mode":             "Supervivencia",
+  "survival.toggle_aria":      "Activar o desactivar el modo Supervivencia",
+  "survival.passed_title":     "¡Superado!",
+  "survival.failed_title":     "Fin de la run",
+  "survival.games_survived":   "Juegos superados",
+  "survival.next":             "Siguiente juego",
+  "survival.new_run":          "Nueva run",
+  "survival.leaderboard":      "Ranking Supervivencia",
+  "survival.empty":            "Aún no hay runs",
+  "survival.register_to_save": "Regístrate para guardar tus runs en el ranking",
+
+  // ── Wallet ────────────────────────────────
+  "wallet.title":                    "Historial de XP y monedas",
+  "wallet.empty":                    "Todavía no hay movimientos.",
+  "wallet.balance":                  "Saldo: {{balance}}",
+  "wallet.reason.opening_balance":   "Saldo inicial",
+  "wallet.reason.game_xp":           "XP de partida",
+  "wallet.reason.challenge_reward":  "Recompensa de reto",
+  "wallet.reason.full_clear_bonus":  "Bonus Full Clear",
+  "wallet.reason.avatar_purchase":   "Compra de avatar",
+  "wallet.reason.streak_reward":     "Recompensa de racha",
+  "wallet.reason.streak_freeze":     "Protector de racha",
+
+  // ── Replays ───────────────────────────────
+  "replay.watch":     "Ver repetición",
+  "replay.watching":  "▶ Repetición · {{user}} · {{score}}",
+
+  // ── Leaderboard windows ───────────────────
+  "gameover.window_daily":    "Hoy",
+  "gameover.window_weekly":   "Semana",
+  "gameover.window_monthly":  "Mes",
+  "gameover.window_alltime":  "Siempre",
+  "gameover.window_empty":    "Nadie ha jugado todavía en este periodo.",
+
+  // ── Players around you ────────────────────
+  "gameover.nearby":       "Cerca de ti",
+  "gameover.gap_to_next":  "Te faltan {{gap}} para subir al #{{pos}}",
+
+  // ── Offline ───────────────────────────────
+  "offline.banner":            "Sin conexión",
+  "offline.syncing":           "Sincronizando…",
+  "offline.pending":           "{count, plural, one {# pendiente} other {# pendientes}}",
+  "offline.retry":             "Reintentar",
+  "offline.score_queued":      "Sin conexión: la puntuación se enviará al reconectar.",
+  "offline.score_lost":        "Sin conexión: no se ha podido guardar la puntuación.",
+  "gameover.pending_sync":     "Pendiente de sincronizar",
+  "gameover.ranking_offline":  "Sin conexión: el ranking puede no estar actualizado.",
+  "gameover.ranking_syncing":  "Enviando partidas pendientes: el ranking puede cambiar.",
+
+  // ── Friends ───────────────────────────────
+  "friends.title":               "Amigos",
+  "friends.add":                 "Añadir amigo",
+  "friends.accept":              "Aceptar solicitud",
+  "friends.accept_short":        "Aceptar",
+  "friends.decline":             "Rechazar",
+  "friends.cancel":              "Cancelar",
+  "friends.remove":              "Eliminar",
+  "friends.request_sent":        "Solicitud enviada",
+  "friends.are_friends":         "Amigos",
+  "friends.incoming_short":      "Te ha enviado solicitud",
+  "friends.incoming":            "Solicitudes ({{count}})",
+  "friends.outgoing":            "Enviadas",
+  "friends.list":                "Tus amigos ({{count}})",
+  "friends.empty":               "Aún no tienes amigos. ¡Busca jugadores por su nombre!",
+  "friends.search_placeholder":  "Buscar jugador…",
+  "friends.no_results":          "Ningún jugador con ese nombre.",
+  "gameover.scope_global":       "Todos",
+  "gameover.scope_friends":      "Amigos",
+  "gameover.friends_empty":      "Ninguno de tus amigos ha jugado todavía en este periodo.",
+  "challenges.ranking_title":          "Ranking de hoy",
+  "challenges.ranking_empty":          "Nadie ha completado retos hoy todavía.",
+  "challenges.ranking_friends_empty":  "Ninguno de tus amigos ha completado retos hoy.",
+
+  // ── Duels ─────────────────────────────────
+  "duel.target":          "{{user}} te reta: supera {{score}} en {{game}}",
+  "duel.login":           "Entrar",
+  "duel.own":             "Este es tu propio reto: compártelo con un amigo.",
+  "duel.unavailable":     "Este duelo ya no está disponible.",
+  "duel.result_win":      "¡Has ganado el duelo! {{score}} contra {{target}}",
+  "duel.result_loss":     "Has perdido el duelo: {{score}} contra {{target}}",
+  "duel.result_tie":      "¡Empate a {{score}}!",
+  "duel.inbox_title":     "Duelos",
+  "duel.record_wins":     "Victorias",
+  "duel.record_losses":   "Derrotas",
+  "duel.record_ties":     "Empates",
+  "duel.pending":         "Pendientes",
+  "duel.pending_empty":   "Sin duelos pendientes. Reta a alguien desde el Game Over.",
+  "duel.finished":        "Terminados",
+  "duel.finished_empty":  "Aún no has terminado ningún duelo.",
+  "duel.your_turn":       "Te toca: supera {{score}} de {{user}}",
+  "duel.their_turn":      "{{user}} aún no ha jugado",
+  "duel.waiting":         "Esperando rival · tu marca: {{score}}",
+  "duel.play":            "Jugar",
+  "duel.share":           "Compartir",
+  "duel.share_text":      "¿Me superas en {{game}}? ⚔️ → {{link}}",
+  "duel.vs":              "contra {{user}}",
+  "duel.outcome_win":     "Victoria",
+  "duel.outcome_loss":    "Derrota",
+  "duel.outcome_tie":     "Empate",
+
+  // ── Embedded games ────────────────────────
+  "embed.loading":         "Cargando juego…",
+  "embed.subtitle":        "puntos en {{game}}",
+};
@@ -0,0 +1,364 @@
+/**
+ * locales/fr.js — Textes en français
+ *
+ * Se carga bajo demanda (chunk propio). Cadena de respaldo: fr → en → es.
+ * Cubre la interfaz común; las instrucciones de cada juego aún caen a inglés.
+ */
+
+export default {
+  // ── UI General ──────────────────────────────
+  "ui.preparing":       "Préparation...",
+  "ui.playing":         "En jeu",
+  "ui.tap_to_start":    "Touchez pour commencer",
+  "ui.tap_to_resume":   "Touchez pour reprendre",
+  "ui.run_paused":      "Partie en pause",
+  "ui.challenges":       "Défis",
+  "ui.how_to_play":     "Comment jouer",
+  "ui.resume":          "Reprendre",
+  "ui.like":            "J'aime",
+  "ui.my_account":      "Mon compte",
+  "ui.register_aria":   "S'inscrire",
+  "ui.register_label":  "S'inscrire",
+  "ui.gallery_aria":    "Galerie de jeux",
+  "ui.games":           "Jeux",
+  "ui.swipe_hint":      "Glissez pour changer de jeu",
+  "ui.next_game":        "Jeu suivant",
+  "countdown.how_to_play": "Comment jouer",
+
+  // ── Galerie ─────────────────────────────────
+  "gallery.choose":      "Choisissez un jeu",
+  "gallery.search":      "Rechercher un jeu...",
+  "gallery.search_game":  "Rechercher un jeu",
+  "gallery.noResults":   "Aucun jeu trouvé",
+  "gallery.playing":     "En jeu",
+  "gallery.challenges_aria": "Défis du jour",
+
+  // ── Game Over ───────────────────────────────
+  "gameover.user":       "Joueur",
+  "gameover.points":     "Points",
+  "gameover.loading":    "Chargement du classement...",
+  "gameover.replay":     "Rejouer",
+  "gameover.next":       "Jeu suivant",
+  "gameover.calculating_xp": "Calcul de l'XP...",
+  "gameover.no_xp":      "Aucune XP gagnée. Réessayez !",
+  "gameover.new_record":  "NOUVEAU RECORD !",
+  "gameover.best_score":  "Votre meilleur score",
+  "gameover.global_pos":  "Position mondiale",
+  "gameover.level":       "Niv",
+  "gameover.view_top5":   "VOIR LE TOP 5",
+  "gameover.top5":        "Top 5",
+  "gameover.you":         "Vous",
+  "gameover.processing":  "Traitement...",
+  "gameover.first_game":  "Première partie",
+  "gameover.window_daily":    "Aujourd'hui",
+  "gameover.window_weekly":   "Semaine",
+  "gameover.window_monthly":  "Mois",
+  "gameover.window_alltime":  "Toujours",
+  "gameover.window_empty":    "Personne n'a encore joué sur cette période.",
+  "gameover.nearby":       "Autour de vous",
+  "gameover.gap_to_next":  "Encore {{gap}} pour passer #{{pos}}",
+  "gameover.pending_sync":     "En attente de synchronisation",
+  "gameover.ranking_offline":  "Hors ligne : le classement peut ne pas être à jour.",
+  "gameover.ranking_syncing":  "Envoi des parties en attente : le classement peut changer.",
+  "gameover.scope_global":       "Tout le monde",
+  "gameover.scope_friends":      "Amis",
+  "gameover.friends_empty":      "Aucun de vos amis n'a encore joué sur cette période.",
+
+  // ── Auth ────────────────────────────────────
+  "auth.fill_both":      "Veuillez remplir les deux champs.",
+  "auth.account_created":"Compte créé ! Bienvenue, {{username}} 🎉",
+  "auth.welcome_back":   "Bon retour, {{username}} ! 👋",
+  "auth.connection_error":"Impossible de se connecter au serveur.",
+  "auth.rate_limited":   "{minutes, plural, =0 {Trop de requêtes. Patientez un moment et réessayez.} one {Trop de requêtes. Réessayez dans # minute.} other {Trop de requêtes. Réessayez dans # minutes.}}",
+  "auth.too_many_attempts":"{minutes, plural, =0 {Trop de tentatives échouées. Réessayez plus tard.} one {Trop de tentatives échouées. Réessayez dans # minute.} other {Trop de tentatives échouées. Réessayez dans # minutes.}}",
+  "auth.your_account":   "Votre compte",
+  "auth.login_register": "Connexion / Inscription",
+  "auth.close":          "Fermer",
+  "auth.logout":         "Se déconnecter",
+  "auth.logout_confirm":  "Voulez-vous vraiment vous déconnecter ?",
+  "auth.logout_yes":      "Oui, me déconnecter",
+  "auth.logout_no":       "Non, annuler",
+  "auth.username":       "Nom d'utilisateur",
+  "auth.username_ph":    "Votre nom...",
+  "auth.password":       "Mot de passe",
+  "auth.dont_forget":    "N'oubliez pas votre mot de passe !",
+  "auth.no_recovery":    "Il est impossible de le récupérer. Si vous le perdez, vous ne pourrez plus accéder à votre compte.",
+  "auth.connecting":     "Connexion...",
+  "auth.continue":       "Continuer",
+  "auth.auto_create":    "Si vous n'avez pas de compte, il sera créé automatiquement.",
+  "auth.login":          "Se connecter",
+  "auth.create_account": "Créer un compte",
+  "auth.confirm_password":"Confirmer le mot de passe",
+  "auth.passwords_no_match":"Les mots de passe ne correspondent pas.",
+  "auth.fill_all":       "Veuillez remplir tous les champs.",
+  "auth.show_password":  "Afficher le mot de passe",
+  "auth.hide_password":  "Masquer le mot de passe",
+  "auth.no_account":     "Pas encore de compte ?",
+  "auth.create_fast":    "Créez-en un en quelques secondes !",
+  "auth.have_account":   "Vous avez déjà un compte ?",
+  "auth.go_login":       "Se connecter",
+
+  "authscreen.subtitle":        "Connectez-vous pour jouer",
+  "authscreen.email_or_username": "E-mail ou nom d'utilisateur",
+  "authscreen.email_or_username_ph": "vous@email.com ou votre_nom",
+  "authscreen.username_label":    "Nom d'utilisateur",
+  "authscreen.username_placeholder": "votre_nom",
+  "authscreen.fill_username":     "Choisissez un nom d'utilisateur.",
+  "authscreen.fill_both":       "Veuillez saisir l'e-mail et le mot de passe.",
+  "authscreen.invalid_credentials": "Nom d'utilisateur, e-mail ou mot de passe incorrect.",
+  "authscreen.password_min":    "Le mot de passe doit contenir au moins 8 caractères.",
+  "authscreen.password_weak":   "Le mot de passe doit contenir au moins 8 caractères, une majuscule et un chiffre.",
+  "authscreen.email_invalid":   "Format d'e-mail invalide.",
+  "authscreen.username_format": "Le nom d'utilisateur ne peut contenir que des lettres, des chiffres et _ (3 à 20 caractères).",
+  "authscreen.username_taken":  "Ce nom d'utilisateur est déjà pris.",
+  "authscreen.email_taken":     "Cet e-mail est déjà enregistré.",
+  "authscreen.terms_required":  "Vous devez accepter la politique de confidentialité pour continuer.",
+  "authscreen.terms_label":     "J'ai lu et j'accepte la",
+  "authscreen.terms_link":      "Politique de confidentialité",
+  "authscreen.check_email":     "Compte créé ! Vérifiez vos e-mails pour confirmer.",
+  "authscreen.hint":            "Votre progression sera sauvegardée automatiquement une fois connecté.",
+  "authscreen.guest_btn":         "Jouer en invité",
+  "authscreen.guest_banner":      "Vous jouez en invité. Vos scores ne seront pas sauvegardés.",
+  "authscreen.guest_login_prompt": "Connectez-vous pour sauvegarder vos scores, acheter des avatars et voir votre profil.",
+  "authscreen.guest_login_btn":   "Se connecter",
+
+  // ── Services ────────────────────────────────
+  "svc.username_required":  "Le nom d'utilisateur et le mot de passe sont obligatoires.",
+  "svc.username_too_long":  "Le nom d'utilisateur ne peut pas dépasser 30 caractères.",
+  "svc.password_too_short": "Le mot de passe doit contenir au moins 4 caractères.",
+  "svc.wrong_password":     "Mot de passe incorrect.",
+  "svc.username_taken":     "Ce nom d'utilisateur est déjà pris.",
+  "svc.user_not_found":     "Cet utilisateur n'existe pas.",
+  "svc.db_error":           "Erreur de connexion à la base de données.",
+  "svc.login_required":     "Connectez-vous pour aimer",
+  "svc.like_added":         "J'aime ajouté",
+  "svc.like_removed":       "J'aime retiré",
+  "svc.game_not_found":     "Jeu introuvable",
+  "svc.score_saved":        "Score enregistré !",
+  "svc.top5_made":          "Vous êtes dans le Top 5 !",
+  "svc.register_to_save":   "Inscrivez-vous pour sauvegarder votre score et votre XP",
+  "svc.score_error":        "Erreur lors de l'envoi du score.",
+  "svc.score_rejected":     "Score invalide : il n'a pas été enregistré.",
+
+  // ── Profil ──────────────────────────────────
+  "profile.close":           "Fermer",
+  "profile.loading":         "Chargement du profil...",
+  "profile.not_found":       "Joueur introuvable",
+  "profile.featured_games":  "Jeux phares",
+  "profile.no_data":         "Pas encore assez de données",
+  "profile.in_game":         "dans",
+  "profile.career":          "Temps forts",
+  "profile.total_top1":      "Total Top 1",
+  "profile.total_top5":      "Total Top 5",
+  "profile.level":                "Niveau",
+  "profile.my_rankings":          "Mes classements",
+  "profile.no_rankings":          "Jouez pour voir vos meilleures positions ici",
+  "profile.search_placeholder":    "Rechercher un jeu...",
+  "profile.no_results":            "Aucun résultat",
+  "profile.best_score_label":     "Record",
+  "profile.login_required_title": "Votre profil vous attend",
+  "profile.login_required_desc":  "Suivez vos succès, montez de niveau et affichez vos classements.",
+
+  // ── Avatars ─────────────────────────────────
+  "avatar.select_title":    "Choisir un avatar",
+  "avatar.collection_title": "Votre collection",
+  "avatar.default":         "Par défaut",
+  "avatar.save":            "Enregistrer",
+  "avatar.saving":          "Enregistrement...",
+  "avatar.edit":            "Changer d'avatar",
+  "avatar.equipped":        "Équipé",
+  "avatar.equip":           "Équiper l'avatar",
+  "avatar.go_to_shop":      "Aller à la boutique",
+  "avatar.tap_to_inspect":  "Touchez un avatar pour voir ses détails",
+  "avatar.no_avatars":      "Vous n'avez pas encore d'avatars. Continuez à jouer pour les débloquer !",
+  "avatar.details":         "Détails",
+  "avatar.back":            "Retour",
+  "avatar.lore":            "Histoire",
+  "avatar.how_to_get":      "Comment le débloquer",
+  "avatar.unlock_level":    "Se débloque au niveau {{level}}",
+  "avatar.unlock_shop":     "Prix : {{price}} pièces",
+  "avatar.unlock_starter":  "Cadeau de bienvenue",
+  "avatar.unlock_unknown":  "Déblocage spécial",
+  "avatar.tier_label":      "Rang",
+  "avatar.tier.rookie":     "Rookie",
+  "avatar.tier.cyberpunk":  "Cyberpunk",
+  "avatar.tier.hacker":     "Hacker",
+  "avatar.tier.legend":     "Légende",
+  "avatar.unlock_total_plays":      "{count, plural, one {Jouez # partie} other {Jouez # parties}}",
+  "avatar.unlock_top1":             "{count, plural, =1 {Atteignez le Top 1 dans n'importe quel jeu} other {Atteignez le Top 1 dans # jeux}}",
+  "avatar.unlock_challenge_streak": "{count, plural, one {Réclamez un défi du jour} other {Réclamez des défis # jours d'affilée}}",
+  "avatar.achievements_title":      "Succès",
+  "avatar.achievement_unlocked":    "Succès débloqué !",
+
+  // ── Série ───────────────────────────────────
+  "streak.label":        "Série",
+  "streak.best":         "Record : {{days}}",
+  "streak.aria":         "{days, plural, one {Série de # jour} other {Série de # jours}}",
+  "streak.reward_toast": "🔥 {days, plural, one {Série de # jour} other {Série de # jours}} : +{{coins}} pièces",
+  "streak.freeze_title": "Gel de série",
+  "streak.freeze_desc":  "Protège votre série si vous manquez un jour · {{count}}/{{max}}",
+  "streak.freeze_max":   "Maximum atteint",
+  "streak.freeze_ok":    "Gel de série prêt !",
+
+  // ── Onglets / verrous ───────────────────────
+  "tab.all":              "Tous",
+  "tab.favorites":        "Favoris",
+  "tab.shop":             "Boutique",
+  "tab.fav_locked":       "Aimez 5 jeux pour débloquer vos favoris ! ({{count}}/5 pour l'instant)",
+  "tab.login_required":   "Connectez-vous pour accéder",
+  "lock.login_title":     "Accédez à vos favoris",
+  "lock.login_desc":      "Sauvegardez vos jeux préférés et retrouvez-les rapidement.",
+  "lock.fav_title":       "Favoris verrouillés",
+  "lock.fav_desc":        "Vous devez avoir 5 jeux en favoris pour accéder à ce mode. ({{count}}/5 pour l'instant)",
+  "lock.challenges_title": "Débloquez les défis du jour",
+  "lock.challenges_desc":  "Relevez les défis du jour pour gagner des pièces et de l'XP bonus.",
+  "lock.shop_title":      "Débloquez la boutique",
+  "lock.shop_desc":       "Accédez à des avatars exclusifs, personnalisez votre profil et dépensez vos pièces.",
+  "lock.benefit_scores":  "Sauvegardez vos scores et affrontez le classement mondial",
+  "lock.benefit_avatars": "Débloquez des avatars exclusifs dans la boutique",
+  "lock.benefit_levels":  "Gagnez de l'XP, montez de niveau et affichez votre rang",
+  "lock.benefit_favorites": "Créez votre liste de favoris",
+  "lock.cta":             "Créer un compte · Se connecter",
+
+  // ── Navigation / réglages ───────────────────
+  "nav.play":             "Jouer",
+  "nav.profile":          "Profil",
+  "settings.title":       "Réglages",
+  "settings.language":    "Langue",
+  "settings.sound":       "Son",
+  "settings.color_vision": "Mode daltonien",
+  "settings.cvd.off": "Désactivé",
+  "settings.cvd.protanopia": "Protanopie",
+  "settings.cvd.deuteranopia": "Deutéranopie",
+  "settings.cvd.tritanopia": "Tritanopie",
+  "settings.cvd.off_hint": "Couleurs d’origine",
+  "settings.cvd.protanopia_hint": "Le rouge paraît terne",
+  "settings.cvd.deuteranopia_hint": "Rouge et vert se confondent",
+  "settings.cvd.tritanopia_hint": "Bleu et jaune se confondent",
+  "settings.patterns": "Formes sur les couleurs",
+  "settings.patterns_hint": "Ajoute un symbole à chaque couleur dans les jeux",
+  "credits.title":           "Crédits et licences",
+  "credits.subtitle":        "Jeux open source adaptés pour Scrollinn",
+  "credits.original":        "Voir l'original",
+  "credits.license_heading":  "Texte complet de la licence MIT",
+  "credits.button":           "Crédits et licences",
+
+  // ── Boutique ────────────────────────────────
+  "shop.title":           "Boutique",
+  "shop.coming_soon":     "Bientôt disponible",
+  "shop.coming_desc":     "Vous pourrez ici dépenser vos pièces en avatars exclusifs, bonus et plus encore.",
+  "shop.coins":           "Pièces",
+  "shop.avatars_title":   "Avatars",
+  "shop.owned":           "Possédé",
+  "shop.buy":             "Acheter",
+  "shop.hold_to_buy":     "Maintenez pour acheter",
+  "shop.not_enough":      "Pas assez de pièces",
+  "shop.purchase_ok":     "Avatar débloqué !",
+  "shop.purchase_fail":   "Échec de l'achat. Réessayez.",
+  "shop.loading":         "Chargement de la boutique...",
+  "shop.empty":           "Aucun article disponible pour l'instant.",
+  "shop.login_required":  "Connectez-vous pour acheter",
+  "shop.rotation":        "NOUVELLE ROTATION DANS",
+  "shop.days":            "J",
+  "shop.watermark":       "De nouveaux avatars chaque semaine",
+
+  // ── Défis du jour ───────────────────────────
+  "challenges.title":          "Défis du jour",
+  "challenges.subtitle":       "Relevez des défis pour gagner des pièces",
+  "challenges.no_challenges":  "Aucun défi disponible aujourd'hui",
+  "challenges.come_back":      "Revenez demain pour de nouveaux défis",
+  "challenges.all_complete":   "Tout est terminé — +500 XP",
+  "challenges.completed":      "Terminé",
+  "challenges.claiming":       "Récupération...",
+  "challenges.claim":          "RÉCUPÉRER +{{coins}}",
+  "challenges.in_progress":    "En cours",
+  "challenges.play":             "Jouer",
+  "challenges.daily_bonus":    "Bonus du jour !",
+  "challenges.new_in":          "Nouveaux défis dans",
+  "challenges.ranking_title":          "Classement du jour",
+  "challenges.ranking_empty":          "Personne n'a encore terminé de défi aujourd'hui.",
+  "challenges.ranking_friends_empty":  "Aucun de vos amis n'a terminé de défi aujourd'hui.",
+
+  // ── Portefeuille ────────────────────────────
+  "wallet.title":                    "Historique d'XP et de pièces",
+  "wallet.empty":                    "Aucune transaction pour l'instant.",
+  "wallet.balance":                  "Solde : {{balance}}",
+  "wallet.reason.opening_balance":   "Solde initial",
+  "wallet.reason.game_xp":           "XP de partie",
+  "wallet.reason.challenge_reward":  "Récompense de défi",
+  "wallet.reason.full_clear_bonus":  "Bonus Full Clear",
+  "wallet.reason.avatar_purchase":   "Achat d'avatar",
+  "wallet.reason.streak_reward":     "Récompense de série",
+  "wallet.reason.streak_freeze":     "Gel de série",
+
+  // ── Replays / hors ligne ────────────────────
+  "replay.watch":     "Voir le replay",
+  "replay.watching":  "▶ Replay · {{user}} · {{score}}",
+  "offline.banner":            "Hors ligne",
+  "offline.syncing":           "Synchronisation…",
+  "offline.pending":           "{count, plural, one {# en attente} other {# en attente}}",
+  "offline.retry":             "Réessayer",
+  "offline.score_queued":      "Hors ligne : votre score sera envoyé à la reconnexion.",
+  "offline.score_lost":        "Hors ligne : votre score n'a pas pu être enregistré.",
+
+  // ── Survie ──────────────────────────────────
+  "survival.mode":             "Survie",
+  "survival.toggle_aria":      "Activer le mode Survie",
+  "survival.passed_title":     "Réussi !",
+  "survival.failed_title":     "Partie terminée",
+  "survival.games_survived":   "Jeux survécus",
+  "survival.next":             "Jeu suivant",
+  "survival.new_run":          "Nouvelle partie",
+  "survival.leaderboard":      "Classement Survie",
+  "survival.empty":            "Aucune partie pour l'instant",
+  "survival.register_to_save": "Inscrivez-vous pour enregistrer vos parties au classement",
+
+  // ── Amis ────────────────────────────────────
+  "friends.title":               "Amis",
+  "friends.add":                 "Ajouter un ami",
+  "friends.accept":              "Accepter la demande",
+  "friends.accept_short":        "Accepter",
+  "friends.decline":             "Refuser",
+  "friends.cancel":              "Annuler",
+  "friends.remove":              "Retirer",
+  "friends.request_sent":        "Demande envoyée",
+  "friends.are_friends":         "Amis",
+  "friends.incoming_short":      "Vous a envoyé une demande",
+  "friends.incoming":            "Demandes ({{count}})",
+  "friends.outgoing":            "Envoyées",
+  "friends.list":                "Vos amis ({{count}})",
+  "friends.empty":               "Pas encore d'amis. Recherchez des joueurs par leur nom !",
+  "friends.search_placeholder":  "Rechercher un joueur…",
+  "friends.no_results":          "Aucun joueur avec ce nom.",
+
+  // ── Duels ───────────────────────────────────
+  "duel.target":          "{{user}} vous défie : battez {{score}} à {{game}}",
+  "duel.login":           "Se connecter",
+  "duel.own":             "C'est votre propre défi : partagez-le avec un ami.",
+  "duel.unavailable":     "Ce duel n'est plus disponible.",
+  "duel.result_win":      "Duel gagné ! {{score}} contre {{target}}",
+  "duel.result_loss":     "Duel perdu : {{score}} contre {{target}}",
+  "duel.result_tie":      "Égalité à {{score}} !",
+  "duel.inbox_title":     "Duels",
+  "duel.record_wins":     "Victoires",
+  "duel.record_losses":   "Défaites",
+  "duel.record_ties":     "Égalités",
+  "duel.pending":         "En attente",
+  "duel.pending_empty":   "Aucun duel en attente. Défiez quelqu'un depuis l'écran de fin de partie.",
+  "duel.finished":        "Terminés",
+  "duel.finished_empty":  "Vous n'avez encore terminé aucun duel.",
+  "duel.your_turn":       "À vous : battez les {{score}} de {{user}}",
+  "duel.their_turn":      "{{user}} n'a pas encore joué",
+  "duel.waiting":         "En attente d'un adversaire · votre score : {{score}}",
+  "duel.play":            "Jouer",
+  "duel.share":           "Partager",
+  "duel.share_text":      "Tu peux me battre à {{game}} ? ⚔️ → {{link}}",
+  "duel.vs":              "contre {{user}}",
+  "duel.outcome_win":     "Victoire",
+  "duel.outcome_loss":    "Défaite",
+  "duel.outcome_tie":     "Égalité",
+
+  // ── Jeux intégrés ───────────────────────────
+  "embed.loading":         "Chargement du jeu…",
+  "embed.subtitle":        "points à {{game}}",
+};
@@ -0,0 +1,55 @@
+/**
+ * locales/index.js — Registro de idiomas
+ *
+ * Cada idioma declara:
+ *  - label    → nombre en su propio idioma (selector de SettingsModal)
+ *  - intl     → etiqueta BCP 47 para Intl (números, fechas, plurales)
+ *  - fallback → idioma al que caen las claves que le falten
+ *  - bundle   → textos ya cargados (solo el idioma base)
+ *  - load     → import() perezoso del resto: cada uno va en su propio chunk
+ *
+ * Añadir un idioma = crear locales/<code>.js y registrarlo aquí. No hace
+ * falta que esté completo: lo que falte se resuelve por la cadena de
+ * fallback y, al final, por el idioma base (es).
+ */
+
+import es from "./es.js";
+
+/** Idioma que siempre está cargado y cierra todas las cadenas de fallback */
+export const BASE_LOCALE = "es";
+
+/** Idioma si no hay preferencia guardada ni coincidencia con el navegador */
+export const DEFAULT_LOCALE = "en";
+
+export const LOCALES = {
+  es: { label: "Español",  intl: "es-ES", fallback: null, bundle: es },
+  en: { label: "English",  intl: "en-GB", fallback: "es", load: () => import("./en.js") },
+  fr: { label: "Français", intl: "fr-FR", fallback: "en", load: () => import("./fr.js") },
+};
+
+/**
+ * Idiomas en los que buscar una clave, del más específico al base.
+ * @param {string} code
+ * @returns {string[]}  p.ej. "fr" → ["fr", "en", "es"]
+ */
+export function getLocaleChain(code) {
+  const chain = [];
+  let current = LOCALES[code] ? code : DEFAULT_LOCALE;
+  while (current && !chain.includes(current)) {
+    chain.push(current);
+    current = LOCALES[current].fallback;
+  }
+  if (!chain.includes(BASE_LOCALE)) chain.push(BASE_LOCALE);
+  return chain;
+}
+
+/**
+ * Idioma registrado que corresponde a una etiqueta del navegador.
+ * @param {string} tag — p.ej. "fr-CA", "en-US"
+ * @returns {string|null}
+ */
+export function matchLocale(tag) {
+  if (!tag) return null;
+  const code = tag.toLowerCase().split("-")[0];
+  return LOCALES[code] ? code : null;
+}
@@ -0,0 +1,224 @@
+/**
+ * locales/runtime.js — Núcleo de i18n sin React
+ *
+ * Estado del idioma, carga de bundles, t() con plural/select ICU y formato
+ * de números, fechas y contenido de la BD. i18n.jsx lo re-exporta junto al
+ * Provider, así que el resto de la app sigue importando desde "../i18n".
+ *
+ * Mensajes:
+ *  - {{param}}                                 → interpolación simple
+ *  - {count, plural, =0 {…} one {…} other {…}} → plural ICU (Intl.PluralRules);
+ *                                                 `#` es el número formateado
+ *  - {kind, select, a {…} other {…}}           → selección ICU por valor
+ */
+
+
+import { LOCALES, BASE_LOCALE, DEFAULT_LOCALE, getLocaleChain, matchLocale } from "./index.js";
+
+export { LOCALES };
+
+const STORAGE_KEY = "scrollinn-lang";
+
+// ─── Bundles ─────────────────────────────────────────────────────────────────
+
+const _bundles = { [BASE_LOCALE]: LOCALES[BASE_LOCALE].bundle };
+const _loading = new Map();
+
+function loadBundle(code) {
+  if (_bundles[code]) return Promise.resolve(_bundles[code]);
+  if (!_loading.has(code)) {
+    const entry = LOCALES[code];
+    const promise = (entry.bundle ? Promise.resolve({ default: entry.bundle }) : entry.load())
+      .then((mod) => {
+        _bundles[code] = mod.default;
+        return mod.default;
+      })
+      .finally(() => _loading.delete(code));
+    _loading.set(code, promise);
+  }
+  return _loading.get(code);
+}
+
+/**
+ * Carga un idioma y todos los de su cadena de fallback.
+ * Si un chunk falla (sin red), t() seguirá resolviendo con lo que haya.
+ */
+export function loadLocale(code) {
+  return Promise.allSettled(getLocaleChain(code).map(loadBundle));
+}
+
+// ─── Store reactivo (funciona fuera de React) ────────────────────────────────
+
+function detectLang() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (LOCALES[saved]) return saved;
+  } catch { /* SSR / privacy */ }
+  const preferred = typeof navigator !== "undefined"
+    ? (navigator.languages ?? [navigator.language])
+    : [];
+  for (const tag of preferred) {
+    const code = matchLocale(tag);
+    if (code) return code;
+  }
+  return DEFAULT_LOCALE;
+}
+
+let _lang = detectLang();
+let _chain = getLocaleChain(_lang);
+if (typeof document !== "undefined") document.documentElement.lang = _lang;
+
+const _listeners = new Set();
+
+function applyLang(lang) {
+  _lang = lang;
+  _chain = getLocaleChain(lang);
+  if (typeof document !== "undefined") document.documentElement.lang = lang;
+  _listeners.forEach((fn) => fn(lang));
+}
+
+export function getLang() { return _lang; }
+
+/** Cambia de idioma cuando su bundle ya está cargado. Ignora códigos no registrados. */
+export async function setLang(lang) {
+  if (!LOCALES[lang]) return;
+  try { localStorage.setItem(STORAGE_KEY, lang); } catch { /* SSR / privacy */ }
+  await loadLocale(lang);
+  applyLang(lang);
+}
+
+export function subscribe(fn) {
+  _listeners.add(fn);
+  return () => _listeners.delete(fn);
+}
+
+// ─── Formato según idioma ────────────────────────────────────────────────────
+
+const _numberFormats = new Map();
+const _pluralRules = new Map();
+
+export function getIntlLocale() {
+  return LOCALES[_lang]?.intl ?? LOCALES[DEFAULT_LOCALE].intl;
+}
+
+/**
+ * Formatea un número con las convenciones del idioma actual (1.234 / 1,234).
+ * Lo que no sea número se devuelve como texto tal cual.
+ */
+export function formatNumber(value, options) {
+  if (typeof value !== "number" || Number.isNaN(value)) return String(value ?? "");
+  const cacheKey = `${getIntlLocale()}|${options ? JSON.stringify(options) : ""}`;
+  if (!_numberFormats.has(cacheKey)) {
+    _numberFormats.set(cacheKey, new Intl.NumberFormat(getIntlLocale(), options));
+  }
+  return _numberFormats.get(cacheKey).format(value);
+}
+
+/** Formatea una fecha (Date, timestamp o ISO) según el idioma actual. */
+export function formatDate(value, options) {
+  return new Intl.DateTimeFormat(getIntlLocale(), options).format(new Date(value));
+}
+
+function pluralCategory(value) {
+  const locale = getIntlLocale();
+  if (!_pluralRules.has(locale)) _pluralRules.set(locale, new Intl.PluralRules(locale));
+  return _pluralRules.get(locale).select(value);
+}
+
+// ─── Mensajes ICU (plural / select) ──────────────────────────────────────────
+
+const ICU_BLOCK = /\{\s*(\w+)\s*,\s*(plural|select)\s*,/g;
+
+/** Índice de la `}` que cierra la `{` en `start` (-1 si está descompensada) */
+function closingBrace(str, start) {
+  let depth = 0;
+  for (let i = start; i < str.length; i++) {
+    if (str[i] === "{") depth++;
+    else if (str[i] === "}" && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/** " =0 {a} one {b} other {c}" → { "=0": "a", one: "b", other: "c" } */
+function parseCases(body) {
+  const cases = {};
+  let i = 0;
+  while (i < body.length) {
+    const open = body.indexOf("{", i);
+    if (open === -1) break;
+    const close = closingBrace(body, open);
+    if (close === -1) break;
+    cases[body.slice(i, open).trim()] = body.slice(open + 1, close);
+    i = close + 1;
+  }
+  return cases;
+}
+
+function formatMessage(template, params) {
+  const blocks = new RegExp(ICU_BLOCK.source, "g");
+  let out = "";
+  let cursor = 0;
+  let match;
+
+  while ((match = blocks.exec(template))) {
+    const end = closingBrace(template, match.index);
+    if (end === -1) break;
+
+    const [head, name, type] = match;
+    const cases = parseCases(template.slice(match.index + head.length, end));
+    const value = params[name];
+    let branch;
+
+    if (type === "plural") {
+      const n = Number(value);
+      branch = (cases[`=${n}`] ?? cases[pluralCategory(n)] ?? cases.other ?? "")
+        .replace(/#/g, formatNumber(n));
+    } else {
+      branch = cases[String(value)] ?? cases.other ?? "";
+    }
+
+    out += template.slice(cursor, match.index) + formatMessage(branch, params);
+    cursor = end + 1;
+    blocks.lastIndex = cursor;
+  }
+
+  out += template.slice(cursor);
+  return out.replace(/\{\{(\w+)\}\}/g, (_, k) => params[k] ?? "");
+}
+
+/**
+ * Traduce una clave buscando por la cadena de fallback del idioma actual.
+ * Interpola {{param}} y resuelve bloques plural/select si se pasan params.
+ * Usable dentro y fuera de React.
+ */
+export function t(key, params) {
+  let val = key;
+  for (const code of _chain) {
+    const hit = _bundles[code]?.[key];
+    if (hit !== undefined) { val = hit; break; }
+  }
+  if (!params) return val;
+  return formatMessage(val, params);
+}
+
+// ─── Contenido de la BD ──────────────────────────────────────────────────────
+
+/**
+ * Texto traducido de una fila de la BD (retos, avatares…).
+ *
+ * Por cada idioma de la cadena de fallback prueba:
+ *   1. row.translations[code][field]  (JSONB, cualquier idioma)
+ *   2. row[`${field}_${code}`]        (columnas clásicas name_es, title_en…)
+ *
+ * @param {object} row
+ * @param {string} field — p.ej. "name", "title", "description"
+ * @returns {string}
+ */
+export function localized(row, field) {
+  if (!row) return "";
+  for (const code of _chain) {
+    const value = row.translations?.[code]?.[field] ?? row[`${field}_${code}`];
+    if (value) return value;
+  }
+  return row[field] ?? "";
+}
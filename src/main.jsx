@@ -1,12 +1,16 @@
-import { StrictMode, useState, useCallback, createContext, useContext } from 'react'
+import { StrictMode, Suspense, lazy, useState, useCallback, createContext, useContext } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
 import PrivacyPolicy from './components/PrivacyPolicy.jsx'
 import OfflineGuard from './components/OfflineGuard.jsx'
-import { LanguageProvider } from './i18n'
+import { LanguageProvider, loadLocale, getLang } from './i18n'
 import { AuthProvider } from './context/AuthContext'
 import { SoundProvider } from './context/SoundContext'
+import { ColorVisionProvider } from './context/ColorVisionContext'
+
+// Dashboard interno de analítica: chunk aparte, solo se descarga en su ruta
+const AnalyticsDashboard = lazy(() => import('./components/AnalyticsDashboard.jsx'))
 
 /* ═══════════════════════════════════════════════════════════
    CAPA 3: Bloqueo global de zoom nativo a nivel de documento
@@ -44,6 +48,8 @@ export const usePrivacyPolicy = () => useContext(PrivacyPolicyContext);
 
 // ─── Componente raíz ───────────────────────────────────────────────────────
 const PRIVACY_PATHS = ['/privacy', '/policy'];
+// Un solo segmento: con base './' los assets se resuelven desde la raíz
+const ANALYTICS_PATH = '/analytics';
 
 function RootApp() {
   const isPrivacyUrl = PRIVACY_PATHS.includes(window.location.pathname.toLowerCase());
@@ -67,7 +73,9 @@ function RootApp() {
           <LanguageProvider>
             <AuthProvider>
               <SoundProvider>
-                <App />
+                <ColorVisionProvider>
+                  <App />
+                </ColorVisionProvider>
               </SoundProvider>
             </AuthProvider>
           </LanguageProvider>
@@ -77,8 +85,20 @@ function RootApp() {
   );
 }
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <RootApp />
-  </StrictMode>,
-)
+// Montar cuando el idioma guardado (y su fallback) esté cargado: así no
+// se ve un parpadeo en español mientras llega el chunk de otro idioma.
+const isAnalyticsUrl = window.location.pathname.toLowerCase() === ANALYTICS_PATH;
+
+loadLocale(getLang()).finally(() => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      {isAnalyticsUrl ? (
+        <Suspense fallback={null}>
+          <AnalyticsDashboard />
+        </Suspense>
+      ) : (
+        <RootApp />
+      )}
+    </StrictMode>,
+  )
+})
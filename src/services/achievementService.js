@@ -0,0 +1,48 @@
+/**
+ * achievementService.js — Logros: avatares que se desbloquean jugando
+ *
+ * Los logros son avatares del catálogo con unlock_type de logro y un
+ * requirement (nivel, partidas, Top 1, racha de retos). El servidor
+ * (RPC `evaluate_achievements`, database/achievements.sql) calcula el
+ * progreso, concede los cumplidos en user_avatars y devuelve el estado.
+ *
+ * Se evalúa tras cada puntuación guardada y cada reto reclamado. Si hay
+ * desbloqueos nuevos se emite `achievements-unlocked` (detail: { avatars })
+ * para el toast de AchievementToast.
+ *
+ * Funciones:
+ *   evaluateAchievements(userId) — Concede lo pendiente y devuelve el progreso
+ */
+
+import { backend } from '../backend';
+
+/** Tipos de logro que entiende el servidor (avatars.unlock_type) */
+export const ACHIEVEMENT_TYPES = ['level', 'total_plays', 'top1', 'challenge_streak'];
+
+/**
+ * Evalúa los logros del usuario autenticado.
+ *
+ * @param {string} userId
+ * @returns {Promise<{ success: boolean, data: { unlocked: Array, achievements: Array }|null, error?: string }>}
+ *   achievements: [{ id, name_es, name_en, description_es, description_en, translations,
+ *                    tier, image_url, unlock_type, requirement, progress, owned }]
+ */
+export async function evaluateAchievements(userId) {
+  try {
+    if (!userId) return { success: false, data: null, error: 'No user ID' };
+
+    const data = await backend.achievements.evaluate(userId);
+
+    const unlocked = data?.unlocked ?? [];
+    const achievements = data?.achievements ?? [];
+
+    if (unlocked.length > 0) {
+      window.dispatchEvent(new CustomEvent('achievements-unlocked', { detail: { avatars: unlocked } }));
+    }
+
+    return { success: true, data: { unlocked, achievements } };
+  } catch (err) {
+    console.warn('evaluateAchievements error:', err.message);
+    return { success: false, data: null, error: err.message };
+  }
+}
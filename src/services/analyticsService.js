@@ -0,0 +1,162 @@
+/**
+ * analyticsService.js — Analítica de juego propia (eventos del Feed)
+ *
+ * Los eventos se acumulan en memoria y se mandan en lotes por `backend`
+ * (backend.analytics): en modo Supabase al RPC track_analytics_events
+ * (database/analytics_rpc.sql), en modo local a POST /api/analytics/events
+ * (server/analytics.js).
+ *  - cada FLUSH_INTERVAL_MS o al llegar a MAX_BATCH eventos
+ *  - al ocultar la pestaña, con beaconEvents (sendBeacon en modo local,
+ *    sobrevive al cierre)
+ *
+ * Si un envío falla, el lote vuelve a la cola (máx. MAX_QUEUE, se
+ * descartan los más antiguos). Cada evento lleva un id UUID → el servidor
+ * no duplica lotes reenviados. Con Do Not Track activo no se envía nada.
+ *
+ * Funciones:
+ *  - trackEvent(type, gameId, props?)   → encola un evento
+ *  - identifyAnalytics(userId)          → asocia los siguientes eventos a un usuario
+ *  - flushAnalytics({ beacon? })        → envía lo pendiente
+ *  - fetchFunnels({ days, key })        → embudos por juego (dashboard interno;
+ *                                         solo lo sirve server/, en cualquier modo)
+ */
+
+import { backend } from "../backend";
+
+const DASHBOARD_API = import.meta.env.VITE_ANALYTICS_API ?? "/api/analytics";
+const SESSION_STORAGE_KEY = "scrollinn_analytics_session";
+
+const FLUSH_INTERVAL_MS = 10000;
+const MAX_BATCH = 50;          // igual que MAX_BATCH en server/analytics.js
+const MAX_QUEUE = 200;
+
+export const ANALYTICS_EVENTS = ["slide_viewed", "game_started", "game_over", "replayed", "skipped"];
+
+const _enabled = typeof navigator !== "undefined" && navigator.doNotTrack !== "1";
+const _sessionId = loadSessionId();
+let _userId = null;
+let _queue = [];
+let _flushTimer = null;
+let _flushing = false;
+
+/** Una sesión por pestaña: sobrevive a recargas, no a cerrar la pestaña */
+function loadSessionId() {
+  try {
+    const saved = sessionStorage.getItem(SESSION_STORAGE_KEY);
+    if (saved) return saved;
+    const id = crypto.randomUUID();
+    sessionStorage.setItem(SESSION_STORAGE_KEY, id);
+    return id;
+  } catch {
+    return crypto.randomUUID();
+  }
+}
+
+function scheduleFlush() {
+  if (_flushTimer) return;
+  _flushTimer = setTimeout(() => {
+    _flushTimer = null;
+    flushAnalytics();
+  }, FLUSH_INTERVAL_MS);
+}
+
+/**
+ * Encola un evento del Feed.
+ * @param {string} type — uno de ANALYTICS_EVENTS
+ * @param {string} gameId
+ * @param {Object} [props] — datos del evento (stage, score, duration_ms…)
+ */
+export function trackEvent(type, gameId, props = {}) {
+  if (!_enabled || !gameId || !ANALYTICS_EVENTS.includes(type)) return;
+
+  _queue.push({
+    id: crypto.randomUUID(),
+    type,
+    session_id: _sessionId,
+    user_id: _userId,
+    game_id: gameId,
+    props,
+    client_ts: new Date().toISOString(),
+  });
+  if (_queue.length > MAX_QUEUE) _queue = _queue.slice(-MAX_QUEUE);
+
+  if (_queue.length >= MAX_BATCH) flushAnalytics();
+  else scheduleFlush();
+}
+
+export function identifyAnalytics(userId) {
+  _userId = userId ?? null;
+}
+
+/**
+ * Envía lo pendiente en lotes de MAX_BATCH.
+ * Con `beacon` usa backend.analytics.beaconEvents (para pagehide / pestaña
+ * oculta); lo que no salga así va por el envío normal.
+ */
+export async function flushAnalytics({ beacon = false } = {}) {
+  clearTimeout(_flushTimer);
+  _flushTimer = null;
+  if (_queue.length === 0) return;
+
+  if (beacon) {
+    while (_queue.length > 0) {
+      const batch = _queue.slice(0, MAX_BATCH);
+      if (!backend.analytics.beaconEvents(batch)) break;
+      _queue = _queue.slice(batch.length);
+    }
+    if (_queue.length === 0) return;
+  }
+
+  if (_flushing) return;
+  _flushing = true;
+  try {
+    while (_queue.length > 0) {
+      const batch = _queue.slice(0, MAX_BATCH);
+      _queue = _queue.slice(batch.length);
+      try {
+        await backend.analytics.sendEvents(batch);
+      } catch (err) {
+        // 4xx: el lote no es válido y reenviarlo no lo arregla
+        if (err.status >= 400 && err.status < 500) continue;
+        // Sin red, servidor caído o RPC sin desplegar → de vuelta a la cola
+        _queue = [...batch, ..._queue].slice(-MAX_QUEUE);
+        console.warn("flushAnalytics error:", err.message);
+        scheduleFlush();
+        break;
+      }
+    }
+  } finally {
+    _flushing = false;
+  }
+}
+
+if (_enabled && typeof document !== "undefined") {
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flushAnalytics({ beacon: true });
+  });
+  window.addEventListener("pagehide", () => flushAnalytics({ beacon: true }));
+}
+
+/**
+ * Embudos por juego para el dashboard interno.
+ *
+ * @param {{ days?: number, key: string }} opts — key = ANALYTICS_DASHBOARD_KEY del servidor
+ * @returns {Promise<{ success: boolean, data: { days: number, games: Array }|null, error?: string }>}
+ *   error: 'unauthorized' | 'disabled' | mensaje
+ */
+export async function fetchFunnels({ days = 7, key }) {
+  try {
+    const res = await fetch(`${DASHBOARD_API}/funnels?days=${days}`, {
+      headers: { "x-dashboard-key": key ?? "" },
+    });
+    if (res.status === 401) return { success: false, data: null, error: "unauthorized" };
+    if (res.status === 503) return { success: false, data: null, error: "disabled" };
+
+    const body = await res.json();
+    if (!res.ok || !body.ok) throw new Error(body.error || `HTTP ${res.status}`);
+    return { success: true, data: { days: body.days, games: body.games } };
+  } catch (err) {
+    console.warn("fetchFunnels error:", err.message);
+    return { success: false, data: null, error: err.message };
+  }
+}
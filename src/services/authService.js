@@ -1,11 +1,50 @@
 /**
- * authService.js — DEPRECATED
+ * authService.js — Login / registro de AuthModal contra el servidor local
  *
- * La autenticación ahora se maneja íntegramente con Supabase Auth nativo
- * (signInWithOAuth, signInWithPassword, signUp) desde AuthScreen.jsx
- * y AuthContext.jsx.
+ * La app usa AuthScreen + backend.auth (Supabase o server/). AuthModal
+ * conserva su formulario propio y habla directamente con POST /api/auth del
+ * servidor local (login con usuario o email; registro con email).
  *
- * Este archivo se mantiene vacío para no romper imports residuales.
- * Se puede eliminar de forma segura una vez verificado que no hay
- * referencias activas.
+ * Los límites del servidor (server/rateLimit.js) responden 429 con
+ * code "rate_limited" | "too_many_attempts" y retryAfter en segundos;
+ * AuthModal y AuthScreen los muestran con t(`auth.${code}`, { minutes }).
  */
+
+const API_URL = import.meta.env.VITE_LOCAL_API ?? "/api";
+
+/** Códigos de error de los 429 del servidor */
+export const RATE_LIMIT_CODES = ["rate_limited", "too_many_attempts"];
+
+/**
+ * Minutos a esperar para el mensaje de un 429 (redondeando hacia arriba).
+ * 0 si no se sabe (p. ej. el límite de Supabase Auth no lo indica).
+ */
+export function retryMinutes(retryAfter) {
+  return retryAfter > 0 ? Math.ceil(retryAfter / 60) : 0;
+}
+
+/**
+ * @param {string} username  – en login, usuario o email
+ * @param {string} password
+ * @param {"login"|"register"} view
+ * @param {string} [email]    – solo registro
+ * @returns {Promise<{ ok: boolean, action?: string, user?: { id, username },
+ *                     code?: string, error?: string, retryAfter?: number }>}
+ */
+export async function authenticate(username, password, view = "login", email = "") {
+  const body = view === "login"
+    ? { mode: "login", identifier: username, password }
+    : { mode: "register", username, email, password };
+
+  const res = await fetch(`${API_URL}/auth`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => ({ ok: false, error: `HTTP ${res.status}` }));
+
+  if (res.status === 429) {
+    return { ...data, ok: false, retryAfter: data.retryAfter ?? Number(res.headers.get("Retry-After")) };
+  }
+  return data;
+}
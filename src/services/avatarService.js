@@ -1,5 +1,5 @@
 /**
- * avatarService.js — Queries de Supabase para el sistema de avatares
+ * avatarService.js — Sistema de avatares (catálogo, inventario y tienda)
  *
  * Funciones:
  *   getUserAvatars(userId)           — Inventario de avatares del usuario (JOIN user_avatars + avatars)
@@ -7,7 +7,7 @@
  *   getEquippedAvatar(userId)        — Obtiene el equipped_avatar_id actual del usuario
  */
 
-import { supabase } from '../supabaseClient';
+import { backend } from '../backend';
 
 /* ═══════════════════════════════════════════════════════════════════
    Cache in-memory: avatar_id → image_url
@@ -17,10 +17,10 @@ let _imageCache = null;   // Map<string, string>
 let _cachePromise = null; // dedup de fetch concurrentes
 
 async function loadImageCache() {
-  const { data, error } = await supabase
-    .from('avatars')
-    .select('id, image_url');
-  if (error) {
+  let data;
+  try {
+    data = await backend.avatars.getCatalogue();
+  } catch (error) {
     console.warn('avatarImageCache: failed to load', error.message);
     return new Map();
   }
@@ -85,23 +85,7 @@ export async function getUserAvatars(userId) {
   try {
     if (!userId) return { success: false, data: null, error: 'No user ID' };
 
-    const { data, error } = await supabase
-      .from('user_avatars')
-      .select('avatar_id, avatars(id, name_es, name_en, description_es, description_en, tier, image_url)')
-      .eq('user_id', userId);
-
-    if (error) throw error;
-
-    // Aplanar la respuesta con todos los campos del catálogo
-    const avatars = (data || []).map((row) => ({
-      id: row.avatars.id,
-      name_es: row.avatars.name_es,
-      name_en: row.avatars.name_en,
-      description_es: row.avatars.description_es,
-      description_en: row.avatars.description_en,
-      tier: row.avatars.tier,
-      image_url: row.avatars.image_url,
-    }));
+    const avatars = await backend.avatars.getOwned(userId);
 
     return { success: true, data: avatars };
   } catch (err) {
@@ -122,19 +106,10 @@ export async function getAllAvatarsWithOwnership(userId) {
     if (!userId) return { success: false, data: null, error: 'No user ID' };
 
     // 1. Todos los avatares del catálogo
-    const { data: allAvatars, error: avatarsErr } = await supabase
-      .from('avatars')
-      .select('id, name_es, name_en, description_es, description_en, tier, image_url, unlock_type, requirement, base_price');
-    if (avatarsErr) throw avatarsErr;
+    const allAvatars = await backend.avatars.getCatalogue();
 
     // 2. IDs que posee el usuario
-    const { data: userRows, error: uaErr } = await supabase
-      .from('user_avatars')
-      .select('avatar_id')
-      .eq('user_id', userId);
-    if (uaErr) throw uaErr;
-
-    const ownedIds = new Set((userRows || []).map(r => r.avatar_id));
+    const ownedIds = new Set(await backend.avatars.getOwnedIds(userId));
 
     // 3. Combinar: owned flag + orden (owned primero, luego locked)
     const avatars = (allAvatars || [])
@@ -164,12 +139,7 @@ export async function updateEquippedAvatar(userId, avatarId) {
   try {
     if (!userId) return { success: false, error: 'No user ID' };
 
-    const { error } = await supabase
-      .from('users')
-      .update({ equipped_avatar_id: avatarId })
-      .eq('id', userId);
-
-    if (error) throw error;
+    await backend.users.setEquippedAvatar(userId, avatarId);
 
     return { success: true };
   } catch (err) {
@@ -188,15 +158,7 @@ export async function getEquippedAvatar(userId) {
   try {
     if (!userId) return 'none';
 
-    const { data, error } = await supabase
-      .from('users')
-      .select('equipped_avatar_id')
-      .eq('id', userId)
-      .maybeSingle();
-
-    if (error) throw error;
-
-    return data?.equipped_avatar_id || 'none';
+    return (await backend.users.getEquippedAvatar(userId)) || 'none';
   } catch (err) {
     console.error('getEquippedAvatar error:', err);
     return 'none';
@@ -217,39 +179,15 @@ export async function getEquippedAvatar(userId) {
  */
 export async function getShopAvatars(userId = null) {
   try {
-    const { data: shopRows, error } = await supabase
-      .from('shop_items')
-      .select('id, price, avatar_id, avatars(id, name_es, name_en, description_es, description_en, tier, image_url)')
-      .eq('is_active', true)
-      .order('price', { ascending: true });
-
-    if (error) throw error;
+    const shopItems = await backend.avatars.getShopItems();
 
     let ownedIds = new Set();
     if (userId) {
-      const { data: userAvatars, error: uaError } = await supabase
-        .from('user_avatars')
-        .select('avatar_id')
-        .eq('user_id', userId);
-      if (!uaError && userAvatars) {
-        ownedIds = new Set(userAvatars.map(r => r.avatar_id));
-      }
+      ownedIds = new Set(await backend.avatars.getOwnedIds(userId).catch(() => []));
     }
 
-    const result = (shopRows || []).map(row => ({
-      // Datos del avatar (del JOIN)
-      id: row.avatars.id,
-      name_es: row.avatars.name_es,
-      name_en: row.avatars.name_en,
-      description_es: row.avatars.description_es,
-      description_en: row.avatars.description_en,
-      tier: row.avatars.tier,
-      image_url: row.avatars.image_url,
-      // Datos de la tienda
-      shop_item_id: row.id,
-      price: row.price,
-      owned: ownedIds.has(row.avatars.id),
-    }));
+    // Datos del avatar + de la tienda (shop_item_id, price) + si ya lo tiene
+    const result = shopItems.map(item => ({ ...item, owned: ownedIds.has(item.id) }));
 
     return { success: true, data: result };
   } catch (err) {
@@ -260,7 +198,9 @@ export async function getShopAvatars(userId = null) {
 
 /**
  * Compra un avatar de la tienda.
- * Busca el precio en `shop_items`, verifica monedas, deduce y crea en user_avatars.
+ * RPC `purchase_avatar`: busca el precio en `shop_items`, descuenta las monedas
+ * con un apunte en `currency_transactions` y crea la fila en user_avatars,
+ * todo en una misma transacción.
  *
  * @param {string} userId
  * @param {string} avatarId - El id del avatar (de la tabla avatars)
@@ -270,50 +210,9 @@ export async function purchaseAvatar(userId, avatarId) {
   try {
     if (!userId) return { success: false, error: 'No user ID' };
 
-    // 1. Obtener el shop_item activo para este avatar
-    const { data: shopItem, error: siErr } = await supabase
-      .from('shop_items')
-      .select('id, price')
-      .eq('avatar_id', avatarId)
-      .eq('is_active', true)
-      .maybeSingle();
-    if (siErr || !shopItem) return { success: false, error: 'Item not found in shop' };
-
-    // 2. Verificar que el usuario no lo tenga ya
-    const { data: existing } = await supabase
-      .from('user_avatars')
-      .select('avatar_id')
-      .eq('user_id', userId)
-      .eq('avatar_id', avatarId)
-      .maybeSingle();
-    if (existing) return { success: false, error: 'Already owned' };
-
-    // 3. Obtener monedas del usuario
-    const { data: user, error: uErr } = await supabase
-      .from('users')
-      .select('coins')
-      .eq('id', userId)
-      .maybeSingle();
-    if (uErr || !user) return { success: false, error: 'User not found' };
-
-    const price = shopItem.price ?? 0;
-    if ((user.coins ?? 0) < price) return { success: false, error: 'Not enough coins' };
-
-    // 4. Deducir monedas
-    const newCoins = (user.coins ?? 0) - price;
-    const { error: updateErr } = await supabase
-      .from('users')
-      .update({ coins: newCoins })
-      .eq('id', userId);
-    if (updateErr) throw updateErr;
-
-    // 5. Insertar en user_avatars
-    const { error: insertErr } = await supabase
-      .from('user_avatars')
-      .insert([{ user_id: userId, avatar_id: avatarId, acquired_via: 'shop', amount_paid: price }]);
-    if (insertErr) throw insertErr;
+    const data = await backend.avatars.purchase(userId, avatarId);
 
-    return { success: true, newCoins };
+    return { success: true, newCoins: data.new_coins };
   } catch (err) {
     console.error('purchaseAvatar error:', err);
     return { success: false, error: err.message };
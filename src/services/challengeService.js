@@ -3,11 +3,12 @@
  *
  * Funciones:
  *  - getTodayChallenges(userId)  → retos del día + progreso del usuario
- *  - claimReward(userId, challengeId, rewardCoins) → marca reclamado + suma monedas
+ *  - claimReward(userId, challengeId) → marca reclamado + abona monedas (RPC atómica)
  */
 
-import { supabase } from "../supabaseClient";
+import { backend } from "../backend";
 import { getSpanishDateString } from "../utils/dateUtils";
+import { evaluateAchievements } from "./achievementService";
 
 /**
  * Devuelve los retos activos de HOY junto con el progreso del usuario.
@@ -19,6 +20,7 @@ import { getSpanishDateString } from "../utils/dateUtils";
  *   title_en: string,
  *   description_es: string,
  *   description_en: string,
+ *   translations: Object,        // { [lang]: { title, description } } (otros idiomas)
  *   target_score: number,
  *   target_plays: number,
  *   target_game_id: string|null,
@@ -33,14 +35,7 @@ export async function getTodayChallenges(userId = null) {
     const today = getSpanishDateString();
 
     // 1. Traer los retos del día
-    const { data: challenges, error: chError } = await supabase
-      .from("daily_challenges")
-      .select("*")
-      .eq("active_date", today)
-      .order("created_at", { ascending: true })
-      .limit(3);
-
-    if (chError) throw chError;
+    const challenges = await backend.challenges.getForDate(today, 3);
     if (!challenges || challenges.length === 0) return [];
 
     // 2. Si hay usuario, traer su progreso para estos retos
@@ -48,15 +43,9 @@ export async function getTodayChallenges(userId = null) {
 
     if (userId) {
       const challengeIds = challenges.map((c) => c.id);
-      const { data: progress, error: prError } = await supabase
-        .from("user_challenge_progress")
-        .select("challenge_id, current_progress, is_claimed")
-        .eq("user_id", userId)
-        .in("challenge_id", challengeIds);
-
-      if (prError) throw prError;
+      const progress = await backend.challenges.getProgress(userId, challengeIds);
 
-      for (const row of progress ?? []) {
+      for (const row of progress) {
         progressMap[row.challenge_id] = {
           current_progress: row.current_progress ?? 0,
           is_claimed: row.is_claimed ?? false,
@@ -79,57 +68,29 @@ export async function getTodayChallenges(userId = null) {
 /**
  * Reclama la recompensa de un reto completado.
  *
+ * RPC `claim_challenge_reward` (atómica, ver database/currency_ledger.sql):
  * 1. Marca `is_claimed = true` en `user_challenge_progress`
- * 2. Suma las monedas al usuario en `users`
+ * 2. Abona las monedas del reto con un apunte en `currency_transactions`
+ * 3. Si era el último reto del día, abona también el bonus de Full Clear
  *
  * @param {string} userId
  * @param {string} challengeId
- * @param {number} rewardCoins
- * @returns {Promise<{ success: boolean, newCoins?: number, error?: string }>}
+ * @returns {Promise<{ success: boolean, newCoins?: number, isFullClear?: boolean,
+ *   oldXP?: number, newXP?: number, error?: string }>}
  */
-export async function claimReward(userId, challengeId, rewardCoins, { isFullClear = false } = {}) {
+export async function claimReward(userId, challengeId) {
   try {
     if (!userId) return { success: false, error: "No user" };
 
-    // 1. Marcar como reclamado
-    const { error: upError } = await supabase
-      .from("user_challenge_progress")
-      .update({ is_claimed: true })
-      .eq("user_id", userId)
-      .eq("challenge_id", challengeId);
-
-    if (upError) throw upError;
-
-    // 2. Leer datos actuales del usuario (coins + xp si es full clear)
-    const { data: userData, error: readErr } = await supabase
-      .from("users")
-      .select("coins, xp")
-      .eq("id", userId)
-      .single();
-
-    if (readErr) throw readErr;
-
-    const newCoins = (userData.coins ?? 0) + rewardCoins;
-    const updatePayload = { coins: newCoins };
+    const data = await backend.challenges.claimReward(userId, challengeId);
 
-    let oldXP, newXP;
-    if (isFullClear) {
-      oldXP = userData.xp ?? 0;
-      newXP = oldXP + 500;
-      updatePayload.xp = newXP;
-    }
-
-    const { error: updateErr } = await supabase
-      .from("users")
-      .update(updatePayload)
-      .eq("id", userId);
-
-    if (updateErr) throw updateErr;
+    // Logros de racha de retos (el toast sale por evento)
+    evaluateAchievements(userId);
 
-    const result = { success: true, newCoins };
-    if (isFullClear) {
-      result.oldXP = oldXP;
-      result.newXP = newXP;
+    const result = { success: true, newCoins: data.new_coins, isFullClear: data.full_clear };
+    if (data.full_clear) {
+      result.oldXP = data.old_xp;
+      result.newXP = data.new_xp;
     }
     return result;
   } catch (err) {
@@ -138,120 +99,6 @@ export async function claimReward(userId, challengeId, rewardCoins, { isFullClea
   }
 }
 
-/**
- * Evalúa la partida terminada contra los retos del día y guarda el progreso
- * mediante un UPSERT que aprovecha el constraint UNIQUE(user_id, challenge_id).
- *
- * Debe llamarse en cada Game Over.
- *
- * @param {string} userId   – UUID del jugador
- * @param {string} gameId   – ID del juego (de GAME_IDS)
- * @param {number} finalScore – Puntuación obtenida en la partida
- * @returns {Promise<void>}
- */
-export async function evaluateAndSaveChallenges(userId, gameId, finalScore) {
-  try {
-    if (!userId) return;
-
-    // ── Paso 0: Consultar is_lower_better del juego (fuente de verdad: BD) ──
-    const { data: gameData, error: gameErr } = await supabase
-      .from("games")
-      .select("is_lower_better")
-      .eq("id", gameId)
-      .single();
-
-    if (gameErr) {
-      console.warn("evaluateAndSaveChallenges: no se pudo obtener is_lower_better para", gameId, gameErr.message);
-    }
-
-    const isLowerBetter = !!gameData?.is_lower_better;
-
-    // ── Paso 1: Obtener retos de hoy + progreso actual ──────────────────
-    const today = getSpanishDateString();
-
-    const { data: challenges, error: chErr } = await supabase
-      .from("daily_challenges")
-      .select("*")
-      .eq("active_date", today);
-
-    if (chErr) throw chErr;
-    if (!challenges || challenges.length === 0) return;
-
-    const challengeIds = challenges.map((c) => c.id);
-
-    const { data: progressRows, error: prErr } = await supabase
-      .from("user_challenge_progress")
-      .select("challenge_id, current_progress, is_claimed")
-      .eq("user_id", userId)
-      .in("challenge_id", challengeIds);
-
-    if (prErr) throw prErr;
-
-    const progressMap = {};
-    for (const row of progressRows ?? []) {
-      progressMap[row.challenge_id] = row;
-    }
-
-    // ── Paso 2 & 3: Evaluar cada reto y hacer UPSERT si procede ─────────
-    for (const reto of challenges) {
-      // Si ya reclamado, no tocar
-      if (progressMap[reto.id]?.is_claimed) continue;
-
-      // Sistema AND: juego válido + puntuación válida
-      const isGameValid =
-        reto.target_game_id === null || reto.target_game_id === gameId;
-
-      // Validación de score según tipo de juego:
-      //   - "Lower is better" (timer, perfect-scale, traffic-light, color-match):
-      //     el jugador debe igualar o mejorar (bajar) el target_score.
-      //   - Normal (higher is better): el jugador debe igualar o superar.
-      //   - target_score = 0 (reto tipo "solo juega"): siempre se cumple.
-      const isScoreValid =
-        reto.target_score === 0 ||
-        (isLowerBetter
-          ? finalScore <= reto.target_score
-          : finalScore >= reto.target_score);
-
-      if (!isGameValid || !isScoreValid) continue;
-
-      // Calcular nuevo progreso sin pasarse del límite
-      const currentProgress =
-        progressMap[reto.id]?.current_progress ?? 0;
-
-      // Si ya estaba al máximo, no volver a escribir
-      if (currentProgress >= reto.target_plays) continue;
-
-      const newProgress = Math.min(currentProgress + 1, reto.target_plays);
-
-      // UPSERT aprovechando el constraint UNIQUE(user_id, challenge_id)
-      const { error: upsertErr } = await supabase
-        .from("user_challenge_progress")
-        .upsert(
-          {
-            user_id: userId,
-            challenge_id: reto.id,
-            current_progress: newProgress,
-            // is_claimed se mantiene false por defecto al insertar;
-            // al actualizar, Supabase solo toca las columnas enviadas.
-          },
-          { onConflict: "user_id, challenge_id" }
-        );
-
-      if (upsertErr) {
-        console.warn(
-          `evaluateAndSaveChallenges upsert error (challenge ${reto.id}):`,
-          upsertErr.message
-        );
-      }
-    }
-    // Notificar a la UI para que refresque retos
-    window.dispatchEvent(new Event("challenges-updated"));
-  } catch (err) {
-    // Nunca romper el flujo del Game Over por un error de retos
-    console.warn("evaluateAndSaveChallenges error:", err.message);
-  }
-}
-
 /**
  * Calcula el estado de los retos diarios.
  * @param {Array} challenges
@@ -269,32 +116,17 @@ export function getChallengeStatus(challenges) {
 
 /**
  * Reclama el bonus de XP diario por completar todos los retos.
+ * El importe (+500 XP) lo fija el servidor; es idempotente por día.
  * @param {string} userId
- * @param {number} xpAmount
  * @returns {Promise<{ success: boolean, newXP?: number, error?: string }>}
  */
-export async function claimDailyXPBonus(userId, xpAmount = 500) {
+export async function claimDailyXPBonus(userId) {
   try {
     if (!userId) return { success: false, error: "No user" };
 
-    const { data: userData, error: readErr } = await supabase
-      .from("users")
-      .select("xp")
-      .eq("id", userId)
-      .single();
-
-    if (readErr) throw readErr;
-
-    const newXP = (userData.xp ?? 0) + xpAmount;
-
-    const { error: xpErr } = await supabase
-      .from("users")
-      .update({ xp: newXP })
-      .eq("id", userId);
-
-    if (xpErr) throw xpErr;
+    const data = await backend.challenges.claimFullClearBonus(userId);
 
-    return { success: true, newXP };
+    return { success: true, newXP: data.new_xp };
   } catch (err) {
     console.warn("claimDailyXPBonus error:", err.message);
     return { success: false, error: err.message };
@@ -0,0 +1,185 @@
+/**
+ * duelService.js — Duelos asíncronos 1 contra 1 (enlace compartible)
+ *
+ * Tabla `duels` (solo lectura para los participantes) + RPCs de duels.sql,
+ * a través de `backend` (Supabase o servidor local).
+ *
+ * Funciones:
+ *  - createDuel(gameId)          → id del duelo (objetivo = tu última partida guardada)
+ *  - buildDuelLink(duelId)       → URL para compartir (?duel=<id>)
+ *  - readDuelIdFromUrl()         → id del duelo en la URL actual (o null) y la limpia
+ *  - getDuel(duelId)             → info pública del duelo
+ *  - acceptDuel(duelId)          → 'accepted' | 'own' | 'taken' | 'finished' | 'expired'
+ *  - settleDuel(duelId)          → duelo resuelto, o null si aún no has jugado
+ *  - getMyDuels(userId)          → { pending, finished, record: { wins, losses, ties } }
+ */
+
+import { backend } from "../backend";
+
+const DUEL_PARAM = "duel";
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/* ── Fila de get_duel → formato del cliente ── */
+function toDuel(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    gameId: row.game_id,
+    challengerId: row.challenger_id,
+    challengerName: row.challenger_name ?? "—",
+    challengerAvatarId: row.challenger_avatar ?? "none",
+    challengerScore: row.challenger_score,
+    opponentId: row.opponent_id ?? null,
+    opponentScore: row.opponent_score ?? null,
+    status: row.status,
+    winner: row.winner ?? null,
+    expiresAt: row.expires_at,
+  };
+}
+
+/**
+ * Crea un duelo con tu última partida guardada en ese juego como objetivo.
+ *
+ * @param {string} gameId
+ * @returns {Promise<{ success: boolean, duelId?: string, error?: string }>}
+ */
+export async function createDuel(gameId) {
+  try {
+    const duelId = await backend.duels.create(gameId);
+    return { success: true, duelId };
+  } catch (error) {
+    console.warn("createDuel error:", error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/** @param {string} duelId */
+export function buildDuelLink(duelId) {
+  return `${window.location.origin}/?${DUEL_PARAM}=${duelId}`;
+}
+
+/**
+ * Lee ?duel=<id> de la URL y lo quita (sin recargar) para que no se repita
+ * al refrescar.
+ *
+ * @returns {string|null}
+ */
+export function readDuelIdFromUrl() {
+  const url = new URL(window.location.href);
+  const duelId = url.searchParams.get(DUEL_PARAM);
+  if (!duelId) return null;
+
+  url.searchParams.delete(DUEL_PARAM);
+  window.history.replaceState(null, "", url.pathname + url.search + url.hash);
+  return UUID_RE.test(duelId) ? duelId : null;
+}
+
+/**
+ * @param {string} duelId
+ * @returns {Promise<object|null>}
+ */
+export async function getDuel(duelId) {
+  try {
+    return toDuel(await backend.duels.get(duelId));
+  } catch (error) {
+    console.warn("getDuel error:", error.message);
+    return null;
+  }
+}
+
+/**
+ * @param {string} duelId
+ * @returns {Promise<{ success: boolean, status?: string, error?: string }>}
+ */
+export async function acceptDuel(duelId) {
+  try {
+    const status = await backend.duels.accept(duelId);
+    return { success: true, status };
+  } catch (error) {
+    console.warn("acceptDuel error:", error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Resuelve el duelo con tu primera partida desde que lo aceptaste.
+ *
+ * @param {string} duelId
+ * @returns {Promise<object|null>} null si aún no hay partida guardada
+ */
+export async function settleDuel(duelId) {
+  try {
+    return toDuel(await backend.duels.settle(duelId));
+  } catch (error) {
+    console.warn("settleDuel error:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Bandeja de duelos del usuario (como retador o como rival).
+ *
+ * @param {string} userId
+ * @returns {Promise<{ success: boolean, data: { pending: Array, finished: Array,
+ *   record: { wins: number, losses: number, ties: number } } }>}
+ */
+export async function getMyDuels(userId) {
+  const empty = { pending: [], finished: [], record: { wins: 0, losses: 0, ties: 0 } };
+  if (!userId) return { success: false, data: empty };
+  try {
+    const rows = await backend.duels.getMine(userId);
+
+    // Nombres de los rivales
+    const otherIds = [
+      ...new Set(
+        (rows || [])
+          .map((d) => (d.challenger_id === userId ? d.opponent_id : d.challenger_id))
+          .filter(Boolean)
+      ),
+    ];
+    const users = await backend.users.getMany(otherIds);
+    const byId = new Map((users || []).map((u) => [u.id, u]));
+
+    const now = Date.now();
+    const result = { pending: [], finished: [], record: { wins: 0, losses: 0, ties: 0 } };
+
+    for (const d of rows || []) {
+      const isChallenger = d.challenger_id === userId;
+      const other = byId.get(isChallenger ? d.opponent_id : d.challenger_id);
+      const expired = d.status === "expired" || (d.status !== "finished" && new Date(d.expires_at).getTime() < now);
+
+      const duel = {
+        id: d.id,
+        gameId: d.game_id,
+        isChallenger,
+        opponentName: other?.username ?? null, // null = nadie ha aceptado aún
+        opponentAvatarId: other?.equipped_avatar_id ?? "none",
+        myScore: isChallenger ? d.challenger_score : d.opponent_score,
+        theirScore: isChallenger ? d.opponent_score : d.challenger_score,
+        status: expired ? "expired" : d.status,
+        outcome: null, // 'win' | 'loss' | 'tie'
+        createdAt: d.created_at,
+      };
+
+      if (d.status === "finished") {
+        duel.outcome =
+          d.winner === "tie"
+            ? "tie"
+            : (d.winner === "challenger") === isChallenger
+            ? "win"
+            : "loss";
+        if (duel.outcome === "win") result.record.wins += 1;
+        else if (duel.outcome === "loss") result.record.losses += 1;
+        else result.record.ties += 1;
+        result.finished.push(duel);
+      } else if (!expired) {
+        result.pending.push(duel);
+      }
+    }
+
+    return { success: true, data: result };
+  } catch (error) {
+    console.warn("getMyDuels error:", error.message);
+    return { success: false, data: empty };
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * friendService.js — Amigos y rankings de amigos
+ *
+ * Tabla `friendships` (solo lectura desde el cliente) + RPCs de friends.sql,
+ * a través de `backend` (Supabase o servidor local).
+ *
+ * Funciones:
+ *  - getFriends(userId)                      → { friends, incoming, outgoing }
+ *  - getFriendshipStatus(userId, otherId)    → 'none' | 'friends' | 'incoming' | 'outgoing'
+ *  - searchUsers(query, excludeUserId)       → usuarios por nombre (para añadir)
+ *  - sendFriendRequest(userId)               → 'pending' | 'accepted'
+ *  - respondFriendRequest(requesterId, accept)
+ *  - removeFriend(userId)                    → borra amistad o solicitud
+ *  - getFriendsLeaderboard(gameId, window)   → mismo formato que getTop5
+ *  - getChallengeRanking(friendsOnly)        → retos completados hoy por jugador
+ */
+
+import { backend } from "../backend";
+import { getSpanishDateString, getSpanishPeriodStart } from "../utils/dateUtils";
+
+/* ── Fila de users → formato de las listas ── */
+function toFriend(user) {
+  return {
+    id: user.id,
+    username: user.username ?? "—",
+    equippedAvatarId: user.equipped_avatar_id ?? "none",
+    xp: user.xp ?? 0,
+  };
+}
+
+/**
+ * Amigos aceptados y solicitudes pendientes (recibidas / enviadas).
+ *
+ * @param {string} userId
+ * @returns {Promise<{ success: boolean, data: { friends: Array, incoming: Array, outgoing: Array } }>}
+ */
+export async function getFriends(userId) {
+  const empty = { friends: [], incoming: [], outgoing: [] };
+  if (!userId) return { success: false, data: empty };
+  try {
+    const rows = await backend.friends.getFriendships(userId);
+
+    const otherIds = rows.map((r) =>
+      r.requester_id === userId ? r.addressee_id : r.requester_id
+    );
+    if (otherIds.length === 0) return { success: true, data: empty };
+
+    const users = await backend.users.getMany(otherIds);
+
+    const byId = new Map(users.map((u) => [u.id, toFriend(u)]));
+    const result = { friends: [], incoming: [], outgoing: [] };
+
+    for (const row of rows) {
+      const isOutgoing = row.requester_id === userId;
+      const other = byId.get(isOutgoing ? row.addressee_id : row.requester_id);
+      if (!other) continue;
+      if (row.status === "accepted") result.friends.push(other);
+      else if (isOutgoing) result.outgoing.push(other);
+      else result.incoming.push(other);
+    }
+
+    result.friends.sort((a, b) => a.username.localeCompare(b.username));
+    return { success: true, data: result };
+  } catch (error) {
+    console.warn("getFriends error:", error.message);
+    return { success: false, data: empty };
+  }
+}
+
+/**
+ * Relación entre el usuario actual y otro jugador.
+ *
+ * @param {string} userId
+ * @param {string} otherId
+ * @returns {Promise<'none'|'friends'|'incoming'|'outgoing'>}
+ */
+export async function getFriendshipStatus(userId, otherId) {
+  if (!userId || !otherId || userId === otherId) return "none";
+  try {
+    const data = await backend.friends.getFriendship(userId, otherId);
+
+    if (!data) return "none";
+    if (data.status === "accepted") return "friends";
+    return data.requester_id === userId ? "outgoing" : "incoming";
+  } catch (error) {
+    console.warn("getFriendshipStatus error:", error.message);
+    return "none";
+  }
+}
+
+/**
+ * Busca jugadores por nombre (prefijo, sin distinguir mayúsculas).
+ *
+ * @param {string} query
+ * @param {string|null} excludeUserId - normalmente el propio usuario
+ * @returns {Promise<Array<{ id: string, username: string, equippedAvatarId: string, xp: number }>>}
+ */
+export async function searchUsers(query, excludeUserId = null) {
+  const q = query.trim().replace(/[%_]/g, "");
+  if (q.length < 2) return [];
+  try {
+    return (await backend.users.search(q, excludeUserId)).map(toFriend);
+  } catch (error) {
+    console.warn("searchUsers error:", error.message);
+    return [];
+  }
+}
+
+/**
+ * Envía solicitud de amistad. Si el otro ya te la había enviado, se acepta.
+ *
+ * @param {string} userId - Jugador al que se envía
+ * @returns {Promise<{ success: boolean, status?: 'pending'|'accepted', error?: string }>}
+ */
+export async function sendFriendRequest(userId) {
+  try {
+    const status = await backend.friends.sendRequest(userId);
+    return { success: true, status };
+  } catch (error) {
+    console.warn("sendFriendRequest error:", error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Acepta o rechaza una solicitud recibida.
+ *
+ * @param {string} requesterId
+ * @param {boolean} accept
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function respondFriendRequest(requesterId, accept) {
+  try {
+    await backend.friends.respond(requesterId, accept);
+    return { success: true };
+  } catch (error) {
+    console.warn("respondFriendRequest error:", error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Elimina una amistad, o cancela una solicitud en cualquier sentido.
+ *
+ * @param {string} userId
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function removeFriend(userId) {
+  try {
+    await backend.friends.remove(userId);
+    return { success: true };
+  } catch (error) {
+    console.warn("removeFriend error:", error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Ranking de un juego solo con el usuario y sus amigos.
+ * Mismo formato que getTop5 / getLeaderboard.
+ *
+ * @param {string} gameId
+ * @param {'daily'|'weekly'|'monthly'|'alltime'} window
+ * @param {number} limit
+ */
+export async function getFriendsLeaderboard(gameId, window = "alltime", limit = 20) {
+  try {
+    const rows = await backend.friends.getLeaderboard(
+      gameId,
+      window === "alltime" ? null : getSpanishPeriodStart(window).toISOString(),
+      limit
+    );
+    return { success: true, data: rows, message: null };
+  } catch (error) {
+    return { success: false, data: null, message: error.message };
+  }
+}
+
+/**
+ * Ranking de retos diarios de HOY (Europe/Madrid).
+ *
+ * @param {boolean} friendsOnly
+ * @returns {Promise<Array<{ pos: number, userId: string, user: string,
+ *   equippedAvatarId: string, completed: number, claimed: number }>>}
+ */
+export async function getChallengeRanking(friendsOnly = false) {
+  try {
+    const data = await backend.friends.getChallengeRanking(getSpanishDateString(), friendsOnly);
+
+    return data.map((r, i) => ({
+      pos: i + 1,
+      userId: r.user_id,
+      user: r.username ?? "—",
+      equippedAvatarId: r.equipped_avatar_id ?? "none",
+      completed: r.completed,
+      claimed: r.claimed,
+    }));
+  } catch (error) {
+    console.warn("getChallengeRanking error:", error.message);
+    return [];
+  }
+}
@@ -1,5 +1,7 @@
-import { supabase } from '../supabaseClient';
+import { backend } from '../backend';
 import { t } from '../i18n';
+import { getSpanishPeriodStart } from '../utils/dateUtils';
+import { isNetworkError } from './scoreQueue';
 
 
 
@@ -12,33 +14,7 @@ import { t } from '../i18n';
  */
 export async function getLikesMap(userId = null) {
   try {
-    // Total likes de cada juego
-    const { data: games, error: gamesError } = await supabase
-      .from('games')
-      .select('id, total_likes');
-    if (gamesError) throw gamesError;
-
-    const likesMap = {};
-    for (const row of games) {
-      likesMap[row.id] = { count: Number(row.total_likes), liked: false };
-    }
-
-    // Si hay usuario, marcar cuáles ha likeado
-    if (userId) {
-      const { data: userLikes, error: ulError } = await supabase
-        .from('user_likes')
-        .select('game_id')
-        .eq('user_id', userId);
-      if (ulError) throw ulError;
-
-      for (const row of userLikes) {
-        if (likesMap[row.game_id]) {
-          likesMap[row.game_id].liked = true;
-        }
-      }
-    }
-
-    return likesMap;
+    return await backend.games.getLikesMap(userId);
   } catch (err) {
     console.warn('getLikesMap error:', err.message);
     return {};
@@ -52,43 +28,7 @@ export async function toggleLike(userId, gameId) {
       return { success: false, liked: false, totalLikes: 0, message: t('svc.login_required') };
     }
 
-    // ¿Ya existe el like?
-    const { data: existing, error: selectError } = await supabase
-      .from('user_likes')
-      .select('user_id')
-      .eq('user_id', userId)
-      .eq('game_id', gameId)
-      .maybeSingle();
-
-    if (selectError) throw selectError;
-
-    let liked;
-    if (existing) {
-      // Si existe, borrar
-      const { error: deleteError } = await supabase
-        .from('user_likes')
-        .delete()
-        .eq('user_id', userId)
-        .eq('game_id', gameId);
-      if (deleteError) throw deleteError;
-      liked = false;
-    } else {
-      // Si no existe, insertar
-      const { error: insertError } = await supabase
-        .from('user_likes')
-        .insert([{ user_id: userId, game_id: gameId }]);
-      if (insertError) throw insertError;
-      liked = true;
-    }
-
-    // Leer el total actualizado
-    const { data: game, error: gameError } = await supabase
-      .from('games')
-      .select('total_likes')
-      .eq('id', gameId)
-      .maybeSingle();
-    if (gameError) throw gameError;
-    const totalLikes = game ? Number(game.total_likes) : 0;
+    const { liked, totalLikes } = await backend.games.toggleLike(userId, gameId);
 
     return { success: true, liked, totalLikes, message: liked ? t('svc.like_added') : t('svc.like_removed') };
   } catch (error) {
@@ -102,35 +42,108 @@ export async function toggleLike(userId, gameId) {
  */
 export async function getTop5(gameId) {
   try {
-    const { data: game, error: gameError } = await supabase
-      .from('games')
-      .select('is_lower_better')
-      .eq('id', gameId)
-      .maybeSingle();
-    if (gameError) throw gameError;
-    if (!game) return { success: false, data: null, message: t('svc.game_not_found') };
+    // highscores ya está deduplicado: 1 fila por user+game
+    const rows = await backend.leaderboards.getTop(gameId, 5);
+    if (!rows) return { success: false, data: null, message: t('svc.game_not_found') };
 
-    // Leer directamente de highscores (ya deduplicado: 1 fila por user+game)
-    let query = supabase
-      .from('highscores')
-      .select('user_id, score, achieved_at, users(username, equipped_avatar_id)')
-      .eq('game_id', gameId);
-
-    query = game.is_lower_better
-      ? query.order('score', { ascending: true })
-      : query.order('score', { ascending: false });
-    query = query.order('achieved_at', { ascending: true });
-    query = query.limit(5);
+    return { success: true, data: rows, message: null };
+  } catch (error) {
+    return { success: false, data: null, message: error.message };
+  }
+}
 
-    const { data: rows, error: hsError } = await query;
-    if (hsError) throw hsError;
+/**
+ * Ventanas de leaderboard disponibles (orden de las pestañas del GameOverPanel).
+ * 'alltime' lee `highscores`; el resto se calcula desde `scores` con fronteras
+ * de Europe/Madrid.
+ */
+export const LEADERBOARD_WINDOWS = ['daily', 'weekly', 'monthly', 'alltime'];
 
-    return { success: true, data: rows || [], message: null };
+/**
+ * Obtiene el Top N de un juego para una ventana de tiempo.
+ * Devuelve las filas con el mismo formato que getTop5.
+ *
+ * @param {string} gameId
+ * @param {'daily'|'weekly'|'monthly'|'alltime'} window
+ * @param {number} limit
+ */
+export async function getLeaderboard(gameId, window = 'alltime', limit = 5) {
+  if (window === 'alltime') return getTop5(gameId);
+  try {
+    const rows = await backend.leaderboards.getSince(
+      gameId,
+      getSpanishPeriodStart(window).toISOString(),
+      limit,
+    );
+    return { success: true, data: rows, message: null };
   } catch (error) {
     return { success: false, data: null, message: error.message };
   }
 }
 
+/**
+ * "Jugadores cerca de ti": ranking histórico alrededor del usuario
+ * (radius puestos por encima y por debajo), respetando is_lower_better.
+ *
+ * gapToNext = puntos que le faltan para adelantar al jugador justo encima
+ * (null si ya es el #1 o no tiene marca). En empate gana el más antiguo,
+ * así que hay que superar la marca, no igualarla.
+ *
+ * @param {string} userId
+ * @param {string} gameId
+ * @param {number} radius
+ * @returns {Promise<{ success: boolean, data: { rows: Array<{ pos: number, userId: string,
+ *   user: string, equippedAvatarId: string, score: number, isMe: boolean }>, gapToNext: number|null } }>}
+ */
+export async function getLeaderboardSlice(userId, gameId, radius = 2) {
+  const empty = { rows: [], gapToNext: null };
+  if (!userId || !gameId) return { success: false, data: empty };
+  try {
+    const data = await backend.leaderboards.getSlice(gameId, userId, radius);
+
+    const rows = (data?.rows || []).map((r) => ({
+      pos: r.pos,
+      userId: r.user_id,
+      user: r.username ?? '—',
+      equippedAvatarId: r.equipped_avatar_id ?? 'none',
+      score: r.score,
+      isMe: r.user_id === userId,
+    }));
+
+    const meIdx = rows.findIndex((r) => r.isMe);
+    const above = meIdx > 0 ? rows[meIdx - 1] : null;
+    const gapToNext = above
+      ? Math.abs(above.score - rows[meIdx].score) + 1
+      : null;
+
+    return { success: true, data: { rows, gapToNext } };
+  } catch (error) {
+    console.warn('getLeaderboardSlice error:', error.message);
+    return { success: false, data: empty };
+  }
+}
+
+/**
+ * Récord del usuario en un juego y su posición global (Standard Competition
+ * Ranking: 1, 1, 3…). Sin récord todavía, la posición es la de `score`.
+ *
+ * @param {string} userId
+ * @param {string} gameId
+ * @param {number} score - Puntuación de la partida (unidades de la BD)
+ * @returns {Promise<{ success: boolean, data: { highscore: number|null, position: number|null } }>}
+ */
+export async function getScoreStanding(userId, gameId, score) {
+  const empty = { highscore: null, position: null };
+  if (!userId || !gameId) return { success: false, data: empty };
+  try {
+    const standing = await backend.leaderboards.getStanding(gameId, userId, score);
+    return { success: !!standing, data: standing ?? empty };
+  } catch (error) {
+    console.warn('getScoreStanding error:', error.message);
+    return { success: false, data: empty };
+  }
+}
+
 /**
  * Transforma el array raw de scores (con join de users) al formato
  * que espera GameOverPanel: [{ pos, user, score }]
@@ -148,20 +161,12 @@ function formatRanking(rawScores) {
 
 /**
  * Incrementa total_plays +1 de un juego (sin requerir usuario).
+ * Solo para invitados: las partidas guardadas ya las cuenta el trigger
+ * on_score_inserted.
  */
 export async function incrementPlays(gameId) {
   try {
-    const { data: game, error: gameError } = await supabase
-      .from('games')
-      .select('total_plays')
-      .eq('id', gameId)
-      .maybeSingle();
-    if (gameError || !game) return;
-
-    await supabase
-      .from('games')
-      .update({ total_plays: (game.total_plays || 0) + 1 })
-      .eq('id', gameId);
+    await backend.games.incrementPlays(gameId);
   } catch {
     // silencioso: no bloquear UX por un contador
   }
@@ -175,12 +180,7 @@ export async function incrementPlays(gameId) {
 export async function getUserLikesCount(userId) {
   if (!userId) return 0;
   try {
-    const { count, error } = await supabase
-      .from('user_likes')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
-    if (error) throw error;
-    return count ?? 0;
+    return await backend.games.countUserLikes(userId);
   } catch (err) {
     console.warn('getUserLikesCount error:', err.message);
     return 0;
@@ -195,67 +195,97 @@ export async function getUserLikesCount(userId) {
 export async function getUserLikedGameIds(userId) {
   if (!userId) return [];
   try {
-    const { data, error } = await supabase
-      .from('user_likes')
-      .select('game_id')
-      .eq('user_id', userId);
-    if (error) throw error;
-    return (data || []).map(r => r.game_id);
+    return await backend.games.getUserLikedGameIds(userId);
   } catch (err) {
     console.warn('getUserLikedGameIds error:', err.message);
     return [];
   }
 }
 
-export async function submitScore(userId, gameId, score, xpGained = 0) {
-  try {
-    // 1. Obtener info del juego
-    const { data: game, error: gameError } = await supabase
-      .from('games')
-      .select('is_lower_better, total_plays')
-      .eq('id', gameId)
-      .maybeSingle();
-    if (gameError) throw gameError;
-    if (!game) return { success: false, data: null, message: t('svc.game_not_found') };
+/* ═══════════════════════════════════════════════════════════════════
+   Sesiones de partida firmadas (anti-cheat)
+   start_game_session devuelve { session_id, token } al empezar la partida;
+   submit_score lo consume al terminar. Se guarda la última sesión por juego.
+   ═══════════════════════════════════════════════════════════════════ */
+const _sessions = new Map(); // gameId → Promise<{ session_id, token } | null>
 
-    // 2. Insertar la puntuación siempre
-    const { error: insertError } = await supabase
-      .from('scores')
-      .insert([{ user_id: userId, game_id: gameId, score }]);
-    if (insertError) throw insertError;
+/**
+ * Abre una sesión de partida en el servidor. Llamar cuando el juego empieza
+ * (fin del countdown o replay). Sin usuario no hace nada.
+ *
+ * @param {string|null} userId
+ * @param {string} gameId
+ */
+export function startGameSession(userId, gameId) {
+  if (!userId || !gameId) return;
+  const pending = backend.games
+    .startSession(userId, gameId)
+    .catch((err) => {
+      console.warn('startGameSession error:', err.message);
+      return null;
+    });
+  _sessions.set(gameId, pending);
+}
 
-    // 3. Sumar +1 a total_plays
-    await supabase
-      .from('games')
-      .update({ total_plays: (game.total_plays || 0) + 1 })
-      .eq('id', gameId);
+/** Devuelve (y olvida) la sesión abierta para un juego, o null. */
+async function takeGameSession(gameId) {
+  const pending = _sessions.get(gameId);
+  _sessions.delete(gameId);
+  return pending ? await pending : null;
+}
 
-    // 4. Sumar XP al usuario (solo si ganó algo)
-    if (xpGained > 0) {
-      const { data: userData, error: userError } = await supabase
-        .from('users')
-        .select('xp')
-        .eq('id', userId)
-        .maybeSingle();
-      if (!userError && userData) {
-        await supabase
-          .from('users')
-          .update({ xp: (userData.xp || 0) + xpGained })
-          .eq('id', userId);
-      }
-    }
+/**
+ * Envía la puntuación de una partida terminada. Una sola RPC (submit_score,
+ * database/score_submission.sql) valida la sesión, inserta el score
+ * (triggers: highscores + total_plays), suma la XP (la calcula el servidor,
+ * database/xp_rules.sql), avanza los retos del día y devuelve el Top 5 ya
+ * actualizado: o se guarda todo o nada.
+ *
+ * @returns {Promise<{ success, data: { ranking, xpGained, challenges }, message }>}
+ *          challenges: retos que han avanzado ({ challenge_id, previous,
+ *          progress, target, completed }). Sin red → { offline: true, session }
+ */
+export async function submitScore(userId, gameId, score) {
+  // La sesión se toma antes de nada: si no hay red, viaja con la partida a la cola offline
+  const session = await takeGameSession(gameId);
+  try {
+    const verdict = await backend.games.submitScore(userId, {
+      sessionId: session?.session_id ?? null,
+      token: session?.token ?? null,
+      score,
+    });
 
-    // 5. Obtener el ranking actualizado (top 5 usuarios distintos)
-    const updatedTop = await getTop5(gameId);
-    const topData = updatedTop.success ? updatedTop.data : [];
+    const topData = verdict?.ranking ?? [];
     const ranking = formatRanking(topData);
 
-    // 6. Comprobar si el usuario aparece en el Top 5
+    if (!verdict?.accepted) {
+      console.warn('submitScore rechazado:', verdict?.reason);
+      return {
+        success: false,
+        data: { ranking, xpGained: 0, rejectedReason: verdict?.reason ?? null, survival: verdict?.survival ?? null },
+        message: t('svc.score_rejected'),
+      };
+    }
+
+    // ¿El usuario aparece en el Top 5?
     const inTop5 = topData.some(s => s.user_id === userId);
     const message = inTop5 ? t('svc.top5_made') : t('svc.score_saved');
 
-    return { success: true, data: { ranking, xpGained }, message };
+    return {
+      success: true,
+      data: {
+        ranking,
+        xpGained: verdict.xp_granted ?? 0,
+        challenges: verdict.challenges ?? [],
+        survival: verdict.survival ?? null,
+      },
+      message,
+    };
   } catch (error) {
+    // Sin red → el llamador la guarda en la cola offline (scoreQueue.js)
+    if (isNetworkError(error)) {
+      return { success: false, data: null, offline: true, session, message: error.message };
+    }
     return { success: false, data: null, message: error.message };
   }
 }
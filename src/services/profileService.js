@@ -9,7 +9,7 @@
  * ya calculados en el servidor.
  */
 
-import { supabase } from "../supabaseClient";
+import { backend } from "../backend";
 
 /**
  * Obtiene los datos públicos de un usuario y sus mejores posiciones.
@@ -21,11 +21,13 @@ export async function getPublicProfile(userId) {
   if (!userId) return { user: null, topGames: [], careerStats: { totalTop1: 0, totalTop5: 0 } };
 
   // ── 1. Datos del usuario ──────────────────────────────────────────────────
-  const { data: userData, error: userError } = await supabase
-    .from("users")
-    .select("id, username, xp, equipped_avatar_id")
-    .eq("id", userId)
-    .maybeSingle();
+  let userData = null;
+  let userError = null;
+  try {
+    userData = await backend.users.getUser(userId);
+  } catch (err) {
+    userError = err;
+  }
 
   if (userError || !userData) {
     console.warn("getPublicProfile: usuario no encontrado", userError?.message);
@@ -40,10 +42,13 @@ export async function getPublicProfile(userId) {
   };
 
   // ── 2. Stats vía RPC (lee de highscores, ya calculado en el servidor) ─────
-  const { data: stats, error: statsError } = await supabase.rpc(
-    "get_user_profile_stats",
-    { p_user_id: userId }
-  );
+  let stats = null;
+  let statsError = null;
+  try {
+    stats = await backend.users.getProfileStats(userId);
+  } catch (err) {
+    statsError = err;
+  }
 
   if (statsError || !stats) {
     console.warn("getPublicProfile: RPC error", statsError?.message);
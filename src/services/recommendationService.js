@@ -0,0 +1,138 @@
+/**
+ * recommendationService.js — Orden adaptativo del feed
+ *
+ * Cada baraja del feed sigue conteniendo TODOS los juegos una vez, pero su
+ * orden se sortea con pesos: los juegos con más peso tienden a salir antes.
+ *
+ * Señales:
+ *  - Likes del usuario (`user_likes`)                 → más peso
+ *  - Partidas recientes (`scores`, últimos 14 días)   → más peso
+ *  - Saltos: slides abandonados en < SKIP_THRESHOLD_MS → menos peso
+ *  - Novedad: juegos nunca jugados ni vistos          → más peso
+ *  - Popularidad global (total_likes)                 → algo más de peso
+ *
+ * Invitados: sin datos de usuario → popularidad + saltos/novedad del dispositivo.
+ *
+ * Funciones:
+ *  - recordSlideDwell(gameId, dwellMs)  → guarda vista/salto en localStorage
+ *  - loadFeedSignals(userId)            → señales de BD (o de invitado)
+ *  - getGameWeights(games, signals)     → { [gameId]: peso }
+ */
+
+import { backend } from "../backend";
+import { getLikesMap, getUserLikedGameIds } from "./gameService";
+
+/** Un slide abandonado antes de este tiempo cuenta como "saltado" */
+export const SKIP_THRESHOLD_MS = 2500;
+
+const SKIPS_STORAGE_KEY = "scrollinn_feed_skips";
+const RECENT_DAYS = 14;
+const MIN_VIEWS_FOR_SKIP_RATE = 3;
+const MIN_WEIGHT = 0.15;
+const MAX_WEIGHT = 4;
+
+/* ── Estadísticas locales de vistas/saltos: { [gameId]: { views, skips } } ── */
+function readSkipStats() {
+  try {
+    return JSON.parse(localStorage.getItem(SKIPS_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Registra cuánto tiempo estuvo un juego en pantalla.
+ *
+ * @param {string} gameId
+ * @param {number} dwellMs
+ */
+export function recordSlideDwell(gameId, dwellMs) {
+  if (!gameId) return;
+  const stats = readSkipStats();
+  const entry = stats[gameId] || { views: 0, skips: 0 };
+  entry.views += 1;
+  if (dwellMs < SKIP_THRESHOLD_MS) entry.skips += 1;
+  stats[gameId] = entry;
+  try {
+    localStorage.setItem(SKIPS_STORAGE_KEY, JSON.stringify(stats));
+  } catch {
+    /* localStorage lleno o bloqueado → se ignora la señal */
+  }
+}
+
+/**
+ * Carga las señales de BD para ordenar el feed.
+ *
+ * @param {string|null} userId
+ * @returns {Promise<{ liked: Set<string>, recentPlays: Object<string, number>,
+ *   played: Set<string>, popularity: Object<string, number> }>}
+ */
+export async function loadFeedSignals(userId = null) {
+  const signals = { liked: new Set(), recentPlays: {}, played: new Set(), popularity: {} };
+
+  try {
+    const since = new Date(Date.now() - RECENT_DAYS * 86400000).toISOString();
+
+    const [likesMap, likedIds, userSignals] = await Promise.all([
+      getLikesMap(null),
+      userId ? getUserLikedGameIds(userId) : [],
+      userId
+        ? backend.users.getFeedSignals(userId, since)
+        : { recentGameIds: [], playedGameIds: [] },
+    ]);
+
+    // Popularidad normalizada 0..1 respecto al juego con más likes
+    const maxLikes = Math.max(1, ...Object.values(likesMap).map((l) => l.count || 0));
+    for (const [gameId, l] of Object.entries(likesMap)) {
+      signals.popularity[gameId] = (l.count || 0) / maxLikes;
+    }
+
+    signals.liked = new Set(likedIds);
+    for (const gameId of userSignals.recentGameIds) {
+      signals.recentPlays[gameId] = (signals.recentPlays[gameId] || 0) + 1;
+    }
+    signals.played = new Set(userSignals.playedGameIds);
+  } catch (err) {
+    console.warn("loadFeedSignals error:", err.message);
+  }
+
+  return signals;
+}
+
+/**
+ * Calcula el peso de cada juego para la próxima baraja.
+ * Las estadísticas de saltos se leen en cada llamada (siempre frescas).
+ *
+ * @param {Array<{ id: string }>} games
+ * @param {object|null} signals - Resultado de loadFeedSignals (null = sin señales de BD)
+ * @returns {Object<string, number>}
+ */
+export function getGameWeights(games, signals) {
+  const skipStats = readSkipStats();
+  const weights = {};
+
+  for (const game of games) {
+    const id = game.id;
+    const local = skipStats[id];
+    let w = 1;
+
+    if (signals?.liked.has(id)) w *= 1.6;
+
+    const recent = signals?.recentPlays[id] || 0;
+    w *= 1 + Math.min(recent, 10) * 0.05;
+
+    // Novedad: ni jugado (BD) ni visto en este dispositivo
+    if (!signals?.played.has(id) && !local?.views) w *= 1.4;
+
+    // Saltos: solo con suficientes vistas para que la tasa signifique algo
+    if (local && local.views >= MIN_VIEWS_FOR_SKIP_RATE) {
+      w *= 1 - 0.7 * (local.skips / local.views);
+    }
+
+    w *= 1 + 0.3 * (signals?.popularity[id] || 0);
+
+    weights[id] = Math.min(MAX_WEIGHT, Math.max(MIN_WEIGHT, w));
+  }
+
+  return weights;
+}
@@ -0,0 +1,61 @@
+/**
+ * replayService.js — Replays de las partidas del Top 5
+ *
+ * Funciones:
+ *  - saveReplay(gameId, score, replay)  → RPC save_replay (solo récord + Top 5)
+ *  - getReplay(userId, gameId)          → replay de un jugador para un juego
+ *  - getReplayUserIds(gameId)           → Set de usuarios con replay en ese juego
+ */
+
+import { backend } from "../backend";
+
+/**
+ * Guarda el replay de una partida. El servidor lo descarta si la partida
+ * no es el récord del usuario o no está en el Top 5.
+ *
+ * @param {string} gameId
+ * @param {number} score  - Puntuación (unidades de la BD, igual que submitScore)
+ * @param {object} replay - Objeto de useReplayRecorder().getReplay()
+ * @returns {Promise<{ success: boolean, stored?: boolean, error?: string }>}
+ */
+export async function saveReplay(gameId, score, replay) {
+  try {
+    const stored = await backend.replays.save(gameId, score, replay);
+    return { success: true, stored: !!stored };
+  } catch (err) {
+    console.warn("saveReplay error:", err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Devuelve el replay guardado de un jugador.
+ *
+ * @param {string} userId
+ * @param {string} gameId
+ * @returns {Promise<{ success: boolean, data: { score: number, replay: object }|null }>}
+ */
+export async function getReplay(userId, gameId) {
+  try {
+    const data = await backend.replays.get(userId, gameId);
+    return { success: true, data: data ? { score: data.score, replay: data.data } : null };
+  } catch (err) {
+    console.warn("getReplay error:", err.message);
+    return { success: false, data: null };
+  }
+}
+
+/**
+ * Usuarios que tienen replay guardado en un juego (para marcar el Top 5).
+ *
+ * @param {string} gameId
+ * @returns {Promise<Set<string>>}
+ */
+export async function getReplayUserIds(gameId) {
+  try {
+    return new Set(await backend.replays.getUserIds(gameId));
+  } catch (err) {
+    console.warn("getReplayUserIds error:", err.message);
+    return new Set();
+  }
+}
@@ -0,0 +1,252 @@
+/**
+ * scoreQueue.js — Cola offline de puntuaciones (IndexedDB)
+ *
+ * Si una partida termina sin conexión (o el envío falla por red), la
+ * puntuación se guarda en IndexedDB y se envía al volver la conexión.
+ *
+ *  - Cada entrada lleva un `id` UUID generado en el dispositivo → el servidor
+ *    la acepta una sola vez aunque se reintente (offline_scores.sql).
+ *  - Si la partida llegó a abrir sesión firmada, se reenvía por submit_score;
+ *    si no, por submit_offline_score con una sesión reservada con conexión
+ *    (database/offline_sessions.sql). Sin sesión reservada para ese juego la
+ *    partida no se encola. Las dos RPC avanzan los retos del día en la BD y
+ *    devuelven lo que ha avanzado → "challenges-updated".
+ *  - Tras sincronizar se piden sesiones reservadas nuevas (localStorage).
+ *  - Solo se envían las entradas del usuario con sesión iniciada; las de otras
+ *    cuentas esperan a que esa cuenta vuelva a entrar.
+ *
+ * Eventos (window):
+ *  - "score-queue-changed" → cambia el nº de pendientes
+ *  - "score-queue-synced"  → { detail: { accepted, rejected } } tras enviar algo
+ *
+ * Funciones:
+ *  - enqueueScore(entry)      → guarda una partida pendiente
+ *  - getPendingScoreCount()   → nº de partidas pendientes
+ *  - flushScoreQueue()        → envía lo pendiente (una sola ejecución a la vez)
+ *                               y repone las sesiones reservadas
+ *  - isNetworkError(err)      → ¿fallo de red (y no del servidor)?
+ */
+
+import { backend } from "../backend";
+import { evaluateAchievements } from "./achievementService";
+
+const DB_NAME = "scrollinn";
+const DB_VERSION = 1;
+const STORE = "score_queue";
+const RESERVED_KEY = "scrollinn-offline-sessions";
+
+/* ── IndexedDB mínimo con promesas ── */
+let _dbPromise = null;
+
+function openDb() {
+  if (!_dbPromise) {
+    _dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        if (!req.result.objectStoreNames.contains(STORE)) {
+          req.result.createObjectStore(STORE, { keyPath: "id" });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        _dbPromise = null;
+        reject(req.error);
+      };
+    });
+  }
+  return _dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function notifyChanged() {
+  window.dispatchEvent(new CustomEvent("score-queue-changed"));
+}
+
+/**
+ * ¿El error viene de no poder llegar al servidor?
+ * (supabase-js y localBackend devuelven los fallos de fetch como error con
+ * mensaje, sin código)
+ *
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+export function isNetworkError(err) {
+  if (typeof navigator !== "undefined" && !navigator.onLine) return true;
+  const message = String(err?.message ?? err ?? "");
+  return /failed to fetch|networkerror|network request failed|load failed/i.test(message);
+}
+
+/* ── Sesiones reservadas: { userId, sessions: [{ game_id, session_id, token }] } ── */
+function readReserved() {
+  try {
+    return JSON.parse(localStorage.getItem(RESERVED_KEY) ?? "null");
+  } catch {
+    return null;
+  }
+}
+
+/** Saca (y gasta) una sesión reservada del juego; null si no queda ninguna */
+function takeReservedSession(userId, gameId) {
+  const reserved = readReserved();
+  if (reserved?.userId !== userId) return null;
+
+  const index = reserved.sessions.findIndex((s) => s.game_id === gameId);
+  if (index === -1) return null;
+
+  const [session] = reserved.sessions.splice(index, 1);
+  localStorage.setItem(RESERVED_KEY, JSON.stringify(reserved));
+  return session;
+}
+
+/** Pide al servidor las sesiones sin usar (repone hasta 2 por juego) */
+async function refillReservedSessions(userId) {
+  try {
+    const sessions = await backend.games.reserveOfflineSessions(userId);
+    localStorage.setItem(RESERVED_KEY, JSON.stringify({ userId, sessions: sessions ?? [] }));
+  } catch (err) {
+    console.warn("reserveOfflineSessions error:", err?.message);
+  }
+}
+
+/**
+ * Guarda una partida pendiente de enviar. Sin sesión firmada usa una de las
+ * reservadas para ese juego.
+ *
+ * @param {{ userId: string, gameId: string, score: number,
+ *   session?: { session_id: string, token: string }|null }} entry
+ * @returns {Promise<boolean>} false si IndexedDB no está disponible o no
+ *          queda sesión reservada para el juego
+ */
+export async function enqueueScore({ userId, gameId, score, session = null }) {
+  try {
+    const reserved = session ? null : takeReservedSession(userId, gameId);
+    if (!session && !reserved) return false;
+
+    await withStore("readwrite", (store) =>
+      store.put({
+        id: crypto.randomUUID(),
+        userId,
+        gameId,
+        score,
+        session,
+        reserved,
+        playedAt: new Date().toISOString(),
+      })
+    );
+    notifyChanged();
+    return true;
+  } catch (err) {
+    console.warn("enqueueScore error:", err?.message);
+    return false;
+  }
+}
+
+/** @returns {Promise<number>} */
+export async function getPendingScoreCount() {
+  try {
+    return (await withStore("readonly", (store) => store.count())) ?? 0;
+  } catch {
+    return 0;
+  }
+}
+
+/* ── Envío de una entrada → { accepted, challenges } | lanza si es fallo de red ── */
+async function sendEntry(entry) {
+  try {
+    const verdict = entry.session
+      ? await backend.games.submitScore(entry.userId, {
+          sessionId: entry.session.session_id,
+          token: entry.session.token,
+          score: entry.score,
+        })
+      : await backend.games.submitOfflineScore(entry.userId, {
+          clientId: entry.id,
+          sessionId: entry.reserved?.session_id ?? null,
+          token: entry.reserved?.token ?? null,
+          score: entry.score,
+          playedAt: entry.playedAt,
+        });
+    return { accepted: !!verdict?.accepted, challenges: verdict?.challenges ?? [] };
+  } catch (error) {
+    if (isNetworkError(error)) throw error;
+    // Error del servidor (no recuperable reintentando) → se descarta
+    console.warn("flushScoreQueue: entrada descartada:", error.message);
+    return { accepted: false, challenges: [] };
+  }
+}
+
+let _flushing = null;
+
+/**
+ * Envía las partidas pendientes del usuario con sesión iniciada.
+ * Se detiene al primer fallo de red (el resto espera al siguiente intento).
+ *
+ * @returns {Promise<{ accepted: number, rejected: number }>}
+ */
+export function flushScoreQueue() {
+  if (_flushing) return _flushing;
+
+  _flushing = (async () => {
+    const summary = { accepted: 0, rejected: 0 };
+    try {
+      const session = await backend.auth.getSession();
+      const userId = session?.user?.id;
+      if (!userId) return summary;
+
+      const entries = await withStore("readonly", (store) => store.getAll());
+      const mine = (entries || [])
+        .filter((e) => e.userId === userId)
+        .sort((a, b) => a.playedAt.localeCompare(b.playedAt));
+
+      let offline = false;
+      for (const entry of mine) {
+        let verdict;
+        try {
+          verdict = await sendEntry(entry);
+        } catch {
+          offline = true;
+          break; // sin red → se reintenta más tarde
+        }
+
+        await withStore("readwrite", (store) => store.delete(entry.id));
+
+        if (verdict.accepted) {
+          summary.accepted += 1;
+          // Retos que ha avanzado la partida (solo cuentan las jugadas hoy)
+          if (verdict.challenges.length > 0) {
+            window.dispatchEvent(new CustomEvent("challenges-updated", { detail: { deltas: verdict.challenges } }));
+          }
+        } else {
+          summary.rejected += 1;
+        }
+      }
+
+      // Logros con las partidas ya sincronizadas (el toast sale por evento)
+      if (summary.accepted > 0) evaluateAchievements(userId);
+
+      // Cola enviada → ninguna reservada queda a medio gastar: reponer
+      if (!offline) await refillReservedSessions(userId);
+    } catch (err) {
+      console.warn("flushScoreQueue error:", err?.message);
+    } finally {
+      _flushing = null;
+    }
+
+    if (summary.accepted + summary.rejected > 0) {
+      notifyChanged();
+      window.dispatchEvent(new CustomEvent("score-queue-synced", { detail: summary }));
+    }
+    return summary;
+  })();
+
+  return _flushing;
+}
@@ -0,0 +1,79 @@
+/**
+ * streakService.js — Rachas diarias y protector de racha
+ *
+ * Funciones:
+ *  - getStreak(userId)        → racha actual / mejor, protectores y recompensa
+ *  - buyStreakFreeze(userId)  → compra un protector de racha con monedas
+ *
+ * La racha la avanza la BD (triggers al guardar partida o reclamar reto,
+ * fecha de Europe/Madrid del servidor; ver database/streaks.sql): aquí
+ * solo se lee y se compra.
+ */
+
+import { backend } from "../backend";
+
+/**
+ * Estado de la racha del usuario autenticado.
+ *
+ * @param {string} userId
+ * @returns {Promise<{ success: boolean, data: {
+ *   current: number,
+ *   best: number,
+ *   freezes: number,
+ *   maxFreezes: number,
+ *   freezePrice: number,
+ *   activeToday: boolean,
+ *   atRisk: boolean,
+ *   rewardToday: number,
+ *   nextReward: number,
+ *   coins: number
+ * }|null }>}
+ */
+export async function getStreak(userId) {
+  try {
+    if (!userId) return { success: false, data: null };
+
+    const data = await backend.streaks.get();
+
+    return {
+      success: true,
+      data: {
+        current: data.current,
+        best: data.best,
+        freezes: data.freezes,
+        maxFreezes: data.max_freezes,
+        freezePrice: data.freeze_price,
+        activeToday: data.active_today,
+        atRisk: data.at_risk,
+        rewardToday: data.reward_today,
+        nextReward: data.next_reward,
+        coins: data.coins,
+      },
+    };
+  } catch (err) {
+    console.warn("getStreak error:", err.message);
+    return { success: false, data: null };
+  }
+}
+
+/**
+ * Compra un protector de racha. El precio y el máximo los fija el servidor.
+ *
+ * @param {string} userId
+ * @returns {Promise<{ success: boolean, newCoins?: number, freezes?: number,
+ *   error?: 'max_freezes'|'insufficient_funds'|string }>}
+ */
+export async function buyStreakFreeze(userId) {
+  try {
+    if (!userId) return { success: false, error: "No user ID" };
+
+    const data = await backend.streaks.buyFreeze();
+
+    window.dispatchEvent(new CustomEvent("streak-updated"));
+    return { success: true, newCoins: data.new_coins, freezes: data.freezes };
+  } catch (err) {
+    console.warn("buyStreakFreeze error:", err.message);
+    const known = ["max_freezes", "insufficient_funds"].find((code) => err.message?.includes(code));
+    return { success: false, error: known ?? err.message };
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * survivalService.js — Servicio del modo Supervivencia
+ *
+ * La run la cuenta el servidor (database/survival_runs.sql): se abre antes
+ * de la primera partida y al cerrarse suma los juegos superados a partir de
+ * las sesiones firmadas jugadas desde entonces, hasta el primer fallo.
+ *
+ * Funciones:
+ *  - startSurvivalRun()         → abre una run (cierra la que hubiera abierta)
+ *  - finishSurvivalRun(runId)   → cierra la run y devuelve los juegos superados
+ *  - getSurvivalLeaderboard(limit) → mejores runs (1 por usuario)
+ */
+
+import { backend } from "../backend";
+
+/**
+ * Abre una run de Supervivencia del usuario con sesión.
+ *
+ * @returns {Promise<{ success: boolean, runId?: number, error?: string }>}
+ */
+export async function startSurvivalRun() {
+  try {
+    const runId = await backend.survival.startRun();
+    return { success: true, runId };
+  } catch (err) {
+    console.warn("startSurvivalRun error:", err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Cierra una run abierta. Las runs sin ningún juego superado no se guardan.
+ *
+ * @param {number} runId - Lo devuelto por startSurvivalRun
+ * @returns {Promise<{ success: boolean, gamesSurvived?: number, error?: string }>}
+ */
+export async function finishSurvivalRun(runId) {
+  try {
+    const gamesSurvived = await backend.survival.finishRun(runId);
+    return { success: true, gamesSurvived: gamesSurvived ?? 0 };
+  } catch (err) {
+    console.warn("finishSurvivalRun error:", err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Devuelve el ranking de Supervivencia: la mejor run de cada usuario,
+ * ordenada por juegos superados (desempate: la run más antigua primero).
+ *
+ * @param {number} limit - Número de jugadores a devolver
+ * @returns {Promise<{ success: boolean, data: Array<{
+ *   pos: number,
+ *   userId: string,
+ *   user: string,
+ *   equippedAvatarId: string,
+ *   score: number
+ * }> }>}
+ */
+export async function getSurvivalLeaderboard(limit = 10) {
+  try {
+    // Deduplicado por usuario en la BD (DISTINCT ON user_id)
+    const rows = await backend.survival.getLeaderboard(limit);
+
+    const data = rows.map((r, i) => ({
+      pos: i + 1,
+      userId: r.user_id,
+      user: r.users?.username ?? "—",
+      equippedAvatarId: r.users?.equipped_avatar_id ?? "none",
+      score: r.games_survived,
+    }));
+
+    return { success: true, data };
+  } catch (err) {
+    console.warn("getSurvivalLeaderboard error:", err.message);
+    return { success: false, data: [] };
+  }
+}
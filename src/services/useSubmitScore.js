@@ -1,7 +1,8 @@
 import { useState, useCallback } from 'react';
 import { submitScore, getTop5, incrementPlays } from '../services/gameService';
-import { evaluateAndSaveChallenges } from '../services/challengeService';
-import { calculateGameXP } from '../data/pointsToXpPerGame';
+import { evaluateAchievements } from '../services/achievementService';
+import { saveReplay } from '../services/replayService';
+import { enqueueScore } from '../services/scoreQueue';
 import { useAuth } from '../context/AuthContext';
 import { t } from '../i18n';
 
@@ -24,6 +25,13 @@ function formatRanking(rawScores) {
  * @param {string} userId - ID del usuario logueado
  * @param {string} gameId - ID del juego (usa el diccionario GAME_IDS)
  * @returns {Object} { submit, loading, error, lastResult, xpGained }
+ *
+ * submit(score, onGameOver, { replay }) — `replay` opcional (useReplayRecorder):
+ * solo lo pasan los juegos que graban (StickBridge, TowerBlocks, DropTheBox) y
+ * se guarda si la partida entra en el Top 5 y tiene al menos un input.
+ *
+ * Sin conexión la puntuación queda en la cola offline (lastResult.data.queued)
+ * y se envía sola al reconectar.
  */
 export function useSubmitScore(userId, gameId) {
   const { updateUser } = useAuth();
@@ -33,23 +41,35 @@ export function useSubmitScore(userId, gameId) {
   const [xpGained, setXpGained] = useState(null);
 
   const submit = useCallback(
-    async (score, onGameOver) => {
+    async (score, onGameOver, { replay = null } = {}) => {
       setLoading(true);
       setError(null);
       setXpGained(null); // Reset XP al iniciar nuevo submit
       let result = null;
+      // Fin de partida para la analítica del Feed, antes de ir a la red
+      window.dispatchEvent(new CustomEvent("game-finished", { detail: { gameId, score } }));
       try {
-        // Calcular XP ganada de forma centralizada
-        const xp = calculateGameXP(gameId, score);
-
         if (userId && gameId) {
-          result = await submitScore(userId, gameId, score, xp);
+          result = await submitScore(userId, gameId, score);
+
+          // Sin red → a la cola offline; se envía al reconectar
+          if (result?.offline) {
+            const queued = await enqueueScore({ userId, gameId, score, session: result.session });
+            result = {
+              success: false,
+              data: { ranking: [], queued },
+              message: queued ? t('offline.score_queued') : t('offline.score_lost'),
+            };
+          }
           setLastResult(result);
-          setXpGained(xp);
+
+          // XP concedida por el servidor (0 si la puntuación fue rechazada)
+          const granted = result?.data?.xpGained ?? 0;
+          setXpGained(granted);
 
           // Sync XP locally so profile reflects it immediately
-          if (xp > 0) {
-            updateUser((prev) => ({ ...prev, xp: (prev.xp || 0) + xp }));
+          if (granted > 0) {
+            updateUser((prev) => ({ ...prev, xp: (prev.xp || 0) + granted }));
           }
         } else if (gameId) {
           // Usuario no registrado: incrementar plays, mostrar ranking y avisar
@@ -64,14 +84,31 @@ export function useSubmitScore(userId, gameId) {
           setLastResult(result);
           // No establecer xpGained (queda null) → XpDisplay no se renderiza
         }
-        // Evaluar retos diarios (fire-and-forget, nunca bloquea el Game Over)
-        if (userId && gameId) {
-          evaluateAndSaveChallenges(userId, gameId, score).catch(() => {});
+        if (userId && gameId && result?.success) {
+          // Partida guardada en BD (p.ej. para resolver un duelo abierto)
+          window.dispatchEvent(new CustomEvent("score-saved", { detail: { gameId, score } }));
+          // Retos diarios: ya los ha avanzado submit_score → refrescar la UI
+          if (result.data?.challenges?.length > 0) {
+            window.dispatchEvent(new CustomEvent("challenges-updated", { detail: { deltas: result.data.challenges } }));
+          }
+          // Logros (nivel, partidas, Top 1…): el toast sale por evento
+          evaluateAchievements(userId);
+
+          // Replay (solo juegos que graban): solo merece la pena si estamos en el Top 5
+          const recorded = replay?.events?.length > 0;
+          if (recorded && result.data?.ranking?.some((r) => r.userId === userId)) {
+            saveReplay(gameId, score, replay).catch(() => {});
+          }
         }
       } catch (err) {
         setError(err.message);
       } finally {
         setLoading(false);
+        // Supervivencia: el Feed avanza con el marcador de la run del servidor
+        // (null sin run abierta: invitado, sin red o error)
+        window.dispatchEvent(new CustomEvent("score-verdict", {
+          detail: { gameId, score, survival: result?.data?.survival ?? null },
+        }));
         if (typeof onGameOver === 'function') onGameOver(score);
       }
       return result;
@@ -0,0 +1,37 @@
+/**
+ * walletService.js — Historial de XP y monedas
+ *
+ * Funciones:
+ *  - getCurrencyTransactions(userId, limit) → últimos apuntes del ledger
+ *
+ * Los saldos (users.xp / users.coins) solo cambian vía RPCs que escriben en
+ * `currency_transactions` (ver database/currency_ledger.sql); aquí solo se lee.
+ */
+
+import { backend } from "../backend";
+
+/**
+ * Devuelve los últimos movimientos de XP y monedas del usuario.
+ *
+ * @param {string} userId
+ * @param {number} limit
+ * @returns {Promise<{ success: boolean, data: Array<{
+ *   id: number,
+ *   currency: 'xp'|'coins',
+ *   amount: number,
+ *   balance_after: number,
+ *   reason: string,
+ *   created_at: string
+ * }> }>}
+ */
+export async function getCurrencyTransactions(userId, limit = 50) {
+  try {
+    if (!userId) return { success: false, data: [] };
+
+    const data = await backend.wallet.getTransactions(userId, limit);
+    return { success: true, data };
+  } catch (err) {
+    console.warn("getCurrencyTransactions error:", err.message);
+    return { success: false, data: [] };
+  }
+}
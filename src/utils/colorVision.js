@@ -0,0 +1,105 @@
+/**
+ * colorVision.js — Paletas para daltonismo (sin React)
+ *
+ * Los juegos que dependen de distinguir colores (Color Match, Stroop,
+ * Odd One Out, Traffic Light, Swipe Sorter) no usan hex fijos: piden los
+ * colores a la paleta del modo activo (ColorVisionContext).
+ *
+ *  - off          → colores originales
+ *  - protanopia   → base Okabe-Ito (rojo poco visible: vermellón más claro)
+ *  - deuteranopia → base Okabe-Ito (rojo/verde separados por luminosidad)
+ *  - tritanopia   → azul oscuro frente a verde claro, sin amarillo/rosa juntos
+ *
+ * Los modos solo cambian CÓMO se pinta: mismas reglas, mismo número de
+ * colores y mismos tiempos en todos → las puntuaciones siguen siendo
+ * comparables en el ranking.
+ *
+ * `patterns` añade un símbolo por color (SYMBOLS / FLOOD_SYMBOLS) como
+ * segunda pista, nunca como única. Odd One Out no lo usa: un símbolo
+ * delataría la casilla distinta.
+ */
+
+export const CVD_STORAGE_KEY = "scrollinn-color-vision";
+
+/** Modos en el orden en que se muestran en Ajustes */
+export const CVD_MODES = ["off", "protanopia", "deuteranopia", "tritanopia"];
+
+/** Colores con nombre (Stroop / Swipe Sorter) y su símbolo con patrones */
+export const SYMBOLS = { red: "▲", blue: "■", green: "●", yellow: "★" };
+
+/** Símbolos por hueco de color en Color Match */
+export const FLOOD_SYMBOLS = ["●", "▲", "■", "◆", "★", "✚", "✖", "♥", "☾", "⬟"];
+
+// ─── Paletas ────────────────────────────────────────────────────────────────
+//  named   → colores que el juego nombra (la palabra dice "ROJO")
+//  stop/go → fondos del semáforo
+//  flood   → colores de Color Match (se eligen 5 al empezar)
+//  hues    → rangos de tono para la base de Odd One Out (null = todos)
+
+const OKABE_ITO = {
+  named: { red: "#D55E00", blue: "#0072B2", green: "#009E73", yellow: "#F0E442" },
+  stop: "#7A3300",
+  go: "#21C5A0",
+  flood: ["#E69F00", "#56B4E9", "#009E73", "#F0E442", "#0072B2", "#D55E00", "#CC79A7", "#F5F5F5"],
+  hues: [[30, 60], [195, 250]],
+};
+
+export const PALETTES = {
+  off: {
+    named: { red: "#EF4444", blue: "#3B82F6", green: "#22C55E", yellow: "#FACC15" },
+    stop: "#991B1B",
+    go: "#22C55E",
+    flood: [
+      "#573659", "#AD4375", "#FA7370", "#F59231", "#FECD5F",
+      "#9CCF5E", "#3CAD5B", "#36CBBF", "#1D839C", "#2F506C",
+    ],
+    hues: null,
+  },
+  protanopia: {
+    ...OKABE_ITO,
+    named: { ...OKABE_ITO.named, red: "#E8601C" },
+  },
+  deuteranopia: OKABE_ITO,
+  tritanopia: {
+    named: { red: "#E53935", blue: "#2F3DB8", green: "#4CD07D", yellow: "#FFD54F" },
+    stop: "#8E1B1B",
+    go: "#4CD07D",
+    flood: ["#E53935", "#2F3DB8", "#4CD07D", "#F5F5F5", "#8D6E63", "#FFD54F"],
+    hues: [[340, 380], [90, 140]],
+  },
+};
+
+/** Hex + opacidad (0–1) → #RRGGBBAA, para brillos y sombras */
+export function withAlpha(hex, alpha) {
+  const a = Math.round(Math.max(0, Math.min(1, alpha)) * 255);
+  return `${hex}${a.toString(16).padStart(2, "0")}`;
+}
+
+/** Tono aleatorio dentro de los rangos de la paleta (0–359) */
+export function randomHue(palette) {
+  if (!palette.hues) return Math.floor(Math.random() * 360);
+  const [from, to] = palette.hues[Math.floor(Math.random() * palette.hues.length)];
+  return Math.floor(from + Math.random() * (to - from)) % 360;
+}
+
+// ─── Persistencia ───────────────────────────────────────────────────────────
+
+export function readStoredColorVision() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CVD_STORAGE_KEY) ?? "null");
+    return {
+      mode: CVD_MODES.includes(saved?.mode) ? saved.mode : "off",
+      patterns: saved?.patterns === true,
+    };
+  } catch {
+    return { mode: "off", patterns: false };
+  }
+}
+
+export function writeColorVision(value) {
+  try {
+    localStorage.setItem(CVD_STORAGE_KEY, JSON.stringify(value));
+  } catch {
+    /* modo privado — falla silenciosamente */
+  }
+}
@@ -6,19 +6,20 @@
  */
 
 /**
- * Devuelve la fecha actual en España en formato YYYY-MM-DD.
+ * Devuelve la fecha actual (o la de `date`) en España en formato YYYY-MM-DD.
  * Usa Intl.DateTimeFormat con locale 'en-CA' que produce YYYY-MM-DD nativamente.
  *
+ * @param {Date} [date] - instante a convertir (por defecto, ahora)
  * @returns {string} p.ej. "2026-02-25"
  */
-export const getSpanishDateString = () => {
+export const getSpanishDateString = (date = new Date()) => {
   const formatter = new Intl.DateTimeFormat("en-CA", {
     timeZone: "Europe/Madrid",
     year: "numeric",
     month: "2-digit",
     day: "2-digit",
   });
-  return formatter.format(new Date());
+  return formatter.format(date);
 };
 
 /**
@@ -47,3 +48,115 @@ export const getMsUntilSpanishMidnight = () => {
   // Si da exactamente 0 (justo medianoche), devolvemos 1 s para no crear un timer de 0
   return (secsLeft <= 0 ? 1 : secsLeft) * 1000;
 };
+
+/**
+ * Diferencia (ms) entre la hora de Madrid y UTC en un instante dado
+ * (+1 h en invierno, +2 h en verano).
+ *
+ * @param {Date} date
+ * @returns {number}
+ */
+const getMadridOffsetMs = (date) => {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone: "Europe/Madrid",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hour12: false,
+  }).formatToParts(date);
+
+  const get = (type) => +parts.find((p) => p.type === type)?.value;
+  const asUTC = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour") % 24, get("minute"), get("second"));
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Instante (UTC) en que empezó el periodo actual en Madrid:
+ *  - "daily"   → hoy a las 00:00
+ *  - "weekly"  → el lunes de esta semana a las 00:00
+ *  - "monthly" → el día 1 de este mes a las 00:00
+ *
+ * Tiene en cuenta el horario de verano (el offset se calcula en la fecha de inicio).
+ *
+ * @param {"daily"|"weekly"|"monthly"} period
+ * @returns {Date}
+ */
+export const getSpanishPeriodStart = (period) => {
+  const [y, m, d] = getSpanishDateString().split("-").map(Number);
+
+  let startUTC = Date.UTC(y, m - 1, d);
+  if (period === "weekly") {
+    const weekday = (new Date(startUTC).getUTCDay() + 6) % 7; // lunes = 0
+    startUTC -= weekday * 86400000;
+  } else if (period === "monthly") {
+    startUTC = Date.UTC(y, m - 1, 1);
+  }
+
+  // startUTC es la medianoche "de reloj" → restar el offset de Madrid de ese día
+  return new Date(startUTC - getMadridOffsetMs(new Date(startUTC)));
+};
+
+/* ═══════════════════ Rotación semanal de la tienda ═══════════════════ */
+
+/** La tienda rota los lunes a las 09:00 (hora de Madrid) */
+const SHOP_ROTATION_HOUR = 9;
+
+/**
+ * Instante (UTC) de un lunes de rotación, `weekOffset` semanas respecto
+ * al lunes de la semana de `now` en Madrid. El offset se calcula en esa
+ * misma fecha, así que respeta el cambio de hora.
+ *
+ * @param {Date} now
+ * @param {number} weekOffset
+ * @returns {Date}
+ */
+const getRotationBoundary = (now, weekOffset) => {
+  const [y, m, d] = getSpanishDateString(now).split("-").map(Number);
+  const weekday = (new Date(Date.UTC(y, m - 1, d)).getUTCDay() + 6) % 7; // lunes = 0
+  const wallClock = Date.UTC(y, m - 1, d - weekday + weekOffset * 7, SHOP_ROTATION_HOUR);
+  return new Date(wallClock - getMadridOffsetMs(new Date(wallClock)));
+};
+
+/**
+ * Inicio de la rotación de tienda vigente: el último lunes 09:00 de Madrid.
+ * Compartido por el servidor (quién rota) y Shop.jsx (cuenta atrás).
+ *
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export const getShopRotationStart = (now = new Date()) => {
+  const boundary = getRotationBoundary(now, 0);
+  return boundary > now ? getRotationBoundary(now, -1) : boundary;
+};
+
+/**
+ * Próxima rotación de tienda: el siguiente lunes 09:00 de Madrid.
+ *
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export const getNextShopRotation = (now = new Date()) => {
+  const boundary = getRotationBoundary(now, 0);
+  return boundary > now ? boundary : getRotationBoundary(now, 1);
+};
+
+/**
+ * Semana de la rotación vigente, como la fecha (YYYY-MM-DD) de su lunes.
+ * Es la clave de `shop_rotations`.
+ *
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export const getShopRotationWeek = (now = new Date()) =>
+  getSpanishDateString(getShopRotationStart(now));
+
+/**
+ * Milisegundos hasta la próxima rotación de tienda.
+ *
+ * @returns {number}
+ */
+export const getMsUntilShopRotation = () =>
+  Math.max(0, getNextShopRotation().getTime() - Date.now());
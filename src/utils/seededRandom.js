@@ -0,0 +1,30 @@
+/**
+ * seededRandom.js — PRNG con semilla para partidas reproducibles
+ *
+ * Sustituye a Math.random() en los juegos que graban replays: con la misma
+ * semilla se genera exactamente la misma secuencia (mulberry32, 32 bits).
+ */
+
+/**
+ * Genera una semilla aleatoria de 32 bits sin signo.
+ *
+ * @returns {number}
+ */
+export const randomSeed = () => (Math.random() * 0x100000000) >>> 0;
+
+/**
+ * Crea un generador determinista con la misma interfaz que Math.random().
+ *
+ * @param {number} seed - Semilla de 32 bits
+ * @returns {() => number} Función que devuelve un float en [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let z = state;
+    z = Math.imul(z ^ (z >>> 15), z | 1);
+    z ^= z + Math.imul(z ^ (z >>> 7), z | 61);
+    return ((z ^ (z >>> 14)) >>> 0) / 4294967296;
+  };
+};
@@ -2,6 +2,63 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 import { VitePWA } from 'vite-plugin-pwa'
+import fs from 'node:fs'
+import path from 'node:path'
+
+/* ── Juegos HTML5 embebidos (slide "Embedded") ──
+   Los juegos de terceros viven tal cual en addGames/ y se publican en
+   /embedded/<slug>/; el SDK común del iframe está en public/embedded/.
+   En dev se sirven con un middleware y en build se copian a dist/. */
+const EMBEDDED_GAMES = {
+  '2048': 'addGames/2048',
+  hextris: 'addGames/Hextris',
+}
+
+const MIME_TYPES = {
+  '.html': 'text/html',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+}
+
+function embeddedGames() {
+  let root = ''
+
+  return {
+    name: 'scrollinn-embedded-games',
+    configResolved(config) {
+      root = config.root
+    },
+    configureServer(server) {
+      server.middlewares.use('/embedded', (req, res, next) => {
+        const [, slug, ...rest] = decodeURIComponent(req.url.split('?')[0]).split('/')
+        if (!EMBEDDED_GAMES[slug]) return next()
+
+        const base = path.join(root, EMBEDDED_GAMES[slug])
+        const file = path.join(base, rest.join('/') || 'index.html')
+        if (!file.startsWith(base + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+          return next()
+        }
+        res.setHeader('Content-Type', MIME_TYPES[path.extname(file).toLowerCase()] ?? 'application/octet-stream')
+        fs.createReadStream(file).pipe(res)
+      })
+    },
+    writeBundle(options) {
+      for (const [slug, dir] of Object.entries(EMBEDDED_GAMES)) {
+        fs.cpSync(path.join(root, dir), path.join(options.dir, 'embedded', slug), { recursive: true })
+      }
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig(({ mode }) => {
@@ -9,7 +66,7 @@ export default defineConfig(({ mode }) => {
   // completamente: Capacitor no necesita SW y evita conflictos con sus plugins.
   const isNative = mode === 'native'
 
-  const plugins = [react(), tailwindcss()]
+  const plugins = [react(), tailwindcss(), embeddedGames()]
 
   if (!isNative) {
     plugins.push(
@@ -20,10 +77,19 @@ export default defineConfig(({ mode }) => {
         workbox: {
           // Archivos de la build que se pre-cachean automáticamente
           globPatterns: ['**/*.{js,css,html,ico,png,svg,woff2}'],
+          // Los juegos embebidos se cachean al abrirlos (runtime), no en la instalación,
+          // y su index.html nunca debe caer en el fallback de la SPA
+          globIgnores: ['embedded/**'],
+          navigateFallbackDenylist: [/\/embedded\//],
           // No pre-cachear assets muy pesados (> 3 MB)
           maximumFileSizeToCacheInBytes: 3 * 1024 * 1024,
           // Estrategia de runtime cache para imágenes externas
           runtimeCaching: [
+            {
+              urlPattern: ({ url }) => url.pathname.includes('/embedded/'),
+              handler: 'StaleWhileRevalidate',
+              options: { cacheName: 'embedded-games' },
+            },
             {
               urlPattern: /^https:\/\/.*\.(png|jpg|jpeg|svg|gif|webp)$/i,
               handler: 'CacheFirst',